@@ -8,6 +8,7 @@ import { ReduxAuthProvider } from './store/providers/ReduxAuthProvider';
 import { ReduxModuleProvider } from './store/providers/ReduxModuleProvider';
 import { ReduxNotificationProvider } from './store/providers/ReduxNotificationProvider';
 import { ThemeConfigProvider } from './context/ThemeContext';
+import { LanguageProvider } from './context/LanguageContext';
 import { LicenseProvider } from './context/LicenseContext';
 import PrivateRoute from './routes/PrivateRoute';
 import CompanyRouteHandler from './components/routing/CompanyRouteHandler';
@@ -74,6 +75,7 @@ function App() {
   return (
     <Provider store={store}>
       <PersistGate loading={<div>Loading...</div>} persistor={persistor}>
+        <LanguageProvider>
         <ThemeConfigProvider>
           <CssBaseline enableColorScheme />
           <ReduxAuthProvider>
@@ -163,6 +165,7 @@ function App() {
             </ReduxModuleProvider>
           </ReduxAuthProvider>
         </ThemeConfigProvider>
+        </LanguageProvider>
       </PersistGate>
     </Provider>
   );
@@ -24,8 +24,11 @@ import LogoutIcon from '@mui/icons-material/Logout';
 import Stack from '@mui/material/Stack';
 import { Link, useNavigate } from 'react-router-dom';
 import ThemeSwitcher from './ThemeSwitcher';
+import LanguageSwitcher from './LanguageSwitcher';
 import { useAuth } from '../store/providers/ReduxAuthProvider';
+import { useLanguage } from '../context/LanguageContext';
 import { useCompanyRouting } from '../hooks/useCompanyRouting';
+import { useNotificationStream } from '../hooks/useNotificationStream';
 import { designTokens } from '../theme/designTokens';
 import { getUserProfilePicture, getUserInitials } from '../utils/profilePicture';
 // eslint-disable-next-line no-unused-vars
@@ -88,6 +91,7 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
     const navigate = useNavigate();
     const { getCompanyRoute } = useCompanyRouting();
     const { logout, isAuthenticated } = useAuth();
+    const { locale, t } = useLanguage();
     const [anchorEl, setAnchorEl] = React.useState(null);
     const [notificationAnchorEl, setNotificationAnchorEl] = React.useState(null);
     const [notifications, setNotifications] = React.useState([]);
@@ -148,16 +152,27 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
         }
     }, [isAuthenticated, user]);
 
+    // New notifications are pushed by the server as they are created
+    const { connected: streamConnected } = useNotificationStream({
+        onNotification: (notification) => {
+            setNotifications(prev => [notification, ...prev.filter(n => n._id !== notification._id)].slice(0, 10));
+        },
+        onRead: ({ ids, all }) => {
+            setNotifications(prev => (all ? [] : prev.filter(n => !ids?.includes(n._id))));
+        }
+    }, Boolean(isAuthenticated && user?._id));
+
     // Fetch notifications
     React.useEffect(() => {
         // Only fetch notifications if user is authenticated and has an ID
         if (user && user._id && isAuthenticated) {
             fetchNotifications();
-            // Refresh notifications every 60 seconds
+            // Poll every 60 seconds only while the real-time stream is down
+            if (streamConnected) return undefined;
             const interval = setInterval(fetchNotifications, 60000);
             return () => clearInterval(interval);
         }
-    }, [user, fetchNotifications, isAuthenticated]);
+    }, [user, fetchNotifications, isAuthenticated, streamConnected]);
 
     const notificationCount = notifications.length;
 
@@ -277,7 +292,7 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                                     letterSpacing: 0.5,
                                 }}
                             >
-                                {currentTime.toLocaleTimeString('en-US', {
+                                {currentTime.toLocaleTimeString(locale, {
                                     hour: '2-digit',
                                     minute: '2-digit',
                                     second: '2-digit',
@@ -292,7 +307,7 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                                     fontWeight: 500,
                                 }}
                             >
-                                {currentTime.toLocaleDateString('en-US', {
+                                {currentTime.toLocaleDateString(locale, {
                                     weekday: 'long',
                                     month: 'short',
                                     day: 'numeric',
@@ -301,9 +316,11 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                             </Typography>
                         </Box>
 
+                        <LanguageSwitcher />
+
                         <ThemeSwitcher />
 
-                        <Tooltip title="Notifications">
+                        <Tooltip title={t('header.notifications')}>
                             <IconButton
                                 size="medium"
                                 onClick={handleNotificationClick}
@@ -328,7 +345,7 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                             </IconButton>
                         </Tooltip>
 
-                        <Tooltip title="Account">
+                        <Tooltip title={t('header.account')}>
                             <IconButton
                                 onClick={handleProfileClick}
                                 size="small"
@@ -444,20 +461,20 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                     <ListItemIcon>
                         <PersonIcon fontSize="small" />
                     </ListItemIcon>
-                    <Typography variant="body2">Profile</Typography>
+                    <Typography variant="body2">{t('header.profile')}</Typography>
                 </MenuItem>
                 <MenuItem onClick={handleProfileClose} component={Link} to={getCompanyRoute("/settings")}>
                     <ListItemIcon>
                         <SettingsIcon fontSize="small" />
                     </ListItemIcon>
-                    <Typography variant="body2">Settings</Typography>
+                    <Typography variant="body2">{t('header.settings')}</Typography>
                 </MenuItem>
                 <Divider sx={{ my: 1 }} />
                 <MenuItem onClick={handleLogout} sx={{ color: 'error.main' }}>
                     <ListItemIcon>
                         <LogoutIcon fontSize="small" color="error" />
                     </ListItemIcon>
-                    <Typography variant="body2">Logout</Typography>
+                    <Typography variant="body2">{t('header.logout')}</Typography>
                 </MenuItem>
             </Menu >
 
@@ -487,7 +504,7 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
             >
                 <Box sx={{ px: 2.5, py: 2, borderBottom: '1px solid', borderColor: 'divider' }}>
                     <Typography variant="h6" sx={{ fontWeight: 600, fontSize: '1rem' }}>
-                        Notifications
+                        {t('header.notifications')}
                     </Typography>
                     {notificationCount > 0 && (
                         <Typography variant="caption" color="text.secondary">
@@ -625,8 +642,8 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                             </Typography>
                         </Box>
                     )}
-                {notifications.length > 0 && (
-                    <Box sx={{ p: 1.5, borderTop: '1px solid', borderColor: 'divider', textAlign: 'center' }}>
+                <Box sx={{ p: 1.5, borderTop: '1px solid', borderColor: 'divider', display: 'flex', justifyContent: 'center', gap: 1 }}>
+                    {notifications.length > 0 && (
                         <Button
                             size="small"
                             onClick={() => {
@@ -637,8 +654,18 @@ function DashboardHeader({ logo, title, menuOpen, onToggleMenu, user }) {
                         >
                             View All Requests
                         </Button>
-                    </Box>
-                )}
+                    )}
+                    <Button
+                        size="small"
+                        onClick={() => {
+                            handleNotificationClose();
+                            navigate(getCompanyRoute('/notification-preferences'));
+                        }}
+                        sx={{ fontSize: '0.8rem' }}
+                    >
+                        Preferences
+                    </Button>
+                </Box>
             </Menu>
         </AppBar>
     );
@@ -13,6 +13,7 @@ import WorkIcon from '@mui/icons-material/Work';
 import AccessTimeIcon from '@mui/icons-material/AccessTime';
 import RequestPageIcon from '@mui/icons-material/RequestPage';
 import PaymentIcon from '@mui/icons-material/Payment';
+import ReceiptLongIcon from '@mui/icons-material/ReceiptLong';
 import DescriptionIcon from '@mui/icons-material/Description';
 import ArticleIcon from '@mui/icons-material/Article';
 import AnnouncementIcon from '@mui/icons-material/Announcement';
@@ -29,6 +30,10 @@ import BarChartIcon from '@mui/icons-material/BarChart';
 import AssessmentIcon from '@mui/icons-material/Assessment';
 import SecurityIcon from '@mui/icons-material/Security';
 import BackupIcon from '@mui/icons-material/Backup';
+import SettingsBackupRestoreIcon from '@mui/icons-material/SettingsBackupRestore';
+import WebhookIcon from '@mui/icons-material/Webhook';
+import VpnKeyIcon from '@mui/icons-material/VpnKey';
+import PrivacyTipIcon from '@mui/icons-material/PrivacyTip';
 import PersonOffIcon from '@mui/icons-material/PersonOff';
 import MonitorIcon from '@mui/icons-material/Monitor';
 import ErrorOutlineIcon from '@mui/icons-material/ErrorOutline';
@@ -47,12 +52,16 @@ import PolicyIcon from '@mui/icons-material/Policy';
 import EmojiEventsIcon from '@mui/icons-material/EmojiEvents';
 import AdminPanelSettingsIcon from '@mui/icons-material/AdminPanelSettings';
 import AssignmentIcon from '@mui/icons-material/Assignment';
+import ApprovalIcon from '@mui/icons-material/Approval';
+import ChecklistIcon from '@mui/icons-material/Checklist';
 import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
 import HealthAndSafetyIcon from '@mui/icons-material/HealthAndSafety';
+import EventAvailableIcon from '@mui/icons-material/EventAvailable';
 import { matchPath, useLocation } from 'react-router';
 import { useAuth } from '../store/providers/ReduxAuthProvider';
 import { useModules } from '../store/providers/ReduxModuleProvider';
 import { useCompanyRouting } from '../hooks/useCompanyRouting';
+import { useLanguage } from '../context/LanguageContext';
 import DashboardSidebarContext from '../context/DashboardSidebarContext';
 import { DRAWER_WIDTH, MINI_DRAWER_WIDTH } from '../constants';
 import DashboardSidebarPageItem from './DashboardSidebarPageItem';
@@ -93,6 +102,7 @@ function DashboardSidebar({
 
     const { pathname } = useLocation();
     const { getCompanyRoute } = useCompanyRouting();
+    const { t } = useLanguage();
 
     // State for expanded menu items
     const [expandedItemIds, setExpandedItemIds] = React.useState([]);
@@ -177,6 +187,7 @@ function DashboardSidebar({
             'attendance': 'attendance',
             'my-attendance': 'attendance',
             'forget-checks': 'attendance',
+            'roster': 'attendance',
             
             // Leave module (missions, sick leaves, permissions, overtime, vacation)
             'missions': 'leave',
@@ -188,6 +199,7 @@ function DashboardSidebar({
             
             // Payroll module
             'payroll': 'payroll',
+            'my-payslips': 'payroll',
             
             // Documents module
             'documents': 'documents',
@@ -209,6 +221,9 @@ function DashboardSidebar({
             // Life Insurance module
             'insurance': 'life-insurance',
             
+            // Clinic module
+            'appointments': 'clinic',
+            
             // Core HR - always enabled (no module key needed)
             'dashboard': null,
             'departments': null,
@@ -223,6 +238,10 @@ function DashboardSidebar({
             'theme-editor': null,
             'security': null,
             'backups': null,
+            'tenant-backups': null,
+            'webhooks': null,
+            'api-keys': null,
+            'data-subject-requests': null,
             'resigned': null,
             'license-status': null,
             'pricing': null,
@@ -308,7 +327,7 @@ function DashboardSidebar({
                         {/* Common for all roles */}
                         <DashboardSidebarPageItem
                             id="dashboard"
-                            title="Dashboard"
+                            title={t('nav.dashboard')}
                             icon={<DashboardIcon />}
                             href={getCompanyRoute('/dashboard')}
                             selected={!!matchPath(getCompanyRoute('/dashboard'), pathname)}
@@ -321,11 +340,11 @@ function DashboardSidebar({
                         {['employee', 'supervisor', 'manager', 'head-of-department', 'doctor', 'id-card-admin'].includes(userRole) && (
                             <>
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>My Work</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.myWork')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('missions') && (
                                     <DashboardSidebarPageItem
                                         id="missions"
-                                        title="Missions"
+                                        title={t('nav.missions')}
                                         icon={<FlightTakeoffIcon />}
                                         href={getCompanyRoute("/missions")}
                                         selected={pathname.startsWith(getCompanyRoute('/missions'))}
@@ -335,7 +354,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('sick-leaves') && (
                                     <DashboardSidebarPageItem
                                         id="sick-leaves"
-                                        title="Sick Leaves"
+                                        title={t('nav.sickLeaves')}
                                         icon={<LocalHospitalIcon />}
                                         href={getCompanyRoute("/sick-leaves")}
                                         selected={pathname.startsWith(getCompanyRoute('/sick-leaves'))}
@@ -345,7 +364,7 @@ function DashboardSidebar({
                                 {userRole === 'doctor' && shouldShowMenuItem('doctor-review-queue') && (
                                     <DashboardSidebarPageItem
                                         id="doctor-review-queue"
-                                        title="Doctor Review Queue"
+                                        title={t('nav.doctorReviewQueue')}
                                         icon={<MedicalServicesIcon />}
                                         href={getCompanyRoute("/sick-leaves/doctor-queue")}
                                         selected={!!matchPath(getCompanyRoute('/sick-leaves/doctor-queue'), pathname)}
@@ -355,7 +374,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('permissions') && (
                                     <DashboardSidebarPageItem
                                         id="permissions"
-                                        title="Permissions"
+                                        title={t('nav.permissions')}
                                         icon={<AccessAlarmIcon />}
                                         href={getCompanyRoute("/permissions")}
                                         selected={pathname.startsWith(getCompanyRoute('/permissions'))}
@@ -365,7 +384,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('overtime') && (
                                     <DashboardSidebarPageItem
                                         id="overtime"
-                                        title="Overtime"
+                                        title={t('nav.overtime')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/overtime")}
                                         selected={pathname.startsWith(getCompanyRoute('/overtime'))}
@@ -375,7 +394,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('vacation-requests') && (
                                     <DashboardSidebarPageItem
                                         id="vacation-requests"
-                                        title="Vacation Requests"
+                                        title={t('nav.vacationRequests')}
                                         icon={<BeachAccessIcon />}
                                         href={getCompanyRoute("/vacation-requests")}
                                         selected={pathname.startsWith(getCompanyRoute('/vacation-requests'))}
@@ -385,7 +404,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('forget-checks') && (
                                     <DashboardSidebarPageItem
                                         id="forget-checks"
-                                        title="Forget Check"
+                                        title={t('nav.forgetCheck')}
                                         icon={<ErrorOutlineIcon />}
                                         href={getCompanyRoute("/forget-checks")}
                                         selected={!!matchPath(getCompanyRoute('/forget-checks'), pathname)}
@@ -395,19 +414,29 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('tasks') && (
                                     <DashboardSidebarPageItem
                                         id="tasks"
-                                        title="Tasks"
+                                        title={t('nav.tasks')}
                                         icon={<AssignmentIcon />}
                                         href={getCompanyRoute("/tasks")}
                                         selected={pathname.startsWith(getCompanyRoute('/tasks'))}
                                         locked={isMenuItemLocked('tasks')}
                                     />
                                 )}
+                                {shouldShowMenuItem('my-payslips') && (
+                                    <DashboardSidebarPageItem
+                                        id="my-payslips"
+                                        title={t('nav.myPayslips')}
+                                        icon={<ReceiptLongIcon />}
+                                        href={getCompanyRoute("/payroll/my-payslips")}
+                                        selected={!!matchPath(getCompanyRoute('/payroll/my-payslips'), pathname)}
+                                        locked={isMenuItemLocked('my-payslips')}
+                                    />
+                                )}
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Information</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.information')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('my-attendance') && (
                                     <DashboardSidebarPageItem
                                         id="my-attendance"
-                                        title="My Attendance"
+                                        title={t('nav.myAttendance')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/attendance")}
                                         selected={!!matchPath(getCompanyRoute('/attendance'), pathname)}
@@ -417,17 +446,47 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('my-requests') && (
                                     <DashboardSidebarPageItem
                                         id="my-requests"
-                                        title="My Requests"
+                                        title={t('nav.myRequests')}
                                         icon={<RequestPageIcon />}
                                         href={getCompanyRoute("/requests")}
                                         selected={!!matchPath(getCompanyRoute('/requests'), pathname)}
                                         locked={isMenuItemLocked('my-requests')}
                                     />
                                 )}
+                                {shouldShowMenuItem('approvals') && (
+                                    <DashboardSidebarPageItem
+                                        id="approvals"
+                                        title={t('nav.approvals')}
+                                        icon={<ApprovalIcon />}
+                                        href={getCompanyRoute("/approvals")}
+                                        selected={!!matchPath(getCompanyRoute('/approvals'), pathname)}
+                                        locked={isMenuItemLocked('approvals')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('checklists') && (
+                                    <DashboardSidebarPageItem
+                                        id="checklists"
+                                        title={t('nav.checklists')}
+                                        icon={<ChecklistIcon />}
+                                        href={getCompanyRoute("/checklists")}
+                                        selected={!!matchPath(getCompanyRoute('/checklists'), pathname)}
+                                        locked={isMenuItemLocked('checklists')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('appointments') && (
+                                    <DashboardSidebarPageItem
+                                        id="appointments"
+                                        title={t('nav.appointments')}
+                                        icon={<EventAvailableIcon />}
+                                        href={getCompanyRoute("/appointments")}
+                                        selected={!!matchPath(getCompanyRoute('/appointments'), pathname)}
+                                        locked={isMenuItemLocked('appointments')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('documents') && (
                                     <DashboardSidebarPageItem
                                         id="documents"
-                                        title="Documents"
+                                        title={t('nav.documents')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/documents")}
                                         selected={!!matchPath(getCompanyRoute('/documents'), pathname)}
@@ -437,7 +496,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('hard-copies') && (
                                     <DashboardSidebarPageItem
                                         id="hard-copies"
-                                        title="Hard Copies"
+                                        title={t('nav.hardCopies')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/hardcopies")}
                                         selected={!!matchPath(getCompanyRoute('/hardcopies'), pathname)}
@@ -447,7 +506,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('announcements') && (
                                     <DashboardSidebarPageItem
                                         id="announcements"
-                                        title="Announcements"
+                                        title={t('nav.announcements')}
                                         icon={<AnnouncementIcon />}
                                         href={getCompanyRoute("/announcements")}
                                         selected={!!matchPath(getCompanyRoute('/announcements'), pathname)}
@@ -457,7 +516,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('events') && (
                                     <DashboardSidebarPageItem
                                         id="events"
-                                        title="Events"
+                                        title={t('nav.events')}
                                         icon={<EventIcon />}
                                         href={getCompanyRoute("/events")}
                                         selected={!!matchPath(getCompanyRoute('/events'), pathname)}
@@ -467,7 +526,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('surveys') && (
                                     <DashboardSidebarPageItem
                                         id="surveys"
-                                        title="Surveys"
+                                        title={t('nav.surveys')}
                                         icon={<PollIcon />}
                                         href={getCompanyRoute("/surveys")}
                                         selected={!!matchPath(getCompanyRoute('/surveys'), pathname)}
@@ -481,11 +540,11 @@ function DashboardSidebar({
                         {userRole === 'hr' && (
                             <>
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Organization</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.organization')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('departments') && (
                                     <DashboardSidebarPageItem
                                         id="departments"
-                                        title="Departments"
+                                        title={t('nav.departments')}
                                         icon={<BusinessIcon />}
                                         href={getCompanyRoute("/departments")}
                                         selected={!!matchPath(getCompanyRoute('/departments'), pathname)}
@@ -495,7 +554,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('positions') && (
                                     <DashboardSidebarPageItem
                                         id="positions"
-                                        title="Positions"
+                                        title={t('nav.positions')}
                                         icon={<WorkIcon />}
                                         href={getCompanyRoute("/positions")}
                                         selected={!!matchPath(getCompanyRoute('/positions'), pathname)}
@@ -505,7 +564,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('users') && (
                                     <DashboardSidebarPageItem
                                         id="users"
-                                        title="Users"
+                                        title={t('nav.users')}
                                         icon={<PersonIcon />}
                                         href={getCompanyRoute("/users")}
                                         selected={!!matchPath(getCompanyRoute('/users'), pathname)}
@@ -514,21 +573,31 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>HR Operations</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.hrOperations')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('attendance') && (
                                     <DashboardSidebarPageItem
                                         id="attendance"
-                                        title="Attendance Management"
+                                        title={t('nav.attendanceManagement')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/attendance")}
                                         selected={!!matchPath(getCompanyRoute('/attendance'), pathname)}
                                         locked={isMenuItemLocked('attendance')}
                                     />
                                 )}
+                                {shouldShowMenuItem('roster') && (
+                                    <DashboardSidebarPageItem
+                                        id="roster"
+                                        title={t('nav.shiftRoster')}
+                                        icon={<ScheduleIcon />}
+                                        href={getCompanyRoute("/attendance/roster")}
+                                        selected={!!matchPath(getCompanyRoute('/attendance/roster'), pathname)}
+                                        locked={isMenuItemLocked('roster')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('forget-checks') && (
                                     <DashboardSidebarPageItem
                                         id="forget-checks"
-                                        title="Forget Check"
+                                        title={t('nav.forgetCheck')}
                                         icon={<ErrorOutlineIcon />}
                                         href={getCompanyRoute("/forget-checks")}
                                         selected={!!matchPath(getCompanyRoute('/forget-checks'), pathname)}
@@ -538,7 +607,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('missions') && (
                                     <DashboardSidebarPageItem
                                         id="missions"
-                                        title="Missions"
+                                        title={t('nav.missions')}
                                         icon={<FlightTakeoffIcon />}
                                         href={getCompanyRoute("/missions")}
                                         selected={pathname.startsWith(getCompanyRoute('/missions'))}
@@ -548,7 +617,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('sick-leaves') && (
                                     <DashboardSidebarPageItem
                                         id="sick-leaves"
-                                        title="Sick Leaves"
+                                        title={t('nav.sickLeaves')}
                                         icon={<LocalHospitalIcon />}
                                         href={getCompanyRoute("/sick-leaves")}
                                         selected={pathname.startsWith(getCompanyRoute('/sick-leaves'))}
@@ -558,7 +627,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('permissions') && (
                                     <DashboardSidebarPageItem
                                         id="permissions"
-                                        title="Permissions"
+                                        title={t('nav.permissions')}
                                         icon={<AccessAlarmIcon />}
                                         href={getCompanyRoute("/permissions")}
                                         selected={pathname.startsWith(getCompanyRoute('/permissions'))}
@@ -568,7 +637,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('overtime') && (
                                     <DashboardSidebarPageItem
                                         id="overtime"
-                                        title="Overtime"
+                                        title={t('nav.overtime')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/overtime")}
                                         selected={pathname.startsWith(getCompanyRoute('/overtime'))}
@@ -578,7 +647,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('vacation-requests') && (
                                     <DashboardSidebarPageItem
                                         id="vacation-requests"
-                                        title="Vacation Requests"
+                                        title={t('nav.vacationRequests')}
                                         icon={<BeachAccessIcon />}
                                         href={getCompanyRoute("/vacation-requests")}
                                         selected={pathname.startsWith(getCompanyRoute('/vacation-requests'))}
@@ -588,17 +657,47 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('requests') && (
                                     <DashboardSidebarPageItem
                                         id="requests"
-                                        title="Requests"
+                                        title={t('nav.requests')}
                                         icon={<RequestPageIcon />}
                                         href={getCompanyRoute("/requests")}
                                         selected={!!matchPath(getCompanyRoute('/requests'), pathname)}
                                         locked={isMenuItemLocked('requests')}
                                     />
                                 )}
+                                {shouldShowMenuItem('approvals') && (
+                                    <DashboardSidebarPageItem
+                                        id="approvals"
+                                        title={t('nav.approvals')}
+                                        icon={<ApprovalIcon />}
+                                        href={getCompanyRoute("/approvals")}
+                                        selected={!!matchPath(getCompanyRoute('/approvals'), pathname)}
+                                        locked={isMenuItemLocked('approvals')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('checklists') && (
+                                    <DashboardSidebarPageItem
+                                        id="checklists"
+                                        title={t('nav.checklists')}
+                                        icon={<ChecklistIcon />}
+                                        href={getCompanyRoute("/checklists")}
+                                        selected={!!matchPath(getCompanyRoute('/checklists'), pathname)}
+                                        locked={isMenuItemLocked('checklists')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('appointments') && (
+                                    <DashboardSidebarPageItem
+                                        id="appointments"
+                                        title={t('nav.appointments')}
+                                        icon={<EventAvailableIcon />}
+                                        href={getCompanyRoute("/appointments")}
+                                        selected={!!matchPath(getCompanyRoute('/appointments'), pathname)}
+                                        locked={isMenuItemLocked('appointments')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('payroll') && (
                                     <DashboardSidebarPageItem
                                         id="payroll"
-                                        title="Payroll"
+                                        title={t('nav.payroll')}
                                         icon={<PaymentIcon />}
                                         href={getCompanyRoute("/payroll")}
                                         selected={!!matchPath(getCompanyRoute('/payroll'), pathname)}
@@ -608,7 +707,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('insurance') && (
                                     <DashboardSidebarPageItem
                                         id="insurance"
-                                        title="Life Insurance"
+                                        title={t('nav.lifeInsurance')}
                                         icon={<HealthAndSafetyIcon />}
                                         href={getCompanyRoute("/insurance/policies")}
                                         selected={pathname.startsWith(getCompanyRoute('/insurance'))}
@@ -617,11 +716,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Task Management</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.taskManagement')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('tasks') && (
                                     <DashboardSidebarPageItem
                                         id="tasks"
-                                        title="Tasks"
+                                        title={t('nav.tasks')}
                                         icon={<AssignmentIcon />}
                                         href={getCompanyRoute("/tasks")}
                                         selected={pathname.startsWith(getCompanyRoute('/tasks'))}
@@ -630,11 +729,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Documents</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.documents')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('documents') && (
                                     <DashboardSidebarPageItem
                                         id="documents"
-                                        title="Documents"
+                                        title={t('nav.documents')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/documents")}
                                         selected={!!matchPath(getCompanyRoute('/documents'), pathname)}
@@ -644,7 +743,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('hard-copies') && (
                                     <DashboardSidebarPageItem
                                         id="hard-copies"
-                                        title="Hard Copies"
+                                        title={t('nav.hardCopies')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/hardcopies")}
                                         selected={!!matchPath(getCompanyRoute('/hardcopies'), pathname)}
@@ -654,7 +753,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('templates') && (
                                     <DashboardSidebarPageItem
                                         id="templates"
-                                        title="Templates"
+                                        title={t('nav.templates')}
                                         icon={<ArticleIcon />}
                                         href={getCompanyRoute("/templates")}
                                         selected={!!matchPath(getCompanyRoute('/templates'), pathname)}
@@ -663,11 +762,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Communication</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.communication')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('announcements') && (
                                     <DashboardSidebarPageItem
                                         id="announcements"
-                                        title="Announcements"
+                                        title={t('nav.announcements')}
                                         icon={<AnnouncementIcon />}
                                         href={getCompanyRoute("/announcements")}
                                         selected={!!matchPath(getCompanyRoute('/announcements'), pathname)}
@@ -677,7 +776,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('events') && (
                                     <DashboardSidebarPageItem
                                         id="events"
-                                        title="Events"
+                                        title={t('nav.events')}
                                         icon={<EventIcon />}
                                         href={getCompanyRoute("/events")}
                                         selected={!!matchPath(getCompanyRoute('/events'), pathname)}
@@ -687,7 +786,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('surveys') && (
                                     <DashboardSidebarPageItem
                                         id="surveys"
-                                        title="Surveys"
+                                        title={t('nav.surveys')}
                                         icon={<PollIcon />}
                                         href={getCompanyRoute("/surveys")}
                                         selected={!!matchPath(getCompanyRoute('/surveys'), pathname)}
@@ -696,11 +795,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Advanced</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.advanced')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('dashboard-edit') && (
                                     <DashboardSidebarPageItem
                                         id="dashboard-edit"
-                                        title="Dashboard Settings"
+                                        title={t('nav.dashboardSettings')}
                                         icon={<EditIcon />}
                                         href={getCompanyRoute("/dashboard/edit")}
                                         selected={!!matchPath(getCompanyRoute('/dashboard/edit'), pathname)}
@@ -710,7 +809,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('holidays') && (
                                     <DashboardSidebarPageItem
                                         id="holidays"
-                                        title="Holidays"
+                                        title={t('nav.holidays')}
                                         icon={<CalendarTodayIcon />}
                                         href={getCompanyRoute("/holidays")}
                                         selected={!!matchPath(getCompanyRoute('/holidays'), pathname)}
@@ -720,7 +819,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('reports') && (
                                     <DashboardSidebarPageItem
                                         id="reports"
-                                        title="Reports"
+                                        title={t('nav.reports')}
                                         icon={<BarChartIcon />}
                                         href={getCompanyRoute("/reports")}
                                         selected={!!matchPath(getCompanyRoute('/reports'), pathname)}
@@ -730,7 +829,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('analytics') && (
                                     <DashboardSidebarPageItem
                                         id="analytics"
-                                        title="Analytics"
+                                        title={t('nav.analytics')}
                                         icon={<AssessmentIcon />}
                                         href={getCompanyRoute("/analytics")}
                                         selected={!!matchPath(getCompanyRoute('/analytics'), pathname)}
@@ -744,11 +843,11 @@ function DashboardSidebar({
                         {userRole === 'admin' && (
                             <>
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Organization</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.organization')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('departments') && (
                                     <DashboardSidebarPageItem
                                         id="departments"
-                                        title="Departments"
+                                        title={t('nav.departments')}
                                         icon={<BusinessIcon />}
                                         href={getCompanyRoute("/departments")}
                                         selected={!!matchPath(getCompanyRoute('/departments'), pathname)}
@@ -758,7 +857,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('positions') && (
                                     <DashboardSidebarPageItem
                                         id="positions"
-                                        title="Positions"
+                                        title={t('nav.positions')}
                                         icon={<WorkIcon />}
                                         href={getCompanyRoute("/positions")}
                                         selected={!!matchPath(getCompanyRoute('/positions'), pathname)}
@@ -768,7 +867,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('users') && (
                                     <DashboardSidebarPageItem
                                         id="users"
-                                        title="Users"
+                                        title={t('nav.users')}
                                         icon={<PersonIcon />}
                                         href={getCompanyRoute("/users")}
                                         selected={!!matchPath(getCompanyRoute('/users'), pathname)}
@@ -777,21 +876,31 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>HR Operations</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.hrOperations')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('attendance') && (
                                     <DashboardSidebarPageItem
                                         id="attendance"
-                                        title="Attendance Management"
+                                        title={t('nav.attendanceManagement')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/attendance")}
                                         selected={!!matchPath(getCompanyRoute('/attendance'), pathname)}
                                         locked={isMenuItemLocked('attendance')}
                                     />
                                 )}
+                                {shouldShowMenuItem('roster') && (
+                                    <DashboardSidebarPageItem
+                                        id="roster"
+                                        title={t('nav.shiftRoster')}
+                                        icon={<ScheduleIcon />}
+                                        href={getCompanyRoute("/attendance/roster")}
+                                        selected={!!matchPath(getCompanyRoute('/attendance/roster'), pathname)}
+                                        locked={isMenuItemLocked('roster')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('forget-checks') && (
                                     <DashboardSidebarPageItem
                                         id="forget-checks"
-                                        title="Forget Check"
+                                        title={t('nav.forgetCheck')}
                                         icon={<ErrorOutlineIcon />}
                                         href={getCompanyRoute("/forget-checks")}
                                         selected={!!matchPath(getCompanyRoute('/forget-checks'), pathname)}
@@ -801,7 +910,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('missions') && (
                                     <DashboardSidebarPageItem
                                         id="missions"
-                                        title="Missions"
+                                        title={t('nav.missions')}
                                         icon={<FlightTakeoffIcon />}
                                         href={getCompanyRoute("/missions")}
                                         selected={pathname.startsWith(getCompanyRoute('/missions'))}
@@ -811,7 +920,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('sick-leaves') && (
                                     <DashboardSidebarPageItem
                                         id="sick-leaves"
-                                        title="Sick Leaves"
+                                        title={t('nav.sickLeaves')}
                                         icon={<LocalHospitalIcon />}
                                         href={getCompanyRoute("/sick-leaves")}
                                         selected={pathname.startsWith(getCompanyRoute('/sick-leaves'))}
@@ -821,7 +930,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('permissions') && (
                                     <DashboardSidebarPageItem
                                         id="permissions"
-                                        title="Permissions"
+                                        title={t('nav.permissions')}
                                         icon={<AccessAlarmIcon />}
                                         href={getCompanyRoute("/permissions")}
                                         selected={pathname.startsWith(getCompanyRoute('/permissions'))}
@@ -831,7 +940,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('overtime') && (
                                     <DashboardSidebarPageItem
                                         id="overtime"
-                                        title="Overtime"
+                                        title={t('nav.overtime')}
                                         icon={<AccessTimeIcon />}
                                         href={getCompanyRoute("/overtime")}
                                         selected={pathname.startsWith(getCompanyRoute('/overtime'))}
@@ -841,7 +950,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('vacation-requests') && (
                                     <DashboardSidebarPageItem
                                         id="vacation-requests"
-                                        title="Vacation Requests"
+                                        title={t('nav.vacationRequests')}
                                         icon={<BeachAccessIcon />}
                                         href={getCompanyRoute("/vacation-requests")}
                                         selected={pathname.startsWith(getCompanyRoute('/vacation-requests'))}
@@ -851,17 +960,47 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('requests') && (
                                     <DashboardSidebarPageItem
                                         id="requests"
-                                        title="Requests"
+                                        title={t('nav.requests')}
                                         icon={<RequestPageIcon />}
                                         href={getCompanyRoute("/requests")}
                                         selected={!!matchPath(getCompanyRoute('/requests'), pathname)}
                                         locked={isMenuItemLocked('requests')}
                                     />
                                 )}
+                                {shouldShowMenuItem('approvals') && (
+                                    <DashboardSidebarPageItem
+                                        id="approvals"
+                                        title={t('nav.approvals')}
+                                        icon={<ApprovalIcon />}
+                                        href={getCompanyRoute("/approvals")}
+                                        selected={!!matchPath(getCompanyRoute('/approvals'), pathname)}
+                                        locked={isMenuItemLocked('approvals')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('checklists') && (
+                                    <DashboardSidebarPageItem
+                                        id="checklists"
+                                        title={t('nav.checklists')}
+                                        icon={<ChecklistIcon />}
+                                        href={getCompanyRoute("/checklists")}
+                                        selected={!!matchPath(getCompanyRoute('/checklists'), pathname)}
+                                        locked={isMenuItemLocked('checklists')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('appointments') && (
+                                    <DashboardSidebarPageItem
+                                        id="appointments"
+                                        title={t('nav.appointments')}
+                                        icon={<EventAvailableIcon />}
+                                        href={getCompanyRoute("/appointments")}
+                                        selected={!!matchPath(getCompanyRoute('/appointments'), pathname)}
+                                        locked={isMenuItemLocked('appointments')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('payroll') && (
                                     <DashboardSidebarPageItem
                                         id="payroll"
-                                        title="Payroll"
+                                        title={t('nav.payroll')}
                                         icon={<PaymentIcon />}
                                         href={getCompanyRoute("/payroll")}
                                         selected={!!matchPath(getCompanyRoute('/payroll'), pathname)}
@@ -871,7 +1010,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('insurance') && (
                                     <DashboardSidebarPageItem
                                         id="insurance"
-                                        title="Life Insurance"
+                                        title={t('nav.lifeInsurance')}
                                         icon={<HealthAndSafetyIcon />}
                                         href={getCompanyRoute("/insurance/policies")}
                                         selected={pathname.startsWith(getCompanyRoute('/insurance'))}
@@ -881,7 +1020,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('resigned') && (
                                     <DashboardSidebarPageItem
                                         id="resigned"
-                                        title="Resigned Employees"
+                                        title={t('nav.resignedEmployees')}
                                         icon={<PersonOffIcon />}
                                         href={getCompanyRoute("/resigned")}
                                         selected={!!matchPath(getCompanyRoute('/resigned'), pathname)}
@@ -890,11 +1029,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Task Management</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.taskManagement')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('tasks') && (
                                     <DashboardSidebarPageItem
                                         id="tasks"
-                                        title="Tasks"
+                                        title={t('nav.tasks')}
                                         icon={<AssignmentIcon />}
                                         href={getCompanyRoute("/tasks")}
                                         selected={pathname.startsWith(getCompanyRoute('/tasks'))}
@@ -903,11 +1042,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Documents</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.documents')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('documents') && (
                                     <DashboardSidebarPageItem
                                         id="documents"
-                                        title="Documents"
+                                        title={t('nav.documents')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/documents")}
                                         selected={!!matchPath(getCompanyRoute('/documents'), pathname)}
@@ -917,7 +1056,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('hard-copies') && (
                                     <DashboardSidebarPageItem
                                         id="hard-copies"
-                                        title="Hard Copies"
+                                        title={t('nav.hardCopies')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/hardcopies")}
                                         selected={!!matchPath(getCompanyRoute('/hardcopies'), pathname)}
@@ -927,7 +1066,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('templates') && (
                                     <DashboardSidebarPageItem
                                         id="templates"
-                                        title="Templates"
+                                        title={t('nav.templates')}
                                         icon={<ArticleIcon />}
                                         href={getCompanyRoute("/templates")}
                                         selected={!!matchPath(getCompanyRoute('/templates'), pathname)}
@@ -936,11 +1075,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Communication</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.communication')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('announcements') && (
                                     <DashboardSidebarPageItem
                                         id="announcements"
-                                        title="Announcements"
+                                        title={t('nav.announcements')}
                                         icon={<AnnouncementIcon />}
                                         href={getCompanyRoute("/announcements")}
                                         selected={!!matchPath(getCompanyRoute('/announcements'), pathname)}
@@ -950,7 +1089,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('events') && (
                                     <DashboardSidebarPageItem
                                         id="events"
-                                        title="Events"
+                                        title={t('nav.events')}
                                         icon={<EventIcon />}
                                         href={getCompanyRoute("/events")}
                                         selected={!!matchPath(getCompanyRoute('/events'), pathname)}
@@ -960,7 +1099,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('surveys') && (
                                     <DashboardSidebarPageItem
                                         id="surveys"
-                                        title="Surveys"
+                                        title={t('nav.surveys')}
                                         icon={<PollIcon />}
                                         href={getCompanyRoute("/surveys")}
                                         selected={!!matchPath(getCompanyRoute('/surveys'), pathname)}
@@ -969,11 +1108,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Advanced</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.advanced')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('holidays') && (
                                     <DashboardSidebarPageItem
                                         id="holidays"
-                                        title="Holidays"
+                                        title={t('nav.holidays')}
                                         icon={<CalendarTodayIcon />}
                                         href={getCompanyRoute("/holidays")}
                                         selected={!!matchPath(getCompanyRoute('/holidays'), pathname)}
@@ -983,7 +1122,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('reports') && (
                                     <DashboardSidebarPageItem
                                         id="reports"
-                                        title="Reports"
+                                        title={t('nav.reports')}
                                         icon={<BarChartIcon />}
                                         href={getCompanyRoute("/reports")}
                                         selected={!!matchPath(getCompanyRoute('/reports'), pathname)}
@@ -993,7 +1132,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('analytics') && (
                                     <DashboardSidebarPageItem
                                         id="analytics"
-                                        title="Analytics"
+                                        title={t('nav.analytics')}
                                         icon={<AssessmentIcon />}
                                         href={getCompanyRoute("/analytics")}
                                         selected={!!matchPath(getCompanyRoute('/analytics'), pathname)}
@@ -1002,11 +1141,11 @@ function DashboardSidebar({
                                 )}
 
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>Administration</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.administration')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('dashboard-edit') && (
                                     <DashboardSidebarPageItem
                                         id="dashboard-edit"
-                                        title="Dashboard Settings"
+                                        title={t('nav.dashboardSettings')}
                                         icon={<EditIcon />}
                                         href={getCompanyRoute("/dashboard/edit")}
                                         selected={!!matchPath(getCompanyRoute('/dashboard/edit'), pathname)}
@@ -1016,7 +1155,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('roles') && (
                                     <DashboardSidebarPageItem
                                         id="roles"
-                                        title="Roles"
+                                        title={t('nav.roles')}
                                         icon={<AdminPanelSettingsIcon />}
                                         href={getCompanyRoute("/roles")}
                                         selected={pathname.startsWith(getCompanyRoute('/roles'))}
@@ -1026,7 +1165,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('settings') && (
                                     <DashboardSidebarPageItem
                                         id="settings"
-                                        title="Settings"
+                                        title={t('nav.settings')}
                                         icon={<SettingsIcon />}
                                         href="#"
                                         selected={pathname.startsWith(getCompanyRoute('/system-settings'))}
@@ -1045,7 +1184,7 @@ function DashboardSidebar({
                                             }}>
                                                 <DashboardSidebarPageItem
                                                     id="system-settings"
-                                                    title="System Settings"
+                                                    title={t('nav.systemSettings')}
                                                     icon={<SettingsIcon />}
                                                     href={getCompanyRoute("/system-settings")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings'), pathname)}
@@ -1053,7 +1192,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="seasonal-settings"
-                                                    title="Seasonal Settings"
+                                                    title={t('nav.seasonalSettings')}
                                                     icon={<CelebrationIcon />}
                                                     href={getCompanyRoute("/system-settings/seasonal")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/seasonal'), pathname)}
@@ -1061,7 +1200,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="request-submission"
-                                                    title="Request Submission Control"
+                                                    title={t('nav.requestSubmissionControl')}
                                                     icon={<ToggleOnIcon />}
                                                     href={getCompanyRoute("/system-settings/request-control")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/request-control'), pathname)}
@@ -1069,7 +1208,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="email-creation"
-                                                    title="Employee Email Creation"
+                                                    title={t('nav.employeeEmailCreation')}
                                                     icon={<EmailIcon />}
                                                     href={getCompanyRoute("/system-settings/email-creation")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/email-creation'), pathname)}
@@ -1077,7 +1216,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="email-management"
-                                                    title="Employee Email Management"
+                                                    title={t('nav.employeeEmailManagement')}
                                                     icon={<ManageAccountsIcon />}
                                                     href={getCompanyRoute("/system-settings/email-management")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/email-management'), pathname)}
@@ -1085,7 +1224,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="maintenance-settings"
-                                                    title="Maintenance Settings"
+                                                    title={t('nav.maintenanceSettings')}
                                                     icon={<BuildIcon />}
                                                     href={getCompanyRoute("/system-settings/maintenance")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/maintenance'), pathname)}
@@ -1093,7 +1232,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="system-notifications"
-                                                    title="System Notifications"
+                                                    title={t('nav.systemNotifications')}
                                                     icon={<NotificationsIcon />}
                                                     href={getCompanyRoute("/system-settings/notifications")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/notifications'), pathname)}
@@ -1101,7 +1240,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="hr-management-settings"
-                                                    title="HR Management Settings"
+                                                    title={t('nav.hrManagementSettings')}
                                                     icon={<GroupIcon />}
                                                     href={getCompanyRoute("/system-settings/hr-management")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/hr-management'), pathname)}
@@ -1109,7 +1248,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="work-schedules"
-                                                    title="Work Schedules"
+                                                    title={t('nav.workSchedules')}
                                                     icon={<ScheduleIcon />}
                                                     href={getCompanyRoute("/system-settings/work-schedules")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/work-schedules'), pathname)}
@@ -1117,7 +1256,7 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="vacation-management-settings"
-                                                    title="Vacation Management"
+                                                    title={t('nav.vacationManagement')}
                                                     icon={<BeachAccessOutlinedIcon />}
                                                     href={getCompanyRoute("/system-settings/vacation-management")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/vacation-management'), pathname)}
@@ -1125,15 +1264,23 @@ function DashboardSidebar({
                                                 />
                                                 <DashboardSidebarPageItem
                                                     id="mixed-vacation-policies"
-                                                    title="Mixed Vacation Policies"
+                                                    title={t('nav.mixedVacationPolicies')}
                                                     icon={<PolicyIcon />}
                                                     href={getCompanyRoute("/system-settings/mixed-vacation")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/mixed-vacation'), pathname)}
                                                     isNested={true}
                                                 />
+                                                <DashboardSidebarPageItem
+                                                    id="leave-policies"
+                                                    title={t('nav.leavePolicies')}
+                                                    icon={<PolicyIcon />}
+                                                    href={getCompanyRoute("/system-settings/leave-policies")}
+                                                    selected={!!matchPath(getCompanyRoute('/system-settings/leave-policies'), pathname)}
+                                                    isNested={true}
+                                                />
                                                 <DashboardSidebarPageItem
                                                     id="employee-of-month"
-                                                    title="Employee of the Month"
+                                                    title={t('nav.employeeOfTheMonth')}
                                                     icon={<EmojiEventsIcon />}
                                                     href={getCompanyRoute("/system-settings/employee-of-month")}
                                                     selected={!!matchPath(getCompanyRoute('/system-settings/employee-of-month'), pathname)}
@@ -1146,7 +1293,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('theme-editor') && (
                                     <DashboardSidebarPageItem
                                         id="theme-editor"
-                                        title="Theme & Colors"
+                                        title={t('nav.themeColors')}
                                         icon={<PaletteIcon />}
                                         href={getCompanyRoute("/theme")}
                                         selected={!!matchPath(getCompanyRoute('/theme'), pathname)}
@@ -1156,7 +1303,7 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('security') && (
                                     <DashboardSidebarPageItem
                                         id="security"
-                                        title="Security"
+                                        title={t('nav.security')}
                                         icon={<SecurityIcon />}
                                         href={getCompanyRoute("/security")}
                                         selected={!!matchPath(getCompanyRoute('/security'), pathname)}
@@ -1165,7 +1312,7 @@ function DashboardSidebar({
                                 )}
                                 <DashboardSidebarPageItem
                                     id="user-activity-tracker"
-                                    title="User Activity Tracker"
+                                    title={t('nav.userActivityTracker')}
                                     icon={<MonitorIcon />}
                                     href={getCompanyRoute('/user-activity-tracker')}
                                     selected={pathname.includes('/user-activity-tracker')}
@@ -1173,17 +1320,57 @@ function DashboardSidebar({
                                 {shouldShowMenuItem('backups') && (
                                     <DashboardSidebarPageItem
                                         id="backups"
-                                        title="Backups"
+                                        title={t('nav.backups')}
                                         icon={<BackupIcon />}
                                         href={getCompanyRoute("/backups")}
                                         selected={!!matchPath(getCompanyRoute('/backups'), pathname)}
                                         locked={isMenuItemLocked('backups')}
                                     />
                                 )}
+                                {shouldShowMenuItem('tenant-backups') && (
+                                    <DashboardSidebarPageItem
+                                        id="tenant-backups"
+                                        title={t('nav.tenantBackups')}
+                                        icon={<SettingsBackupRestoreIcon />}
+                                        href={getCompanyRoute("/tenant-backups")}
+                                        selected={!!matchPath(getCompanyRoute('/tenant-backups'), pathname)}
+                                        locked={isMenuItemLocked('tenant-backups')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('webhooks') && (
+                                    <DashboardSidebarPageItem
+                                        id="webhooks"
+                                        title={t('nav.webhooks')}
+                                        icon={<WebhookIcon />}
+                                        href={getCompanyRoute("/webhooks")}
+                                        selected={!!matchPath(getCompanyRoute('/webhooks'), pathname)}
+                                        locked={isMenuItemLocked('webhooks')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('api-keys') && (
+                                    <DashboardSidebarPageItem
+                                        id="api-keys"
+                                        title={t('nav.apiKeys')}
+                                        icon={<VpnKeyIcon />}
+                                        href={getCompanyRoute("/api-keys")}
+                                        selected={!!matchPath(getCompanyRoute('/api-keys'), pathname)}
+                                        locked={isMenuItemLocked('api-keys')}
+                                    />
+                                )}
+                                {shouldShowMenuItem('data-subject-requests') && (
+                                    <DashboardSidebarPageItem
+                                        id="data-subject-requests"
+                                        title={t('nav.dataSubjectRequests')}
+                                        icon={<PrivacyTipIcon />}
+                                        href={getCompanyRoute("/data-subject-requests")}
+                                        selected={!!matchPath(getCompanyRoute('/data-subject-requests'), pathname)}
+                                        locked={isMenuItemLocked('data-subject-requests')}
+                                    />
+                                )}
                                 {shouldShowMenuItem('license-status') && (
                                     <DashboardSidebarPageItem
                                         id="license-status"
-                                        title="License Status"
+                                        title={t('nav.licenseStatus')}
                                         icon={<VerifiedUserIcon />}
                                         href={getCompanyRoute("/license-status")}
                                         selected={!!matchPath(getCompanyRoute('/license-status'), pathname)}
@@ -1197,11 +1384,11 @@ function DashboardSidebar({
                         {userRole === 'id-card-admin' && (
                             <>
                                 <DashboardSidebarDividerItem />
-                                <DashboardSidebarHeaderItem>ID Card Management</DashboardSidebarHeaderItem>
+                                <DashboardSidebarHeaderItem>{t('nav.sections.idCardManagement')}</DashboardSidebarHeaderItem>
                                 {shouldShowMenuItem('documents') && (
                                     <DashboardSidebarPageItem
                                         id="documents"
-                                        title="Documents"
+                                        title={t('nav.documents')}
                                         icon={<DescriptionIcon />}
                                         href={getCompanyRoute("/documents")}
                                         selected={!!matchPath(getCompanyRoute('/documents'), pathname)}
@@ -0,0 +1,65 @@
+import * as React from 'react';
+import IconButton from '@mui/material/IconButton';
+import Menu from '@mui/material/Menu';
+import MenuItem from '@mui/material/MenuItem';
+import ListItemText from '@mui/material/ListItemText';
+import Tooltip from '@mui/material/Tooltip';
+import TranslateIcon from '@mui/icons-material/Translate';
+import { useLanguage } from '../context/LanguageContext';
+import { useNotification } from '../store/providers/ReduxNotificationProvider';
+
+/**
+ * LanguageSwitcher Component
+ *
+ * Menu button to switch the app between English and Arabic. Signed-in users
+ * get the choice saved to their profile; before sign-in it is kept in the
+ * browser.
+ */
+export default function LanguageSwitcher() {
+    const { language, languages, supportedLanguages, setLanguage, t } = useLanguage();
+    const { showError } = useNotification();
+    const [anchorEl, setAnchorEl] = React.useState(null);
+
+    const handleSelect = async (code) => {
+        setAnchorEl(null);
+        if (code === language) {
+            return;
+        }
+        try {
+            await setLanguage(code);
+        } catch (error) {
+            showError(t('language.updateFailed'));
+        }
+    };
+
+    return (
+        <>
+            <Tooltip title={t('language.change')} enterDelay={1000}>
+                <IconButton
+                    size="small"
+                    aria-label={t('language.change')}
+                    aria-haspopup="true"
+                    onClick={(event) => setAnchorEl(event.currentTarget)}
+                >
+                    <TranslateIcon />
+                </IconButton>
+            </Tooltip>
+            <Menu
+                anchorEl={anchorEl}
+                open={Boolean(anchorEl)}
+                onClose={() => setAnchorEl(null)}
+            >
+                {supportedLanguages.map((code) => (
+                    <MenuItem
+                        key={code}
+                        selected={code === language}
+                        onClick={() => handleSelect(code)}
+                        lang={code}
+                    >
+                        <ListItemText primary={languages[code].label} />
+                    </MenuItem>
+                ))}
+            </Menu>
+        </>
+    );
+}
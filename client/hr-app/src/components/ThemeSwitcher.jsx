@@ -4,6 +4,7 @@ import Tooltip from '@mui/material/Tooltip';
 import DarkModeIcon from '@mui/icons-material/DarkMode';
 import LightModeIcon from '@mui/icons-material/LightMode';
 import { useThemeConfig } from '../context/ThemeContext';
+import { useLanguage } from '../context/LanguageContext';
 
 /**
  * ThemeSwitcher Component
@@ -19,6 +20,7 @@ import { useThemeConfig } from '../context/ThemeContext';
  */
 export default function ThemeSwitcher() {
     const { colorMode, setColorMode } = useThemeConfig();
+    const { t } = useLanguage();
 
     const toggleMode = () => {
         const newMode = colorMode === 'dark' ? 'light' : 'dark';
@@ -26,12 +28,13 @@ export default function ThemeSwitcher() {
     };
 
     const isDark = colorMode === 'dark';
+    const label = t(isDark ? 'header.switchToLight' : 'header.switchToDark');
 
     return (
-        <Tooltip title={`Switch to ${isDark ? 'light' : 'dark'} mode`} enterDelay={1000}>
+        <Tooltip title={label} enterDelay={1000}>
             <IconButton
                 size="small"
-                aria-label={`Switch to ${isDark ? 'light' : 'dark'} mode`}
+                aria-label={label}
                 onClick={toggleMode}
                 sx={{
                     transition: 'transform 0.2s ease-in-out',
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Box, Chip, Stack, Typography } from '@mui/material';
+
+const STEP_COLORS = {
+    approved: 'success',
+    rejected: 'error',
+    skipped: 'default',
+    pending: 'warning',
+    waiting: 'default'
+};
+
+const ACTION_LABELS = {
+    submitted: 'Submitted',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    skipped: 'Skipped',
+    escalated: 'Escalated',
+    reassigned: 'Reassigned',
+    cancelled: 'Cancelled'
+};
+
+const nameOf = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : '');
+
+/**
+ * Approval chain progress and history of a request
+ * @param {Object} props.process - approvalProcess returned by /approvals/history
+ */
+const ApprovalTimeline = ({ process }) => {
+    if (!process) {
+        return (
+            <Typography variant="body2" color="text.secondary">
+                This request has no approval history yet.
+            </Typography>
+        );
+    }
+
+    return (
+        <Box>
+            <Typography variant="subtitle2" gutterBottom>
+                {process.chainName} chain
+            </Typography>
+            <Stack direction="row" spacing={1} sx={{ mb: 3, flexWrap: 'wrap', rowGap: 1 }}>
+                {process.steps.map((step, index) => (
+                    <Chip
+                        key={index}
+                        label={`${index + 1}. ${step.name}`}
+                        color={STEP_COLORS[step.status] || 'default'}
+                        variant={index === process.currentStep && process.status === 'pending' ? 'filled' : 'outlined'}
+                    />
+                ))}
+            </Stack>
+
+            {process.history.map((entry, index) => (
+                <Box
+                    key={index}
+                    sx={{ borderLeft: 2, borderColor: 'divider', pl: 2, pb: 2, position: 'relative' }}
+                >
+                    <Typography variant="body2" fontWeight={600}>
+                        {ACTION_LABELS[entry.action] || entry.action}
+                        {entry.stepName ? ` - ${entry.stepName}` : ''}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary" display="block">
+                        {formatDate(entry.at)}
+                        {entry.actor ? ` · ${nameOf(entry.actor)}` : ''}
+                        {entry.onBehalfOf ? ` (on behalf of ${nameOf(entry.onBehalfOf)})` : ''}
+                    </Typography>
+                    {entry.comments && (
+                        <Typography variant="body2" color="text.secondary">
+                            {entry.comments}
+                        </Typography>
+                    )}
+                </Box>
+            ))}
+        </Box>
+    );
+};
+
+export default ApprovalTimeline;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { Box, Button, Stack, Typography, Alert } from '@mui/material';
+import { ContentCopy, Download } from '@mui/icons-material';
+import { useLanguage } from '../../context/LanguageContext';
+
+/**
+ * One-time recovery codes, shown once after they are generated
+ */
+const RecoveryCodes = ({ codes }) => {
+    const { t } = useLanguage();
+    const text = codes.join('\n');
+
+    const handleCopy = () => {
+        navigator.clipboard?.writeText(text);
+    };
+
+    const handleDownload = () => {
+        const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'recovery-codes.txt';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <Stack spacing={2}>
+            <Alert severity="warning">
+                {t('twoFactor.recoveryWarning')}
+            </Alert>
+            <Box
+                sx={{
+                    display: 'grid',
+                    gridTemplateColumns: 'repeat(2, 1fr)',
+                    gap: 1,
+                    p: 2,
+                    borderRadius: 2,
+                    bgcolor: 'action.hover',
+                    fontFamily: 'monospace',
+                }}
+            >
+                {codes.map((code) => (
+                    <Typography key={code} sx={{ fontFamily: 'monospace', textAlign: 'center' }}>
+                        {code}
+                    </Typography>
+                ))}
+            </Box>
+            <Stack direction="row" spacing={1}>
+                <Button size="small" startIcon={<ContentCopy />} onClick={handleCopy}>
+                    {t('common.copy')}
+                </Button>
+                <Button size="small" startIcon={<Download />} onClick={handleDownload}>
+                    {t('common.download')}
+                </Button>
+            </Stack>
+        </Stack>
+    );
+};
+
+export default RecoveryCodes;
@@ -0,0 +1,186 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+    Card,
+    CardContent,
+    Typography,
+    Button,
+    Stack,
+    Divider,
+    Alert,
+    Chip,
+    TextField,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+} from '@mui/material';
+import { Security } from '@mui/icons-material';
+import authService from '../../services/auth.service';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryCodes from './RecoveryCodes';
+import { useLanguage } from '../../context/LanguageContext';
+
+/**
+ * Two-factor authentication card for the profile page
+ */
+const TwoFactorSettings = () => {
+    const { t } = useLanguage();
+    const [status, setStatus] = useState(null);
+    const [mode, setMode] = useState(null); // 'setup' | 'regenerate' | 'disable'
+    const [form, setForm] = useState({ password: '', token: '' });
+    const [recoveryCodes, setRecoveryCodes] = useState(null);
+    const [message, setMessage] = useState({ type: '', text: '' });
+    const [submitting, setSubmitting] = useState(false);
+
+    const loadStatus = useCallback(async () => {
+        try {
+            const response = await authService.getMFAStatus();
+            setStatus(response.data);
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message || t('twoFactor.loadFailed') });
+        }
+    }, [t]);
+
+    useEffect(() => {
+        loadStatus();
+    }, [loadStatus]);
+
+    const closeDialog = () => {
+        setMode(null);
+        setForm({ password: '', token: '' });
+        setRecoveryCodes(null);
+    };
+
+    const handleSetupComplete = () => {
+        closeDialog();
+        setMessage({ type: 'success', text: t('twoFactor.enabled') });
+        loadStatus();
+    };
+
+    const handleSubmit = async () => {
+        try {
+            setSubmitting(true);
+            if (mode === 'regenerate') {
+                const response = await authService.regenerateRecoveryCodes(form.token);
+                setRecoveryCodes(response.data.recoveryCodes);
+            } else {
+                await authService.disableMFA(form);
+                closeDialog();
+                setMessage({ type: 'success', text: t('twoFactor.disabled') });
+            }
+            loadStatus();
+        } catch (err) {
+            setMessage({ type: 'error', text: err.message || t('common.requestFailed') });
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    if (!status || (!status.available && !status.enabled)) {
+        return null;
+    }
+
+    return (
+        <Card>
+            <CardContent>
+                <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+                    <Security color="primary" />
+                    <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                        {t('twoFactor.title')}
+                    </Typography>
+                    <Chip
+                        size="small"
+                        label={status.enabled ? t('twoFactor.on') : t('twoFactor.off')}
+                        color={status.enabled ? 'success' : 'default'}
+                    />
+                </Stack>
+                <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                    {t('twoFactor.description')}
+                </Typography>
+                <Divider sx={{ mb: 3 }} />
+
+                {message.text && (
+                    <Alert severity={message.type} sx={{ mb: 3 }} onClose={() => setMessage({ type: '', text: '' })}>
+                        {message.text}
+                    </Alert>
+                )}
+
+                {status.enabled ? (
+                    <Stack spacing={2}>
+                        <Typography variant="body2">
+                            {t('twoFactor.recoveryCodesRemaining', { count: status.recoveryCodesRemaining })}
+                        </Typography>
+                        <Stack direction="row" spacing={2}>
+                            <Button variant="outlined" onClick={() => setMode('regenerate')}>
+                                {t('twoFactor.newRecoveryCodes')}
+                            </Button>
+                            {!status.enforced && (
+                                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>
+                                    {t('twoFactor.turnOff')}
+                                </Button>
+                            )}
+                        </Stack>
+                    </Stack>
+                ) : (
+                    <Button variant="contained" onClick={() => setMode('setup')}>
+                        {t('twoFactor.setUp')}
+                    </Button>
+                )}
+            </CardContent>
+
+            <Dialog open={mode === 'setup'} onClose={closeDialog} maxWidth="xs" fullWidth>
+                <DialogTitle>{t('twoFactor.setUpTitle')}</DialogTitle>
+                <DialogContent>
+                    {mode === 'setup' && (
+                        <TwoFactorSetup onComplete={handleSetupComplete} onCancel={closeDialog} />
+                    )}
+                </DialogContent>
+            </Dialog>
+
+            <Dialog open={mode === 'regenerate' || mode === 'disable'} onClose={closeDialog} maxWidth="xs" fullWidth>
+                <DialogTitle>
+                    {mode === 'disable' ? t('twoFactor.turnOffTitle') : t('twoFactor.newRecoveryCodes')}
+                </DialogTitle>
+                <DialogContent>
+                    {recoveryCodes ? (
+                        <RecoveryCodes codes={recoveryCodes} />
+                    ) : (
+                        <Stack spacing={2} sx={{ pt: 1 }}>
+                            {mode === 'disable' && (
+                                <TextField
+                                    label={t('twoFactor.password')}
+                                    type="password"
+                                    value={form.password}
+                                    onChange={(e) => setForm({ ...form, password: e.target.value })}
+                                    autoComplete="current-password"
+                                />
+                            )}
+                            <TextField
+                                label={t('twoFactor.code')}
+                                value={form.token}
+                                onChange={(e) => setForm({ ...form, token: e.target.value.replace(/\D/g, '').slice(0, 6) })}
+                                inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+                                helperText={mode === 'regenerate' ? t('twoFactor.codesStopWorking') : ''}
+                            />
+                        </Stack>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={closeDialog}>{recoveryCodes ? t('common.done') : t('common.cancel')}</Button>
+                    {!recoveryCodes && (
+                        <Button
+                            variant="contained"
+                            color={mode === 'disable' ? 'error' : 'primary'}
+                            onClick={handleSubmit}
+                            disabled={submitting || form.token.length !== 6 || (mode === 'disable' && !form.password)}
+                        >
+                            {mode === 'disable' ? t('twoFactor.turnOff') : t('twoFactor.generate')}
+                        </Button>
+                    )}
+                </DialogActions>
+            </Dialog>
+        </Card>
+    );
+};
+
+export default TwoFactorSettings;
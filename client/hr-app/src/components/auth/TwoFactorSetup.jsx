@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import {
+    Box,
+    Button,
+    Stack,
+    TextField,
+    Typography,
+    Alert,
+    CircularProgress,
+} from '@mui/material';
+import authService from '../../services/auth.service';
+import RecoveryCodes from './RecoveryCodes';
+import { useLanguage } from '../../context/LanguageContext';
+
+/**
+ * Two-factor enrollment: scan the QR code, confirm with the first code, then
+ * save the recovery codes
+ *
+ * @param {string} [setupToken] - Setup token from a sign-in that requires enrollment
+ * @param {Function} onComplete - Called with the enable result ({ recoveryCodes, token, user })
+ * @param {Function} [onCancel]
+ */
+const TwoFactorSetup = ({ setupToken, onComplete, onCancel }) => {
+    const { t } = useLanguage();
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [result, setResult] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const startSetup = async () => {
+            try {
+                const response = await authService.setupMFA(setupToken);
+                setSetup(response.data);
+            } catch (err) {
+                setError(err.message || t('twoFactor.startFailed'));
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        startSetup();
+        // Starting again on a language change would replace the secret being scanned
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [setupToken]);
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+
+        try {
+            setLoading(true);
+            setError('');
+            const response = await authService.enableMFA(code.trim(), setupToken);
+            setResult(response.data);
+        } catch (err) {
+            setError(err.message || t('twoFactor.invalidCode'));
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (result) {
+        return (
+            <Stack spacing={2}>
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                    {t('twoFactor.isOn')}
+                </Typography>
+                <RecoveryCodes codes={result.recoveryCodes} />
+                <Button variant="contained" onClick={() => onComplete(result)}>
+                    {t('twoFactor.savedCodes')}
+                </Button>
+            </Stack>
+        );
+    }
+
+    return (
+        <form onSubmit={handleVerify}>
+            <Stack spacing={2}>
+                {error && <Alert severity="error">{error}</Alert>}
+
+                {loading && !setup && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+                        <CircularProgress />
+                    </Box>
+                )}
+
+                {!loading && !setup && onCancel && (
+                    <Button onClick={onCancel}>{t('common.back')}</Button>
+                )}
+
+                {setup && (
+                    <>
+                        <Typography variant="body2" color="text.secondary">
+                            {t('twoFactor.scan')}
+                        </Typography>
+                        <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                            <Box component="img" src={setup.qrCode} alt={t('twoFactor.qrAlt')} sx={{ width: 200, height: 200 }} />
+                        </Box>
+                        <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'center' }}>
+                            {t('twoFactor.cantScan')}
+                            <Box component="span" sx={{ display: 'block', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                                {setup.secret.match(/.{1,4}/g).join(' ')}
+                            </Box>
+                        </Typography>
+                        <TextField
+                            label={t('twoFactor.code')}
+                            value={code}
+                            onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                            inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+                            autoFocus
+                            required
+                        />
+                        <Stack direction="row" spacing={2}>
+                            <Button type="submit" variant="contained" disabled={loading || code.length !== 6}>
+                                {loading ? <CircularProgress size={20} color="inherit" /> : t('twoFactor.verifyAndEnable')}
+                            </Button>
+                            {onCancel && (
+                                <Button onClick={onCancel} disabled={loading}>
+                                    {t('common.cancel')}
+                                </Button>
+                            )}
+                        </Stack>
+                    </>
+                )}
+            </Stack>
+        </form>
+    );
+};
+
+export default TwoFactorSetup;
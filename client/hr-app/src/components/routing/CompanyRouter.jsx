@@ -18,6 +18,7 @@ import PositionsPage from '../../pages/positions/PositionsPage';
 import AttendanceManagementPage from '../../pages/attendance/AttendanceManagementPage';
 import AttendanceImport from '../../pages/attendance/AttendanceImport';
 import DeviceManagement from '../../pages/attendance/DeviceManagement';
+import RosterPage from '../../pages/attendance/RosterPage';
 import MissionsPage from '../../pages/missions/MissionsPage';
 import MissionForm from '../../pages/missions/MissionForm';
 import MissionDetails from '../../pages/missions/MissionDetails';
@@ -40,6 +41,8 @@ import VacationRequestPage from '../../pages/vacation/VacationRequestPage';
 import VacationPage from '../../pages/vacation/VacationPage';
 import VacationDebug from '../../pages/debug/VacationDebug';
 import PayrollPage from '../../pages/payroll/PayrollPage';
+import PayrollRunsPage from '../../pages/payroll/PayrollRunsPage';
+import MyPayslipsPage from '../../pages/payroll/MyPayslipsPage';
 import DocumentsPage from '../../pages/documents/DocumentsPage';
 import TemplatesPage from '../../pages/templates/TemplatesPage';
 import HardCopiesPage from '../../pages/hardcopies/HardCopiesPage';
@@ -57,6 +60,10 @@ import SecurityPage from '../../pages/security/SecurityPage';
 import TasksPage from '../../pages/tasks/TasksPage';
 import TaskDetailsPage from '../../pages/tasks/TaskDetailsPage';
 import BackupsPage from '../../pages/backups/BackupsPage';
+import TenantBackupsPage from '../../pages/backups/TenantBackupsPage';
+import WebhooksPage from '../../pages/webhooks/WebhooksPage';
+import ApiKeysPage from '../../pages/apiKeys/ApiKeysPage';
+import DataSubjectRequestsPage from '../../pages/privacy/DataSubjectRequestsPage';
 import PricingPage from '../../pages/pricing/PricingPage';
 import LicenseStatusPage from '../../pages/license/LicenseStatusPage';
 import ResignedPage from '../../pages/resigned/ResignedPage';
@@ -74,6 +81,11 @@ import HRManagementPage from '../../pages/settings/HRManagementPage';
 import WorkSchedulesPage from '../../pages/settings/WorkSchedulesPage';
 import VacationManagementPage from '../../pages/settings/VacationManagementPage';
 import VacationBalancesPage from '../../pages/settings/VacationBalancesPage';
+import LeavePoliciesPage from '../../pages/settings/LeavePoliciesPage';
+import ApprovalsPage from '../../pages/approvals/ApprovalsPage';
+import ChecklistsPage from '../../pages/checklists/ChecklistsPage';
+import AppointmentsPage from '../../pages/clinic/AppointmentsPage';
+import NotificationPreferencesPage from '../../pages/notifications/NotificationPreferencesPage';
 import MixedVacationPage from '../../pages/settings/MixedVacationPage';
 import EmployeeOfMonthPage from '../../pages/settings/EmployeeOfMonthPage';
 import ProfilePage from '../../pages/profile/ProfilePage';
@@ -169,6 +181,7 @@ const CompanyRouter = () => {
                 <Route path="attendance" element={<AttendanceManagementPage />} />
                 <Route path="attendance/import" element={<PrivateRoute requiredRole="hr"><AttendanceImport /></PrivateRoute>} />
                 <Route path="attendance/devices" element={<PrivateRoute requiredRole="hr"><DeviceManagement /></PrivateRoute>} />
+                <Route path="attendance/roster" element={<PrivateRoute requiredRole="hr"><RosterPage /></PrivateRoute>} />
                 <Route path="missions" element={<MissionsPage />} />
                 <Route path="missions/create" element={<MissionForm />} />
                 <Route path="missions/:id" element={<MissionDetails />} />
@@ -190,10 +203,16 @@ const CompanyRouter = () => {
                 <Route path="overtime/:id/edit" element={<OvertimeForm />} />
                 <Route path="requests" element={<RequestsPage />} />
                 <Route path="requests/:id" element={<RequestDetailsPage />} />
+                <Route path="approvals" element={<ApprovalsPage />} />
+                <Route path="checklists" element={<ChecklistsPage />} />
+                <Route path="appointments" element={<AppointmentsPage />} />
+                <Route path="notification-preferences" element={<NotificationPreferencesPage />} />
                 <Route path="vacation-request" element={<VacationRequestPage />} />
                 <Route path="vacation" element={<VacationPage />} />
                 <Route path="vacation-debug" element={<VacationDebug />} />
                 <Route path="payroll" element={<PayrollPage />} />
+                <Route path="payroll/runs" element={<PrivateRoute requiredRole="hr"><PayrollRunsPage /></PrivateRoute>} />
+                <Route path="payroll/my-payslips" element={<MyPayslipsPage />} />
 
                 {/* Documents */}
                 <Route path="documents" element={<DocumentsPage />} />
@@ -238,6 +257,10 @@ const CompanyRouter = () => {
                 {/* Administration */}
                 <Route path="security" element={<SecurityPage />} />
                 <Route path="backups" element={<BackupsPage />} />
+                <Route path="tenant-backups" element={<TenantBackupsPage />} />
+                <Route path="webhooks" element={<WebhooksPage />} />
+                <Route path="api-keys" element={<ApiKeysPage />} />
+                <Route path="data-subject-requests" element={<DataSubjectRequestsPage />} />
                 <Route path="resigned" element={<ResignedPage />} />
                 <Route path="user-activity-tracker" element={<PrivateRoute requiredRole="admin"><UserActivityTracker /></PrivateRoute>} />
                 <Route path="roles" element={<PrivateRoute requiredRole="admin"><RolesPage /></PrivateRoute>} />
@@ -255,6 +278,7 @@ const CompanyRouter = () => {
                 <Route path="system-settings/work-schedules" element={<WorkSchedulesPage />} />
                 <Route path="system-settings/vacation-management" element={<VacationManagementPage />} />
                 <Route path="system-settings/vacation-balances" element={<VacationBalancesPage />} />
+                <Route path="system-settings/leave-policies" element={<LeavePoliciesPage />} />
                 <Route path="system-settings/mixed-vacation" element={<MixedVacationPage />} />
                 <Route path="system-settings/employee-of-month" element={<EmployeeOfMonthPage />} />
                 
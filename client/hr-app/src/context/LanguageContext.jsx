@@ -0,0 +1,106 @@
+import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
+import dayjs from 'dayjs';
+import 'dayjs/locale/ar';
+import { useAppDispatch } from '../store/hooks/useAppDispatch';
+import { useAppSelector } from '../store/hooks/useAppSelector';
+import { updateUser } from '../store/slices/authSlice';
+import userService from '../services/user.service';
+import {
+    DEFAULT_LANGUAGE,
+    LANGUAGES,
+    LANGUAGE_STORAGE_KEY,
+    SUPPORTED_LANGUAGES,
+    getDirection,
+    getInitialLanguage,
+    getLocale,
+    isSupportedLanguage,
+    normalizeLanguage,
+    translate,
+    formatDate as formatDateIn,
+    formatNumber as formatNumberIn,
+} from '../i18n';
+
+const LanguageContext = createContext();
+
+export const useLanguage = () => {
+    const context = useContext(LanguageContext);
+    if (!context) {
+        throw new Error('useLanguage must be used within LanguageProvider');
+    }
+    return context;
+};
+
+/**
+ * Language and text direction, English outside LanguageProvider
+ *
+ * For providers that also render on their own, such as ThemeConfigProvider
+ * in tests and stories.
+ */
+export const useTextDirection = () => {
+    const context = useContext(LanguageContext);
+    const language = context?.language ?? DEFAULT_LANGUAGE;
+    return { language, direction: getDirection(language) };
+};
+
+/**
+ * Current language of the HR app
+ *
+ * Starts with the language chosen on this browser and switches to the
+ * preference saved on the user's profile once the user is loaded. Changing the
+ * language while signed in saves it to the profile, so emails follow it too.
+ */
+export const LanguageProvider = ({ children }) => {
+    const dispatch = useAppDispatch();
+    const user = useAppSelector((state) => state.auth.user);
+    const [language, setLanguageState] = useState(getInitialLanguage);
+
+    const profileLanguage = user?.preferences?.language;
+
+    useEffect(() => {
+        if (isSupportedLanguage(profileLanguage)) {
+            setLanguageState(profileLanguage);
+        }
+    }, [profileLanguage]);
+
+    // Apply the language to the document and to dayjs formatting
+    useEffect(() => {
+        document.documentElement.lang = language;
+        document.documentElement.dir = getDirection(language);
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+        dayjs.locale(language);
+    }, [language]);
+
+    const setLanguage = useCallback(async (nextLanguage) => {
+        const next = normalizeLanguage(nextLanguage);
+        setLanguageState(next);
+
+        if (user && user.preferences?.language !== next) {
+            await userService.updateProfile({ preferences: { language: next } });
+            dispatch(updateUser({ ...user, preferences: { ...user.preferences, language: next } }));
+        }
+    }, [user, dispatch]);
+
+    const t = useCallback((key, params) => translate(language, key, params), [language]);
+
+    const formatDate = useCallback((value, options) => formatDateIn(value, language, options), [language]);
+
+    const formatNumber = useCallback((value, options) => formatNumberIn(value, language, options), [language]);
+
+    const value = useMemo(() => ({
+        language,
+        languages: LANGUAGES,
+        supportedLanguages: SUPPORTED_LANGUAGES,
+        direction: getDirection(language),
+        locale: getLocale(language),
+        setLanguage,
+        t,
+        formatDate,
+        formatNumber,
+    }), [language, setLanguage, t, formatDate, formatNumber]);
+
+    return (
+        <LanguageContext.Provider value={value}>
+            {children}
+        </LanguageContext.Provider>
+    );
+};
@@ -1,8 +1,26 @@
 import React, { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 import { createTheme, ThemeProvider as MuiThemeProvider } from '@mui/material/styles';
+import { arEG, enUS } from '@mui/material/locale';
+import { CacheProvider } from '@emotion/react';
+import createCache from '@emotion/cache';
+import { prefixer } from 'stylis';
+import rtlPlugin from 'stylis-plugin-rtl';
 import { themeService } from '../services';
 import { designTokens, applyCSSVariables } from '../theme/designTokens';
 import { validateThemeConfig, validateAccessibility, sanitizeThemeConfig } from '../theme/themeValidation';
+import { useTextDirection } from './LanguageContext';
+
+// Style caches by text direction; the RTL cache mirrors left/right in component styles
+const emotionCaches = {
+    ltr: createCache({ key: 'mui' }),
+    rtl: createCache({ key: 'muirtl', stylisPlugins: [prefixer, rtlPlugin] }),
+};
+
+// Translations of built-in MUI component texts
+const muiLocales = {
+    en: enUS,
+    ar: arEG,
+};
 
 const ThemeContext = createContext();
 
@@ -15,6 +33,7 @@ export const useThemeConfig = () => {
 };
 
 export const ThemeConfigProvider = ({ children }) => {
+    const { language, direction } = useTextDirection();
     const [themeConfig, setThemeConfig] = useState(null);
     const [loading, setLoading] = useState(true);
     const [colorMode, setColorMode] = useState(() => {
@@ -67,12 +86,13 @@ export const ThemeConfigProvider = ({ children }) => {
 
     // Create Material-UI theme from configuration
     const theme = useMemo(() => {
-        if (!themeConfig) return createTheme();
+        if (!themeConfig) return createTheme({ direction }, muiLocales[language]);
 
         const isDark = colorMode === 'dark';
         const currentPalette = isDark ? themeConfig.dark : themeConfig.light;
 
         return createTheme({
+            direction,
             palette: {
                 mode: colorMode,
                 primary: currentPalette.primary,
@@ -217,8 +237,8 @@ export const ThemeConfigProvider = ({ children }) => {
                     },
                 },
             },
-        });
-    }, [themeConfig, colorMode]);
+        }, muiLocales[language]);
+    }, [themeConfig, colorMode, direction, language]);
 
     // Memoize the update function to prevent unnecessary re-renders
     const updateThemeConfig = useCallback((newConfig) => {
@@ -247,9 +267,11 @@ export const ThemeConfigProvider = ({ children }) => {
 
     return (
         <ThemeContext.Provider value={value}>
-            <MuiThemeProvider theme={theme}>
-                {children}
-            </MuiThemeProvider>
+            <CacheProvider value={emotionCaches[direction]}>
+                <MuiThemeProvider theme={theme}>
+                    {children}
+                </MuiThemeProvider>
+            </CacheProvider>
         </ThemeContext.Provider>
     );
 };
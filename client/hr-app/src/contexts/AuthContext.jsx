@@ -75,17 +75,23 @@ export const AuthProvider = ({ children }) => {
         loadUserAndTenant();
     }, [tenantToken, tenantId]);
 
-    const login = async (email, password, tenantIdInput) => {
+    const login = async (email, password, tenantIdInput, secondFactor = {}) => {
         try {
             const response = await api.post('/auth/login', {
                 email,
                 password,
-                tenantId: tenantIdInput
+                tenantId: tenantIdInput,
+                ...secondFactor
             });
 
             // Handle backend response structure: { success: true, data: { user, token } }
             const responseData = response.data || response;
-            const { user, token } = responseData.data || responseData;
+            const { user, token, requiresMFA, requiresMFASetup, mfaSetupToken } = responseData.data || responseData;
+
+            // Password accepted but a two-factor code or two-factor setup is still needed
+            if (requiresMFA || requiresMFASetup) {
+                return { success: false, requiresMFA: Boolean(requiresMFA), requiresMFASetup: Boolean(requiresMFASetup), mfaSetupToken };
+            }
 
             setUser(user);
             setTenantToken(token);
@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import notificationService from '../services/notification.service';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
+
+// Wait before opening a new stream once the browser gave up reconnecting
+const REOPEN_DELAY = 5000;
+
+/**
+ * Custom hook for the real-time notification stream
+ * Opens a server-sent event connection for the signed-in user. The browser
+ * reconnects on its own when the connection drops; once the stream ticket
+ * has expired it stops, and the hook opens a new stream with a new ticket.
+ *
+ * @param {Object} handlers - { onNotification(notification), onRead({ ids, all }) }
+ * @param {boolean} enabled - Whether the stream should be open
+ * @returns {{connected: boolean}} - Whether the stream is currently connected
+ */
+export const useNotificationStream = ({ onNotification, onRead }, enabled = true) => {
+    const [connected, setConnected] = useState(false);
+    const handlers = useRef({ onNotification, onRead });
+    handlers.current = { onNotification, onRead };
+
+    useEffect(() => {
+        const token = localStorage.getItem('tenant_token') || localStorage.getItem('token');
+        if (!enabled || !token || typeof EventSource === 'undefined') {
+            return undefined;
+        }
+
+        let source = null;
+        let reopenTimer = null;
+        let closed = false;
+
+        const reopenLater = () => {
+            if (!closed) {
+                reopenTimer = setTimeout(open, REOPEN_DELAY);
+            }
+        };
+
+        // EventSource cannot send headers, so a short-lived stream ticket goes in the query string
+        const open = async () => {
+            let ticket;
+            try {
+                const response = await notificationService.getStreamTicket();
+                ticket = response.data.ticket;
+            } catch {
+                reopenLater();
+                return;
+            }
+            if (closed) return;
+
+            source = new EventSource(`${API_URL}/notifications/stream?ticket=${encodeURIComponent(ticket)}`);
+            source.addEventListener('connected', () => setConnected(true));
+            source.addEventListener('notification', (event) => {
+                handlers.current.onNotification?.(JSON.parse(event.data));
+            });
+            source.addEventListener('read', (event) => {
+                handlers.current.onRead?.(JSON.parse(event.data));
+            });
+            source.onerror = () => {
+                setConnected(false);
+                if (source.readyState === EventSource.CLOSED) {
+                    reopenLater();
+                }
+            };
+        };
+
+        open();
+
+        return () => {
+            closed = true;
+            clearTimeout(reopenTimer);
+            source?.close();
+            setConnected(false);
+        };
+    }, [enabled]);
+
+    return { connected };
+};
+
+export default useNotificationStream;
@@ -0,0 +1,86 @@
+import en from './locales/en';
+import ar from './locales/ar';
+
+/**
+ * Internationalization
+ *
+ * Languages of the HR app with their text direction and Intl locale, the
+ * message catalogs, and helpers to translate and format values. Components use
+ * these through useLanguage() from LanguageContext.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US', direction: 'ltr' },
+    ar: { label: 'العربية', locale: 'ar-EG', direction: 'rtl' },
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LANGUAGES);
+
+// localStorage key of the language chosen before signing in
+export const LANGUAGE_STORAGE_KEY = 'language';
+
+const catalogs = { en, ar };
+
+export const isSupportedLanguage = (language) => SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * Supported language for a code such as 'ar', 'ar-EG' or 'en_US'
+ */
+export const normalizeLanguage = (language) => {
+    const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return isSupportedLanguage(base) ? base : DEFAULT_LANGUAGE;
+};
+
+export const getDirection = (language) => LANGUAGES[normalizeLanguage(language)].direction;
+
+export const getLocale = (language) => LANGUAGES[normalizeLanguage(language)].locale;
+
+/**
+ * Language to start with: the one chosen on this browser, else the browser language
+ */
+export const getInitialLanguage = () => {
+    const saved = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLanguage(saved)) {
+        return saved;
+    }
+    return normalizeLanguage(typeof navigator !== 'undefined' ? navigator.language : DEFAULT_LANGUAGE);
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Translate a key, replacing {name} placeholders with params
+ * @param {string} language
+ * @param {string} key - Dotted key, e.g. 'nav.dashboard'
+ * @param {Object} [params]
+ * @returns {string} Message, the English message when missing, or the key itself
+ */
+export const translate = (language, key, params = {}) => {
+    const message = lookup(catalogs[normalizeLanguage(language)], key) ?? lookup(catalogs[DEFAULT_LANGUAGE], key);
+    if (typeof message !== 'string') {
+        return key;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+};
+
+/**
+ * Format a date in a language; '' for missing or invalid dates
+ */
+export const formatDate = (value, language, options = { year: 'numeric', month: 'short', day: 'numeric' }) => {
+    if (value === null || value === undefined || value === '') {
+        return '';
+    }
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return '';
+    }
+    return new Intl.DateTimeFormat(getLocale(language), options).format(date);
+};
+
+/**
+ * Format a number in a language, e.g. with Arabic-Indic digits in Arabic
+ */
+export const formatNumber = (value, language, options) =>
+    new Intl.NumberFormat(getLocale(language), options).format(value);
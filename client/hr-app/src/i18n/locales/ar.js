@@ -0,0 +1,188 @@
+/**
+ * Arabic messages
+ *
+ * Keys missing here fall back to the English catalog.
+ */
+const ar = {
+    common: {
+        back: 'رجوع',
+        cancel: 'إلغاء',
+        done: 'تم',
+        copy: 'نسخ',
+        download: 'تنزيل',
+        user: 'المستخدم',
+        errorGeneric: 'حدث خطأ. يرجى المحاولة مرة أخرى.',
+        requestFailed: 'تعذّر تنفيذ الطلب',
+    },
+    language: {
+        label: 'اللغة',
+        change: 'تغيير اللغة',
+        description: 'لغة التطبيق ولغة رسائل البريد الإلكتروني التي تصلك',
+        updated: 'تم تحديث اللغة',
+        updateFailed: 'تعذّر حفظ تفضيل اللغة',
+    },
+    header: {
+        notifications: 'الإشعارات',
+        account: 'الحساب',
+        profile: 'الملف الشخصي',
+        settings: 'الإعدادات',
+        logout: 'تسجيل الخروج',
+        switchToLight: 'التبديل إلى الوضع الفاتح',
+        switchToDark: 'التبديل إلى الوضع الداكن',
+    },
+    nav: {
+        sections: {
+            myWork: 'عملي',
+            information: 'معلومات',
+            organization: 'المؤسسة',
+            hrOperations: 'عمليات الموارد البشرية',
+            taskManagement: 'إدارة المهام',
+            documents: 'المستندات',
+            communication: 'التواصل',
+            advanced: 'متقدم',
+            administration: 'الإدارة',
+            idCardManagement: 'إدارة بطاقات الهوية',
+        },
+        analytics: 'التحليلات',
+        announcements: 'الإعلانات',
+        approvals: 'الموافقات',
+        appointments: 'مواعيد العيادة',
+        attendanceManagement: 'إدارة الحضور',
+        checklists: 'قوائم التهيئة وإنهاء الخدمة',
+        backups: 'النسخ الاحتياطية',
+        tenantBackups: 'نسخ بيانات الشركة',
+        webhooks: 'خطافات الويب',
+        apiKeys: 'مفاتيح API',
+        dataSubjectRequests: 'طلبات البيانات الشخصية',
+        dashboard: 'لوحة التحكم',
+        dashboardSettings: 'إعدادات لوحة التحكم',
+        departments: 'الأقسام',
+        doctorReviewQueue: 'قائمة مراجعة الطبيب',
+        documents: 'المستندات',
+        employeeEmailCreation: 'إنشاء بريد الموظفين',
+        employeeEmailManagement: 'إدارة بريد الموظفين',
+        employeeOfTheMonth: 'موظف الشهر',
+        events: 'الفعاليات',
+        forgetCheck: 'نسيان البصمة',
+        hardCopies: 'النسخ الورقية',
+        holidays: 'العطلات',
+        hrManagementSettings: 'إعدادات إدارة الموارد البشرية',
+        leavePolicies: 'سياسات الإجازات',
+        licenseStatus: 'حالة الترخيص',
+        lifeInsurance: 'التأمين على الحياة',
+        maintenanceSettings: 'إعدادات الصيانة',
+        missions: 'المأموريات',
+        mixedVacationPolicies: 'سياسات الإجازات المختلطة',
+        myAttendance: 'حضوري',
+        myPayslips: 'قسائم راتبي',
+        myRequests: 'طلباتي',
+        overtime: 'العمل الإضافي',
+        payroll: 'الرواتب',
+        permissions: 'الأذونات',
+        positions: 'المناصب',
+        reports: 'التقارير',
+        requestSubmissionControl: 'التحكم في تقديم الطلبات',
+        requests: 'الطلبات',
+        resignedEmployees: 'الموظفون المستقيلون',
+        roles: 'الأدوار',
+        seasonalSettings: 'الإعدادات الموسمية',
+        security: 'الأمان',
+        settings: 'الإعدادات',
+        shiftRoster: 'جدول المناوبات',
+        sickLeaves: 'الإجازات المرضية',
+        surveys: 'الاستبيانات',
+        systemNotifications: 'إشعارات النظام',
+        systemSettings: 'إعدادات النظام',
+        tasks: 'المهام',
+        templates: 'القوالب',
+        themeColors: 'المظهر والألوان',
+        userActivityTracker: 'متتبع نشاط المستخدمين',
+        users: 'المستخدمون',
+        vacationManagement: 'إدارة الإجازات',
+        vacationRequests: 'طلبات الإجازة',
+        workSchedules: 'جداول العمل',
+    },
+    auth: {
+        welcomeBack: 'مرحبًا بعودتك',
+        intro: 'ادخل إلى نظام إدارة الموارد البشرية لإدارة الموظفين ومتابعة الحضور وتنظيم عمليات القوى العاملة.',
+        featureSecure: 'اتصال آمن ومشفّر',
+        featureAvailability: 'النظام متاح على مدار الساعة',
+        featureSync: 'مزامنة فورية للبيانات',
+        copyright: '© {year} نظام إدارة الموارد البشرية',
+        allRightsReserved: '© {year} نظام إدارة الموارد البشرية. جميع الحقوق محفوظة.',
+        signIn: 'تسجيل الدخول',
+        subtitleCredentials: 'أدخل بيانات الدخول للوصول إلى حسابك',
+        subtitleMfa: 'أدخل الرمز الظاهر في تطبيق المصادقة',
+        subtitleMfaSetup: 'تشترط مؤسستك تفعيل المصادقة الثنائية',
+        usernameOrEmail: 'اسم المستخدم أو البريد الإلكتروني',
+        usernamePlaceholder: 'أدخل اسم المستخدم أو البريد الإلكتروني',
+        password: 'كلمة المرور',
+        passwordPlaceholder: 'أدخل كلمة المرور',
+        forgotPassword: 'نسيت كلمة المرور؟',
+        signInButton: 'تسجيل الدخول إلى حسابك',
+        verify: 'تحقق',
+        recoveryCode: 'رمز الاسترداد',
+        authenticationCode: 'رمز المصادقة',
+        useAuthenticator: 'استخدم تطبيق المصادقة',
+        useRecoveryCode: 'استخدم رمز استرداد',
+        secureLogin: 'دخول آمن',
+        protected: 'محمي بأمان على مستوى المؤسسات',
+        needHelp: 'تحتاج إلى مساعدة؟ تواصل مع مسؤول النظام',
+        fillAllFields: 'يرجى تعبئة جميع الحقول',
+        loginSuccess: 'تم تسجيل الدخول بنجاح!',
+        loginFailed: 'فشل تسجيل الدخول. يرجى التحقق من بيانات الدخول.',
+    },
+    profile: {
+        title: 'ملفي الشخصي',
+        subtitle: 'إدارة معلوماتك الشخصية وصورة الملف الشخصي',
+        viewPhoto: 'عرض الصورة',
+        userName: 'اسم المستخدم',
+        position: 'المنصب',
+        changePhoto: 'تغيير الصورة',
+        photoHint: 'JPG أو PNG أو GIF. الحد الأقصى للحجم 2 ميجابايت',
+        personalInfo: 'المعلومات الشخصية',
+        personalInfoHint: 'حدّث بياناتك الشخصية ومعلومات الاتصال',
+        fullName: 'الاسم الكامل',
+        email: 'البريد الإلكتروني',
+        phone: 'رقم الهاتف',
+        department: 'القسم',
+        jobTitle: 'المنصب / المسمى الوظيفي',
+        managedByHR: 'تديره الموارد البشرية',
+        saving: 'جارٍ الحفظ...',
+        saveChanges: 'حفظ التغييرات',
+        updated: 'تم تحديث الملف الشخصي بنجاح!',
+        updateFailed: 'تعذّر تحديث الملف الشخصي',
+        fileTooLarge: 'يجب أن يكون حجم الملف أقل من 2 ميجابايت',
+        imageOnly: 'يرجى اختيار ملف صورة',
+    },
+    twoFactor: {
+        title: 'المصادقة الثنائية',
+        description: 'اطلب رمزًا من تطبيق المصادقة بالإضافة إلى كلمة المرور عند تسجيل الدخول',
+        on: 'مفعّلة',
+        off: 'غير مفعّلة',
+        recoveryCodesRemaining: 'رموز الاسترداد المتبقية: {count}',
+        newRecoveryCodes: 'رموز استرداد جديدة',
+        turnOff: 'إيقاف',
+        setUp: 'إعداد المصادقة الثنائية',
+        setUpTitle: 'إعداد المصادقة الثنائية',
+        turnOffTitle: 'إيقاف المصادقة الثنائية',
+        password: 'كلمة المرور',
+        code: 'رمز المصادقة',
+        codesStopWorking: 'ستتوقف رموز الاسترداد الحالية عن العمل',
+        generate: 'إنشاء',
+        enabled: 'تم تفعيل المصادقة الثنائية',
+        disabled: 'تم إيقاف المصادقة الثنائية',
+        loadFailed: 'تعذّر تحميل حالة المصادقة الثنائية',
+        startFailed: 'تعذّر بدء إعداد المصادقة الثنائية',
+        invalidCode: 'رمز المصادقة غير صحيح',
+        scan: 'امسح رمز QR هذا باستخدام Google Authenticator أو Microsoft Authenticator أو تطبيق مشابه، ثم أدخل الرمز المكوّن من 6 أرقام الذي يظهر فيه.',
+        cantScan: 'لا يمكنك مسح الرمز؟ أدخل هذا المفتاح بدلًا من ذلك:',
+        qrAlt: 'رمز QR للمصادقة الثنائية',
+        verifyAndEnable: 'تحقق وفعّل',
+        isOn: 'المصادقة الثنائية مفعّلة',
+        savedCodes: 'لقد حفظت رموز الاسترداد',
+        recoveryWarning: 'احفظ رموز الاسترداد هذه في مكان آمن. يتيح لك كل رمز تسجيل الدخول مرة واحدة إذا فقدت الوصول إلى تطبيق المصادقة، ولن تظهر مرة أخرى.',
+    },
+};
+
+export default ar;
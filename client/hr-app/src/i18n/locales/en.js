@@ -0,0 +1,188 @@
+/**
+ * English messages
+ *
+ * Source catalog of the HR app; every key used with t() must exist here.
+ */
+const en = {
+    common: {
+        back: 'Back',
+        cancel: 'Cancel',
+        done: 'Done',
+        copy: 'Copy',
+        download: 'Download',
+        user: 'User',
+        errorGeneric: 'An error occurred. Please try again.',
+        requestFailed: 'Request failed',
+    },
+    language: {
+        label: 'Language',
+        change: 'Change language',
+        description: 'Language of the app and of the emails you receive',
+        updated: 'Language updated',
+        updateFailed: 'Failed to save your language preference',
+    },
+    header: {
+        notifications: 'Notifications',
+        account: 'Account',
+        profile: 'Profile',
+        settings: 'Settings',
+        logout: 'Logout',
+        switchToLight: 'Switch to light mode',
+        switchToDark: 'Switch to dark mode',
+    },
+    nav: {
+        sections: {
+            myWork: 'My Work',
+            information: 'Information',
+            organization: 'Organization',
+            hrOperations: 'HR Operations',
+            taskManagement: 'Task Management',
+            documents: 'Documents',
+            communication: 'Communication',
+            advanced: 'Advanced',
+            administration: 'Administration',
+            idCardManagement: 'ID Card Management',
+        },
+        analytics: 'Analytics',
+        announcements: 'Announcements',
+        approvals: 'Approvals',
+        appointments: 'Clinic Appointments',
+        attendanceManagement: 'Attendance Management',
+        checklists: 'Checklists',
+        backups: 'Backups',
+        tenantBackups: 'Data Backups',
+        webhooks: 'Webhooks',
+        apiKeys: 'API Keys',
+        dataSubjectRequests: 'Data Requests',
+        dashboard: 'Dashboard',
+        dashboardSettings: 'Dashboard Settings',
+        departments: 'Departments',
+        doctorReviewQueue: 'Doctor Review Queue',
+        documents: 'Documents',
+        employeeEmailCreation: 'Employee Email Creation',
+        employeeEmailManagement: 'Employee Email Management',
+        employeeOfTheMonth: 'Employee of the Month',
+        events: 'Events',
+        forgetCheck: 'Forget Check',
+        hardCopies: 'Hard Copies',
+        holidays: 'Holidays',
+        hrManagementSettings: 'HR Management Settings',
+        leavePolicies: 'Leave Policies',
+        licenseStatus: 'License Status',
+        lifeInsurance: 'Life Insurance',
+        maintenanceSettings: 'Maintenance Settings',
+        missions: 'Missions',
+        mixedVacationPolicies: 'Mixed Vacation Policies',
+        myAttendance: 'My Attendance',
+        myPayslips: 'My Payslips',
+        myRequests: 'My Requests',
+        overtime: 'Overtime',
+        payroll: 'Payroll',
+        permissions: 'Permissions',
+        positions: 'Positions',
+        reports: 'Reports',
+        requestSubmissionControl: 'Request Submission Control',
+        requests: 'Requests',
+        resignedEmployees: 'Resigned Employees',
+        roles: 'Roles',
+        seasonalSettings: 'Seasonal Settings',
+        security: 'Security',
+        settings: 'Settings',
+        shiftRoster: 'Shift Roster',
+        sickLeaves: 'Sick Leaves',
+        surveys: 'Surveys',
+        systemNotifications: 'System Notifications',
+        systemSettings: 'System Settings',
+        tasks: 'Tasks',
+        templates: 'Templates',
+        themeColors: 'Theme & Colors',
+        userActivityTracker: 'User Activity Tracker',
+        users: 'Users',
+        vacationManagement: 'Vacation Management',
+        vacationRequests: 'Vacation Requests',
+        workSchedules: 'Work Schedules',
+    },
+    auth: {
+        welcomeBack: 'Welcome Back',
+        intro: 'Access your HR Management System to manage employees, track attendance, and streamline your workforce operations.',
+        featureSecure: 'Secure & Encrypted Connection',
+        featureAvailability: '24/7 System Availability',
+        featureSync: 'Real-time Data Synchronization',
+        copyright: '© {year} HR Management System',
+        allRightsReserved: '© {year} HR Management System. All rights reserved.',
+        signIn: 'Sign In',
+        subtitleCredentials: 'Enter your credentials to access your account',
+        subtitleMfa: 'Enter the code from your authenticator app',
+        subtitleMfaSetup: 'Your organization requires two-factor authentication',
+        usernameOrEmail: 'Username or Email Address',
+        usernamePlaceholder: 'Enter your username or email',
+        password: 'Password',
+        passwordPlaceholder: 'Enter your password',
+        forgotPassword: 'Forgot password?',
+        signInButton: 'Sign In to Your Account',
+        verify: 'Verify',
+        recoveryCode: 'Recovery code',
+        authenticationCode: 'Authentication code',
+        useAuthenticator: 'Use authenticator app',
+        useRecoveryCode: 'Use a recovery code',
+        secureLogin: 'Secure Login',
+        protected: 'Protected by enterprise-level security',
+        needHelp: 'Need assistance? Contact your system administrator',
+        fillAllFields: 'Please fill in all fields',
+        loginSuccess: 'Login successful!',
+        loginFailed: 'Login failed. Please check your credentials.',
+    },
+    profile: {
+        title: 'My Profile',
+        subtitle: 'Manage your personal information and profile picture',
+        viewPhoto: 'View Photo',
+        userName: 'User Name',
+        position: 'Position',
+        changePhoto: 'Change Photo',
+        photoHint: 'JPG, PNG or GIF. Max size 2MB',
+        personalInfo: 'Personal Information',
+        personalInfoHint: 'Update your personal details and contact information',
+        fullName: 'Full Name',
+        email: 'Email Address',
+        phone: 'Phone Number',
+        department: 'Department',
+        jobTitle: 'Position / Job Title',
+        managedByHR: 'Managed by HR',
+        saving: 'Saving...',
+        saveChanges: 'Save Changes',
+        updated: 'Profile updated successfully!',
+        updateFailed: 'Failed to update profile',
+        fileTooLarge: 'File size must be less than 2MB',
+        imageOnly: 'Please select an image file',
+    },
+    twoFactor: {
+        title: 'Two-Factor Authentication',
+        description: 'Require a code from an authenticator app in addition to your password when you sign in',
+        on: 'On',
+        off: 'Off',
+        recoveryCodesRemaining: '{count} recovery codes remaining',
+        newRecoveryCodes: 'New recovery codes',
+        turnOff: 'Turn off',
+        setUp: 'Set up two-factor authentication',
+        setUpTitle: 'Set up two-factor authentication',
+        turnOffTitle: 'Turn off two-factor authentication',
+        password: 'Password',
+        code: 'Authentication code',
+        codesStopWorking: 'Your current recovery codes stop working',
+        generate: 'Generate',
+        enabled: 'Two-factor authentication enabled',
+        disabled: 'Two-factor authentication disabled',
+        loadFailed: 'Failed to load two-factor status',
+        startFailed: 'Failed to start two-factor setup',
+        invalidCode: 'Invalid authentication code',
+        scan: 'Scan this QR code with Google Authenticator, Microsoft Authenticator or a similar app, then enter the 6-digit code it shows.',
+        cantScan: 'Can\'t scan it? Enter this key instead:',
+        qrAlt: 'Two-factor QR code',
+        verifyAndEnable: 'Verify and enable',
+        isOn: 'Two-factor authentication is on',
+        savedCodes: 'I have saved my recovery codes',
+        recoveryWarning: 'Save these recovery codes somewhere safe. Each code signs you in once if you lose access to your authenticator app, and they will not be shown again.',
+    },
+};
+
+export default en;
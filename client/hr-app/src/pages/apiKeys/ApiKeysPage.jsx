@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    IconButton,
+    Link,
+    MenuItem,
+    Paper,
+    Stack,
+    Switch,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Block as RevokeIcon,
+    Edit as EditIcon,
+    History as UsageIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import apiKeyService from '../../services/apiKey.service';
+import Loading from '../../components/common/Loading';
+
+const RESOURCE_LABELS = {
+    employees: 'Employees',
+    attendance: 'Attendance',
+    vacations: 'Vacations',
+    payroll: 'Payroll'
+};
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api/v1';
+
+const EMPTY_KEY = { name: '', description: '', scopes: [], requestsPerMinute: 60, expiresAt: '' };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Access level ('', 'read' or 'write') a scope list grants on a resource
+const accessFor = (scopes, resource) => {
+    if (scopes.includes(`${resource}:write`)) return 'write';
+    if (scopes.includes(`${resource}:read`)) return 'read';
+    return '';
+};
+
+const keyStatus = (apiKey) => {
+    if (apiKey.revokedAt) return { label: 'Revoked', color: 'default' };
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', color: 'warning' };
+    return { label: 'Active', color: 'success' };
+};
+
+const ApiKeysPage = () => {
+    const { showNotification } = useNotification();
+
+    const [loading, setLoading] = useState(true);
+    const [resources, setResources] = useState({});
+    const [keys, setKeys] = useState([]);
+    const [includeRevoked, setIncludeRevoked] = useState(false);
+
+    const [keyForm, setKeyForm] = useState(null);
+    const [newKey, setNewKey] = useState(null);
+    const [usage, setUsage] = useState(null);
+
+    const fetchKeys = useCallback(async () => {
+        try {
+            const [scopeList, keyList] = await Promise.all([
+                apiKeyService.getScopes(),
+                apiKeyService.getAll({ includeRevoked })
+            ]);
+            setResources(scopeList?.resources || {});
+            setKeys(toList(keyList));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load API keys', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [includeRevoked, showNotification]);
+
+    useEffect(() => {
+        fetchKeys();
+    }, [fetchKeys]);
+
+    const setAccess = (resource, access) => {
+        setKeyForm(form => ({
+            ...form,
+            scopes: [
+                ...form.scopes.filter(scope => !scope.startsWith(`${resource}:`)),
+                ...(access ? [`${resource}:${access}`] : [])
+            ]
+        }));
+    };
+
+    const openEdit = (apiKey) => {
+        setKeyForm({
+            _id: apiKey._id,
+            name: apiKey.name,
+            description: apiKey.description || '',
+            scopes: apiKey.scopes,
+            requestsPerMinute: apiKey.rateLimit?.requestsPerMinute || 60,
+            expiresAt: toDateInput(apiKey.expiresAt)
+        });
+    };
+
+    const handleSaveKey = async () => {
+        const { _id, name, description, scopes, requestsPerMinute, expiresAt } = keyForm;
+        const data = {
+            name,
+            description,
+            scopes,
+            rateLimit: { requestsPerMinute: Number(requestsPerMinute) },
+            expiresAt: expiresAt || null
+        };
+        try {
+            if (_id) {
+                await apiKeyService.update(_id, data);
+                showNotification('API key saved', 'success');
+            } else {
+                const result = await apiKeyService.create(data);
+                setNewKey({ name, key: result.key });
+            }
+            setKeyForm(null);
+            fetchKeys();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save the API key', 'error');
+        }
+    };
+
+    const handleRevoke = async (apiKey) => {
+        if (!window.confirm(`Revoke the API key "${apiKey.name}"? Integrations using it stop working immediately.`)) {
+            return;
+        }
+        try {
+            await apiKeyService.revoke(apiKey._id);
+            showNotification('API key revoked', 'success');
+            fetchKeys();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to revoke the API key', 'error');
+        }
+    };
+
+    const openUsage = async (apiKey) => {
+        try {
+            setUsage(await apiKeyService.getUsage(apiKey._id, { limit: 100 }));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load key usage', 'error');
+        }
+    };
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h4">API Keys</Typography>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={() => setKeyForm({ ...EMPTY_KEY })}>
+                    New key
+                </Button>
+            </Stack>
+
+            <Alert severity="info" sx={{ mb: 2 }}>
+                Integrations send the key in the X-API-Key header. Requests run with your access, limited to the
+                key's scopes. The API is described in the{' '}
+                <Link href={`${API_URL}/api-keys/openapi.json`} target="_blank" rel="noopener">OpenAPI specification</Link>.
+            </Alert>
+
+            <FormControlLabel sx={{ mb: 1 }}
+                control={<Switch checked={includeRevoked} onChange={(e) => setIncludeRevoked(e.target.checked)} />}
+                label="Show revoked keys" />
+
+            <TableContainer component={Paper}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Name</TableCell>
+                            <TableCell>Key</TableCell>
+                            <TableCell>Scopes</TableCell>
+                            <TableCell>Rate limit</TableCell>
+                            <TableCell>Last used</TableCell>
+                            <TableCell>Expires</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {keys.length === 0 && (
+                            <TableRow><TableCell colSpan={8} align="center">No API keys</TableCell></TableRow>
+                        )}
+                        {keys.map(apiKey => {
+                            const status = keyStatus(apiKey);
+                            return (
+                                <TableRow key={apiKey._id}>
+                                    <TableCell>
+                                        {apiKey.name}
+                                        {apiKey.owner && (
+                                            <Typography variant="caption" color="text.secondary" display="block">
+                                                Owner: {apiKey.owner.personalInfo?.fullName || apiKey.owner.username}
+                                            </Typography>
+                                        )}
+                                    </TableCell>
+                                    <TableCell sx={{ fontFamily: 'monospace' }}>hrsm_{apiKey.prefix}_…</TableCell>
+                                    <TableCell>
+                                        <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                                            {apiKey.scopes.map(scope => <Chip key={scope} size="small" label={scope} />)}
+                                        </Stack>
+                                    </TableCell>
+                                    <TableCell>{apiKey.rateLimit?.requestsPerMinute}/min</TableCell>
+                                    <TableCell>
+                                        {formatDateTime(apiKey.lastUsedAt)}
+                                        {apiKey.usageCount > 0 && (
+                                            <Typography variant="caption" color="text.secondary" display="block">
+                                                {apiKey.usageCount} requests
+                                            </Typography>
+                                        )}
+                                    </TableCell>
+                                    <TableCell>{apiKey.expiresAt ? new Date(apiKey.expiresAt).toLocaleDateString() : 'Never'}</TableCell>
+                                    <TableCell><Chip size="small" color={status.color} label={status.label} /></TableCell>
+                                    <TableCell align="right">
+                                        <Tooltip title="Usage">
+                                            <IconButton size="small" onClick={() => openUsage(apiKey)}><UsageIcon /></IconButton>
+                                        </Tooltip>
+                                        {!apiKey.revokedAt && (
+                                            <>
+                                                <IconButton size="small" onClick={() => openEdit(apiKey)}><EditIcon /></IconButton>
+                                                <Tooltip title="Revoke">
+                                                    <IconButton size="small" color="error" onClick={() => handleRevoke(apiKey)}><RevokeIcon /></IconButton>
+                                                </Tooltip>
+                                            </>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            );
+                        })}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* Create / edit key */}
+            <Dialog open={!!keyForm} onClose={() => setKeyForm(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{keyForm?._id ? 'Edit API key' : 'New API key'}</DialogTitle>
+                {keyForm && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField label="Name" value={keyForm.name} required
+                                onChange={(e) => setKeyForm(f => ({ ...f, name: e.target.value }))} />
+                            <TextField label="Description" value={keyForm.description} multiline rows={2}
+                                onChange={(e) => setKeyForm(f => ({ ...f, description: e.target.value }))} />
+                            <Box>
+                                <Typography variant="subtitle2" sx={{ mb: 1 }}>Scopes</Typography>
+                                <Stack spacing={1.5}>
+                                    {Object.keys(resources).map(resource => (
+                                        <TextField key={resource} select size="small"
+                                            label={RESOURCE_LABELS[resource] || resource}
+                                            helperText={resources[resource].join(', ')}
+                                            value={accessFor(keyForm.scopes, resource)}
+                                            onChange={(e) => setAccess(resource, e.target.value)}>
+                                            <MenuItem value="">No access</MenuItem>
+                                            <MenuItem value="read">Read</MenuItem>
+                                            <MenuItem value="write">Read and write</MenuItem>
+                                        </TextField>
+                                    ))}
+                                </Stack>
+                            </Box>
+                            <TextField label="Rate limit (requests per minute)" type="number" value={keyForm.requestsPerMinute}
+                                inputProps={{ min: 1, max: 1000 }}
+                                onChange={(e) => setKeyForm(f => ({ ...f, requestsPerMinute: e.target.value }))} />
+                            <TextField label="Expires" type="date" value={keyForm.expiresAt} InputLabelProps={{ shrink: true }}
+                                helperText="Leave empty for a key that does not expire"
+                                onChange={(e) => setKeyForm(f => ({ ...f, expiresAt: e.target.value }))} />
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setKeyForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveKey}
+                        disabled={!keyForm?.name || keyForm?.scopes.length === 0}>
+                        {keyForm?._id ? 'Save' : 'Create key'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* New key, shown once */}
+            <Dialog open={!!newKey} onClose={() => setNewKey(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>API key - {newKey?.name}</DialogTitle>
+                <DialogContent>
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        Copy this key now; it is not shown again. Anyone with the key can call the API with its scopes.
+                    </Alert>
+                    <TextField fullWidth value={newKey?.key || ''} InputProps={{ readOnly: true }}
+                        onFocus={(e) => e.target.select()} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => navigator.clipboard?.writeText(newKey?.key || '')}>Copy</Button>
+                    <Button variant="contained" onClick={() => setNewKey(null)}>Done</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Usage */}
+            <Dialog open={!!usage} onClose={() => setUsage(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Usage - {usage?.apiKey?.name}</DialogTitle>
+                {usage && (
+                    <DialogContent>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Time</TableCell>
+                                    <TableCell>Request</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Duration</TableCell>
+                                    <TableCell>IP address</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {usage.entries.length === 0 && (
+                                    <TableRow><TableCell colSpan={5} align="center">No requests yet</TableCell></TableRow>
+                                )}
+                                {usage.entries.map((entry, index) => (
+                                    <TableRow key={index}>
+                                        <TableCell>{formatDateTime(entry.at)}</TableCell>
+                                        <TableCell sx={{ wordBreak: 'break-all' }}>
+                                            {entry.method ? `${entry.method} ${entry.path}` : entry.action}
+                                            {entry.error && (
+                                                <Typography variant="caption" color="error" display="block">{entry.error}</Typography>
+                                            )}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Chip size="small" color={entry.status === 'success' ? 'success' : 'error'}
+                                                label={entry.statusCode || entry.status} />
+                                        </TableCell>
+                                        <TableCell>{entry.durationMs != null ? `${entry.durationMs} ms` : '-'}</TableCell>
+                                        <TableCell>{entry.ipAddress || '-'}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setUsage(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default ApiKeysPage;
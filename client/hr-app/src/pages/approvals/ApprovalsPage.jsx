@@ -0,0 +1,853 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Button,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Divider,
+    Grid,
+    IconButton,
+    MenuItem,
+    Paper,
+    Stack,
+    Switch,
+    FormControlLabel,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Tabs,
+    TextField,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Approval as ApprovalIcon,
+    Check as CheckIcon,
+    Close as CloseIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    History as HistoryIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import { useAuth } from '../../store/providers/ReduxAuthProvider';
+import approvalService from '../../services/approval.service';
+import vacationService from '../../services/vacation.service';
+import sickLeaveService from '../../services/sickLeave.service';
+import permissionService from '../../services/permission.service';
+import missionService from '../../services/mission.service';
+import overtimeService from '../../services/overtime.service';
+import forgetCheckService from '../../services/forgetCheck.service';
+import departmentService from '../../services/department.service';
+import userService from '../../services/user.service';
+import ApprovalTimeline from '../../components/approvals/ApprovalTimeline';
+import Loading from '../../components/common/Loading';
+
+const REQUEST_TYPES = [
+    { value: 'vacation', label: 'Vacation' },
+    { value: 'sick-leave', label: 'Sick Leave' },
+    { value: 'permission', label: 'Permission' },
+    { value: 'mission', label: 'Mission' },
+    { value: 'overtime', label: 'Overtime' },
+    { value: 'forget-check', label: 'Forget Check' }
+];
+
+// Requests are still decided through their own endpoints; the chain decides who may call them
+const DECISIONS = {
+    vacation: { approve: vacationService.approve, reject: vacationService.reject },
+    'sick-leave': { approve: sickLeaveService.approveBySupervisor, reject: sickLeaveService.rejectBySupervisor },
+    permission: { approve: permissionService.approve, reject: permissionService.reject },
+    mission: { approve: missionService.approve, reject: missionService.reject },
+    overtime: { approve: overtimeService.approve, reject: overtimeService.reject },
+    'forget-check': { approve: forgetCheckService.approve, reject: forgetCheckService.reject }
+};
+
+const APPROVER_TYPES = [
+    { value: 'direct-manager', label: 'Direct manager' },
+    { value: 'department-head', label: 'Department head' },
+    { value: 'role', label: 'Role' },
+    { value: 'user', label: 'Specific user' }
+];
+
+const ROLES = ['admin', 'hr', 'manager', 'supervisor', 'head-of-department', 'dean'];
+
+const CONDITION_FIELDS = [
+    { value: 'duration', label: 'Duration (days)' },
+    { value: 'hours', label: 'Hours' },
+    { value: 'amount', label: 'Amount' },
+    { value: 'type', label: 'Type' }
+];
+
+const CONDITION_OPERATORS = [
+    { value: 'gt', label: '>' },
+    { value: 'gte', label: '>=' },
+    { value: 'lt', label: '<' },
+    { value: 'lte', label: '<=' },
+    { value: 'eq', label: '=' }
+];
+
+const HR_ROLES = ['admin', 'hr'];
+
+const EMPTY_STEP = { name: '', approverType: 'direct-manager', roles: [], user: '', conditions: [], escalateAfterDays: '' };
+
+const EMPTY_CHAIN = {
+    name: '',
+    description: '',
+    requestType: 'vacation',
+    priority: 0,
+    conditions: [],
+    appliesTo: { departments: [] },
+    steps: [{ ...EMPTY_STEP, name: 'Manager approval' }],
+    isActive: true
+};
+
+const EMPTY_DELEGATION = { delegator: '', delegate: '', startDate: '', endDate: '', requestTypes: [], reason: '' };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const idOf = (value) => value?._id || value;
+
+const nameOf = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+const typeLabel = (value) => REQUEST_TYPES.find(type => type.value === value)?.label || value;
+
+const toDateInput = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const ApprovalsPage = () => {
+    const { showNotification } = useNotification();
+    const { user } = useAuth();
+    const isHR = HR_ROLES.includes(user?.role);
+    const isAdmin = user?.role === 'admin';
+
+    const [tab, setTab] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [pending, setPending] = useState([]);
+    const [delegations, setDelegations] = useState([]);
+    const [chains, setChains] = useState([]);
+    const [employees, setEmployees] = useState([]);
+    const [departments, setDepartments] = useState([]);
+
+    const [decision, setDecision] = useState(null);
+    const [decisionText, setDecisionText] = useState('');
+    const [history, setHistory] = useState(null);
+    const [chainForm, setChainForm] = useState(null);
+    const [delegationForm, setDelegationForm] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [pendingList, delegationList, chainList, userList, departmentList] = await Promise.all([
+                approvalService.getPending(),
+                approvalService.getDelegations(),
+                isHR ? approvalService.getChains() : Promise.resolve([]),
+                userService.getAll(),
+                isHR ? departmentService.getAll() : Promise.resolve([])
+            ]);
+            setPending(toList(pendingList));
+            setDelegations(toList(delegationList));
+            setChains(toList(chainList));
+            setEmployees(toList(userList));
+            setDepartments(toList(departmentList));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load approvals', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [isHR, showNotification]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    // ----- Pending approvals -----
+
+    const handleDecision = async () => {
+        const { action, requestType, request } = decision;
+        if (action === 'reject' && decisionText.trim().length < 10) {
+            showNotification('Rejection reason must be at least 10 characters long', 'error');
+            return;
+        }
+
+        try {
+            await DECISIONS[requestType][action](request._id, decisionText.trim());
+            showNotification(action === 'approve' ? 'Request approved' : 'Request rejected', 'success');
+            setDecision(null);
+            setDecisionText('');
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save the decision', 'error');
+        }
+    };
+
+    const handleShowHistory = async (requestType, id) => {
+        try {
+            const result = await approvalService.getHistory(requestType, id);
+            setHistory(result);
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load the approval history', 'error');
+        }
+    };
+
+    // ----- Delegations -----
+
+    const handleSaveDelegation = async () => {
+        try {
+            const data = { ...delegationForm };
+            if (!data.delegator) delete data.delegator;
+            await approvalService.createDelegation(data);
+            showNotification('Delegation created', 'success');
+            setDelegationForm(null);
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to create the delegation', 'error');
+        }
+    };
+
+    const handleRevokeDelegation = async (id) => {
+        try {
+            await approvalService.revokeDelegation(id);
+            showNotification('Delegation revoked', 'success');
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to revoke the delegation', 'error');
+        }
+    };
+
+    // ----- Chains -----
+
+    const openChain = (chain) => {
+        setChainForm(chain
+            ? {
+                ...chain,
+                appliesTo: { departments: (chain.appliesTo?.departments || []).map(idOf) },
+                steps: chain.steps.map(step => ({
+                    ...EMPTY_STEP,
+                    ...step,
+                    user: idOf(step.user) || '',
+                    escalateAfterDays: step.escalateAfterDays || ''
+                }))
+            }
+            : { ...EMPTY_CHAIN, steps: EMPTY_CHAIN.steps.map(step => ({ ...step })) });
+    };
+
+    const updateStep = (index, changes) => {
+        setChainForm(form => ({
+            ...form,
+            steps: form.steps.map((step, i) => (i === index ? { ...step, ...changes } : step))
+        }));
+    };
+
+    const updateCondition = (stepIndex, index, changes) => {
+        const update = (conditions) => conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition));
+        if (stepIndex === null) {
+            setChainForm(form => ({ ...form, conditions: update(form.conditions) }));
+        } else {
+            updateStep(stepIndex, { conditions: update(chainForm.steps[stepIndex].conditions) });
+        }
+    };
+
+    const handleSaveChain = async () => {
+        const data = {
+            ...chainForm,
+            steps: chainForm.steps.map(step => ({
+                ...step,
+                user: step.approverType === 'user' ? step.user : undefined,
+                roles: step.approverType === 'role' ? step.roles : [],
+                escalateAfterDays: step.escalateAfterDays ? Number(step.escalateAfterDays) : undefined,
+                escalateTo: step.escalateAfterDays ? step.escalateTo || { approverType: 'role', roles: HR_ROLES } : undefined
+            }))
+        };
+
+        try {
+            if (chainForm._id) {
+                await approvalService.updateChain(chainForm._id, data);
+            } else {
+                await approvalService.createChain(data);
+            }
+            showNotification('Approval chain saved', 'success');
+            setChainForm(null);
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save the approval chain', 'error');
+        }
+    };
+
+    const handleDeleteChain = async (id) => {
+        try {
+            await approvalService.deleteChain(id);
+            showNotification('Approval chain deleted', 'success');
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete the approval chain', 'error');
+        }
+    };
+
+    const renderConditions = (conditions, stepIndex) => (
+        <Stack spacing={1}>
+            {conditions.map((condition, index) => (
+                <Stack key={index} direction="row" spacing={1} alignItems="center">
+                    <TextField
+                        select
+                        size="small"
+                        label="Field"
+                        value={condition.field}
+                        onChange={(e) => updateCondition(stepIndex, index, { field: e.target.value })}
+                        sx={{ minWidth: 150 }}
+                    >
+                        {CONDITION_FIELDS.map(field => (
+                            <MenuItem key={field.value} value={field.value}>{field.label}</MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField
+                        select
+                        size="small"
+                        label="Operator"
+                        value={condition.operator}
+                        onChange={(e) => updateCondition(stepIndex, index, { operator: e.target.value })}
+                        sx={{ minWidth: 90 }}
+                    >
+                        {CONDITION_OPERATORS.map(operator => (
+                            <MenuItem key={operator.value} value={operator.value}>{operator.label}</MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField
+                        size="small"
+                        label="Value"
+                        value={condition.value}
+                        onChange={(e) => updateCondition(stepIndex, index, { value: e.target.value })}
+                    />
+                    <IconButton
+                        size="small"
+                        onClick={() => {
+                            const next = conditions.filter((_, i) => i !== index);
+                            if (stepIndex === null) {
+                                setChainForm(form => ({ ...form, conditions: next }));
+                            } else {
+                                updateStep(stepIndex, { conditions: next });
+                            }
+                        }}
+                    >
+                        <DeleteIcon fontSize="small" />
+                    </IconButton>
+                </Stack>
+            ))}
+            <Box>
+                <Button
+                    size="small"
+                    startIcon={<AddIcon />}
+                    onClick={() => {
+                        const next = [...conditions, { field: 'duration', operator: 'gt', value: '' }];
+                        if (stepIndex === null) {
+                            setChainForm(form => ({ ...form, conditions: next }));
+                        } else {
+                            updateStep(stepIndex, { conditions: next });
+                        }
+                    }}
+                >
+                    Add condition
+                </Button>
+            </Box>
+        </Stack>
+    );
+
+    if (loading) return <Loading />;
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 3 }}>
+                <ApprovalIcon color="primary" />
+                <Typography variant="h5">Approvals</Typography>
+            </Box>
+
+            <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3 }}>
+                <Tab label={`Pending (${pending.length})`} />
+                <Tab label="Delegations" />
+                {isHR && <Tab label="Approval Chains" />}
+            </Tabs>
+
+            {tab === 0 && (
+                <TableContainer component={Paper}>
+                    <Table>
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Type</TableCell>
+                                <TableCell>Employee</TableCell>
+                                <TableCell>Department</TableCell>
+                                <TableCell>Submitted</TableCell>
+                                <TableCell>Step</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {pending.length === 0 && (
+                                <TableRow>
+                                    <TableCell colSpan={6} align="center">
+                                        No requests are waiting for your approval
+                                    </TableCell>
+                                </TableRow>
+                            )}
+                            {pending.map(({ requestType, request }) => {
+                                const process = request.approvalProcess;
+                                const step = process?.steps?.[process.currentStep];
+                                return (
+                                    <TableRow key={`${requestType}-${request._id}`}>
+                                        <TableCell>{typeLabel(requestType)}</TableCell>
+                                        <TableCell>{nameOf(request.employee)}</TableCell>
+                                        <TableCell>{request.department?.name || '-'}</TableCell>
+                                        <TableCell>{new Date(request.createdAt).toLocaleDateString()}</TableCell>
+                                        <TableCell>
+                                            {step?.name}
+                                            {step?.escalated && <Chip size="small" color="warning" label="Escalated" sx={{ ml: 1 }} />}
+                                        </TableCell>
+                                        <TableCell align="right">
+                                            <IconButton title="History" onClick={() => handleShowHistory(requestType, request._id)}>
+                                                <HistoryIcon />
+                                            </IconButton>
+                                            <IconButton color="success" title="Approve" onClick={() => setDecision({ action: 'approve', requestType, request })}>
+                                                <CheckIcon />
+                                            </IconButton>
+                                            <IconButton color="error" title="Reject" onClick={() => setDecision({ action: 'reject', requestType, request })}>
+                                                <CloseIcon />
+                                            </IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                );
+                            })}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            {tab === 1 && (
+                <>
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setDelegationForm({ ...EMPTY_DELEGATION })}>
+                            Delegate Approvals
+                        </Button>
+                    </Box>
+                    <TableContainer component={Paper}>
+                        <Table>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Delegator</TableCell>
+                                    <TableCell>Delegate</TableCell>
+                                    <TableCell>Period</TableCell>
+                                    <TableCell>Request Types</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {delegations.length === 0 && (
+                                    <TableRow>
+                                        <TableCell colSpan={6} align="center">No delegations</TableCell>
+                                    </TableRow>
+                                )}
+                                {delegations.map(delegation => (
+                                    <TableRow key={delegation._id}>
+                                        <TableCell>{nameOf(delegation.delegator)}</TableCell>
+                                        <TableCell>{nameOf(delegation.delegate)}</TableCell>
+                                        <TableCell>
+                                            {new Date(delegation.startDate).toLocaleDateString()} - {new Date(delegation.endDate).toLocaleDateString()}
+                                        </TableCell>
+                                        <TableCell>
+                                            {delegation.requestTypes?.length
+                                                ? delegation.requestTypes.map(typeLabel).join(', ')
+                                                : 'All'}
+                                        </TableCell>
+                                        <TableCell>
+                                            <Chip
+                                                size="small"
+                                                label={delegation.isActive ? 'Active' : 'Revoked'}
+                                                color={delegation.isActive ? 'success' : 'default'}
+                                            />
+                                        </TableCell>
+                                        <TableCell align="right">
+                                            {delegation.isActive && (
+                                                <IconButton title="Revoke" onClick={() => handleRevokeDelegation(delegation._id)}>
+                                                    <DeleteIcon />
+                                                </IconButton>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </>
+            )}
+
+            {tab === 2 && isHR && (
+                <>
+                    {isAdmin && (
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                            <Button variant="contained" startIcon={<AddIcon />} onClick={() => openChain(null)}>
+                                New Chain
+                            </Button>
+                        </Box>
+                    )}
+                    <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                        Request types without an active chain are decided in a single step by HR, as before.
+                    </Typography>
+                    <TableContainer component={Paper}>
+                        <Table>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Name</TableCell>
+                                    <TableCell>Request Type</TableCell>
+                                    <TableCell>Steps</TableCell>
+                                    <TableCell>Priority</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    {isAdmin && <TableCell align="right">Actions</TableCell>}
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {chains.length === 0 && (
+                                    <TableRow>
+                                        <TableCell colSpan={6} align="center">No approval chains configured</TableCell>
+                                    </TableRow>
+                                )}
+                                {chains.map(chain => (
+                                    <TableRow key={chain._id}>
+                                        <TableCell>{chain.name}</TableCell>
+                                        <TableCell>{typeLabel(chain.requestType)}</TableCell>
+                                        <TableCell>{chain.steps.map(step => step.name).join(' → ')}</TableCell>
+                                        <TableCell>{chain.priority}</TableCell>
+                                        <TableCell>
+                                            <Chip
+                                                size="small"
+                                                label={chain.isActive ? 'Active' : 'Inactive'}
+                                                color={chain.isActive ? 'success' : 'default'}
+                                            />
+                                        </TableCell>
+                                        {isAdmin && (
+                                            <TableCell align="right">
+                                                <IconButton onClick={() => openChain(chain)}>
+                                                    <EditIcon />
+                                                </IconButton>
+                                                <IconButton onClick={() => handleDeleteChain(chain._id)}>
+                                                    <DeleteIcon />
+                                                </IconButton>
+                                            </TableCell>
+                                        )}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </>
+            )}
+
+            {/* Approve / reject */}
+            <Dialog open={!!decision} onClose={() => setDecision(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>
+                    {decision?.action === 'approve' ? 'Approve' : 'Reject'} {typeLabel(decision?.requestType)} Request
+                </DialogTitle>
+                <DialogContent>
+                    <TextField
+                        fullWidth
+                        multiline
+                        minRows={3}
+                        margin="normal"
+                        label={decision?.action === 'approve' ? 'Notes (optional)' : 'Rejection reason'}
+                        value={decisionText}
+                        onChange={(e) => setDecisionText(e.target.value)}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDecision(null)}>Cancel</Button>
+                    <Button
+                        variant="contained"
+                        color={decision?.action === 'approve' ? 'success' : 'error'}
+                        onClick={handleDecision}
+                    >
+                        {decision?.action === 'approve' ? 'Approve' : 'Reject'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Approval history */}
+            <Dialog open={!!history} onClose={() => setHistory(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Approval History</DialogTitle>
+                <DialogContent>
+                    <ApprovalTimeline process={history?.process} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setHistory(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Delegation editor */}
+            <Dialog open={!!delegationForm} onClose={() => setDelegationForm(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Delegate Approvals</DialogTitle>
+                {delegationForm && (
+                    <DialogContent>
+                        {isHR && (
+                            <TextField
+                                select
+                                fullWidth
+                                margin="normal"
+                                label="On behalf of"
+                                helperText="Leave empty to delegate your own approvals"
+                                value={delegationForm.delegator}
+                                onChange={(e) => setDelegationForm({ ...delegationForm, delegator: e.target.value })}
+                            >
+                                <MenuItem value="">Myself</MenuItem>
+                                {employees.map(employee => (
+                                    <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>
+                                ))}
+                            </TextField>
+                        )}
+                        <TextField
+                            select
+                            fullWidth
+                            margin="normal"
+                            label="Delegate"
+                            value={delegationForm.delegate}
+                            onChange={(e) => setDelegationForm({ ...delegationForm, delegate: e.target.value })}
+                        >
+                            {employees
+                                .filter(employee => employee._id !== (delegationForm.delegator || user?._id || user?.id))
+                                .map(employee => (
+                                    <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>
+                                ))}
+                        </TextField>
+                        <Grid container spacing={2}>
+                            <Grid size={{ xs: 6 }}>
+                                <TextField
+                                    fullWidth
+                                    type="date"
+                                    margin="normal"
+                                    label="From"
+                                    InputLabelProps={{ shrink: true }}
+                                    value={toDateInput(delegationForm.startDate)}
+                                    onChange={(e) => setDelegationForm({ ...delegationForm, startDate: e.target.value })}
+                                />
+                            </Grid>
+                            <Grid size={{ xs: 6 }}>
+                                <TextField
+                                    fullWidth
+                                    type="date"
+                                    margin="normal"
+                                    label="To"
+                                    InputLabelProps={{ shrink: true }}
+                                    value={toDateInput(delegationForm.endDate)}
+                                    onChange={(e) => setDelegationForm({ ...delegationForm, endDate: e.target.value })}
+                                />
+                            </Grid>
+                        </Grid>
+                        <TextField
+                            select
+                            fullWidth
+                            margin="normal"
+                            label="Request types"
+                            helperText="Leave empty for all request types"
+                            SelectProps={{ multiple: true }}
+                            value={delegationForm.requestTypes}
+                            onChange={(e) => setDelegationForm({ ...delegationForm, requestTypes: e.target.value })}
+                        >
+                            {REQUEST_TYPES.map(type => (
+                                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                            ))}
+                        </TextField>
+                        <TextField
+                            fullWidth
+                            margin="normal"
+                            label="Reason"
+                            value={delegationForm.reason}
+                            onChange={(e) => setDelegationForm({ ...delegationForm, reason: e.target.value })}
+                        />
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setDelegationForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveDelegation}>Save</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Chain editor */}
+            <Dialog open={!!chainForm} onClose={() => setChainForm(null)} maxWidth="md" fullWidth>
+                <DialogTitle>{chainForm?._id ? 'Edit Approval Chain' : 'New Approval Chain'}</DialogTitle>
+                {chainForm && (
+                    <DialogContent>
+                        <Grid container spacing={2}>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField
+                                    fullWidth
+                                    margin="normal"
+                                    label="Name"
+                                    value={chainForm.name}
+                                    onChange={(e) => setChainForm({ ...chainForm, name: e.target.value })}
+                                />
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 3 }}>
+                                <TextField
+                                    select
+                                    fullWidth
+                                    margin="normal"
+                                    label="Request type"
+                                    value={chainForm.requestType}
+                                    onChange={(e) => setChainForm({ ...chainForm, requestType: e.target.value })}
+                                >
+                                    {REQUEST_TYPES.map(type => (
+                                        <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 3 }}>
+                                <TextField
+                                    fullWidth
+                                    type="number"
+                                    margin="normal"
+                                    label="Priority"
+                                    value={chainForm.priority}
+                                    onChange={(e) => setChainForm({ ...chainForm, priority: Number(e.target.value) })}
+                                />
+                            </Grid>
+                            <Grid size={{ xs: 12 }}>
+                                <TextField
+                                    fullWidth
+                                    label="Description"
+                                    value={chainForm.description || ''}
+                                    onChange={(e) => setChainForm({ ...chainForm, description: e.target.value })}
+                                />
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 8 }}>
+                                <TextField
+                                    select
+                                    fullWidth
+                                    label="Departments"
+                                    helperText="Leave empty for every department"
+                                    SelectProps={{ multiple: true }}
+                                    value={chainForm.appliesTo.departments}
+                                    onChange={(e) => setChainForm({ ...chainForm, appliesTo: { departments: e.target.value } })}
+                                >
+                                    {departments.map(department => (
+                                        <MenuItem key={department._id} value={department._id}>{department.name}</MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 4 }}>
+                                <FormControlLabel
+                                    control={
+                                        <Switch
+                                            checked={chainForm.isActive}
+                                            onChange={(e) => setChainForm({ ...chainForm, isActive: e.target.checked })}
+                                        />
+                                    }
+                                    label="Active"
+                                />
+                            </Grid>
+                        </Grid>
+
+                        <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>Chain conditions</Typography>
+                        {renderConditions(chainForm.conditions, null)}
+
+                        <Divider sx={{ my: 3 }} />
+                        <Typography variant="subtitle1" sx={{ mb: 1 }}>Steps</Typography>
+                        {chainForm.steps.map((step, index) => (
+                            <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                                <Grid container spacing={2} alignItems="center">
+                                    <Grid size={{ xs: 12, md: 4 }}>
+                                        <TextField
+                                            fullWidth
+                                            size="small"
+                                            label={`Step ${index + 1} name`}
+                                            value={step.name}
+                                            onChange={(e) => updateStep(index, { name: e.target.value })}
+                                        />
+                                    </Grid>
+                                    <Grid size={{ xs: 12, md: 3 }}>
+                                        <TextField
+                                            select
+                                            fullWidth
+                                            size="small"
+                                            label="Approver"
+                                            value={step.approverType}
+                                            onChange={(e) => updateStep(index, { approverType: e.target.value })}
+                                        >
+                                            {APPROVER_TYPES.map(type => (
+                                                <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </Grid>
+                                    <Grid size={{ xs: 12, md: 3 }}>
+                                        {step.approverType === 'role' && (
+                                            <TextField
+                                                select
+                                                fullWidth
+                                                size="small"
+                                                label="Roles"
+                                                SelectProps={{ multiple: true }}
+                                                value={step.roles}
+                                                onChange={(e) => updateStep(index, { roles: e.target.value })}
+                                            >
+                                                {ROLES.map(role => (
+                                                    <MenuItem key={role} value={role}>{role}</MenuItem>
+                                                ))}
+                                            </TextField>
+                                        )}
+                                        {step.approverType === 'user' && (
+                                            <TextField
+                                                select
+                                                fullWidth
+                                                size="small"
+                                                label="User"
+                                                value={step.user}
+                                                onChange={(e) => updateStep(index, { user: e.target.value })}
+                                            >
+                                                {employees.map(employee => (
+                                                    <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>
+                                                ))}
+                                            </TextField>
+                                        )}
+                                    </Grid>
+                                    <Grid size={{ xs: 10, md: 1 }}>
+                                        <TextField
+                                            fullWidth
+                                            size="small"
+                                            type="number"
+                                            label="Escalate (days)"
+                                            value={step.escalateAfterDays}
+                                            onChange={(e) => updateStep(index, { escalateAfterDays: e.target.value })}
+                                        />
+                                    </Grid>
+                                    <Grid size={{ xs: 2, md: 1 }}>
+                                        <IconButton
+                                            disabled={chainForm.steps.length === 1}
+                                            onClick={() => setChainForm({ ...chainForm, steps: chainForm.steps.filter((_, i) => i !== index) })}
+                                        >
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    </Grid>
+                                </Grid>
+                                <Typography variant="caption" color="text.secondary" display="block" sx={{ mt: 2, mb: 1 }}>
+                                    Only required when
+                                </Typography>
+                                {renderConditions(step.conditions, index)}
+                            </Paper>
+                        ))}
+                        <Button
+                            startIcon={<AddIcon />}
+                            onClick={() => setChainForm({ ...chainForm, steps: [...chainForm.steps, { ...EMPTY_STEP }] })}
+                        >
+                            Add step
+                        </Button>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setChainForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveChain}>Save</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default ApprovalsPage;
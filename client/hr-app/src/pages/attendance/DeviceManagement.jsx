@@ -31,7 +31,8 @@ import {
     Sync as SyncIcon,
     CheckCircle as CheckCircleIcon,
     Error as ErrorIcon,
-    Cable as CableIcon
+    Cable as CableIcon,
+    DeleteSweep as DeleteSweepIcon
 } from '@mui/icons-material';
 import attendanceDeviceService from '../../services/attendanceDevice.service';
 import PageContainer from '../../components/PageContainer';
@@ -157,6 +158,17 @@ const DeviceManagement = () => {
         }
     };
 
+    const handleClearLogs = async (id) => {
+        if (window.confirm('Delete all attendance records stored on this device? Sync it first so no punches are lost.')) {
+            try {
+                const response = await attendanceDeviceService.clearDeviceLogs(id);
+                alert(response.message);
+            } catch (err) {
+                setError(err.response?.data?.error || 'Failed to clear device logs');
+            }
+        }
+    };
+
     const getStatusColor = (status) => {
         const colors = {
             active: 'success',
@@ -271,6 +283,16 @@ const DeviceManagement = () => {
                                                         )}
                                                     </IconButton>
                                                 </Tooltip>
+                                                {device.deviceType === 'zkteco' && (
+                                                    <Tooltip title="Clear Device Logs">
+                                                        <IconButton
+                                                            size="small"
+                                                            onClick={() => handleClearLogs(device._id)}
+                                                        >
+                                                            <DeleteSweepIcon />
+                                                        </IconButton>
+                                                    </Tooltip>
+                                                )}
                                                 <Tooltip title="Edit">
                                                     <IconButton
                                                         size="small"
@@ -0,0 +1,765 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import {
+    Box,
+    Button,
+    Card,
+    CardContent,
+    Chip,
+    CircularProgress,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    IconButton,
+    MenuItem,
+    Paper,
+    Stack,
+    Switch,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Tabs,
+    TextField,
+    Tooltip,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    ChevronLeft as ChevronLeftIcon,
+    ChevronRight as ChevronRightIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    Today as TodayIcon
+} from '@mui/icons-material';
+import PageContainer from '../../components/PageContainer';
+import shiftService from '../../services/shift.service';
+import departmentService from '../../services/department.service';
+import userService from '../../services/user.service';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const toDateKey = (date) => {
+    const value = new Date(date);
+    return [
+        value.getFullYear(),
+        String(value.getMonth() + 1).padStart(2, '0'),
+        String(value.getDate()).padStart(2, '0')
+    ].join('-');
+};
+
+const addDays = (date, days) => {
+    const value = new Date(date);
+    value.setDate(value.getDate() + days);
+    return value;
+};
+
+const startOfWeek = (date) => {
+    const value = new Date(date);
+    value.setHours(0, 0, 0, 0);
+    return addDays(value, -value.getDay());
+};
+
+const employeeName = (employee) => employee?.personalInfo?.fullName
+    || [employee?.personalInfo?.firstName, employee?.personalInfo?.lastName].filter(Boolean).join(' ')
+    || employee?.username
+    || '';
+
+const shiftTimes = (shift) => (shift?.segments || [])
+    .map(segment => `${segment.startTime}-${segment.endTime}`)
+    .join(', ');
+
+const EMPTY_SHIFT = {
+    name: '',
+    code: '',
+    color: '#1976d2',
+    segments: [{ startTime: '09:00', endTime: '17:00' }],
+    breakMinutes: 0,
+    graceMinutes: 0,
+    earlyLeaveGraceMinutes: 0,
+    minOvertimeMinutes: 30,
+    isActive: true
+};
+
+const EMPTY_PATTERN = { name: '', description: '', days: [{ shift: '', dayOff: false }] };
+
+const EMPTY_ASSIGNMENT = {
+    target: 'employee',
+    employee: '',
+    department: '',
+    kind: 'pattern',
+    shift: '',
+    pattern: '',
+    cycleStartDay: 1,
+    startDate: toDateKey(new Date()),
+    endDate: '',
+    notes: ''
+};
+
+const RosterPage = () => {
+    const { showNotification } = useNotification();
+    const [tab, setTab] = useState(0);
+    const [loading, setLoading] = useState(false);
+
+    const [shifts, setShifts] = useState([]);
+    const [patterns, setPatterns] = useState([]);
+    const [assignments, setAssignments] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [employees, setEmployees] = useState([]);
+
+    const [weekStart, setWeekStart] = useState(() => startOfWeek(new Date()));
+    const [rangeDays, setRangeDays] = useState(7);
+    const [department, setDepartment] = useState('');
+    const [roster, setRoster] = useState(null);
+    const [cell, setCell] = useState(null);
+
+    const [shiftDialog, setShiftDialog] = useState(null);
+    const [patternDialog, setPatternDialog] = useState(null);
+    const [assignmentDialog, setAssignmentDialog] = useState(null);
+
+    const shiftById = useMemo(
+        () => Object.fromEntries(shifts.map(shift => [shift._id, shift])),
+        [shifts]
+    );
+
+    const fetchSetup = useCallback(async () => {
+        try {
+            const [shiftList, patternList, assignmentList, departmentList, userList] = await Promise.all([
+                shiftService.getShifts(),
+                shiftService.getPatterns(),
+                shiftService.getAssignments(),
+                departmentService.getAll(),
+                userService.getAll()
+            ]);
+            setShifts(toList(shiftList));
+            setPatterns(toList(patternList));
+            setAssignments(toList(assignmentList));
+            setDepartments(toList(departmentList));
+            setEmployees(toList(userList));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load shift settings', 'error');
+        }
+    }, [showNotification]);
+
+    const fetchRoster = useCallback(async () => {
+        try {
+            setLoading(true);
+            const data = await shiftService.getRoster({
+                startDate: toDateKey(weekStart),
+                endDate: toDateKey(addDays(weekStart, rangeDays - 1)),
+                department: department || undefined
+            });
+            setRoster(data);
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load roster', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [weekStart, rangeDays, department, showNotification]);
+
+    useEffect(() => {
+        fetchSetup();
+    }, [fetchSetup]);
+
+    useEffect(() => {
+        fetchRoster();
+    }, [fetchRoster]);
+
+    const refresh = async () => {
+        await fetchSetup();
+        await fetchRoster();
+    };
+
+    // Roster cell overrides
+    const handleSetDay = async (shiftId) => {
+        try {
+            await shiftService.setRosterDay(cell.employee._id, cell.day.date, shiftId);
+            setCell(null);
+            fetchRoster();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to update roster', 'error');
+        }
+    };
+
+    const handleClearOverride = async () => {
+        try {
+            await shiftService.deleteAssignment(cell.day.assignment);
+            setCell(null);
+            fetchRoster();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to update roster', 'error');
+        }
+    };
+
+    // Shifts
+    const handleSaveShift = async () => {
+        try {
+            const { _id, ...data } = shiftDialog;
+            if (_id) {
+                await shiftService.updateShift(_id, data);
+            } else {
+                await shiftService.createShift(data);
+            }
+            setShiftDialog(null);
+            showNotification('Shift saved', 'success');
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save shift', 'error');
+        }
+    };
+
+    const handleDeleteShift = async (id) => {
+        if (!window.confirm('Delete this shift?')) return;
+        try {
+            await shiftService.deleteShift(id);
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete shift', 'error');
+        }
+    };
+
+    const updateSegment = (index, field, value) => {
+        const segments = shiftDialog.segments.map((segment, i) => (i === index ? { ...segment, [field]: value } : segment));
+        setShiftDialog({ ...shiftDialog, segments });
+    };
+
+    // Patterns
+    const handleSavePattern = async () => {
+        try {
+            const data = {
+                name: patternDialog.name,
+                description: patternDialog.description,
+                days: patternDialog.days.map(day => ({ shift: day.dayOff ? null : day.shift, dayOff: day.dayOff || !day.shift }))
+            };
+            if (patternDialog._id) {
+                await shiftService.updatePattern(patternDialog._id, data);
+            } else {
+                await shiftService.createPattern(data);
+            }
+            setPatternDialog(null);
+            showNotification('Rotation pattern saved', 'success');
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save rotation pattern', 'error');
+        }
+    };
+
+    const handleDeletePattern = async (id) => {
+        if (!window.confirm('Delete this rotation pattern?')) return;
+        try {
+            await shiftService.deletePattern(id);
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete rotation pattern', 'error');
+        }
+    };
+
+    const setPatternDay = (index, value) => {
+        const days = patternDialog.days.map((day, i) => (i === index
+            ? (value === 'off' ? { shift: '', dayOff: true } : { shift: value, dayOff: false })
+            : day));
+        setPatternDialog({ ...patternDialog, days });
+    };
+
+    // Assignments
+    const handleSaveAssignment = async () => {
+        try {
+            const form = assignmentDialog;
+            await shiftService.createAssignment({
+                employee: form.target === 'employee' ? form.employee : undefined,
+                department: form.target === 'department' ? form.department : undefined,
+                shift: form.kind === 'shift' ? form.shift : undefined,
+                pattern: form.kind === 'pattern' ? form.pattern : undefined,
+                dayOff: form.kind === 'dayOff',
+                cycleStartDay: Number(form.cycleStartDay) || 1,
+                startDate: form.startDate,
+                endDate: form.endDate || undefined,
+                notes: form.notes
+            });
+            setAssignmentDialog(null);
+            showNotification('Assignment saved', 'success');
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save assignment', 'error');
+        }
+    };
+
+    const handleDeleteAssignment = async (id) => {
+        if (!window.confirm('Remove this assignment?')) return;
+        try {
+            await shiftService.deleteAssignment(id);
+            refresh();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to remove assignment', 'error');
+        }
+    };
+
+    const renderCell = (employee, day) => {
+        const shift = day.shift ? shiftById[day.shift] : null;
+        let content = <Typography variant="caption" color="text.disabled">-</Typography>;
+
+        if (shift) {
+            content = (
+                <Chip
+                    size="small"
+                    label={shift.code}
+                    sx={{ bgcolor: shift.color, color: '#fff', fontWeight: 600, minWidth: 40 }}
+                    variant={day.source === 'override' ? 'outlined' : 'filled'}
+                />
+            );
+        } else if (day.dayOff) {
+            content = <Chip size="small" label="OFF" variant={day.source === 'override' ? 'outlined' : 'filled'} />;
+        }
+
+        return (
+            <TableCell
+                key={day.date}
+                align="center"
+                onClick={() => setCell({ employee, day })}
+                sx={{ cursor: 'pointer', px: 0.5, '&:hover': { bgcolor: 'action.hover' } }}
+            >
+                <Tooltip title={shift ? `${shift.name} ${shiftTimes(shift)}${day.source === 'override' ? ' (override)' : ''}` : ''}>
+                    <span>{content}</span>
+                </Tooltip>
+            </TableCell>
+        );
+    };
+
+    const renderRoster = () => (
+        <Card>
+            <CardContent>
+                <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }} sx={{ mb: 2 }}>
+                    <Stack direction="row" spacing={1} alignItems="center">
+                        <IconButton onClick={() => setWeekStart(addDays(weekStart, -rangeDays))}><ChevronLeftIcon /></IconButton>
+                        <Button startIcon={<TodayIcon />} onClick={() => setWeekStart(startOfWeek(new Date()))}>Today</Button>
+                        <IconButton onClick={() => setWeekStart(addDays(weekStart, rangeDays))}><ChevronRightIcon /></IconButton>
+                        <Typography variant="subtitle1">
+                            {weekStart.toLocaleDateString()} - {addDays(weekStart, rangeDays - 1).toLocaleDateString()}
+                        </Typography>
+                    </Stack>
+                    <Box sx={{ flexGrow: 1 }} />
+                    <TextField
+                        select
+                        size="small"
+                        label="Range"
+                        value={rangeDays}
+                        onChange={(e) => setRangeDays(Number(e.target.value))}
+                        sx={{ minWidth: 120 }}
+                    >
+                        <MenuItem value={7}>1 week</MenuItem>
+                        <MenuItem value={14}>2 weeks</MenuItem>
+                        <MenuItem value={28}>4 weeks</MenuItem>
+                    </TextField>
+                    <TextField
+                        select
+                        size="small"
+                        label="Department"
+                        value={department}
+                        onChange={(e) => setDepartment(e.target.value)}
+                        sx={{ minWidth: 200 }}
+                    >
+                        <MenuItem value="">All departments</MenuItem>
+                        {departments.map(item => (
+                            <MenuItem key={item._id} value={item._id}>{item.name}</MenuItem>
+                        ))}
+                    </TextField>
+                </Stack>
+
+                {loading || !roster ? (
+                    <Box display="flex" justifyContent="center" py={6}><CircularProgress /></Box>
+                ) : (
+                    <TableContainer component={Paper} variant="outlined" sx={{ maxHeight: 600 }}>
+                        <Table size="small" stickyHeader>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell sx={{ minWidth: 180 }}>Employee</TableCell>
+                                    {roster.dates.map(date => {
+                                        const value = new Date(`${date}T00:00:00`);
+                                        const isToday = date === toDateKey(new Date());
+                                        return (
+                                            <TableCell key={date} align="center" sx={{ px: 0.5, fontWeight: isToday ? 700 : 400 }}>
+                                                {DAY_NAMES[value.getDay()]}<br />{value.getDate()}
+                                            </TableCell>
+                                        );
+                                    })}
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {roster.employees.length === 0 ? (
+                                    <TableRow>
+                                        <TableCell colSpan={roster.dates.length + 1} align="center">No employees found</TableCell>
+                                    </TableRow>
+                                ) : roster.employees.map(row => (
+                                    <TableRow key={row.employee._id}>
+                                        <TableCell>
+                                            <Typography variant="body2">{employeeName(row.employee)}</Typography>
+                                            <Typography variant="caption" color="text.secondary">{row.employee.employeeId}</Typography>
+                                        </TableCell>
+                                        {row.days.map(day => renderCell(row.employee, day))}
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                )}
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                    Click a day to override it. Outlined cells are one-day overrides; "-" means no shift assigned (default office hours apply).
+                </Typography>
+            </CardContent>
+        </Card>
+    );
+
+    const renderShifts = () => (
+        <Card>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                    <Button variant="contained" startIcon={<AddIcon />} onClick={() => setShiftDialog({ ...EMPTY_SHIFT })}>Add Shift</Button>
+                </Box>
+                <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Code</TableCell>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Times</TableCell>
+                                <TableCell>Break</TableCell>
+                                <TableCell>Grace (late / early)</TableCell>
+                                <TableCell>Min. Overtime</TableCell>
+                                <TableCell>Active</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {shifts.map(shift => (
+                                <TableRow key={shift._id}>
+                                    <TableCell><Chip size="small" label={shift.code} sx={{ bgcolor: shift.color, color: '#fff' }} /></TableCell>
+                                    <TableCell>{shift.name}</TableCell>
+                                    <TableCell>{shiftTimes(shift)}</TableCell>
+                                    <TableCell>{shift.breakMinutes} min</TableCell>
+                                    <TableCell>{shift.graceMinutes} / {shift.earlyLeaveGraceMinutes} min</TableCell>
+                                    <TableCell>{shift.minOvertimeMinutes} min</TableCell>
+                                    <TableCell>{shift.isActive ? 'Yes' : 'No'}</TableCell>
+                                    <TableCell align="right">
+                                        <IconButton size="small" onClick={() => setShiftDialog({ ...shift })}><EditIcon /></IconButton>
+                                        <IconButton size="small" color="error" onClick={() => handleDeleteShift(shift._id)}><DeleteIcon /></IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </CardContent>
+        </Card>
+    );
+
+    const renderPatterns = () => (
+        <Card>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                    <Button variant="contained" startIcon={<AddIcon />} onClick={() => setPatternDialog({ ...EMPTY_PATTERN })}>Add Pattern</Button>
+                </Box>
+                <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Name</TableCell>
+                                <TableCell>Cycle</TableCell>
+                                <TableCell>Length</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {patterns.map(pattern => (
+                                <TableRow key={pattern._id}>
+                                    <TableCell>
+                                        <Typography variant="body2">{pattern.name}</Typography>
+                                        <Typography variant="caption" color="text.secondary">{pattern.description}</Typography>
+                                    </TableCell>
+                                    <TableCell>
+                                        <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                                            {pattern.days.map((day, index) => (day.dayOff || !day.shift
+                                                ? <Chip key={index} size="small" label="OFF" />
+                                                : <Chip key={index} size="small" label={day.shift.code} sx={{ bgcolor: day.shift.color, color: '#fff' }} />))}
+                                        </Stack>
+                                    </TableCell>
+                                    <TableCell>{pattern.days.length} days</TableCell>
+                                    <TableCell align="right">
+                                        <IconButton
+                                            size="small"
+                                            onClick={() => setPatternDialog({
+                                                ...pattern,
+                                                days: pattern.days.map(day => ({ shift: day.shift?._id || '', dayOff: day.dayOff || !day.shift }))
+                                            })}
+                                        >
+                                            <EditIcon />
+                                        </IconButton>
+                                        <IconButton size="small" color="error" onClick={() => handleDeletePattern(pattern._id)}><DeleteIcon /></IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </CardContent>
+        </Card>
+    );
+
+    const renderAssignments = () => (
+        <Card>
+            <CardContent>
+                <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 2 }}>
+                    <Button variant="contained" startIcon={<AddIcon />} onClick={() => setAssignmentDialog({ ...EMPTY_ASSIGNMENT })}>Assign</Button>
+                </Box>
+                <TableContainer component={Paper} variant="outlined">
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Assigned To</TableCell>
+                                <TableCell>Schedule</TableCell>
+                                <TableCell>From</TableCell>
+                                <TableCell>Until</TableCell>
+                                <TableCell>Notes</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {assignments.map(assignment => (
+                                <TableRow key={assignment._id}>
+                                    <TableCell>
+                                        {assignment.employee
+                                            ? employeeName(assignment.employee)
+                                            : `Department: ${assignment.department?.name || '-'}`}
+                                    </TableCell>
+                                    <TableCell>
+                                        {assignment.pattern && `${assignment.pattern.name} (starts on day ${assignment.cycleStartDay})`}
+                                        {assignment.shift && `${assignment.shift.code} - ${assignment.shift.name}`}
+                                        {assignment.dayOff && 'Day off'}
+                                    </TableCell>
+                                    <TableCell>{new Date(assignment.startDate).toLocaleDateString()}</TableCell>
+                                    <TableCell>{assignment.endDate ? new Date(assignment.endDate).toLocaleDateString() : 'Open-ended'}</TableCell>
+                                    <TableCell>{assignment.notes}</TableCell>
+                                    <TableCell align="right">
+                                        <IconButton size="small" color="error" onClick={() => handleDeleteAssignment(assignment._id)}><DeleteIcon /></IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            </CardContent>
+        </Card>
+    );
+
+    return (
+        <PageContainer title="Shift Roster">
+            <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 2 }}>
+                <Tab label="Roster" />
+                <Tab label="Shifts" />
+                <Tab label="Rotation Patterns" />
+                <Tab label="Assignments" />
+            </Tabs>
+
+            {tab === 0 && renderRoster()}
+            {tab === 1 && renderShifts()}
+            {tab === 2 && renderPatterns()}
+            {tab === 3 && renderAssignments()}
+
+            {/* Roster day override */}
+            <Dialog open={!!cell} onClose={() => setCell(null)} maxWidth="xs" fullWidth>
+                <DialogTitle>
+                    {cell && `${employeeName(cell.employee)} - ${new Date(`${cell.day.date}T00:00:00`).toLocaleDateString()}`}
+                </DialogTitle>
+                <DialogContent>
+                    <Stack spacing={1} sx={{ mt: 1 }}>
+                        {shifts.filter(shift => shift.isActive).map(shift => (
+                            <Button
+                                key={shift._id}
+                                variant={cell?.day.shift === shift._id ? 'contained' : 'outlined'}
+                                onClick={() => handleSetDay(shift._id)}
+                            >
+                                {shift.code} - {shift.name} ({shiftTimes(shift)})
+                            </Button>
+                        ))}
+                        <Button variant={cell?.day.dayOff ? 'contained' : 'outlined'} color="inherit" onClick={() => handleSetDay(null)}>
+                            Day off
+                        </Button>
+                        {cell?.day.source === 'override' && (
+                            <Button color="warning" onClick={handleClearOverride}>Remove override</Button>
+                        )}
+                    </Stack>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setCell(null)}>Cancel</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Shift definition */}
+            <Dialog open={!!shiftDialog} onClose={() => setShiftDialog(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{shiftDialog?._id ? 'Edit Shift' : 'Add Shift'}</DialogTitle>
+                {shiftDialog && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <Stack direction="row" spacing={2}>
+                                <TextField label="Name" value={shiftDialog.name} onChange={(e) => setShiftDialog({ ...shiftDialog, name: e.target.value })} fullWidth required />
+                                <TextField label="Code" value={shiftDialog.code} onChange={(e) => setShiftDialog({ ...shiftDialog, code: e.target.value })} sx={{ width: 120 }} required inputProps={{ maxLength: 5 }} />
+                                <TextField label="Color" type="color" value={shiftDialog.color} onChange={(e) => setShiftDialog({ ...shiftDialog, color: e.target.value })} sx={{ width: 90 }} />
+                            </Stack>
+                            {shiftDialog.segments.map((segment, index) => (
+                                <Stack direction="row" spacing={2} alignItems="center" key={index}>
+                                    <TextField label="Start" type="time" value={segment.startTime} onChange={(e) => updateSegment(index, 'startTime', e.target.value)} InputLabelProps={{ shrink: true }} fullWidth />
+                                    <TextField label="End" type="time" value={segment.endTime} onChange={(e) => updateSegment(index, 'endTime', e.target.value)} InputLabelProps={{ shrink: true }} fullWidth />
+                                    {shiftDialog.segments.length > 1 && (
+                                        <IconButton onClick={() => setShiftDialog({ ...shiftDialog, segments: shiftDialog.segments.filter((_, i) => i !== index) })}>
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    )}
+                                </Stack>
+                            ))}
+                            <Box>
+                                <Button size="small" startIcon={<AddIcon />} onClick={() => setShiftDialog({ ...shiftDialog, segments: [...shiftDialog.segments, { startTime: '16:00', endTime: '20:00' }] })}>
+                                    Add segment (split shift)
+                                </Button>
+                                <Typography variant="caption" color="text.secondary" display="block">
+                                    An end time earlier than the start time finishes the next day (e.g. 22:00 - 06:00).
+                                </Typography>
+                            </Box>
+                            <Stack direction="row" spacing={2}>
+                                <TextField label="Unpaid break (min)" type="number" value={shiftDialog.breakMinutes} onChange={(e) => setShiftDialog({ ...shiftDialog, breakMinutes: Number(e.target.value) })} fullWidth />
+                                <TextField label="Min. overtime (min)" type="number" value={shiftDialog.minOvertimeMinutes} onChange={(e) => setShiftDialog({ ...shiftDialog, minOvertimeMinutes: Number(e.target.value) })} fullWidth />
+                            </Stack>
+                            <Stack direction="row" spacing={2}>
+                                <TextField label="Late grace (min)" type="number" value={shiftDialog.graceMinutes} onChange={(e) => setShiftDialog({ ...shiftDialog, graceMinutes: Number(e.target.value) })} fullWidth />
+                                <TextField label="Early leave grace (min)" type="number" value={shiftDialog.earlyLeaveGraceMinutes} onChange={(e) => setShiftDialog({ ...shiftDialog, earlyLeaveGraceMinutes: Number(e.target.value) })} fullWidth />
+                            </Stack>
+                            <FormControlLabel
+                                control={<Switch checked={shiftDialog.isActive} onChange={(e) => setShiftDialog({ ...shiftDialog, isActive: e.target.checked })} />}
+                                label="Active"
+                            />
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setShiftDialog(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveShift}>Save</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Rotation pattern */}
+            <Dialog open={!!patternDialog} onClose={() => setPatternDialog(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{patternDialog?._id ? 'Edit Rotation Pattern' : 'Add Rotation Pattern'}</DialogTitle>
+                {patternDialog && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField label="Name" value={patternDialog.name} onChange={(e) => setPatternDialog({ ...patternDialog, name: e.target.value })} required fullWidth />
+                            <TextField label="Description" value={patternDialog.description || ''} onChange={(e) => setPatternDialog({ ...patternDialog, description: e.target.value })} fullWidth />
+                            {patternDialog.days.map((day, index) => (
+                                <TextField
+                                    key={index}
+                                    select
+                                    size="small"
+                                    label={`Day ${index + 1}`}
+                                    value={day.dayOff ? 'off' : day.shift}
+                                    onChange={(e) => setPatternDay(index, e.target.value)}
+                                >
+                                    <MenuItem value="off">Day off</MenuItem>
+                                    {shifts.map(shift => (
+                                        <MenuItem key={shift._id} value={shift._id}>{shift.code} - {shift.name}</MenuItem>
+                                    ))}
+                                </TextField>
+                            ))}
+                            <Stack direction="row" spacing={1}>
+                                <Button size="small" startIcon={<AddIcon />} onClick={() => setPatternDialog({ ...patternDialog, days: [...patternDialog.days, { shift: '', dayOff: true }] })}>
+                                    Add day
+                                </Button>
+                                {patternDialog.days.length > 1 && (
+                                    <Button size="small" color="error" onClick={() => setPatternDialog({ ...patternDialog, days: patternDialog.days.slice(0, -1) })}>
+                                        Remove last day
+                                    </Button>
+                                )}
+                            </Stack>
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setPatternDialog(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSavePattern}>Save</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Assignment */}
+            <Dialog open={!!assignmentDialog} onClose={() => setAssignmentDialog(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Assign Shift</DialogTitle>
+                {assignmentDialog && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField select label="Assign to" value={assignmentDialog.target} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, target: e.target.value })}>
+                                <MenuItem value="employee">Employee</MenuItem>
+                                <MenuItem value="department">Department</MenuItem>
+                            </TextField>
+                            {assignmentDialog.target === 'employee' ? (
+                                <TextField select label="Employee" value={assignmentDialog.employee} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, employee: e.target.value })} required>
+                                    {employees.map(employee => (
+                                        <MenuItem key={employee._id} value={employee._id}>{employeeName(employee)} ({employee.employeeId})</MenuItem>
+                                    ))}
+                                </TextField>
+                            ) : (
+                                <TextField select label="Department" value={assignmentDialog.department} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, department: e.target.value })} required>
+                                    {departments.map(item => (
+                                        <MenuItem key={item._id} value={item._id}>{item.name}</MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
+                            <TextField select label="Schedule" value={assignmentDialog.kind} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, kind: e.target.value })}>
+                                <MenuItem value="pattern">Rotation pattern</MenuItem>
+                                <MenuItem value="shift">Fixed shift</MenuItem>
+                                <MenuItem value="dayOff">Days off</MenuItem>
+                            </TextField>
+                            {assignmentDialog.kind === 'pattern' && (
+                                <Stack direction="row" spacing={2}>
+                                    <TextField select label="Pattern" value={assignmentDialog.pattern} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, pattern: e.target.value })} fullWidth required>
+                                        {patterns.map(pattern => (
+                                            <MenuItem key={pattern._id} value={pattern._id}>{pattern.name} ({pattern.days.length} days)</MenuItem>
+                                        ))}
+                                    </TextField>
+                                    <TextField
+                                        label="Starts on cycle day"
+                                        type="number"
+                                        value={assignmentDialog.cycleStartDay}
+                                        onChange={(e) => setAssignmentDialog({ ...assignmentDialog, cycleStartDay: e.target.value })}
+                                        inputProps={{ min: 1 }}
+                                        sx={{ width: 180 }}
+                                    />
+                                </Stack>
+                            )}
+                            {assignmentDialog.kind === 'shift' && (
+                                <TextField select label="Shift" value={assignmentDialog.shift} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, shift: e.target.value })} required>
+                                    {shifts.filter(shift => shift.isActive).map(shift => (
+                                        <MenuItem key={shift._id} value={shift._id}>{shift.code} - {shift.name} ({shiftTimes(shift)})</MenuItem>
+                                    ))}
+                                </TextField>
+                            )}
+                            <Stack direction="row" spacing={2}>
+                                <TextField label="From" type="date" value={assignmentDialog.startDate} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, startDate: e.target.value })} InputLabelProps={{ shrink: true }} fullWidth required />
+                                <TextField label="Until (optional)" type="date" value={assignmentDialog.endDate} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, endDate: e.target.value })} InputLabelProps={{ shrink: true }} fullWidth />
+                            </Stack>
+                            <TextField label="Notes" value={assignmentDialog.notes} onChange={(e) => setAssignmentDialog({ ...assignmentDialog, notes: e.target.value })} fullWidth />
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setAssignmentDialog(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveAssignment}>Save</Button>
+                </DialogActions>
+            </Dialog>
+        </PageContainer>
+    );
+};
+
+export default RosterPage;
@@ -3,3 +3,4 @@ export { default as DeviceManagement } from './DeviceManagement';
 export { default as AttendanceImport } from './AttendanceImport';
 export { default as AttendanceManagementPage } from './AttendanceManagementPage';
 export { default as AttendancePage } from './AttendancePage';
+export { default as RosterPage } from './RosterPage';
@@ -27,11 +27,15 @@ import {
 } from '@mui/icons-material';
 import { useAuth } from '../../store/providers/ReduxAuthProvider';
 import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import TwoFactorSetup from '../../components/auth/TwoFactorSetup';
+import LanguageSwitcher from '../../components/LanguageSwitcher';
+import { useLanguage } from '../../context/LanguageContext';
 
 const Login = () => {
     const navigate = useNavigate();
-    const { login } = useAuth();
+    const { login, completeLogin } = useAuth();
     const { showSuccess, showError } = useNotification();
+    const { t } = useLanguage();
 
     const [formData, setFormData] = useState({
         email: '',
@@ -40,6 +44,33 @@ const Login = () => {
     const [showPassword, setShowPassword] = useState(false);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
+    // 'credentials', then 'mfa' for a two-factor code or 'mfa-setup' when enrollment is enforced
+    const [step, setStep] = useState('credentials');
+    const [mfaCode, setMfaCode] = useState('');
+    const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+    const [mfaSetupToken, setMfaSetupToken] = useState(null);
+
+    const finishLogin = () => {
+        showSuccess(t('auth.loginSuccess'));
+
+        // Always redirect to TechCorp company route after login
+        // The CompanyRouteHandler will handle any further redirects if needed
+        const companyRoute = '/company/techcorp-solutions/dashboard';
+        navigate(companyRoute);
+    };
+
+    const handleMfaSetupComplete = async (result) => {
+        await completeLogin(result);
+        finishLogin();
+    };
+
+    const handleBackToCredentials = () => {
+        setStep('credentials');
+        setMfaCode('');
+        setUseRecoveryCode(false);
+        setMfaSetupToken(null);
+        setError('');
+    };
 
     const handleChange = (e) => {
         setFormData({
@@ -53,7 +84,7 @@ const Login = () => {
         e.preventDefault();
 
         if (!formData.email || !formData.password) {
-            setError('Please fill in all fields');
+            setError(t('auth.fillAllFields'));
             return;
         }
 
@@ -61,25 +92,29 @@ const Login = () => {
             setLoading(true);
             setError('');
 
+            const secondFactor = step === 'mfa'
+                ? (useRecoveryCode ? { recoveryCode: mfaCode.trim() } : { mfaToken: mfaCode.trim() })
+                : {};
+
             // Use TechCorp Solutions tenant ID that matches the seed data
             // TODO: Add tenant selection to login form if needed
-            const result = await login(formData.email, formData.password, 'techcorp_solutions');
+            const result = await login(formData.email, formData.password, 'techcorp_solutions', secondFactor);
 
             if (result.success) {
-                showSuccess('Login successful!');
-
-                // Always redirect to TechCorp company route after login
-                // The CompanyRouteHandler will handle any further redirects if needed
-                const companyRoute = '/company/techcorp-solutions/dashboard';
-                navigate(companyRoute);
+                finishLogin();
+            } else if (result.requiresMFA) {
+                setStep('mfa');
+            } else if (result.requiresMFASetup) {
+                setMfaSetupToken(result.mfaSetupToken);
+                setStep('mfa-setup');
             } else {
-                setError(result.message || 'Login failed. Please check your credentials.');
-                showError(result.message || 'Login failed. Please check your credentials.');
+                setError(result.message || t('auth.loginFailed'));
+                showError(result.message || t('auth.loginFailed'));
             }
         } catch (err) {
             // Ensure we're setting a string value for the error
-            const errorMessage = err?.message || err?.response?.data?.error || (typeof err === 'string' ? err : 'Login failed. Please check your credentials.');
-            setError(typeof errorMessage === 'string' ? errorMessage : 'An unexpected error occurred. Please try again.');
+            const errorMessage = err?.message || err?.response?.data?.error || (typeof err === 'string' ? err : t('auth.loginFailed'));
+            setError(typeof errorMessage === 'string' ? errorMessage : t('common.errorGeneric'));
             showError(errorMessage);
         } finally {
             setLoading(false);
@@ -206,7 +241,7 @@ const Login = () => {
                                     letterSpacing: '-0.5px',
                                 }}
                             >
-                                Welcome Back
+                                {t('auth.welcomeBack')}
                             </Typography>
                             <Typography
                                 variant="body1"
@@ -216,21 +251,21 @@ const Login = () => {
                                     mb: 4,
                                 }}
                             >
-                                Access your HR Management System to manage employees, track attendance, and streamline your workforce operations.
+                                {t('auth.intro')}
                             </Typography>
 
                             <Stack spacing={2}>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                                     <CheckCircleIcon sx={{ fontSize: 20 }} />
-                                    <Typography variant="body2">Secure & Encrypted Connection</Typography>
+                                    <Typography variant="body2">{t('auth.featureSecure')}</Typography>
                                 </Box>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                                     <CheckCircleIcon sx={{ fontSize: 20 }} />
-                                    <Typography variant="body2">24/7 System Availability</Typography>
+                                    <Typography variant="body2">{t('auth.featureAvailability')}</Typography>
                                 </Box>
                                 <Box sx={{ display: 'flex', alignItems: 'center', gap: 1.5 }}>
                                     <CheckCircleIcon sx={{ fontSize: 20 }} />
-                                    <Typography variant="body2">Real-time Data Synchronization</Typography>
+                                    <Typography variant="body2">{t('auth.featureSync')}</Typography>
                                 </Box>
                             </Stack>
                         </Box>
@@ -238,7 +273,7 @@ const Login = () => {
                         <Box sx={{ position: 'relative', zIndex: 1 }}>
                             <Divider sx={{ borderColor: 'rgba(255, 255, 255, 0.2)', mb: 2 }} />
                             <Typography variant="caption" sx={{ opacity: 0.8 }}>
-                                © 2025 HR Management System
+                                {t('auth.copyright', { year: new Date().getFullYear() })}
                             </Typography>
                         </Box>
                     </Box>
@@ -262,6 +297,9 @@ const Login = () => {
                                 pb: 3,
                             }}
                         >
+                            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mb: 1 }}>
+                                <LanguageSwitcher />
+                            </Box>
                             <Box sx={{ display: { xs: 'flex', md: 'none' }, justifyContent: 'center', mb: 3 }}>
                                 <Box
                                     sx={{
@@ -288,7 +326,7 @@ const Login = () => {
                                     textAlign: { xs: 'center', md: 'left' },
                                 }}
                             >
-                                Sign In
+                                {t('auth.signIn')}
                             </Typography>
                             <Typography
                                 variant="body2"
@@ -297,7 +335,9 @@ const Login = () => {
                                     textAlign: { xs: 'center', md: 'left' },
                                 }}
                             >
-                                Enter your credentials to access your account
+                                {step === 'credentials' && t('auth.subtitleCredentials')}
+                                {step === 'mfa' && t('auth.subtitleMfa')}
+                                {step === 'mfa-setup' && t('auth.subtitleMfaSetup')}
                             </Typography>
                         </Box>
 
@@ -318,231 +358,288 @@ const Login = () => {
                                     }}
                                     onClose={() => setError('')}
                                 >
-                                    {typeof error === 'string' ? error : 'An error occurred. Please try again.'}
+                                    {typeof error === 'string' ? error : t('common.errorGeneric')}
                                 </Alert>
                             )}
 
-                            <form onSubmit={handleSubmit}>
-                                <Stack spacing={3}>
-                                    <Box>
-                                        <Typography
-                                            variant="subtitle2"
-                                            sx={{
-                                                color: '#212529',
-                                                fontWeight: 600,
-                                                mb: 1,
-                                                fontSize: '0.875rem',
-                                            }}
-                                        >
-                                            Username or Email Address
-                                        </Typography>
-                                        <TextField
-                                            id="login-email"
-                                            fullWidth
-                                            name="email"
-                                            type="text"
-                                            placeholder="Enter your username or email"
-                                            value={formData.email}
-                                            onChange={handleChange}
-                                            required
-                                            autoFocus
-                                            autoComplete="username"
-                                            InputProps={{
-                                                startAdornment: (
-                                                    <InputAdornment position="start">
-                                                        <PersonIcon sx={{ color: '#007bff', fontSize: 22 }} />
-                                                    </InputAdornment>
-                                                ),
-                                            }}
-                                            sx={{
-                                                '& .MuiOutlinedInput-root': {
-                                                    backgroundColor: '#ffffff',
-                                                    transition: 'all 0.2s ease',
-                                                    '& fieldset': {
-                                                        borderColor: '#dee2e6',
-                                                        borderWidth: '1.5px',
-                                                    },
-                                                    '&:hover': {
-                                                        backgroundColor: '#ffffff',
-                                                        '& fieldset': {
-                                                            borderColor: '#007bff',
-                                                        },
-                                                    },
-                                                    '&.Mui-focused': {
-                                                        backgroundColor: '#ffffff',
-                                                        '& fieldset': {
-                                                            borderColor: '#007bff',
-                                                            borderWidth: '2px',
-                                                        },
-                                                    },
-                                                },
-                                                '& .MuiInputBase-input': {
-                                                    color: '#212529',
-                                                    fontSize: '0.95rem',
-                                                    py: 1.75,
-                                                    pl: 1.5,
-                                                    pr: 2,
-                                                    '&::placeholder': {
-                                                        color: '#6c757d',
-                                                        opacity: 0.6,
-                                                    },
-                                                },
-                                                '& .MuiInputAdornment-root': {
-                                                    ml: 1,
-                                                },
-                                            }}
-                                        />
-                                    </Box>
-
-                                    <Box>
-                                        <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                            {step === 'credentials' && (
+                                <form onSubmit={handleSubmit}>
+                                    <Stack spacing={3}>
+                                        <Box>
                                             <Typography
                                                 variant="subtitle2"
                                                 sx={{
                                                     color: '#212529',
                                                     fontWeight: 600,
+                                                    mb: 1,
                                                     fontSize: '0.875rem',
                                                 }}
                                             >
-                                                Password
+                                                {t('auth.usernameOrEmail')}
                                             </Typography>
-                                            <Button
-                                                component={Link}
-                                                to="/forgot-password"
+                                            <TextField
+                                                id="login-email"
+                                                fullWidth
+                                                name="email"
+                                                type="text"
+                                                placeholder={t('auth.usernamePlaceholder')}
+                                                value={formData.email}
+                                                onChange={handleChange}
+                                                required
+                                                autoFocus
+                                                autoComplete="username"
+                                                InputProps={{
+                                                    startAdornment: (
+                                                        <InputAdornment position="start">
+                                                            <PersonIcon sx={{ color: '#007bff', fontSize: 22 }} />
+                                                        </InputAdornment>
+                                                    ),
+                                                }}
                                                 sx={{
-                                                    textTransform: 'none',
-                                                    color: '#007bff',
-                                                    fontWeight: 600,
-                                                    fontSize: '0.8rem',
-                                                    minWidth: 'auto',
-                                                    p: 0,
-                                                    '&:hover': {
-                                                        backgroundColor: 'transparent',
-                                                        textDecoration: 'underline',
+                                                    '& .MuiOutlinedInput-root': {
+                                                        backgroundColor: '#ffffff',
+                                                        transition: 'all 0.2s ease',
+                                                        '& fieldset': {
+                                                            borderColor: '#dee2e6',
+                                                            borderWidth: '1.5px',
+                                                        },
+                                                        '&:hover': {
+                                                            backgroundColor: '#ffffff',
+                                                            '& fieldset': {
+                                                                borderColor: '#007bff',
+                                                            },
+                                                        },
+                                                        '&.Mui-focused': {
+                                                            backgroundColor: '#ffffff',
+                                                            '& fieldset': {
+                                                                borderColor: '#007bff',
+                                                                borderWidth: '2px',
+                                                            },
+                                                        },
+                                                    },
+                                                    '& .MuiInputBase-input': {
+                                                        color: '#212529',
+                                                        fontSize: '0.95rem',
+                                                        py: 1.75,
+                                                        pl: 1.5,
+                                                        pr: 2,
+                                                        '&::placeholder': {
+                                                            color: '#6c757d',
+                                                            opacity: 0.6,
+                                                        },
+                                                    },
+                                                    '& .MuiInputAdornment-root': {
+                                                        ml: 1,
                                                     },
                                                 }}
-                                            >
-                                                Forgot password?
-                                            </Button>
+                                            />
                                         </Box>
-                                        <TextField
-                                            id="login-password"
-                                            fullWidth
-                                            name="password"
-                                            type={showPassword ? 'text' : 'password'}
-                                            placeholder="Enter your password"
-                                            value={formData.password}
-                                            onChange={handleChange}
-                                            required
-                                            autoComplete="current-password"
-                                            InputProps={{
-                                                startAdornment: (
-                                                    <InputAdornment position="start">
-                                                        <LockIcon sx={{ color: '#007bff', fontSize: 22, border: '0.5px solid #007bff', borderRadius: 1, p: 0.3 }} />
-                                                    </InputAdornment>
-                                                ),
-                                                endAdornment: (
-                                                    <InputAdornment position="end">
-                                                        <IconButton
-                                                            onClick={() => setShowPassword(!showPassword)}
-                                                            edge="end"
-                                                            size="small"
-                                                            sx={{
-                                                                color: '#007bff',
-                                                                '&:hover': {
-                                                                    color: '#0056b3',
-                                                                    backgroundColor: 'rgba(0, 123, 255, 0.08)',
-                                                                },
-                                                            }}
-                                                        >
-                                                            {showPassword ? <VisibilityOff fontSize="small" /> : <Visibility fontSize="small" />}
-                                                        </IconButton>
-                                                    </InputAdornment>
-                                                ),
-                                            }}
-                                            sx={{
-                                                '& .MuiOutlinedInput-root': {
-                                                    backgroundColor: '#ffffff',
-                                                    transition: 'all 0.2s ease',
-                                                    '& fieldset': {
-                                                        borderColor: '#dee2e6',
-                                                        borderWidth: '1.5px',
-                                                    },
-                                                    '&:hover': {
+
+                                        <Box>
+                                            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 1 }}>
+                                                <Typography
+                                                    variant="subtitle2"
+                                                    sx={{
+                                                        color: '#212529',
+                                                        fontWeight: 600,
+                                                        fontSize: '0.875rem',
+                                                    }}
+                                                >
+                                                    {t('auth.password')}
+                                                </Typography>
+                                                <Button
+                                                    component={Link}
+                                                    to="/forgot-password"
+                                                    sx={{
+                                                        textTransform: 'none',
+                                                        color: '#007bff',
+                                                        fontWeight: 600,
+                                                        fontSize: '0.8rem',
+                                                        minWidth: 'auto',
+                                                        p: 0,
+                                                        '&:hover': {
+                                                            backgroundColor: 'transparent',
+                                                            textDecoration: 'underline',
+                                                        },
+                                                    }}
+                                                >
+                                                    {t('auth.forgotPassword')}
+                                                </Button>
+                                            </Box>
+                                            <TextField
+                                                id="login-password"
+                                                fullWidth
+                                                name="password"
+                                                type={showPassword ? 'text' : 'password'}
+                                                placeholder={t('auth.passwordPlaceholder')}
+                                                value={formData.password}
+                                                onChange={handleChange}
+                                                required
+                                                autoComplete="current-password"
+                                                InputProps={{
+                                                    startAdornment: (
+                                                        <InputAdornment position="start">
+                                                            <LockIcon sx={{ color: '#007bff', fontSize: 22, border: '0.5px solid #007bff', borderRadius: 1, p: 0.3 }} />
+                                                        </InputAdornment>
+                                                    ),
+                                                    endAdornment: (
+                                                        <InputAdornment position="end">
+                                                            <IconButton
+                                                                onClick={() => setShowPassword(!showPassword)}
+                                                                edge="end"
+                                                                size="small"
+                                                                sx={{
+                                                                    color: '#007bff',
+                                                                    '&:hover': {
+                                                                        color: '#0056b3',
+                                                                        backgroundColor: 'rgba(0, 123, 255, 0.08)',
+                                                                    },
+                                                                }}
+                                                            >
+                                                                {showPassword ? <VisibilityOff fontSize="small" /> : <Visibility fontSize="small" />}
+                                                            </IconButton>
+                                                        </InputAdornment>
+                                                    ),
+                                                }}
+                                                sx={{
+                                                    '& .MuiOutlinedInput-root': {
                                                         backgroundColor: '#ffffff',
+                                                        transition: 'all 0.2s ease',
                                                         '& fieldset': {
-                                                            borderColor: '#007bff',
+                                                            borderColor: '#dee2e6',
+                                                            borderWidth: '1.5px',
+                                                        },
+                                                        '&:hover': {
+                                                            backgroundColor: '#ffffff',
+                                                            '& fieldset': {
+                                                                borderColor: '#007bff',
+                                                            },
+                                                        },
+                                                        '&.Mui-focused': {
+                                                            backgroundColor: '#ffffff',
+                                                            '& fieldset': {
+                                                                borderColor: '#007bff',
+                                                                borderWidth: '2px',
+                                                            },
                                                         },
                                                     },
-                                                    '&.Mui-focused': {
-                                                        backgroundColor: '#ffffff',
-                                                        '& fieldset': {
-                                                            borderColor: '#007bff',
-                                                            borderWidth: '2px',
+                                                    '& .MuiInputBase-input': {
+                                                        color: '#212529',
+                                                        fontSize: '0.95rem',
+                                                        py: 1.75,
+                                                        pl: 1.5,
+                                                        pr: 2,
+                                                        '&::placeholder': {
+                                                            color: '#6c757d',
+                                                            opacity: 0.6,
                                                         },
                                                     },
-                                                },
-                                                '& .MuiInputBase-input': {
-                                                    color: '#212529',
-                                                    fontSize: '0.95rem',
-                                                    py: 1.75,
-                                                    pl: 1.5,
-                                                    pr: 2,
-                                                    '&::placeholder': {
-                                                        color: '#6c757d',
-                                                        opacity: 0.6,
+                                                    '& .MuiInputAdornment-root': {
+                                                        ml: 1,
                                                     },
+                                                }}
+                                            />
+                                        </Box>
+
+                                        <Button
+                                            type="submit"
+                                            fullWidth
+                                            variant="contained"
+                                            size="large"
+                                            disabled={loading}
+                                            startIcon={loading ? null : <LoginIcon />}
+                                            sx={{
+                                                py: 1.75,
+                                                fontSize: '1rem',
+                                                fontWeight: 600,
+                                                textTransform: 'none',
+                                                backgroundColor: '#007bff',
+                                                color: '#ffffff',
+                                                boxShadow: '0 4px 12px rgba(0, 123, 255, 0.25)',
+                                                transition: 'all 0.2s ease',
+                                                '&:hover': {
+                                                    backgroundColor: '#0056b3',
+                                                    boxShadow: '0 6px 16px rgba(0, 123, 255, 0.35)',
+                                                    transform: 'translateY(-1px)',
+                                                },
+                                                '&:active': {
+                                                    transform: 'translateY(0)',
                                                 },
-                                                '& .MuiInputAdornment-root': {
-                                                    ml: 1,
+                                                '&:disabled': {
+                                                    backgroundColor: '#6c757d',
+                                                    color: '#ffffff',
+                                                    boxShadow: 'none',
                                                 },
                                             }}
+                                        >
+                                            {loading ? (
+                                                <CircularProgress size={24} sx={{ color: 'white' }} />
+                                            ) : (
+                                                t('auth.signInButton')
+                                            )}
+                                        </Button>
+                                    </Stack>
+                                </form>
+                            )}
+
+                            {step === 'mfa' && (
+                                <form onSubmit={handleSubmit}>
+                                    <Stack spacing={3}>
+                                        <TextField
+                                            id="login-mfa-code"
+                                            fullWidth
+                                            label={useRecoveryCode ? t('auth.recoveryCode') : t('auth.authenticationCode')}
+                                            placeholder={useRecoveryCode ? 'XXXXX-XXXXX' : '123456'}
+                                            value={mfaCode}
+                                            onChange={(e) => {
+                                                setMfaCode(e.target.value);
+                                                setError('');
+                                            }}
+                                            required
+                                            autoFocus
+                                            inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
                                         />
-                                    </Box>
+                                        <Button
+                                            type="submit"
+                                            fullWidth
+                                            variant="contained"
+                                            size="large"
+                                            disabled={loading || !mfaCode.trim()}
+                                            startIcon={loading ? null : <SecurityIcon />}
+                                            sx={{ py: 1.75, fontWeight: 600, textTransform: 'none' }}
+                                        >
+                                            {loading ? <CircularProgress size={24} sx={{ color: 'white' }} /> : t('auth.verify')}
+                                        </Button>
+                                        <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
+                                            <Button
+                                                size="small"
+                                                sx={{ textTransform: 'none' }}
+                                                onClick={() => {
+                                                    setUseRecoveryCode(!useRecoveryCode);
+                                                    setMfaCode('');
+                                                }}
+                                            >
+                                                {useRecoveryCode ? t('auth.useAuthenticator') : t('auth.useRecoveryCode')}
+                                            </Button>
+                                            <Button size="small" sx={{ textTransform: 'none' }} onClick={handleBackToCredentials}>
+                                                {t('common.back')}
+                                            </Button>
+                                        </Box>
+                                    </Stack>
+                                </form>
+                            )}
 
-                                    <Button
-                                        type="submit"
-                                        fullWidth
-                                        variant="contained"
-                                        size="large"
-                                        disabled={loading}
-                                        startIcon={loading ? null : <LoginIcon />}
-                                        sx={{
-                                            py: 1.75,
-                                            fontSize: '1rem',
-                                            fontWeight: 600,
-                                            textTransform: 'none',
-                                            backgroundColor: '#007bff',
-                                            color: '#ffffff',
-                                            boxShadow: '0 4px 12px rgba(0, 123, 255, 0.25)',
-                                            transition: 'all 0.2s ease',
-                                            '&:hover': {
-                                                backgroundColor: '#0056b3',
-                                                boxShadow: '0 6px 16px rgba(0, 123, 255, 0.35)',
-                                                transform: 'translateY(-1px)',
-                                            },
-                                            '&:active': {
-                                                transform: 'translateY(0)',
-                                            },
-                                            '&:disabled': {
-                                                backgroundColor: '#6c757d',
-                                                color: '#ffffff',
-                                                boxShadow: 'none',
-                                            },
-                                        }}
-                                    >
-                                        {loading ? (
-                                            <CircularProgress size={24} sx={{ color: 'white' }} />
-                                        ) : (
-                                            'Sign In to Your Account'
-                                        )}
-                                    </Button>
-                                </Stack>
-                            </form>
+                            {step === 'mfa-setup' && (
+                                <TwoFactorSetup
+                                    setupToken={mfaSetupToken}
+                                    onComplete={handleMfaSetupComplete}
+                                    onCancel={handleBackToCredentials}
+                                />
+                            )}
 
                             <Divider sx={{ my: 4, borderColor: '#dee2e6' }}>
                                 <Chip
-                                    label="Secure Login"
+                                    label={t('auth.secureLogin')}
                                     size="small"
                                     icon={<SecurityIcon sx={{ fontSize: 16 }} />}
                                     sx={{
@@ -565,7 +662,7 @@ const Login = () => {
                                         mb: 1,
                                     }}
                                 >
-                                    Protected by enterprise-level security
+                                    {t('auth.protected')}
                                 </Typography>
                                 <Typography
                                     variant="caption"
@@ -574,7 +671,7 @@ const Login = () => {
                                         fontSize: '0.75rem',
                                     }}
                                 >
-                                    Need assistance? Contact your system administrator
+                                    {t('auth.needHelp')}
                                 </Typography>
                             </Box>
                         </Box>
@@ -592,7 +689,7 @@ const Login = () => {
                         fontSize: '0.875rem',
                     }}
                 >
-                    © 2025 HR Management System. All rights reserved.
+                    {t('auth.allRightsReserved', { year: new Date().getFullYear() })}
                 </Typography>
             </Container>
         </Box>
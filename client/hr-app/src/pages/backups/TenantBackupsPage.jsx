@@ -0,0 +1,377 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Checkbox,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    IconButton,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from '@mui/material';
+import {
+    Backup as BackupIcon,
+    Delete as DeleteIcon,
+    Download as DownloadIcon,
+    Restore as RestoreIcon,
+    Science as SandboxIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import tenantBackupService from '../../services/tenantBackup.service';
+import Loading from '../../components/common/Loading';
+
+const TYPE_LABELS = {
+    manual: 'Manual',
+    scheduled: 'Nightly',
+    'pre-restore': 'Before restore'
+};
+
+const STATUS_COLORS = {
+    running: 'info',
+    completed: 'success',
+    failed: 'error'
+};
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const formatSize = (bytes) => {
+    if (!bytes) return '-';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const TenantBackupsPage = () => {
+    const { showNotification } = useNotification();
+
+    const [loading, setLoading] = useState(true);
+    const [working, setWorking] = useState(false);
+    const [backups, setBackups] = useState([]);
+
+    const [restore, setRestore] = useState(null);
+    const [sandbox, setSandbox] = useState(null);
+    const [result, setResult] = useState(null);
+
+    const fetchBackups = useCallback(async () => {
+        try {
+            setBackups(toList(await tenantBackupService.getAll()));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load backups', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchBackups();
+    }, [fetchBackups]);
+
+    const handleCreate = async () => {
+        setWorking(true);
+        try {
+            await tenantBackupService.create({});
+            showNotification('Backup created', 'success');
+            fetchBackups();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to create the backup', 'error');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleDelete = async (backup) => {
+        if (!window.confirm(`Delete the backup of ${formatDateTime(backup.createdAt)}?`)) {
+            return;
+        }
+        try {
+            await tenantBackupService.delete(backup._id);
+            showNotification('Backup deleted', 'success');
+            fetchBackups();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete the backup', 'error');
+        }
+    };
+
+    const handleDownload = async (backup) => {
+        try {
+            const blob = await tenantBackupService.download(backup._id);
+            const url = URL.createObjectURL(new Blob([blob], { type: 'application/gzip' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = backup.fileName || `backup-${backup._id}.hrsm.gz`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showNotification('Failed to download the backup', 'error');
+        }
+    };
+
+    const openRestore = async (backup) => {
+        try {
+            const { collections } = await tenantBackupService.compare(backup._id);
+            setRestore({ backup, collections, selected: [] });
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to compare the backup', 'error');
+        }
+    };
+
+    const toggleCollection = (name) => {
+        setRestore(r => ({
+            ...r,
+            selected: r.selected.includes(name) ? r.selected.filter(item => item !== name) : [...r.selected, name]
+        }));
+    };
+
+    const handleRestore = async () => {
+        const names = restore.selected.join(', ');
+        if (!window.confirm(`Replace the current ${names} data with the backup of ${formatDateTime(restore.backup.createdAt)}?`)) {
+            return;
+        }
+        setWorking(true);
+        try {
+            const response = await tenantBackupService.restore(restore.backup._id, restore.selected);
+            setRestore(null);
+            setResult({ title: 'Restore completed', results: response.results });
+            fetchBackups();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to restore the backup', 'error');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    const handleSandbox = async () => {
+        setWorking(true);
+        try {
+            const response = await tenantBackupService.restoreToSandbox(sandbox.backup._id, sandbox.password);
+            setSandbox(null);
+            setResult({ title: 'Sandbox created', sandbox: response.sandbox, adminEmail: response.adminEmail, results: response.results });
+            fetchBackups();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to create the sandbox', 'error');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h4">Data Backups</Typography>
+                <Button variant="contained" startIcon={<BackupIcon />} onClick={handleCreate} disabled={working}>
+                    Back up now
+                </Button>
+            </Stack>
+
+            <Alert severity="info" sx={{ mb: 2 }}>
+                Your company's data is backed up every night. Restore selected data from a backup, or open a backup in
+                a separate sandbox company to inspect it first. A backup is always taken before a restore. Downloaded
+                backups can be imported into another installation.
+            </Alert>
+
+            <TableContainer component={Paper}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Created</TableCell>
+                            <TableCell>Type</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell>Documents</TableCell>
+                            <TableCell>Size</TableCell>
+                            <TableCell>Restores</TableCell>
+                            <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {backups.length === 0 && (
+                            <TableRow><TableCell colSpan={7} align="center">No backups yet</TableCell></TableRow>
+                        )}
+                        {backups.map(backup => (
+                            <TableRow key={backup._id}>
+                                <TableCell>
+                                    {formatDateTime(backup.createdAt)}
+                                    {backup.note && (
+                                        <Typography variant="caption" color="text.secondary" display="block">{backup.note}</Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell>{TYPE_LABELS[backup.type] || backup.type}</TableCell>
+                                <TableCell>
+                                    <Chip size="small" color={STATUS_COLORS[backup.status]} label={backup.status} />
+                                    {backup.error && (
+                                        <Typography variant="caption" color="error" display="block">{backup.error}</Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell>{backup.documentCount}</TableCell>
+                                <TableCell>{formatSize(backup.fileSize)}</TableCell>
+                                <TableCell>
+                                    {(backup.restores || []).map((entry, index) => (
+                                        <Typography key={index} variant="caption" display="block">
+                                            {formatDateTime(entry.restoredAt)}: {entry.target === 'sandbox'
+                                                ? `sandbox ${entry.sandboxTenantId}`
+                                                : entry.collections.join(', ')}
+                                        </Typography>
+                                    ))}
+                                </TableCell>
+                                <TableCell align="right">
+                                    {backup.status === 'completed' && (
+                                        <>
+                                            <Tooltip title="Restore">
+                                                <IconButton size="small" onClick={() => openRestore(backup)}><RestoreIcon /></IconButton>
+                                            </Tooltip>
+                                            <Tooltip title="Open in a sandbox">
+                                                <IconButton size="small" onClick={() => setSandbox({ backup, password: '' })}><SandboxIcon /></IconButton>
+                                            </Tooltip>
+                                            <Tooltip title="Download">
+                                                <IconButton size="small" onClick={() => handleDownload(backup)}><DownloadIcon /></IconButton>
+                                            </Tooltip>
+                                        </>
+                                    )}
+                                    {backup.status !== 'running' && (
+                                        <Tooltip title="Delete">
+                                            <IconButton size="small" color="error" onClick={() => handleDelete(backup)}><DeleteIcon /></IconButton>
+                                        </Tooltip>
+                                    )}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* Selective restore */}
+            <Dialog open={!!restore} onClose={() => setRestore(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Restore - backup of {formatDateTime(restore?.backup?.createdAt)}</DialogTitle>
+                {restore && (
+                    <DialogContent>
+                        <Alert severity="warning" sx={{ mb: 2 }}>
+                            The current data of each selected collection is replaced by the backup. Changes made since
+                            the backup are lost from those collections; the backup taken before the restore keeps them.
+                            Users keep their current passwords and two-factor settings, and API keys and webhooks are
+                            never restored.
+                        </Alert>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell padding="checkbox" />
+                                    <TableCell>Collection</TableCell>
+                                    <TableCell>In backup</TableCell>
+                                    <TableCell>Now</TableCell>
+                                    <TableCell>Difference</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {restore.collections.map(row => (
+                                    <TableRow key={row.name}>
+                                        <TableCell padding="checkbox">
+                                            <Checkbox size="small" disabled={!row.restorable}
+                                                checked={restore.selected.includes(row.name)}
+                                                onChange={() => toggleCollection(row.name)} />
+                                        </TableCell>
+                                        <TableCell>{row.name}</TableCell>
+                                        <TableCell>{row.backup}</TableCell>
+                                        <TableCell>{row.current}</TableCell>
+                                        <TableCell>
+                                            {row.difference !== 0 && (
+                                                <Chip size="small" color={row.difference < 0 ? 'warning' : 'default'}
+                                                    label={row.difference > 0 ? `+${row.difference}` : row.difference} />
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setRestore(null)}>Cancel</Button>
+                    <Button variant="contained" color="warning" onClick={handleRestore}
+                        disabled={working || !restore?.selected.length}>
+                        Restore selected
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Sandbox */}
+            <Dialog open={!!sandbox} onClose={() => setSandbox(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Open backup in a sandbox</DialogTitle>
+                <DialogContent>
+                    <Typography variant="body2" sx={{ mb: 2 }}>
+                        A new sandbox company is created with the data of this backup. You sign in to it with a tagged
+                        copy of your email and the password below; the other users in the copy cannot sign in. API keys
+                        and webhooks are not copied.
+                    </Typography>
+                    <TextField fullWidth type="password" label="Sandbox password" value={sandbox?.password || ''}
+                        helperText="At least 8 characters"
+                        onChange={(e) => setSandbox(s => ({ ...s, password: e.target.value }))} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setSandbox(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSandbox}
+                        disabled={working || (sandbox?.password || '').length < 8}>
+                        Create sandbox
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Restore results */}
+            <Dialog open={!!result} onClose={() => setResult(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{result?.title}</DialogTitle>
+                {result && (
+                    <DialogContent>
+                        {result.sandbox && (
+                            <Alert severity="success" sx={{ mb: 2 }}>
+                                Sandbox company {result.sandbox.name} ({result.sandbox.tenantId}). Sign in
+                                as <strong>{result.adminEmail}</strong> with the password you chose.
+                            </Alert>
+                        )}
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Collection</TableCell>
+                                    <TableCell>Restored</TableCell>
+                                    <TableCell>Failed</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {result.results.map(row => (
+                                    <TableRow key={row.name}>
+                                        <TableCell>{row.name}</TableCell>
+                                        <TableCell>{row.restored}</TableCell>
+                                        <TableCell>{row.failed || '-'}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button variant="contained" onClick={() => setResult(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default TenantBackupsPage;
@@ -0,0 +1,581 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Button,
+    Checkbox,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Grid,
+    IconButton,
+    LinearProgress,
+    MenuItem,
+    Paper,
+    Stack,
+    Switch,
+    FormControlLabel,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Tabs,
+    TextField,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Check as CheckIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    Visibility as ViewIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import { useAuth } from '../../store/providers/ReduxAuthProvider';
+import checklistService from '../../services/checklist.service';
+import departmentService from '../../services/department.service';
+import userService from '../../services/user.service';
+import Loading from '../../components/common/Loading';
+
+const CHECKLIST_TYPES = [
+    { value: 'onboarding', label: 'Onboarding' },
+    { value: 'offboarding', label: 'Offboarding' }
+];
+
+const TASK_CATEGORIES = [
+    { value: 'contract', label: 'Contract' },
+    { value: 'it-account', label: 'IT account' },
+    { value: 'equipment', label: 'Equipment' },
+    { value: 'id-card', label: 'ID card' },
+    { value: 'training', label: 'Training' },
+    { value: 'handover', label: 'Handover' },
+    { value: 'clearance', label: 'Clearance' },
+    { value: 'other', label: 'Other' }
+];
+
+const TASK_OWNERS = [
+    { value: 'hr', label: 'HR' },
+    { value: 'it', label: 'IT' },
+    { value: 'finance', label: 'Finance' },
+    { value: 'manager', label: "Employee's manager" },
+    { value: 'employee', label: 'Employee' }
+];
+
+const STATUS_COLORS = { pending: 'default', done: 'success', skipped: 'warning', 'in-progress': 'info', completed: 'success', cancelled: 'default' };
+
+const HR_ROLES = ['admin', 'hr'];
+
+const EMPTY_TASK = { title: '', arabicTitle: '', category: 'other', owner: 'hr', department: '', dueOffsetDays: 0, required: true, clearance: '' };
+
+const EMPTY_TEMPLATE = { name: '', arabicName: '', type: 'onboarding', isDefault: false, isActive: true, tasks: [{ ...EMPTY_TASK }] };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const idOf = (value) => value?._id || value;
+
+const nameOf = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+const labelOf = (options, value) => options.find(option => option.value === value)?.label || value;
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const isOverdue = (task) => task.status === 'pending' && task.dueDate && new Date(task.dueDate) < new Date(new Date().toDateString());
+
+const ProgressBar = ({ progress }) => (
+    <Stack direction="row" spacing={1} alignItems="center" sx={{ minWidth: 160 }}>
+        <LinearProgress variant="determinate" value={progress?.percent || 0} sx={{ flexGrow: 1, height: 8, borderRadius: 4 }} />
+        <Typography variant="caption">{progress?.percent || 0}%</Typography>
+        {progress?.overdue > 0 && <Chip size="small" color="error" label={`${progress.overdue} overdue`} />}
+    </Stack>
+);
+
+const ChecklistsPage = () => {
+    const { showNotification } = useNotification();
+    const { user } = useAuth();
+    const isHR = HR_ROLES.includes(user?.role);
+
+    const [tab, setTab] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [myTasks, setMyTasks] = useState([]);
+    const [checklists, setChecklists] = useState([]);
+    const [templates, setTemplates] = useState([]);
+    const [employees, setEmployees] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [filters, setFilters] = useState({ type: '', status: 'in-progress' });
+
+    const [progressView, setProgressView] = useState(null);
+    const [taskUpdate, setTaskUpdate] = useState(null);
+    const [templateForm, setTemplateForm] = useState(null);
+    const [newChecklist, setNewChecklist] = useState(null);
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+            const [taskList, checklistList, templateList, userList, departmentList] = await Promise.all([
+                checklistService.getMyTasks(),
+                isHR ? checklistService.getAll(params) : Promise.resolve([]),
+                isHR ? checklistService.getTemplates() : Promise.resolve([]),
+                isHR ? userService.getAll() : Promise.resolve([]),
+                isHR ? departmentService.getAll() : Promise.resolve([])
+            ]);
+            setMyTasks(toList(taskList));
+            setChecklists(toList(checklistList));
+            setTemplates(toList(templateList));
+            setEmployees(toList(userList));
+            setDepartments(toList(departmentList));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load checklists', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, isHR, showNotification]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    const openProgress = async (employee) => {
+        try {
+            const result = await checklistService.getEmployeeProgress(idOf(employee));
+            setProgressView({ employee, checklists: toList(result) });
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load the checklist progress', 'error');
+        }
+    };
+
+    // ----- Tasks -----
+
+    const handleSaveTask = async () => {
+        const { checklistId, task, status, notes } = taskUpdate;
+        try {
+            await checklistService.updateTask(checklistId, task._id, { status, notes });
+            showNotification('Task updated', 'success');
+            setTaskUpdate(null);
+            if (progressView) {
+                openProgress(progressView.employee);
+            }
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to update the task', 'error');
+        }
+    };
+
+    const handleCreateChecklist = async () => {
+        try {
+            await checklistService.create(newChecklist);
+            showNotification('Checklist created', 'success');
+            setNewChecklist(null);
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to create the checklist', 'error');
+        }
+    };
+
+    const handleCancelChecklist = async (id) => {
+        try {
+            await checklistService.cancel(id);
+            showNotification('Checklist cancelled', 'success');
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to cancel the checklist', 'error');
+        }
+    };
+
+    // ----- Templates -----
+
+    const updateTemplateTask = (index, changes) => {
+        setTemplateForm(form => ({
+            ...form,
+            tasks: form.tasks.map((task, i) => (i === index ? { ...task, ...changes } : task))
+        }));
+    };
+
+    const handleSaveTemplate = async () => {
+        const data = {
+            ...templateForm,
+            tasks: templateForm.tasks.map((task, order) => ({
+                ...task,
+                order,
+                department: task.department || null,
+                clearance: task.clearance || null,
+                dueOffsetDays: Number(task.dueOffsetDays) || 0
+            }))
+        };
+        try {
+            if (templateForm._id) {
+                await checklistService.updateTemplate(templateForm._id, data);
+            } else {
+                await checklistService.createTemplate(data);
+            }
+            showNotification('Template saved', 'success');
+            setTemplateForm(null);
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save the template', 'error');
+        }
+    };
+
+    const handleDeleteTemplate = async (id) => {
+        try {
+            await checklistService.deleteTemplate(id);
+            showNotification('Template deleted', 'success');
+            fetchData();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete the template', 'error');
+        }
+    };
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h4">Onboarding & Offboarding</Typography>
+                <Stack direction="row" spacing={1}>
+                    <Button variant="outlined" onClick={() => openProgress(user)}>My checklist</Button>
+                    {isHR && (
+                        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setNewChecklist({ employeeId: '', type: 'onboarding' })}>
+                            New checklist
+                        </Button>
+                    )}
+                </Stack>
+            </Stack>
+
+            <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3 }}>
+                <Tab label={`My tasks (${myTasks.length})`} />
+                {isHR && <Tab label="Employee checklists" />}
+                {isHR && <Tab label="Templates" />}
+            </Tabs>
+
+            {tab === 0 && (
+                <TableContainer component={Paper}>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Task</TableCell>
+                                <TableCell>Employee</TableCell>
+                                <TableCell>Checklist</TableCell>
+                                <TableCell>Due</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {myTasks.length === 0 && (
+                                <TableRow><TableCell colSpan={5} align="center">No open tasks</TableCell></TableRow>
+                            )}
+                            {myTasks.map(({ checklistId, type, employee, task, overdue }) => (
+                                <TableRow key={task._id}>
+                                    <TableCell>{task.title}</TableCell>
+                                    <TableCell>{nameOf(employee)}</TableCell>
+                                    <TableCell>{labelOf(CHECKLIST_TYPES, type)}</TableCell>
+                                    <TableCell>
+                                        {formatDate(task.dueDate)}
+                                        {overdue && <Chip size="small" color="error" label="Overdue" sx={{ ml: 1 }} />}
+                                    </TableCell>
+                                    <TableCell align="right">
+                                        <IconButton size="small" color="success" onClick={() => setTaskUpdate({ checklistId, task, status: 'done', notes: task.notes || '' })}>
+                                            <CheckIcon />
+                                        </IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            {isHR && tab === 1 && (
+                <>
+                    <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                        <TextField select size="small" label="Type" value={filters.type} sx={{ minWidth: 160 }}
+                            onChange={(e) => setFilters(f => ({ ...f, type: e.target.value }))}>
+                            <MenuItem value="">All</MenuItem>
+                            {CHECKLIST_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+                        </TextField>
+                        <TextField select size="small" label="Status" value={filters.status} sx={{ minWidth: 160 }}
+                            onChange={(e) => setFilters(f => ({ ...f, status: e.target.value }))}>
+                            <MenuItem value="">All</MenuItem>
+                            <MenuItem value="in-progress">In progress</MenuItem>
+                            <MenuItem value="completed">Completed</MenuItem>
+                            <MenuItem value="cancelled">Cancelled</MenuItem>
+                        </TextField>
+                    </Stack>
+                    <TableContainer component={Paper}>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Employee</TableCell>
+                                    <TableCell>Type</TableCell>
+                                    <TableCell>From</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Progress</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {checklists.length === 0 && (
+                                    <TableRow><TableCell colSpan={6} align="center">No checklists</TableCell></TableRow>
+                                )}
+                                {checklists.map(checklist => (
+                                    <TableRow key={checklist._id}>
+                                        <TableCell>{nameOf(checklist.employee)}</TableCell>
+                                        <TableCell>{labelOf(CHECKLIST_TYPES, checklist.type)}</TableCell>
+                                        <TableCell>{formatDate(checklist.referenceDate)}</TableCell>
+                                        <TableCell><Chip size="small" color={STATUS_COLORS[checklist.status]} label={checklist.status} /></TableCell>
+                                        <TableCell><ProgressBar progress={checklist.progress} /></TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small" onClick={() => openProgress(checklist.employee)}><ViewIcon /></IconButton>
+                                            {checklist.status === 'in-progress' && (
+                                                <IconButton size="small" color="error" onClick={() => handleCancelChecklist(checklist._id)}><DeleteIcon /></IconButton>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </>
+            )}
+
+            {isHR && tab === 2 && (
+                <>
+                    <Button startIcon={<AddIcon />} sx={{ mb: 2 }} onClick={() => setTemplateForm({ ...EMPTY_TEMPLATE, tasks: [{ ...EMPTY_TASK }] })}>
+                        New template
+                    </Button>
+                    <TableContainer component={Paper}>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Name</TableCell>
+                                    <TableCell>Type</TableCell>
+                                    <TableCell>Tasks</TableCell>
+                                    <TableCell>Default</TableCell>
+                                    <TableCell>Active</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {templates.map(template => (
+                                    <TableRow key={template._id}>
+                                        <TableCell>{template.name}</TableCell>
+                                        <TableCell>{labelOf(CHECKLIST_TYPES, template.type)}</TableCell>
+                                        <TableCell>{template.tasks.length}</TableCell>
+                                        <TableCell>{template.isDefault ? 'Yes' : 'No'}</TableCell>
+                                        <TableCell>{template.isActive ? 'Yes' : 'No'}</TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small" onClick={() => setTemplateForm({
+                                                ...template,
+                                                tasks: template.tasks.map(task => ({ ...EMPTY_TASK, ...task, department: idOf(task.department) || '', clearance: task.clearance || '' }))
+                                            })}>
+                                                <EditIcon />
+                                            </IconButton>
+                                            <IconButton size="small" color="error" onClick={() => handleDeleteTemplate(template._id)}><DeleteIcon /></IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </>
+            )}
+
+            {/* Employee progress */}
+            <Dialog open={!!progressView} onClose={() => setProgressView(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Checklists - {nameOf(progressView?.employee)}</DialogTitle>
+                <DialogContent>
+                    {progressView?.checklists.length === 0 && <Typography>No checklists</Typography>}
+                    {progressView?.checklists.map(checklist => (
+                        <Box key={checklist._id} sx={{ mb: 3 }}>
+                            <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 1 }}>
+                                <Typography variant="h6">{labelOf(CHECKLIST_TYPES, checklist.type)}</Typography>
+                                <Chip size="small" color={STATUS_COLORS[checklist.status]} label={checklist.status} />
+                                <ProgressBar progress={checklist.progress} />
+                            </Stack>
+                            <Table size="small">
+                                <TableBody>
+                                    {checklist.tasks.map(task => {
+                                        const canUpdate = checklist.status !== 'cancelled' && (isHR || idOf(task.assignee) === (user?._id || user?.id));
+                                        return (
+                                            <TableRow key={task._id}>
+                                                <TableCell padding="checkbox">
+                                                    <Checkbox
+                                                        checked={task.status === 'done'}
+                                                        disabled={!canUpdate}
+                                                        onChange={() => setTaskUpdate({
+                                                            checklistId: checklist._id,
+                                                            task,
+                                                            status: task.status === 'done' ? 'pending' : 'done',
+                                                            notes: task.notes || ''
+                                                        })}
+                                                    />
+                                                </TableCell>
+                                                <TableCell>
+                                                    {task.title}
+                                                    {!task.required && <Typography variant="caption" color="text.secondary"> (optional)</Typography>}
+                                                </TableCell>
+                                                <TableCell>{task.department?.name || labelOf(TASK_OWNERS, task.owner)}</TableCell>
+                                                <TableCell>{nameOf(task.assignee)}</TableCell>
+                                                <TableCell sx={{ color: isOverdue(task) ? 'error.main' : undefined }}>{formatDate(task.dueDate)}</TableCell>
+                                                <TableCell><Chip size="small" color={STATUS_COLORS[task.status]} label={task.status} /></TableCell>
+                                                <TableCell>
+                                                    {canUpdate && task.status === 'pending' && (
+                                                        <Button size="small" onClick={() => setTaskUpdate({ checklistId: checklist._id, task, status: 'skipped', notes: task.notes || '' })}>
+                                                            Skip
+                                                        </Button>
+                                                    )}
+                                                </TableCell>
+                                            </TableRow>
+                                        );
+                                    })}
+                                </TableBody>
+                            </Table>
+                        </Box>
+                    ))}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setProgressView(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Task status */}
+            <Dialog open={!!taskUpdate} onClose={() => setTaskUpdate(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{taskUpdate?.task.title}</DialogTitle>
+                <DialogContent>
+                    <TextField select fullWidth margin="normal" label="Status" value={taskUpdate?.status || 'pending'}
+                        onChange={(e) => setTaskUpdate(update => ({ ...update, status: e.target.value }))}>
+                        <MenuItem value="pending">Pending</MenuItem>
+                        <MenuItem value="done">Done</MenuItem>
+                        <MenuItem value="skipped">Skipped</MenuItem>
+                    </TextField>
+                    <TextField fullWidth multiline rows={3} margin="normal" label="Notes" value={taskUpdate?.notes || ''}
+                        onChange={(e) => setTaskUpdate(update => ({ ...update, notes: e.target.value }))} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setTaskUpdate(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveTask}>Save</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* New checklist */}
+            <Dialog open={!!newChecklist} onClose={() => setNewChecklist(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>New checklist</DialogTitle>
+                <DialogContent>
+                    <TextField select fullWidth margin="normal" label="Employee" value={newChecklist?.employeeId || ''}
+                        onChange={(e) => setNewChecklist(form => ({ ...form, employeeId: e.target.value }))}>
+                        {employees.map(employee => <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>)}
+                    </TextField>
+                    <TextField select fullWidth margin="normal" label="Type" value={newChecklist?.type || 'onboarding'}
+                        onChange={(e) => setNewChecklist(form => ({ ...form, type: e.target.value, templateId: '' }))}>
+                        {CHECKLIST_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+                    </TextField>
+                    <TextField select fullWidth margin="normal" label="Template" value={newChecklist?.templateId || ''}
+                        onChange={(e) => setNewChecklist(form => ({ ...form, templateId: e.target.value }))}>
+                        <MenuItem value="">Default template</MenuItem>
+                        {templates.filter(template => template.type === newChecklist?.type && template.isActive).map(template => (
+                            <MenuItem key={template._id} value={template._id}>{template.name}</MenuItem>
+                        ))}
+                    </TextField>
+                    <TextField fullWidth margin="normal" type="date" label="Due dates count from" InputLabelProps={{ shrink: true }}
+                        value={newChecklist?.referenceDate || ''}
+                        helperText="Defaults to the hire date"
+                        onChange={(e) => setNewChecklist(form => ({ ...form, referenceDate: e.target.value }))} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setNewChecklist(null)}>Cancel</Button>
+                    <Button variant="contained" disabled={!newChecklist?.employeeId} onClick={handleCreateChecklist}>Create</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Template editor */}
+            <Dialog open={!!templateForm} onClose={() => setTemplateForm(null)} maxWidth="lg" fullWidth>
+                <DialogTitle>{templateForm?._id ? 'Edit template' : 'New template'}</DialogTitle>
+                <DialogContent>
+                    <Grid container spacing={2} sx={{ mt: 0 }}>
+                        <Grid item xs={12} md={4}>
+                            <TextField fullWidth label="Name" value={templateForm?.name || ''}
+                                onChange={(e) => setTemplateForm(form => ({ ...form, name: e.target.value }))} />
+                        </Grid>
+                        <Grid item xs={12} md={4}>
+                            <TextField fullWidth label="Arabic name" value={templateForm?.arabicName || ''}
+                                onChange={(e) => setTemplateForm(form => ({ ...form, arabicName: e.target.value }))} />
+                        </Grid>
+                        <Grid item xs={12} md={2}>
+                            <TextField select fullWidth label="Type" value={templateForm?.type || 'onboarding'}
+                                onChange={(e) => setTemplateForm(form => ({ ...form, type: e.target.value }))}>
+                                {CHECKLIST_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12} md={2}>
+                            <FormControlLabel label="Default" control={
+                                <Switch checked={!!templateForm?.isDefault} onChange={(e) => setTemplateForm(form => ({ ...form, isDefault: e.target.checked }))} />
+                            } />
+                            <FormControlLabel label="Active" control={
+                                <Switch checked={!!templateForm?.isActive} onChange={(e) => setTemplateForm(form => ({ ...form, isActive: e.target.checked }))} />
+                            } />
+                        </Grid>
+                    </Grid>
+
+                    <Typography variant="subtitle1" sx={{ mt: 3, mb: 1 }}>Tasks</Typography>
+                    {templateForm?.tasks.map((task, index) => (
+                        <Grid container spacing={1} key={task._id || index} sx={{ mb: 1 }} alignItems="center">
+                            <Grid item xs={12} md={3}>
+                                <TextField fullWidth size="small" label="Title" value={task.title}
+                                    onChange={(e) => updateTemplateTask(index, { title: e.target.value })} />
+                            </Grid>
+                            <Grid item xs={6} md={2}>
+                                <TextField select fullWidth size="small" label="Category" value={task.category}
+                                    onChange={(e) => updateTemplateTask(index, { category: e.target.value })}>
+                                    {TASK_CATEGORIES.map(category => <MenuItem key={category.value} value={category.value}>{category.label}</MenuItem>)}
+                                </TextField>
+                            </Grid>
+                            <Grid item xs={6} md={2}>
+                                <TextField select fullWidth size="small" label="Department" value={task.department}
+                                    onChange={(e) => updateTemplateTask(index, { department: e.target.value })}>
+                                    <MenuItem value="">None</MenuItem>
+                                    {departments.map(department => <MenuItem key={department._id} value={department._id}>{department.name}</MenuItem>)}
+                                </TextField>
+                            </Grid>
+                            <Grid item xs={6} md={2}>
+                                <TextField select fullWidth size="small" label="Otherwise assign to" value={task.owner}
+                                    onChange={(e) => updateTemplateTask(index, { owner: e.target.value })}>
+                                    {TASK_OWNERS.map(owner => <MenuItem key={owner.value} value={owner.value}>{owner.label}</MenuItem>)}
+                                </TextField>
+                            </Grid>
+                            <Grid item xs={3} md={1}>
+                                <TextField fullWidth size="small" type="number" label="Due (days)" value={task.dueOffsetDays}
+                                    onChange={(e) => updateTemplateTask(index, { dueOffsetDays: e.target.value })} />
+                            </Grid>
+                            <Grid item xs={3} md={1}>
+                                <FormControlLabel label="Required" control={
+                                    <Checkbox size="small" checked={task.required} onChange={(e) => updateTemplateTask(index, { required: e.target.checked })} />
+                                } />
+                            </Grid>
+                            <Grid item xs={12} md={1}>
+                                <IconButton size="small" color="error" disabled={templateForm.tasks.length === 1}
+                                    onClick={() => setTemplateForm(form => ({ ...form, tasks: form.tasks.filter((_, i) => i !== index) }))}>
+                                    <DeleteIcon />
+                                </IconButton>
+                            </Grid>
+                        </Grid>
+                    ))}
+                    <Button startIcon={<AddIcon />} onClick={() => setTemplateForm(form => ({ ...form, tasks: [...form.tasks, { ...EMPTY_TASK }] }))}>
+                        Add task
+                    </Button>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setTemplateForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveTemplate}>Save</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default ChecklistsPage;
@@ -0,0 +1,572 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Grid,
+    IconButton,
+    MenuItem,
+    Paper,
+    Stack,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Tabs,
+    TextField,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import { useAuth } from '../../store/providers/ReduxAuthProvider';
+import clinicService from '../../services/clinic.service';
+import userService from '../../services/user.service';
+import Loading from '../../components/common/Loading';
+
+const APPOINTMENT_TYPES = [
+    { value: 'routine', label: 'Routine' },
+    { value: 'follow-up', label: 'Follow-up' },
+    { value: 'consultation', label: 'Consultation' },
+    { value: 'vaccination', label: 'Vaccination' },
+    { value: 'screening', label: 'Screening' },
+    { value: 'emergency', label: 'Emergency' }
+];
+
+const WEEK_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_COLORS = {
+    scheduled: 'info',
+    confirmed: 'info',
+    rescheduled: 'info',
+    'in-progress': 'warning',
+    completed: 'success',
+    cancelled: 'default',
+    'no-show': 'error',
+    upcoming: 'info',
+    waiting: 'warning'
+};
+
+const OPEN_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+const STAFF_ROLES = ['admin', 'hr', 'medical-staff'];
+
+const EMPTY_BOOKING = { doctorId: '', date: new Date().toISOString().split('T')[0], startAt: '', appointmentType: 'routine', reason: '', patientId: '' };
+
+const EMPTY_SCHEDULE = { doctorId: '', doctor: { name: '', specialization: '' }, slotMinutes: 30, weeklyHours: [], exceptions: [], isActive: true };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const dataOf = (response) => response?.data ?? response;
+
+const idOf = (value) => value?._id || value;
+
+const nameOf = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : '-');
+
+const errorOf = (error, fallback) => error.response?.data?.message || fallback;
+
+const AppointmentsPage = () => {
+    const { showNotification } = useNotification();
+    const { user } = useAuth();
+    const userId = user?._id || user?.id;
+
+    const [tab, setTab] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [schedules, setSchedules] = useState([]);
+    const [appointments, setAppointments] = useState([]);
+    const [noShows, setNoShows] = useState(null);
+    const [employees, setEmployees] = useState([]);
+
+    const [booking, setBooking] = useState(EMPTY_BOOKING);
+    const [slots, setSlots] = useState([]);
+    const [rescheduling, setRescheduling] = useState(null);
+
+    const [queueDate, setQueueDate] = useState(new Date().toISOString().split('T')[0]);
+    const [queue, setQueue] = useState(null);
+    const [scheduleForm, setScheduleForm] = useState(null);
+
+    const isStaff = STAFF_ROLES.includes(user?.role) || schedules.some(schedule => idOf(schedule.doctorId) === userId);
+    const canEditSchedules = STAFF_ROLES.includes(user?.role);
+
+    const fetchData = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [scheduleList, appointmentList, noShowSummary] = await Promise.all([
+                clinicService.getSchedules(),
+                clinicService.getAppointments({ upcoming: 'true' }),
+                clinicService.getNoShowSummary()
+            ]);
+            setSchedules(toList(scheduleList));
+            setAppointments(toList(appointmentList));
+            setNoShows(dataOf(noShowSummary));
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to load appointments'), 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchData();
+    }, [fetchData]);
+
+    useEffect(() => {
+        if (isStaff && employees.length === 0) {
+            userService.getAll().then(list => setEmployees(toList(list))).catch(() => {});
+        }
+    }, [isStaff, employees.length]);
+
+    // ----- Booking -----
+
+    const form = rescheduling || booking;
+    const setForm = rescheduling ? setRescheduling : setBooking;
+
+    const fetchSlots = useCallback(async (doctorId, date) => {
+        if (!doctorId || !date) {
+            setSlots([]);
+            return;
+        }
+        try {
+            const result = toList(await clinicService.getAvailableSlots({ doctorId, date }));
+            setSlots(result[0]?.slots || []);
+        } catch (error) {
+            setSlots([]);
+            showNotification(errorOf(error, 'Failed to load available slots'), 'error');
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchSlots(form.doctorId, form.date);
+    }, [form.doctorId, form.date, fetchSlots]);
+
+    const handleBook = async () => {
+        try {
+            const { doctorId, startAt, appointmentType, reason, patientId } = booking;
+            await clinicService.bookAppointment({ doctorId, startAt, appointmentType, reason, patientId: patientId || undefined });
+            showNotification('Appointment booked', 'success');
+            setBooking({ ...EMPTY_BOOKING, doctorId, date: booking.date });
+            fetchSlots(doctorId, booking.date);
+            fetchData();
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to book the appointment'), 'error');
+            fetchSlots(booking.doctorId, booking.date);
+        }
+    };
+
+    const handleReschedule = async () => {
+        try {
+            await clinicService.rescheduleAppointment(rescheduling.id, { startAt: rescheduling.startAt, reason: rescheduling.reason });
+            showNotification('Appointment rescheduled', 'success');
+            setRescheduling(null);
+            fetchData();
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to reschedule the appointment'), 'error');
+        }
+    };
+
+    const handleCancel = async (appointment) => {
+        try {
+            await clinicService.cancelAppointment(appointment._id);
+            showNotification('Appointment cancelled', 'success');
+            fetchData();
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to cancel the appointment'), 'error');
+        }
+    };
+
+    // ----- Queue -----
+
+    const fetchQueue = useCallback(async () => {
+        try {
+            setQueue(dataOf(await clinicService.getQueue({ date: queueDate })));
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to load the clinic queue'), 'error');
+        }
+    }, [queueDate, showNotification]);
+
+    useEffect(() => {
+        if (isStaff && tab === 2) {
+            fetchQueue();
+        }
+    }, [isStaff, tab, fetchQueue]);
+
+    const handleQueueAction = async (action, appointment) => {
+        const actions = {
+            'check-in': () => clinicService.checkIn(appointment._id),
+            start: () => clinicService.startAppointment(appointment._id),
+            complete: () => clinicService.completeAppointment(appointment._id),
+            'no-show': () => clinicService.markNoShow(appointment._id)
+        };
+        try {
+            await actions[action]();
+            fetchQueue();
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to update the appointment'), 'error');
+        }
+    };
+
+    // ----- Schedules -----
+
+    const updateHours = (index, changes) => {
+        setScheduleForm(current => ({
+            ...current,
+            weeklyHours: current.weeklyHours.map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+        }));
+    };
+
+    const handleSaveSchedule = async () => {
+        try {
+            const { doctorId, ...data } = scheduleForm;
+            await clinicService.saveSchedule(doctorId, data);
+            showNotification('Doctor schedule saved', 'success');
+            setScheduleForm(null);
+            fetchData();
+        } catch (error) {
+            showNotification(errorOf(error, 'Failed to save the schedule'), 'error');
+        }
+    };
+
+    const renderSlotPicker = () => (
+        <Box>
+            {form.doctorId && slots.length === 0 && (
+                <Typography variant="body2" color="text.secondary">The doctor has no hours on this day.</Typography>
+            )}
+            <Stack direction="row" flexWrap="wrap" gap={1}>
+                {slots.map(slot => (
+                    <Chip
+                        key={slot.start}
+                        label={slot.time}
+                        clickable={slot.available}
+                        disabled={!slot.available}
+                        color={form.startAt === slot.start ? 'primary' : 'default'}
+                        variant={form.startAt === slot.start ? 'filled' : 'outlined'}
+                        onClick={() => slot.available && setForm({ ...form, startAt: slot.start })}
+                    />
+                ))}
+            </Stack>
+        </Box>
+    );
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    const activeSchedules = schedules.filter(schedule => schedule.isActive);
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Typography variant="h4" sx={{ mb: 2 }}>Clinic Appointments</Typography>
+
+            <Tabs value={tab} onChange={(event, value) => setTab(value)} sx={{ mb: 2 }}>
+                <Tab label="Book" />
+                <Tab label={isStaff ? 'Appointments' : 'My appointments'} />
+                {isStaff && <Tab label="Daily queue" />}
+                {canEditSchedules && <Tab label="Doctor schedules" />}
+            </Tabs>
+
+            {tab === 0 && (
+                <Paper sx={{ p: 3 }}>
+                    {noShows?.selfBookingBlocked && !isStaff && (
+                        <Alert severity="warning" sx={{ mb: 2 }}>
+                            {`You missed ${noShows.count} appointments in the last ${noShows.periodDays} days. Please contact the clinic to book.`}
+                        </Alert>
+                    )}
+                    <Grid container spacing={2}>
+                        {isStaff && (
+                            <Grid item xs={12} md={4}>
+                                <TextField select fullWidth label="Patient" value={booking.patientId} onChange={(e) => setBooking({ ...booking, patientId: e.target.value })}>
+                                    <MenuItem value="">Myself</MenuItem>
+                                    {employees.map(employee => (
+                                        <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                        )}
+                        <Grid item xs={12} md={4}>
+                            <TextField select fullWidth label="Doctor" value={booking.doctorId} onChange={(e) => setBooking({ ...booking, doctorId: e.target.value, startAt: '' })}>
+                                {activeSchedules.map(schedule => (
+                                    <MenuItem key={schedule._id} value={idOf(schedule.doctorId)}>
+                                        {schedule.doctor?.name}{schedule.doctor?.specialization ? ` - ${schedule.doctor.specialization}` : ''}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12} md={4}>
+                            <TextField fullWidth type="date" label="Date" InputLabelProps={{ shrink: true }} value={booking.date} onChange={(e) => setBooking({ ...booking, date: e.target.value, startAt: '' })} />
+                        </Grid>
+                        <Grid item xs={12}>
+                            {renderSlotPicker()}
+                        </Grid>
+                        <Grid item xs={12} md={4}>
+                            <TextField select fullWidth label="Type" value={booking.appointmentType} onChange={(e) => setBooking({ ...booking, appointmentType: e.target.value })}>
+                                {APPOINTMENT_TYPES.map(type => <MenuItem key={type.value} value={type.value}>{type.label}</MenuItem>)}
+                            </TextField>
+                        </Grid>
+                        <Grid item xs={12} md={8}>
+                            <TextField fullWidth label="Reason" value={booking.reason} onChange={(e) => setBooking({ ...booking, reason: e.target.value })} />
+                        </Grid>
+                    </Grid>
+                    <Box sx={{ mt: 2, display: 'flex', justifyContent: 'flex-end' }}>
+                        <Button variant="contained" disabled={!booking.startAt || !booking.reason || !!rescheduling} onClick={handleBook}>
+                            Book appointment
+                        </Button>
+                    </Box>
+                </Paper>
+            )}
+
+            {tab === 1 && (
+                <TableContainer component={Paper}>
+                    <Table>
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Date</TableCell>
+                                {isStaff && <TableCell>Patient</TableCell>}
+                                <TableCell>Doctor</TableCell>
+                                <TableCell>Type</TableCell>
+                                <TableCell>Status</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {appointments.length === 0 && (
+                                <TableRow><TableCell colSpan={6} align="center">No appointments</TableCell></TableRow>
+                            )}
+                            {appointments.map(appointment => (
+                                <TableRow key={appointment._id}>
+                                    <TableCell>{formatDateTime(appointment.startAt || appointment.appointmentDate)}</TableCell>
+                                    {isStaff && <TableCell>{nameOf(appointment.patientId)}</TableCell>}
+                                    <TableCell>{appointment.doctor?.name}</TableCell>
+                                    <TableCell>{APPOINTMENT_TYPES.find(type => type.value === appointment.appointmentType)?.label}</TableCell>
+                                    <TableCell><Chip size="small" label={appointment.status} color={STATUS_COLORS[appointment.status] || 'default'} /></TableCell>
+                                    <TableCell align="right">
+                                        {OPEN_STATUSES.includes(appointment.status) && appointment.doctorId && (
+                                            <Stack direction="row" spacing={1} justifyContent="flex-end">
+                                                <Button size="small" onClick={() => setRescheduling({
+                                                    id: appointment._id,
+                                                    doctorId: idOf(appointment.doctorId),
+                                                    date: new Date(appointment.startAt).toISOString().split('T')[0],
+                                                    startAt: '',
+                                                    reason: ''
+                                                })}>
+                                                    Reschedule
+                                                </Button>
+                                                <Button size="small" color="error" onClick={() => handleCancel(appointment)}>Cancel</Button>
+                                            </Stack>
+                                        )}
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            {isStaff && tab === 2 && (
+                <Paper sx={{ p: 3 }}>
+                    <Stack direction="row" spacing={2} alignItems="center" sx={{ mb: 2 }}>
+                        <TextField type="date" label="Date" size="small" InputLabelProps={{ shrink: true }} value={queueDate} onChange={(e) => setQueueDate(e.target.value)} />
+                        <Button onClick={fetchQueue}>Refresh</Button>
+                        {queue?.summary && (
+                            <Stack direction="row" spacing={1} flexWrap="wrap">
+                                <Chip label={`Upcoming ${queue.summary.upcoming}`} color="info" variant="outlined" />
+                                <Chip label={`Waiting ${queue.summary.waiting}`} color="warning" variant="outlined" />
+                                <Chip label={`With doctor ${queue.summary.inProgress}`} variant="outlined" />
+                                <Chip label={`Completed ${queue.summary.completed}`} color="success" variant="outlined" />
+                                <Chip label={`No-show ${queue.summary.noShow}`} color="error" variant="outlined" />
+                                {queue.summary.late > 0 && <Chip label={`Late ${queue.summary.late}`} color="error" />}
+                            </Stack>
+                        )}
+                    </Stack>
+                    <TableContainer>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Time</TableCell>
+                                    <TableCell>Patient</TableCell>
+                                    <TableCell>Doctor</TableCell>
+                                    <TableCell>Reason</TableCell>
+                                    <TableCell>State</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {(queue?.entries || []).length === 0 && (
+                                    <TableRow><TableCell colSpan={6} align="center">No appointments on this day</TableCell></TableRow>
+                                )}
+                                {(queue?.entries || []).map(entry => (
+                                    <TableRow key={entry.appointment._id}>
+                                        <TableCell>{entry.time}</TableCell>
+                                        <TableCell>{nameOf(entry.appointment.patientId)}</TableCell>
+                                        <TableCell>{entry.appointment.doctor?.name}</TableCell>
+                                        <TableCell>{entry.appointment.reason}</TableCell>
+                                        <TableCell>
+                                            <Stack direction="row" spacing={1}>
+                                                <Chip size="small" label={entry.position ? `${entry.state} #${entry.position}` : entry.state} color={STATUS_COLORS[entry.state] || 'default'} />
+                                                {entry.late && <Chip size="small" label="late" color="error" variant="outlined" />}
+                                            </Stack>
+                                        </TableCell>
+                                        <TableCell align="right">
+                                            <Stack direction="row" spacing={1} justifyContent="flex-end">
+                                                {(entry.state === 'upcoming' || entry.state === 'no-show') && (
+                                                    <Button size="small" onClick={() => handleQueueAction('check-in', entry.appointment)}>Check in</Button>
+                                                )}
+                                                {entry.state === 'upcoming' && entry.late && (
+                                                    <Button size="small" color="error" onClick={() => handleQueueAction('no-show', entry.appointment)}>No-show</Button>
+                                                )}
+                                                {entry.state === 'waiting' && (
+                                                    <Button size="small" onClick={() => handleQueueAction('start', entry.appointment)}>Start</Button>
+                                                )}
+                                                {entry.state === 'in-progress' && (
+                                                    <Button size="small" color="success" onClick={() => handleQueueAction('complete', entry.appointment)}>Complete</Button>
+                                                )}
+                                            </Stack>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </Paper>
+            )}
+
+            {canEditSchedules && tab === 3 && (
+                <Paper sx={{ p: 3 }}>
+                    <Box sx={{ mb: 2, display: 'flex', justifyContent: 'flex-end' }}>
+                        <Button variant="contained" startIcon={<AddIcon />} onClick={() => setScheduleForm({ ...EMPTY_SCHEDULE })}>
+                            Add doctor
+                        </Button>
+                    </Box>
+                    <TableContainer>
+                        <Table>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Doctor</TableCell>
+                                    <TableCell>Specialization</TableCell>
+                                    <TableCell>Hours</TableCell>
+                                    <TableCell>Slot</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {schedules.map(schedule => (
+                                    <TableRow key={schedule._id}>
+                                        <TableCell>{schedule.doctor?.name}</TableCell>
+                                        <TableCell>{schedule.doctor?.specialization || '-'}</TableCell>
+                                        <TableCell>
+                                            {schedule.weeklyHours.map(entry => `${WEEK_DAYS[entry.dayOfWeek].slice(0, 3)} ${entry.start}-${entry.end}`).join(', ') || '-'}
+                                        </TableCell>
+                                        <TableCell>{schedule.slotMinutes} min</TableCell>
+                                        <TableCell><Chip size="small" label={schedule.isActive ? 'Active' : 'Inactive'} color={schedule.isActive ? 'success' : 'default'} /></TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small" onClick={() => setScheduleForm({ ...schedule, doctorId: idOf(schedule.doctorId) })}>
+                                                <EditIcon fontSize="small" />
+                                            </IconButton>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                </Paper>
+            )}
+
+            {/* Reschedule dialog */}
+            <Dialog open={!!rescheduling} onClose={() => setRescheduling(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Reschedule appointment</DialogTitle>
+                <DialogContent>
+                    {rescheduling && (
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField type="date" label="Date" InputLabelProps={{ shrink: true }} value={rescheduling.date} onChange={(e) => setRescheduling({ ...rescheduling, date: e.target.value, startAt: '' })} />
+                            {renderSlotPicker()}
+                            <TextField label="Reason" value={rescheduling.reason} onChange={(e) => setRescheduling({ ...rescheduling, reason: e.target.value })} />
+                        </Stack>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setRescheduling(null)}>Close</Button>
+                    <Button variant="contained" disabled={!rescheduling?.startAt} onClick={handleReschedule}>Reschedule</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Schedule editor */}
+            <Dialog open={!!scheduleForm} onClose={() => setScheduleForm(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Doctor schedule</DialogTitle>
+                <DialogContent>
+                    {scheduleForm && (
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <Grid container spacing={2}>
+                                <Grid item xs={12} md={6}>
+                                    <TextField select fullWidth label="Doctor account" value={scheduleForm.doctorId} disabled={!!scheduleForm._id} onChange={(e) => {
+                                        const doctor = employees.find(employee => employee._id === e.target.value);
+                                        setScheduleForm({ ...scheduleForm, doctorId: e.target.value, doctor: { ...scheduleForm.doctor, name: nameOf(doctor) } });
+                                    }}>
+                                        {employees.map(employee => (
+                                            <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                </Grid>
+                                <Grid item xs={12} md={6}>
+                                    <TextField fullWidth label="Display name" value={scheduleForm.doctor?.name || ''} onChange={(e) => setScheduleForm({ ...scheduleForm, doctor: { ...scheduleForm.doctor, name: e.target.value } })} />
+                                </Grid>
+                                <Grid item xs={12} md={6}>
+                                    <TextField fullWidth label="Specialization" value={scheduleForm.doctor?.specialization || ''} onChange={(e) => setScheduleForm({ ...scheduleForm, doctor: { ...scheduleForm.doctor, specialization: e.target.value } })} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <TextField fullWidth type="number" label="Slot (minutes)" value={scheduleForm.slotMinutes} onChange={(e) => setScheduleForm({ ...scheduleForm, slotMinutes: Number(e.target.value) })} />
+                                </Grid>
+                                <Grid item xs={6} md={3}>
+                                    <TextField select fullWidth label="Status" value={scheduleForm.isActive ? 'active' : 'inactive'} onChange={(e) => setScheduleForm({ ...scheduleForm, isActive: e.target.value === 'active' })}>
+                                        <MenuItem value="active">Active</MenuItem>
+                                        <MenuItem value="inactive">Inactive</MenuItem>
+                                    </TextField>
+                                </Grid>
+                            </Grid>
+
+                            <Typography variant="subtitle1">Weekly hours</Typography>
+                            {scheduleForm.weeklyHours.map((entry, index) => (
+                                <Stack key={index} direction="row" spacing={1} alignItems="center">
+                                    <TextField select size="small" label="Day" value={entry.dayOfWeek} onChange={(e) => updateHours(index, { dayOfWeek: Number(e.target.value) })} sx={{ minWidth: 140 }}>
+                                        {WEEK_DAYS.map((day, value) => <MenuItem key={day} value={value}>{day}</MenuItem>)}
+                                    </TextField>
+                                    <TextField size="small" type="time" label="From" InputLabelProps={{ shrink: true }} value={entry.start} onChange={(e) => updateHours(index, { start: e.target.value })} />
+                                    <TextField size="small" type="time" label="To" InputLabelProps={{ shrink: true }} value={entry.end} onChange={(e) => updateHours(index, { end: e.target.value })} />
+                                    <IconButton size="small" onClick={() => setScheduleForm({ ...scheduleForm, weeklyHours: scheduleForm.weeklyHours.filter((_, i) => i !== index) })}>
+                                        <DeleteIcon fontSize="small" />
+                                    </IconButton>
+                                </Stack>
+                            ))}
+                            <Box>
+                                <Button size="small" startIcon={<AddIcon />} onClick={() => setScheduleForm({
+                                    ...scheduleForm,
+                                    weeklyHours: [...scheduleForm.weeklyHours, { dayOfWeek: 0, start: '09:00', end: '13:00' }]
+                                })}>
+                                    Add hours
+                                </Button>
+                            </Box>
+                        </Stack>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setScheduleForm(null)}>Cancel</Button>
+                    <Button variant="contained" disabled={!scheduleForm?.doctorId} onClick={handleSaveSchedule}>Save</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default AppointmentsPage;
@@ -32,6 +32,7 @@ import DocumentViewer from '../../components/common/DocumentViewer';
 import { useNotification } from '../../store/providers/ReduxNotificationProvider';
 import { useAuth } from '../../store/providers/ReduxAuthProvider';
 import documentService from '../../services/document.service';
+import templateService from '../../services/template.service';
 import userService from '../../services/user.service';
 
 const DocumentsPage = () => {
@@ -202,13 +203,27 @@ const DocumentsPage = () => {
         setOpenViewer(true);
     };
 
-    const handleDownload = (doc) => {
+    const handleDownload = async (doc) => {
         const link = document.createElement('a');
-        link.href = doc.fileUrl;
+        let url = doc.fileUrl;
+
+        // Documents generated from a template are served through the authenticated API
+        if (doc.template) {
+            try {
+                const blob = await templateService.downloadGenerated(doc._id);
+                url = URL.createObjectURL(new Blob([blob]));
+            } catch (error) {
+                showNotification('Failed to download document', 'error');
+                return;
+            }
+        }
+
+        link.href = url;
         link.download = doc.fileName || doc.title;
         document.body.appendChild(link);
         link.click();
         document.body.removeChild(link);
+        if (doc.template) URL.revokeObjectURL(url);
         showNotification('Download started', 'success');
     };
 
@@ -381,6 +396,13 @@ const DocumentsPage = () => {
                                             />
                                         </Box>
 
+                                        {/* Reference number of generated documents */}
+                                        {doc.referenceNumber && (
+                                            <Typography variant="caption" color="text.secondary" sx={{ textAlign: 'center' }}>
+                                                Ref: {doc.referenceNumber}
+                                            </Typography>
+                                        )}
+
                                         {/* Confidentiality */}
                                         <Box sx={{ display: 'flex', justifyContent: 'center' }}>
                                             <Chip
@@ -18,13 +18,55 @@ import {
     CircularProgress,
     FormControl,
     InputLabel,
-    Select
+    Select,
+    Checkbox,
+    Tooltip
 } from '@mui/material';
-import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Download as DownloadIcon } from '@mui/icons-material';
+import {
+    Add as AddIcon,
+    Edit as EditIcon,
+    Delete as DeleteIcon,
+    Download as DownloadIcon,
+    NightsStay as NightsStayIcon,
+    EditCalendar as EditCalendarIcon
+} from '@mui/icons-material';
 import Loading from '../../components/common/Loading';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 import { useNotification } from '../../store/providers/ReduxNotificationProvider';
 import holidayService from '../../services/holiday.service';
+import { formatHijriDate } from '../../utils/holidayChecker';
+
+// Moon-sighting shifts an admin can apply to a computed Islamic holiday
+const ADJUSTMENT_OPTIONS = [-3, -2, -1, 0, 1, 2, 3];
+
+const formatAdjustment = (days) => {
+    if (days === 0) return 'As computed';
+    const label = Math.abs(days) === 1 ? 'day' : 'days';
+    return days > 0 ? `${days} ${label} later` : `${-days} ${label} earlier`;
+};
+
+const addDays = (dateString, days) => {
+    const date = new Date(dateString);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+};
+
+/**
+ * Group proposed holiday days into occasions, e.g. the three days of Eid al-Fitr
+ */
+const groupIslamicProposals = (days) => {
+    const groups = [];
+    days.forEach((day) => {
+        const id = `${day.key}-${day.hijriDate.year}`;
+        let group = groups.find(g => g.id === id);
+        if (!group) {
+            group = { id, key: day.key, hijriYear: day.hijriDate.year, occasion: day.occasion, days: [] };
+            groups.push(group);
+        }
+        group.days.push(day);
+    });
+    return groups;
+};
 
 const HolidaysPage = () => {
     const [holidays, setHolidays] = useState([]);
@@ -43,6 +85,13 @@ const HolidaysPage = () => {
     const [showImportDialog, setShowImportDialog] = useState(false);
     const [importYear, setImportYear] = useState(new Date().getFullYear().toString());
     const [importing, setImporting] = useState(false);
+    const [showIslamicDialog, setShowIslamicDialog] = useState(false);
+    const [islamicYear, setIslamicYear] = useState(new Date().getFullYear().toString());
+    const [islamicCalendar, setIslamicCalendar] = useState('umalqura');
+    const [islamicProposals, setIslamicProposals] = useState([]);
+    const [islamicSelections, setIslamicSelections] = useState({});
+    const [adjustHoliday, setAdjustHoliday] = useState(null);
+    const [adjustmentDays, setAdjustmentDays] = useState(0);
 
     useEffect(() => {
         fetchHolidays();
@@ -57,6 +106,9 @@ const HolidaysPage = () => {
             const settings = response.settings || response;
             setHolidaySettings(settings);
             setHolidays(settings.officialHolidays || []);
+            if (settings.hijriCalendar) {
+                setIslamicCalendar(settings.hijriCalendar);
+            }
         } catch (error) {
             showNotification('Failed to fetch holidays', 'error');
         } finally {
@@ -158,6 +210,72 @@ const HolidaysPage = () => {
         }
     };
 
+    const handleIslamicDialogOpen = () => {
+        setIslamicProposals([]);
+        setIslamicSelections({});
+        setShowIslamicDialog(true);
+    };
+
+    const handleIslamicDialogClose = () => {
+        setShowIslamicDialog(false);
+    };
+
+    const handleFetchIslamicProposals = async () => {
+        try {
+            const response = await holidayService.getIslamicProposals({ year: islamicYear, calendar: islamicCalendar });
+            const groups = groupIslamicProposals(response.data?.holidays || []);
+            setIslamicProposals(groups);
+            // Select every occasion that is not in the calendar yet
+            setIslamicSelections(Object.fromEntries(groups.map(group => [
+                group.id,
+                { selected: !group.days.every(day => day.exists), adjustmentDays: 0 }
+            ])));
+        } catch (error) {
+            showNotification('Failed to compute Islamic holidays: ' + error.message, 'error');
+        }
+    };
+
+    const handleIslamicSelectionChange = (id, changes) => {
+        setIslamicSelections(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+    };
+
+    const handleAddIslamicHolidays = async () => {
+        try {
+            setImporting(true);
+            const selected = islamicProposals
+                .filter(group => islamicSelections[group.id]?.selected)
+                .map(group => ({
+                    key: group.key,
+                    hijriYear: group.hijriYear,
+                    adjustmentDays: islamicSelections[group.id].adjustmentDays
+                }));
+            const response = await holidayService.addIslamicHolidays({ calendar: islamicCalendar, holidays: selected });
+            showNotification(response.message || 'Islamic holidays added successfully', 'success');
+            handleIslamicDialogClose();
+            fetchHolidays();
+        } catch (error) {
+            showNotification(error.response?.data?.message || 'Failed to add Islamic holidays: ' + error.message, 'error');
+        } finally {
+            setImporting(false);
+        }
+    };
+
+    const handleAdjustOpen = (holiday) => {
+        setAdjustHoliday(holiday);
+        setAdjustmentDays(holiday.adjustmentDays || 0);
+    };
+
+    const handleAdjustSubmit = async () => {
+        try {
+            const response = await holidayService.adjustIslamicHoliday(adjustHoliday._id, { adjustmentDays });
+            showNotification(response.message || 'Holiday moved successfully', 'success');
+            setAdjustHoliday(null);
+            fetchHolidays();
+        } catch (error) {
+            showNotification(error.response?.data?.message || 'Failed to move holiday: ' + error.message, 'error');
+        }
+    };
+
     const formatDate = (dateString) => {
         if (!dateString) return '-';
         try {
@@ -187,6 +305,14 @@ const HolidaysPage = () => {
                     >
                         Import Egypt Holidays
                     </Button>
+                    <Button
+                        variant="outlined"
+                        startIcon={<NightsStayIcon />}
+                        onClick={handleIslamicDialogOpen}
+                        sx={{ mr: 2 }}
+                    >
+                        Islamic Holidays
+                    </Button>
                     <Button
                         variant="contained"
                         startIcon={<AddIcon />}
@@ -240,11 +366,16 @@ const HolidaysPage = () => {
                                         <Typography variant="h6" component="div" sx={{ fontWeight: 600 }}>
                                             {holiday.name || '-'}
                                         </Typography>
-                                        <Chip 
-                                            label={holiday.isWeekend ? 'Weekend' : 'Regular'} 
-                                            size="small" 
-                                            color={holiday.isWeekend ? 'warning' : 'primary'} 
-                                        />
+                                        <Box sx={{ display: 'flex', gap: 0.5 }}>
+                                            {holiday.isIslamic && (
+                                                <Chip label="Islamic" size="small" color="success" variant="outlined" />
+                                            )}
+                                            <Chip 
+                                                label={holiday.isWeekend ? 'Weekend' : 'Regular'} 
+                                                size="small" 
+                                                color={holiday.isWeekend ? 'warning' : 'primary'} 
+                                            />
+                                        </Box>
                                     </Box>
                                     
                                     <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
@@ -255,6 +386,25 @@ const HolidaysPage = () => {
                                             {formatDate(holiday.date)}
                                         </Typography>
                                     </Box>
+
+                                    <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+                                        <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
+                                            Hijri:
+                                        </Typography>
+                                        <Typography variant="body2">
+                                            {/* A holiday moved after moon sighting keeps the Hijri date it was announced for */}
+                                            {formatHijriDate(
+                                                addDays(holiday.date, -(holiday.adjustmentDays || 0)),
+                                                { calendar: holidaySettings?.hijriCalendar }
+                                            )}
+                                        </Typography>
+                                    </Box>
+
+                                    {holiday.adjustmentDays ? (
+                                        <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+                                            Moved after moon sighting: {formatAdjustment(holiday.adjustmentDays)}
+                                        </Typography>
+                                    ) : null}
                                     
                                     <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
                                         <Typography variant="body2" color="text.secondary" sx={{ mr: 1 }}>
@@ -284,6 +434,17 @@ const HolidaysPage = () => {
                                 </CardContent>
                                 
                                 <CardActions sx={{ justifyContent: 'flex-end', px: 2, pb: 2 }}>
+                                    {holiday.islamicHolidayKey && (
+                                        <Tooltip title="Adjust for moon sighting">
+                                            <IconButton
+                                                size="small"
+                                                onClick={() => handleAdjustOpen(holiday)}
+                                                color="primary"
+                                            >
+                                                <EditCalendarIcon fontSize="small" />
+                                            </IconButton>
+                                        </Tooltip>
+                                    )}
                                     <IconButton 
                                         size="small" 
                                         onClick={() => handleOpenDialog(holiday)}
@@ -411,6 +572,141 @@ const HolidaysPage = () => {
                 </DialogActions>
             </Dialog>
 
+            <Dialog open={showIslamicDialog} onClose={handleIslamicDialogClose} maxWidth="md" fullWidth>
+                <DialogTitle>Islamic Holidays</DialogTitle>
+                <DialogContent>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+                        <Typography variant="body2" color="text.secondary">
+                            Dates are computed from the Hijri calendar. Shift any holiday by a day or two
+                            to match the official moon-sighting announcement before adding it.
+                        </Typography>
+                        <Box sx={{ display: 'flex', gap: 2 }}>
+                            <FormControl fullWidth>
+                                <InputLabel>Year</InputLabel>
+                                <Select
+                                    value={islamicYear}
+                                    label="Year"
+                                    onChange={(e) => setIslamicYear(e.target.value)}
+                                >
+                                    {Array.from({ length: 5 }, (_, i) => new Date().getFullYear() + i - 2).map(year => (
+                                        <MenuItem key={year} value={year.toString()}>
+                                            {year}
+                                        </MenuItem>
+                                    ))}
+                                </Select>
+                            </FormControl>
+                            <FormControl fullWidth>
+                                <InputLabel>Calculation</InputLabel>
+                                <Select
+                                    value={islamicCalendar}
+                                    label="Calculation"
+                                    onChange={(e) => setIslamicCalendar(e.target.value)}
+                                >
+                                    <MenuItem value="umalqura">Umm al-Qura</MenuItem>
+                                    <MenuItem value="tabular">Tabular (arithmetic)</MenuItem>
+                                </Select>
+                            </FormControl>
+                        </Box>
+
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end' }}>
+                            <Button variant="outlined" onClick={handleFetchIslamicProposals} disabled={importing}>
+                                Compute Holidays
+                            </Button>
+                        </Box>
+
+                        {islamicProposals.length > 0 && (
+                            <Box sx={{ maxHeight: 360, overflow: 'auto' }}>
+                                {islamicProposals.map((group) => {
+                                    const selection = islamicSelections[group.id] || { selected: false, adjustmentDays: 0 };
+                                    const first = addDays(group.days[0].date, selection.adjustmentDays);
+                                    const last = addDays(group.days[group.days.length - 1].date, selection.adjustmentDays);
+                                    const exists = group.days.every(day => day.exists);
+
+                                    return (
+                                        <Box
+                                            key={group.id}
+                                            sx={{ display: 'flex', alignItems: 'center', gap: 2, py: 1, borderBottom: '1px solid #eee' }}
+                                        >
+                                            <Checkbox
+                                                checked={selection.selected}
+                                                disabled={exists}
+                                                onChange={(e) => handleIslamicSelectionChange(group.id, { selected: e.target.checked })}
+                                            />
+                                            <Box sx={{ flexGrow: 1 }}>
+                                                <Typography variant="body2" sx={{ fontWeight: 600 }}>
+                                                    {group.occasion}
+                                                    {exists && ' (already added)'}
+                                                </Typography>
+                                                <Typography variant="caption" color="text.secondary">
+                                                    {first === last ? formatDate(first) : `${formatDate(first)} - ${formatDate(last)}`}
+                                                    {' / '}
+                                                    {group.days[0].hijriDateFormatted}
+                                                </Typography>
+                                            </Box>
+                                            <FormControl size="small" sx={{ minWidth: 160 }}>
+                                                <Select
+                                                    value={selection.adjustmentDays}
+                                                    disabled={exists}
+                                                    onChange={(e) => handleIslamicSelectionChange(group.id, { adjustmentDays: e.target.value })}
+                                                >
+                                                    {ADJUSTMENT_OPTIONS.map(days => (
+                                                        <MenuItem key={days} value={days}>
+                                                            {formatAdjustment(days)}
+                                                        </MenuItem>
+                                                    ))}
+                                                </Select>
+                                            </FormControl>
+                                        </Box>
+                                    );
+                                })}
+                            </Box>
+                        )}
+                    </Box>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={handleIslamicDialogClose}>Cancel</Button>
+                    <Button
+                        onClick={handleAddIslamicHolidays}
+                        variant="contained"
+                        disabled={importing || !Object.values(islamicSelections).some(s => s.selected)}
+                        startIcon={importing ? <CircularProgress size={20} /> : null}
+                    >
+                        {importing ? 'Adding...' : 'Add Selected'}
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            <Dialog open={!!adjustHoliday} onClose={() => setAdjustHoliday(null)} maxWidth="xs" fullWidth>
+                <DialogTitle>Adjust for Moon Sighting</DialogTitle>
+                <DialogContent>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 1 }}>
+                        <Typography variant="body2" color="text.secondary">
+                            Moves every day of {adjustHoliday?.name} relative to the computed date.
+                        </Typography>
+                        <FormControl fullWidth>
+                            <InputLabel>Shift</InputLabel>
+                            <Select
+                                value={adjustmentDays}
+                                label="Shift"
+                                onChange={(e) => setAdjustmentDays(e.target.value)}
+                            >
+                                {ADJUSTMENT_OPTIONS.map(days => (
+                                    <MenuItem key={days} value={days}>
+                                        {formatAdjustment(days)}
+                                    </MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                    </Box>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setAdjustHoliday(null)}>Cancel</Button>
+                    <Button onClick={handleAdjustSubmit} variant="contained">
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
             <ConfirmDialog
                 open={openConfirm}
                 title="Delete Holiday"
@@ -32,6 +32,7 @@ import useDocumentTitle from '../../hooks/useDocumentTitle';
 import missionService from '../../services/mission.service';
 import Loading from '../../components/common/Loading';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
+import MissionExpenses from './MissionExpenses';
 
 const MissionDetails = () => {
     useDocumentTitle('Mission Details');
@@ -351,6 +352,10 @@ const MissionDetails = () => {
                             )}
                         </Grid>
                     </Paper>
+
+                    {mission.status === 'approved' && (canManage || isOwnRequest) && (
+                        <MissionExpenses mission={mission} canManage={canManage} isOwnRequest={isOwnRequest} />
+                    )}
                 </Grid>
 
                 {/* Right Column - Status & Employee Info */}
@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Button,
+    Typography,
+    Paper,
+    Grid,
+    Chip,
+    Divider,
+    IconButton,
+    TextField,
+    MenuItem,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Link,
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    Send as SendIcon,
+    CheckCircle,
+    Cancel,
+    Payments as PaymentsIcon,
+    AttachFile as AttachFileIcon,
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import missionService from '../../services/mission.service';
+
+const CATEGORIES = [
+    { value: 'transport', label: 'Transport' },
+    { value: 'hotel', label: 'Hotel' },
+    { value: 'meals', label: 'Meals' },
+    { value: 'other', label: 'Other' },
+];
+
+const STATUS_COLORS = {
+    draft: 'default',
+    submitted: 'warning',
+    approved: 'info',
+    rejected: 'error',
+    settled: 'success',
+};
+
+const currentPeriod = () => new Date().toISOString().slice(0, 7);
+
+const emptyExpense = { category: 'transport', amount: '', date: '', description: '', receipt: null };
+
+/**
+ * MissionExpenses Component
+ *
+ * Expense claim of an approved mission: the advance paid before travel,
+ * expenses with receipts, the per-diem and the settlement paid through
+ * payroll. Employees add and submit their expenses; HR records the advance,
+ * reviews the claim and settles it into a payroll period.
+ */
+const MissionExpenses = ({ mission, canManage, isOwnRequest }) => {
+    const { showNotification } = useNotification();
+    const [claim, setClaim] = useState(null);
+    const [summary, setSummary] = useState(null);
+    const [expense, setExpense] = useState(emptyExpense);
+    const [advance, setAdvance] = useState({ amount: '', reference: '' });
+    const [approvedAmounts, setApprovedAmounts] = useState({});
+    const [payrollPeriod, setPayrollPeriod] = useState(currentPeriod());
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        fetchExpenses();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, [mission._id]);
+
+    const fetchExpenses = async () => {
+        try {
+            const result = await missionService.getExpenses(mission._id);
+            setClaim(result.data?.claim || null);
+            setSummary(result.data?.summary || null);
+            setApprovedAmounts({});
+        } catch (error) {
+            showNotification('Failed to load mission expenses', 'error');
+        }
+    };
+
+    const run = async (action, successMessage) => {
+        try {
+            setSaving(true);
+            await action();
+            showNotification(successMessage, 'success');
+            await fetchExpenses();
+        } catch (error) {
+            showNotification(error.response?.data?.message || error.response?.data?.error || 'Action failed', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleAddExpense = () => {
+        const formData = new FormData();
+        ['category', 'amount', 'date', 'description'].forEach((key) => {
+            if (expense[key]) formData.append(key, expense[key]);
+        });
+        if (expense.receipt) formData.append('receipt', expense.receipt);
+
+        run(async () => {
+            await missionService.addExpense(mission._id, formData);
+            setExpense(emptyExpense);
+        }, 'Expense added');
+    };
+
+    const handleReject = () => {
+        const reason = prompt('Please provide a reason for rejecting the expense claim:');
+        if (!reason || !reason.trim()) return;
+        run(() => missionService.rejectExpenses(mission._id, reason.trim()), 'Expense claim rejected');
+    };
+
+    const status = claim?.status || 'draft';
+    const currency = claim?.currency || '';
+    const isEditable = status === 'draft' || status === 'rejected';
+    const canEditExpenses = (isOwnRequest || canManage) && isEditable;
+    const hasEnded = new Date(mission.endDate) <= new Date();
+    const formatAmount = (amount) => `${Number(amount || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+    return (
+        <Paper sx={{ p: 3, mb: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
+                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                    Expenses &amp; Per-diem
+                </Typography>
+                <Chip label={status.toUpperCase()} color={STATUS_COLORS[status]} sx={{ fontWeight: 600 }} />
+            </Box>
+            <Divider sx={{ mb: 2 }} />
+
+            {claim?.rejectionReason && status === 'rejected' && (
+                <Typography variant="body2" color="error.main" sx={{ mb: 2 }}>
+                    Rejected: {claim.rejectionReason}
+                </Typography>
+            )}
+
+            {/* Advance */}
+            <Box sx={{ mb: 2 }}>
+                <Typography variant="subtitle2" color="text.secondary">
+                    Advance paid
+                </Typography>
+                <Typography variant="body1" sx={{ fontWeight: 500 }}>
+                    {claim?.advance?.amount ? formatAmount(claim.advance.amount) : 'No advance'}
+                    {claim?.advance?.reference ? ` (${claim.advance.reference})` : ''}
+                </Typography>
+                {canManage && !['approved', 'settled'].includes(status) && (
+                    <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+                        <TextField
+                            size="small"
+                            type="number"
+                            label="Advance amount"
+                            value={advance.amount}
+                            onChange={(e) => setAdvance({ ...advance, amount: e.target.value })}
+                        />
+                        <TextField
+                            size="small"
+                            label="Reference"
+                            value={advance.reference}
+                            onChange={(e) => setAdvance({ ...advance, reference: e.target.value })}
+                        />
+                        <Button
+                            variant="outlined"
+                            startIcon={<PaymentsIcon />}
+                            disabled={saving || advance.amount === ''}
+                            onClick={() => run(() => missionService.recordAdvance(mission._id, advance), 'Advance recorded')}
+                        >
+                            Record
+                        </Button>
+                    </Box>
+                )}
+            </Box>
+
+            {/* Expenses */}
+            <Table size="small" sx={{ mb: 2 }}>
+                <TableHead>
+                    <TableRow>
+                        <TableCell>Category</TableCell>
+                        <TableCell>Description</TableCell>
+                        <TableCell>Date</TableCell>
+                        <TableCell align="right">Amount</TableCell>
+                        <TableCell align="right">Approved</TableCell>
+                        <TableCell>Receipt</TableCell>
+                        <TableCell />
+                    </TableRow>
+                </TableHead>
+                <TableBody>
+                    {(claim?.expenses || []).length === 0 && (
+                        <TableRow>
+                            <TableCell colSpan={7}>
+                                <Typography variant="body2" color="text.secondary">
+                                    No expenses recorded
+                                </Typography>
+                            </TableCell>
+                        </TableRow>
+                    )}
+                    {(claim?.expenses || []).map((item) => (
+                        <TableRow key={item._id}>
+                            <TableCell>{CATEGORIES.find((c) => c.value === item.category)?.label || item.category}</TableCell>
+                            <TableCell>{item.description}</TableCell>
+                            <TableCell>{item.date ? new Date(item.date).toLocaleDateString() : ''}</TableCell>
+                            <TableCell align="right">{formatAmount(item.amount)}</TableCell>
+                            <TableCell align="right">
+                                {canManage && status === 'submitted' ? (
+                                    <TextField
+                                        size="small"
+                                        type="number"
+                                        placeholder={String(item.amount)}
+                                        value={approvedAmounts[item._id] ?? ''}
+                                        onChange={(e) => setApprovedAmounts({ ...approvedAmounts, [item._id]: e.target.value })}
+                                        sx={{ width: 110 }}
+                                    />
+                                ) : (
+                                    item.approvedAmount !== null && item.approvedAmount !== undefined ? formatAmount(item.approvedAmount) : '-'
+                                )}
+                            </TableCell>
+                            <TableCell>
+                                {item.receipt?.url ? (
+                                    <Link href={`/${item.receipt.url}`} target="_blank" rel="noopener">
+                                        {item.receipt.filename}
+                                    </Link>
+                                ) : '-'}
+                            </TableCell>
+                            <TableCell>
+                                {canEditExpenses && (
+                                    <IconButton
+                                        size="small"
+                                        color="error"
+                                        onClick={() => run(() => missionService.removeExpense(mission._id, item._id), 'Expense removed')}
+                                    >
+                                        <DeleteIcon fontSize="small" />
+                                    </IconButton>
+                                )}
+                            </TableCell>
+                        </TableRow>
+                    ))}
+                </TableBody>
+            </Table>
+
+            {canEditExpenses && (
+                <Grid container spacing={1} sx={{ mb: 2 }} alignItems="center">
+                    <Grid size={{ xs: 12, sm: 2 }}>
+                        <TextField
+                            select
+                            fullWidth
+                            size="small"
+                            label="Category"
+                            value={expense.category}
+                            onChange={(e) => setExpense({ ...expense, category: e.target.value })}
+                        >
+                            {CATEGORIES.map((category) => (
+                                <MenuItem key={category.value} value={category.value}>
+                                    {category.label}
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 2 }}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            type="number"
+                            label="Amount"
+                            value={expense.amount}
+                            onChange={(e) => setExpense({ ...expense, amount: e.target.value })}
+                        />
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 2 }}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            type="date"
+                            label="Date"
+                            InputLabelProps={{ shrink: true }}
+                            value={expense.date}
+                            onChange={(e) => setExpense({ ...expense, date: e.target.value })}
+                        />
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 3 }}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            label="Description"
+                            value={expense.description}
+                            onChange={(e) => setExpense({ ...expense, description: e.target.value })}
+                        />
+                    </Grid>
+                    <Grid size={{ xs: 12, sm: 3 }} sx={{ display: 'flex', gap: 1 }}>
+                        <Button component="label" size="small" startIcon={<AttachFileIcon />}>
+                            {expense.receipt ? expense.receipt.name : 'Receipt'}
+                            <input
+                                type="file"
+                                hidden
+                                accept=".pdf,.jpg,.jpeg,.png"
+                                onChange={(e) => setExpense({ ...expense, receipt: e.target.files[0] || null })}
+                            />
+                        </Button>
+                        <Button
+                            variant="outlined"
+                            size="small"
+                            startIcon={<AddIcon />}
+                            disabled={saving || !expense.amount}
+                            onClick={handleAddExpense}
+                        >
+                            Add
+                        </Button>
+                    </Grid>
+                </Grid>
+            )}
+
+            {/* Totals */}
+            {summary && (
+                <Box sx={{ display: 'flex', flexDirection: 'column', gap: 0.5, mb: 2 }}>
+                    <Typography variant="body2">Claimed: {formatAmount(summary.claimedTotal)}</Typography>
+                    <Typography variant="body2">Approved: {formatAmount(summary.approvedTotal)}</Typography>
+                    <Typography variant="body2">
+                        Per-diem: {formatAmount(summary.perDiemAmount)}
+                        {claim?.perDiem?.days ? ` (${claim.perDiem.days} day(s) x ${formatAmount(claim.perDiem.dailyRate)})` : ''}
+                    </Typography>
+                    <Typography variant="body2">Advance: -{formatAmount(summary.advanceAmount)}</Typography>
+                    <Typography variant="body1" sx={{ fontWeight: 600 }}>
+                        {summary.balance >= 0 ? 'Owed to employee' : 'To be recovered'}: {formatAmount(Math.abs(summary.balance))}
+                    </Typography>
+                    {claim?.settlement?.payrollPeriod && (
+                        <Typography variant="body2" color="text.secondary">
+                            Paid in payroll {claim.settlement.payrollPeriod}
+                        </Typography>
+                    )}
+                </Box>
+            )}
+
+            {/* Actions */}
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                {canEditExpenses && (
+                    <Button
+                        variant="contained"
+                        startIcon={<SendIcon />}
+                        disabled={saving || !hasEnded}
+                        onClick={() => run(() => missionService.submitExpenses(mission._id), 'Expense claim submitted')}
+                    >
+                        Submit Claim
+                    </Button>
+                )}
+                {canManage && status === 'submitted' && (
+                    <>
+                        <Button
+                            variant="contained"
+                            color="success"
+                            startIcon={<CheckCircle />}
+                            disabled={saving}
+                            onClick={() => run(() => missionService.approveExpenses(mission._id, {
+                                approvedAmounts: Object.fromEntries(
+                                    Object.entries(approvedAmounts).filter(([, value]) => value !== '')
+                                ),
+                            }), 'Expense claim approved')}
+                        >
+                            Approve
+                        </Button>
+                        <Button
+                            variant="contained"
+                            color="error"
+                            startIcon={<Cancel />}
+                            disabled={saving}
+                            onClick={handleReject}
+                        >
+                            Reject
+                        </Button>
+                    </>
+                )}
+                {canManage && status === 'approved' && (
+                    <>
+                        <TextField
+                            size="small"
+                            type="month"
+                            label="Payroll period"
+                            InputLabelProps={{ shrink: true }}
+                            value={payrollPeriod}
+                            onChange={(e) => setPayrollPeriod(e.target.value)}
+                        />
+                        <Button
+                            variant="contained"
+                            startIcon={<PaymentsIcon />}
+                            disabled={saving || !payrollPeriod}
+                            onClick={() => run(() => missionService.settleExpenses(mission._id, payrollPeriod), 'Expense claim settled')}
+                        >
+                            Settle to Payroll
+                        </Button>
+                    </>
+                )}
+            </Box>
+            {canEditExpenses && !hasEnded && (
+                <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+                    The claim can be submitted once the mission has ended.
+                </Typography>
+            )}
+        </Paper>
+    );
+};
+
+export default MissionExpenses;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Box,
+    Button,
+    Checkbox,
+    Paper,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Typography
+} from '@mui/material';
+import { NotificationsActive as NotificationsActiveIcon } from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import notificationService from '../../services/notification.service';
+
+const CHANNELS = [
+    { key: 'inApp', label: 'In app' },
+    { key: 'email', label: 'Email' },
+    { key: 'digest', label: 'Daily digest' }
+];
+
+const TYPE_LABELS = {
+    request: 'Requests',
+    leave: 'Leave',
+    permission: 'Permissions',
+    approval: 'Approvals',
+    payroll: 'Payroll',
+    attendance: 'Attendance',
+    task: 'Tasks',
+    announcement: 'Announcements',
+    'request-control': 'Request control',
+    system: 'System',
+    custom: 'Other',
+    info: 'Information',
+    success: 'Confirmations',
+    warning: 'Warnings',
+    error: 'Errors'
+};
+
+const typeLabel = (type) => TYPE_LABELS[type] || type;
+
+function NotificationPreferencesPage() {
+    const { showNotification } = useNotification();
+    const [types, setTypes] = useState({});
+    const [changed, setChanged] = useState({});
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+
+    const fetchPreferences = useCallback(async () => {
+        try {
+            setLoading(true);
+            const response = await notificationService.getPreferences();
+            setTypes(response.data?.types || {});
+            setChanged({});
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load notification preferences', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchPreferences();
+    }, [fetchPreferences]);
+
+    const handleToggle = (type, channel) => {
+        const channels = { ...types[type], [channel]: !types[type][channel] };
+
+        // An emailed notification is not repeated in the digest, and the reverse
+        if (channel === 'email' && channels.email) channels.digest = false;
+        if (channel === 'digest' && channels.digest) channels.email = false;
+
+        setTypes({ ...types, [type]: channels });
+        setChanged({ ...changed, [type]: channels });
+    };
+
+    const handleSave = async () => {
+        try {
+            setSaving(true);
+            const response = await notificationService.updatePreferences(changed);
+            setTypes(response.data?.types || types);
+            setChanged({});
+            showNotification('Notification preferences saved', 'success');
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save notification preferences', 'error');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+                <NotificationsActiveIcon color="primary" />
+                <Typography variant="h5">Notification Preferences</Typography>
+            </Box>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                Choose how you hear about each kind of notification. The daily digest collects
+                notifications in one email each morning. Urgent notifications always appear in the app.
+            </Typography>
+
+            <TableContainer component={Paper}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Notification</TableCell>
+                            {CHANNELS.map(channel => (
+                                <TableCell key={channel.key} align="center">{channel.label}</TableCell>
+                            ))}
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {loading ? (
+                            <TableRow>
+                                <TableCell colSpan={CHANNELS.length + 1} align="center">Loading...</TableCell>
+                            </TableRow>
+                        ) : Object.entries(types).map(([type, channels]) => (
+                            <TableRow key={type}>
+                                <TableCell>{typeLabel(type)}</TableCell>
+                                {CHANNELS.map(channel => (
+                                    <TableCell key={channel.key} align="center">
+                                        <Checkbox
+                                            checked={Boolean(channels[channel.key])}
+                                            onChange={() => handleToggle(type, channel.key)}
+                                            inputProps={{ 'aria-label': `${typeLabel(type)} ${channel.label}` }}
+                                        />
+                                    </TableCell>
+                                ))}
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            <Box sx={{ display: 'flex', justifyContent: 'flex-end', mt: 2 }}>
+                <Button
+                    variant="contained"
+                    onClick={handleSave}
+                    disabled={saving || Object.keys(changed).length === 0}
+                >
+                    Save
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+export default NotificationPreferencesPage;
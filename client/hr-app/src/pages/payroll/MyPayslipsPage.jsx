@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from 'react';
+import { Box, Button, Typography } from '@mui/material';
+import { Download as DownloadIcon } from '@mui/icons-material';
+import DataTable from '../../components/common/DataTable';
+import Loading from '../../components/common/Loading';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import payrollService from '../../services/payroll.service';
+
+const formatMoney = (value, currency = 'EGP') => `${(value || 0).toFixed(2)} ${currency}`;
+
+const MyPayslipsPage = () => {
+    const [payslips, setPayslips] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [downloading, setDownloading] = useState(null);
+    const { showNotification } = useNotification();
+
+    useEffect(() => {
+        fetchPayslips();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const fetchPayslips = async () => {
+        try {
+            setLoading(true);
+            const data = await payrollService.getMyPayslips();
+            setPayslips(Array.isArray(data) ? data : []);
+        } catch (error) {
+            showNotification('Failed to fetch payslips', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDownload = async (payslip) => {
+        try {
+            setDownloading(payslip._id);
+            const blob = await payrollService.downloadPayslip(payslip._id);
+            const url = URL.createObjectURL(new Blob([blob], { type: 'application/pdf' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `payslip-${payslip.period}.pdf`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showNotification('Failed to download payslip', 'error');
+        } finally {
+            setDownloading(null);
+        }
+    };
+
+    const columns = [
+        { id: 'period', label: 'Period' },
+        {
+            id: 'grossSalary',
+            label: 'Gross Salary',
+            render: (row) => formatMoney(row.grossSalary, row.currency)
+        },
+        {
+            id: 'totalDeductions',
+            label: 'Deductions',
+            render: (row) => formatMoney(row.totalDeductions, row.currency)
+        },
+        {
+            id: 'netSalary',
+            label: 'Net Salary',
+            render: (row) => formatMoney(row.netSalary, row.currency)
+        },
+        {
+            id: 'actions',
+            label: 'Payslip',
+            sortable: false,
+            render: (row) => (
+                <Button
+                    size="small"
+                    startIcon={<DownloadIcon />}
+                    onClick={() => handleDownload(row)}
+                    disabled={downloading === row._id}
+                >
+                    Download PDF
+                </Button>
+            )
+        }
+    ];
+
+    if (loading) return <Loading />;
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Typography variant="h4" sx={{ mb: 3 }}>My Payslips</Typography>
+            <DataTable data={payslips} columns={columns} emptyMessage="No payslips available yet" />
+        </Box>
+    );
+};
+
+export default MyPayslipsPage;
@@ -1,4 +1,5 @@
 import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
 import {
     Box,
     Button,
@@ -18,7 +19,7 @@ import {
     ListItem,
     ListItemText
 } from '@mui/material';
-import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Visibility as ViewIcon } from '@mui/icons-material';
+import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, Visibility as ViewIcon, Calculate as CalculateIcon } from '@mui/icons-material';
 import DataTable from '../../components/common/DataTable';
 import Loading from '../../components/common/Loading';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
@@ -41,6 +42,7 @@ const PayrollPage = () => {
         totalDeductions: 0
     });
     const { showNotification } = useNotification();
+    const navigate = useNavigate();
 
     const months = [
         'January', 'February', 'March', 'April', 'May', 'June',
@@ -101,6 +103,26 @@ const PayrollPage = () => {
         return salaries[role] || 4000;
     };
 
+    // Calculated records carry their own net salary; older manual records fall back to the role estimate
+    const getNetSalary = (payroll) => {
+        if (payroll?.grossSalary) {
+            return payroll.netSalary || 0;
+        }
+        return getBaseSalaryByRole(payroll?.employee?.role) - (payroll?.totalDeductions || 0);
+    };
+
+    const handleRunPayroll = async () => {
+        try {
+            const currentDate = new Date();
+            const period = `${currentDate.getFullYear()}-${String(currentDate.getMonth() + 1).padStart(2, '0')}`;
+            const result = await payrollService.calculate({ period });
+            showNotification(`Payroll calculated for ${result.processed} employee(s)`, result.failed ? 'warning' : 'success');
+            fetchPayrolls();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Payroll calculation failed', 'error');
+        }
+    };
+
     const calculateTotalDeductions = (deductions) => {
         return deductions.reduce((sum, deduction) => sum + (parseFloat(deduction.amount) || 0), 0);
     };
@@ -238,6 +260,11 @@ const PayrollPage = () => {
                 return `${monthName} ${year}`;
             }
         },
+        {
+            id: 'grossSalary',
+            label: 'Gross Salary',
+            render: (row) => row.grossSalary ? `$${row.grossSalary.toFixed(2)}` : '-'
+        },
         {
             id: 'deductionsCount',
             label: 'Deductions',
@@ -252,9 +279,7 @@ const PayrollPage = () => {
             id: 'netSalary',
             label: 'Net Salary',
             render: (row) => {
-                const role = row.employee?.role;
-                const baseSalary = getBaseSalaryByRole(role);
-                const netSalary = baseSalary - (row.totalDeductions || 0);
+                const netSalary = getNetSalary(row);
                 return (
                     <Typography fontWeight="bold" color="primary">
                         ${netSalary.toFixed(2)}
@@ -303,13 +328,25 @@ const PayrollPage = () => {
         <Box sx={{ p: 3 }}>
             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
                 <Typography variant="h4">Payroll Management</Typography>
-                <Button
-                    variant="contained"
-                    startIcon={<AddIcon />}
-                    onClick={() => handleOpenDialog()}
-                >
-                    New Payroll Record
-                </Button>
+                <Box sx={{ display: 'flex', gap: 1 }}>
+                    <Button variant="outlined" onClick={() => navigate('runs')}>
+                        Payroll Runs
+                    </Button>
+                    <Button
+                        variant="outlined"
+                        startIcon={<CalculateIcon />}
+                        onClick={handleRunPayroll}
+                    >
+                        Run Payroll
+                    </Button>
+                    <Button
+                        variant="contained"
+                        startIcon={<AddIcon />}
+                        onClick={() => handleOpenDialog()}
+                    >
+                        New Payroll Record
+                    </Button>
+                </Box>
             </Box>
 
             <DataTable
@@ -458,6 +495,27 @@ const PayrollPage = () => {
                                 })()}
                             </Typography>
                             
+                            {selectedPayroll.earnings?.length > 0 && (
+                                <>
+                                    <Typography variant="h6" sx={{ mt: 2, mb: 1 }}>
+                                        Earnings:
+                                    </Typography>
+                                    <List>
+                                        {selectedPayroll.earnings.map((earning, index) => (
+                                            <ListItem key={index}>
+                                                <ListItemText
+                                                    primary={`${earning.name || earning.type} - $${earning.amount}`}
+                                                    secondary={earning.arabicName}
+                                                />
+                                            </ListItem>
+                                        ))}
+                                    </List>
+                                    <Typography variant="h6">
+                                        Gross Salary: ${selectedPayroll.grossSalary?.toFixed(2)}
+                                    </Typography>
+                                </>
+                            )}
+
                             <Typography variant="h6" sx={{ mt: 2, mb: 1 }}>
                                 Deductions:
                             </Typography>
@@ -477,8 +535,14 @@ const PayrollPage = () => {
                             </Typography>
                             
                             <Typography variant="h6" sx={{ mt: 1 }}>
-                                Net Salary: ${(getBaseSalaryByRole(selectedPayroll.employee?.role) - selectedPayroll.totalDeductions).toFixed(2)}
+                                Net Salary: ${getNetSalary(selectedPayroll).toFixed(2)}
                             </Typography>
+
+                            {selectedPayroll.employerCost > 0 && (
+                                <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+                                    Employer Cost: ${selectedPayroll.employerCost.toFixed(2)}
+                                </Typography>
+                            )}
                         </Box>
                     )}
                 </DialogContent>
@@ -0,0 +1,440 @@
+import React, { useState, useEffect } from 'react';
+import {
+    Box,
+    Button,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    TextField,
+    Typography,
+    Chip,
+    Table,
+    TableBody,
+    TableCell,
+    TableHead,
+    TableRow,
+    Alert,
+    MenuItem,
+    Stack
+} from '@mui/material';
+import { Add as AddIcon, CompareArrows as DiffIcon, Email as EmailIcon, AccountBalance as BankIcon } from '@mui/icons-material';
+import DataTable from '../../components/common/DataTable';
+import Loading from '../../components/common/Loading';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import { useAuth } from '../../store/providers/ReduxAuthProvider';
+import payrollService from '../../services/payroll.service';
+
+const statusColors = {
+    draft: 'default',
+    'in-review': 'info',
+    approved: 'primary',
+    locked: 'success',
+    reversed: 'error'
+};
+
+const changeColors = {
+    added: 'info',
+    removed: 'error',
+    changed: 'warning',
+    unchanged: 'default'
+};
+
+const formatMoney = (value) => `$${(value || 0).toFixed(2)}`;
+
+const bankFormats = [
+    { value: 'csv', label: 'Generic CSV' },
+    { value: 'fixed-width', label: 'Fixed-width bank file' },
+    { value: 'pain001', label: 'ISO 20022 pain.001 XML' }
+];
+
+const emptyDebtor = { companyName: '', companyId: '', bankName: '', bankCode: '', accountNumber: '', iban: '', bic: '' };
+
+const PayrollRunsPage = () => {
+    const [runs, setRuns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [openGenerate, setOpenGenerate] = useState(false);
+    const [period, setPeriod] = useState(() => {
+        const now = new Date();
+        return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+    });
+    const [diff, setDiff] = useState(null);
+    const [selectedRun, setSelectedRun] = useState(null);
+    const [reverseReason, setReverseReason] = useState('');
+    const [openReverse, setOpenReverse] = useState(false);
+    const [bankExport, setBankExport] = useState(null);
+    const [bankFormat, setBankFormat] = useState('csv');
+    const [executionDate, setExecutionDate] = useState(() => new Date().toISOString().split('T')[0]);
+    const [debtor, setDebtor] = useState(emptyDebtor);
+    const { showNotification } = useNotification();
+    const { isAdmin } = useAuth();
+
+    useEffect(() => {
+        fetchRuns();
+        // eslint-disable-next-line react-hooks/exhaustive-deps
+    }, []);
+
+    const fetchRuns = async () => {
+        try {
+            setLoading(true);
+            const data = await payrollService.getRuns();
+            setRuns(Array.isArray(data) ? data : []);
+        } catch (error) {
+            showNotification('Failed to fetch payroll runs', 'error');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const runAction = async (action, successMessage) => {
+        try {
+            await action();
+            showNotification(successMessage, 'success');
+            fetchRuns();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Operation failed', 'error');
+        }
+    };
+
+    const handleGenerate = async () => {
+        await runAction(() => payrollService.generateRun({ period }), `Draft payroll run generated for ${period}`);
+        setOpenGenerate(false);
+    };
+
+    const handleViewDiff = async (run) => {
+        try {
+            setSelectedRun(run);
+            const data = await payrollService.getRunDiff(run._id);
+            setDiff(data);
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load differences', 'error');
+        }
+    };
+
+    const handleReverse = async () => {
+        await runAction(
+            () => payrollService.reverseRun(selectedRun._id, reverseReason),
+            'Payroll run reversed and adjustment run created'
+        );
+        setOpenReverse(false);
+        setReverseReason('');
+        setSelectedRun(null);
+    };
+
+    const handleEmailPayslips = async (run) => {
+        try {
+            const result = await payrollService.emailPayslips(run.period);
+            const problems = result.failed.length + result.skipped.length;
+            showNotification(
+                `Payslips sent to ${result.sent} of ${result.total} employees${problems ? ` (${problems} not sent)` : ''}`,
+                problems ? 'warning' : 'success'
+            );
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to send payslips', 'error');
+        }
+    };
+
+    const handleOpenBankExport = async (run) => {
+        try {
+            const data = await payrollService.getBankTransferPreview(run.period);
+            setDebtor({ ...emptyDebtor, ...data.debtor });
+            setBankExport(data);
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load bank transfer details', 'error');
+        }
+    };
+
+    const handleBankExport = async () => {
+        try {
+            await payrollService.updateSettings({ bankTransfer: debtor });
+            const blob = await payrollService.exportBankTransfer(bankExport.period, { format: bankFormat, executionDate });
+            const extension = { csv: 'csv', 'fixed-width': 'txt', pain001: 'xml' }[bankFormat];
+            const url = URL.createObjectURL(new Blob([blob]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `salary-transfer-${bankExport.period}-${bankFormat}.${extension}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+            setBankExport(null);
+        } catch (error) {
+            showNotification('Failed to export bank transfer file', 'error');
+        }
+    };
+
+    const columns = [
+        { id: 'period', label: 'Period' },
+        {
+            id: 'type',
+            label: 'Type',
+            render: (row) => row.type === 'adjustment' ? 'Adjustment' : 'Regular'
+        },
+        {
+            id: 'status',
+            label: 'Status',
+            render: (row) => <Chip size="small" label={row.status} color={statusColors[row.status] || 'default'} />
+        },
+        {
+            id: 'employees',
+            label: 'Employees',
+            render: (row) => row.totals?.employees || 0
+        },
+        {
+            id: 'grossSalary',
+            label: 'Gross',
+            render: (row) => formatMoney(row.totals?.grossSalary)
+        },
+        {
+            id: 'netSalary',
+            label: 'Net',
+            render: (row) => formatMoney(row.totals?.netSalary)
+        },
+        {
+            id: 'actions',
+            label: 'Actions',
+            sortable: false,
+            render: (row) => (
+                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                    <Button size="small" startIcon={<DiffIcon />} onClick={() => handleViewDiff(row)}>
+                        Review
+                    </Button>
+                    {row.status === 'draft' && (
+                        <>
+                            <Button size="small" onClick={() => runAction(() => payrollService.recalculateRun(row._id), 'Payroll run recalculated')}>
+                                Recalculate
+                            </Button>
+                            <Button size="small" onClick={() => runAction(() => payrollService.submitRun(row._id), 'Payroll run submitted for review')}>
+                                Submit
+                            </Button>
+                        </>
+                    )}
+                    {['in-review', 'approved'].includes(row.status) && (
+                        <Button size="small" onClick={() => runAction(() => payrollService.returnRun(row._id), 'Payroll run returned to draft')}>
+                            Return
+                        </Button>
+                    )}
+                    {isAdmin && row.status === 'in-review' && (
+                        <Button size="small" color="primary" onClick={() => runAction(() => payrollService.approveRun(row._id), 'Payroll run approved')}>
+                            Approve
+                        </Button>
+                    )}
+                    {isAdmin && row.status === 'approved' && (
+                        <Button size="small" color="success" onClick={() => runAction(() => payrollService.lockRun(row._id), 'Payroll run locked')}>
+                            Lock
+                        </Button>
+                    )}
+                    {row.status === 'locked' && (
+                        <>
+                            <Button size="small" startIcon={<EmailIcon />} onClick={() => handleEmailPayslips(row)}>
+                                Email Payslips
+                            </Button>
+                            <Button size="small" startIcon={<BankIcon />} onClick={() => handleOpenBankExport(row)}>
+                                Bank Export
+                            </Button>
+                        </>
+                    )}
+                    {isAdmin && row.status === 'locked' && (
+                        <Button
+                            size="small"
+                            color="error"
+                            onClick={() => {
+                                setSelectedRun(row);
+                                setOpenReverse(true);
+                            }}
+                        >
+                            Reverse
+                        </Button>
+                    )}
+                </Box>
+            )
+        }
+    ];
+
+    if (loading) return <Loading />;
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+                <Typography variant="h4">Payroll Runs</Typography>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={() => setOpenGenerate(true)}>
+                    Generate Run
+                </Button>
+            </Box>
+
+            <DataTable data={runs} columns={columns} />
+
+            {/* Generate Dialog */}
+            <Dialog open={openGenerate} onClose={() => setOpenGenerate(false)} maxWidth="xs" fullWidth>
+                <DialogTitle>Generate Payroll Run</DialogTitle>
+                <DialogContent>
+                    <TextField
+                        type="month"
+                        label="Period"
+                        value={period}
+                        onChange={(e) => setPeriod(e.target.value)}
+                        fullWidth
+                        sx={{ mt: 2 }}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setOpenGenerate(false)}>Cancel</Button>
+                    <Button onClick={handleGenerate} variant="contained">Generate</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Diff Dialog */}
+            <Dialog open={!!diff} onClose={() => setDiff(null)} maxWidth="lg" fullWidth>
+                <DialogTitle>
+                    Review {selectedRun?.period} {diff?.baseline ? `against ${diff.baseline.period}` : ''}
+                </DialogTitle>
+                <DialogContent>
+                    {diff && (
+                        <Box sx={{ mt: 1 }}>
+                            {!diff.baseline && (
+                                <Alert severity="info" sx={{ mb: 2 }}>
+                                    No locked run found for the previous period; all employees are shown as new.
+                                </Alert>
+                            )}
+                            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                                <Chip label={`Added: ${diff.summary.added}`} color="info" />
+                                <Chip label={`Removed: ${diff.summary.removed}`} color="error" />
+                                <Chip label={`Changed: ${diff.summary.changed}`} color="warning" />
+                                <Chip label={`Unchanged: ${diff.summary.unchanged}`} />
+                                <Chip label={`Net difference: ${formatMoney(diff.summary.difference.netSalary)}`} variant="outlined" />
+                            </Box>
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Employee</TableCell>
+                                        <TableCell>Change</TableCell>
+                                        <TableCell align="right">Previous Net</TableCell>
+                                        <TableCell align="right">Current Net</TableCell>
+                                        <TableCell align="right">Difference</TableCell>
+                                        <TableCell align="right">%</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {diff.rows.map((row) => (
+                                        <TableRow key={row.employee} selected={row.flagged}>
+                                            <TableCell>{row.employeeName || row.employee}</TableCell>
+                                            <TableCell>
+                                                <Chip size="small" label={row.change} color={changeColors[row.change]} />
+                                            </TableCell>
+                                            <TableCell align="right">{formatMoney(row.previous.netSalary)}</TableCell>
+                                            <TableCell align="right">{formatMoney(row.current.netSalary)}</TableCell>
+                                            <TableCell align="right">{formatMoney(row.difference.netSalary)}</TableCell>
+                                            <TableCell align="right">
+                                                {row.netChangePercent !== null ? `${row.netChangePercent}%` : '-'}
+                                            </TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </Box>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setDiff(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Bank Export Dialog */}
+            <Dialog open={!!bankExport} onClose={() => setBankExport(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Bank Transfer Export - {bankExport?.period}</DialogTitle>
+                <DialogContent>
+                    {bankExport && (
+                        <Box sx={{ mt: 1 }}>
+                            <Box sx={{ display: 'flex', gap: 1, mb: 2, flexWrap: 'wrap' }}>
+                                <Chip label={`Transfers: ${bankExport.rows.length}`} color="primary" />
+                                <Chip label={`Total: ${(bankExport.total || 0).toFixed(2)} ${bankExport.currency}`} variant="outlined" />
+                            </Box>
+                            {bankExport.missing.length > 0 && (
+                                <Alert severity="warning" sx={{ mb: 2 }}>
+                                    {bankExport.missing.length} employee(s) will be left out:{' '}
+                                    {bankExport.missing.map(item => `${item.name || item.employeeId} (${item.reason})`).join(', ')}
+                                </Alert>
+                            )}
+                            <Stack spacing={2}>
+                                <Box sx={{ display: 'flex', gap: 2 }}>
+                                    <TextField
+                                        select
+                                        label="Format"
+                                        value={bankFormat}
+                                        onChange={(e) => setBankFormat(e.target.value)}
+                                        fullWidth
+                                    >
+                                        {bankFormats.map(format => (
+                                            <MenuItem key={format.value} value={format.value}>{format.label}</MenuItem>
+                                        ))}
+                                    </TextField>
+                                    <TextField
+                                        type="date"
+                                        label="Payment Date"
+                                        value={executionDate}
+                                        onChange={(e) => setExecutionDate(e.target.value)}
+                                        fullWidth
+                                        InputLabelProps={{ shrink: true }}
+                                    />
+                                </Box>
+                                <Typography variant="subtitle2">Company Account</Typography>
+                                <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 2 }}>
+                                    {[
+                                        ['companyName', 'Company Name'],
+                                        ['companyId', 'Company ID at Bank'],
+                                        ['bankName', 'Bank Name'],
+                                        ['bankCode', 'Bank Code'],
+                                        ['accountNumber', 'Account Number'],
+                                        ['iban', 'IBAN'],
+                                        ['bic', 'BIC / SWIFT']
+                                    ].map(([field, label]) => (
+                                        <TextField
+                                            key={field}
+                                            label={label}
+                                            value={debtor[field] || ''}
+                                            onChange={(e) => setDebtor(prev => ({ ...prev, [field]: e.target.value }))}
+                                            size="small"
+                                        />
+                                    ))}
+                                </Box>
+                            </Stack>
+                        </Box>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setBankExport(null)}>Cancel</Button>
+                    <Button onClick={handleBankExport} variant="contained" disabled={!bankExport?.rows.length}>
+                        Download
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Reverse Dialog */}
+            <Dialog open={openReverse} onClose={() => setOpenReverse(false)} maxWidth="sm" fullWidth>
+                <DialogTitle>Reverse Payroll Run</DialogTitle>
+                <DialogContent>
+                    <Alert severity="warning" sx={{ mt: 1, mb: 2 }}>
+                        The locked records stay in place for audit. A new draft adjustment run will be created for {selectedRun?.period}.
+                    </Alert>
+                    <TextField
+                        label="Reason"
+                        value={reverseReason}
+                        onChange={(e) => setReverseReason(e.target.value)}
+                        fullWidth
+                        required
+                        multiline
+                        rows={3}
+                    />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setOpenReverse(false)}>Cancel</Button>
+                    <Button onClick={handleReverse} variant="contained" color="error" disabled={!reverseReason.trim()}>
+                        Reverse
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default PayrollRunsPage;
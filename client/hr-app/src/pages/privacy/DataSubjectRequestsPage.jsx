@@ -0,0 +1,448 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    IconButton,
+    MenuItem,
+    Paper,
+    Stack,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TextField,
+    Tooltip,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Block as RejectIcon,
+    Download as DownloadIcon,
+    PlayArrow as ProcessIcon,
+    Visibility as ViewIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import dataSubjectRequestService from '../../services/dataSubjectRequest.service';
+import userService from '../../services/user.service';
+import Loading from '../../components/common/Loading';
+
+const TYPE_LABELS = {
+    access: 'Access (data export)',
+    erasure: 'Erasure'
+};
+
+const STATUS_COLORS = {
+    pending: 'warning',
+    processing: 'info',
+    completed: 'success',
+    rejected: 'default',
+    failed: 'error'
+};
+
+const ACTION_LABELS = {
+    delete: 'Delete',
+    anonymize: 'Anonymize',
+    retain: 'Keep'
+};
+
+const EMPTY_REQUEST = { type: 'access', employee: '', channel: '', notes: '' };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const nameOf = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '-');
+
+const isOverdue = (request) => ['pending', 'processing'].includes(request.status) && new Date(request.dueDate) < new Date();
+
+const DataSubjectRequestsPage = () => {
+    const { showNotification } = useNotification();
+
+    const [loading, setLoading] = useState(true);
+    const [requests, setRequests] = useState([]);
+    const [employees, setEmployees] = useState([]);
+    const [filters, setFilters] = useState({ type: '', status: '' });
+
+    const [requestForm, setRequestForm] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [erasurePlan, setErasurePlan] = useState(null);
+    const [rejecting, setRejecting] = useState(null);
+    const [processing, setProcessing] = useState(false);
+
+    const fetchRequests = useCallback(async () => {
+        try {
+            const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+            setRequests(toList(await dataSubjectRequestService.getAll(params)));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load data requests', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [filters, showNotification]);
+
+    useEffect(() => {
+        fetchRequests();
+    }, [fetchRequests]);
+
+    const openCreate = async () => {
+        try {
+            if (employees.length === 0) {
+                setEmployees(toList(await userService.getAll()));
+            }
+            setRequestForm({ ...EMPTY_REQUEST });
+        } catch (error) {
+            showNotification('Failed to load employees', 'error');
+        }
+    };
+
+    const handleCreate = async () => {
+        try {
+            await dataSubjectRequestService.create(requestForm);
+            showNotification('Request recorded', 'success');
+            setRequestForm(null);
+            fetchRequests();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to record the request', 'error');
+        }
+    };
+
+    const openErasurePlan = async (request) => {
+        try {
+            const plan = await dataSubjectRequestService.getErasurePlan(request._id);
+            setErasurePlan({ request, ...plan });
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load the erasure plan', 'error');
+        }
+    };
+
+    const handleProcess = async (request) => {
+        if (request.type === 'access' &&
+            !window.confirm(`Export all data held about ${nameOf(request.employee)}?`)) {
+            return;
+        }
+        setProcessing(true);
+        try {
+            const result = await dataSubjectRequestService.process(request._id);
+            showNotification(request.type === 'erasure' ? 'Employee data erased' : 'Data export ready', 'success');
+            setErasurePlan(null);
+            setSelected(result);
+            fetchRequests();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to process the request', 'error');
+            fetchRequests();
+        } finally {
+            setProcessing(false);
+        }
+    };
+
+    const handleReject = async () => {
+        try {
+            await dataSubjectRequestService.reject(rejecting.request._id, rejecting.reason);
+            showNotification('Request rejected', 'success');
+            setRejecting(null);
+            fetchRequests();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to reject the request', 'error');
+        }
+    };
+
+    const handleDownload = async (request) => {
+        try {
+            const blob = await dataSubjectRequestService.downloadExport(request._id);
+            const url = URL.createObjectURL(new Blob([blob], { type: 'application/zip' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = request.export?.fileName || `data-export-${request._id}.zip`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showNotification('Failed to download the export', 'error');
+        }
+    };
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h4">Data Requests</Typography>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={openCreate}>
+                    New request
+                </Button>
+            </Stack>
+
+            <Alert severity="info" sx={{ mb: 2 }}>
+                Employees may ask for a copy of their personal data or for its erasure. Requests must be answered
+                within 30 days. Erasure keeps the records a retention policy still requires and anonymizes the rest.
+            </Alert>
+
+            <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                <TextField select size="small" label="Type" value={filters.type} sx={{ minWidth: 180 }}
+                    onChange={(e) => setFilters(f => ({ ...f, type: e.target.value }))}>
+                    <MenuItem value="">All</MenuItem>
+                    {Object.entries(TYPE_LABELS).map(([value, label]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+                </TextField>
+                <TextField select size="small" label="Status" value={filters.status} sx={{ minWidth: 180 }}
+                    onChange={(e) => setFilters(f => ({ ...f, status: e.target.value }))}>
+                    <MenuItem value="">All</MenuItem>
+                    {Object.keys(STATUS_COLORS).map(status => <MenuItem key={status} value={status}>{status}</MenuItem>)}
+                </TextField>
+            </Stack>
+
+            <TableContainer component={Paper}>
+                <Table size="small">
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Employee</TableCell>
+                            <TableCell>Type</TableCell>
+                            <TableCell>Received</TableCell>
+                            <TableCell>Due</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {requests.length === 0 && (
+                            <TableRow><TableCell colSpan={6} align="center">No data requests</TableCell></TableRow>
+                        )}
+                        {requests.map(request => (
+                            <TableRow key={request._id}>
+                                <TableCell>
+                                    {nameOf(request.employee)}
+                                    {request.channel && (
+                                        <Typography variant="caption" color="text.secondary" display="block">
+                                            Via {request.channel}
+                                        </Typography>
+                                    )}
+                                </TableCell>
+                                <TableCell>{TYPE_LABELS[request.type]}</TableCell>
+                                <TableCell>{formatDate(request.createdAt)}</TableCell>
+                                <TableCell>
+                                    {formatDate(request.dueDate)}
+                                    {isOverdue(request) && <Chip size="small" color="error" label="Overdue" sx={{ ml: 1 }} />}
+                                </TableCell>
+                                <TableCell>
+                                    <Chip size="small" color={STATUS_COLORS[request.status]} label={request.status} />
+                                    {request.restricted && <Chip size="small" variant="outlined" label="Restricted" sx={{ ml: 1 }} />}
+                                </TableCell>
+                                <TableCell align="right">
+                                    <Tooltip title="Details">
+                                        <IconButton size="small" onClick={() => setSelected(request)}><ViewIcon /></IconButton>
+                                    </Tooltip>
+                                    {['pending', 'failed'].includes(request.status) && (
+                                        <Tooltip title={request.type === 'erasure' ? 'Review and erase' : 'Export data'}>
+                                            <IconButton size="small" color="primary" disabled={processing}
+                                                onClick={() => (request.type === 'erasure' ? openErasurePlan(request) : handleProcess(request))}>
+                                                <ProcessIcon />
+                                            </IconButton>
+                                        </Tooltip>
+                                    )}
+                                    {request.status === 'pending' && (
+                                        <Tooltip title="Reject">
+                                            <IconButton size="small" color="error" onClick={() => setRejecting({ request, reason: '' })}>
+                                                <RejectIcon />
+                                            </IconButton>
+                                        </Tooltip>
+                                    )}
+                                    {request.type === 'access' && request.status === 'completed' && request.export?.fileName && (
+                                        <Tooltip title="Download export">
+                                            <IconButton size="small" onClick={() => handleDownload(request)}><DownloadIcon /></IconButton>
+                                        </Tooltip>
+                                    )}
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            {/* New request */}
+            <Dialog open={!!requestForm} onClose={() => setRequestForm(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>New data request</DialogTitle>
+                {requestForm && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField select label="Employee" value={requestForm.employee} required
+                                onChange={(e) => setRequestForm(f => ({ ...f, employee: e.target.value }))}>
+                                {employees.map(employee => <MenuItem key={employee._id} value={employee._id}>{nameOf(employee)}</MenuItem>)}
+                            </TextField>
+                            <TextField select label="Type" value={requestForm.type}
+                                helperText={requestForm.type === 'erasure' ? 'Only possible for employees who have left' : ''}
+                                onChange={(e) => setRequestForm(f => ({ ...f, type: e.target.value }))}>
+                                {Object.entries(TYPE_LABELS).map(([value, label]) => <MenuItem key={value} value={value}>{label}</MenuItem>)}
+                            </TextField>
+                            <TextField label="Received via" value={requestForm.channel} placeholder="Email, letter..."
+                                onChange={(e) => setRequestForm(f => ({ ...f, channel: e.target.value }))} />
+                            <TextField label="Notes" value={requestForm.notes} multiline rows={2}
+                                onChange={(e) => setRequestForm(f => ({ ...f, notes: e.target.value }))} />
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setRequestForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleCreate} disabled={!requestForm?.employee}>Record request</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Erasure plan */}
+            <Dialog open={!!erasurePlan} onClose={() => setErasurePlan(null)} maxWidth="md" fullWidth>
+                <DialogTitle>Erase data - {nameOf(erasurePlan?.request?.employee)}</DialogTitle>
+                {erasurePlan && (
+                    <DialogContent>
+                        <Alert severity={erasurePlan.restricted ? 'warning' : 'error'} sx={{ mb: 2 }}>
+                            {erasurePlan.restricted
+                                ? 'Some records must be kept for legal retention. The profile keeps the name and employee number until they expire; everything else is removed.'
+                                : 'All records below are deleted and the profile is anonymized. This cannot be undone.'}
+                        </Alert>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Data</TableCell>
+                                    <TableCell>Records</TableCell>
+                                    <TableCell>Action</TableCell>
+                                    <TableCell>Erased</TableCell>
+                                    <TableCell>Kept</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {erasurePlan.categories.map(category => (
+                                    <TableRow key={category.key}>
+                                        <TableCell>{category.label}</TableCell>
+                                        <TableCell>{category.total}</TableCell>
+                                        <TableCell>{ACTION_LABELS[category.action]}</TableCell>
+                                        <TableCell>{category.erasableCount}</TableCell>
+                                        <TableCell>
+                                            {category.heldCount}
+                                            {category.reason && (
+                                                <Typography variant="caption" color="text.secondary" display="block">
+                                                    {category.reason}{category.holdUntil && ` (until ${formatDate(category.holdUntil)})`}
+                                                </Typography>
+                                            )}
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setErasurePlan(null)}>Cancel</Button>
+                    <Button variant="contained" color="error" disabled={processing}
+                        onClick={() => handleProcess(erasurePlan.request)}>
+                        Erase data
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Reject */}
+            <Dialog open={!!rejecting} onClose={() => setRejecting(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Reject request</DialogTitle>
+                <DialogContent>
+                    <TextField fullWidth label="Reason" value={rejecting?.reason || ''} multiline rows={3} sx={{ mt: 1 }}
+                        helperText="The employee is told why the request cannot be fulfilled"
+                        onChange={(e) => setRejecting(r => ({ ...r, reason: e.target.value }))} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setRejecting(null)}>Cancel</Button>
+                    <Button variant="contained" color="error" onClick={handleReject} disabled={!rejecting?.reason?.trim()}>
+                        Reject
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Details */}
+            <Dialog open={!!selected} onClose={() => setSelected(null)} maxWidth="md" fullWidth>
+                <DialogTitle>{TYPE_LABELS[selected?.type]} - {nameOf(selected?.employee)}</DialogTitle>
+                {selected && (
+                    <DialogContent>
+                        <Stack spacing={0.5} sx={{ mb: 2 }}>
+                            <Typography variant="body2">Status: {selected.status}</Typography>
+                            <Typography variant="body2">Due: {formatDate(selected.dueDate)}</Typography>
+                            {selected.completedAt && <Typography variant="body2">Completed: {formatDate(selected.completedAt)}</Typography>}
+                            {selected.notes && <Typography variant="body2">Notes: {selected.notes}</Typography>}
+                            {selected.rejectionReason && <Typography variant="body2">Rejected: {selected.rejectionReason}</Typography>}
+                            {selected.export?.expiresAt && (
+                                <Typography variant="body2">
+                                    Export: {selected.export.recordCount} records, available until {formatDate(selected.export.expiresAt)}
+                                </Typography>
+                            )}
+                        </Stack>
+                        {selected.error && <Alert severity="error" sx={{ mb: 2 }}>{selected.error}</Alert>}
+                        {selected.categories?.length > 0 && (
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Data</TableCell>
+                                        <TableCell>Module</TableCell>
+                                        <TableCell>Records</TableCell>
+                                        {selected.type === 'erasure' && <TableCell>Erased</TableCell>}
+                                        {selected.type === 'erasure' && <TableCell>Kept</TableCell>}
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {selected.categories.map(category => (
+                                        <TableRow key={category.key}>
+                                            <TableCell>{category.label}</TableCell>
+                                            <TableCell>{category.module}</TableCell>
+                                            <TableCell>{category.count}</TableCell>
+                                            {selected.type === 'erasure' && (
+                                                <TableCell>
+                                                    {category.erasedCount ?? '-'}
+                                                    {category.files?.erased > 0 && (
+                                                        <Typography variant="caption" color="text.secondary" display="block">
+                                                            {category.files.erased} file(s)
+                                                        </Typography>
+                                                    )}
+                                                </TableCell>
+                                            )}
+                                            {selected.type === 'erasure' && (
+                                                <TableCell>
+                                                    {category.heldCount || 0}
+                                                    {category.holdUntil && (
+                                                        <Typography variant="caption" color="text.secondary" display="block">
+                                                            until {formatDate(category.holdUntil)}
+                                                        </Typography>
+                                                    )}
+                                                    {category.action === 'retain' && category.reason && (
+                                                        <Typography variant="caption" color="text.secondary" display="block">
+                                                            {category.reason}
+                                                        </Typography>
+                                                    )}
+                                                    {category.files?.retained > 0 && (
+                                                        <Typography variant="caption" color="text.secondary" display="block">
+                                                            {category.files.retained} file(s): {category.files.retainedReason}
+                                                        </Typography>
+                                                    )}
+                                                </TableCell>
+                                            )}
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        )}
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    {selected?.type === 'access' && selected?.status === 'completed' && selected?.export?.fileName && (
+                        <Button startIcon={<DownloadIcon />} onClick={() => handleDownload(selected)}>Download export</Button>
+                    )}
+                    <Button onClick={() => setSelected(null)}>Close</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default DataSubjectRequestsPage;
@@ -15,17 +15,21 @@ import {
     Dialog,
     DialogContent,
     IconButton,
+    MenuItem,
 } from '@mui/material';
-import { PhotoCamera, Save, Close } from '@mui/icons-material';
+import { PhotoCamera, Save, Close, Translate } from '@mui/icons-material';
 import { useAuth } from '../../store/providers/ReduxAuthProvider';
 import { useAppDispatch } from '../../store/hooks/useAppDispatch';
 import { loadUserProfile } from '../../store/slices/authSlice';
 import userService from '../../services/user.service';
 import { getUserProfilePicture } from '../../utils/profilePicture';
+import TwoFactorSettings from '../../components/auth/TwoFactorSettings';
+import { useLanguage } from '../../context/LanguageContext';
 
 export default function ProfilePage() {
     const { user, updateUser } = useAuth();
     const dispatch = useAppDispatch();
+    const { language, languages, supportedLanguages, setLanguage, t } = useLanguage();
     const [formData, setFormData] = useState({
         name: user?.personalInfo?.fullName || user?.name || '',
         email: user?.email || '',
@@ -38,6 +42,7 @@ export default function ProfilePage() {
     const [loading, setLoading] = useState(false);
     const [message, setMessage] = useState({ type: '', text: '' });
     const [openPreview, setOpenPreview] = useState(false);
+    const [languageMessage, setLanguageMessage] = useState({ type: '', text: '' });
 
     const handleInputChange = (e) => {
         const { name, value } = e.target;
@@ -54,13 +59,13 @@ export default function ProfilePage() {
         if (file) {
             // Validate file size (2MB limit)
             if (file.size > 2 * 1024 * 1024) {
-                setMessage({ type: 'error', text: 'File size must be less than 2MB' });
+                setMessage({ type: 'error', text: t('profile.fileTooLarge') });
                 return;
             }
 
             // Validate file type
             if (!file.type.startsWith('image/')) {
-                setMessage({ type: 'error', text: 'Please select an image file' });
+                setMessage({ type: 'error', text: t('profile.imageOnly') });
                 return;
             }
 
@@ -140,27 +145,37 @@ export default function ProfilePage() {
                 console.warn('Failed to reload user profile:', reloadError);
             }
 
-            setMessage({ type: 'success', text: 'Profile updated successfully!' });
+            setMessage({ type: 'success', text: t('profile.updated') });
         } catch (error) {
 
 
             setMessage({
                 type: 'error',
-                text: error.response?.data?.error || error.response?.data?.message || error.message || 'Failed to update profile. Please try again.'
+                text: error.response?.data?.error || error.response?.data?.message || error.message || t('profile.updateFailed')
             });
         } finally {
             setLoading(false);
         }
     };
 
+    const handleLanguageChange = async (e) => {
+        setLanguageMessage({ type: '', text: '' });
+        try {
+            await setLanguage(e.target.value);
+            setLanguageMessage({ type: 'success', text: t('language.updated') });
+        } catch (error) {
+            setLanguageMessage({ type: 'error', text: error.message || t('language.updateFailed') });
+        }
+    };
+
     return (
         <Box sx={{ p: { xs: 2, sm: 3, md: 4 }, maxWidth: 1400, mx: 'auto' }}>
             <Box sx={{ mb: 4 }}>
                 <Typography variant="h4" gutterBottom sx={{ fontWeight: 700, mb: 1 }}>
-                    My Profile
+                    {t('profile.title')}
                 </Typography>
                 <Typography variant="body2" color="text.secondary">
-                    Manage your personal information and profile picture
+                    {t('profile.subtitle')}
                 </Typography>
             </Box>
 
@@ -215,17 +230,17 @@ export default function ProfilePage() {
                                             }}
                                         >
                                             <Typography variant="body2" sx={{ color: 'white', fontWeight: 600 }}>
-                                                View Photo
+                                                {t('profile.viewPhoto')}
                                             </Typography>
                                         </Box>
                                     )}
                                 </Box>
                                 <Box sx={{ textAlign: 'center', width: '100%' }}>
                                     <Typography variant="h6" gutterBottom sx={{ fontWeight: 600 }}>
-                                        {formData.name || 'User Name'}
+                                        {formData.name || t('profile.userName')}
                                     </Typography>
                                     <Typography variant="body2" color="text.secondary" gutterBottom>
-                                        {formData.position || 'Position'}
+                                        {formData.position || t('profile.position')}
                                     </Typography>
                                 </Box>
                                 <input
@@ -243,7 +258,7 @@ export default function ProfilePage() {
                                         fullWidth
                                         sx={{ borderRadius: 2 }}
                                     >
-                                        Change Photo
+                                        {t('profile.changePhoto')}
                                     </Button>
                                 </label>
                                 <Typography
@@ -251,7 +266,7 @@ export default function ProfilePage() {
                                     color="text.secondary"
                                     sx={{ textAlign: 'center' }}
                                 >
-                                    JPG, PNG or GIF. Max size 2MB
+                                    {t('profile.photoHint')}
                                 </Typography>
                             </Stack>
                         </CardContent>
@@ -262,10 +277,10 @@ export default function ProfilePage() {
                     <Card>
                         <CardContent>
                             <Typography variant="h6" gutterBottom sx={{ fontWeight: 600, mb: 1 }}>
-                                Personal Information
+                                {t('profile.personalInfo')}
                             </Typography>
                             <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
-                                Update your personal details and contact information
+                                {t('profile.personalInfoHint')}
                             </Typography>
                             <Divider sx={{ mb: 4 }} />
                             <form onSubmit={handleSubmit}>
@@ -278,7 +293,7 @@ export default function ProfilePage() {
                                     <Grid size={{ xs: 12, sm: 6 }}>
                                         <TextField
                                             fullWidth
-                                            label="Full Name"
+                                            label={t('profile.fullName')}
                                             name="name"
                                             value={formData.name}
                                             onChange={handleInputChange}
@@ -293,7 +308,7 @@ export default function ProfilePage() {
                                     <Grid size={{ xs: 12, sm: 6 }}>
                                         <TextField
                                             fullWidth
-                                            label="Email Address"
+                                            label={t('profile.email')}
                                             name="email"
                                             type="email"
                                             value={formData.email}
@@ -309,7 +324,7 @@ export default function ProfilePage() {
                                     <Grid size={{ xs: 12, sm: 6 }}>
                                         <TextField
                                             fullWidth
-                                            label="Phone Number"
+                                            label={t('profile.phone')}
                                             name="phone"
                                             value={formData.phone}
                                             onChange={handleInputChange}
@@ -323,7 +338,7 @@ export default function ProfilePage() {
                                     <Grid size={{ xs: 12, sm: 6 }}>
                                         <TextField
                                             fullWidth
-                                            label="Department"
+                                            label={t('profile.department')}
                                             name="department"
                                             value={formData.department}
                                             InputProps={{
@@ -334,13 +349,13 @@ export default function ProfilePage() {
                                                     backgroundColor: 'action.hover',
                                                 },
                                             }}
-                                            helperText="Managed by HR"
+                                            helperText={t('profile.managedByHR')}
                                         />
                                     </Grid>
                                     <Grid size={{ xs: 12 }}>
                                         <TextField
                                             fullWidth
-                                            label="Position / Job Title"
+                                            label={t('profile.jobTitle')}
                                             name="position"
                                             value={formData.position}
                                             InputProps={{
@@ -351,7 +366,7 @@ export default function ProfilePage() {
                                                     backgroundColor: 'action.hover',
                                                 },
                                             }}
-                                            helperText="Managed by HR"
+                                            helperText={t('profile.managedByHR')}
                                         />
                                     </Grid>
                                     <Grid size={{ xs: 12 }}>
@@ -364,7 +379,7 @@ export default function ProfilePage() {
                                                 disabled={loading}
                                                 sx={{ px: 4 }}
                                             >
-                                                {loading ? 'Saving...' : 'Save Changes'}
+                                                {loading ? t('profile.saving') : t('profile.saveChanges')}
                                             </Button>
                                             <Button
                                                 variant="outlined"
@@ -379,7 +394,7 @@ export default function ProfilePage() {
                                                     })
                                                 }
                                             >
-                                                Cancel
+                                                {t('common.cancel')}
                                             </Button>
                                         </Stack>
                                     </Grid>
@@ -387,6 +402,47 @@ export default function ProfilePage() {
                             </form>
                         </CardContent>
                     </Card>
+                    <Card sx={{ mt: 3 }}>
+                        <CardContent>
+                            <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 1 }}>
+                                <Translate color="primary" />
+                                <Typography variant="h6" sx={{ fontWeight: 600 }}>
+                                    {t('language.label')}
+                                </Typography>
+                            </Stack>
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+                                {t('language.description')}
+                            </Typography>
+                            <Divider sx={{ mb: 3 }} />
+
+                            {languageMessage.text && (
+                                <Alert
+                                    severity={languageMessage.type}
+                                    sx={{ mb: 3 }}
+                                    onClose={() => setLanguageMessage({ type: '', text: '' })}
+                                >
+                                    {languageMessage.text}
+                                </Alert>
+                            )}
+
+                            <TextField
+                                select
+                                label={t('language.label')}
+                                value={language}
+                                onChange={handleLanguageChange}
+                                sx={{ minWidth: 240 }}
+                            >
+                                {supportedLanguages.map((code) => (
+                                    <MenuItem key={code} value={code} lang={code}>
+                                        {languages[code].label}
+                                    </MenuItem>
+                                ))}
+                            </TextField>
+                        </CardContent>
+                    </Card>
+                    <Box sx={{ mt: 3 }}>
+                        <TwoFactorSettings />
+                    </Box>
                 </Grid>
             </Grid>
 
@@ -0,0 +1,627 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Card,
+    CardContent,
+    Checkbox,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    Divider,
+    FormControlLabel,
+    Grid,
+    IconButton,
+    LinearProgress,
+    ListItemText,
+    MenuItem,
+    Paper,
+    Stack,
+    Switch,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TextField,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    Policy as PolicyIcon,
+    Refresh as RefreshIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import leavePolicyService from '../../services/leavePolicy.service';
+import departmentService from '../../services/department.service';
+import positionService from '../../services/position.service';
+import userService from '../../services/user.service';
+import Loading from '../../components/common/Loading';
+
+const CONTRACT_TYPES = ['full-time', 'part-time', 'contract', 'probation'];
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const idOf = (value) => value?._id || value;
+
+const EMPTY_LEAVE_TYPE = {
+    key: '',
+    name: '',
+    arabicName: '',
+    paid: true,
+    days: 0,
+    tiers: [],
+    grades: [],
+    accrual: 'upfront',
+    prorateFirstYear: false,
+    requiresProbation: false,
+    carryOver: { maxDays: 0, expiresAfterMonths: '' },
+    allowNegativeDays: 0,
+    isActive: true
+};
+
+const EMPTY_POLICY = {
+    name: '',
+    description: '',
+    isDefault: false,
+    priority: 0,
+    isActive: true,
+    appliesTo: { contractTypes: [], departments: [], positions: [], grades: [] },
+    probationMonths: 3,
+    flexibleHoursPerYear: 8,
+    roundingStep: 0.5,
+    leaveTypes: [{ ...EMPTY_LEAVE_TYPE, key: 'annual', name: 'Annual Leave', days: 21 }]
+};
+
+// Editable copy of a policy (populated references become IDs)
+const toForm = (policy) => ({
+    ...EMPTY_POLICY,
+    ...policy,
+    appliesTo: {
+        contractTypes: policy.appliesTo?.contractTypes || [],
+        departments: (policy.appliesTo?.departments || []).map(idOf),
+        positions: (policy.appliesTo?.positions || []).map(idOf),
+        grades: policy.appliesTo?.grades || []
+    },
+    leaveTypes: (policy.leaveTypes || []).map(type => ({
+        ...EMPTY_LEAVE_TYPE,
+        ...type,
+        carryOver: {
+            maxDays: type.carryOver?.maxDays || 0,
+            expiresAfterMonths: type.carryOver?.expiresAfterMonths || ''
+        }
+    }))
+});
+
+const toPayload = (form) => ({
+    ...form,
+    leaveTypes: form.leaveTypes.map(type => ({
+        ...type,
+        carryOver: {
+            maxDays: Number(type.carryOver.maxDays) || 0,
+            expiresAfterMonths: type.carryOver.expiresAfterMonths ? Number(type.carryOver.expiresAfterMonths) : null
+        }
+    }))
+});
+
+const describeAppliesTo = (policy, departments, positions) => {
+    const appliesTo = policy.appliesTo || {};
+    const nameOf = (list, value) => value?.name || value?.title || list.find(item => item._id === value)?.name
+        || list.find(item => item._id === value)?.title || value;
+    const parts = [
+        ...(appliesTo.contractTypes || []),
+        ...(appliesTo.departments || []).map(value => nameOf(departments, value)),
+        ...(appliesTo.positions || []).map(value => nameOf(positions, value)),
+        ...(appliesTo.grades || []).map(grade => `Grade ${grade}`)
+    ];
+    return parts.length ? parts.join(', ') : (policy.isDefault ? 'Everyone else (default)' : 'Not targeted');
+};
+
+function LeavePoliciesPage() {
+    const { showNotification } = useNotification();
+    const [loading, setLoading] = useState(true);
+    const [policies, setPolicies] = useState([]);
+    const [departments, setDepartments] = useState([]);
+    const [positions, setPositions] = useState([]);
+    const [employees, setEmployees] = useState([]);
+    const [form, setForm] = useState(null);
+
+    const [year, setYear] = useState(new Date().getFullYear());
+    const [recalculation, setRecalculation] = useState({ status: 'idle' });
+    const pollRef = useRef(null);
+
+    const [previewEmployee, setPreviewEmployee] = useState('');
+    const [preview, setPreview] = useState(null);
+
+    const fetchPolicies = useCallback(async () => {
+        try {
+            setLoading(true);
+            const [policyList, departmentList, positionList, userList, status] = await Promise.all([
+                leavePolicyService.getAll(),
+                departmentService.getAll(),
+                positionService.getAll(),
+                userService.getAll(),
+                leavePolicyService.getRecalculationStatus()
+            ]);
+            setPolicies(toList(policyList));
+            setDepartments(toList(departmentList));
+            setPositions(toList(positionList));
+            setEmployees(toList(userList));
+            setRecalculation(status || { status: 'idle' });
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load leave policies', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    useEffect(() => {
+        fetchPolicies();
+    }, [fetchPolicies]);
+
+    // Poll the background recalculation until it finishes
+    useEffect(() => {
+        if (recalculation.status !== 'running') return undefined;
+
+        pollRef.current = setInterval(async () => {
+            try {
+                const status = await leavePolicyService.getRecalculationStatus();
+                setRecalculation(status);
+            } catch {
+                clearInterval(pollRef.current);
+            }
+        }, 3000);
+
+        return () => clearInterval(pollRef.current);
+    }, [recalculation.status]);
+
+    const handleRecalculate = async () => {
+        try {
+            const status = await leavePolicyService.recalculate({ year });
+            setRecalculation(status);
+            showNotification('Balance recalculation started', 'info');
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to start recalculation', 'error');
+        }
+    };
+
+    const handleNewPolicy = async (fromDefaults) => {
+        if (!fromDefaults) {
+            setForm(toForm(EMPTY_POLICY));
+            return;
+        }
+        try {
+            const defaults = await leavePolicyService.getDefaults();
+            setForm(toForm({ ...defaults, name: '', isDefault: policies.length === 0 }));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load default rules', 'error');
+        }
+    };
+
+    const handleSave = async () => {
+        try {
+            const payload = toPayload(form);
+            if (form._id) {
+                await leavePolicyService.update(form._id, payload);
+            } else {
+                await leavePolicyService.create(payload);
+            }
+            setForm(null);
+            showNotification('Leave policy saved. Recalculate balances to apply the changes.', 'success');
+            fetchPolicies();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save leave policy', 'error');
+        }
+    };
+
+    const handleDelete = async (policy) => {
+        if (!window.confirm(`Delete the leave policy "${policy.name}"?`)) return;
+        try {
+            await leavePolicyService.delete(policy._id);
+            showNotification('Leave policy deleted', 'success');
+            fetchPolicies();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete leave policy', 'error');
+        }
+    };
+
+    const handlePreview = async (employeeId) => {
+        setPreviewEmployee(employeeId);
+        setPreview(null);
+        if (!employeeId) return;
+        try {
+            setPreview(await leavePolicyService.previewEmployee(employeeId, year));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load employee entitlements', 'error');
+        }
+    };
+
+    // Leave type editing helpers
+    const setField = (field, value) => setForm({ ...form, [field]: value });
+    const setAppliesTo = (field, value) => setForm({ ...form, appliesTo: { ...form.appliesTo, [field]: value } });
+    const updateType = (index, changes) => setForm({
+        ...form,
+        leaveTypes: form.leaveTypes.map((type, i) => (i === index ? { ...type, ...changes } : type))
+    });
+    const updateRow = (index, list, rowIndex, changes) => updateType(index, {
+        [list]: form.leaveTypes[index][list].map((row, i) => (i === rowIndex ? { ...row, ...changes } : row))
+    });
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    const result = recalculation.result;
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Box sx={{ mb: 3, display: 'flex', alignItems: 'center', gap: 2 }}>
+                <PolicyIcon sx={{ fontSize: 40, color: 'primary.main' }} />
+                <Box sx={{ flexGrow: 1 }}>
+                    <Typography variant="h4">Leave Policies</Typography>
+                    <Typography variant="body2" color="text.secondary">
+                        Entitlements, accrual, carry-over and leave types per contract, department, position or grade.
+                        Employees without a matching policy use the default policy (or the built-in rules).
+                    </Typography>
+                </Box>
+                <Button variant="outlined" onClick={() => handleNewPolicy(true)}>Start from built-in rules</Button>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={() => handleNewPolicy(false)}>Add Policy</Button>
+            </Box>
+
+            <Card sx={{ mb: 3 }}>
+                <CardContent>
+                    <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+                        <Box sx={{ flexGrow: 1 }}>
+                            <Typography variant="h6">Recalculate balances</Typography>
+                            <Typography variant="body2" color="text.secondary">
+                                Balances are recalculated every night. Run it now after changing a policy.
+                            </Typography>
+                        </Box>
+                        <TextField
+                            label="Year"
+                            type="number"
+                            size="small"
+                            value={year}
+                            onChange={(e) => setYear(Number(e.target.value))}
+                            sx={{ width: 120 }}
+                        />
+                        <Button
+                            variant="contained"
+                            startIcon={<RefreshIcon />}
+                            onClick={handleRecalculate}
+                            disabled={recalculation.status === 'running'}
+                        >
+                            Recalculate
+                        </Button>
+                    </Stack>
+                    {recalculation.status === 'running' && <LinearProgress sx={{ mt: 2 }} />}
+                    {recalculation.status === 'completed' && result && (
+                        <Alert severity={result.failed ? 'warning' : 'success'} sx={{ mt: 2 }}>
+                            {result.processed} of {result.total} balances recalculated for {result.year}
+                            {result.failed ? ` (${result.failed} failed)` : ''}
+                            {recalculation.finishedAt && ` - ${new Date(recalculation.finishedAt).toLocaleString()}`}
+                        </Alert>
+                    )}
+                    {recalculation.status === 'failed' && (
+                        <Alert severity="error" sx={{ mt: 2 }}>{recalculation.error}</Alert>
+                    )}
+                </CardContent>
+            </Card>
+
+            <TableContainer component={Paper} sx={{ mb: 3 }}>
+                <Table>
+                    <TableHead>
+                        <TableRow>
+                            <TableCell>Policy</TableCell>
+                            <TableCell>Applies To</TableCell>
+                            <TableCell>Priority</TableCell>
+                            <TableCell>Leave Types</TableCell>
+                            <TableCell>Status</TableCell>
+                            <TableCell align="right">Actions</TableCell>
+                        </TableRow>
+                    </TableHead>
+                    <TableBody>
+                        {policies.length === 0 ? (
+                            <TableRow>
+                                <TableCell colSpan={6} align="center">
+                                    No leave policies yet - the built-in rules apply to everyone.
+                                </TableCell>
+                            </TableRow>
+                        ) : policies.map(policy => (
+                            <TableRow key={policy._id}>
+                                <TableCell>
+                                    <Typography variant="body2" fontWeight={600}>{policy.name}</Typography>
+                                    <Typography variant="caption" color="text.secondary">{policy.description}</Typography>
+                                </TableCell>
+                                <TableCell>{describeAppliesTo(policy, departments, positions)}</TableCell>
+                                <TableCell>{policy.priority}</TableCell>
+                                <TableCell>
+                                    <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                                        {policy.leaveTypes.map(type => (
+                                            <Chip key={type.key} size="small" label={type.name} variant={type.isActive === false ? 'outlined' : 'filled'} />
+                                        ))}
+                                    </Stack>
+                                </TableCell>
+                                <TableCell>
+                                    {policy.isDefault && <Chip size="small" color="primary" label="Default" sx={{ mr: 0.5 }} />}
+                                    <Chip size="small" color={policy.isActive ? 'success' : 'default'} label={policy.isActive ? 'Active' : 'Inactive'} />
+                                </TableCell>
+                                <TableCell align="right">
+                                    <IconButton size="small" onClick={() => setForm(toForm(policy))}><EditIcon /></IconButton>
+                                    <IconButton size="small" color="error" onClick={() => handleDelete(policy)}><DeleteIcon /></IconButton>
+                                </TableCell>
+                            </TableRow>
+                        ))}
+                    </TableBody>
+                </Table>
+            </TableContainer>
+
+            <Card>
+                <CardContent>
+                    <Typography variant="h6" gutterBottom>Check an employee</Typography>
+                    <TextField
+                        select
+                        size="small"
+                        label="Employee"
+                        value={previewEmployee}
+                        onChange={(e) => handlePreview(e.target.value)}
+                        sx={{ minWidth: 320, mb: 2 }}
+                    >
+                        <MenuItem value="">Select an employee</MenuItem>
+                        {employees.map(employee => (
+                            <MenuItem key={employee._id} value={employee._id}>
+                                {employee.personalInfo?.fullName || employee.username} ({employee.employeeId})
+                            </MenuItem>
+                        ))}
+                    </TextField>
+                    {preview && (
+                        <>
+                            <Typography variant="body2" sx={{ mb: 1 }}>
+                                Policy: <strong>{preview.policyName}</strong> · Tenure: {preview.tenureYears} years
+                                {preview.grade && ` · Grade ${preview.grade}`}
+                                {preview.contractType && ` · ${preview.contractType}`}
+                            </Typography>
+                            <Table size="small">
+                                <TableHead>
+                                    <TableRow>
+                                        <TableCell>Leave Type</TableCell>
+                                        <TableCell>Allocated ({preview.year})</TableCell>
+                                        <TableCell>Accrual</TableCell>
+                                        <TableCell>Carry-over Cap</TableCell>
+                                        <TableCell>Negative Allowance</TableCell>
+                                    </TableRow>
+                                </TableHead>
+                                <TableBody>
+                                    {preview.entitlements.map(entitlement => (
+                                        <TableRow key={entitlement.key}>
+                                            <TableCell>{entitlement.name}</TableCell>
+                                            <TableCell>{entitlement.allocated} days</TableCell>
+                                            <TableCell>{entitlement.accrual === 'monthly' ? 'Monthly' : 'Upfront'}</TableCell>
+                                            <TableCell>{entitlement.carryOverMaxDays} days</TableCell>
+                                            <TableCell>{entitlement.allowNegativeDays} days</TableCell>
+                                        </TableRow>
+                                    ))}
+                                </TableBody>
+                            </Table>
+                        </>
+                    )}
+                </CardContent>
+            </Card>
+
+            <Dialog open={!!form} onClose={() => setForm(null)} maxWidth="md" fullWidth>
+                <DialogTitle>{form?._id ? 'Edit Leave Policy' : 'Add Leave Policy'}</DialogTitle>
+                {form && (
+                    <DialogContent>
+                        <Grid container spacing={2} sx={{ mt: 0.5 }}>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField label="Name" value={form.name} onChange={(e) => setField('name', e.target.value)} fullWidth required />
+                            </Grid>
+                            <Grid size={{ xs: 6, md: 3 }}>
+                                <TextField label="Priority" type="number" value={form.priority} onChange={(e) => setField('priority', Number(e.target.value))} fullWidth helperText="Higher wins" />
+                            </Grid>
+                            <Grid size={{ xs: 6, md: 3 }}>
+                                <TextField label="Probation (months)" type="number" value={form.probationMonths} onChange={(e) => setField('probationMonths', Number(e.target.value))} fullWidth />
+                            </Grid>
+                            <Grid size={12}>
+                                <TextField label="Description" value={form.description || ''} onChange={(e) => setField('description', e.target.value)} fullWidth />
+                            </Grid>
+                            <Grid size={{ xs: 6, md: 3 }}>
+                                <TextField label="Flexible hours / year" type="number" value={form.flexibleHoursPerYear} onChange={(e) => setField('flexibleHoursPerYear', Number(e.target.value))} fullWidth />
+                            </Grid>
+                            <Grid size={{ xs: 6, md: 3 }}>
+                                <TextField select label="Round accrued days to" value={form.roundingStep} onChange={(e) => setField('roundingStep', Number(e.target.value))} fullWidth>
+                                    <MenuItem value={0}>No rounding</MenuItem>
+                                    <MenuItem value={0.25}>Quarter day</MenuItem>
+                                    <MenuItem value={0.5}>Half day</MenuItem>
+                                    <MenuItem value={1}>Whole day</MenuItem>
+                                </TextField>
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <FormControlLabel control={<Switch checked={form.isDefault} onChange={(e) => setField('isDefault', e.target.checked)} />} label="Default policy" />
+                                <FormControlLabel control={<Switch checked={form.isActive} onChange={(e) => setField('isActive', e.target.checked)} />} label="Active" />
+                            </Grid>
+                        </Grid>
+
+                        <Divider sx={{ my: 2 }} />
+                        <Typography variant="subtitle1" gutterBottom>Applies to</Typography>
+                        <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+                            Leave a list empty to match everyone on that criterion.
+                        </Typography>
+                        <Grid container spacing={2}>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField
+                                    select
+                                    label="Contract types"
+                                    value={form.appliesTo.contractTypes}
+                                    onChange={(e) => setAppliesTo('contractTypes', e.target.value)}
+                                    SelectProps={{ multiple: true, renderValue: (selected) => selected.join(', ') }}
+                                    fullWidth
+                                >
+                                    {CONTRACT_TYPES.map(type => (
+                                        <MenuItem key={type} value={type}>
+                                            <Checkbox checked={form.appliesTo.contractTypes.includes(type)} />
+                                            <ListItemText primary={type} />
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField
+                                    label="Grades"
+                                    value={form.appliesTo.grades.join(', ')}
+                                    onChange={(e) => setAppliesTo('grades', e.target.value.split(',').map(grade => grade.trim()).filter(Boolean))}
+                                    helperText="Comma separated"
+                                    fullWidth
+                                />
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField
+                                    select
+                                    label="Departments"
+                                    value={form.appliesTo.departments}
+                                    onChange={(e) => setAppliesTo('departments', e.target.value)}
+                                    SelectProps={{
+                                        multiple: true,
+                                        renderValue: (selected) => selected.map(id => departments.find(item => item._id === id)?.name || id).join(', ')
+                                    }}
+                                    fullWidth
+                                >
+                                    {departments.map(department => (
+                                        <MenuItem key={department._id} value={department._id}>
+                                            <Checkbox checked={form.appliesTo.departments.includes(department._id)} />
+                                            <ListItemText primary={department.name} />
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                            <Grid size={{ xs: 12, md: 6 }}>
+                                <TextField
+                                    select
+                                    label="Positions"
+                                    value={form.appliesTo.positions}
+                                    onChange={(e) => setAppliesTo('positions', e.target.value)}
+                                    SelectProps={{
+                                        multiple: true,
+                                        renderValue: (selected) => selected.map(id => positions.find(item => item._id === id)?.title || id).join(', ')
+                                    }}
+                                    fullWidth
+                                >
+                                    {positions.map(position => (
+                                        <MenuItem key={position._id} value={position._id}>
+                                            <Checkbox checked={form.appliesTo.positions.includes(position._id)} />
+                                            <ListItemText primary={position.title} />
+                                        </MenuItem>
+                                    ))}
+                                </TextField>
+                            </Grid>
+                        </Grid>
+
+                        <Divider sx={{ my: 2 }} />
+                        <Box sx={{ display: 'flex', alignItems: 'center', mb: 1 }}>
+                            <Typography variant="subtitle1" sx={{ flexGrow: 1 }}>Leave types</Typography>
+                            <Button size="small" startIcon={<AddIcon />} onClick={() => setField('leaveTypes', [...form.leaveTypes, { ...EMPTY_LEAVE_TYPE }])}>
+                                Add leave type
+                            </Button>
+                        </Box>
+                        <Typography variant="caption" color="text.secondary" display="block" sx={{ mb: 1 }}>
+                            The keys annual, casual and sick map to the standard balances; any other key adds a custom leave type employees can request.
+                        </Typography>
+
+                        {form.leaveTypes.map((type, index) => (
+                            <Paper key={index} variant="outlined" sx={{ p: 2, mb: 2 }}>
+                                <Grid container spacing={2}>
+                                    <Grid size={{ xs: 6, md: 2 }}>
+                                        <TextField label="Key" size="small" value={type.key} onChange={(e) => updateType(index, { key: e.target.value.toLowerCase() })} fullWidth required />
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField label="Name" size="small" value={type.name} onChange={(e) => updateType(index, { name: e.target.value })} fullWidth required />
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField label="Arabic name" size="small" value={type.arabicName || ''} onChange={(e) => updateType(index, { arabicName: e.target.value })} fullWidth inputProps={{ dir: 'rtl' }} />
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 2 }}>
+                                        <TextField label="Days / year" size="small" type="number" value={type.days} onChange={(e) => updateType(index, { days: Number(e.target.value) })} fullWidth />
+                                    </Grid>
+                                    <Grid size={{ xs: 12, md: 2 }} sx={{ textAlign: 'right' }}>
+                                        <IconButton color="error" onClick={() => setField('leaveTypes', form.leaveTypes.filter((_, i) => i !== index))} disabled={form.leaveTypes.length === 1}>
+                                            <DeleteIcon />
+                                        </IconButton>
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField select label="Accrual" size="small" value={type.accrual} onChange={(e) => updateType(index, { accrual: e.target.value })} fullWidth>
+                                            <MenuItem value="upfront">Upfront (January 1st)</MenuItem>
+                                            <MenuItem value="monthly">Monthly</MenuItem>
+                                        </TextField>
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField label="Carry-over cap (days)" size="small" type="number" value={type.carryOver.maxDays} onChange={(e) => updateType(index, { carryOver: { ...type.carryOver, maxDays: e.target.value } })} fullWidth />
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField
+                                            select
+                                            label="Carried days expire"
+                                            size="small"
+                                            value={type.carryOver.expiresAfterMonths}
+                                            onChange={(e) => updateType(index, { carryOver: { ...type.carryOver, expiresAfterMonths: e.target.value } })}
+                                            fullWidth
+                                        >
+                                            <MenuItem value="">Never</MenuItem>
+                                            {Array.from({ length: 12 }, (_, month) => (
+                                                <MenuItem key={month + 1} value={month + 1}>
+                                                    End of {new Date(2000, month, 1).toLocaleString('default', { month: 'long' })}
+                                                </MenuItem>
+                                            ))}
+                                        </TextField>
+                                    </Grid>
+                                    <Grid size={{ xs: 6, md: 3 }}>
+                                        <TextField label="Negative allowance (days)" size="small" type="number" value={type.allowNegativeDays} onChange={(e) => updateType(index, { allowNegativeDays: Number(e.target.value) })} fullWidth />
+                                    </Grid>
+                                    <Grid size={12}>
+                                        <FormControlLabel control={<Switch size="small" checked={type.paid} onChange={(e) => updateType(index, { paid: e.target.checked })} />} label="Paid" />
+                                        <FormControlLabel control={<Switch size="small" checked={type.requiresProbation} onChange={(e) => updateType(index, { requiresProbation: e.target.checked })} />} label="Only after probation" />
+                                        <FormControlLabel control={<Switch size="small" checked={type.prorateFirstYear} disabled={type.accrual === 'monthly'} onChange={(e) => updateType(index, { prorateFirstYear: e.target.checked })} />} label="Prorate first year" />
+                                        <FormControlLabel control={<Switch size="small" checked={type.isActive} onChange={(e) => updateType(index, { isActive: e.target.checked })} />} label="Active" />
+                                    </Grid>
+                                    <Grid size={{ xs: 12, md: 6 }}>
+                                        <Typography variant="caption" color="text.secondary">Tenure tiers (highest reached applies)</Typography>
+                                        {type.tiers.map((tier, tierIndex) => (
+                                            <Stack key={tierIndex} direction="row" spacing={1} sx={{ mt: 1 }}>
+                                                <TextField label="From year" size="small" type="number" value={tier.minYears} onChange={(e) => updateRow(index, 'tiers', tierIndex, { minYears: Number(e.target.value) })} inputProps={{ step: 0.5, min: 0 }} />
+                                                <TextField label="Days" size="small" type="number" value={tier.days} onChange={(e) => updateRow(index, 'tiers', tierIndex, { days: Number(e.target.value) })} />
+                                                <IconButton size="small" onClick={() => updateType(index, { tiers: type.tiers.filter((_, i) => i !== tierIndex) })}><DeleteIcon fontSize="small" /></IconButton>
+                                            </Stack>
+                                        ))}
+                                        <Button size="small" startIcon={<AddIcon />} onClick={() => updateType(index, { tiers: [...type.tiers, { minYears: 0, days: type.days }] })}>Add tier</Button>
+                                    </Grid>
+                                    <Grid size={{ xs: 12, md: 6 }}>
+                                        <Typography variant="caption" color="text.secondary">Grade entitlements (override tiers)</Typography>
+                                        {type.grades.map((grade, gradeIndex) => (
+                                            <Stack key={gradeIndex} direction="row" spacing={1} sx={{ mt: 1 }}>
+                                                <TextField label="Grade" size="small" value={grade.grade} onChange={(e) => updateRow(index, 'grades', gradeIndex, { grade: e.target.value })} />
+                                                <TextField label="Days" size="small" type="number" value={grade.days} onChange={(e) => updateRow(index, 'grades', gradeIndex, { days: Number(e.target.value) })} />
+                                                <IconButton size="small" onClick={() => updateType(index, { grades: type.grades.filter((_, i) => i !== gradeIndex) })}><DeleteIcon fontSize="small" /></IconButton>
+                                            </Stack>
+                                        ))}
+                                        <Button size="small" startIcon={<AddIcon />} onClick={() => updateType(index, { grades: [...type.grades, { grade: '', days: type.days }] })}>Add grade</Button>
+                                    </Grid>
+                                </Grid>
+                            </Paper>
+                        ))}
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSave}>Save</Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+}
+
+export default LeavePoliciesPage;
@@ -10,14 +10,47 @@ import {
     IconButton,
     Typography,
     Chip,
-    MenuItem
+    MenuItem,
+    Alert,
+    Checkbox,
+    FormControlLabel,
+    FormGroup,
+    List,
+    ListItem,
+    ListItemText,
+    Paper,
+    Stack
 } from '@mui/material';
-import { Add as AddIcon, Edit as EditIcon, Delete as DeleteIcon, FileCopy } from '@mui/icons-material';
+import {
+    Add as AddIcon,
+    Edit as EditIcon,
+    Delete as DeleteIcon,
+    FileCopy,
+    Download as DownloadIcon,
+    PostAdd as PostAddIcon
+} from '@mui/icons-material';
 import DataTable from '../../components/common/DataTable';
 import Loading from '../../components/common/Loading';
 import ConfirmDialog from '../../components/common/ConfirmDialog';
 import { useNotification } from '../../store/providers/ReduxNotificationProvider';
 import templateService from '../../services/template.service';
+import userService from '../../services/user.service';
+
+const EMPTY_FORM = {
+    name: '',
+    arabicName: '',
+    type: 'letter',
+    content: '',
+    customFields: [],
+    direction: 'ltr',
+    outputFormats: ['pdf'],
+    referencePrefix: 'DOC',
+    isActive: true
+};
+
+const OUTPUT_FORMATS = ['pdf', 'docx'];
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
 
 const TemplatesPage = () => {
     const [templates, setTemplates] = useState([]);
@@ -25,22 +58,37 @@ const TemplatesPage = () => {
     const [openDialog, setOpenDialog] = useState(false);
     const [openConfirm, setOpenConfirm] = useState(false);
     const [selectedTemplate, setSelectedTemplate] = useState(null);
-    const [formData, setFormData] = useState({
-        name: '',
-        type: 'letter',
-        content: '',
-        variables: '',
-        isActive: true
-    });
+    const [formData, setFormData] = useState(EMPTY_FORM);
+    const [placeholders, setPlaceholders] = useState([]);
+    const [employees, setEmployees] = useState([]);
+    const [mergeTemplate, setMergeTemplate] = useState(null);
+    const [mergeData, setMergeData] = useState({ employeeIds: [], customValues: {}, formats: [] });
+    const [mergePreview, setMergePreview] = useState(null);
+    const [mergeResult, setMergeResult] = useState(null);
+    const [merging, setMerging] = useState(false);
     const { showNotification } = useNotification();
 
-    const templateTypes = ['letter', 'certificate', 'contract', 'report', 'form', 'email', 'other'];
+    const templateTypes = ['letter', 'warning-letter', 'certificate', 'contract', 'report', 'form', 'email', 'other'];
 
     useEffect(() => {
         fetchTemplates();
+        fetchPlaceholders();
         // eslint-disable-next-line react-hooks/exhaustive-deps
     }, []);
 
+    const fetchPlaceholders = async () => {
+        try {
+            const [placeholderList, userList] = await Promise.all([
+                templateService.getPlaceholders(),
+                userService.getAll()
+            ]);
+            setPlaceholders(toList(placeholderList));
+            setEmployees(toList(userList));
+        } catch (error) {
+            setPlaceholders([]);
+        }
+    };
+
     const fetchTemplates = async () => {
         try {
             setLoading(true);
@@ -66,20 +114,18 @@ const TemplatesPage = () => {
             setSelectedTemplate(template);
             setFormData({
                 name: template.name || '',
+                arabicName: template.arabicName || '',
                 type: template.type || 'letter',
                 content: template.content || '',
-                variables: template.variables?.join(', ') || '',
+                customFields: template.customFields || [],
+                direction: template.direction || 'ltr',
+                outputFormats: template.outputFormats?.length ? template.outputFormats : ['pdf'],
+                referencePrefix: template.referencePrefix || 'DOC',
                 isActive: template.isActive !== false
             });
         } else {
             setSelectedTemplate(null);
-            setFormData({
-                name: '',
-                type: 'letter',
-                content: '',
-                variables: '',
-                isActive: true
-            });
+            setFormData(EMPTY_FORM);
         }
         setOpenDialog(true);
     };
@@ -94,12 +140,21 @@ const TemplatesPage = () => {
         setFormData(prev => ({ ...prev, [name]: value }));
     };
 
+    const insertPlaceholder = (key) => {
+        setFormData(prev => ({ ...prev, content: `${prev.content}{{${key}}}` }));
+    };
+
+    const updateCustomField = (index, changes) => {
+        setFormData(prev => ({
+            ...prev,
+            customFields: prev.customFields.map((field, i) => (i === index ? { ...field, ...changes } : field))
+        }));
+    };
+
     const handleSubmit = async () => {
         try {
-            const submitData = {
-                ...formData,
-                variables: formData.variables.split(',').map(v => v.trim()).filter(v => v)
-            };
+            // Placeholders used by the content are worked out by the server
+            const submitData = { ...formData };
 
             if (selectedTemplate) {
                 await templateService.update(selectedTemplate._id, submitData);
@@ -111,10 +166,69 @@ const TemplatesPage = () => {
             handleCloseDialog();
             fetchTemplates();
         } catch (error) {
-            showNotification(error.response?.data?.message || 'Operation failed', 'error');
+            showNotification(error.response?.data?.error || error.response?.data?.message || 'Operation failed', 'error');
+        }
+    };
+
+    const handleOpenMerge = (template) => {
+        setMergeTemplate(template);
+        setMergeData({ employeeIds: [], customValues: {}, formats: template.outputFormats || ['pdf'] });
+        setMergePreview(null);
+        setMergeResult(null);
+    };
+
+    const handleCloseMerge = () => {
+        setMergeTemplate(null);
+        setMergePreview(null);
+        setMergeResult(null);
+    };
+
+    const handlePreview = async () => {
+        try {
+            const preview = await templateService.preview(mergeTemplate._id, {
+                employeeId: mergeData.employeeIds[0],
+                customValues: mergeData.customValues
+            });
+            setMergePreview(preview);
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Preview failed', 'error');
+        }
+    };
+
+    const handleGenerate = async () => {
+        try {
+            setMerging(true);
+            const result = await templateService.generate(mergeTemplate._id, mergeData);
+            setMergeResult(result);
+            showNotification(`${result.generated.length} document(s) generated`, result.failed.length ? 'warning' : 'success');
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Generation failed', 'error');
+        } finally {
+            setMerging(false);
+        }
+    };
+
+    const handleDownloadGenerated = async (generated) => {
+        try {
+            const blob = await templateService.downloadGenerated(generated._id);
+            const url = URL.createObjectURL(new Blob([blob]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = generated.fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showNotification('Failed to download document', 'error');
         }
     };
 
+    const employeeName = (id) => {
+        const employee = employees.find(e => e._id === id?.toString());
+        return employee?.personalInfo?.fullName || employee?.username || id;
+    };
+
     const handleDelete = async () => {
         try {
             await templateService.delete(selectedTemplate._id);
@@ -131,9 +245,13 @@ const TemplatesPage = () => {
         try {
             const duplicateData = {
                 name: `${template.name} (Copy)`,
+                arabicName: template.arabicName,
                 type: template.type,
                 content: template.content,
-                variables: template.variables,
+                customFields: template.customFields,
+                direction: template.direction,
+                outputFormats: template.outputFormats,
+                referencePrefix: template.referencePrefix,
                 isActive: true
             };
             await templateService.create(duplicateData);
@@ -191,11 +309,21 @@ const TemplatesPage = () => {
         {
             field: 'actions',
             headerName: 'Actions',
-            width: 150,
+            width: 190,
             renderCell: (params) => {
                 if (!params || !params.row) return null;
                 return (
                     <Box>
+                        {params.row.content && (
+                            <IconButton
+                                size="small"
+                                onClick={() => handleOpenMerge(params.row)}
+                                color="primary"
+                                title="Generate documents"
+                            >
+                                <PostAddIcon fontSize="small" />
+                            </IconButton>
+                        )}
                         <IconButton
                             size="small"
                             onClick={() => handleDuplicate(params.row)}
@@ -276,6 +404,54 @@ const TemplatesPage = () => {
                                 </MenuItem>
                             ))}
                         </TextField>
+                        <TextField
+                            label="Arabic Name"
+                            name="arabicName"
+                            value={formData.arabicName}
+                            onChange={handleChange}
+                            fullWidth
+                            inputProps={{ dir: 'rtl' }}
+                        />
+                        <Stack direction="row" spacing={2}>
+                            <TextField
+                                select
+                                label="Direction"
+                                name="direction"
+                                value={formData.direction}
+                                onChange={handleChange}
+                                fullWidth
+                            >
+                                <MenuItem value="ltr">Left to right</MenuItem>
+                                <MenuItem value="rtl">Right to left (Arabic)</MenuItem>
+                            </TextField>
+                            <TextField
+                                label="Reference Prefix"
+                                name="referencePrefix"
+                                value={formData.referencePrefix}
+                                onChange={handleChange}
+                                fullWidth
+                                helperText="e.g. HR-2025-00001"
+                            />
+                        </Stack>
+                        <FormGroup row>
+                            {OUTPUT_FORMATS.map(format => (
+                                <FormControlLabel
+                                    key={format}
+                                    label={format.toUpperCase()}
+                                    control={
+                                        <Checkbox
+                                            checked={formData.outputFormats.includes(format)}
+                                            onChange={(e) => setFormData(prev => ({
+                                                ...prev,
+                                                outputFormats: e.target.checked
+                                                    ? [...prev.outputFormats, format]
+                                                    : prev.outputFormats.filter(f => f !== format)
+                                            }))}
+                                        />
+                                    }
+                                />
+                            ))}
+                        </FormGroup>
                         <TextField
                             label="Content"
                             name="content"
@@ -285,17 +461,81 @@ const TemplatesPage = () => {
                             rows={10}
                             required
                             fullWidth
-                            helperText="Use {{variable_name}} for dynamic content"
-                        />
-                        <TextField
-                            label="Variables"
-                            name="variables"
-                            value={formData.variables}
-                            onChange={handleChange}
-                            fullWidth
-                            placeholder="employee_name, date, position"
-                            helperText="Comma-separated list of variable names"
+                            inputProps={{ dir: formData.direction }}
+                            helperText="One paragraph per line. Click a placeholder below to insert it."
                         />
+                        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                            {[...placeholders, ...formData.customFields.filter(f => f.key).map(f => ({ key: `custom.${f.key}`, label: f.label || f.key }))]
+                                .map(placeholder => (
+                                    <Chip
+                                        key={placeholder.key}
+                                        label={placeholder.label}
+                                        title={`{{${placeholder.key}}}`}
+                                        size="small"
+                                        variant="outlined"
+                                        onClick={() => insertPlaceholder(placeholder.key)}
+                                    />
+                                ))}
+                        </Box>
+                        <Typography variant="subtitle2">Custom Fields</Typography>
+                        {formData.customFields.map((field, index) => (
+                            <Stack key={index} direction="row" spacing={1} alignItems="center">
+                                <TextField
+                                    size="small"
+                                    label="Key"
+                                    value={field.key}
+                                    onChange={(e) => updateCustomField(index, { key: e.target.value })}
+                                />
+                                <TextField
+                                    size="small"
+                                    label="Label"
+                                    value={field.label || ''}
+                                    onChange={(e) => updateCustomField(index, { label: e.target.value })}
+                                />
+                                <TextField
+                                    select
+                                    size="small"
+                                    label="Type"
+                                    value={field.type || 'text'}
+                                    onChange={(e) => updateCustomField(index, { type: e.target.value })}
+                                    sx={{ minWidth: 100 }}
+                                >
+                                    <MenuItem value="text">Text</MenuItem>
+                                    <MenuItem value="number">Number</MenuItem>
+                                    <MenuItem value="date">Date</MenuItem>
+                                </TextField>
+                                <FormControlLabel
+                                    label="Required"
+                                    control={
+                                        <Checkbox
+                                            checked={!!field.required}
+                                            onChange={(e) => updateCustomField(index, { required: e.target.checked })}
+                                        />
+                                    }
+                                />
+                                <IconButton
+                                    size="small"
+                                    onClick={() => setFormData(prev => ({
+                                        ...prev,
+                                        customFields: prev.customFields.filter((_, i) => i !== index)
+                                    }))}
+                                >
+                                    <DeleteIcon fontSize="small" />
+                                </IconButton>
+                            </Stack>
+                        ))}
+                        <Box>
+                            <Button
+                                size="small"
+                                startIcon={<AddIcon />}
+                                onClick={() => setFormData(prev => ({
+                                    ...prev,
+                                    customFields: [...prev.customFields, { key: '', label: '', type: 'text', required: false }]
+                                }))}
+                            >
+                                Add Custom Field
+                            </Button>
+                        </Box>
                         <TextField
                             select
                             label="Status"
@@ -317,6 +557,125 @@ const TemplatesPage = () => {
                 </DialogActions>
             </Dialog>
 
+            <Dialog open={!!mergeTemplate} onClose={handleCloseMerge} maxWidth="md" fullWidth>
+                <DialogTitle>Generate Documents - {mergeTemplate?.name}</DialogTitle>
+                <DialogContent>
+                    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, mt: 2 }}>
+                        <TextField
+                            select
+                            label="Employees"
+                            value={mergeData.employeeIds}
+                            onChange={(e) => setMergeData(prev => ({ ...prev, employeeIds: e.target.value }))}
+                            SelectProps={{ multiple: true, renderValue: (ids) => ids.map(employeeName).join(', ') }}
+                            fullWidth
+                        >
+                            {employees.map(employee => (
+                                <MenuItem key={employee._id} value={employee._id}>
+                                    {employee.personalInfo?.fullName || employee.username} ({employee.employeeId})
+                                </MenuItem>
+                            ))}
+                        </TextField>
+                        {(mergeTemplate?.customFields || []).map(field => (
+                            <TextField
+                                key={field.key}
+                                label={field.label || field.key}
+                                type={field.type === 'date' ? 'date' : field.type === 'number' ? 'number' : 'text'}
+                                InputLabelProps={field.type === 'date' ? { shrink: true } : undefined}
+                                required={field.required}
+                                value={mergeData.customValues[field.key] || ''}
+                                onChange={(e) => setMergeData(prev => ({
+                                    ...prev,
+                                    customValues: { ...prev.customValues, [field.key]: e.target.value }
+                                }))}
+                                fullWidth
+                            />
+                        ))}
+                        <FormGroup row>
+                            {OUTPUT_FORMATS.map(format => (
+                                <FormControlLabel
+                                    key={format}
+                                    label={format.toUpperCase()}
+                                    control={
+                                        <Checkbox
+                                            checked={mergeData.formats.includes(format)}
+                                            onChange={(e) => setMergeData(prev => ({
+                                                ...prev,
+                                                formats: e.target.checked
+                                                    ? [...prev.formats, format]
+                                                    : prev.formats.filter(f => f !== format)
+                                            }))}
+                                        />
+                                    }
+                                />
+                            ))}
+                        </FormGroup>
+                        {mergePreview && (
+                            <Paper variant="outlined" sx={{ p: 2 }}>
+                                {mergePreview.missing.length > 0 && (
+                                    <Alert severity="warning" sx={{ mb: 2 }}>
+                                        No value for: {mergePreview.missing.join(', ')}
+                                    </Alert>
+                                )}
+                                <Typography variant="h6" gutterBottom>{mergePreview.title}</Typography>
+                                <Typography
+                                    variant="body2"
+                                    sx={{ whiteSpace: 'pre-line' }}
+                                    dir={mergeTemplate?.direction}
+                                >
+                                    {mergePreview.text}
+                                </Typography>
+                            </Paper>
+                        )}
+                        {mergeResult && (
+                            <Paper variant="outlined">
+                                <List dense>
+                                    {mergeResult.generated.map(item => (
+                                        <ListItem key={item.reference}>
+                                            <ListItemText
+                                                primary={`${item.reference} - ${employeeName(item.employee)}`}
+                                                secondary={item.missing.length ? `No value for: ${item.missing.join(', ')}` : null}
+                                            />
+                                            {item.documents.map(generated => (
+                                                <Button
+                                                    key={generated._id}
+                                                    size="small"
+                                                    startIcon={<DownloadIcon />}
+                                                    onClick={() => handleDownloadGenerated(generated)}
+                                                >
+                                                    {generated.fileName.split('.').pop().toUpperCase()}
+                                                </Button>
+                                            ))}
+                                        </ListItem>
+                                    ))}
+                                    {mergeResult.failed.map(item => (
+                                        <ListItem key={item.employee}>
+                                            <ListItemText
+                                                primary={employeeName(item.employee)}
+                                                secondary={item.reason}
+                                                secondaryTypographyProps={{ color: 'error' }}
+                                            />
+                                        </ListItem>
+                                    ))}
+                                </List>
+                            </Paper>
+                        )}
+                    </Box>
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={handleCloseMerge}>Close</Button>
+                    <Button onClick={handlePreview} disabled={mergeData.employeeIds.length === 0}>
+                        Preview
+                    </Button>
+                    <Button
+                        onClick={handleGenerate}
+                        variant="contained"
+                        disabled={merging || mergeData.employeeIds.length === 0 || mergeData.formats.length === 0}
+                    >
+                        Generate
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
             <ConfirmDialog
                 open={openConfirm}
                 title="Delete Template"
@@ -17,7 +17,8 @@ import {
     Person as PersonIcon,
     Work as WorkIcon,
     AdminPanelSettings as AdminIcon,
-    CameraAlt as CameraIcon
+    CameraAlt as CameraIcon,
+    AccountBalance as BankIcon
 } from '@mui/icons-material';
 import Loading from '../../components/common/Loading';
 import userService from '../../services/user.service';
@@ -64,6 +65,15 @@ const EditUserPage = () => {
             hireDate: '',
             contractType: '',
             employmentStatus: 'active'
+        },
+        bankDetails: {
+            bankName: '',
+            bankCode: '',
+            branchName: '',
+            accountHolderName: '',
+            accountNumber: '',
+            iban: '',
+            bic: ''
         }
     });
 
@@ -190,6 +200,15 @@ const EditUserPage = () => {
                     hireDate: userData.employment?.hireDate ? userData.employment.hireDate.split('T')[0] : '',
                     contractType: userData.employment?.contractType || '',
                     employmentStatus: userData.employment?.employmentStatus || 'active'
+                },
+                bankDetails: {
+                    bankName: userData.bankDetails?.bankName || '',
+                    bankCode: userData.bankDetails?.bankCode || '',
+                    branchName: userData.bankDetails?.branchName || '',
+                    accountHolderName: userData.bankDetails?.accountHolderName || '',
+                    accountNumber: userData.bankDetails?.accountNumber || '',
+                    iban: userData.bankDetails?.iban || '',
+                    bic: userData.bankDetails?.bic || ''
                 }
             });
         } catch (error) {
@@ -882,6 +901,59 @@ const EditUserPage = () => {
                         </Stack>
                     </Paper>
 
+                    {/* Bank Details */}
+                    <Paper elevation={0} sx={{ p: 3, borderRadius: 3, border: '1px solid', borderColor: 'divider' }}>
+                        <Typography variant="h6" sx={{ fontWeight: 700, mb: 3, display: 'flex', alignItems: 'center', gap: 1 }}>
+                            <BankIcon color="info" />
+                            Bank Details
+                        </Typography>
+                        <Stack spacing={2.5}>
+                            <TextField
+                                label="Account Holder Name"
+                                value={formData.bankDetails.accountHolderName}
+                                onChange={(e) => handleChange('bankDetails.accountHolderName', e.target.value)}
+                                helperText="As registered at the bank, if different from the employee name"
+                                fullWidth
+                            />
+                            <TextField
+                                label="Bank Name"
+                                value={formData.bankDetails.bankName}
+                                onChange={(e) => handleChange('bankDetails.bankName', e.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label="Branch"
+                                value={formData.bankDetails.branchName}
+                                onChange={(e) => handleChange('bankDetails.branchName', e.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label="Bank Code"
+                                value={formData.bankDetails.bankCode}
+                                onChange={(e) => handleChange('bankDetails.bankCode', e.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label="Account Number"
+                                value={formData.bankDetails.accountNumber}
+                                onChange={(e) => handleChange('bankDetails.accountNumber', e.target.value)}
+                                fullWidth
+                            />
+                            <TextField
+                                label="IBAN"
+                                value={formData.bankDetails.iban}
+                                onChange={(e) => handleChange('bankDetails.iban', e.target.value.toUpperCase())}
+                                fullWidth
+                            />
+                            <TextField
+                                label="BIC / SWIFT"
+                                value={formData.bankDetails.bic}
+                                onChange={(e) => handleChange('bankDetails.bic', e.target.value.toUpperCase())}
+                                fullWidth
+                            />
+                        </Stack>
+                    </Paper>
+
                     {/* Action Buttons */}
                     <Box sx={{ display: 'flex', gap: 2, justifyContent: 'flex-end' }}>
                         <Button
@@ -0,0 +1,464 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Alert,
+    Box,
+    Button,
+    Checkbox,
+    Chip,
+    Dialog,
+    DialogActions,
+    DialogContent,
+    DialogTitle,
+    FormControlLabel,
+    FormGroup,
+    IconButton,
+    MenuItem,
+    Pagination,
+    Paper,
+    Stack,
+    Switch,
+    Tab,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    Tabs,
+    TextField,
+    Tooltip,
+    Typography
+} from '@mui/material';
+import {
+    Add as AddIcon,
+    Delete as DeleteIcon,
+    Edit as EditIcon,
+    Key as KeyIcon,
+    Replay as ReplayIcon,
+    Send as SendIcon,
+    Visibility as ViewIcon
+} from '@mui/icons-material';
+import { useNotification } from '../../store/providers/ReduxNotificationProvider';
+import webhookService from '../../services/webhook.service';
+import Loading from '../../components/common/Loading';
+
+const EVENT_LABELS = {
+    'employee.created': 'Employee created',
+    'employee.terminated': 'Employee terminated',
+    'leave.approved': 'Leave approved',
+    'attendance.synced': 'Attendance synced',
+    'payroll.locked': 'Payroll locked',
+    'webhook.test': 'Test'
+};
+
+const STATUS_COLORS = { pending: 'default', retrying: 'warning', success: 'success', failed: 'error' };
+
+const EMPTY_ENDPOINT = { name: '', url: '', description: '', events: [], isActive: true };
+
+const toList = (response) => (Array.isArray(response) ? response : response?.data || []);
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '-');
+
+const eventLabel = (event) => (event === '*' ? 'All events' : EVENT_LABELS[event] || event);
+
+const WebhooksPage = () => {
+    const { showNotification } = useNotification();
+
+    const [tab, setTab] = useState(0);
+    const [loading, setLoading] = useState(true);
+    const [events, setEvents] = useState([]);
+    const [endpoints, setEndpoints] = useState([]);
+    const [deliveries, setDeliveries] = useState({ deliveries: [], page: 1, pages: 0, total: 0 });
+    const [filters, setFilters] = useState({ endpoint: '', event: '', status: '', page: 1 });
+
+    const [endpointForm, setEndpointForm] = useState(null);
+    const [secret, setSecret] = useState(null);
+    const [deliveryView, setDeliveryView] = useState(null);
+
+    const fetchEndpoints = useCallback(async () => {
+        try {
+            const [eventList, endpointList] = await Promise.all([
+                webhookService.getEvents(),
+                webhookService.getAll()
+            ]);
+            setEvents(eventList?.events || []);
+            setEndpoints(toList(endpointList));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load webhooks', 'error');
+        } finally {
+            setLoading(false);
+        }
+    }, [showNotification]);
+
+    const fetchDeliveries = useCallback(async () => {
+        try {
+            const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+            setDeliveries(await webhookService.getDeliveries(params));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load the delivery log', 'error');
+        }
+    }, [filters, showNotification]);
+
+    useEffect(() => {
+        fetchEndpoints();
+    }, [fetchEndpoints]);
+
+    useEffect(() => {
+        if (tab === 1) {
+            fetchDeliveries();
+        }
+    }, [tab, fetchDeliveries]);
+
+    // ----- Endpoints -----
+
+    const toggleEvent = (event) => {
+        setEndpointForm(form => {
+            const selected = form.events.includes(event)
+                ? form.events.filter(value => value !== event)
+                : [...form.events.filter(value => value !== '*'), event];
+            return { ...form, events: selected };
+        });
+    };
+
+    const handleSaveEndpoint = async () => {
+        const { _id, name, url, description, events: selected, isActive } = endpointForm;
+        try {
+            if (_id) {
+                await webhookService.update(_id, { name, url, description, events: selected, isActive });
+                showNotification('Endpoint saved', 'success');
+            } else {
+                const result = await webhookService.create({ name, url, description, events: selected, isActive });
+                setSecret({ name, secret: result.secret });
+            }
+            setEndpointForm(null);
+            fetchEndpoints();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to save the endpoint', 'error');
+        }
+    };
+
+    const handleToggleActive = async (endpoint) => {
+        try {
+            await webhookService.update(endpoint._id, { isActive: !endpoint.isActive });
+            fetchEndpoints();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to update the endpoint', 'error');
+        }
+    };
+
+    const handleDeleteEndpoint = async (endpoint) => {
+        if (!window.confirm(`Delete the endpoint "${endpoint.name}" and its delivery log?`)) {
+            return;
+        }
+        try {
+            await webhookService.delete(endpoint._id);
+            showNotification('Endpoint deleted', 'success');
+            fetchEndpoints();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to delete the endpoint', 'error');
+        }
+    };
+
+    const handleRotateSecret = async (endpoint) => {
+        if (!window.confirm(`Rotate the signing secret of "${endpoint.name}"? The old secret stops working immediately.`)) {
+            return;
+        }
+        try {
+            const result = await webhookService.rotateSecret(endpoint._id);
+            setSecret({ name: endpoint.name, secret: result.secret });
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to rotate the secret', 'error');
+        }
+    };
+
+    const handleSendTest = async (endpoint) => {
+        try {
+            const delivery = await webhookService.sendTest(endpoint._id);
+            const attempt = delivery?.attempts?.[delivery.attempts.length - 1];
+            if (delivery?.status === 'success') {
+                showNotification(`Test delivered (HTTP ${attempt?.statusCode})`, 'success');
+            } else {
+                showNotification(`Test failed: ${attempt?.error || 'no response'}`, 'error');
+            }
+            fetchEndpoints();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to send the test', 'error');
+        }
+    };
+
+    // ----- Deliveries -----
+
+    const openDelivery = async (id) => {
+        try {
+            setDeliveryView(await webhookService.getDelivery(id));
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to load the delivery', 'error');
+        }
+    };
+
+    const handleReplay = async (id) => {
+        try {
+            const delivery = await webhookService.replayDelivery(id);
+            showNotification(delivery?.status === 'success' ? 'Delivery replayed' : 'Replay queued for retry', delivery?.status === 'success' ? 'success' : 'warning');
+            setDeliveryView(null);
+            fetchDeliveries();
+        } catch (error) {
+            showNotification(error.response?.data?.error || 'Failed to replay the delivery', 'error');
+        }
+    };
+
+    const setFilter = (name, value) => setFilters(f => ({ ...f, [name]: value, page: 1 }));
+
+    if (loading) {
+        return <Loading />;
+    }
+
+    return (
+        <Box sx={{ p: 3 }}>
+            <Stack direction="row" justifyContent="space-between" alignItems="center" sx={{ mb: 2 }}>
+                <Typography variant="h4">Webhooks</Typography>
+                <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEndpointForm({ ...EMPTY_ENDPOINT })}>
+                    New endpoint
+                </Button>
+            </Stack>
+
+            <Tabs value={tab} onChange={(e, value) => setTab(value)} sx={{ mb: 3 }}>
+                <Tab label={`Endpoints (${endpoints.length})`} />
+                <Tab label="Delivery log" />
+            </Tabs>
+
+            {tab === 0 && (
+                <TableContainer component={Paper}>
+                    <Table size="small">
+                        <TableHead>
+                            <TableRow>
+                                <TableCell>Name</TableCell>
+                                <TableCell>URL</TableCell>
+                                <TableCell>Events</TableCell>
+                                <TableCell>Last delivery</TableCell>
+                                <TableCell>Active</TableCell>
+                                <TableCell align="right">Actions</TableCell>
+                            </TableRow>
+                        </TableHead>
+                        <TableBody>
+                            {endpoints.length === 0 && (
+                                <TableRow><TableCell colSpan={6} align="center">No endpoints</TableCell></TableRow>
+                            )}
+                            {endpoints.map(endpoint => (
+                                <TableRow key={endpoint._id}>
+                                    <TableCell>
+                                        {endpoint.name}
+                                        {endpoint.disabledReason && !endpoint.isActive && (
+                                            <Typography variant="caption" color="error" display="block">{endpoint.disabledReason}</Typography>
+                                        )}
+                                    </TableCell>
+                                    <TableCell sx={{ wordBreak: 'break-all' }}>{endpoint.url}</TableCell>
+                                    <TableCell>
+                                        <Stack direction="row" spacing={0.5} flexWrap="wrap" useFlexGap>
+                                            {endpoint.events.map(event => <Chip key={event} size="small" label={eventLabel(event)} />)}
+                                        </Stack>
+                                    </TableCell>
+                                    <TableCell>
+                                        {formatDateTime(endpoint.lastDeliveryAt)}
+                                        {endpoint.consecutiveFailures > 0 && (
+                                            <Chip size="small" color="error" label={`${endpoint.consecutiveFailures} failed`} sx={{ ml: 1 }} />
+                                        )}
+                                    </TableCell>
+                                    <TableCell>
+                                        <Switch checked={endpoint.isActive} onChange={() => handleToggleActive(endpoint)} />
+                                    </TableCell>
+                                    <TableCell align="right">
+                                        <Tooltip title="Send test">
+                                            <span>
+                                                <IconButton size="small" disabled={!endpoint.isActive} onClick={() => handleSendTest(endpoint)}><SendIcon /></IconButton>
+                                            </span>
+                                        </Tooltip>
+                                        <Tooltip title="Rotate secret">
+                                            <IconButton size="small" onClick={() => handleRotateSecret(endpoint)}><KeyIcon /></IconButton>
+                                        </Tooltip>
+                                        <IconButton size="small" onClick={() => setEndpointForm({ ...EMPTY_ENDPOINT, ...endpoint })}><EditIcon /></IconButton>
+                                        <IconButton size="small" color="error" onClick={() => handleDeleteEndpoint(endpoint)}><DeleteIcon /></IconButton>
+                                    </TableCell>
+                                </TableRow>
+                            ))}
+                        </TableBody>
+                    </Table>
+                </TableContainer>
+            )}
+
+            {tab === 1 && (
+                <>
+                    <Stack direction="row" spacing={2} sx={{ mb: 2 }}>
+                        <TextField select size="small" label="Endpoint" value={filters.endpoint} sx={{ minWidth: 200 }}
+                            onChange={(e) => setFilter('endpoint', e.target.value)}>
+                            <MenuItem value="">All</MenuItem>
+                            {endpoints.map(endpoint => <MenuItem key={endpoint._id} value={endpoint._id}>{endpoint.name}</MenuItem>)}
+                        </TextField>
+                        <TextField select size="small" label="Event" value={filters.event} sx={{ minWidth: 200 }}
+                            onChange={(e) => setFilter('event', e.target.value)}>
+                            <MenuItem value="">All</MenuItem>
+                            {[...events, 'webhook.test'].map(event => <MenuItem key={event} value={event}>{eventLabel(event)}</MenuItem>)}
+                        </TextField>
+                        <TextField select size="small" label="Status" value={filters.status} sx={{ minWidth: 160 }}
+                            onChange={(e) => setFilter('status', e.target.value)}>
+                            <MenuItem value="">All</MenuItem>
+                            <MenuItem value="success">Delivered</MenuItem>
+                            <MenuItem value="retrying">Retrying</MenuItem>
+                            <MenuItem value="failed">Failed</MenuItem>
+                            <MenuItem value="pending">Pending</MenuItem>
+                        </TextField>
+                    </Stack>
+                    <TableContainer component={Paper}>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Time</TableCell>
+                                    <TableCell>Event</TableCell>
+                                    <TableCell>Endpoint</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Attempts</TableCell>
+                                    <TableCell>Next attempt</TableCell>
+                                    <TableCell align="right">Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {deliveries.deliveries.length === 0 && (
+                                    <TableRow><TableCell colSpan={7} align="center">No deliveries</TableCell></TableRow>
+                                )}
+                                {deliveries.deliveries.map(delivery => (
+                                    <TableRow key={delivery._id}>
+                                        <TableCell>{formatDateTime(delivery.createdAt)}</TableCell>
+                                        <TableCell>
+                                            {eventLabel(delivery.event)}
+                                            {delivery.replayOf && <Chip size="small" label="Replay" sx={{ ml: 1 }} />}
+                                        </TableCell>
+                                        <TableCell>{delivery.endpoint?.name || '-'}</TableCell>
+                                        <TableCell><Chip size="small" color={STATUS_COLORS[delivery.status]} label={delivery.status} /></TableCell>
+                                        <TableCell>{delivery.attemptCount}</TableCell>
+                                        <TableCell>{delivery.status === 'retrying' ? formatDateTime(delivery.nextAttemptAt) : '-'}</TableCell>
+                                        <TableCell align="right">
+                                            <IconButton size="small" onClick={() => openDelivery(delivery._id)}><ViewIcon /></IconButton>
+                                            <Tooltip title="Replay">
+                                                <IconButton size="small" onClick={() => handleReplay(delivery._id)}><ReplayIcon /></IconButton>
+                                            </Tooltip>
+                                        </TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+                    {deliveries.pages > 1 && (
+                        <Stack alignItems="center" sx={{ mt: 2 }}>
+                            <Pagination count={deliveries.pages} page={deliveries.page}
+                                onChange={(e, page) => setFilters(f => ({ ...f, page }))} />
+                        </Stack>
+                    )}
+                </>
+            )}
+
+            {/* Create / edit endpoint */}
+            <Dialog open={!!endpointForm} onClose={() => setEndpointForm(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>{endpointForm?._id ? 'Edit endpoint' : 'New endpoint'}</DialogTitle>
+                {endpointForm && (
+                    <DialogContent>
+                        <Stack spacing={2} sx={{ mt: 1 }}>
+                            <TextField label="Name" value={endpointForm.name} required
+                                onChange={(e) => setEndpointForm(f => ({ ...f, name: e.target.value }))} />
+                            <TextField label="URL" value={endpointForm.url} required placeholder="https://"
+                                onChange={(e) => setEndpointForm(f => ({ ...f, url: e.target.value }))} />
+                            <TextField label="Description" value={endpointForm.description || ''} multiline rows={2}
+                                onChange={(e) => setEndpointForm(f => ({ ...f, description: e.target.value }))} />
+                            <Box>
+                                <Typography variant="subtitle2">Events</Typography>
+                                <FormGroup>
+                                    <FormControlLabel
+                                        control={<Checkbox checked={endpointForm.events.includes('*')}
+                                            onChange={(e) => setEndpointForm(f => ({ ...f, events: e.target.checked ? ['*'] : [] }))} />}
+                                        label="All events, including ones added later" />
+                                    {events.map(event => (
+                                        <FormControlLabel key={event}
+                                            control={<Checkbox checked={endpointForm.events.includes('*') || endpointForm.events.includes(event)}
+                                                disabled={endpointForm.events.includes('*')}
+                                                onChange={() => toggleEvent(event)} />}
+                                            label={eventLabel(event)} />
+                                    ))}
+                                </FormGroup>
+                            </Box>
+                            <FormControlLabel
+                                control={<Switch checked={endpointForm.isActive} onChange={(e) => setEndpointForm(f => ({ ...f, isActive: e.target.checked }))} />}
+                                label="Active" />
+                        </Stack>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setEndpointForm(null)}>Cancel</Button>
+                    <Button variant="contained" onClick={handleSaveEndpoint}
+                        disabled={!endpointForm?.name || !endpointForm?.url || endpointForm?.events.length === 0}>
+                        Save
+                    </Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Signing secret, shown once */}
+            <Dialog open={!!secret} onClose={() => setSecret(null)} maxWidth="sm" fullWidth>
+                <DialogTitle>Signing secret - {secret?.name}</DialogTitle>
+                <DialogContent>
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        Copy this secret now; it is not shown again. Verify the X-HRSM-Signature header as
+                        HMAC-SHA256 of "X-HRSM-Timestamp.body" with this secret.
+                    </Alert>
+                    <TextField fullWidth value={secret?.secret || ''} InputProps={{ readOnly: true }}
+                        onFocus={(e) => e.target.select()} />
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => navigator.clipboard?.writeText(secret?.secret || '')}>Copy</Button>
+                    <Button variant="contained" onClick={() => setSecret(null)}>Done</Button>
+                </DialogActions>
+            </Dialog>
+
+            {/* Delivery details */}
+            <Dialog open={!!deliveryView} onClose={() => setDeliveryView(null)} maxWidth="md" fullWidth>
+                <DialogTitle>
+                    {eventLabel(deliveryView?.event)} - {deliveryView?.endpoint?.name}
+                </DialogTitle>
+                {deliveryView && (
+                    <DialogContent>
+                        <Typography variant="subtitle2">Payload</Typography>
+                        <Paper variant="outlined" sx={{ p: 1, mb: 2, overflow: 'auto', maxHeight: 240 }}>
+                            <pre style={{ margin: 0, fontSize: 12 }}>{JSON.stringify(deliveryView.payload, null, 2)}</pre>
+                        </Paper>
+                        <Typography variant="subtitle2">Attempts</Typography>
+                        <Table size="small">
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Time</TableCell>
+                                    <TableCell>HTTP status</TableCell>
+                                    <TableCell>Duration</TableCell>
+                                    <TableCell>Result</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {deliveryView.attempts.map((attempt, index) => (
+                                    <TableRow key={index}>
+                                        <TableCell>{formatDateTime(attempt.attemptedAt)}</TableCell>
+                                        <TableCell>{attempt.statusCode || '-'}</TableCell>
+                                        <TableCell>{attempt.durationMs != null ? `${attempt.durationMs} ms` : '-'}</TableCell>
+                                        <TableCell sx={{ wordBreak: 'break-all' }}>{attempt.error || 'OK'}</TableCell>
+                                    </TableRow>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </DialogContent>
+                )}
+                <DialogActions>
+                    <Button onClick={() => setDeliveryView(null)}>Close</Button>
+                    <Button variant="contained" startIcon={<ReplayIcon />} onClick={() => handleReplay(deliveryView._id)}>
+                        Replay
+                    </Button>
+                </DialogActions>
+            </Dialog>
+        </Box>
+    );
+};
+
+export default WebhooksPage;
@@ -0,0 +1,18 @@
+import api from './api';
+
+const apiKeyService = {
+    // Scopes a key can be granted
+    getScopes: async () => await api.get('/api-keys/scopes'),
+
+    // Keys
+    getAll: async (params) => await api.get('/api-keys', { params }),
+    getById: async (id) => await api.get(`/api-keys/${id}`),
+    create: async (data) => await api.post('/api-keys', data),
+    update: async (id, data) => await api.put(`/api-keys/${id}`, data),
+    revoke: async (id) => await api.post(`/api-keys/${id}/revoke`),
+
+    // Requests made with a key
+    getUsage: async (id, params) => await api.get(`/api-keys/${id}/usage`, { params }),
+};
+
+export default apiKeyService;
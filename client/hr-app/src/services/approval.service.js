@@ -0,0 +1,21 @@
+import api from './api';
+
+const approvalService = {
+    // Requests waiting for the current user's decision
+    getPending: async (params) => await api.get('/approvals/pending', { params }),
+    getHistory: async (requestType, id) => await api.get(`/approvals/history/${requestType}/${id}`),
+
+    // Approval chains
+    getChains: async (params) => await api.get('/approvals/chains', { params }),
+    getChain: async (id) => await api.get(`/approvals/chains/${id}`),
+    createChain: async (data) => await api.post('/approvals/chains', data),
+    updateChain: async (id, data) => await api.put(`/approvals/chains/${id}`, data),
+    deleteChain: async (id) => await api.delete(`/approvals/chains/${id}`),
+
+    // Delegations
+    getDelegations: async (params) => await api.get('/approvals/delegations', { params }),
+    createDelegation: async (data) => await api.post('/approvals/delegations', data),
+    revokeDelegation: async (id) => await api.delete(`/approvals/delegations/${id}`),
+};
+
+export default approvalService;
@@ -36,6 +36,11 @@ const attendanceDeviceService = {
         return await api.post(`/attendance-devices/${id}/sync`);
     },
 
+    // Clear attendance logs stored on the device (ZKTeco)
+    clearDeviceLogs: async (id) => {
+        return await api.post(`/attendance-devices/${id}/clear-logs`);
+    },
+
     // Sync all devices
     syncAllDevices: async () => {
         return await api.post('/attendance-devices/sync-all');
@@ -1,5 +1,10 @@
 import api from './api';
 
+// Enrollment enforced at sign-in authenticates with the setup token instead of a session
+const setupTokenConfig = (setupToken) => (
+    setupToken ? { headers: { 'X-MFA-Setup-Token': setupToken } } : undefined
+);
+
 // Updated auth service to use correct endpoints and multi-tenant authentication
 const authService = {
     // Login user
@@ -41,6 +46,31 @@ const authService = {
     getProfile: async () => {
         return await api.get('/auth/me');
     },
+
+    // Two-factor authentication
+    getMFAStatus: async () => {
+        return await api.get('/auth/mfa/status');
+    },
+
+    setupMFA: async (setupToken) => {
+        return await api.post('/auth/mfa/setup', {}, setupTokenConfig(setupToken));
+    },
+
+    enableMFA: async (token, setupToken) => {
+        return await api.post('/auth/mfa/enable', { token }, setupTokenConfig(setupToken));
+    },
+
+    regenerateRecoveryCodes: async (token) => {
+        return await api.post('/auth/mfa/recovery-codes', { token });
+    },
+
+    disableMFA: async ({ password, token, recoveryCode }) => {
+        return await api.post('/auth/mfa/disable', { password, token, recoveryCode });
+    },
+
+    resetUserMFA: async (userId) => {
+        return await api.post(`/auth/mfa/reset/${userId}`);
+    },
 };
 
 export default authService;
\ No newline at end of file
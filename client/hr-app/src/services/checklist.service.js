@@ -0,0 +1,20 @@
+import api from './api';
+
+const checklistService = {
+    // Onboarding/offboarding checklists
+    getAll: async (params) => await api.get('/checklists', { params }),
+    getById: async (id) => await api.get(`/checklists/${id}`),
+    create: async (data) => await api.post('/checklists', data),
+    cancel: async (id) => await api.post(`/checklists/${id}/cancel`),
+    updateTask: async (id, taskId, data) => await api.patch(`/checklists/${id}/tasks/${taskId}`, data),
+    getMyTasks: async () => await api.get('/checklists/my-tasks'),
+    getEmployeeProgress: async (employeeId) => await api.get(`/checklists/employee/${employeeId}`),
+
+    // Templates
+    getTemplates: async (params) => await api.get('/checklists/templates', { params }),
+    createTemplate: async (data) => await api.post('/checklists/templates', data),
+    updateTemplate: async (id, data) => await api.put(`/checklists/templates/${id}`, data),
+    deleteTemplate: async (id) => await api.delete(`/checklists/templates/${id}`),
+};
+
+export default checklistService;
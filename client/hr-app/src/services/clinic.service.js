@@ -0,0 +1,26 @@
+import api from './api';
+
+const clinicService = {
+    // Appointments
+    getAvailableSlots: async (params) => await api.get('/clinic/appointments/slots', { params }),
+    getAppointments: async (params) => await api.get('/clinic/appointments', { params }),
+    bookAppointment: async (data) => await api.post('/clinic/appointments', data),
+    rescheduleAppointment: async (id, data) => await api.post(`/clinic/appointments/${id}/reschedule`, data),
+    cancelAppointment: async (id, reason) => await api.post(`/clinic/appointments/${id}/cancel`, { reason }),
+    getNoShowSummary: async () => await api.get('/clinic/appointments/no-shows'),
+
+    // Clinic queue
+    getQueue: async (params) => await api.get('/clinic/appointments/queue', { params }),
+    checkIn: async (id) => await api.post(`/clinic/appointments/${id}/check-in`),
+    startAppointment: async (id) => await api.post(`/clinic/appointments/${id}/start`),
+    completeAppointment: async (id, data) => await api.post(`/clinic/appointments/${id}/complete`, data),
+    markNoShow: async (id) => await api.post(`/clinic/appointments/${id}/no-show`),
+
+    // Doctor schedules & settings
+    getSchedules: async (params) => await api.get('/clinic/doctor-schedules', { params }),
+    saveSchedule: async (doctorId, data) => await api.put(`/clinic/doctor-schedules/${doctorId}`, data),
+    getSettings: async () => await api.get('/clinic/settings'),
+    updateSettings: async (data) => await api.put('/clinic/settings', data),
+};
+
+export default clinicService;
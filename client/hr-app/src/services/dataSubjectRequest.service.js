@@ -0,0 +1,19 @@
+import api from './api';
+
+const dataSubjectRequestService = {
+    // Where employee data is searched
+    getCategories: async () => await api.get('/data-subject-requests/categories'),
+
+    // Requests
+    getAll: async (params) => await api.get('/data-subject-requests', { params }),
+    getById: async (id) => await api.get(`/data-subject-requests/${id}`),
+    create: async (data) => await api.post('/data-subject-requests', data),
+    reject: async (id, reason) => await api.post(`/data-subject-requests/${id}/reject`, { reason }),
+
+    // Erasure preview, processing and the access archive
+    getErasurePlan: async (id) => await api.get(`/data-subject-requests/${id}/erasure-plan`),
+    process: async (id) => await api.post(`/data-subject-requests/${id}/process`),
+    downloadExport: async (id) => await api.get(`/data-subject-requests/${id}/download`, { responseType: 'blob' }),
+};
+
+export default dataSubjectRequestService;
@@ -55,6 +55,21 @@ const holidayService = {
     importEgyptHolidays: async (data) => {
         return await api.post('/holidays/import-egypt-holidays', data);
     },
+
+    // Get Islamic holidays proposed from the Hijri calendar
+    getIslamicProposals: async (params) => {
+        return await api.get('/holidays/islamic', { params });
+    },
+
+    // Add proposed Islamic holidays with moon-sighting adjustments
+    addIslamicHolidays: async (data) => {
+        return await api.post('/holidays/islamic', data);
+    },
+
+    // Move an Islamic holiday after moon sighting
+    adjustIslamicHoliday: async (holidayId, data) => {
+        return await api.put(`/holidays/islamic/${holidayId}/adjust`, data);
+    },
 };
 
 export default holidayService;
\ No newline at end of file
@@ -8,6 +8,7 @@ export { default as userService } from './user.service';
 export { default as departmentService } from './department.service';
 export { default as positionService } from './position.service';
 export { default as attendanceService } from './attendance.service';
+export { default as shiftService } from './shift.service';
 export { default as missionService } from './mission.service';
 export { default as forgetCheckService } from './forgetCheck.service';
 export { default as permissionService } from './permission.service';
@@ -21,6 +22,8 @@ export { default as eventService } from './event.service';
 export { default as surveyService } from './survey.service';
 export { default as holidayService } from './holiday.service';
 export { default as vacationService } from './vacation.service';
+export { default as leavePolicyService } from './leavePolicy.service';
+export { default as approvalService } from './approval.service';
 export { default as reportService } from './report.service';
 export { default as analyticsService } from './analytics.service';
 export { default as securityService } from './security.service';
@@ -88,6 +88,11 @@ const insuranceService = {
         return api.patch(`/insurance/claims/${claimId}/review`, reviewData);
     },
 
+    // paymentMethod 'payroll' schedules the payout in the next open payroll period
+    async processClaimPayment(claimId, paymentData) {
+        return api.patch(`/insurance/claims/${claimId}/process-payment`, paymentData);
+    },
+
     async uploadClaimDocument(claimId, formData) {
         return api.post(`/insurance/claims/${claimId}/documents`, formData, {
             headers: {
@@ -113,6 +118,13 @@ const insuranceService = {
         });
     },
 
+    // Claimed, approved, paid and outstanding amounts per policy
+    async getReconciliationReport(params = {}) {
+        const queryParams = new URLSearchParams(params).toString();
+        const url = queryParams ? `/insurance/reports/reconciliation?${queryParams}` : '/insurance/reports/reconciliation';
+        return api.get(url);
+    },
+
     async getInsuranceAnalytics(params = {}) {
         const queryParams = new URLSearchParams(params).toString();
         const url = queryParams ? `/insurance/analytics?${queryParams}` : '/insurance/analytics';
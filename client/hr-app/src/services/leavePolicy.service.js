@@ -0,0 +1,25 @@
+import api from './api';
+
+const leavePolicyService = {
+    // Leave policies
+    getAll: async () => await api.get('/leave-policies'),
+    getById: async (id) => await api.get(`/leave-policies/${id}`),
+    getDefaults: async () => await api.get('/leave-policies/defaults'),
+    create: async (data) => await api.post('/leave-policies', data),
+    update: async (id, data) => await api.put(`/leave-policies/${id}`, data),
+    delete: async (id) => await api.delete(`/leave-policies/${id}`),
+
+    // Current user
+    getMyLeaveTypes: async () => await api.get('/leave-policies/me/leave-types'),
+    getMyBalance: async (year) => await api.get('/leave-policies/me/balance', { params: { year } }),
+
+    // Employees
+    getEmployeeBalance: async (employeeId, year) => await api.get(`/leave-policies/employees/${employeeId}/balance`, { params: { year } }),
+    previewEmployee: async (employeeId, year) => await api.get(`/leave-policies/employees/${employeeId}/preview`, { params: { year } }),
+
+    // Balance recalculation (runs in the background)
+    recalculate: async (data) => await api.post('/leave-policies/recalculate', data),
+    getRecalculationStatus: async () => await api.get('/leave-policies/recalculate/status'),
+};
+
+export default leavePolicyService;
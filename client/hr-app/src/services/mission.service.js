@@ -8,6 +8,7 @@ import api from './api';
  * - Approval and rejection workflows
  * - File upload support for mission attachments
  * - Notification event dispatching
+ * - Expense claims, travel advances, per-diem rates and settlement
  */
 const missionService = {
     /**
@@ -104,6 +105,125 @@ const missionService = {
         window.dispatchEvent(new CustomEvent('notificationUpdate'));
         return result;
     },
+
+    /**
+     * Get the expense claim of a mission
+     * @param {string} id - Mission ID
+     * @returns {Promise<Object>} { success, data: { mission, claim, summary } }
+     */
+    getExpenses: async (id) => {
+        const result = await api.get(`/missions/${id}/expenses`);
+        return result;
+    },
+
+    /**
+     * Add an expense to the claim of a mission
+     * @param {string} id - Mission ID
+     * @param {FormData} data - category, amount, date, description and an optional receipt file
+     * @returns {Promise<Object>} Updated claim
+     */
+    addExpense: async (id, data) => {
+        const result = await api.post(`/missions/${id}/expenses/items`, data, {
+            headers: {
+                'Content-Type': 'multipart/form-data',
+            },
+        });
+        return result;
+    },
+
+    /**
+     * Remove an expense from a claim that has not been submitted
+     * @param {string} id - Mission ID
+     * @param {string} expenseId - Expense ID
+     * @returns {Promise<Object>} Updated claim
+     */
+    removeExpense: async (id, expenseId) => {
+        const result = await api.delete(`/missions/${id}/expenses/items/${expenseId}`);
+        return result;
+    },
+
+    /**
+     * Submit the expense claim for review
+     * @param {string} id - Mission ID
+     * @returns {Promise<Object>} Submitted claim with its per-diem
+     */
+    submitExpenses: async (id) => {
+        const result = await api.post(`/missions/${id}/expenses/submit`);
+        return result;
+    },
+
+    /**
+     * Record the advance paid before travel (HR)
+     * @param {string} id - Mission ID
+     * @param {Object} data - { amount, paidAt, reference }
+     * @returns {Promise<Object>} Updated claim
+     */
+    recordAdvance: async (id, data) => {
+        const result = await api.post(`/missions/${id}/expenses/advance`, data);
+        return result;
+    },
+
+    /**
+     * Approve the expense claim (HR)
+     * @param {string} id - Mission ID
+     * @param {Object} data - { approvedAmounts: { [expenseId]: amount }, notes }
+     * @returns {Promise<Object>} Approved claim
+     */
+    approveExpenses: async (id, data = {}) => {
+        const result = await api.post(`/missions/${id}/expenses/approve`, data);
+        return result;
+    },
+
+    /**
+     * Reject the expense claim (HR)
+     * @param {string} id - Mission ID
+     * @param {string} reason - Rejection reason
+     * @returns {Promise<Object>} Rejected claim
+     */
+    rejectExpenses: async (id, reason) => {
+        const result = await api.post(`/missions/${id}/expenses/reject`, { reason });
+        return result;
+    },
+
+    /**
+     * Settle the approved claim against the advance in a payroll period (HR)
+     * @param {string} id - Mission ID
+     * @param {string} payrollPeriod - 'YYYY-MM'
+     * @returns {Promise<Object>} Settled claim
+     */
+    settleExpenses: async (id, payrollPeriod) => {
+        const result = await api.post(`/missions/${id}/expenses/settle`, { payrollPeriod });
+        return result;
+    },
+
+    /**
+     * Get per-diem rates by destination and grade
+     * @returns {Promise<Object>} { success, data: rates }
+     */
+    getPerDiemRates: async () => {
+        const result = await api.get('/missions/per-diem-rates');
+        return result;
+    },
+
+    /**
+     * Create or replace a per-diem rate (HR)
+     * @param {Object} data - { destination, grade, dailyRate, currency, includesMeals }
+     * @returns {Promise<Object>} Saved rate
+     */
+    savePerDiemRate: async (data) => {
+        const result = await api.post('/missions/per-diem-rates', data);
+        return result;
+    },
+
+    /**
+     * Delete a per-diem rate (HR)
+     * @param {string} rateId - Rate ID
+     * @returns {Promise<Object>} Deletion confirmation
+     */
+    deletePerDiemRate: async (rateId) => {
+        const result = await api.delete(`/missions/per-diem-rates/${rateId}`);
+        return result;
+    },
 };
 
 export default missionService;
@@ -6,6 +6,9 @@ const notificationService = {
     markAsRead: async (id) => await api.put(`/notifications/${id}/read`),
     markAllAsRead: async () => await api.put('/notifications/read-all'),
     delete: async (id) => await api.delete(`/notifications/${id}`),
+    getPreferences: async () => await api.get('/notifications/preferences'),
+    updatePreferences: async (types) => await api.put('/notifications/preferences', { types }),
+    getStreamTicket: async () => await api.post('/notifications/stream-ticket'),
 };
 
 export default notificationService;
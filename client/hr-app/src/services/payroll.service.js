@@ -6,6 +6,35 @@ const payrollService = {
     create: async (data) => await api.post('/payroll', data),
     update: async (id, data) => await api.put(`/payroll/${id}`, data),
     delete: async (id) => await api.delete(`/payroll/${id}`),
+    calculate: async (data) => await api.post('/payroll/calculate', data),
+    previewSalary: async (employeeId, period) => await api.get(`/payroll/calculate/${employeeId}`, { params: { period } }),
+    getSettings: async () => await api.get('/payroll/settings'),
+    updateSettings: async (data) => await api.put('/payroll/settings', data),
+    getSalaryStructures: async () => await api.get('/payroll/salary-structures'),
+    getSalaryStructure: async (employeeId) => await api.get(`/payroll/salary-structures/${employeeId}`),
+    saveSalaryStructure: async (employeeId, data) => await api.put(`/payroll/salary-structures/${employeeId}`, data),
+    getRuns: async (params) => await api.get('/payroll/runs', { params }),
+    getRunById: async (runId) => await api.get(`/payroll/runs/${runId}`),
+    generateRun: async (data) => await api.post('/payroll/runs', data),
+    recalculateRun: async (runId, data = {}) => await api.post(`/payroll/runs/${runId}/recalculate`, data),
+    getRunDiff: async (runId, params) => await api.get(`/payroll/runs/${runId}/diff`, { params }),
+    submitRun: async (runId, notes) => await api.post(`/payroll/runs/${runId}/submit`, { notes }),
+    returnRun: async (runId, notes) => await api.post(`/payroll/runs/${runId}/return`, { notes }),
+    approveRun: async (runId, notes) => await api.post(`/payroll/runs/${runId}/approve`, { notes }),
+    lockRun: async (runId, notes) => await api.post(`/payroll/runs/${runId}/lock`, { notes }),
+    reverseRun: async (runId, reason) => await api.post(`/payroll/runs/${runId}/reverse`, { reason }),
+    getMyPayslips: async () => await api.get('/payroll/payslips/me'),
+    downloadPayslip: async (id) => await api.get(`/payroll/${id}/payslip`, { responseType: 'blob' }),
+    emailPayslips: async (period) => await api.post('/payroll/payslips/email', { period }),
+    getBankTransferPreview: async (period) => await api.get(`/payroll/bank-transfers/${period}`),
+    exportBankTransfer: async (period, params) => await api.get(`/payroll/bank-transfers/${period}/export`, { params, responseType: 'blob' }),
+    getSettlements: async (params) => await api.get('/payroll/end-of-service', { params }),
+    getSettlement: async (id) => await api.get(`/payroll/end-of-service/${id}`),
+    previewSettlement: async (data) => await api.post('/payroll/end-of-service/preview', data),
+    saveSettlement: async (data) => await api.post('/payroll/end-of-service', data),
+    finalizeSettlement: async (id, payrollPeriod) => await api.post(`/payroll/end-of-service/${id}/finalize`, { payrollPeriod }),
+    signSettlement: async (id) => await api.post(`/payroll/end-of-service/${id}/sign`),
+    downloadSettlement: async (id) => await api.get(`/payroll/end-of-service/${id}/document`, { responseType: 'blob' }),
 };
 
 export default payrollService;
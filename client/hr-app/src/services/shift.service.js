@@ -0,0 +1,28 @@
+import api from './api';
+
+const shiftService = {
+    // Shift definitions
+    getShifts: async (params) => await api.get('/shifts', { params }),
+    createShift: async (data) => await api.post('/shifts', data),
+    updateShift: async (id, data) => await api.put(`/shifts/${id}`, data),
+    deleteShift: async (id) => await api.delete(`/shifts/${id}`),
+
+    // Rotation patterns
+    getPatterns: async () => await api.get('/shifts/patterns'),
+    createPattern: async (data) => await api.post('/shifts/patterns', data),
+    updatePattern: async (id, data) => await api.put(`/shifts/patterns/${id}`, data),
+    deletePattern: async (id) => await api.delete(`/shifts/patterns/${id}`),
+
+    // Assignments (employee or department, shift or pattern)
+    getAssignments: async (params) => await api.get('/shifts/assignments', { params }),
+    createAssignment: async (data) => await api.post('/shifts/assignments', data),
+    deleteAssignment: async (id) => await api.delete(`/shifts/assignments/${id}`),
+
+    // Roster calendar
+    getRoster: async (params) => await api.get('/shifts/roster', { params }),
+    getMyRoster: async (params) => await api.get('/shifts/roster/me', { params }),
+    // shift null = day off
+    setRosterDay: async (employee, date, shift) => await api.put('/shifts/roster', { employee, date, shift }),
+};
+
+export default shiftService;
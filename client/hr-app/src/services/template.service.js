@@ -6,6 +6,12 @@ const templateService = {
     create: async (data) => await api.post('/document-templates', data),
     update: async (id, data) => await api.put(`/document-templates/${id}`, data),
     delete: async (id) => await api.delete(`/document-templates/${id}`),
+
+    // Merging
+    getPlaceholders: async () => await api.get('/document-templates/placeholders'),
+    preview: async (id, data) => await api.post(`/document-templates/${id}/preview`, data),
+    generate: async (id, data) => await api.post(`/document-templates/${id}/generate`, data),
+    downloadGenerated: async (documentId) => await api.get(`/document-templates/generated/${documentId}/download`, { responseType: 'blob' }),
 };
 
 export default templateService;
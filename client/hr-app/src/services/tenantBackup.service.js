@@ -0,0 +1,19 @@
+import api from './api';
+
+const tenantBackupService = {
+    // Backups
+    getAll: async (params) => await api.get('/tenant-backups', { params }),
+    getById: async (id) => await api.get(`/tenant-backups/${id}`),
+    create: async (data) => await api.post('/tenant-backups', data),
+    delete: async (id) => await api.delete(`/tenant-backups/${id}`),
+    download: async (id) => await api.get(`/tenant-backups/${id}/download`, { responseType: 'blob' }),
+
+    // Backed up and current document counts per collection
+    compare: async (id) => await api.get(`/tenant-backups/${id}/compare`),
+
+    // Restores
+    restore: async (id, collections) => await api.post(`/tenant-backups/${id}/restore`, { collections }),
+    restoreToSandbox: async (id, password) => await api.post(`/tenant-backups/${id}/sandbox`, { password }),
+};
+
+export default tenantBackupService;
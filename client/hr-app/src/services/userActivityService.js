@@ -81,28 +81,50 @@ class UserActivityService {
     /**
      * Search company logs
      * @param {string} tenantId - Company tenant ID
-     * @param {Object} searchOptions - Search parameters
-     * @returns {Promise} Search results
+     * @param {Object} searchOptions - Search parameters: q (words and field:value
+     *   terms such as "level:error user:42"), levels, logTypes, userId,
+     *   correlationId, startTime, endTime, limit, sortOrder and cursor
+     * @returns {Promise} Page of entries with facets and the next page cursor
      */
     async searchLogs(tenantId, searchOptions = {}) {
         const {
-            searchTerm,
-            logType = null,
-            dateFrom = null,
-            dateTo = null,
-            maxResults = 1000
+            q = null,
+            levels,
+            logTypes,
+            userId,
+            correlationId,
+            startTime = null,
+            endTime = null,
+            limit = 50,
+            sortOrder = 'desc',
+            cursor = null
         } = searchOptions;
 
         const response = await apiClient.post(`/company-logs/${tenantId}/search`, {
-            searchTerm,
-            logType,
-            dateFrom,
-            dateTo,
-            maxResults
+            q,
+            levels,
+            logTypes,
+            userId,
+            correlationId,
+            startTime,
+            endTime,
+            limit,
+            sortOrder,
+            cursor
         });
         return response.data;
     }
 
+    /**
+     * Index log files written before the search index existed
+     * @param {string} tenantId - Company tenant ID
+     * @returns {Promise} Days and entries indexed
+     */
+    async rebuildSearchIndex(tenantId) {
+        const response = await apiClient.post(`/company-logs/${tenantId}/search/reindex`);
+        return response.data;
+    }
+
     /**
      * Get log summary for a company
      * @param {string} tenantId - Company tenant ID
@@ -0,0 +1,22 @@
+import api from './api';
+
+const webhookService = {
+    // Events an endpoint can subscribe to
+    getEvents: async () => await api.get('/webhooks/events'),
+
+    // Endpoints
+    getAll: async () => await api.get('/webhooks'),
+    getById: async (id) => await api.get(`/webhooks/${id}`),
+    create: async (data) => await api.post('/webhooks', data),
+    update: async (id, data) => await api.put(`/webhooks/${id}`, data),
+    delete: async (id) => await api.delete(`/webhooks/${id}`),
+    rotateSecret: async (id) => await api.post(`/webhooks/${id}/rotate-secret`),
+    sendTest: async (id) => await api.post(`/webhooks/${id}/test`),
+
+    // Delivery log
+    getDeliveries: async (params) => await api.get('/webhooks/deliveries', { params }),
+    getDelivery: async (id) => await api.get(`/webhooks/deliveries/${id}`),
+    replayDelivery: async (id) => await api.post(`/webhooks/deliveries/${id}/replay`),
+};
+
+export default webhookService;
@@ -6,6 +6,7 @@ import {
   logoutUser,
   loadUserProfile,
   setTokensFromStorage,
+  setCredentials,
   selectUser,
   selectIsAuthenticated,
   selectAuthLoading,
@@ -94,9 +95,19 @@ export const ReduxAuthProvider = ({ children }) => {
   }, [dispatch]);
 
   // Auth functions
-  const login = async (email, password, tenantIdInput) => {
+  // secondFactor is { mfaToken } or { recoveryCode } when the account uses two-factor authentication
+  const login = async (email, password, tenantIdInput, secondFactor = {}) => {
     try {
-      await dispatch(loginUser({ email, password, tenantId: tenantIdInput })).unwrap();
+      const result = await dispatch(loginUser({ email, password, tenantId: tenantIdInput, ...secondFactor })).unwrap();
+
+      if (result.requiresMFA || result.requiresMFASetup) {
+        return {
+          success: false,
+          requiresMFA: Boolean(result.requiresMFA),
+          requiresMFASetup: Boolean(result.requiresMFASetup),
+          mfaSetupToken: result.mfaSetupToken
+        };
+      }
       
       // Load tenant info after successful login
       try {
@@ -114,6 +125,17 @@ export const ReduxAuthProvider = ({ children }) => {
     }
   };
 
+  // Finish a sign-in that completed two-factor setup, with the session it returned
+  const completeLogin = async ({ user, token }) => {
+    dispatch(setCredentials({ user, token }));
+
+    try {
+      await dispatch(loadTenantInfo()).unwrap();
+    } catch (tenantError) {
+      console.warn('Failed to load tenant info after login');
+    }
+  };
+
   const logout = async () => {
     await dispatch(logoutUser());
   };
@@ -147,6 +169,7 @@ export const ReduxAuthProvider = ({ children }) => {
     loading,
     error,
     login,
+    completeLogin,
     logout,
     hasRole,
     updateUser,
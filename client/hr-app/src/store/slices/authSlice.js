@@ -19,27 +19,38 @@ const initialState = {
   isAuthenticated: false,
 };
 
+// Persist the tenant session
+const storeSession = (token, tenantId) => {
+  localStorage.setItem('tenant_token', token);
+  localStorage.setItem('tenant_id', tenantId);
+
+  // Remove old token if exists
+  localStorage.removeItem('token');
+};
+
 // Async thunks
 export const loginUser = createAsyncThunk(
   'auth/loginUser',
-  async ({ email, password, tenantId }, { rejectWithValue }) => {
+  async ({ email, password, tenantId, mfaToken, recoveryCode }, { rejectWithValue }) => {
     try {
       const response = await api.post('/auth/login', {
         email,
         password,
-        tenantId
+        tenantId,
+        mfaToken,
+        recoveryCode
       });
 
+      // Password accepted but a two-factor code or two-factor setup is still needed
+      if (response.data?.requiresMFA || response.data?.requiresMFASetup) {
+        return { ...response.data, tenantId };
+      }
+
       // The auth controller returns { success: true, data: { token, user } }
       // API interceptor already extracts response.data, so response is the actual data
       const { user, token } = response.data;
 
-      // Store tokens in localStorage
-      localStorage.setItem('tenant_token', token);
-      localStorage.setItem('tenant_id', user?.tenantId || tenantId);
-      
-      // Remove old token if exists
-      localStorage.removeItem('token');
+      storeSession(token, user?.tenantId || tenantId);
 
       return {
         user,
@@ -121,6 +132,16 @@ const authSlice = createSlice({
       localStorage.removeItem('tenant_id');
       localStorage.removeItem('token');
     },
+    // Sign in with a session issued outside loginUser, e.g. after enforced two-factor setup
+    setCredentials: (state, action) => {
+      const { user, token, tenantId } = action.payload;
+      storeSession(token, user?.tenantId || tenantId);
+      state.user = user;
+      state.tenantToken = token;
+      state.tenantId = user?.tenantId || tenantId;
+      state.isAuthenticated = true;
+      state.error = null;
+    },
     setTokensFromStorage: (state) => {
       const token = localStorage.getItem('tenant_token');
       const tenantId = localStorage.getItem('tenant_id');
@@ -137,6 +158,10 @@ const authSlice = createSlice({
       })
       .addCase(loginUser.fulfilled, (state, action) => {
         state.loading = false;
+        if (!action.payload.tenantToken) {
+          // Waiting for the second factor
+          return;
+        }
         state.user = action.payload.user;
         state.tenantToken = action.payload.tenantToken;
         state.tenantId = action.payload.tenantId;
@@ -208,6 +233,6 @@ export const selectHasRole = (requiredRole) => (state) => {
 };
 
 // Export actions
-export const { clearError, updateUser, clearAuthState, setTokensFromStorage } = authSlice.actions;
+export const { clearError, updateUser, clearAuthState, setCredentials, setTokensFromStorage } = authSlice.actions;
 
 export default authSlice.reducer;
\ No newline at end of file
@@ -1,5 +1,6 @@
 // Holiday Checker Utility for Frontend
 import Holidays from 'date-holidays';
+import { getLocale } from '../i18n';
 
 /**
  * Initialize holidays for Egypt
@@ -53,6 +54,62 @@ export const getHolidayName = (date) => {
     return holiday ? holiday.name : null;
 };
 
+// Intl calendars of the Hijri calculations offered by the holidays module
+const HIJRI_INTL_CALENDARS = {
+    umalqura: 'islamic-umalqura',
+    tabular: 'islamic-civil',
+};
+
+/**
+ * Calendar day of a date at UTC midnight, so it formats the same in any calendar
+ */
+const toCalendarDay = (date) => {
+    const value = new Date(date);
+    return new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+};
+
+/**
+ * Format a date in the Hijri calendar
+ * @param {Date|string} date - The date to format
+ * @param {Object} [options]
+ * @param {string} [options.language] - 'en' or 'ar'
+ * @param {string} [options.calendar] - 'umalqura' or 'tabular'
+ * @returns {string} - e.g. 'Shawwal 1, 1446 AH', '' for invalid dates
+ */
+export const formatHijriDate = (date, { language = 'en', calendar = 'umalqura' } = {}) => {
+    const day = toCalendarDay(date);
+    if (Number.isNaN(day.getTime())) {
+        return '';
+    }
+    const calendarId = HIJRI_INTL_CALENDARS[calendar] || HIJRI_INTL_CALENDARS.umalqura;
+    return new Intl.DateTimeFormat(`${getLocale(language)}-u-ca-${calendarId}`, {
+        timeZone: 'UTC',
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+    }).format(day);
+};
+
+/**
+ * Format a date in both the Gregorian and Hijri calendars
+ * @param {Date|string} date - The date to format
+ * @param {Object} [options] - Language and Hijri calendar, as for formatHijriDate
+ * @returns {string} - e.g. 'Mar 30, 2025 / Shawwal 1, 1446 AH'
+ */
+export const formatDualDate = (date, options = {}) => {
+    const day = toCalendarDay(date);
+    if (Number.isNaN(day.getTime())) {
+        return '';
+    }
+    const gregorian = new Intl.DateTimeFormat(getLocale(options.language), {
+        timeZone: 'UTC',
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric',
+    }).format(day);
+    return `${gregorian} / ${formatHijriDate(date, options)}`;
+};
+
 /**
  * Get detailed holiday information
  * @param {Date|string} date - The date to check
@@ -69,6 +126,8 @@ export const getHolidayInfo = (date) => {
         isHoliday: !!holiday,
         isWorkingDay: !weekend && !holiday,
         holidayName: holiday ? holiday.name : null,
+        hijriDate: formatHijriDate(checkDate),
+        dualDate: formatDualDate(checkDate),
         note: weekend 
             ? 'Official Holiday (Weekend)' 
             : (holiday ? `Official Holiday (${holiday.name})` : null)
@@ -80,6 +139,8 @@ const holidayChecker = {
     isWeekend,
     isWorkingDay,
     getHolidayName,
+    formatHijriDate,
+    formatDualDate,
     getHolidayInfo
 };
 
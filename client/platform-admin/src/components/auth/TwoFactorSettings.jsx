@@ -0,0 +1,170 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Button,
+  Stack,
+  Alert,
+  Chip,
+  TextField,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+} from '@mui/material';
+import { mfaService } from '../../services/platformApi';
+import TwoFactorSetup, { RecoveryCodes } from './TwoFactorSetup';
+
+/**
+ * Two-factor authentication of the signed-in platform administrator
+ */
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [mode, setMode] = useState(null); // 'setup' | 'regenerate' | 'disable'
+  const [form, setForm] = useState({ password: '', token: '' });
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [message, setMessage] = useState({ type: '', text: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await mfaService.getStatus());
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Failed to load two-factor status' });
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const closeDialog = () => {
+    setMode(null);
+    setForm({ password: '', token: '' });
+    setRecoveryCodes(null);
+  };
+
+  const handleSetupComplete = () => {
+    closeDialog();
+    setMessage({ type: 'success', text: 'Two-factor authentication enabled' });
+    loadStatus();
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      if (mode === 'regenerate') {
+        setRecoveryCodes(await mfaService.regenerateRecoveryCodes(form.token));
+      } else {
+        await mfaService.disable(form);
+        closeDialog();
+        setMessage({ type: 'success', text: 'Two-factor authentication disabled' });
+      }
+      loadStatus();
+    } catch (err) {
+      setMessage({ type: 'error', text: err.response?.data?.message || 'Request failed' });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (!status) {
+    return null;
+  }
+
+  return (
+    <Card>
+      <CardContent>
+        <Stack direction="row" spacing={1} alignItems="center" sx={{ mb: 2 }}>
+          <Typography variant="h6">Two-Factor Authentication</Typography>
+          <Chip size="small" label={status.enabled ? 'On' : 'Off'} color={status.enabled ? 'success' : 'default'} />
+        </Stack>
+
+        {message.text && (
+          <Alert severity={message.type} sx={{ mb: 2 }} onClose={() => setMessage({ type: '', text: '' })}>
+            {message.text}
+          </Alert>
+        )}
+
+        {status.enabled ? (
+          <Stack spacing={2}>
+            <Typography variant="body2">
+              {status.recoveryCodesRemaining} recovery codes remaining
+            </Typography>
+            <Stack direction="row" spacing={2}>
+              <Button variant="outlined" onClick={() => setMode('regenerate')}>
+                New recovery codes
+              </Button>
+              {!status.enforced && (
+                <Button variant="outlined" color="error" onClick={() => setMode('disable')}>
+                  Turn off
+                </Button>
+              )}
+            </Stack>
+          </Stack>
+        ) : status.available ? (
+          <Button variant="contained" onClick={() => setMode('setup')}>
+            Set up two-factor authentication
+          </Button>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            Two-factor authentication is turned off in the security settings.
+          </Typography>
+        )}
+      </CardContent>
+
+      <Dialog open={mode === 'setup'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>Set up two-factor authentication</DialogTitle>
+        <DialogContent>
+          {mode === 'setup' && <TwoFactorSetup onComplete={handleSetupComplete} onCancel={closeDialog} />}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={mode === 'regenerate' || mode === 'disable'} onClose={closeDialog} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {mode === 'disable' ? 'Turn off two-factor authentication' : 'New recovery codes'}
+        </DialogTitle>
+        <DialogContent>
+          {recoveryCodes ? (
+            <RecoveryCodes codes={recoveryCodes} />
+          ) : (
+            <Stack spacing={2} sx={{ pt: 1 }}>
+              {mode === 'disable' && (
+                <TextField
+                  label="Password"
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  autoComplete="current-password"
+                />
+              )}
+              <TextField
+                label="Authentication code"
+                value={form.token}
+                onChange={(e) => setForm({ ...form, token: e.target.value.replace(/\D/g, '').slice(0, 6) })}
+                inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+                helperText={mode === 'regenerate' ? 'Your current recovery codes stop working' : ''}
+              />
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeDialog}>{recoveryCodes ? 'Done' : 'Cancel'}</Button>
+          {!recoveryCodes && (
+            <Button
+              variant="contained"
+              color={mode === 'disable' ? 'error' : 'primary'}
+              onClick={handleSubmit}
+              disabled={submitting || form.token.length !== 6 || (mode === 'disable' && !form.password)}
+            >
+              {mode === 'disable' ? 'Turn off' : 'Generate'}
+            </Button>
+          )}
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,153 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Box,
+  Button,
+  Stack,
+  TextField,
+  Typography,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { mfaService } from '../../services/platformApi';
+
+/**
+ * One-time recovery codes, shown once after they are generated
+ */
+export const RecoveryCodes = ({ codes }) => (
+  <Stack spacing={2}>
+    <Alert severity="warning">
+      Save these recovery codes somewhere safe. Each code signs you in once if you lose
+      access to your authenticator app, and they will not be shown again.
+    </Alert>
+    <Box
+      sx={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(2, 1fr)',
+        gap: 1,
+        p: 2,
+        borderRadius: 1,
+        bgcolor: 'action.hover',
+      }}
+    >
+      {codes.map((code) => (
+        <Typography key={code} sx={{ fontFamily: 'monospace', textAlign: 'center' }}>
+          {code}
+        </Typography>
+      ))}
+    </Box>
+    <Button size="small" onClick={() => navigator.clipboard?.writeText(codes.join('\n'))}>
+      Copy codes
+    </Button>
+  </Stack>
+);
+
+/**
+ * Two-factor enrollment: scan the QR code, confirm with the first code, then
+ * save the recovery codes
+ *
+ * @param {string} [setupToken] - Setup token from a sign-in that requires enrollment
+ * @param {Function} onComplete - Called with the enable result ({ recoveryCodes, token, user })
+ * @param {Function} [onCancel]
+ */
+const TwoFactorSetup = ({ setupToken, onComplete, onCancel }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const startSetup = async () => {
+      try {
+        setSetup(await mfaService.setup(setupToken));
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to start two-factor setup');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    startSetup();
+  }, [setupToken]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+
+    try {
+      setLoading(true);
+      setError('');
+      setResult(await mfaService.enable(code.trim(), setupToken));
+    } catch (err) {
+      setError(err.response?.data?.message || 'Invalid authentication code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (result) {
+    return (
+      <Stack spacing={2}>
+        <Typography variant="h6">Two-factor authentication is on</Typography>
+        <RecoveryCodes codes={result.recoveryCodes} />
+        <Button variant="contained" onClick={() => onComplete(result)}>
+          I have saved my recovery codes
+        </Button>
+      </Stack>
+    );
+  }
+
+  return (
+    <form onSubmit={handleVerify}>
+      <Stack spacing={2}>
+        {error && <Alert severity="error">{error}</Alert>}
+
+        {loading && !setup && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 3 }}>
+            <CircularProgress />
+          </Box>
+        )}
+
+        {!loading && !setup && onCancel && (
+          <Button onClick={onCancel}>Back</Button>
+        )}
+
+        {setup && (
+          <>
+            <Typography variant="body2" color="text.secondary">
+              Scan this QR code with an authenticator app, then enter the 6-digit code it shows.
+            </Typography>
+            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+              <Box component="img" src={setup.qrCode} alt="Two-factor QR code" sx={{ width: 200, height: 200 }} />
+            </Box>
+            <Typography variant="caption" color="text.secondary" align="center">
+              Can&apos;t scan it? Enter this key instead:
+              <Box component="span" sx={{ display: 'block', fontFamily: 'monospace', wordBreak: 'break-all' }}>
+                {setup.secret.match(/.{1,4}/g).join(' ')}
+              </Box>
+            </Typography>
+            <TextField
+              label="Authentication code"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              inputProps={{ inputMode: 'numeric', autoComplete: 'one-time-code' }}
+              autoFocus
+              required
+            />
+            <Stack direction="row" spacing={2}>
+              <Button type="submit" variant="contained" disabled={loading || code.length !== 6}>
+                {loading ? <CircularProgress size={20} /> : 'Verify and enable'}
+              </Button>
+              {onCancel && (
+                <Button onClick={onCancel} disabled={loading}>
+                  Cancel
+                </Button>
+              )}
+            </Stack>
+          </>
+        )}
+      </Stack>
+    </form>
+  );
+};
+
+export default TwoFactorSetup;
@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  Button,
+  Grid,
+  Alert,
+  CircularProgress,
+  Typography,
+} from '@mui/material';
+import tenantService from '../../services/tenantService';
+
+const EMPTY_FORM = {
+  name: '',
+  adminUser: {
+    email: '',
+    password: '',
+    firstName: '',
+    lastName: '',
+  },
+};
+
+/**
+ * Create a tenant from a tenant backup file, as downloaded from the Data
+ * Backups page of this or another installation
+ */
+const TenantImport = ({ open, onClose, onSuccess }) => {
+  const [file, setFile] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleAdminChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({
+      ...prev,
+      adminUser: {
+        ...prev.adminUser,
+        [name]: value,
+      },
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      const result = await tenantService.importTenant(file, formData);
+      onSuccess(result.data);
+      handleClose();
+    } catch (err) {
+      setError(err.response?.data?.error?.message || 'Failed to import tenant');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleClose = () => {
+    setFile(null);
+    setFormData(EMPTY_FORM);
+    setError('');
+    onClose();
+  };
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <form onSubmit={handleSubmit}>
+        <DialogTitle>Import Tenant</DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Creates a new tenant with the data of a tenant backup file. The admin below replaces the backed up
+            user with the same email, if there is one.
+          </Alert>
+          <Grid container spacing={2}>
+            <Grid size={{ xs: 12 }}>
+              <Button variant="outlined" component="label">
+                Choose backup file
+                <input
+                  hidden
+                  type="file"
+                  accept=".gz"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+              </Button>
+              <Typography variant="body2" component="span" sx={{ ml: 2 }}>
+                {file ? file.name : 'No file selected'}
+              </Typography>
+            </Grid>
+            <Grid size={{ xs: 12 }}>
+              <TextField
+                fullWidth
+                label="Company Name"
+                value={formData.name}
+                onChange={(e) => setFormData((prev) => ({ ...prev, name: e.target.value }))}
+                helperText="Leave empty to use the name in the backup"
+              />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField fullWidth label="Admin First Name" name="firstName"
+                value={formData.adminUser.firstName} onChange={handleAdminChange} required />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField fullWidth label="Admin Last Name" name="lastName"
+                value={formData.adminUser.lastName} onChange={handleAdminChange} required />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField fullWidth type="email" label="Admin Email" name="email"
+                value={formData.adminUser.email} onChange={handleAdminChange} required />
+            </Grid>
+            <Grid size={{ xs: 12, sm: 6 }}>
+              <TextField fullWidth type="password" label="Admin Password" name="password"
+                value={formData.adminUser.password} onChange={handleAdminChange} required />
+            </Grid>
+          </Grid>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleClose} disabled={loading}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="contained" disabled={loading || !file}>
+            {loading ? <CircularProgress size={24} /> : 'Import Tenant'}
+          </Button>
+        </DialogActions>
+      </form>
+    </Dialog>
+  );
+};
+
+export default TenantImport;
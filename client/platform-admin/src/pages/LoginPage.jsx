@@ -11,25 +11,52 @@ import {
   CircularProgress,
 } from '@mui/material';
 import { usePlatformAuth } from '../store/providers/ReduxPlatformAuthProvider';
+import TwoFactorSetup from '../components/auth/TwoFactorSetup';
 
 const LoginPage = () => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = usePlatformAuth();
+  // 'credentials', then 'mfa' for a two-factor code or 'mfa-setup' when enrollment is enforced
+  const [step, setStep] = useState('credentials');
+  const [mfaCode, setMfaCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [mfaSetupToken, setMfaSetupToken] = useState(null);
+  const { login, completeLogin } = usePlatformAuth();
   const navigate = useNavigate();
 
+  const handleBack = () => {
+    setStep('credentials');
+    setMfaCode('');
+    setUseRecoveryCode(false);
+    setMfaSetupToken(null);
+    setError('');
+  };
+
+  const handleMfaSetupComplete = async (result) => {
+    await completeLogin(result);
+    navigate('/dashboard');
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setLoading(true);
 
     try {
-      const result = await login(email, password);
+      const secondFactor = step === 'mfa'
+        ? (useRecoveryCode ? { recoveryCode: mfaCode.trim() } : { mfaToken: mfaCode.trim() })
+        : {};
+      const result = await login(email, password, secondFactor);
       
       if (result.success) {
         navigate('/dashboard');
+      } else if (result.requiresMFA) {
+        setStep('mfa');
+      } else if (result.requiresMFASetup) {
+        setMfaSetupToken(result.mfaSetupToken);
+        setStep('mfa-setup');
       } else {
         setError(result.error || 'Login failed');
       }
@@ -64,41 +91,101 @@ const LoginPage = () => {
             </Alert>
           )}
 
-          <form onSubmit={handleSubmit}>
-            <TextField
-              fullWidth
-              id="login-email"
-              label="Email"
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              margin="normal"
-              required
-              autoComplete="email"
-              autoFocus
-            />
-            <TextField
-              fullWidth
-              id="login-password"
-              label="Password"
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              margin="normal"
-              required
-              autoComplete="current-password"
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              size="large"
-              disabled={loading}
-              sx={{ mt: 3, mb: 2 }}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Sign In'}
-            </Button>
-          </form>
+          {step === 'credentials' && (
+            <form onSubmit={handleSubmit}>
+              <TextField
+                fullWidth
+                id="login-email"
+                label="Email"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                margin="normal"
+                required
+                autoComplete="email"
+                autoFocus
+              />
+              <TextField
+                fullWidth
+                id="login-password"
+                label="Password"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                margin="normal"
+                required
+                autoComplete="current-password"
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading}
+                sx={{ mt: 3, mb: 2 }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Sign In'}
+              </Button>
+            </form>
+          )}
+
+          {step === 'mfa' && (
+            <form onSubmit={handleSubmit}>
+              <Typography variant="body2" align="center" sx={{ mb: 1 }}>
+                {useRecoveryCode
+                  ? 'Enter one of your recovery codes'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </Typography>
+              <TextField
+                fullWidth
+                id="login-mfa-code"
+                label={useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+                value={mfaCode}
+                onChange={(e) => setMfaCode(e.target.value)}
+                margin="normal"
+                required
+                autoFocus
+                inputProps={useRecoveryCode ? {} : { inputMode: 'numeric', autoComplete: 'one-time-code', maxLength: 6 }}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                size="large"
+                disabled={loading || !mfaCode.trim()}
+                sx={{ mt: 3, mb: 1 }}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Verify'}
+              </Button>
+              <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 2 }}>
+                <Button
+                  size="small"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setMfaCode('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </Button>
+                <Button size="small" onClick={handleBack}>
+                  Back
+                </Button>
+              </Box>
+            </form>
+          )}
+
+          {step === 'mfa-setup' && (
+            <Box sx={{ mb: 2 }}>
+              <Alert severity="info" sx={{ mb: 2 }}>
+                Two-factor authentication is required for platform administrators.
+              </Alert>
+              <TwoFactorSetup
+                setupToken={mfaSetupToken}
+                onComplete={handleMfaSetupComplete}
+                onCancel={handleBack}
+              />
+            </Box>
+          )}
 
           <Typography variant="caption" color="text.secondary" align="center" display="block">
             Platform administrators only. Tenant users should use the HR application.
@@ -15,6 +15,7 @@ import {
 import SystemHealth from '../components/system/SystemHealth';
 import UsageMetrics from '../components/system/UsageMetrics';
 import ThemeSettings from '../components/theme/ThemeSettings';
+import TwoFactorSettings from '../components/auth/TwoFactorSettings';
 
 const TabPanel = ({ children, value, index }) => {
   return (
@@ -55,6 +56,7 @@ const SystemPage = () => {
         <Tab label="System Health" />
         <Tab label="Usage Metrics" />
         <Tab label="Theme Settings" />
+        <Tab label="Account Security" />
       </Tabs>
 
       <TabPanel value={tabValue} index={0}>
@@ -77,6 +79,10 @@ const SystemPage = () => {
           loading={loading}
         />
       </TabPanel>
+
+      <TabPanel value={tabValue} index={3}>
+        <TwoFactorSettings />
+      </TabPanel>
     </Box>
   );
 };
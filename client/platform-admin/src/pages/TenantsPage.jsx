@@ -14,7 +14,7 @@ import {
   CardContent,
   Chip,
 } from '@mui/material';
-import { Add as AddIcon } from '@mui/icons-material';
+import { Add as AddIcon, UploadFile as ImportIcon } from '@mui/icons-material';
 import { useAppDispatch, useAppSelector } from '../store/hooks';
 import { 
   fetchTenantsAsync, 
@@ -24,6 +24,7 @@ import {
 } from '../store/slices/tenantManagementSlice';
 import TenantList from '../components/tenants/TenantList';
 import TenantCreate from '../components/tenants/TenantCreate';
+import TenantImport from '../components/tenants/TenantImport';
 import TenantDetails from '../components/tenants/TenantDetails';
 import { useState } from 'react';
 
@@ -32,6 +33,7 @@ const TenantsPage = () => {
   const { tenants, loading, error } = useAppSelector(state => state.tenantManagement);
   
   const [createDialogOpen, setCreateDialogOpen] = useState(false);
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
   const [detailsDialogOpen, setDetailsDialogOpen] = useState(false);
   const [confirmDialogOpen, setConfirmDialogOpen] = useState(false);
   const [selectedTenant, setSelectedTenant] = useState(null);
@@ -53,6 +55,15 @@ const TenantsPage = () => {
     showSnackbar('Tenant created successfully', 'success');
   };
 
+  const handleImportSuccess = (result) => {
+    dispatch(fetchTenantsAsync());
+    const failed = (result?.results || []).reduce((sum, row) => sum + (row.failed || 0), 0);
+    showSnackbar(
+      failed ? `Tenant imported; ${failed} document(s) could not be restored` : 'Tenant imported successfully',
+      failed ? 'warning' : 'success'
+    );
+  };
+
   const handleUpdateSuccess = () => {
     dispatch(fetchTenantsAsync());
     showSnackbar('Tenant updated successfully', 'success');
@@ -141,14 +152,22 @@ const TenantsPage = () => {
         <Typography variant="h4" sx={{ flex: '1 1 auto' }}>
           Tenant Management
         </Typography>
-        <Button
-          variant="contained"
-          startIcon={<AddIcon />}
-          onClick={() => setCreateDialogOpen(true)}
-          sx={{ flex: '0 0 auto' }}
-        >
-          Create Tenant
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1, flex: '0 0 auto' }}>
+          <Button
+            variant="outlined"
+            startIcon={<ImportIcon />}
+            onClick={() => setImportDialogOpen(true)}
+          >
+            Import Tenant
+          </Button>
+          <Button
+            variant="contained"
+            startIcon={<AddIcon />}
+            onClick={() => setCreateDialogOpen(true)}
+          >
+            Create Tenant
+          </Button>
+        </Box>
       </Box>
 
       {/* Statistics Cards */}
@@ -240,6 +259,12 @@ const TenantsPage = () => {
         onSuccess={handleCreateSuccess}
       />
 
+      <TenantImport
+        open={importDialogOpen}
+        onClose={() => setImportDialogOpen(false)}
+        onSuccess={handleImportSuccess}
+      />
+
       <TenantDetails
         open={detailsDialogOpen}
         onClose={() => setDetailsDialogOpen(false)}
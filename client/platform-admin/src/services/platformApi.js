@@ -39,7 +39,10 @@ platformApi.interceptors.response.use(
       // Server responded with error status
       const { status, data } = error.response;
 
-      if (status === 401) {
+      // A rejected sign-in or two-factor code is shown on the login page itself
+      const isSignInRequest = ['/auth/login', '/auth/mfa/setup', '/auth/mfa/enable'].includes(error.config?.url);
+
+      if (status === 401 && !isSignInRequest) {
         // Unauthorized - redirect to login
         ls.remove('platformToken');
         window.location.href = '/login';
@@ -167,4 +170,42 @@ export const platformService = {
   }
 };
 
+// Enrollment enforced at sign-in authenticates with the setup token instead of a session
+const setupTokenConfig = (setupToken) => (
+  setupToken ? { headers: { 'X-MFA-Setup-Token': setupToken } } : undefined
+);
+
+// Two-factor authentication of the signed-in platform user
+export const mfaService = {
+  async getStatus() {
+    const response = await platformApi.get('/auth/mfa/status');
+    return response.data.data;
+  },
+
+  async setup(setupToken) {
+    const response = await platformApi.post('/auth/mfa/setup', {}, setupTokenConfig(setupToken));
+    return response.data.data;
+  },
+
+  async enable(token, setupToken) {
+    const response = await platformApi.post('/auth/mfa/enable', { token }, setupTokenConfig(setupToken));
+    return response.data.data;
+  },
+
+  async regenerateRecoveryCodes(token) {
+    const response = await platformApi.post('/auth/mfa/recovery-codes', { token });
+    return response.data.data.recoveryCodes;
+  },
+
+  async disable({ password, token, recoveryCode }) {
+    const response = await platformApi.post('/auth/mfa/disable', { password, token, recoveryCode });
+    return response.data.data;
+  },
+
+  async resetUser(userId) {
+    const response = await platformApi.post(`/auth/mfa/reset/${userId}`);
+    return response.data.data;
+  }
+};
+
 export default platformApi;
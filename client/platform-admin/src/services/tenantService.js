@@ -31,6 +31,22 @@ const tenantService = {
     }
   },
 
+  // Create tenant from a backup file, e.g. exported by another installation
+  importTenant: async (file, { name, adminUser }) => {
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      if (name) formData.append('name', name);
+      formData.append('adminUser', JSON.stringify(adminUser));
+      const response = await platformApi.post('/tenants/import', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' },
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Update tenant
   updateTenant: async (tenantId, tenantData) => {
     try {
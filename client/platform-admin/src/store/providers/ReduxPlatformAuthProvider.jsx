@@ -1,7 +1,7 @@
 import { useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAppDispatch, useAppSelector } from '../hooks';
-import { checkAuthAsync, logoutAsync, loginAsync } from '../slices/platformAuthSlice';
+import { checkAuthAsync, logoutAsync, loginAsync, completeLoginAsync } from '../slices/platformAuthSlice';
 
 // Redux-based Platform Auth Provider that maintains the same interface as the original context
 export const ReduxPlatformAuthProvider = ({ children }) => {
@@ -23,9 +23,20 @@ export const usePlatformAuth = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated, loading, error } = useAppSelector(state => state.platformAuth);
 
-  const login = async (email, password) => {
+  // secondFactor is { mfaToken } or { recoveryCode } when the account uses two-factor authentication
+  const login = async (email, password, secondFactor = {}) => {
     try {
-      await dispatch(loginAsync({ email, password })).unwrap();
+      const result = await dispatch(loginAsync({ email, password, ...secondFactor })).unwrap();
+
+      if (result.requiresMFA || result.requiresMFASetup) {
+        return {
+          success: false,
+          requiresMFA: Boolean(result.requiresMFA),
+          requiresMFASetup: Boolean(result.requiresMFASetup),
+          mfaSetupToken: result.mfaSetupToken,
+        };
+      }
+
       return { success: true };
     } catch (error) {
       return {
@@ -35,6 +46,11 @@ export const usePlatformAuth = () => {
     }
   };
 
+  // Finish a sign-in that completed two-factor setup, with the session it returned
+  const completeLogin = async ({ token, user }) => {
+    await dispatch(completeLoginAsync({ token, user }));
+  };
+
   const logout = async () => {
     await dispatch(logoutAsync());
     navigate('/login');
@@ -45,6 +61,7 @@ export const usePlatformAuth = () => {
     isAuthenticated,
     loading,
     login,
+    completeLogin,
     logout,
     error
   };
@@ -15,24 +15,35 @@ const initialState = {
 };
 
 // Async thunks
+// Keep the platform session for later requests
+const storeSession = (token) => {
+  ls.set('platformToken', token);
+  platformApi.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+};
+
 export const loginAsync = createAsyncThunk(
   'platformAuth/login',
-  async ({ email, password }, { rejectWithValue }) => {
+  async ({ email, password, mfaToken, recoveryCode }, { rejectWithValue }) => {
     try {
       console.log('Attempting login with:', email);
       const response = await platformApi.post('/auth/login', {
         email,
         password,
+        mfaToken,
+        recoveryCode,
       });
 
       console.log('Login response:', response.data);
-      const { token, user } = response.data.data;
 
-      // Store token securely
-      ls.set('platformToken', token);
+      // Password accepted but a two-factor code or two-factor setup is still needed
+      if (response.data.data.requiresMFA || response.data.data.requiresMFASetup) {
+        return response.data.data;
+      }
 
-      // Set token in API client
-      platformApi.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      const { token, user } = response.data.data;
+
+      // Store token securely and set it in API client
+      storeSession(token);
 
       console.log('Login successful for user:', user.email);
       return { token, user };
@@ -51,6 +62,15 @@ export const loginAsync = createAsyncThunk(
   }
 );
 
+// Sign in with the session returned by enforced two-factor setup
+export const completeLoginAsync = createAsyncThunk(
+  'platformAuth/completeLogin',
+  async ({ token, user }) => {
+    storeSession(token);
+    return { token, user };
+  }
+);
+
 export const logoutAsync = createAsyncThunk(
   'platformAuth/logout',
   async (_, { rejectWithValue }) => {
@@ -122,6 +142,16 @@ const platformAuthSlice = createSlice({
       })
       .addCase(loginAsync.fulfilled, (state, action) => {
         state.loading = false;
+        if (!action.payload.token) {
+          // Waiting for the second factor
+          return;
+        }
+        state.user = action.payload.user;
+        state.isAuthenticated = true;
+        state.error = null;
+        state.lastSuccessfulOperation = new Date().toISOString();
+      })
+      .addCase(completeLoginAsync.fulfilled, (state, action) => {
         state.user = action.payload.user;
         state.isAuthenticated = true;
         state.error = null;
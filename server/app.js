@@ -5,6 +5,7 @@ import mongoSanitize from 'express-mongo-sanitize';
 import compression from 'compression';
 import cookieParser from 'cookie-parser';
 import { tenantContext } from './shared/middleware/tenantContext.js';
+import { apiKeyAuth } from './modules/hr-core/apiKeys/middleware/apiKeyAuth.js';
 import { loadCoreRoutes, loadModuleRoutes } from './config/moduleRegistry.js';
 import { MODULES } from './shared/constants/modules.js';
 import moduleInitializer from './core/registry/moduleInitializer.js';
@@ -192,6 +193,9 @@ if (process.env.NODE_ENV === 'development') {
     app.use(namespaceValidator({ strict: false }));
 }
 
+// API key authentication for integrations; requests without a key use the session auth
+app.use('/api/v1', apiKeyAuth);
+
 // Tenant context middleware (applies to tenant routes only, not platform routes)
 app.use(tenantContext);
 
@@ -329,6 +333,9 @@ export const initializeRoutes = async () => {
     // The module routes include both availability and license checks
     await loadModuleRoutes(app, MODULES.LIFE_INSURANCE);
 
+    // Clinic module - access checked by requireModule('clinic') in its routes
+    await loadModuleRoutes(app, 'clinic');
+
     // Ensure forget-checks route is loaded (temporary fix until module registry is fully working)
     try {
         const forgetCheckRoutes = await import('./modules/hr-core/attendance/routes/forgetCheck.routes.js');
@@ -18,7 +18,15 @@ export const moduleRegistry = {
             requests: () => import('../modules/hr-core/requests/routes.js'),
             vacations: () => import('../modules/hr-core/vacations/routes.js'),
             'sick-leaves': () => import('../modules/hr-core/vacations/routes/sickLeave.routes.js'),
+            'leave-policies': () => import('../modules/hr-core/vacations/routes/leavePolicy.routes.js'),
+            approvals: () => import('../modules/hr-core/approvals/routes/approval.routes.js'),
+            checklists: () => import('../modules/hr-core/checklists/routes/checklist.routes.js'),
+            webhooks: () => import('../modules/hr-core/webhooks/routes/webhook.routes.js'),
+            'api-keys': () => import('../modules/hr-core/apiKeys/routes/apiKey.routes.js'),
+            'data-subject-requests': () => import('../modules/hr-core/privacy/routes/dataSubjectRequest.routes.js'),
+            'tenant-backups': () => import('../modules/hr-core/tenantBackups/routes/tenantBackup.routes.js'),
             'forget-checks': () => import('../modules/hr-core/attendance/routes/forgetCheck.routes.js'),
+            shifts: () => import('../modules/hr-core/attendance/routes/shift.routes.js'),
             'resigned-employees': () => import('../modules/hr-core/users/routes/resignedEmployee.routes.js'),
             'backups': () => import('../modules/hr-core/routes/backup.routes.js'),
             dashboard: () => import('../modules/dashboard/routes/dashboard.routes.js')
@@ -65,6 +73,13 @@ export const moduleRegistry = {
             'life-insurance': () => import('../modules/life-insurance/routes/insuranceRoutes.js')
         },
         basePath: '/api/v1'
+    },
+    // Clinic has no MODULES constant yet; its routes guard with requireModule('clinic')
+    clinic: {
+        routes: {
+            'clinic': () => import('../modules/clinic/routes/clinicRoutes.js')
+        },
+        basePath: '/api/v1'
     }
     // Add other modules here as they are implemented
 };
@@ -0,0 +1,62 @@
+/**
+ * Multi-Factor Authentication Schema
+ *
+ * Sub-document shared by tenant users and platform users. Secrets and
+ * recovery code hashes are never selected unless asked for explicitly:
+ * `.select('+mfa.secret +mfa.recoveryCodes')`.
+ */
+
+import mongoose from 'mongoose';
+
+// Fields holding secrets, for `.select()`
+export const MFA_SECRET_FIELDS = '+mfa.secret +mfa.recoveryCodes +mfa.pendingSecret';
+
+const recoveryCodeSchema = new mongoose.Schema({
+    hash: {
+        type: String,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+const mfaSchema = new mongoose.Schema({
+    enabled: {
+        type: Boolean,
+        default: false
+    },
+    secret: {
+        type: String,
+        select: false
+    },
+    enabledAt: Date,
+    disabledAt: Date,
+    // Time step of the last accepted code, so a code cannot be used twice
+    lastUsedStep: {
+        type: Number,
+        default: null
+    },
+    recoveryCodes: {
+        type: [recoveryCodeSchema],
+        select: false
+    },
+    // Secret shown during enrollment, kept until the first code confirms it
+    pendingSecret: {
+        type: String,
+        select: false
+    },
+    pendingCreatedAt: Date
+}, { _id: false });
+
+// Secrets stay on the server even when a document loaded with them is serialized
+mfaSchema.set('toJSON', {
+    transform: (doc, ret) => ({
+        enabled: ret.enabled,
+        enabledAt: ret.enabledAt,
+        disabledAt: ret.disabledAt
+    })
+});
+
+export default mfaSchema;
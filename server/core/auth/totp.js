@@ -0,0 +1,221 @@
+/**
+ * Time-based One-Time Passwords
+ *
+ * HOTP (RFC 4226) and TOTP (RFC 6238) with SHA-1, 6 digits and 30 second
+ * steps, the parameters authenticator apps such as Google Authenticator use.
+ * Secrets are exchanged as RFC 4648 base32 strings.
+ */
+
+import crypto from 'crypto';
+import { URLSearchParams } from 'url';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Recovery codes avoid characters that are easy to misread (0/O, 1/I/L)
+const RECOVERY_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+export const TOTP_DEFAULTS = {
+    digits: 6,
+    step: 30, // seconds
+    window: 1 // accepted steps before and after the current one, for clock drift
+};
+
+/**
+ * Encode bytes as base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=-]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} bytes - 20 bytes matches the SHA-1 block recommendation of RFC 4226
+ * @returns {string}
+ */
+export const generateSecret = (bytes = 20) => base32Encode(crypto.randomBytes(bytes));
+
+/**
+ * HMAC-based one-time password
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} digits
+ * @returns {string}
+ */
+export const generateHOTP = (secret, counter, digits = TOTP_DEFAULTS.digits) => {
+    // The counter is an 8 byte big-endian integer
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+    // Dynamic truncation
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = ((hmac[offset] & 0x7f) << 24) |
+                 ((hmac[offset + 1] & 0xff) << 16) |
+                 ((hmac[offset + 2] & 0xff) << 8) |
+                 (hmac[offset + 3] & 0xff);
+
+    return (code % 10 ** digits).toString().padStart(digits, '0');
+};
+
+/**
+ * Time step a moment falls in
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} step - Step length in seconds
+ * @returns {number}
+ */
+export const getTimeStep = (time = Date.now(), step = TOTP_DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+/**
+ * Time-based one-time password
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { time, step, digits }
+ * @returns {string}
+ */
+export const generateTOTP = (secret, options = {}) => {
+    const { time = Date.now(), step = TOTP_DEFAULTS.step, digits = TOTP_DEFAULTS.digits } = options;
+    return generateHOTP(secret, getTimeStep(time, step), digits);
+};
+
+/**
+ * Verify a time-based one-time password
+ * Steps at or before `lastUsedStep` are refused so a code cannot be replayed.
+ * @param {string} token - Code entered by the user
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options] - { time, step, digits, window, lastUsedStep }
+ * @returns {number|null} Time step the code matched, or null
+ */
+export const verifyTOTP = (token, secret, options = {}) => {
+    const {
+        time = Date.now(),
+        step = TOTP_DEFAULTS.step,
+        digits = TOTP_DEFAULTS.digits,
+        window = TOTP_DEFAULTS.window,
+        lastUsedStep = null
+    } = options;
+
+    const code = String(token ?? '').replace(/\s/g, '');
+    if (!secret || !new RegExp(`^\\d{${digits}}$`).test(code)) {
+        return null;
+    }
+
+    const current = getTimeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = current + offset;
+        if (lastUsedStep !== null && candidate <= lastUsedStep) continue;
+
+        const expected = generateHOTP(secret, candidate, digits);
+        if (crypto.timingSafeEqual(Buffer.from(code), Buffer.from(expected))) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * otpauth:// URI understood by authenticator apps, usually shown as a QR code
+ * @param {Object} options - { secret, accountName, issuer, digits, step }
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer, digits = TOTP_DEFAULTS.digits, step = TOTP_DEFAULTS.step }) => {
+    const label = issuer
+        ? `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`
+        : encodeURIComponent(accountName);
+    const params = new URLSearchParams({
+        secret,
+        algorithm: 'SHA1',
+        digits: String(digits),
+        period: String(step)
+    });
+    if (issuer) {
+        params.set('issuer', issuer);
+    }
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Recovery code in a comparable form
+ */
+export const normalizeRecoveryCode = (code) => String(code ?? '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Hash of a recovery code; only hashes are stored
+ */
+export const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+/**
+ * Generate one-time recovery codes formatted as XXXXX-XXXXX
+ * @param {number} count
+ * @returns {string[]}
+ */
+export const generateRecoveryCodes = (count) => Array.from({ length: count }, () => {
+    const chars = Array.from({ length: 10 }, () => RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)]);
+    return `${chars.slice(0, 5).join('')}-${chars.slice(5).join('')}`;
+});
+
+export default {
+    TOTP_DEFAULTS,
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    getTimeStep,
+    generateTOTP,
+    verifyTOTP,
+    buildOtpauthUri,
+    normalizeRecoveryCode,
+    hashRecoveryCode,
+    generateRecoveryCodes
+};
@@ -42,7 +42,13 @@ export const AUTH_ERRORS = {
     TOKEN_EXPIRED: 'TOKEN_EXPIRED',
     INSUFFICIENT_PERMISSIONS: 'INSUFFICIENT_PERMISSIONS',
     UNAUTHORIZED: 'UNAUTHORIZED',
-    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS'
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    INVALID_MFA_TOKEN: 'INVALID_MFA_TOKEN',
+    MFA_SETUP_EXPIRED: 'MFA_SETUP_EXPIRED',
+    MFA_NOT_ENABLED: 'MFA_NOT_ENABLED',
+    MFA_ALREADY_ENABLED: 'MFA_ALREADY_ENABLED',
+    MFA_UNAVAILABLE: 'MFA_UNAVAILABLE',
+    MFA_ENFORCED: 'MFA_ENFORCED'
 };
 
 // Validation Errors (400)
@@ -0,0 +1,135 @@
+/**
+ * Internationalization
+ *
+ * Languages the HR app and its emails are available in, and helpers to
+ * translate and format values in a user's language. Each module keeps its own
+ * message catalog ({ en: {...}, ar: {...} }) and translates it with
+ * createTranslator; missing Arabic messages fall back to English.
+ */
+
+export const SUPPORTED_LANGUAGES = ['en', 'ar'];
+export const DEFAULT_LANGUAGE = 'en';
+
+// Intl locales used to format dates and numbers
+const LOCALES = {
+    en: 'en-US',
+    ar: 'ar-EG'
+};
+
+const RTL_LANGUAGES = ['ar'];
+
+/**
+ * Check a language code against the supported languages
+ * @param {string} language
+ * @returns {boolean}
+ */
+export const isSupportedLanguage = (language) => SUPPORTED_LANGUAGES.includes(language);
+
+/**
+ * Supported language for a code such as 'ar', 'ar-EG' or 'en_US'
+ * @param {string} language
+ * @returns {string} Supported language, DEFAULT_LANGUAGE when unknown
+ */
+export const normalizeLanguage = (language) => {
+    const base = String(language || '').toLowerCase().split(/[-_]/)[0];
+    return isSupportedLanguage(base) ? base : DEFAULT_LANGUAGE;
+};
+
+/**
+ * Preferred language of a user
+ * @param {Object} user - User with preferences.language
+ * @returns {string}
+ */
+export const getUserLanguage = (user) => normalizeLanguage(user?.preferences?.language);
+
+/**
+ * Text direction of a language
+ * @param {string} language
+ * @returns {'ltr'|'rtl'}
+ */
+export const getDirection = (language) => (RTL_LANGUAGES.includes(normalizeLanguage(language)) ? 'rtl' : 'ltr');
+
+/**
+ * Intl locale of a language
+ * @param {string} language
+ * @returns {string}
+ */
+export const getLocale = (language) => LOCALES[normalizeLanguage(language)];
+
+/**
+ * lang and dir attributes for the root element of an HTML email
+ * @param {string} language
+ * @returns {string}
+ */
+export const htmlAttributes = (language) => `lang="${normalizeLanguage(language)}" dir="${getDirection(language)}"`;
+
+/**
+ * Replace {name} placeholders with params; unknown placeholders are kept
+ * @param {string} message
+ * @param {Object} [params]
+ * @returns {string}
+ */
+export const interpolate = (message, params = {}) =>
+    message.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] ?? placeholder));
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+/**
+ * Translation function for a message catalog
+ * @param {Object} catalog - Messages by language, with nested keys
+ * @param {string} language
+ * @returns {Function} t(key, params) returning the message, or the key when it is missing
+ */
+export const createTranslator = (catalog, language) => {
+    const messages = catalog[normalizeLanguage(language)];
+    const fallback = catalog[DEFAULT_LANGUAGE];
+
+    return (key, params) => {
+        const message = lookup(messages, key) ?? lookup(fallback, key);
+        return typeof message === 'string' ? interpolate(message, params) : key;
+    };
+};
+
+/**
+ * Format a date in a language
+ * @param {Date|string|number} date
+ * @param {string} language
+ * @param {Object} [options] - Intl.DateTimeFormat options, long date by default
+ * @returns {string} Formatted date, '' when the date is missing or invalid
+ */
+export const formatDate = (date, language, options = { year: 'numeric', month: 'long', day: 'numeric' }) => {
+    if (date === null || date === undefined || date === '') {
+        return '';
+    }
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) {
+        return '';
+    }
+
+    return new Intl.DateTimeFormat(getLocale(language), options).format(value);
+};
+
+/**
+ * Format a number in a language
+ * @param {number} value
+ * @param {string} language
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+export const formatNumber = (value, language, options) =>
+    new Intl.NumberFormat(getLocale(language), options).format(value);
+
+export default {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    isSupportedLanguage,
+    normalizeLanguage,
+    getUserLanguage,
+    getDirection,
+    getLocale,
+    htmlAttributes,
+    interpolate,
+    createTranslator,
+    formatDate,
+    formatNumber
+};
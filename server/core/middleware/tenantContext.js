@@ -45,10 +45,13 @@ const extractToken = (req) => {
  */
 export const tenantContext = async (req, res, next) => {
     try {
+        // Requests authenticated by an API key already carry their tenant and user
+        const isApiKeyRequest = !!(req.apiKey && req.user);
+
         // Extract token from request
-        const token = extractToken(req);
+        const token = isApiKeyRequest ? null : extractToken(req);
         
-        if (!token) {
+        if (!token && !isApiKeyRequest) {
             throw new AppError(
                 'No authentication token provided',
                 401,
@@ -57,10 +60,10 @@ export const tenantContext = async (req, res, next) => {
         }
 
         // Verify and decode token
-        const decoded = verifyTenantToken(token);
+        const decoded = isApiKeyRequest ? null : verifyTenantToken(token);
         
         // Extract tenantId from token
-        const tenantId = decoded.tenantId;
+        const tenantId = isApiKeyRequest ? req.apiKey.tenantId : decoded.tenantId;
         
         if (!tenantId) {
             throw new AppError(
@@ -144,11 +147,13 @@ export const tenantContext = async (req, res, next) => {
         req.tenant = tenant;
         
         // Also inject user info from token
-        req.user = {
-            id: decoded.userId,
-            role: decoded.role,
-            tenantId: tenantId
-        };
+        if (!isApiKeyRequest) {
+            req.user = {
+                id: decoded.userId,
+                role: decoded.role,
+                tenantId: tenantId
+            };
+        }
 
         next();
     } catch (error) {
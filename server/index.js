@@ -8,6 +8,15 @@ import licenseFileLoader from './platform/system/services/licenseFileLoader.serv
 import licenseWebSocketService from './platform/system/services/licenseWebSocket.service.js';
 import redisService from './core/services/redis.service.js';
 import licenseMonitoringJob from './jobs/licenseMonitoring.job.js';
+import leaveBalanceJob from './jobs/leaveBalance.job.js';
+import approvalEscalationJob from './jobs/approvalEscalation.job.js';
+import checklistReminderJob from './jobs/checklistReminder.job.js';
+import clinicAppointmentReminderJob from './jobs/clinicAppointmentReminder.job.js';
+import notificationDigestJob from './jobs/notificationDigest.job.js';
+import reportScheduleJob from './jobs/reportSchedule.job.js';
+import webhookRetryJob from './jobs/webhookRetry.job.js';
+import tenantBackupJob from './jobs/tenantBackup.job.js';
+import notificationStreamService from './modules/notifications/services/notificationStream.service.js';
 import licenseValidationService from './services/licenseValidationService.js';
 import realtimeMonitoringService from './services/realtimeMonitoring.service.js';
 import BackupIntegration from './services/backupIntegration.js';
@@ -113,6 +122,38 @@ const startServer = async () => {
         licenseMonitoringJob.start();
         console.log('✓ License monitoring job started');
 
+        // Start leave balance recalculation and year-end carry-over
+        leaveBalanceJob.start();
+        console.log('✓ Leave balance job started');
+
+        // Escalate approval steps past their deadline
+        approvalEscalationJob.start();
+        console.log('✓ Approval escalation job started');
+
+        // Remind assignees of due onboarding and offboarding tasks
+        checklistReminderJob.start();
+        console.log('✓ Checklist reminder job started');
+
+        // Remind employees of clinic appointments and mark no-shows
+        clinicAppointmentReminderJob.start();
+        console.log('✓ Clinic appointment reminder job started');
+
+        // Email the daily notification digest
+        notificationDigestJob.start();
+        console.log('✓ Notification digest job started');
+
+        // Run scheduled reports and email their exports
+        reportScheduleJob.start();
+        console.log('✓ Report schedule job started');
+
+        // Retry failed webhook deliveries with backoff
+        webhookRetryJob.start();
+        console.log('✓ Webhook retry job started');
+
+        // Nightly per-tenant backups
+        tenantBackupJob.start();
+        console.log('✓ Tenant backup job started');
+
         // Initialize and start license validation service
         const licenseServiceInitialized = await licenseValidationService.initialize();
         if (licenseServiceInitialized) {
@@ -169,6 +210,9 @@ const gracefulShutdown = async (signal) => {
     // Shutdown real-time monitoring service
     realtimeMonitoringService.shutdown();
 
+    // Close open notification streams
+    notificationStreamService.shutdown();
+
     // Shutdown license validation service
     licenseValidationService.stop();
 
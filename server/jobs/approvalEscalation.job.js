@@ -0,0 +1,56 @@
+// jobs/approvalEscalation.job.js
+import cron from 'node-cron';
+import ApprovalWorkflowService from '../modules/hr-core/approvals/services/ApprovalWorkflowService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Approval Escalation Job
+ * Hands approval steps nobody decided within the chain's deadline
+ * to the step's escalation approvers.
+ */
+class ApprovalEscalationJob {
+    constructor() {
+        this.approvalWorkflowService = new ApprovalWorkflowService();
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Check for overdue approvals every hour
+        cron.schedule('15 * * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Approval escalation job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Approval escalation job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { escalated, failed } = await this.approvalWorkflowService.escalateOverdue();
+            if (escalated || failed) {
+                logger.info(`Approval escalation: ${escalated} escalated, ${failed} failed`);
+            }
+        } catch (error) {
+            logger.error('Error during approval escalation', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const approvalEscalationJob = new ApprovalEscalationJob();
+export default approvalEscalationJob;
@@ -0,0 +1,56 @@
+// jobs/checklistReminder.job.js
+import cron from 'node-cron';
+import ChecklistService from '../modules/hr-core/checklists/services/ChecklistService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Checklist Reminder Job
+ * Reminds assignees of onboarding and offboarding tasks that are due
+ * soon or overdue.
+ */
+class ChecklistReminderJob {
+    constructor() {
+        this.checklistService = new ChecklistService();
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Send reminders every morning
+        cron.schedule('0 8 * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Checklist reminder job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Checklist reminder job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { reminded } = await this.checklistService.sendReminders();
+            if (reminded) {
+                logger.info(`Checklist reminders: ${reminded} task(s) reminded`);
+            }
+        } catch (error) {
+            logger.error('Error sending checklist reminders', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const checklistReminderJob = new ChecklistReminderJob();
+export default checklistReminderJob;
@@ -0,0 +1,55 @@
+// jobs/clinicAppointmentReminder.job.js
+import cron from 'node-cron';
+import appointmentService from '../modules/clinic/services/appointmentService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Clinic Appointment Reminder Job
+ * Reminds employees of upcoming clinic appointments and marks appointments
+ * nobody checked in for as no-shows once the grace period has passed.
+ */
+class ClinicAppointmentReminderJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Every 15 minutes, so reminders and no-shows follow the slot times closely
+        cron.schedule('*/15 * * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Clinic appointment reminder job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Clinic appointment reminder job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { reminded, noShows } = await appointmentService.processReminders();
+            if (reminded || noShows) {
+                logger.info(`Clinic appointments: ${reminded} reminder(s) sent, ${noShows} no-show(s) marked`);
+            }
+        } catch (error) {
+            logger.error('Error processing clinic appointment reminders', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const clinicAppointmentReminderJob = new ClinicAppointmentReminderJob();
+export default clinicAppointmentReminderJob;
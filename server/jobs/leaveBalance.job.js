@@ -0,0 +1,135 @@
+// jobs/leaveBalance.job.js
+import cron from 'node-cron';
+import LeavePolicyService from '../modules/hr-core/vacations/services/LeavePolicyService.js';
+import User from '../modules/hr-core/users/models/user.model.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Leave Balance Job
+ * Keeps vacation balances in line with tenant leave policies:
+ * nightly recalculation (monthly accrual, carry-over expiry, policy changes)
+ * and the year-end carry-over on January 1st.
+ */
+class LeaveBalanceJob {
+    constructor() {
+        this.leavePolicyService = new LeavePolicyService();
+        this.isRunning = false;
+        // Latest run per tenant: { type, status, startedAt, finishedAt, result, error }
+        this.runs = new Map();
+    }
+
+    /**
+     * Start the scheduled runs
+     */
+    start() {
+        // Recalculate current-year balances daily at 1:30 AM
+        cron.schedule('30 1 * * *', async () => {
+            logger.info('Running scheduled leave balance recalculation');
+            await this.recalculateAll();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        // Carry over last year's unused days on January 1st at 2:00 AM
+        cron.schedule('0 2 1 1 *', async () => {
+            logger.info('Running leave balance carry-over');
+            await this.carryOverAll(new Date().getFullYear() - 1);
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Leave balance job started');
+    }
+
+    /**
+     * Recalculate the balances of every tenant
+     */
+    async recalculateAll(year = new Date().getFullYear()) {
+        if (this.isRunning) {
+            logger.warn('Leave balance job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const tenants = await User.distinct('tenantId');
+            for (const tenantId of tenants.filter(Boolean)) {
+                await this._run(tenantId, 'recalculate', () => this.leavePolicyService.recalculateBalances(tenantId, { year }));
+            }
+        } catch (error) {
+            logger.error('Error during leave balance recalculation', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Carry over the closed year for every tenant
+     */
+    async carryOverAll(fromYear) {
+        if (this.isRunning) {
+            logger.warn('Leave balance job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const tenants = await User.distinct('tenantId');
+            for (const tenantId of tenants.filter(Boolean)) {
+                await this._run(tenantId, 'carry-over', () => this.leavePolicyService.carryOverBalances(tenantId, fromYear));
+            }
+        } catch (error) {
+            logger.error('Error during leave balance carry-over', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Start a recalculation for one tenant in the background (admin request)
+     * @returns {Object} The run record
+     * @throws {Error} If a run for the tenant is still in progress
+     */
+    startTenantRecalculation(tenantId, options = {}) {
+        if (this.runs.get(tenantId)?.status === 'running') {
+            throw new Error('A leave balance recalculation is already running');
+        }
+
+        this._run(tenantId, 'recalculate', () => this.leavePolicyService.recalculateBalances(tenantId, options));
+        return this.getStatus(tenantId);
+    }
+
+    /**
+     * Latest run for a tenant
+     */
+    getStatus(tenantId) {
+        return this.runs.get(tenantId) || { status: 'idle' };
+    }
+
+    async _run(tenantId, type, task) {
+        const run = { type, status: 'running', startedAt: new Date(), finishedAt: null, result: null, error: null };
+        this.runs.set(tenantId, run);
+
+        try {
+            run.result = await task();
+            run.status = 'completed';
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+            logger.error(`Leave balance ${type} failed for tenant ${tenantId}: ${error.message}`);
+        } finally {
+            run.finishedAt = new Date();
+        }
+        return run;
+    }
+}
+
+// Export singleton instance
+const leaveBalanceJob = new LeaveBalanceJob();
+export default leaveBalanceJob;
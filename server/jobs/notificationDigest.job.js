@@ -0,0 +1,56 @@
+// jobs/notificationDigest.job.js
+import cron from 'node-cron';
+import NotificationService from '../modules/notifications/services/NotificationService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Notification Digest Job
+ * Emails each user one summary of the notifications they chose to
+ * receive in the daily digest instead of one email each.
+ */
+class NotificationDigestJob {
+    constructor() {
+        this.notificationService = new NotificationService();
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Send the digest every morning
+        cron.schedule(process.env.NOTIFICATION_DIGEST_CRON || '0 7 * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Notification digest job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Notification digest job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { sent, failed } = await this.notificationService.sendDailyDigests();
+            if (sent || failed) {
+                logger.info(`Notification digest: ${sent} sent, ${failed} failed`);
+            }
+        } catch (error) {
+            logger.error('Error during notification digest', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const notificationDigestJob = new NotificationDigestJob();
+export default notificationDigestJob;
@@ -0,0 +1,56 @@
+// jobs/reportSchedule.job.js
+import cron from 'node-cron';
+import ReportExecutionService from '../modules/reports/services/ReportExecutionService.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Report Schedule Job
+ * Runs scheduled reports that are due and emails each export
+ * to the report's recipients.
+ */
+class ReportScheduleJob {
+    constructor() {
+        this.reportExecutionService = new ReportExecutionService();
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Look for due reports every five minutes
+        cron.schedule(process.env.REPORT_SCHEDULE_CRON || '*/5 * * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Report schedule job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Report schedule job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { executed, failed } = await this.reportExecutionService.runScheduledReports();
+            if (executed || failed) {
+                logger.info(`Scheduled reports: ${executed} executed, ${failed} failed`);
+            }
+        } catch (error) {
+            logger.error('Error during scheduled report run', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const reportScheduleJob = new ReportScheduleJob();
+export default reportScheduleJob;
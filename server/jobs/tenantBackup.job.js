@@ -0,0 +1,55 @@
+// jobs/tenantBackup.job.js
+import cron from 'node-cron';
+import TenantBackupService from '../modules/hr-core/tenantBackups/services/TenantBackupService.js';
+import logger from '../utils/logger.js';
+
+const tenantBackupService = new TenantBackupService();
+
+/**
+ * Tenant Backup Job
+ * Backs up each active tenant every night and removes scheduled backups
+ * older than TENANT_BACKUP_RETENTION_DAYS (default 14).
+ */
+class TenantBackupJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Nightly, outside working hours
+        cron.schedule('30 1 * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Tenant backup job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Tenant backup job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { created, failed, removed } = await tenantBackupService.runScheduledBackups();
+            logger.info(`Tenant backups: ${created} created, ${failed} failed, ${removed} expired removed`);
+        } catch (error) {
+            logger.error('Error running tenant backups', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const tenantBackupJob = new TenantBackupJob();
+export default tenantBackupJob;
@@ -0,0 +1,57 @@
+// jobs/webhookRetry.job.js
+import cron from 'node-cron';
+import WebhookService from '../modules/hr-core/webhooks/services/WebhookService.js';
+import logger from '../utils/logger.js';
+
+const webhookService = new WebhookService();
+
+/**
+ * Webhook Retry Job
+ * Attempts webhook deliveries whose backoff has elapsed, and deliveries
+ * whose first attempt never ran (e.g. the server restarted mid-request).
+ */
+class WebhookRetryJob {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Start the scheduled run
+     */
+    start() {
+        // Every minute, the shortest retry delay
+        cron.schedule('* * * * *', async () => {
+            await this.run();
+        }, {
+            timezone: process.env.TIMEZONE || 'UTC'
+        });
+
+        logger.info('Webhook retry job started');
+    }
+
+    async run() {
+        if (this.isRunning) {
+            logger.warn('Webhook retry job already running, skipping');
+            return;
+        }
+
+        this.isRunning = true;
+        try {
+            const { attempted, succeeded, failed } = await webhookService.processRetries();
+            if (attempted) {
+                logger.info(`Webhook retries: ${attempted} attempted, ${succeeded} delivered, ${failed} given up`);
+            }
+        } catch (error) {
+            logger.error('Error retrying webhook deliveries', {
+                error: error.message,
+                stack: error.stack
+            });
+        } finally {
+            this.isRunning = false;
+        }
+    }
+}
+
+// Export singleton instance
+const webhookRetryJob = new WebhookRetryJob();
+export default webhookRetryJob;
@@ -8,6 +8,11 @@ import { logAuthEvent, logAccessControl } from './activityLogger.js';
  */
 export const protect = async (req, res, next) => {
     console.log('🔐 protect middleware called for:', req.method, req.path);
+    // Already authenticated by an API key (see hr-core/apiKeys/middleware/apiKeyAuth.js)
+    if (req.apiKey && req.user) {
+        return next();
+    }
+
     let token;
     if (
         req.headers.authorization &&
@@ -61,13 +61,13 @@ export const setTemplateCreatedBy = (req, res, next) => {
 };
 
 /**
- * Validate template file exists
+ * Validate template file (or merge content) exists
  */
 export const validateTemplateFile = (req, res, next) => {
-    if (!req.body.fileUrl && !req.file) {
+    if (!req.body.fileUrl && !req.file && !req.body.content) {
         return res.status(400).json({
             success: false,
-            message: 'Template file is required'
+            message: 'Template file or content is required'
         });
     }
     next();
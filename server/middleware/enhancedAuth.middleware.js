@@ -11,7 +11,19 @@ import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { body, validationResult } from 'express-validator';
+import QRCode from 'qrcode';
 import redisService from '../core/services/redis.service.js';
+import AppError from '../core/errors/AppError.js';
+import { ERROR_TYPES, AUTH_ERRORS } from '../core/errors/errorTypes.js';
+import {
+    generateSecret,
+    verifyTOTP,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from '../core/auth/totp.js';
+import { MFA_SECRET_FIELDS } from '../core/auth/mfaSchema.js';
+import SecuritySettings from '../platform/system/models/securitySettings.model.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -43,6 +55,16 @@ const SESSION_CONFIG = {
     rememberMeDuration: 30 * 24 * 60 * 60 * 1000 // 30 days
 };
 
+/**
+ * Two-factor authentication configuration
+ */
+const MFA_CONFIG = {
+    issuer: process.env.MFA_ISSUER || 'HRMS',
+    setupTimeout: 10 * 60 * 1000, // 10 minutes to scan the QR code and confirm
+    setupTokenExpiry: '15m',
+    recoveryCodesCount: 8
+};
+
 /**
  * Common weak passwords list (subset)
  */
@@ -469,71 +491,306 @@ export const authenticateSession = async (req, res, next) => {
 };
 
 /**
- * Multi-factor authentication setup
+ * Two-factor authentication policy from the platform security settings
+ * @returns {Promise<{enabled: boolean, enforced: boolean, recoveryCodesCount: number}>}
  */
-export const setupMFA = async (userId, secret = null) => {
-    try {
-        // Generate TOTP secret if not provided
-        const mfaSecret = secret || crypto.randomBytes(20).toString('base32');
-        
-        // Store MFA secret in Redis temporarily (until verified)
-        const mfaKey = `mfa_setup:${userId}`;
-        await redisService.set(mfaKey, {
-            secret: mfaSecret,
-            createdAt: new Date().toISOString()
-        }, 300); // 5 minutes to complete setup
-        
-        return {
-            secret: mfaSecret,
-            qrCodeUrl: `otpauth://totp/HRMS:${userId}?secret=${mfaSecret}&issuer=HRMS`
-        };
-    } catch (error) {
-        logger.error('MFA setup failed', {
-            userId,
-            error: error.message
-        });
-        throw new Error('MFA setup failed');
+export const getMFAPolicy = async () => {
+    const settings = await SecuritySettings.getSettings();
+    const twoFactorAuth = settings.twoFactorAuth || {};
+
+    return {
+        enabled: Boolean(twoFactorAuth.enabled || twoFactorAuth.enforced),
+        enforced: Boolean(twoFactorAuth.enforced),
+        recoveryCodesCount: twoFactorAuth.backupCodesCount || MFA_CONFIG.recoveryCodesCount
+    };
+};
+
+/**
+ * Reload a user with the MFA secrets, which are never selected by default
+ * Works for tenant and platform users alike, on whichever connection the
+ * user was loaded from.
+ */
+const loadMFA = async (user) => {
+    const current = await user.constructor.findById(user._id).select(MFA_SECRET_FIELDS);
+    return current?.mfa || {};
+};
+
+const hashRecoveryCodes = (codes) => codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }));
+
+/**
+ * Start two-factor enrollment
+ * The secret is kept as pending until the first code confirms the user
+ * scanned it, so an abandoned setup never locks anyone out.
+ * @param {Object} user - Tenant or platform user document
+ * @param {Object} options - { accountName, issuer }
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ */
+export const setupMFA = async (user, options = {}) => {
+    if (user.mfa?.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, AUTH_ERRORS.MFA_ALREADY_ENABLED);
     }
+
+    const secret = generateSecret();
+    await user.constructor.updateOne({ _id: user._id }, {
+        $set: { 'mfa.pendingSecret': secret, 'mfa.pendingCreatedAt': new Date() }
+    });
+
+    const otpauthUrl = buildOtpauthUri({
+        secret,
+        accountName: options.accountName || user.email,
+        issuer: options.issuer || MFA_CONFIG.issuer
+    });
+
+    return {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
 };
 
 /**
- * Verify MFA token
+ * Verify a code against a secret
+ * @returns {boolean}
  */
-export const verifyMFA = (token, secret) => {
-    // Simple TOTP verification (in production, use a proper TOTP library)
-    const window = 30; // 30 second window
-    const currentTime = Math.floor(Date.now() / 1000 / window);
-    
-    // Check current window and adjacent windows for clock drift
-    for (let i = -1; i <= 1; i++) {
-        const timeStep = currentTime + i;
-        const expectedToken = generateTOTP(secret, timeStep);
-        
-        if (token === expectedToken) {
-            return true;
+export const verifyMFA = (token, secret) => verifyTOTP(token, secret) !== null;
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {Object} user - Tenant or platform user document
+ * @param {string} token - Code from the app
+ * @param {number} recoveryCodesCount
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+export const enableMFA = async (user, token, recoveryCodesCount = MFA_CONFIG.recoveryCodesCount) => {
+    const mfa = await loadMFA(user);
+
+    if (mfa.enabled) {
+        throw new AppError('Two-factor authentication is already enabled', 400, AUTH_ERRORS.MFA_ALREADY_ENABLED);
+    }
+
+    if (!mfa.pendingSecret || Date.now() - new Date(mfa.pendingCreatedAt).getTime() > MFA_CONFIG.setupTimeout) {
+        throw new AppError('Two-factor setup has expired, please start again', 400, AUTH_ERRORS.MFA_SETUP_EXPIRED);
+    }
+
+    const step = verifyTOTP(token, mfa.pendingSecret);
+    if (step === null) {
+        throw new AppError('Invalid authentication code', 400, AUTH_ERRORS.INVALID_MFA_TOKEN);
+    }
+
+    const recoveryCodes = generateRecoveryCodes(recoveryCodesCount);
+    const result = await user.constructor.updateOne(
+        { _id: user._id, 'mfa.pendingSecret': mfa.pendingSecret },
+        {
+            $set: {
+                'mfa.enabled': true,
+                'mfa.secret': mfa.pendingSecret,
+                'mfa.enabledAt': new Date(),
+                'mfa.lastUsedStep': step,
+                'mfa.recoveryCodes': hashRecoveryCodes(recoveryCodes)
+            },
+            $unset: { 'mfa.pendingSecret': '', 'mfa.pendingCreatedAt': '', 'mfa.disabledAt': '' }
         }
+    );
+
+    // A second setup started in the meantime replaced the secret this code was for
+    if (result.modifiedCount === 0) {
+        throw new AppError('Two-factor setup has expired, please start again', 400, AUTH_ERRORS.MFA_SETUP_EXPIRED);
     }
-    
-    return false;
+
+    logger.info('MFA enabled for user', { userId: user._id });
+
+    return recoveryCodes;
 };
 
 /**
- * Simple TOTP generation (use proper library in production)
+ * Check a second factor at sign-in
+ * An authenticator code is accepted once per time step and a recovery code
+ * once in total; both are consumed atomically so concurrent sign-ins cannot
+ * reuse them.
+ * @param {Object} user - Tenant or platform user document
+ * @param {Object} credentials - { token, recoveryCode }
+ * @returns {Promise<'totp'|'recovery'|null>} The factor that was accepted
  */
-const generateTOTP = (secret, timeStep) => {
-    // This is a simplified implementation
-    // In production, use a proper TOTP library like 'otplib'
-    const hash = crypto.createHmac('sha1', Buffer.from(secret, 'base32'));
-    hash.update(Buffer.from(timeStep.toString()));
-    const hmac = hash.digest();
-    
-    const offset = hmac[hmac.length - 1] & 0xf;
-    const code = ((hmac[offset] & 0x7f) << 24) |
-                 ((hmac[offset + 1] & 0xff) << 16) |
-                 ((hmac[offset + 2] & 0xff) << 8) |
-                 (hmac[offset + 3] & 0xff);
-    
-    return (code % 1000000).toString().padStart(6, '0');
+export const verifyMFALogin = async (user, { token, recoveryCode } = {}) => {
+    const mfa = await loadMFA(user);
+    if (!mfa.enabled || !mfa.secret) {
+        return null;
+    }
+
+    if (token) {
+        const step = verifyTOTP(token, mfa.secret, { lastUsedStep: mfa.lastUsedStep ?? null });
+        if (step === null) {
+            return null;
+        }
+
+        const result = await user.constructor.updateOne(
+            { _id: user._id, $or: [{ 'mfa.lastUsedStep': null }, { 'mfa.lastUsedStep': { $lt: step } }] },
+            { $set: { 'mfa.lastUsedStep': step } }
+        );
+        return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const result = await user.constructor.updateOne(
+            { _id: user._id, 'mfa.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+            { $set: { 'mfa.recoveryCodes.$.usedAt': new Date() } }
+        );
+        if (result.modifiedCount === 1) {
+            logger.warn('MFA recovery code used', { userId: user._id });
+            return 'recovery';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Decide what a sign-in that passed the password check still needs
+ * @param {Object} user - Tenant or platform user document
+ * @param {Object} credentials - { mfaToken, recoveryCode } from the login request
+ * @param {Object} [policy] - From getMFAPolicy, loaded when omitted
+ * @returns {Promise<'passed'|'required'|'invalid'|'setup-required'>}
+ */
+export const checkLoginMFA = async (user, { mfaToken, recoveryCode } = {}, policy = null) => {
+    if (user.mfa?.enabled) {
+        if (!mfaToken && !recoveryCode) {
+            return 'required';
+        }
+        return await verifyMFALogin(user, { token: mfaToken, recoveryCode }) ? 'passed' : 'invalid';
+    }
+
+    const { enforced } = policy || await getMFAPolicy();
+    return enforced ? 'setup-required' : 'passed';
+};
+
+/**
+ * Replace the recovery codes of a user, invalidating the old ones
+ * @returns {Promise<string[]>} New recovery codes
+ */
+export const regenerateRecoveryCodes = async (user, recoveryCodesCount = MFA_CONFIG.recoveryCodesCount) => {
+    if (!user.mfa?.enabled) {
+        throw new AppError('Two-factor authentication is not enabled', 400, AUTH_ERRORS.MFA_NOT_ENABLED);
+    }
+
+    const recoveryCodes = generateRecoveryCodes(recoveryCodesCount);
+    await user.constructor.updateOne({ _id: user._id }, {
+        $set: { 'mfa.recoveryCodes': hashRecoveryCodes(recoveryCodes) }
+    });
+
+    return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off and forget the secret
+ * Used when a user disables it and when an administrator resets it for a
+ * user who lost their device.
+ */
+export const disableMFA = async (user) => {
+    await user.constructor.updateOne({ _id: user._id }, {
+        $set: { 'mfa.enabled': false, 'mfa.disabledAt': new Date() },
+        $unset: {
+            'mfa.secret': '',
+            'mfa.recoveryCodes': '',
+            'mfa.lastUsedStep': '',
+            'mfa.pendingSecret': '',
+            'mfa.pendingCreatedAt': ''
+        }
+    });
+};
+
+/**
+ * Two-factor status for display; never includes secrets
+ */
+export const getMFAStatus = async (user, policy = null) => {
+    const mfa = await loadMFA(user);
+    const { enabled, enforced } = policy || await getMFAPolicy();
+
+    return {
+        enabled: Boolean(mfa.enabled),
+        enabledAt: mfa.enabledAt || null,
+        recoveryCodesRemaining: (mfa.recoveryCodes || []).filter(code => !code.usedAt).length,
+        available: enabled,
+        enforced
+    };
+};
+
+/**
+ * Setup tokens are signed with a key derived from the scope's JWT secret, so
+ * no regular authentication middleware accepts them as a session token.
+ */
+const getMFASetupSecret = (scope) => {
+    const base = scope === 'platform' ? process.env.PLATFORM_JWT_SECRET : process.env.TENANT_JWT_SECRET;
+    if (!base) {
+        throw new AppError(`${scope === 'platform' ? 'PLATFORM' : 'TENANT'}_JWT_SECRET is not configured`, 500, ERROR_TYPES.SYSTEM_CONFIGURATION_ERROR);
+    }
+
+    return crypto.createHmac('sha256', base).update('mfa-setup').digest('hex');
+};
+
+/**
+ * Short-lived token that only allows enrolling in two-factor authentication,
+ * issued at sign-in when enrollment is enforced and the user has not enrolled
+ * @param {Object} user - Tenant or platform user document
+ * @param {'tenant'|'platform'} scope
+ * @returns {string}
+ */
+export const generateMFASetupToken = (user, scope) => jwt.sign(
+    {
+        userId: user._id.toString(),
+        tenantId: user.tenantId,
+        role: user.role,
+        scope,
+        type: 'mfa-setup'
+    },
+    getMFASetupSecret(scope),
+    { expiresIn: MFA_CONFIG.setupTokenExpiry }
+);
+
+/**
+ * Verify a setup token
+ * @returns {Object} Decoded payload
+ * @throws {AppError} If the token is invalid, expired or for another scope
+ */
+export const verifyMFASetupToken = (token, scope) => {
+    try {
+        const decoded = jwt.verify(token, getMFASetupSecret(scope));
+        if (decoded.type !== 'mfa-setup' || decoded.scope !== scope) {
+            throw new Error('Invalid token type');
+        }
+        return decoded;
+    } catch (error) {
+        if (error instanceof AppError) throw error;
+        throw new AppError('Two-factor setup session is invalid or has expired, please sign in again', 401, AUTH_ERRORS.MFA_SETUP_EXPIRED);
+    }
+};
+
+/**
+ * Authenticate enrollment requests with either a setup token in the
+ * `X-MFA-Setup-Token` header or the scope's regular authentication
+ * The setup token's payload is attached as `req.mfaSetup`.
+ * @param {'tenant'|'platform'} scope
+ * @param {Function} authenticate - Regular authentication middleware
+ */
+export const authenticateMFASetup = (scope, authenticate) => (req, res, next) => {
+    const setupToken = req.get('X-MFA-Setup-Token');
+    if (!setupToken) {
+        return authenticate(req, res, next);
+    }
+
+    try {
+        req.mfaSetup = verifyMFASetupToken(setupToken, scope);
+        if (scope === 'tenant') {
+            req.user = { id: req.mfaSetup.userId, role: req.mfaSetup.role, tenantId: req.mfaSetup.tenantId };
+            req.tenantId = req.mfaSetup.tenantId;
+        }
+        next();
+    } catch (error) {
+        return res.status(error.statusCode || 401).json({
+            success: false,
+            message: error.message,
+            code: error.code
+        });
+    }
 };
 
 /**
@@ -567,7 +824,18 @@ export default {
     authenticateSession,
     setupMFA,
     verifyMFA,
+    enableMFA,
+    verifyMFALogin,
+    checkLoginMFA,
+    regenerateRecoveryCodes,
+    disableMFA,
+    getMFAStatus,
+    getMFAPolicy,
+    generateMFASetupToken,
+    verifyMFASetupToken,
+    authenticateMFASetup,
     getUserSessions,
     PASSWORD_POLICY,
-    SESSION_CONFIG
+    SESSION_CONFIG,
+    MFA_CONFIG
 };
\ No newline at end of file
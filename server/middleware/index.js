@@ -148,7 +148,8 @@
  * 
  * 27. REPORT (reportMiddleware.js)
  *     - validateReportFields, validateReportFilters, validateReportSchedule
- *     - validateVisualization, validateExportSettings, validateReportType
+ *     - validateReportLayout, validateVisualization, validateExportSettings
+ *     - validateReportType
  *     - checkReportAccess
  * 
  * 28. HOLIDAY (holidayMiddleware.js)
@@ -4,6 +4,7 @@
  * Validation and business logic for reports
  */
 import mongoose from 'mongoose';
+import { AGGREGATIONS, compileExpression } from '../modules/reports/utils/reportBuilder.js';
 
 /**
  * Validate report fields
@@ -139,6 +140,86 @@ export const validateReportSchedule = (req, res, next) => {
     next();
 };
 
+/**
+ * Validate computed columns, grouping and pivot settings
+ */
+export const validateReportLayout = (req, res, next) => {
+    const { fields = [], computedColumns = [], groupBy, pivot } = req.body;
+
+    if (!Array.isArray(computedColumns)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Computed columns must be an array'
+        });
+    }
+
+    const fieldNames = fields.map(field => field.fieldName);
+    for (const column of computedColumns) {
+        if (!column.name || !/^[A-Za-z_]\w*$/.test(column.name)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Computed column name must start with a letter and contain only letters, digits and underscores'
+            });
+        }
+
+        if (fieldNames.includes(column.name)) {
+            return res.status(400).json({
+                success: false,
+                message: `Computed column ${column.name} has the same name as a field`
+            });
+        }
+
+        try {
+            compileExpression(column.expression);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `${column.name}: ${error.message}`
+            });
+        }
+
+        if (column.aggregation && !AGGREGATIONS.includes(column.aggregation)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid aggregation: ${column.aggregation}`
+            });
+        }
+    }
+
+    if (groupBy !== undefined && (!Array.isArray(groupBy) || groupBy.some(field => typeof field !== 'string' || !field))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Group by must be a list of field names'
+        });
+    }
+
+    if (pivot && pivot.enabled) {
+        if (!pivot.rowField || !pivot.columnField) {
+            return res.status(400).json({
+                success: false,
+                message: 'Pivot tables require a row field and a column field'
+            });
+        }
+
+        const aggregation = pivot.aggregation || 'sum';
+        if (!AGGREGATIONS.includes(aggregation) || aggregation === 'none') {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid pivot aggregation: ${aggregation}`
+            });
+        }
+
+        if (!pivot.valueField && aggregation !== 'count') {
+            return res.status(400).json({
+                success: false,
+                message: 'Pivot tables require a value field unless they count records'
+            });
+        }
+    }
+
+    next();
+};
+
 /**
  * Validate visualization settings
  */
@@ -184,7 +265,7 @@ export const validateExportSettings = (req, res, next) => {
 
     if (exportSettings) {
         if (exportSettings.defaultFormat) {
-            const validFormats = ['excel', 'pdf', 'csv', 'html'];
+            const validFormats = ['excel', 'pdf', 'csv', 'html', 'json'];
             if (!validFormats.includes(exportSettings.defaultFormat)) {
                 return res.status(400).json({
                     success: false,
@@ -2,6 +2,7 @@ import clinicService from '../services/clinicService.js';
 import visitService from '../services/visitService.js';
 import prescriptionService from '../services/prescriptionService.js';
 import medicalLeaveRequestService from '../services/medicalLeaveRequestService.js';
+import appointmentService from '../services/appointmentService.js';
 
 /**
  * Clinic Controller
@@ -248,20 +249,280 @@ export const deleteVisit = async (req, res) => {
 
 // ==================== Appointments ====================
 
-// Appointment endpoints would be implemented here
-// For brevity, I'll add a placeholder
-export const createAppointment = async (req, res) => {
-  res.status(501).json({
+const appointmentErrorStatus = (error) => {
+  if (error.message === 'Access denied') return 403;
+  if (/not found/i.test(error.message)) return 404;
+  if (/already booked|already has an appointment/.test(error.message)) return 409;
+  return 400;
+};
+
+const sendAppointmentError = (res, error) => {
+  res.status(appointmentErrorStatus(error)).json({
     success: false,
-    message: 'Appointment endpoints to be implemented'
+    message: error.message
   });
 };
 
+export const createAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const appointment = await appointmentService.bookAppointment(tenantId, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment booked successfully'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
 export const getAppointments = async (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Appointment endpoints to be implemented'
-  });
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const appointments = await appointmentService.getAppointments(tenantId, req.user, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: appointments
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const getAvailableSlots = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const slots = await appointmentService.getAvailableSlots(tenantId, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: slots
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const getAppointmentQueue = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const queue = await appointmentService.getDailyQueue(tenantId, req.user, req.query);
+
+    res.status(200).json({
+      success: true,
+      data: queue
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const rescheduleAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.rescheduleAppointment(id, tenantId, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment rescheduled successfully'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const cancelAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.cancelAppointment(id, tenantId, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment cancelled successfully'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const checkInAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.checkIn(id, tenantId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Patient checked in'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const startAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.startAppointment(id, tenantId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: appointment
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const completeAppointment = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.completeAppointment(id, tenantId, req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment completed'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const markAppointmentNoShow = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { id } = req.params;
+
+    const appointment = await appointmentService.markNoShow(id, tenantId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: appointment,
+      message: 'Appointment marked as no-show'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const getNoShowSummary = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const isStaff = await appointmentService.isClinicStaff(req.user, tenantId);
+    const patientId = isStaff && req.params.userId ? req.params.userId : req.user.id;
+
+    const summary = await appointmentService.getNoShowSummary(patientId, tenantId);
+
+    res.status(200).json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+// ==================== Doctor Schedules & Settings ====================
+
+export const getDoctorSchedules = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const schedules = await appointmentService.getSchedules(tenantId, {
+      activeOnly: req.query.activeOnly === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      data: schedules
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const getDoctorSchedule = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { doctorId } = req.params;
+
+    const schedule = await appointmentService.getSchedule(doctorId, tenantId);
+
+    res.status(200).json({
+      success: true,
+      data: schedule
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const saveDoctorSchedule = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+    const { doctorId } = req.params;
+
+    const schedule = await appointmentService.saveSchedule(doctorId, tenantId, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Doctor schedule saved successfully'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const getClinicSettings = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const settings = await appointmentService.getSettings(tenantId);
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
+};
+
+export const updateClinicSettings = async (req, res) => {
+  try {
+    const tenantId = req.tenantId || req.user.tenantId;
+
+    const settings = await appointmentService.updateSettings(tenantId, req.body, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: settings,
+      message: 'Clinic settings updated successfully'
+    });
+  } catch (error) {
+    sendAppointmentError(res, error);
+  }
 };
 
 // ==================== Prescriptions ====================
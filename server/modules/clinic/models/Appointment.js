@@ -49,6 +49,15 @@ const appointmentSchema = new mongoose.Schema({
     default: 30
   },
   
+  // Exact slot booked from the doctor's schedule
+  startAt: {
+    type: Date
+  },
+  
+  endAt: {
+    type: Date
+  },
+  
   // Appointment type
   appointmentType: {
     type: String,
@@ -56,6 +65,12 @@ const appointmentSchema = new mongoose.Schema({
     required: true
   },
   
+  // Doctor account with a schedule (links to HR-Core User model)
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
   // Medical staff
   doctor: {
     name: {
@@ -82,6 +97,32 @@ const appointmentSchema = new mongoose.Schema({
     default: 'scheduled'
   },
   
+  // Booked by the employee from the hr-app or by clinic staff
+  bookedVia: {
+    type: String,
+    enum: ['self', 'staff'],
+    default: 'staff'
+  },
+  
+  // Set while the appointment holds its slot; a unique index stops double-booking
+  bookingLock: {
+    type: String
+  },
+  
+  // No-show details
+  noShow: {
+    markedAt: Date,
+    markedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Marked by the reminder job after the grace period
+    automatic: {
+      type: Boolean,
+      default: false
+    }
+  },
+  
   // Cancellation details
   cancellation: {
     cancelledAt: Date,
@@ -183,6 +224,11 @@ appointmentSchema.index({ tenantId: 1, patientId: 1, appointmentDate: -1 });
 appointmentSchema.index({ tenantId: 1, appointmentDate: 1, appointmentTime: 1 });
 appointmentSchema.index({ tenantId: 1, status: 1 });
 appointmentSchema.index({ tenantId: 1, 'doctor.name': 1, appointmentDate: 1 });
+appointmentSchema.index({ tenantId: 1, doctorId: 1, startAt: 1 });
+appointmentSchema.index(
+  { tenantId: 1, bookingLock: 1 },
+  { unique: true, partialFilterExpression: { bookingLock: { $exists: true } } }
+);
 
 // Pre-save middleware
 appointmentSchema.pre('save', function(next) {
@@ -232,6 +278,7 @@ appointmentSchema.methods = {
    */
   async cancel(userId, reason) {
     this.status = 'cancelled';
+    this.bookingLock = undefined;
     this.cancellation = {
       cancelledAt: new Date(),
       cancelledBy: userId,
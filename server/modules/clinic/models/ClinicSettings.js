@@ -0,0 +1,109 @@
+import mongoose from 'mongoose';
+
+/**
+ * Clinic Settings Model
+ * 
+ * Per-tenant clinic rules:
+ * - Clinic working hours (doctors can only be booked within them)
+ * - Self-booking window and notice
+ * - Appointment reminders
+ * - No-show handling
+ * 
+ * CRITICAL: All records must have tenantId for multi-tenancy isolation
+ */
+
+const timePattern = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Time must be in HH:mm format'];
+
+const clinicSettingsSchema = new mongoose.Schema({
+  // Tenant isolation - REQUIRED
+  tenantId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  
+  // Clinic opening hours per weekday; empty means doctors' hours apply as they are
+  workingHours: [{
+    _id: false,
+    dayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      required: true
+    },
+    start: {
+      type: String,
+      match: timePattern,
+      required: true
+    },
+    end: {
+      type: String,
+      match: timePattern,
+      required: true
+    }
+  }],
+  
+  // Employee self-booking
+  allowSelfBooking: {
+    type: Boolean,
+    default: true
+  },
+  minBookingNoticeMinutes: {
+    type: Number,
+    min: 0,
+    default: 60
+  },
+  maxBookingDaysAhead: {
+    type: Number,
+    min: 1,
+    default: 30
+  },
+  
+  // Hours before the appointment the reminder is sent
+  reminderHours: {
+    type: Number,
+    min: 1,
+    default: 24
+  },
+  
+  // Appointments not checked in this long after their start become no-shows
+  noShowGraceMinutes: {
+    type: Number,
+    min: 0,
+    default: 15
+  },
+  
+  // Employees with this many no-shows in the period cannot book themselves; 0 disables
+  noShowLimit: {
+    type: Number,
+    min: 0,
+    default: 3
+  },
+  noShowPeriodDays: {
+    type: Number,
+    min: 1,
+    default: 90
+  },
+  
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Get the settings of a tenant, creating the defaults on first use
+ */
+clinicSettingsSchema.statics.getForTenant = async function(tenantId) {
+  let settings = await this.findOne({ tenantId });
+  if (!settings) {
+    settings = await this.create({ tenantId });
+  }
+  return settings;
+};
+
+const ClinicSettings = mongoose.model('ClinicSettings', clinicSettingsSchema);
+
+export default ClinicSettings;
@@ -0,0 +1,123 @@
+import mongoose from 'mongoose';
+
+/**
+ * Doctor Schedule Model
+ * 
+ * Weekly availability of a clinic doctor:
+ * - Working hours per weekday (several ranges per day for breaks)
+ * - Date exceptions (day off or different hours)
+ * - Slot length used for booking
+ * 
+ * Bookable slots are the doctor's hours within the clinic working hours
+ * (ClinicSettings). Doctors are HR-Core users.
+ * 
+ * CRITICAL: All records must have tenantId for multi-tenancy isolation
+ */
+
+const timePattern = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Time must be in HH:mm format'];
+
+const hoursSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    min: 0,
+    max: 6,
+    required: true
+  },
+  start: {
+    type: String,
+    match: timePattern,
+    required: true
+  },
+  end: {
+    type: String,
+    match: timePattern,
+    required: true
+  }
+}, { _id: false });
+
+const doctorScheduleSchema = new mongoose.Schema({
+  // Tenant isolation - REQUIRED
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  
+  // Doctor account (links to HR-Core User model)
+  doctorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Shown on appointments
+  doctor: {
+    name: {
+      type: String,
+      required: true
+    },
+    specialization: String,
+    licenseNumber: String
+  },
+  
+  weeklyHours: [hoursSchema],
+  
+  // Days off or different hours on a date
+  exceptions: [{
+    date: {
+      type: Date,
+      required: true
+    },
+    available: {
+      type: Boolean,
+      default: false
+    },
+    start: {
+      type: String,
+      match: timePattern
+    },
+    end: {
+      type: String,
+      match: timePattern
+    },
+    reason: String
+  }],
+  
+  // Length of one appointment slot in minutes
+  slotMinutes: {
+    type: Number,
+    min: 5,
+    max: 240,
+    default: 30
+  },
+  
+  // Appointment types this doctor can be booked for; empty means all
+  appointmentTypes: [{
+    type: String,
+    enum: ['routine', 'follow-up', 'consultation', 'vaccination', 'screening', 'emergency']
+  }],
+  
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  // Metadata
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+doctorScheduleSchema.index({ tenantId: 1, doctorId: 1 }, { unique: true });
+doctorScheduleSchema.index({ tenantId: 1, isActive: 1 });
+
+const DoctorSchedule = mongoose.model('DoctorSchedule', doctorScheduleSchema);
+
+export default DoctorSchedule;
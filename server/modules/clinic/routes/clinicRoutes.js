@@ -21,6 +21,22 @@ import {
   // Appointments
   createAppointment,
   getAppointments,
+  getAvailableSlots,
+  getAppointmentQueue,
+  rescheduleAppointment,
+  cancelAppointment,
+  checkInAppointment,
+  startAppointment,
+  completeAppointment,
+  markAppointmentNoShow,
+  getNoShowSummary,
+  
+  // Doctor Schedules & Settings
+  getDoctorSchedules,
+  getDoctorSchedule,
+  saveDoctorSchedule,
+  getClinicSettings,
+  updateClinicSettings,
   
   // Prescriptions
   createPrescription,
@@ -98,7 +114,24 @@ router.delete('/visits/:id',
 );
 
 // ==================== Appointments ====================
-// Users can create their own appointments, medical staff can manage all
+// Users book and manage their own appointments, medical staff and doctors
+// with a schedule manage all (checked in the service)
+router.get('/appointments/slots', 
+  getAvailableSlots
+);
+
+router.get('/appointments/queue', 
+  getAppointmentQueue
+);
+
+router.get('/appointments/no-shows', 
+  getNoShowSummary
+);
+
+router.get('/appointments/no-shows/:userId', 
+  getNoShowSummary
+);
+
 router.post('/appointments', 
   createAppointment
 );
@@ -107,6 +140,54 @@ router.get('/appointments',
   getAppointments
 );
 
+router.post('/appointments/:id/reschedule', 
+  rescheduleAppointment
+);
+
+router.post('/appointments/:id/cancel', 
+  cancelAppointment
+);
+
+router.post('/appointments/:id/check-in', 
+  checkInAppointment
+);
+
+router.post('/appointments/:id/start', 
+  startAppointment
+);
+
+router.post('/appointments/:id/complete', 
+  completeAppointment
+);
+
+router.post('/appointments/:id/no-show', 
+  markAppointmentNoShow
+);
+
+// ==================== Doctor Schedules & Settings ====================
+// Everyone can see who is available, medical staff maintain schedules
+router.get('/doctor-schedules', 
+  getDoctorSchedules
+);
+
+router.get('/doctor-schedules/:doctorId', 
+  getDoctorSchedule
+);
+
+router.put('/doctor-schedules/:doctorId', 
+  requireRole(ROLES.ADMIN, ROLES.HR, 'medical-staff'), 
+  saveDoctorSchedule
+);
+
+router.get('/settings', 
+  getClinicSettings
+);
+
+router.put('/settings', 
+  requireRole(ROLES.ADMIN, ROLES.HR), 
+  updateClinicSettings
+);
+
 // ==================== Prescriptions ====================
 // Medical staff can create and manage prescriptions
 router.post('/prescriptions', 
@@ -0,0 +1,562 @@
+import Appointment from '../models/Appointment.js';
+import DoctorSchedule from '../models/DoctorSchedule.js';
+import ClinicSettings from '../models/ClinicSettings.js';
+import User from '../../hr-core/users/models/user.model.js';
+import notificationIntegrationService from '../../hr-core/services/notificationIntegrationService.js';
+import emailIntegrationService from './emailIntegrationService.js';
+import {
+  OPEN_STATUSES,
+  buildQueue,
+  findConflicts,
+  formatTime,
+  generateSlots,
+  getAppointmentRange,
+  isNoShow,
+  isReminderDue,
+  markSlotAvailability,
+  validateBooking
+} from '../utils/slotEngine.js';
+
+/**
+ * Appointment Service
+ *
+ * Handles clinic appointment booking including:
+ * - Doctor schedules and clinic working hours
+ * - Bookable slots and employee self-booking
+ * - Conflict detection (doctor and patient)
+ * - Reminders, no-show tracking and the daily queue
+ *
+ * CRITICAL: All operations are tenant-scoped
+ * CRITICAL: Does NOT directly modify HR-Core data (attendance, vacation balances)
+ */
+
+// Roles that manage every appointment; doctors with a schedule manage their own
+const STAFF_ROLES = ['admin', 'hr', 'medical-staff'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const userIdOf = (user) => user?._id || user?.id;
+
+const sameId = (a, b) => !!a && !!b && String(a?._id || a) === String(b?._id || b);
+
+const dayRange = (date) => {
+  const start = new Date(date);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  start.setHours(0, 0, 0, 0);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+const lockFor = (doctorId, start) => `${doctorId}:${new Date(start).toISOString()}`;
+
+class AppointmentService {
+  // ==================== Settings & schedules ====================
+
+  async getSettings(tenantId) {
+    return await ClinicSettings.getForTenant(tenantId);
+  }
+
+  async updateSettings(tenantId, updates, userId) {
+    const settings = await ClinicSettings.getForTenant(tenantId);
+    const allowed = [
+      'workingHours',
+      'allowSelfBooking',
+      'minBookingNoticeMinutes',
+      'maxBookingDaysAhead',
+      'reminderHours',
+      'noShowGraceMinutes',
+      'noShowLimit',
+      'noShowPeriodDays'
+    ];
+
+    allowed.forEach(key => {
+      if (updates[key] !== undefined) settings[key] = updates[key];
+    });
+    settings.updatedBy = userId;
+
+    return await settings.save();
+  }
+
+  async getSchedules(tenantId, options = {}) {
+    const query = { tenantId };
+    if (options.activeOnly) query.isActive = true;
+
+    return await DoctorSchedule.find(query)
+      .populate('doctorId', 'username email personalInfo')
+      .sort({ 'doctor.name': 1 });
+  }
+
+  async getSchedule(doctorId, tenantId) {
+    const schedule = await DoctorSchedule.findOne({ tenantId, doctorId });
+    if (!schedule) {
+      throw new Error('Doctor schedule not found');
+    }
+    return schedule;
+  }
+
+  /**
+   * Create or replace a doctor's schedule
+   */
+  async saveSchedule(doctorId, tenantId, data, userId) {
+    const doctor = await User.findOne({ _id: doctorId, tenantId }).select('username personalInfo');
+    if (!doctor) {
+      throw new Error('Doctor not found');
+    }
+
+    const schedule = await DoctorSchedule.findOne({ tenantId, doctorId }) || new DoctorSchedule({
+      tenantId,
+      doctorId,
+      createdBy: userId
+    });
+
+    schedule.set({
+      doctor: {
+        name: data.doctor?.name || schedule.doctor?.name || doctor.personalInfo?.fullName || doctor.username,
+        specialization: data.doctor?.specialization ?? schedule.doctor?.specialization,
+        licenseNumber: data.doctor?.licenseNumber ?? schedule.doctor?.licenseNumber
+      },
+      updatedBy: userId
+    });
+    ['weeklyHours', 'exceptions', 'slotMinutes', 'appointmentTypes', 'isActive'].forEach(key => {
+      if (data[key] !== undefined) schedule[key] = data[key];
+    });
+
+    // Reject unreadable hours now rather than when someone books
+    generateSlots(schedule, new Date());
+
+    return await schedule.save();
+  }
+
+  // ==================== Slots & booking ====================
+
+  /**
+   * Bookable slots of active doctors for a number of days
+   * @param {string} tenantId
+   * @param {Object} options - { doctorId, date, days }
+   * @returns {Promise<Array<{doctorId, doctor, date, slots}>>}
+   */
+  async getAvailableSlots(tenantId, options = {}) {
+    const settings = await ClinicSettings.getForTenant(tenantId);
+    const days = Math.min(Math.max(parseInt(options.days) || 1, 1), 14);
+    const { start: from } = dayRange(options.date || new Date());
+    const to = new Date(from.getTime() + days * DAY_MS);
+
+    const query = { tenantId, isActive: true };
+    if (options.doctorId) query.doctorId = options.doctorId;
+    const schedules = await DoctorSchedule.find(query);
+
+    const appointments = await Appointment.find({
+      tenantId,
+      doctorId: { $in: schedules.map(schedule => schedule.doctorId) },
+      startAt: { $gte: from, $lt: to }
+    }).select('doctorId startAt endAt duration status');
+
+    const now = new Date();
+    const result = [];
+    schedules.forEach(schedule => {
+      const booked = appointments.filter(appointment => sameId(appointment.doctorId, schedule.doctorId));
+      for (let day = 0; day < days; day++) {
+        const date = new Date(from.getTime() + day * DAY_MS);
+        const slots = markSlotAvailability(
+          generateSlots(schedule, date, settings.workingHours),
+          booked,
+          now,
+          { minNoticeMinutes: settings.minBookingNoticeMinutes }
+        );
+        if (slots.length > 0) {
+          result.push({ doctorId: schedule.doctorId, doctor: schedule.doctor, slotMinutes: schedule.slotMinutes, date, slots });
+        }
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Book a slot; employees book for themselves, clinic staff for anyone
+   * @param {string} tenantId
+   * @param {Object} user - Current user ({ id, role })
+   * @param {Object} data - { doctorId, startAt, appointmentType, reason, notes, patientId, priority }
+   * @returns {Promise<Object>} Appointment
+   */
+  async bookAppointment(tenantId, user, data) {
+    const isStaff = await this.isClinicStaff(user, tenantId);
+    const patientId = isStaff && data.patientId ? data.patientId : userIdOf(user);
+    const settings = await ClinicSettings.getForTenant(tenantId);
+
+    if (!isStaff) {
+      if (!settings.allowSelfBooking) {
+        throw new Error('Self-booking is disabled; please contact the clinic');
+      }
+      await this._assertBelowNoShowLimit(patientId, tenantId, settings);
+    }
+
+    if (!data.doctorId || !data.startAt) {
+      throw new Error('Doctor and appointment time are required');
+    }
+    const schedule = await this.getSchedule(data.doctorId, tenantId);
+    if (!schedule.isActive) {
+      throw new Error('The doctor is not available at this time');
+    }
+    if (schedule.appointmentTypes.length > 0 && !schedule.appointmentTypes.includes(data.appointmentType)) {
+      throw new Error(`The doctor does not take ${data.appointmentType} appointments`);
+    }
+
+    const slot = validateBooking(schedule, data.startAt, {
+      clinicHours: settings.workingHours,
+      minNoticeMinutes: isStaff ? 0 : settings.minBookingNoticeMinutes,
+      maxDaysAhead: isStaff ? null : settings.maxBookingDaysAhead
+    });
+    await this._assertNoConflicts(tenantId, schedule.doctorId, patientId, slot);
+
+    const appointment = new Appointment({
+      tenantId,
+      patientId,
+      doctorId: schedule.doctorId,
+      doctor: schedule.doctor.toObject ? schedule.doctor.toObject() : schedule.doctor,
+      startAt: slot.start,
+      endAt: slot.end,
+      appointmentDate: slot.start,
+      appointmentTime: formatTime(slot.start),
+      duration: schedule.slotMinutes,
+      appointmentType: data.appointmentType,
+      reason: data.reason,
+      notes: data.notes,
+      priority: isStaff && data.priority ? data.priority : 'normal',
+      bookedVia: isStaff && !sameId(patientId, userIdOf(user)) ? 'staff' : 'self',
+      bookingLock: lockFor(schedule.doctorId, slot.start),
+      reminders: { enabled: true, reminderHours: settings.reminderHours, sent: [] },
+      createdBy: userIdOf(user)
+    });
+
+    return await this._saveBooking(appointment);
+  }
+
+  /**
+   * Move an open appointment to another slot of the same doctor
+   */
+  async rescheduleAppointment(appointmentId, tenantId, user, data) {
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+    const isStaff = await this._assertCanManage(appointment, user, tenantId);
+
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot reschedule a ${appointment.status} appointment`);
+    }
+
+    const settings = await ClinicSettings.getForTenant(tenantId);
+    const schedule = await this.getSchedule(appointment.doctorId, tenantId);
+    const slot = validateBooking(schedule, data.startAt, {
+      clinicHours: settings.workingHours,
+      minNoticeMinutes: isStaff ? 0 : settings.minBookingNoticeMinutes,
+      maxDaysAhead: isStaff ? null : settings.maxBookingDaysAhead
+    });
+    await this._assertNoConflicts(tenantId, appointment.doctorId, appointment.patientId, slot, appointment._id);
+
+    appointment.rescheduling = {
+      originalDate: appointment.startAt || appointment.appointmentDate,
+      originalTime: appointment.appointmentTime,
+      rescheduledAt: new Date(),
+      rescheduledBy: userIdOf(user),
+      reason: data.reason
+    };
+    appointment.set({
+      startAt: slot.start,
+      endAt: slot.end,
+      appointmentDate: slot.start,
+      appointmentTime: formatTime(slot.start),
+      status: 'rescheduled',
+      bookingLock: lockFor(appointment.doctorId, slot.start),
+      'reminders.sent': [],
+      updatedBy: userIdOf(user)
+    });
+
+    return await this._saveBooking(appointment);
+  }
+
+  async cancelAppointment(appointmentId, tenantId, user, reason) {
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+    await this._assertCanManage(appointment, user, tenantId);
+
+    if (!OPEN_STATUSES.includes(appointment.status)) {
+      throw new Error(`Cannot cancel a ${appointment.status} appointment`);
+    }
+
+    return await appointment.cancel(userIdOf(user), reason);
+  }
+
+  /**
+   * Appointments of the current user, or of everyone for clinic staff
+   */
+  async getAppointments(tenantId, user, filters = {}) {
+    const isStaff = await this.isClinicStaff(user, tenantId);
+    const query = { tenantId };
+
+    if (!isStaff) {
+      query.patientId = userIdOf(user);
+    } else if (filters.patientId) {
+      query.patientId = filters.patientId;
+    }
+    if (filters.doctorId) query.doctorId = filters.doctorId;
+    if (filters.status) query.status = filters.status;
+    if (filters.from || filters.to) {
+      query.appointmentDate = {};
+      if (filters.from) query.appointmentDate.$gte = new Date(filters.from);
+      if (filters.to) query.appointmentDate.$lte = new Date(filters.to);
+    }
+
+    return await Appointment.find(query)
+      .populate('patientId', 'username email employeeId personalInfo')
+      .sort({ appointmentDate: filters.upcoming === 'true' ? 1 : -1 })
+      .limit(Math.min(parseInt(filters.limit) || 100, 500));
+  }
+
+  // ==================== Clinic queue ====================
+
+  /**
+   * Daily queue of the clinic or of one doctor
+   */
+  async getDailyQueue(tenantId, user, options = {}) {
+    await this._assertStaff(user, tenantId);
+    const { start, end } = dayRange(options.date || new Date());
+
+    const query = { tenantId, appointmentDate: { $gte: start, $lt: end } };
+    if (options.doctorId) query.doctorId = options.doctorId;
+
+    const appointments = await Appointment.find(query)
+      .populate('patientId', 'username email employeeId personalInfo department');
+
+    return { date: start, ...buildQueue(appointments) };
+  }
+
+  async checkIn(appointmentId, tenantId, user) {
+    await this._assertStaff(user, tenantId);
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+
+    if (!OPEN_STATUSES.includes(appointment.status) && appointment.status !== 'no-show') {
+      throw new Error(`Cannot check in a ${appointment.status} appointment`);
+    }
+
+    // A late arrival undoes an automatic no-show
+    appointment.status = 'confirmed';
+    appointment.noShow = undefined;
+    appointment.checkIn = { checkedIn: true, checkInTime: new Date(), checkInBy: userIdOf(user) };
+    appointment.updatedBy = userIdOf(user);
+
+    return await appointment.save();
+  }
+
+  async startAppointment(appointmentId, tenantId, user) {
+    await this._assertStaff(user, tenantId);
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+
+    if (!appointment.checkIn?.checkedIn || !OPEN_STATUSES.includes(appointment.status)) {
+      throw new Error('Only checked-in appointments can be started');
+    }
+
+    appointment.status = 'in-progress';
+    appointment.updatedBy = userIdOf(user);
+    return await appointment.save();
+  }
+
+  async completeAppointment(appointmentId, tenantId, user, data = {}) {
+    await this._assertStaff(user, tenantId);
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+
+    if (!['in-progress', ...OPEN_STATUSES].includes(appointment.status)) {
+      throw new Error(`Cannot complete a ${appointment.status} appointment`);
+    }
+
+    appointment.status = 'completed';
+    if (data.visitId) appointment.visitId = data.visitId;
+    appointment.updatedBy = userIdOf(user);
+    return await appointment.save();
+  }
+
+  async markNoShow(appointmentId, tenantId, user) {
+    await this._assertStaff(user, tenantId);
+    const appointment = await this._getAppointment(appointmentId, tenantId);
+
+    if (!OPEN_STATUSES.includes(appointment.status) || appointment.checkIn?.checkedIn) {
+      throw new Error(`Cannot mark a ${appointment.checkIn?.checkedIn ? 'checked-in' : appointment.status} appointment as no-show`);
+    }
+    if (getAppointmentRange(appointment).start > new Date()) {
+      throw new Error('Cannot mark a future appointment as no-show');
+    }
+
+    appointment.status = 'no-show';
+    appointment.noShow = { markedAt: new Date(), markedBy: userIdOf(user), automatic: false };
+    return await appointment.save();
+  }
+
+  /**
+   * No-show history of an employee within the tenant's no-show period
+   */
+  async getNoShowSummary(patientId, tenantId) {
+    const settings = await ClinicSettings.getForTenant(tenantId);
+    const since = new Date(Date.now() - settings.noShowPeriodDays * DAY_MS);
+    const count = await Appointment.countDocuments({
+      tenantId,
+      patientId,
+      status: 'no-show',
+      appointmentDate: { $gte: since }
+    });
+
+    return {
+      count,
+      periodDays: settings.noShowPeriodDays,
+      limit: settings.noShowLimit,
+      selfBookingBlocked: settings.noShowLimit > 0 && count >= settings.noShowLimit
+    };
+  }
+
+  // ==================== Reminders & no-shows (job) ====================
+
+  /**
+   * Send due reminders and mark missed appointments as no-shows, all tenants
+   * @param {Date} [now]
+   * @returns {Promise<{reminded: number, noShows: number}>}
+   */
+  async processReminders(now = new Date()) {
+    const settingsByTenant = new Map();
+    const settingsFor = async (tenantId) => {
+      if (!settingsByTenant.has(tenantId)) {
+        settingsByTenant.set(tenantId, await ClinicSettings.getForTenant(tenantId));
+      }
+      return settingsByTenant.get(tenantId);
+    };
+
+    const horizon = new Date(now.getTime() + 7 * DAY_MS);
+    const open = await Appointment.find({
+      status: { $in: OPEN_STATUSES },
+      appointmentDate: { $gte: new Date(now.getTime() - DAY_MS), $lte: horizon }
+    }).populate('patientId', 'username email personalInfo preferences');
+
+    let reminded = 0;
+    let noShows = 0;
+
+    for (const appointment of open) {
+      const settings = await settingsFor(appointment.tenantId);
+
+      if (isNoShow(appointment, now, settings.noShowGraceMinutes)) {
+        appointment.status = 'no-show';
+        appointment.noShow = { markedAt: now, automatic: true };
+        await appointment.save();
+        noShows += 1;
+        continue;
+      }
+
+      if (isReminderDue(appointment, now, settings.reminderHours)) {
+        await this._sendReminder(appointment, now);
+        reminded += 1;
+      }
+    }
+
+    return { reminded, noShows };
+  }
+
+  async _sendReminder(appointment, now) {
+    const patient = appointment.patientId;
+    const { start } = getAppointmentRange(appointment);
+    const when = `${start.toISOString().split('T')[0]} ${formatTime(start)}`;
+
+    await notificationIntegrationService.notify(appointment.tenantId, {
+      recipient: patient?._id || patient,
+      type: 'info',
+      title: 'Clinic appointment reminder',
+      message: `Your ${appointment.appointmentType} appointment with ${appointment.doctor?.name} is on ${when}.`,
+      relatedModel: 'Appointment',
+      relatedId: appointment._id,
+      metadata: { source: 'clinic', action: 'reminder' }
+    });
+
+    const email = await emailIntegrationService.sendAppointmentReminder(appointment.tenantId, {
+      patientEmail: patient?.email,
+      patientName: patient?.personalInfo?.fullName || patient?.username,
+      appointmentDate: start.toISOString().split('T')[0],
+      appointmentTime: formatTime(start),
+      doctorName: appointment.doctor?.name,
+      appointmentType: appointment.appointmentType,
+      reason: appointment.reason
+    });
+
+    appointment.reminders.sent.push({
+      sentAt: now,
+      method: email.sent ? 'email' : 'push',
+      status: 'sent'
+    });
+    await appointment.save();
+  }
+
+  // ==================== Helpers ====================
+
+  /**
+   * Clinic staff by role, or a doctor with a schedule
+   */
+  async isClinicStaff(user, tenantId) {
+    if (STAFF_ROLES.includes(user?.role)) return true;
+    return !!(await DoctorSchedule.exists({ tenantId, doctorId: userIdOf(user) }));
+  }
+
+  async _assertStaff(user, tenantId) {
+    if (!(await this.isClinicStaff(user, tenantId))) {
+      throw new Error('Access denied');
+    }
+  }
+
+  async _assertCanManage(appointment, user, tenantId) {
+    const isStaff = await this.isClinicStaff(user, tenantId);
+    if (!isStaff && !sameId(appointment.patientId, userIdOf(user))) {
+      throw new Error('Access denied');
+    }
+    return isStaff;
+  }
+
+  async _assertBelowNoShowLimit(patientId, tenantId, settings) {
+    if (!settings.noShowLimit) return;
+
+    const summary = await this.getNoShowSummary(patientId, tenantId);
+    if (summary.selfBookingBlocked) {
+      throw new Error(`Self-booking is blocked after ${summary.count} missed appointments in ${summary.periodDays} days; please contact the clinic`);
+    }
+  }
+
+  async _assertNoConflicts(tenantId, doctorId, patientId, slot, excludeId) {
+    const { start: dayStart, end: dayEnd } = dayRange(slot.start);
+    const sameDay = await Appointment.find({
+      tenantId,
+      $or: [{ doctorId }, { patientId }],
+      appointmentDate: { $gte: dayStart, $lt: dayEnd }
+    }).select('doctorId patientId startAt endAt appointmentDate appointmentTime duration status');
+
+    const conflicts = findConflicts(sameDay, slot.start, slot.end, excludeId);
+    if (conflicts.some(appointment => sameId(appointment.doctorId, doctorId))) {
+      throw new Error('This slot is already booked');
+    }
+    if (conflicts.some(appointment => sameId(appointment.patientId, patientId))) {
+      throw new Error('The patient already has an appointment at this time');
+    }
+  }
+
+  async _saveBooking(appointment) {
+    try {
+      return await appointment.save();
+    } catch (error) {
+      // Another booking took the slot between the conflict check and the save
+      if (error.code === 11000) {
+        throw new Error('This slot is already booked');
+      }
+      throw error;
+    }
+  }
+
+  async _getAppointment(appointmentId, tenantId) {
+    const appointment = await Appointment.findOne({ _id: appointmentId, tenantId });
+    if (!appointment) {
+      throw new Error('Appointment not found');
+    }
+    return appointment;
+  }
+}
+
+export default new AppointmentService();
@@ -0,0 +1,314 @@
+/**
+ * Slot Engine
+ *
+ * Pure scheduling rules for clinic appointments:
+ * - Bookable slots from clinic working hours and a doctor's weekly schedule
+ * - Conflict detection between appointments
+ * - Reminder, no-show and daily queue rules
+ *
+ * Times of day are 'HH:mm' strings in server local time, like the rest of
+ * the system. No database access here so the rules can be unit tested.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Statuses that hold a slot; only cancelled appointments free it
+// ('rescheduled' appointments hold their new time)
+export const ACTIVE_STATUSES = ['scheduled', 'confirmed', 'rescheduled', 'in-progress', 'completed', 'no-show'];
+
+// Statuses that can still change (be cancelled, rescheduled, checked in)
+export const OPEN_STATUSES = ['scheduled', 'confirmed', 'rescheduled'];
+
+/**
+ * Minutes since midnight of an 'HH:mm' time
+ * @param {string} time
+ * @returns {number}
+ */
+export const parseTime = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time || '');
+  if (!match) {
+    throw new Error(`Invalid time: ${time}`);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * 'HH:mm' of a date in server local time
+ */
+export const formatTime = (date) => {
+  const value = new Date(date);
+  return `${String(value.getHours()).padStart(2, '0')}:${String(value.getMinutes()).padStart(2, '0')}`;
+};
+
+const startOfDay = (date) => {
+  const value = new Date(date);
+  if (Number.isNaN(value.getTime())) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  value.setHours(0, 0, 0, 0);
+  return value;
+};
+
+const sameDay = (a, b) => startOfDay(a).getTime() === startOfDay(b).getTime();
+
+const atMinutes = (day, minutes) => {
+  const value = startOfDay(day);
+  value.setMinutes(minutes);
+  return value;
+};
+
+/**
+ * Working windows of a weekday as minute ranges, merged and sorted
+ * @param {Array<{dayOfWeek: number, start: string, end: string}>} hours
+ * @param {number} dayOfWeek - 0 (Sunday) to 6
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const getWindowsForDay = (hours = [], dayOfWeek) => hours
+  .filter(entry => entry.dayOfWeek === dayOfWeek)
+  .map(entry => ({ start: parseTime(entry.start), end: parseTime(entry.end) }))
+  .filter(window => window.end > window.start)
+  .sort((a, b) => a.start - b.start)
+  .reduce((merged, window) => {
+    const last = merged[merged.length - 1];
+    if (last && window.start <= last.end) {
+      last.end = Math.max(last.end, window.end);
+    } else {
+      merged.push({ ...window });
+    }
+    return merged;
+  }, []);
+
+/**
+ * Overlap of two lists of minute ranges
+ */
+export const intersectWindows = (first, second) => {
+  const result = [];
+  first.forEach(a => {
+    second.forEach(b => {
+      const start = Math.max(a.start, b.start);
+      const end = Math.min(a.end, b.end);
+      if (end > start) result.push({ start, end });
+    });
+  });
+  return result.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * When a doctor sees patients on a date: their weekly hours (or the
+ * exception for that date) within the clinic's working hours
+ * @param {Object} schedule - { weeklyHours, exceptions }
+ * @param {Date|string} date
+ * @param {Array} [clinicHours] - Clinic working hours; empty means no clinic limit
+ * @returns {Array<{start: number, end: number}>}
+ */
+export const getDoctorWindows = (schedule, date, clinicHours = []) => {
+  const day = startOfDay(date);
+  const dayOfWeek = day.getDay();
+  const exception = (schedule.exceptions || []).find(entry => sameDay(entry.date, day));
+
+  let windows;
+  if (exception) {
+    windows = exception.available && exception.start && exception.end
+      ? getWindowsForDay([{ dayOfWeek, start: exception.start, end: exception.end }], dayOfWeek)
+      : [];
+  } else {
+    windows = getWindowsForDay(schedule.weeklyHours, dayOfWeek);
+  }
+
+  if (clinicHours.length === 0) {
+    return windows;
+  }
+  return intersectWindows(windows, getWindowsForDay(clinicHours, dayOfWeek));
+};
+
+/**
+ * Slots of a doctor on a date
+ * @param {Object} schedule - { weeklyHours, exceptions, slotMinutes }
+ * @param {Date|string} date
+ * @param {Array} [clinicHours]
+ * @returns {Array<{start: Date, end: Date}>}
+ */
+export const generateSlots = (schedule, date, clinicHours = []) => {
+  const slotMinutes = schedule.slotMinutes || 30;
+  const slots = [];
+
+  getDoctorWindows(schedule, date, clinicHours).forEach(window => {
+    for (let minute = window.start; minute + slotMinutes <= window.end; minute += slotMinutes) {
+      slots.push({ start: atMinutes(date, minute), end: atMinutes(date, minute + slotMinutes) });
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Whether two time ranges overlap (touching ends do not)
+ */
+export const overlaps = (startA, endA, startB, endB) =>
+  new Date(startA).getTime() < new Date(endB).getTime() && new Date(startB).getTime() < new Date(endA).getTime();
+
+/**
+ * Start and end of an appointment; older records only have a date and 'HH:mm' time
+ */
+export const getAppointmentRange = (appointment) => {
+  let start = appointment.startAt ? new Date(appointment.startAt) : null;
+  if (!start) {
+    start = startOfDay(appointment.appointmentDate);
+    if (appointment.appointmentTime) start.setMinutes(parseTime(appointment.appointmentTime));
+  }
+  const end = appointment.endAt
+    ? new Date(appointment.endAt)
+    : new Date(start.getTime() + (appointment.duration || 30) * MINUTE_MS);
+  return { start, end };
+};
+
+/**
+ * Active appointments overlapping a time range
+ * @param {Array<Object>} appointments
+ * @param {Date} start
+ * @param {Date} end
+ * @param {string} [excludeId] - Appointment being rescheduled
+ * @returns {Array<Object>}
+ */
+export const findConflicts = (appointments, start, end, excludeId) => appointments.filter(appointment => {
+  if (!ACTIVE_STATUSES.includes(appointment.status)) return false;
+  if (excludeId && String(appointment._id) === String(excludeId)) return false;
+  const range = getAppointmentRange(appointment);
+  return overlaps(range.start, range.end, start, end);
+});
+
+/**
+ * Slots with their availability
+ * @param {Array<{start: Date, end: Date}>} slots
+ * @param {Array<Object>} appointments - The doctor's appointments that day
+ * @param {Date} [now]
+ * @param {Object} [options] - { minNoticeMinutes }
+ * @returns {Array<{start: Date, end: Date, time: string, available: boolean, reason: string|null}>}
+ */
+export const markSlotAvailability = (slots, appointments = [], now = new Date(), options = {}) => {
+  const earliest = now.getTime() + (options.minNoticeMinutes || 0) * MINUTE_MS;
+
+  return slots.map(slot => {
+    let reason = null;
+    if (slot.start.getTime() < earliest) {
+      reason = 'past';
+    } else if (findConflicts(appointments, slot.start, slot.end).length > 0) {
+      reason = 'booked';
+    }
+    return { ...slot, time: formatTime(slot.start), available: reason === null, reason };
+  });
+};
+
+/**
+ * Check that a requested start time is a bookable slot of the doctor
+ * @returns {{start: Date, end: Date}} The matching slot
+ */
+export const validateBooking = (schedule, startAt, options = {}) => {
+  const { clinicHours = [], now = new Date(), minNoticeMinutes = 0, maxDaysAhead = null } = options;
+  const start = new Date(startAt);
+  if (Number.isNaN(start.getTime())) {
+    throw new Error('Invalid appointment time');
+  }
+
+  if (start.getTime() < now.getTime() + minNoticeMinutes * MINUTE_MS) {
+    throw new Error(`Appointments must be booked at least ${minNoticeMinutes} minutes in advance`);
+  }
+  if (maxDaysAhead && startOfDay(start).getTime() > startOfDay(now).getTime() + maxDaysAhead * 24 * 60 * MINUTE_MS) {
+    throw new Error(`Appointments can be booked at most ${maxDaysAhead} days ahead`);
+  }
+
+  const slot = generateSlots(schedule, start, clinicHours).find(candidate => candidate.start.getTime() === start.getTime());
+  if (!slot) {
+    throw new Error('The doctor is not available at this time');
+  }
+
+  return slot;
+};
+
+/**
+ * Whether the reminder of an appointment is due
+ */
+export const isReminderDue = (appointment, now = new Date(), reminderHours = 24) => {
+  if (!OPEN_STATUSES.includes(appointment.status) || appointment.reminders?.enabled === false) {
+    return false;
+  }
+  if ((appointment.reminders?.sent || []).some(reminder => reminder.status === 'sent')) {
+    return false;
+  }
+
+  const { start } = getAppointmentRange(appointment);
+  const hours = appointment.reminders?.reminderHours ?? reminderHours;
+  return now.getTime() >= start.getTime() - hours * 60 * MINUTE_MS && now.getTime() < start.getTime();
+};
+
+/**
+ * Whether an appointment nobody checked in for should become a no-show
+ */
+export const isNoShow = (appointment, now = new Date(), graceMinutes = 15) => {
+  if (!OPEN_STATUSES.includes(appointment.status) || appointment.checkIn?.checkedIn) {
+    return false;
+  }
+  const { start } = getAppointmentRange(appointment);
+  return now.getTime() > start.getTime() + graceMinutes * MINUTE_MS;
+};
+
+/**
+ * Daily clinic queue: appointments in time order with their queue state
+ * waiting = checked in, not yet seen; in-progress = with the doctor
+ * @param {Array<Object>} appointments - Appointments of the day
+ * @param {Date} [now]
+ * @returns {{ entries: Array<Object>, summary: Object }}
+ */
+export const buildQueue = (appointments, now = new Date()) => {
+  const summary = { total: 0, upcoming: 0, waiting: 0, inProgress: 0, completed: 0, noShow: 0, cancelled: 0, late: 0 };
+  let position = 0;
+
+  const entries = [...appointments]
+    .map(appointment => ({ appointment, ...getAppointmentRange(appointment) }))
+    .sort((a, b) => a.start - b.start)
+    .map(({ appointment, start, end }) => {
+      let state;
+      if (appointment.status === 'cancelled') state = 'cancelled';
+      else if (appointment.status === 'no-show') state = 'no-show';
+      else if (appointment.status === 'completed') state = 'completed';
+      else if (appointment.status === 'in-progress') state = 'in-progress';
+      else if (appointment.checkIn?.checkedIn) state = 'waiting';
+      else state = 'upcoming';
+
+      const late = state === 'upcoming' && now > start;
+      summary.total += 1;
+      summary[{ 'in-progress': 'inProgress', 'no-show': 'noShow' }[state] || state] += 1;
+      if (late) summary.late += 1;
+
+      return {
+        appointment,
+        start,
+        end,
+        time: formatTime(start),
+        state,
+        late,
+        position: state === 'waiting' ? ++position : null
+      };
+    });
+
+  return { entries, summary };
+};
+
+export default {
+  ACTIVE_STATUSES,
+  OPEN_STATUSES,
+  parseTime,
+  formatTime,
+  getWindowsForDay,
+  intersectWindows,
+  getDoctorWindows,
+  generateSlots,
+  overlaps,
+  getAppointmentRange,
+  findConflicts,
+  markSlotAvailability,
+  validateBooking,
+  isReminderDue,
+  isNoShow,
+  buildQueue
+};
@@ -1,9 +1,28 @@
 // Document Template Controller
 import DocumentTemplate from '../models/documentTemplate.model.js';
+import DocumentTemplateService from '../services/DocumentTemplateService.js';
+
+const documentTemplateService = new DocumentTemplateService();
+
+// Templates are scoped to the tenant of the user
+const tenantFilter = (req) => {
+    const tenantId = req.tenantId || req.user?.tenantId;
+    return tenantId ? { tenantId } : {};
+};
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/Access denied/.test(err.message)) {
+        return 403;
+    }
+    return 400;
+};
 
 export const getAllDocumentTemplates = async (req, res) => {
     try {
-        const templates = await DocumentTemplate.find({ isActive: true })
+        const templates = await DocumentTemplate.find({ ...tenantFilter(req), isActive: true })
             .populate('createdBy', 'username email')
             .sort({ createdAt: -1 });
         res.json(templates);
@@ -14,7 +33,8 @@ export const getAllDocumentTemplates = async (req, res) => {
 
 export const createDocumentTemplate = async (req, res) => {
     try {
-        const template = new DocumentTemplate(req.body);
+        documentTemplateService.validateContent(req.body.content, req.body.customFields);
+        const template = new DocumentTemplate({ ...req.body, ...tenantFilter(req) });
         await template.save();
         res.status(201).json(template);
     } catch (err) {
@@ -24,7 +44,7 @@ export const createDocumentTemplate = async (req, res) => {
 
 export const getDocumentTemplateById = async (req, res) => {
     try {
-        const template = await DocumentTemplate.findById(req.params.id)
+        const template = await DocumentTemplate.findOne({ _id: req.params.id, ...tenantFilter(req) })
             .populate('createdBy', 'username email');
         if (!template) return res.status(404).json({ error: 'Document Template not found' });
         res.json(template);
@@ -35,8 +55,16 @@ export const getDocumentTemplateById = async (req, res) => {
 
 export const updateDocumentTemplate = async (req, res) => {
     try {
-        const template = await DocumentTemplate.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const template = await DocumentTemplate.findOne({ _id: req.params.id, ...tenantFilter(req) });
         if (!template) return res.status(404).json({ error: 'Document Template not found' });
+
+        // Issued reference numbers and the tenant never change through an update
+        const changes = { ...req.body };
+        delete changes.referenceSequence;
+        delete changes.tenantId;
+        template.set(changes);
+        documentTemplateService.validateContent(template.content, template.customFields);
+        await template.save();
         res.json(template);
     } catch (err) {
         res.status(400).json({ error: err.message });
@@ -45,10 +73,75 @@ export const updateDocumentTemplate = async (req, res) => {
 
 export const deleteDocumentTemplate = async (req, res) => {
     try {
-        const template = await DocumentTemplate.findByIdAndDelete(req.params.id);
+        const template = await DocumentTemplate.findOneAndDelete({ _id: req.params.id, ...tenantFilter(req) });
         if (!template) return res.status(404).json({ error: 'Document Template not found' });
         res.json({ message: 'Document Template deleted' });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
+
+/**
+ * Placeholders available to template content
+ */
+export const getTemplatePlaceholders = async (req, res) => {
+    res.json(documentTemplateService.getPlaceholders());
+};
+
+/**
+ * Merge a template for one employee without saving it
+ */
+export const previewDocumentTemplate = async (req, res) => {
+    try {
+        const { tenantId } = tenantFilter(req);
+        const { employeeId, customValues } = req.body;
+
+        if (!employeeId) {
+            return res.status(400).json({ error: 'Employee is required' });
+        }
+
+        const preview = await documentTemplateService.preview(req.params.id, employeeId, customValues, tenantId);
+        res.json(preview);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Merge a template for one or many employees and save the results to their documents
+ */
+export const generateFromTemplate = async (req, res) => {
+    try {
+        const { tenantId } = tenantFilter(req);
+        const { employeeIds, customValues, formats } = req.body;
+
+        const result = await documentTemplateService.generate(
+            req.params.id,
+            { employeeIds, customValues, formats },
+            tenantId,
+            req.user
+        );
+        res.status(result.generated.length > 0 ? 201 : 200).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Download a document generated from a template
+ */
+export const downloadGeneratedDocument = async (req, res) => {
+    try {
+        const { tenantId } = tenantFilter(req);
+        const { filePath, fileName, contentType } = await documentTemplateService.getGeneratedFile(
+            req.params.documentId,
+            tenantId,
+            req.user
+        );
+
+        res.setHeader('Content-Type', contentType);
+        res.download(filePath, fileName);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
@@ -10,7 +10,7 @@ const documentSchema = new mongoose.Schema({
     arabicTitle: String,
     type: {
         type: String,
-        enum: ['contract', 'national-id', 'certificate', 'offer-letter', 'birth-certificate', 'other'],
+        enum: ['contract', 'national-id', 'certificate', 'offer-letter', 'birth-certificate', 'payslip', 'settlement', 'letter', 'other'],
         required: true
     },
     employee: {
@@ -36,6 +36,15 @@ const documentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Set on documents generated from a template
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DocumentTemplate'
+    },
+    referenceNumber: {
+        type: String,
+        trim: true
+    },
     expiryDate: Date,
     isConfidential: {
         type: Boolean,
@@ -53,5 +62,6 @@ documentSchema.index({ tenantId: 1, employee: 1 });
 documentSchema.index({ tenantId: 1, type: 1 });
 documentSchema.index({ tenantId: 1, uploadedBy: 1 });
 documentSchema.index({ tenantId: 1, expiryDate: 1 });
+documentSchema.index({ tenantId: 1, referenceNumber: 1 });
 
 export default mongoose.model('Document', documentSchema);
\ No newline at end of file
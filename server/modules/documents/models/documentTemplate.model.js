@@ -1,19 +1,85 @@
 // models/DocumentTemplate.js
 import mongoose from 'mongoose';
+import {
+    CUSTOM_FIELD_TYPES,
+    OUTPUT_FORMATS,
+    TEMPLATE_TYPES,
+    extractPlaceholders
+} from '../utils/templateMerge.js';
+
+// Extra values HR enters when merging, used as {{custom.<key>}}
+const customFieldSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        match: [/^[a-zA-Z][\w]*$/, 'Custom field key may only contain letters, digits and underscores']
+    },
+    label: String,
+    type: {
+        type: String,
+        enum: CUSTOM_FIELD_TYPES,
+        default: 'text'
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    defaultValue: String
+}, { _id: false });
 
 const documentTemplateSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        index: true
+    },
     name: {
         type: String,
         required: true
     },
+    arabicName: String,
     description: String,
+    type: {
+        type: String,
+        enum: TEMPLATE_TYPES,
+        default: 'other'
+    },
+    // Merge template body with {{placeholders}}; one paragraph per line
+    content: String,
+    // Placeholders used by the content (kept in sync on save)
+    variables: [String],
+    customFields: [customFieldSchema],
+    direction: {
+        type: String,
+        enum: ['ltr', 'rtl'],
+        default: 'ltr'
+    },
+    outputFormats: {
+        type: [{ type: String, enum: OUTPUT_FORMATS }],
+        default: ['pdf']
+    },
+    referencePrefix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: 'DOC'
+    },
+    // Last reference number issued per year, e.g. { '2025': 42 }
+    referenceSequence: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
     fileUrl: {
         type: String,
-        required: true // URL or path to the template file
+        required: function () {
+            return !this.content; // URL or path to the template file
+        }
     },
     fileType: {
         type: String,
-        required: true // e.g., 'pdf', 'docx', etc.
+        required: function () {
+            return !this.content; // e.g., 'pdf', 'docx', etc.
+        }
     },
     isActive: {
         type: Boolean,
@@ -28,4 +94,11 @@ const documentTemplateSchema = new mongoose.Schema({
     timestamps: true
 });
 
+documentTemplateSchema.pre('validate', function (next) {
+    if (this.isModified('content')) {
+        this.variables = extractPlaceholders(this.content);
+    }
+    next();
+});
+
 export default mongoose.model('DocumentTemplate', documentTemplateSchema);
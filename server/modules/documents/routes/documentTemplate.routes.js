@@ -4,7 +4,11 @@ import {
     createDocumentTemplate,
     getDocumentTemplateById,
     updateDocumentTemplate,
-    deleteDocumentTemplate
+    deleteDocumentTemplate,
+    getTemplatePlaceholders,
+    previewDocumentTemplate,
+    generateFromTemplate,
+    downloadGeneratedDocument
 } from '../controllers/documentTemplate.controller.js';
 import {
     protect,
@@ -28,6 +32,12 @@ router.use(requireModuleLicense(MODULES.DOCUMENTS));
 // Get all document templates - All authenticated users can view
 router.get('/', getAllDocumentTemplates);
 
+// Placeholders available to template content - HR or Admin only
+router.get('/placeholders', hrOrAdmin, getTemplatePlaceholders);
+
+// Download a generated document - the employee it belongs to, HR or Admin (checked in the service)
+router.get('/generated/:documentId/download', downloadGeneratedDocument);
+
 // Create document template - HR or Admin only with validation
 router.post('/',
     hrOrAdmin,
@@ -52,4 +62,10 @@ router.put('/:id',
 // Delete document template - HR or Admin only
 router.delete('/:id', hrOrAdmin, deleteDocumentTemplate);
 
+// Preview a template merged for one employee - HR or Admin only
+router.post('/:id/preview', hrOrAdmin, previewDocumentTemplate);
+
+// Merge a template for one or many employees into their documents - HR or Admin only
+router.post('/:id/generate', hrOrAdmin, generateFromTemplate);
+
 export default router;
@@ -13,7 +13,9 @@ class DocumentService {
    * Get all documents
    */
   async getAllDocuments(tenantId, options = {}) {
-    const filter = { tenantId };
+    // Role-based filter from the controller (e.g. employees only see their own confidential documents)
+    const { filter: accessFilter = {}, ...restOptions } = options;
+    const filter = { ...accessFilter, tenantId };
     const queryOptions = {
       populate: [
         { path: 'uploadedBy', select: 'firstName lastName email employeeId' },
@@ -21,7 +23,7 @@ class DocumentService {
         { path: 'department', select: 'name code' }
       ],
       sort: { createdAt: -1 },
-      ...options
+      ...restOptions
     };
 
     return await this.documentRepository.find(filter, queryOptions);
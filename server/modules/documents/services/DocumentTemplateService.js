@@ -0,0 +1,361 @@
+import PDFDocument from 'pdfkit';
+import archiver from 'archiver';
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+import DocumentTemplate from '../models/documentTemplate.model.js';
+import Document from '../models/document.model.js';
+import User from '../../hr-core/users/models/user.model.js';
+import SalaryStructure from '../../payroll/models/salaryStructure.model.js';
+import Tenant from '../../../platform/tenants/models/Tenant.js';
+import {
+  AVAILABLE_PLACEHOLDERS,
+  OUTPUT_FORMATS,
+  TEMPLATE_DOCUMENT_TYPES,
+  buildCustomData,
+  buildDocxParts,
+  buildMergeData,
+  containsArabic,
+  findInvalidPlaceholders,
+  formatDate,
+  formatReference,
+  getGeneratedFileName,
+  mergeTemplate
+} from '../utils/templateMerge.js';
+import logger from '../../../utils/logger.js';
+
+const EMPLOYEE_POPULATE = [
+  { path: 'department', select: 'name arabicName' },
+  { path: 'position', select: 'title arabicTitle' }
+];
+
+// Fonts with Arabic glyphs, tried in order when DOCUMENT_ARABIC_FONT is not set
+const ARABIC_FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/noto/NotoNaskhArabic-Regular.ttf',
+  '/usr/share/fonts/truetype/noto/NotoSansArabic-Regular.ttf',
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const HR_ROLES = ['hr', 'admin'];
+
+// Upper bound for one bulk merge request
+const MAX_EMPLOYEES_PER_MERGE = 500;
+
+const userIdOf = (user) => user?._id || user?.id;
+
+/**
+ * Document Template Service - Merges templates with employee data
+ * Generated letters are written outside the public uploads folder and saved as
+ * confidential documents of the employee, each with its own reference number.
+ */
+class DocumentTemplateService {
+  constructor() {
+    this.storageDir = process.env.DOCUMENT_STORAGE_DIR || path.join('storage', 'documents');
+    this.arabicFont = this.resolveArabicFont();
+  }
+
+  /**
+   * Find a font able to render Arabic templates
+   */
+  resolveArabicFont() {
+    const candidates = [process.env.DOCUMENT_ARABIC_FONT, ...ARABIC_FONT_CANDIDATES].filter(Boolean);
+    const font = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!font) {
+      logger.warn('No Arabic font found for generated documents; set DOCUMENT_ARABIC_FONT.');
+    }
+
+    return font || null;
+  }
+
+  getPlaceholders() {
+    return AVAILABLE_PLACEHOLDERS;
+  }
+
+  /**
+   * Check the placeholders of a template before it is saved
+   * @throws {Error} If the content uses unknown placeholders
+   */
+  validateContent(content, customFields = []) {
+    if (!content) return;
+
+    const invalid = findInvalidPlaceholders(content, customFields);
+    if (invalid.length > 0) {
+      throw new Error(`Unknown placeholders: ${invalid.map(key => `{{${key}}}`).join(', ')}`);
+    }
+  }
+
+  async getTemplate(templateId, tenantId) {
+    const template = await DocumentTemplate.findOne({ _id: templateId, tenantId, isActive: true });
+
+    if (!template) {
+      throw new Error('Document Template not found');
+    }
+
+    if (!template.content) {
+      throw new Error('Template has no merge content');
+    }
+
+    return template;
+  }
+
+  /**
+   * Merge a template for one employee without saving anything
+   * @returns {Promise<{title: string, text: string, missing: string[]}>}
+   */
+  async preview(templateId, employeeId, customValues, tenantId) {
+    const template = await this.getTemplate(templateId, tenantId);
+    const [employee] = await this._getEmployees([employeeId], tenantId);
+
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+
+    const data = await this._buildData(template, employee, customValues, tenantId, {
+      reference: formatReference(template.referencePrefix, new Date().getFullYear(), 'XXXXX')
+    });
+    const { text, missing } = mergeTemplate(template.content, data);
+
+    return { title: template.name, text, missing };
+  }
+
+  /**
+   * Merge a template for one or many employees and save the results to their documents
+   * @param {string} templateId
+   * @param {Object} options - { employeeIds, customValues, formats }
+   * @param {string} tenantId
+   * @param {Object} user - Requesting HR user
+   * @returns {Promise<{total: number, generated: Array, failed: Array}>}
+   */
+  async generate(templateId, { employeeIds = [], customValues = {}, formats } = {}, tenantId, user) {
+    const template = await this.getTemplate(templateId, tenantId);
+    const ids = [...new Set([].concat(employeeIds).filter(Boolean).map(String))];
+
+    if (ids.length === 0) {
+      throw new Error('At least one employee is required');
+    }
+    if (ids.length > MAX_EMPLOYEES_PER_MERGE) {
+      throw new Error(`At most ${MAX_EMPLOYEES_PER_MERGE} employees can be merged at once`);
+    }
+
+    const outputFormats = (formats?.length ? formats : template.outputFormats).filter(format => OUTPUT_FORMATS.includes(format));
+    if (outputFormats.length === 0) {
+      throw new Error(`Output format must be one of: ${OUTPUT_FORMATS.join(', ')}`);
+    }
+
+    // Required custom fields are checked once, before any reference is issued
+    buildCustomData(template.customFields, customValues);
+
+    const employees = await this._getEmployees(ids, tenantId);
+    const found = new Set(employees.map(employee => employee._id.toString()));
+    const result = {
+      total: ids.length,
+      generated: [],
+      failed: ids.filter(id => !found.has(id)).map(id => ({ employee: id, reason: 'Employee not found' }))
+    };
+
+    for (const employee of employees) {
+      try {
+        result.generated.push(await this._generateForEmployee(template, employee, customValues, outputFormats, tenantId, user));
+      } catch (error) {
+        logger.error('Failed to generate document', { tenantId, templateId, employeeId: employee._id, error: error.message });
+        result.failed.push({ employee: employee._id, reason: error.message });
+      }
+    }
+
+    logger.info('Documents generated from template', {
+      tenantId,
+      templateId,
+      generated: result.generated.length,
+      failed: result.failed.length
+    });
+
+    return result;
+  }
+
+  /**
+   * File of a generated document, for the employee it belongs to and HR
+   * @returns {Promise<{filePath: string, fileName: string, contentType: string}>}
+   */
+  async getGeneratedFile(documentId, tenantId, user) {
+    const document = await Document.findOne({ _id: documentId, tenantId, template: { $ne: null } });
+
+    if (!document) {
+      throw new Error('Document not found');
+    }
+
+    const isOwner = document.employee?.toString() === userIdOf(user)?.toString();
+    if (!isOwner && !HR_ROLES.includes(user.role)) {
+      throw new Error('Access denied');
+    }
+
+    const filePath = path.join(this.storageDir, tenantId, document.fileName);
+    if (!fs.existsSync(filePath)) {
+      throw new Error('Document file not found');
+    }
+
+    const format = path.extname(document.fileName).slice(1);
+    return { filePath, fileName: document.fileName, contentType: CONTENT_TYPES[format] || 'application/octet-stream' };
+  }
+
+  async _generateForEmployee(template, employee, customValues, formats, tenantId, user) {
+    const issueDate = new Date();
+    const reference = await this._nextReference(template, issueDate.getFullYear());
+    const data = await this._buildData(template, employee, customValues, tenantId, { reference, issueDate });
+    const { text, missing } = mergeTemplate(template.content, data);
+    const content = {
+      title: template.direction === 'rtl' && template.arabicName ? template.arabicName : template.name,
+      reference,
+      date: formatDate(issueDate),
+      body: text,
+      direction: template.direction
+    };
+
+    const directory = path.join(this.storageDir, tenantId);
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    const documents = [];
+    for (const format of formats) {
+      const fileName = getGeneratedFileName(reference, format);
+      const filePath = path.join(directory, fileName);
+
+      if (format === 'docx') {
+        await this.renderDocx(content, filePath);
+      } else {
+        await this.renderPdf(content, filePath);
+      }
+
+      const document = new Document({
+        tenantId,
+        title: template.name,
+        arabicTitle: template.arabicName,
+        type: TEMPLATE_DOCUMENT_TYPES[template.type] || 'other',
+        employee: employee._id,
+        department: employee.department?._id,
+        fileName,
+        fileSize: fs.statSync(filePath).size,
+        template: template._id,
+        referenceNumber: reference,
+        uploadedBy: userIdOf(user),
+        isConfidential: true
+      });
+      document.fileUrl = `/api/v1/document-templates/generated/${document._id}/download`;
+      await document.save();
+      documents.push(document);
+    }
+
+    return { employee: employee._id, reference, missing, documents };
+  }
+
+  /**
+   * Reserve the next reference number of the template for a year
+   */
+  async _nextReference(template, year) {
+    const updated = await DocumentTemplate.findOneAndUpdate(
+      { _id: template._id },
+      { $inc: { [`referenceSequence.${year}`]: 1 } },
+      { new: true }
+    );
+
+    return formatReference(updated.referencePrefix, year, updated.referenceSequence.get(String(year)));
+  }
+
+  async _buildData(template, employee, customValues, tenantId, context) {
+    const usesSalary = (template.variables || []).some(key => key.startsWith('salary.'));
+    const [salaryStructure, tenant] = await Promise.all([
+      usesSalary ? SalaryStructure.findOne({ tenantId, employee: employee._id, isActive: true }) : null,
+      Tenant.findOne({ tenantId }).select('name')
+    ]);
+
+    return {
+      ...buildMergeData(employee, { ...context, salaryStructure, companyName: tenant?.name }),
+      ...buildCustomData(template.customFields, customValues)
+    };
+  }
+
+  async _getEmployees(ids, tenantId) {
+    const validIds = ids.filter(id => mongoose.Types.ObjectId.isValid(id));
+    return await User.find({ _id: { $in: validIds }, tenantId })
+      .select('username email employeeId personalInfo employment department position')
+      .populate(EMPLOYEE_POPULATE);
+  }
+
+  /**
+   * Write the merged document as DOCX
+   */
+  async renderDocx(content, filePath) {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    buildDocxParts(content).forEach(part => archive.append(part.content, { name: part.name }));
+    await archive.finalize();
+    await written;
+
+    return filePath;
+  }
+
+  /**
+   * Write the merged document as PDF; Arabic lines are right-aligned
+   */
+  async renderPdf(content, filePath) {
+    const doc = new PDFDocument({ margin: 60, size: 'A4' });
+    const stream = fs.createWriteStream(filePath);
+    const written = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    if (this.arabicFont) {
+      doc.registerFont('Arabic', this.arabicFont);
+    }
+
+    const left = 60;
+    const width = doc.page.width - 120;
+    const rtlDocument = content.direction === 'rtl';
+
+    const paragraph = (text, { bold = false, size = 11, align } = {}) => {
+      const rtl = rtlDocument || containsArabic(text);
+      if (rtl && this.arabicFont) {
+        doc.font('Arabic');
+      } else {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      }
+      doc.fontSize(size).text(text || ' ', left, doc.y, {
+        width,
+        align: align || (rtl ? 'right' : 'left'),
+        ...(rtl && this.arabicFont ? { features: ['rtla'] } : {})
+      });
+    };
+
+    paragraph(content.title, { bold: true, size: 18, align: 'center' });
+    doc.moveDown(0.5);
+    paragraph(`${content.reference}    ${content.date}`, { size: 9 });
+    doc.moveDown(1.5);
+
+    content.body.split(/\r?\n/).forEach(line => {
+      paragraph(line);
+      doc.moveDown(0.3);
+    });
+
+    doc.end();
+    await written;
+
+    return filePath;
+  }
+}
+
+export default DocumentTemplateService;
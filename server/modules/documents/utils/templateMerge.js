@@ -0,0 +1,266 @@
+/**
+ * Template Merge
+ * Placeholder handling for document templates: which placeholders exist,
+ * the merge data of an employee, the merge itself, reference numbers and
+ * the WordprocessingML parts of a generated DOCX. Kept free of database
+ * and file concerns so merges can be previewed and tested on their own.
+ */
+
+// {{ employee.name }}, {{custom.reason}}
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][\w]*(?:\.[a-zA-Z][\w]*)*)\s*\}\}/g;
+
+// Template type -> Document type the generated file is saved under
+export const TEMPLATE_DOCUMENT_TYPES = {
+    letter: 'letter',
+    'warning-letter': 'letter',
+    certificate: 'certificate',
+    contract: 'contract'
+};
+
+export const TEMPLATE_TYPES = ['letter', 'warning-letter', 'certificate', 'contract', 'report', 'form', 'email', 'other'];
+
+export const OUTPUT_FORMATS = ['pdf', 'docx'];
+
+export const CUSTOM_FIELD_TYPES = ['text', 'number', 'date'];
+
+/**
+ * Placeholders every template can use; custom fields add custom.<key>
+ */
+export const AVAILABLE_PLACEHOLDERS = [
+    { key: 'employee.name', label: 'Full name' },
+    { key: 'employee.arabicName', label: 'Arabic name' },
+    { key: 'employee.firstName', label: 'First name' },
+    { key: 'employee.lastName', label: 'Last name' },
+    { key: 'employee.employeeId', label: 'Employee ID' },
+    { key: 'employee.email', label: 'Email' },
+    { key: 'employee.nationalId', label: 'National ID' },
+    { key: 'employee.nationality', label: 'Nationality' },
+    { key: 'employee.position', label: 'Position' },
+    { key: 'employee.arabicPosition', label: 'Position (Arabic)' },
+    { key: 'employee.department', label: 'Department' },
+    { key: 'employee.arabicDepartment', label: 'Department (Arabic)' },
+    { key: 'employee.hireDate', label: 'Hire date' },
+    { key: 'employee.yearsOfService', label: 'Years of service' },
+    { key: 'employee.contractType', label: 'Contract type' },
+    { key: 'employee.grade', label: 'Grade' },
+    { key: 'salary.base', label: 'Base salary' },
+    { key: 'salary.allowances', label: 'Total allowances' },
+    { key: 'salary.total', label: 'Total monthly salary' },
+    { key: 'salary.currency', label: 'Salary currency' },
+    { key: 'company.name', label: 'Company name' },
+    { key: 'document.reference', label: 'Reference number' },
+    { key: 'document.date', label: 'Issue date' }
+];
+
+const AVAILABLE_KEYS = new Set(AVAILABLE_PLACEHOLDERS.map(placeholder => placeholder.key));
+
+/**
+ * Dates in letters are written day/month/year
+ */
+export const formatDate = (value) => {
+    if (!value) return '';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '';
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+};
+
+export const formatAmount = (value) => (value === undefined || value === null || value === ''
+    ? ''
+    : Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+
+/**
+ * Placeholder keys used in a template, in order of first use
+ */
+export const extractPlaceholders = (content = '') => {
+    const keys = [];
+    for (const match of String(content).matchAll(PLACEHOLDER_PATTERN)) {
+        if (!keys.includes(match[1])) keys.push(match[1]);
+    }
+    return keys;
+};
+
+/**
+ * Placeholders a template may not use: unknown keys and custom keys that
+ * are not declared as custom fields
+ * @returns {string[]}
+ */
+export const findInvalidPlaceholders = (content, customFields = []) => {
+    const customKeys = customFields.map(field => `custom.${field.key}`);
+    return extractPlaceholders(content).filter(key => !AVAILABLE_KEYS.has(key) && !customKeys.includes(key));
+};
+
+const yearsBetween = (from, to) => {
+    if (!from) return '';
+    const start = new Date(from);
+    const end = new Date(to);
+    let years = end.getFullYear() - start.getFullYear();
+    if (end.getMonth() < start.getMonth() || (end.getMonth() === start.getMonth() && end.getDate() < start.getDate())) {
+        years -= 1;
+    }
+    return String(Math.max(years, 0));
+};
+
+/**
+ * Merge data of an employee
+ * @param {Object} employee - User with department and position populated
+ * @param {Object} [context] - { salaryStructure, companyName, reference, issueDate }
+ * @returns {Object} Flat map of placeholder key -> text
+ */
+export const buildMergeData = (employee = {}, context = {}) => {
+    const info = employee.personalInfo || {};
+    const employment = employee.employment || {};
+    const issueDate = context.issueDate || new Date();
+    const salary = context.salaryStructure;
+    const allowances = (salary?.allowances || []).reduce((sum, allowance) => sum + (allowance.amount || 0), 0);
+
+    return {
+        'employee.name': info.fullName || [info.firstName, info.lastName].filter(Boolean).join(' ') || employee.username || '',
+        'employee.arabicName': info.arabicName || '',
+        'employee.firstName': info.firstName || '',
+        'employee.lastName': info.lastName || '',
+        'employee.employeeId': employee.employeeId || '',
+        'employee.email': employee.email || '',
+        'employee.nationalId': info.nationalId || '',
+        'employee.nationality': info.nationality || '',
+        'employee.position': employee.position?.title || '',
+        'employee.arabicPosition': employee.position?.arabicTitle || '',
+        'employee.department': employee.department?.name || '',
+        'employee.arabicDepartment': employee.department?.arabicName || '',
+        'employee.hireDate': formatDate(employment.hireDate),
+        'employee.yearsOfService': yearsBetween(employment.hireDate, issueDate),
+        'employee.contractType': employment.contractType || '',
+        'employee.grade': employment.grade || '',
+        'salary.base': salary ? formatAmount(salary.baseSalary) : '',
+        'salary.allowances': salary ? formatAmount(allowances) : '',
+        'salary.total': salary ? formatAmount((salary.baseSalary || 0) + allowances) : '',
+        'salary.currency': salary?.currency || '',
+        'company.name': context.companyName || '',
+        'document.reference': context.reference || '',
+        'document.date': formatDate(issueDate)
+    };
+};
+
+/**
+ * Merge data of the template's custom fields
+ * @throws {Error} If a required custom field has no value
+ */
+export const buildCustomData = (customFields = [], values = {}) => {
+    const data = {};
+
+    for (const field of customFields) {
+        const value = values[field.key] ?? field.defaultValue ?? '';
+        if (field.required && (value === '' || value === null)) {
+            throw new Error(`Missing value for custom field: ${field.label || field.key}`);
+        }
+        data[`custom.${field.key}`] = field.type === 'date' ? formatDate(value) : String(value);
+    }
+
+    return data;
+};
+
+/**
+ * Replace the placeholders of a template
+ * @returns {{text: string, missing: string[]}} Merged text and the placeholders left empty
+ */
+export const mergeTemplate = (content = '', data = {}) => {
+    const missing = [];
+    const text = String(content).replace(PLACEHOLDER_PATTERN, (match, key) => {
+        const value = data[key];
+        if (value === undefined || value === null || value === '') {
+            if (!missing.includes(key)) missing.push(key);
+            return '';
+        }
+        return String(value);
+    });
+
+    return { text, missing };
+};
+
+/**
+ * Reference number of a generated document, e.g. HR-2025-00042
+ */
+export const formatReference = (prefix, year, sequence) => `${prefix || 'DOC'}-${year}-${String(sequence).padStart(5, '0')}`;
+
+/**
+ * File name of a generated document
+ */
+export const getGeneratedFileName = (reference, format) => `${reference}.${format}`;
+
+export const containsArabic = (text) => /[\u0600-\u06FF]/.test(text || '');
+
+const escapeXml = (text) => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const docxParagraph = (text, { rtl = false, bold = false, size = 22, align } = {}) => {
+    const justification = align || (rtl ? 'right' : 'left');
+    const paragraphProps = `<w:pPr>${rtl ? '<w:bidi/>' : ''}<w:jc w:val="${justification}"/><w:spacing w:after="160"/></w:pPr>`;
+    const runProps = `<w:rPr>${rtl ? '<w:rtl/>' : ''}${bold ? '<w:b/>' : ''}<w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr>`;
+    if (!text) return `<w:p>${paragraphProps}</w:p>`;
+    return `<w:p>${paragraphProps}<w:r>${runProps}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+};
+
+/**
+ * Parts of a minimal DOCX package for a merged document
+ * @param {Object} document - { title, reference, date, body, direction }
+ * @returns {Array<{name: string, content: string}>} Files to zip
+ */
+export const buildDocxParts = ({ title, reference, date, body, direction = 'ltr' }) => {
+    const rtl = direction === 'rtl';
+    const paragraphs = [
+        docxParagraph(title, { rtl: rtl || containsArabic(title), bold: true, size: 32, align: 'center' }),
+        docxParagraph(`${reference}    ${date}`, { rtl, size: 18 }),
+        docxParagraph(''),
+        ...String(body).split(/\r?\n/).map(line => docxParagraph(line, { rtl: rtl || containsArabic(line) }))
+    ];
+
+    return [
+        {
+            name: '[Content_Types].xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+                + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+                + '<Default Extension="xml" ContentType="application/xml"/>'
+                + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+                + '</Types>'
+        },
+        {
+            name: '_rels/.rels',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+                + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>'
+                + '</Relationships>'
+        },
+        {
+            name: 'word/document.xml',
+            content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+                + '<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">'
+                + `<w:body>${paragraphs.join('')}`
+                + '<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>'
+                + '</w:body></w:document>'
+        }
+    ];
+};
+
+export default {
+    TEMPLATE_DOCUMENT_TYPES,
+    TEMPLATE_TYPES,
+    OUTPUT_FORMATS,
+    CUSTOM_FIELD_TYPES,
+    AVAILABLE_PLACEHOLDERS,
+    formatDate,
+    formatAmount,
+    extractPlaceholders,
+    findInvalidPlaceholders,
+    buildMergeData,
+    buildCustomData,
+    mergeTemplate,
+    formatReference,
+    getGeneratedFileName,
+    containsArabic,
+    buildDocxParts
+};
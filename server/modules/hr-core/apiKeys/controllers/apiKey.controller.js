@@ -0,0 +1,125 @@
+// API Key Controller
+import ApiKeyService from '../services/ApiKeyService.js';
+import OpenApiService from '../services/OpenApiService.js';
+
+const apiKeyService = new ApiKeyService();
+const openApiService = new OpenApiService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/has been revoked/.test(err.message)) {
+        return 409;
+    }
+    return 400;
+};
+
+/**
+ * Scopes a key can be granted
+ */
+export const getScopes = (req, res) => {
+    res.json(apiKeyService.getScopes());
+};
+
+/**
+ * OpenAPI specification of the routes API keys can call
+ */
+export const getOpenApiSpec = async (req, res) => {
+    try {
+        res.json(await openApiService.getSpec());
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+/**
+ * Keys
+ */
+export const getKeys = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await apiKeyService.getKeys(tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getKey = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await apiKeyService.getKey(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const createKey = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await apiKeyService.createKey(req.body, tenantId, req.user, req);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const updateKey = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await apiKeyService.updateKey(req.params.id, req.body, tenantId, req.user, req));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const revokeKey = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await apiKeyService.revokeKey(req.params.id, tenantId, req.user, req));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Recent requests made with a key
+ */
+export const getUsage = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await apiKeyService.getUsage(req.params.id, tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
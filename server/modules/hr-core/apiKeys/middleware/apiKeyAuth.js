@@ -0,0 +1,95 @@
+import rateLimit from 'express-rate-limit';
+import ApiKeyService from '../services/ApiKeyService.js';
+import { DEFAULT_REQUESTS_PER_MINUTE, getRequiredScope, hasScope, isApiKey } from '../utils/apiKeyEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const apiKeyService = new ApiKeyService();
+
+/**
+ * Key presented with a request: the X-API-Key header, or a bearer token
+ * in API key format
+ */
+const extractApiKey = (req) => {
+    const header = req.headers['x-api-key'];
+    if (header) return String(header).trim();
+
+    const [scheme, token] = (req.headers.authorization || '').split(' ');
+    if (/^(Bearer|ApiKey)$/i.test(scheme || '') && isApiKey(token)) {
+        return token;
+    }
+    return null;
+};
+
+// Per-key limit, set on each key
+const apiKeyRateLimit = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => req.apiKey.rateLimit?.requestsPerMinute || DEFAULT_REQUESTS_PER_MINUTE,
+    keyGenerator: (req) => `api-key:${req.apiKey._id}`,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        message: 'API key rate limit exceeded, please try again later'
+    }
+});
+
+/**
+ * API key authentication for /api/v1
+ *
+ * Requests without a key pass through to the usual session authentication.
+ * With a key, the request runs as the key's owner when the key has the scope
+ * the route needs; requireAuth and protect then accept it as authenticated.
+ * Every keyed request is counted against the key's rate limit and audited.
+ */
+export const apiKeyAuth = async (req, res, next) => {
+    const rawKey = extractApiKey(req);
+    if (!rawKey) {
+        return next();
+    }
+
+    let apiKey;
+    let user;
+    try {
+        ({ apiKey, user } = await apiKeyService.authenticate(rawKey));
+    } catch (error) {
+        logger.warn('API key authentication failed', { path: req.originalUrl, ip: req.ip, reason: error.message });
+        return res.status(401).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    const startedAt = Date.now();
+    const scope = getRequiredScope(req.method, req.path);
+    res.on('finish', () => {
+        apiKeyService.recordUsage(apiKey, req, {
+            statusCode: res.statusCode,
+            durationMs: Date.now() - startedAt,
+            scope,
+            error: res.statusCode >= 400 ? res.locals.apiKeyError : undefined
+        });
+    });
+
+    if (!scope) {
+        res.locals.apiKeyError = 'Route not available to API keys';
+        return res.status(403).json({
+            success: false,
+            message: 'This endpoint is not available to API keys'
+        });
+    }
+    if (!hasScope(apiKey.scopes, scope)) {
+        res.locals.apiKeyError = `Missing scope ${scope}`;
+        return res.status(403).json({
+            success: false,
+            message: `API key is missing the ${scope} scope`
+        });
+    }
+
+    req.apiKey = apiKey;
+    req.user = user;
+    req.tenantId = apiKey.tenantId;
+
+    return apiKeyRateLimit(req, res, next);
+};
+
+export default apiKeyAuth;
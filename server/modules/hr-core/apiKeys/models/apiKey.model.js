@@ -0,0 +1,81 @@
+// models/ApiKey.js
+import mongoose from 'mongoose';
+import { API_KEY_SCOPES, DEFAULT_REQUESTS_PER_MINUTE, MAX_REQUESTS_PER_MINUTE } from '../utils/apiKeyEngine.js';
+
+/**
+ * API Key Model
+ * A revocable key an integration uses instead of a user session. Requests
+ * run as the key's owner, limited to the key's scopes. Only a hash of the
+ * key is stored; the key itself is shown once when it is created.
+ */
+const apiKeySchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Key name is required'],
+        trim: true
+    },
+    description: String,
+    // Public part of the key, used to look it up
+    prefix: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: API_KEY_SCOPES
+        }],
+        validate: [scopes => scopes.length > 0, 'Select at least one scope']
+    },
+    rateLimit: {
+        requestsPerMinute: {
+            type: Number,
+            min: 1,
+            max: MAX_REQUESTS_PER_MINUTE,
+            default: DEFAULT_REQUESTS_PER_MINUTE
+        }
+    },
+    // Requests are made as this user and need its role as well as the scope
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: Date,
+    revokedAt: Date,
+    revokedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    usageCount: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+apiKeySchema.index({ tenantId: 1, revokedAt: 1 });
+
+export default mongoose.model('ApiKey', apiKeySchema);
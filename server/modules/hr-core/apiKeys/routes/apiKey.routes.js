@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    getScopes,
+    getOpenApiSpec,
+    getKeys,
+    getKey,
+    createKey,
+    updateKey,
+    revokeKey,
+    getUsage
+} from '../controllers/apiKey.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+// Public API documentation, readable before an integration has a key
+router.get('/openapi.json', getOpenApiSpec);
+
+// Keys act with their owner's access - tenant admins only
+router.use(requireAuth, requireRole(ROLES.ADMIN));
+
+router.get('/scopes', getScopes);
+
+router.get('/', getKeys);
+router.post('/', createKey);
+router.get('/:id', getKey);
+router.put('/:id', updateKey);
+router.post('/:id/revoke', revokeKey);
+router.get('/:id/usage', getUsage);
+
+export default router;
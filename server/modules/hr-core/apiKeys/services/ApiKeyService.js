@@ -0,0 +1,278 @@
+import ApiKey from '../models/apiKey.model.js';
+import User from '../../users/models/user.model.js';
+import AuditLog from '../../models/AuditLog.js';
+import Tenant from '../../../../platform/tenants/models/Tenant.js';
+import auditLoggerService from '../../../../services/auditLogger.service.js';
+import {
+  API_KEY_SCOPES,
+  DEFAULT_REQUESTS_PER_MINUTE,
+  SCOPE_RESOURCES,
+  generateApiKey,
+  getKeyProblem,
+  hashApiKey,
+  matchesHash,
+  parseApiKey,
+  validateRateLimit,
+  validateScopes
+} from '../utils/apiKeyEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'scopes', 'expiresAt'];
+
+const OWNER_FIELDS = 'username email employeeId personalInfo role';
+
+const METHOD_ACTIONS = { GET: 'read', HEAD: 'read', OPTIONS: 'read', POST: 'create', PUT: 'update', PATCH: 'update', DELETE: 'delete' };
+
+// Owners must still hold one of these roles for their keys to work
+const KEY_OWNER_ROLES = ['admin', 'hr'];
+
+/**
+ * API Key Service - Tenant API keys for integrations
+ *
+ * Admins create keys with scopes (e.g. employees:read, attendance:write) and a
+ * per-minute rate limit. A request with a key runs as the admin who created
+ * it, limited to the key's scopes, and is written to the audit log.
+ */
+class ApiKeyService {
+  /**
+   * Scopes a key can be granted, with the API route groups each covers
+   */
+  getScopes() {
+    return { scopes: API_KEY_SCOPES, resources: SCOPE_RESOURCES };
+  }
+
+  async getKeys(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.includeRevoked !== 'true' && filters.includeRevoked !== true) {
+      query.revokedAt = null;
+    }
+
+    return await ApiKey.find(query)
+      .populate('owner', OWNER_FIELDS)
+      .sort({ createdAt: -1 });
+  }
+
+  async getKey(keyId, tenantId) {
+    const apiKey = await ApiKey.findOne({ _id: keyId, tenantId })
+      .populate('owner', OWNER_FIELDS)
+      .populate('revokedBy', 'username personalInfo.fullName');
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    return apiKey;
+  }
+
+  /**
+   * Create a key owned by the creating admin
+   * @returns {Promise<{apiKey: Object, key: string}>} The key is only returned here
+   */
+  async createKey(data, tenantId, user, req = null) {
+    this._validate(data);
+
+    const userId = user?._id || user?.id;
+    const { key, prefix } = generateApiKey();
+    const apiKey = new ApiKey({
+      tenantId,
+      name: data.name,
+      description: data.description,
+      scopes: data.scopes,
+      rateLimit: { requestsPerMinute: Number(data.rateLimit?.requestsPerMinute) || DEFAULT_REQUESTS_PER_MINUTE },
+      expiresAt: data.expiresAt || undefined,
+      prefix,
+      keyHash: hashApiKey(key),
+      owner: userId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await apiKey.save();
+
+    await this._audit(apiKey, {
+      action: 'create',
+      userId,
+      severity: 'high',
+      changes: { after: { name: apiKey.name, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit, expiresAt: apiKey.expiresAt } }
+    }, req);
+
+    const result = apiKey.toObject();
+    delete result.keyHash;
+    return { apiKey: result, key };
+  }
+
+  async updateKey(keyId, data, tenantId, user, req = null) {
+    const apiKey = await this.getKey(keyId, tenantId);
+    if (apiKey.revokedAt) {
+      throw new Error('API key has been revoked');
+    }
+    this._validate({ name: apiKey.name, scopes: apiKey.scopes, ...data }, { isUpdate: true });
+
+    const before = { scopes: [...apiKey.scopes], rateLimit: apiKey.rateLimit?.requestsPerMinute, expiresAt: apiKey.expiresAt };
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) apiKey[field] = data[field] || undefined;
+    });
+    if (data.rateLimit?.requestsPerMinute !== undefined) {
+      apiKey.rateLimit.requestsPerMinute = Number(data.rateLimit.requestsPerMinute);
+    }
+    apiKey.updatedBy = user?._id || user?.id;
+    await apiKey.save();
+
+    await this._audit(apiKey, {
+      action: 'update',
+      userId: user?._id || user?.id,
+      severity: 'high',
+      changes: {
+        before,
+        after: { scopes: apiKey.scopes, rateLimit: apiKey.rateLimit?.requestsPerMinute, expiresAt: apiKey.expiresAt },
+        fields: Object.keys(data)
+      }
+    }, req);
+
+    return apiKey;
+  }
+
+  async revokeKey(keyId, tenantId, user, req = null) {
+    const apiKey = await this.getKey(keyId, tenantId);
+    if (apiKey.revokedAt) {
+      throw new Error('API key has been revoked');
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = user?._id || user?.id;
+    await apiKey.save();
+
+    await this._audit(apiKey, { action: 'delete', userId: apiKey.revokedBy, severity: 'high' }, req);
+
+    return apiKey;
+  }
+
+  /**
+   * Requests made with a key, from the audit log
+   */
+  async getUsage(keyId, tenantId, filters = {}) {
+    const apiKey = await this.getKey(keyId, tenantId);
+    const limit = Math.min(500, Math.max(1, parseInt(filters.limit) || 100));
+
+    const entries = await AuditLog.find({ tenantId, resource: 'ApiKey', resourceId: apiKey._id })
+      .select('action status changes ipAddress performance createdAt errorMessage')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return {
+      apiKey,
+      entries: entries.map(entry => ({
+        at: entry.createdAt,
+        action: entry.action,
+        status: entry.status,
+        ipAddress: entry.ipAddress,
+        durationMs: entry.performance?.duration,
+        error: entry.errorMessage,
+        ...(entry.changes?.after || {})
+      }))
+    };
+  }
+
+  /**
+   * Find the key and its owner for a presented key
+   * @param {string} rawKey
+   * @returns {Promise<{apiKey: Object, user: Object}>}
+   * @throws {Error} When the key is unknown, revoked or expired, or its owner or tenant can no longer use it
+   */
+  async authenticate(rawKey) {
+    const parsed = parseApiKey(rawKey);
+    if (!parsed) {
+      throw new Error('Invalid API key');
+    }
+
+    const apiKey = await ApiKey.findOne({ prefix: parsed.prefix }).select('+keyHash');
+    if (!apiKey || !matchesHash(rawKey, apiKey.keyHash)) {
+      throw new Error('Invalid API key');
+    }
+    const problem = getKeyProblem(apiKey);
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const user = await User.findOne({ _id: apiKey.owner, tenantId: apiKey.tenantId })
+      .select('-password')
+      .populate('department position');
+    if (!user || user.isActive === false || !KEY_OWNER_ROLES.includes(user.role)) {
+      throw new Error('API key owner can no longer use API keys');
+    }
+
+    const tenant = await Tenant.findOne({ tenantId: apiKey.tenantId }).select('status').lean();
+    if (tenant && ['suspended', 'cancelled'].includes(tenant.status)) {
+      throw new Error(`Tenant account is ${tenant.status}`);
+    }
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Record a request made with a key: usage counters and an audit log entry
+   * @param {Object} apiKey
+   * @param {Object} req
+   * @param {Object} result - { statusCode, durationMs, scope, error }
+   */
+  async recordUsage(apiKey, req, { statusCode, durationMs, scope, error }) {
+    try {
+      await ApiKey.updateOne(
+        { _id: apiKey._id },
+        { $set: { lastUsedAt: new Date(), lastUsedIp: req.ip }, $inc: { usageCount: 1 } }
+      );
+    } catch (err) {
+      // Usage tracking never fails the request
+      logger.error('Failed to record API key usage', { apiKeyId: apiKey._id, error: err.message });
+    }
+
+    const method = req.method.toUpperCase();
+    await this._audit(apiKey, {
+      action: METHOD_ACTIONS[method] || 'read',
+      userId: apiKey.owner,
+      severity: statusCode >= 400 ? 'medium' : 'low',
+      status: statusCode >= 400 ? 'failure' : 'success',
+      errorMessage: error,
+      performance: { duration: durationMs },
+      changes: { after: { method, path: req.originalUrl, statusCode, scope } }
+    }, req);
+  }
+
+  _validate(data, { isUpdate = false } = {}) {
+    if (!isUpdate || data.name !== undefined) {
+      if (!data.name || !String(data.name).trim()) {
+        throw new Error('Key name is required');
+      }
+    }
+    const scopesError = validateScopes(data.scopes);
+    if (scopesError) throw new Error(scopesError);
+
+    if (data.rateLimit?.requestsPerMinute !== undefined) {
+      const rateError = validateRateLimit(data.rateLimit.requestsPerMinute);
+      if (rateError) throw new Error(rateError);
+    }
+    if (data.expiresAt) {
+      const expiresAt = new Date(data.expiresAt);
+      if (Number.isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        throw new Error('Expiry date must be in the future');
+      }
+    }
+  }
+
+  async _audit(apiKey, entry, req) {
+    try {
+      await auditLoggerService.createAuditLog({
+        resource: 'ApiKey',
+        resourceId: apiKey._id,
+        tenantId: apiKey.tenantId,
+        module: 'hr-core',
+        category: 'authorization',
+        tags: ['api-key', apiKey.prefix],
+        ...entry
+      }, req);
+    } catch (error) {
+      // The audit logger already recorded the failure; the key change stands
+      logger.warn('API key audit entry not saved', { apiKeyId: apiKey._id, action: entry.action, error: error.message });
+    }
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,56 @@
+import { moduleRegistry } from '../../../../config/moduleRegistry.js';
+import { SCOPE_RESOURCES } from '../utils/apiKeyEngine.js';
+import { buildOpenApiSpec } from '../utils/openApiSpec.js';
+
+// Spec tag for each scope resource
+const RESOURCE_TAGS = {
+  employees: { tag: 'Employees', description: 'Employees, departments, positions and resignations (hr-core)' },
+  attendance: { tag: 'Attendance', description: 'Attendance records, devices, forgotten check-ins and shifts' },
+  vacations: { tag: 'Vacations', description: 'Vacations, sick leave and leave policies' },
+  payroll: { tag: 'Payroll', description: 'Payroll runs, payslips and payroll settings' }
+};
+
+/**
+ * OpenAPI Service - Generated specification of the public REST API
+ *
+ * Covers the route groups API keys can reach (see SCOPE_RESOURCES), read from
+ * the routers in the module registry. Routes don't change while the server
+ * runs, so the spec is built once.
+ */
+class OpenApiService {
+  constructor() {
+    this.spec = null;
+  }
+
+  async getSpec() {
+    if (!this.spec) {
+      this.spec = buildOpenApiSpec({
+        groups: await this._loadGroups(),
+        info: {
+          description: 'Tenant REST API. Authenticate with an API key created on the API Keys page; each operation lists the scope it needs in x-required-scope.'
+        }
+      });
+    }
+    return this.spec;
+  }
+
+  async _loadGroups() {
+    const groups = [];
+    for (const [resource, routeNames] of Object.entries(SCOPE_RESOURCES)) {
+      for (const routeName of routeNames) {
+        const module = Object.values(moduleRegistry).find(entry => entry.routes?.[routeName]);
+        if (!module) continue;
+
+        const routeModule = await module.routes[routeName]();
+        groups.push({
+          ...RESOURCE_TAGS[resource],
+          basePath: `/${routeName}`,
+          router: routeModule.default
+        });
+      }
+    }
+    return groups;
+  }
+}
+
+export default OpenApiService;
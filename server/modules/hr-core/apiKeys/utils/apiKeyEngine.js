@@ -0,0 +1,175 @@
+/**
+ * API Key Engine
+ * Pure helpers behind tenant API keys: key format and hashing, the scopes a
+ * key can be granted and which scope a request needs.
+ * The service stores keys and the middleware authenticates requests.
+ *
+ * Keys look like `hrsm_<prefix>_<secret>`. Only the prefix (to find the key)
+ * and a SHA-256 hash of the whole key are stored.
+ */
+
+import crypto from 'crypto';
+
+export const KEY_PREFIX = 'hrsm';
+
+const KEY_PATTERN = /^hrsm_([a-z0-9]{12})_([A-Za-z0-9_-]{32,})$/;
+
+// API route groups (first path segment under /api/v1) each scope resource covers
+export const SCOPE_RESOURCES = {
+    employees: ['users', 'departments', 'positions', 'resigned-employees'],
+    attendance: ['attendance', 'attendance-devices', 'forget-checks', 'shifts'],
+    vacations: ['vacations', 'sick-leaves', 'leave-policies'],
+    payroll: ['payroll']
+};
+
+export const SCOPE_ACCESS = ['read', 'write'];
+
+// e.g. 'employees:read', 'attendance:write'
+export const API_KEY_SCOPES = Object.keys(SCOPE_RESOURCES)
+    .flatMap(resource => SCOPE_ACCESS.map(access => `${resource}:${access}`));
+
+export const DEFAULT_REQUESTS_PER_MINUTE = 60;
+export const MAX_REQUESTS_PER_MINUTE = 1000;
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * New random API key
+ * @returns {{ key: string, prefix: string }} The key is shown once; only its hash is stored
+ */
+export const generateApiKey = () => {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    return { key: `${KEY_PREFIX}_${prefix}_${secret}`, prefix };
+};
+
+/**
+ * SHA-256 hash of a key, as stored
+ * @param {string} key
+ * @returns {string}
+ */
+export const hashApiKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Split a key into its prefix and secret
+ * @param {string} key
+ * @returns {{ prefix: string }|null} Null when the value is not an API key
+ */
+export const parseApiKey = (key) => {
+    const match = KEY_PATTERN.exec(String(key || '').trim());
+    return match ? { prefix: match[1] } : null;
+};
+
+/**
+ * Whether a value looks like an API key, e.g. a bearer token
+ * @param {string} value
+ * @returns {boolean}
+ */
+export const isApiKey = (value) => parseApiKey(value) !== null;
+
+/**
+ * Compare a presented key with a stored hash in constant time
+ * @param {string} key
+ * @param {string} storedHash
+ * @returns {boolean}
+ */
+export const matchesHash = (key, storedHash) => {
+    const presented = Buffer.from(hashApiKey(key), 'hex');
+    const stored = Buffer.from(String(storedHash || ''), 'hex');
+    return presented.length === stored.length && crypto.timingSafeEqual(presented, stored);
+};
+
+/**
+ * Validate a list of scopes
+ * @param {Array<string>} scopes
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'Select at least one scope';
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return `Unknown API key scope(s): ${unknown.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Validate a per-key rate limit
+ * @param {*} requestsPerMinute
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateRateLimit = (requestsPerMinute) => {
+    const value = Number(requestsPerMinute);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_REQUESTS_PER_MINUTE) {
+        return `Rate limit must be between 1 and ${MAX_REQUESTS_PER_MINUTE} requests per minute`;
+    }
+    return null;
+};
+
+/**
+ * Scope a request needs, from its method and path under /api/v1
+ * @param {string} method
+ * @param {string} path - e.g. '/users/123' or '/api/v1/users/123'
+ * @returns {string|null} e.g. 'employees:read', or null when API keys cannot use the route
+ */
+export const getRequiredScope = (method, path) => {
+    const segment = String(path || '')
+        .split('?')[0]
+        .replace(/^\/api\/v1/, '')
+        .split('/')
+        .filter(Boolean)[0];
+
+    const resource = Object.keys(SCOPE_RESOURCES)
+        .find(name => SCOPE_RESOURCES[name].includes(segment));
+    if (!resource) return null;
+
+    const access = READ_METHODS.includes(String(method).toUpperCase()) ? 'read' : 'write';
+    return `${resource}:${access}`;
+};
+
+/**
+ * Whether granted scopes allow a required scope; write access includes read
+ * @param {Array<string>} granted
+ * @param {string} required
+ * @returns {boolean}
+ */
+export const hasScope = (granted = [], required) => {
+    if (!required) return false;
+    if (granted.includes(required)) return true;
+
+    const [resource, access] = required.split(':');
+    return access === 'read' && granted.includes(`${resource}:write`);
+};
+
+/**
+ * Why a stored key cannot be used, if it cannot
+ * @param {Object} apiKey - ({ revokedAt, expiresAt })
+ * @param {Date} now
+ * @returns {string|null}
+ */
+export const getKeyProblem = (apiKey, now = new Date()) => {
+    if (!apiKey) return 'Invalid API key';
+    if (apiKey.revokedAt) return 'API key has been revoked';
+    if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= now) return 'API key has expired';
+    return null;
+};
+
+export default {
+    KEY_PREFIX,
+    SCOPE_RESOURCES,
+    API_KEY_SCOPES,
+    DEFAULT_REQUESTS_PER_MINUTE,
+    MAX_REQUESTS_PER_MINUTE,
+    generateApiKey,
+    hashApiKey,
+    parseApiKey,
+    isApiKey,
+    matchesHash,
+    validateScopes,
+    validateRateLimit,
+    getRequiredScope,
+    hasScope,
+    getKeyProblem
+};
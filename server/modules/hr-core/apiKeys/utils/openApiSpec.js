@@ -0,0 +1,212 @@
+/**
+ * OpenAPI Spec Builder
+ * Builds an OpenAPI 3.0 document from the Express routers behind the public
+ * API, so the published spec always lists the routes that are mounted.
+ * Routers are read, never called; the service decides which ones to include.
+ */
+
+import { getRequiredScope } from './apiKeyEngine.js';
+
+export const OPENAPI_VERSION = '3.0.3';
+
+const METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+
+const errorResponse = (description) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+        }
+    }
+});
+
+/**
+ * Routes declared directly on a router
+ * @param {Object} router - Express router
+ * @returns {Array<{method: string, path: string, handlerName: string}>}
+ */
+export const listRouterRoutes = (router) => {
+    const routes = [];
+    (router?.stack || []).forEach(layer => {
+        if (!layer.route) return;
+
+        const handlers = layer.route.stack || [];
+        const handlerName = handlers.length > 0 ? handlers[handlers.length - 1].handle?.name || '' : '';
+        Object.keys(layer.route.methods)
+            .filter(method => METHOD_ORDER.includes(method))
+            .forEach(method => {
+                routes.push({ method, path: layer.route.path, handlerName });
+            });
+    });
+    return routes;
+};
+
+/**
+ * Express path to an OpenAPI path and its path parameters
+ * @param {string} expressPath - e.g. '/users/:id'
+ * @returns {{ path: string, parameters: Array<string> }} e.g. '/users/{id}', ['id']
+ */
+export const toOpenApiPath = (expressPath) => {
+    const parameters = [];
+    const path = String(expressPath).replace(/:([A-Za-z0-9_]+)\??/g, (match, name) => {
+        parameters.push(name);
+        return `{${name}}`;
+    });
+    return { path: path.length > 1 ? path.replace(/\/$/, '') : path, parameters };
+};
+
+/**
+ * Readable summary from a handler name
+ * @param {string} handlerName - e.g. 'getAllUsers'
+ * @returns {string} e.g. 'Get all users'
+ */
+export const humanizeHandlerName = (handlerName) => {
+    const words = String(handlerName || '')
+        .replace(/^bound /, '')
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .replace(/[_-]+/g, ' ')
+        .trim()
+        .toLowerCase();
+    return words ? words.charAt(0).toUpperCase() + words.slice(1) : '';
+};
+
+const buildOperation = ({ method, fullPath, parameters, handlerName, tag, usedIds }) => {
+    const summary = humanizeHandlerName(handlerName) || `${method.toUpperCase()} ${fullPath}`;
+
+    // Handler names repeat across routers (getAll, getById...), so ids are made unique
+    const functionName = String(handlerName || '').replace(/^bound /, '');
+    const baseId = functionName ||
+        `${method}${fullPath.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''))}`;
+    let operationId = baseId;
+    for (let i = 2; usedIds.has(operationId); i++) {
+        operationId = `${baseId}${i}`;
+    }
+    usedIds.add(operationId);
+
+    const operation = {
+        tags: [tag],
+        summary,
+        operationId,
+        'x-required-scope': getRequiredScope(method, fullPath),
+        responses: {
+            200: { description: 'Success' },
+            400: errorResponse('Invalid request'),
+            401: errorResponse('Missing or invalid credentials'),
+            403: errorResponse('Not allowed for this key or user'),
+            404: errorResponse('Not found'),
+            429: errorResponse('Rate limit exceeded')
+        }
+    };
+    if (method === 'post') {
+        operation.responses[201] = { description: 'Created' };
+    }
+    if (parameters.length > 0) {
+        operation.parameters = parameters.map(name => ({
+            name,
+            in: 'path',
+            required: true,
+            schema: { type: 'string' }
+        }));
+    }
+    if (['post', 'put', 'patch'].includes(method)) {
+        operation.requestBody = {
+            required: false,
+            content: {
+                'application/json': {
+                    schema: { type: 'object' }
+                }
+            }
+        };
+    }
+    return operation;
+};
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options
+ * @param {Array<{tag: string, description?: string, basePath: string, router: Object}>} options.groups
+ *   Routers with the path they are mounted at, e.g. { tag: 'Employees', basePath: '/users', router }
+ * @param {Object} [options.info] - OpenAPI info object
+ * @param {Array<Object>} [options.servers]
+ * @returns {Object} OpenAPI document
+ */
+export const buildOpenApiSpec = ({ groups = [], info = {}, servers = [{ url: '/api/v1' }] } = {}) => {
+    const paths = {};
+    const tags = [];
+    const usedIds = new Set();
+
+    groups.forEach(({ tag, description, basePath, router }) => {
+        if (!tags.some(existing => existing.name === tag)) {
+            tags.push(description ? { name: tag, description } : { name: tag });
+        }
+
+        listRouterRoutes(router).forEach(({ method, path, handlerName }) => {
+            const { path: routePath, parameters } = toOpenApiPath(`${basePath}${path === '/' ? '' : path}`);
+            paths[routePath] = paths[routePath] || {};
+            if (paths[routePath][method]) return;
+
+            paths[routePath][method] = buildOperation({
+                method,
+                fullPath: routePath,
+                parameters,
+                handlerName,
+                tag,
+                usedIds
+            });
+        });
+    });
+
+    const sortedPaths = {};
+    Object.keys(paths).sort().forEach(path => {
+        sortedPaths[path] = {};
+        METHOD_ORDER.filter(method => paths[path][method]).forEach(method => {
+            sortedPaths[path][method] = paths[path][method];
+        });
+    });
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info: {
+            title: 'HRSM Public API',
+            version: '1.0.0',
+            ...info
+        },
+        servers,
+        tags,
+        security: [{ apiKeyHeader: [] }, { bearerAuth: [] }],
+        paths: sortedPaths,
+        components: {
+            securitySchemes: {
+                apiKeyHeader: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'X-API-Key',
+                    description: 'Tenant API key (hrsm_...). Each operation lists the scope it needs in x-required-scope.'
+                },
+                bearerAuth: {
+                    type: 'http',
+                    scheme: 'bearer',
+                    description: 'An API key sent as a bearer token, or a user session token'
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        message: { type: 'string' },
+                        error: { type: 'string' }
+                    }
+                }
+            }
+        }
+    };
+};
+
+export default {
+    OPENAPI_VERSION,
+    listRouterRoutes,
+    toOpenApiPath,
+    humanizeHandlerName,
+    buildOpenApiSpec
+};
@@ -0,0 +1,204 @@
+// Approval Workflow Controller
+import ApprovalWorkflowService from '../services/ApprovalWorkflowService.js';
+
+const approvalWorkflowService = new ApprovalWorkflowService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already exists/.test(err.message)) {
+        return 409;
+    }
+    if (/do not have access/.test(err.message)) {
+        return 403;
+    }
+    return 400;
+};
+
+/**
+ * Get requests waiting for the current user's decision
+ */
+export const getPendingApprovals = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.getPendingApprovals(req.user, tenantId, {
+            requestType: req.query.requestType
+        });
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get the approval history of a request
+ */
+export const getApprovalHistory = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.getHistory(
+            req.params.requestType,
+            req.params.id,
+            req.user,
+            tenantId
+        );
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get approval chains
+ */
+export const getChains = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.getChains(tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get an approval chain
+ */
+export const getChain = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.getChain(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Create an approval chain
+ */
+export const createChain = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.createChain(req.body, tenantId, req.user.id);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Update an approval chain
+ */
+export const updateChain = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.updateChain(req.params.id, req.body, tenantId, req.user.id);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Delete an approval chain
+ */
+export const deleteChain = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        await approvalWorkflowService.deleteChain(req.params.id, tenantId);
+        res.json({ message: 'Approval chain deleted successfully' });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get approval delegations given or received by the current user
+ */
+export const getDelegations = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.getDelegations(req.user, tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Delegate approvals for a period
+ */
+export const createDelegation = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.createDelegation(req.body, req.user, tenantId);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Revoke an approval delegation
+ */
+export const revokeDelegation = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await approvalWorkflowService.revokeDelegation(req.params.id, req.user, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
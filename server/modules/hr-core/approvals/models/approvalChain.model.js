@@ -0,0 +1,140 @@
+// models/ApprovalChain.js
+import mongoose from 'mongoose';
+import {
+    APPROVAL_REQUEST_TYPES,
+    APPROVER_TYPES,
+    CONDITION_FIELDS,
+    CONDITION_OPERATORS
+} from '../utils/approvalEngine.js';
+
+const conditionSchema = new mongoose.Schema({
+    field: {
+        type: String,
+        enum: CONDITION_FIELDS,
+        required: true
+    },
+    operator: {
+        type: String,
+        enum: CONDITION_OPERATORS,
+        default: 'eq'
+    },
+    // Number for duration/hours/amount, leave or permission type (or a list for "in")
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    }
+}, { _id: false });
+
+// Who a step goes to: the employee's manager, the head of their top-level
+// department, anyone with one of the roles, or a named user
+const approverSchema = {
+    approverType: {
+        type: String,
+        enum: APPROVER_TYPES,
+        required: true
+    },
+    roles: [String],
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+};
+
+const stepSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    ...approverSchema,
+    // Step only applies when the request matches (e.g. duration > 5 days)
+    conditions: [conditionSchema],
+    // Hand the step to `escalateTo` when nobody decided within this many days
+    escalateAfterDays: {
+        type: Number,
+        min: 1,
+        default: null
+    },
+    escalateTo: {
+        type: new mongoose.Schema(approverSchema, { _id: false }),
+        default: null
+    }
+}, { _id: false });
+
+const approvalChainSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    requestType: {
+        type: String,
+        enum: APPROVAL_REQUEST_TYPES,
+        required: true
+    },
+    // Chain only applies to requests matching every condition
+    conditions: [conditionSchema],
+    appliesTo: {
+        // Empty list matches every department
+        departments: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department'
+        }]
+    },
+    // Higher priority wins when several chains match a request
+    priority: {
+        type: Number,
+        default: 0
+    },
+    steps: {
+        type: [stepSchema],
+        validate: {
+            validator: (steps) => steps.length > 0,
+            message: 'An approval chain needs at least one step'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+approvalChainSchema.pre('validate', function (next) {
+    const approvers = [
+        ...this.steps,
+        ...this.steps.map(step => step.escalateTo).filter(Boolean)
+    ];
+
+    for (const approver of approvers) {
+        if (approver.approverType === 'role' && (!approver.roles || approver.roles.length === 0)) {
+            this.invalidate('steps', 'Role approvers need at least one role');
+            break;
+        }
+        if (approver.approverType === 'user' && !approver.user) {
+            this.invalidate('steps', 'User approvers need a user');
+            break;
+        }
+    }
+    next();
+});
+
+approvalChainSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+approvalChainSchema.index({ tenantId: 1, requestType: 1, isActive: 1 });
+
+export default mongoose.model('ApprovalChain', approvalChainSchema);
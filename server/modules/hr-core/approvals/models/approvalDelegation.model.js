@@ -0,0 +1,99 @@
+// models/ApprovalDelegation.js
+import mongoose from 'mongoose';
+import { APPROVAL_REQUEST_TYPES } from '../utils/approvalEngine.js';
+
+/**
+ * An approver handing their approvals to a colleague for a period (e.g. while on leave).
+ * The delegate decides on the delegator's behalf; the delegator keeps their own rights.
+ */
+const approvalDelegationSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    delegator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    delegate: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        validate: {
+            validator: function (value) {
+                return !this.delegator || value?.toString() !== this.delegator.toString();
+            },
+            message: 'Approvals cannot be delegated to yourself'
+        }
+    },
+    startDate: {
+        type: Date,
+        required: true
+    },
+    endDate: {
+        type: Date,
+        required: true,
+        validate: {
+            validator: function (value) {
+                return !value || value >= this.startDate;
+            },
+            message: 'End date must be after or equal to start date'
+        }
+    },
+    // Empty list delegates every request type
+    requestTypes: [{
+        type: String,
+        enum: APPROVAL_REQUEST_TYPES
+    }],
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+const activeFilter = (tenantId, requestType, at) => ({
+    tenantId,
+    isActive: true,
+    startDate: { $lte: at },
+    endDate: { $gte: at },
+    $or: [{ requestTypes: { $size: 0 } }, { requestTypes: requestType }]
+});
+
+/**
+ * Active delegations from the given approvers
+ * @returns {Promise<Array>}
+ */
+approvalDelegationSchema.statics.findActiveFor = function (tenantId, delegators, requestType, at = new Date()) {
+    return this.find({ ...activeFilter(tenantId, requestType, at), delegator: { $in: delegators } });
+};
+
+/**
+ * Users who currently delegate their approvals to `delegate`
+ * @returns {Promise<Array>} Delegator IDs
+ */
+approvalDelegationSchema.statics.findDelegators = async function (tenantId, delegate, requestType, at = new Date()) {
+    const filter = { tenantId, isActive: true, delegate, startDate: { $lte: at }, endDate: { $gte: at } };
+    if (requestType) {
+        Object.assign(filter, activeFilter(tenantId, requestType, at));
+    }
+    const delegations = await this.find(filter).select('delegator');
+    return delegations.map(delegation => delegation.delegator);
+};
+
+approvalDelegationSchema.index({ tenantId: 1, delegator: 1, startDate: 1, endDate: 1 });
+approvalDelegationSchema.index({ tenantId: 1, delegate: 1, startDate: 1, endDate: 1 });
+
+export default mongoose.model('ApprovalDelegation', approvalDelegationSchema);
@@ -0,0 +1,145 @@
+import mongoose from 'mongoose';
+import { APPROVER_TYPES, HISTORY_ACTIONS, cancelProcess } from '../utils/approvalEngine.js';
+
+const stepStateSchema = new mongoose.Schema({
+    name: String,
+    approverType: {
+        type: String,
+        enum: APPROVER_TYPES
+    },
+    approvers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    roles: [String],
+    // Delegates acting for an approver while the step is open
+    delegates: [{
+        _id: false,
+        user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        onBehalfOf: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }],
+    status: {
+        type: String,
+        enum: ['waiting', 'pending', 'approved', 'rejected', 'skipped'],
+        default: 'waiting'
+    },
+    decidedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    decidedAt: Date,
+    comments: String,
+    startedAt: Date,
+    dueAt: Date,
+    escalateAfterDays: Number,
+    escalateTo: mongoose.Schema.Types.Mixed,
+    escalated: {
+        type: Boolean,
+        default: false
+    },
+    escalatedAt: Date
+}, { _id: false });
+
+const historySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: HISTORY_ACTIONS,
+        required: true
+    },
+    step: Number,
+    stepName: String,
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    onBehalfOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    comments: String,
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const approvalProcessSchema = new mongoose.Schema({
+    chain: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApprovalChain'
+    },
+    chainName: String,
+    status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected', 'cancelled'],
+        default: 'pending'
+    },
+    currentStep: {
+        type: Number,
+        default: -1
+    },
+    // Denormalized from the current step to find a user's pending approvals
+    currentApprovers: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    currentRoles: [String],
+    dueAt: Date,
+    steps: [stepStateSchema],
+    history: [historySchema]
+}, { _id: false });
+
+/**
+ * Approval workflow plugin
+ * Adds the multi-step approval process to a request model. The request keeps
+ * its own approve/reject methods; ApprovalWorkflowService calls them once the
+ * chain has been fully approved or rejected.
+ *
+ * @param {mongoose.Schema} schema
+ * @param {Object} options
+ * @param {string} options.requestType - One of APPROVAL_REQUEST_TYPES
+ * @param {string[]} options.defaultApproverRoles - Roles deciding when the tenant has no chain
+ * @param {Function} [options.metrics] - doc => { duration, hours, amount, type } used for routing
+ * @param {string} [options.approveMethod='approve'] - Final approval method of the request
+ * @param {string} [options.rejectMethod='reject'] - Final rejection method of the request
+ */
+export const approvalWorkflowPlugin = (schema, options) => {
+    const settings = {
+        approveMethod: 'approve',
+        rejectMethod: 'reject',
+        metrics: () => ({}),
+        ...options
+    };
+
+    schema.add({
+        approvalProcess: {
+            type: approvalProcessSchema,
+            default: null
+        }
+    });
+
+    schema.statics.getApprovalSettings = function () {
+        return settings;
+    };
+
+    schema.methods.getApprovalMetrics = function () {
+        return settings.metrics(this);
+    };
+
+    // Close the process when the request is cancelled outside the workflow
+    schema.pre('save', function (next) {
+        if (this.isModified('status') && this.status === 'cancelled') {
+            cancelProcess(this.approvalProcess, { actor: this.cancelledBy || this.cancellation?.cancelledBy || null });
+        }
+        next();
+    });
+
+    schema.index({ tenantId: 1, 'approvalProcess.status': 1, 'approvalProcess.currentApprovers': 1 });
+    schema.index({ 'approvalProcess.status': 1, 'approvalProcess.dueAt': 1 });
+};
+
+export default approvalWorkflowPlugin;
@@ -0,0 +1,42 @@
+import express from 'express';
+import {
+    getPendingApprovals,
+    getApprovalHistory,
+    getChains,
+    getChain,
+    createChain,
+    updateChain,
+    deleteChain,
+    getDelegations,
+    createDelegation,
+    revokeDelegation
+} from '../controllers/approval.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+const hrOrAdmin = requireRole(ROLES.ADMIN, ROLES.HR);
+
+// Apply authentication to all routes
+router.use(requireAuth);
+
+// Requests waiting for the current user's decision
+router.get('/pending', getPendingApprovals);
+
+// Approval history of a request - requester, approvers and HR
+router.get('/history/:requestType/:id', getApprovalHistory);
+
+// Delegations - users manage their own, HR manages everyone's
+router.get('/delegations', getDelegations);
+router.post('/delegations', createDelegation);
+router.delete('/delegations/:id', revokeDelegation);
+
+// Approval chains - HR/Admin can view, Admin manages
+router.get('/chains', hrOrAdmin, getChains);
+router.post('/chains', requireRole(ROLES.ADMIN), createChain);
+router.get('/chains/:id', hrOrAdmin, getChain);
+router.put('/chains/:id', requireRole(ROLES.ADMIN), updateChain);
+router.delete('/chains/:id', requireRole(ROLES.ADMIN), deleteChain);
+
+export default router;
@@ -0,0 +1,595 @@
+import ApprovalChain from '../models/approvalChain.model.js';
+import ApprovalDelegation from '../models/approvalDelegation.model.js';
+import User from '../../users/models/user.model.js';
+import Department from '../../users/models/department.model.js';
+import Vacation from '../../vacations/models/vacation.model.js';
+import SickLeave from '../../vacations/models/sickLeave.model.js';
+import Permission from '../../requests/models/permission.model.js';
+import Mission from '../../missions/models/mission.model.js';
+import Overtime from '../../overtime/models/overtime.model.js';
+import ForgetCheck from '../../attendance/models/forgetCheck.model.js';
+import {
+  HR_APPROVER_ROLES,
+  activateStep,
+  buildDefaultChain,
+  canDecide,
+  completeProcess,
+  createProcess,
+  escalateStep,
+  getCurrentStep,
+  getPreviousApprovers,
+  isOverdue,
+  nextStepIndex,
+  recordDecision,
+  selectChain,
+  skipStep
+} from '../utils/approvalEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const REQUEST_MODELS = {
+  vacation: Vacation,
+  'sick-leave': SickLeave,
+  permission: Permission,
+  mission: Mission,
+  overtime: Overtime,
+  'forget-check': ForgetCheck
+};
+
+// Steps nobody can be resolved for (no department manager, ...) go to HR
+const FALLBACK_ROLES = HR_APPROVER_ROLES;
+
+// Admins may decide any step so a request never gets stuck
+const OVERRIDE_ROLES = ['admin'];
+
+const MAX_DEPARTMENT_DEPTH = 10;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const userIdOf = (user) => user?._id || user?.id;
+
+const sameId = (a, b) => !!a && !!b && idOf(a) === idOf(b);
+
+/**
+ * Approval Workflow Service
+ * Runs the multi-step approval chains shared by vacations, sick leave,
+ * permissions, missions, overtime and forget-check requests.
+ */
+class ApprovalWorkflowService {
+  getRequestModel(requestType) {
+    const Model = REQUEST_MODELS[requestType];
+    if (!Model) {
+      throw new Error(`Unknown request type: ${requestType}`);
+    }
+    return Model;
+  }
+
+  async getRequest(requestType, requestId, tenantId) {
+    const request = await this.getRequestModel(requestType).findOne({ _id: requestId, tenantId });
+    if (!request) {
+      throw new Error('Request not found');
+    }
+    return request;
+  }
+
+  /**
+   * Attach the approval chain to a new request and open its first step
+   * Requests created before approval chains existed are started on their first decision.
+   * @param {Document} request - Request document using the approval workflow plugin
+   * @param {Object} [options] - { save: true }
+   * @returns {Promise<Object>} The approval process
+   */
+  async start(request, { save = true } = {}) {
+    if (request.approvalProcess || request.status !== 'pending') {
+      return request.approvalProcess;
+    }
+
+    const settings = request.constructor.getApprovalSettings();
+    const metrics = request.getApprovalMetrics();
+    const employee = await this._getEmployee(request);
+
+    const chains = await ApprovalChain.find({
+      tenantId: request.tenantId,
+      requestType: settings.requestType,
+      isActive: true
+    });
+    const chain = selectChain(chains, {
+      requestType: settings.requestType,
+      metrics,
+      department: request.department || employee?.department
+    });
+
+    // A chain none of whose steps apply to the request falls back to the default approval
+    let process = chain ? createProcess(chain, metrics) : null;
+    if (!process || process.steps.length === 0) {
+      process = createProcess(buildDefaultChain(settings.defaultApproverRoles), metrics);
+    }
+
+    request.approvalProcess = process;
+    await this._advance(request, employee);
+
+    if (save) {
+      await request.save({ validateBeforeSave: false });
+    }
+    return request.approvalProcess;
+  }
+
+  /**
+   * Whether a user may decide the current step (approver, delegate, role or admin)
+   * The requester never may, not even as an admin.
+   * @returns {Promise<{allowed: boolean, onBehalfOf: *}>}
+   */
+  async canDecide(request, user) {
+    await this.start(request, { save: false });
+    if (sameId(request.employee, userIdOf(user))) {
+      return { allowed: false, onBehalfOf: null };
+    }
+
+    const process = request.approvalProcess;
+    const actor = { _id: userIdOf(user), role: user.role };
+    const delegators = await ApprovalDelegation.findDelegators(
+      request.tenantId,
+      actor._id,
+      request.constructor.getApprovalSettings().requestType
+    );
+
+    const decision = canDecide(process, actor, delegators, request.employee);
+    if (!decision.allowed && getCurrentStep(process) && OVERRIDE_ROLES.includes(user.role)) {
+      return { allowed: true, onBehalfOf: null };
+    }
+    return decision;
+  }
+
+  /**
+   * Approve the current step; the request itself is approved once the last step is
+   * @returns {Promise<{completed: boolean, process: Object}>}
+   * @throws {Error} If the user may not decide the current step
+   */
+  async approve(request, user, comments = '') {
+    const { allowed, onBehalfOf } = await this.canDecide(request, user);
+    if (!allowed) {
+      throw new Error('You are not an approver for the current step of this request');
+    }
+
+    const process = request.approvalProcess;
+    const actorId = userIdOf(user);
+    const result = recordDecision(process, {
+      action: 'approved',
+      actor: actorId,
+      onBehalfOf,
+      comments: typeof comments === 'string' ? comments.trim() : ''
+    });
+
+    let completed = result.completed;
+    if (!completed) {
+      completed = await this._advance(request, await this._getEmployee(request));
+    }
+
+    if (completed) {
+      const settings = request.constructor.getApprovalSettings();
+      await request[settings.approveMethod](actorId, comments);
+    } else {
+      await request.save({ validateBeforeSave: false });
+    }
+
+    return { completed, process };
+  }
+
+  /**
+   * Reject the request at the current step
+   * @throws {Error} If the user may not decide the current step
+   */
+  async reject(request, user, reason) {
+    const { allowed, onBehalfOf } = await this.canDecide(request, user);
+    if (!allowed) {
+      throw new Error('You are not an approver for the current step of this request');
+    }
+
+    const actorId = userIdOf(user);
+    recordDecision(request.approvalProcess, { action: 'rejected', actor: actorId, onBehalfOf, comments: reason });
+
+    const settings = request.constructor.getApprovalSettings();
+    await request[settings.rejectMethod](actorId, reason);
+    return { process: request.approvalProcess };
+  }
+
+  /**
+   * Requests waiting for a user's decision, directly, through a role or as a delegate
+   * @param {Object} user - { id|_id, role }
+   * @param {string} tenantId
+   * @param {Object} [filters] - { requestType }
+   * @returns {Promise<Array<{requestType: string, request: Document}>>}
+   */
+  async getPendingApprovals(user, tenantId, filters = {}) {
+    const userId = userIdOf(user);
+    const requestTypes = filters.requestType ? [filters.requestType] : Object.keys(REQUEST_MODELS);
+    const pending = [];
+
+    for (const requestType of requestTypes) {
+      const delegators = await ApprovalDelegation.findDelegators(tenantId, userId, requestType);
+      const requests = await this.getRequestModel(requestType).find({
+        tenantId,
+        'approvalProcess.status': 'pending',
+        $or: [
+          { 'approvalProcess.currentApprovers': { $in: [userId, ...delegators] } },
+          { 'approvalProcess.currentRoles': user.role }
+        ]
+      })
+        .populate('employee', 'username email employeeId personalInfo')
+        .populate('department', 'name code')
+        .sort({ createdAt: 1 });
+
+      pending.push(...requests
+        // Nobody approves their own request
+        .filter(request => !sameId(request.employee, userId))
+        .map(request => ({ requestType, request })));
+    }
+
+    return pending;
+  }
+
+  /**
+   * Approval history of a request, for the employee and the people involved
+   * @throws {Error} If the user is neither the requester, an approver nor HR
+   */
+  async getHistory(requestType, requestId, user, tenantId) {
+    const request = await this.getRequest(requestType, requestId, tenantId);
+    const userId = userIdOf(user);
+    const process = request.approvalProcess;
+
+    const involved = process && process.steps.some(step => step.approvers.some(approver => sameId(approver, userId))
+      || step.delegates.some(delegate => sameId(delegate.user, userId))
+      || sameId(step.decidedBy, userId));
+
+    if (!sameId(request.employee, userId) && !involved && !HR_APPROVER_ROLES.includes(user.role)) {
+      throw new Error('You do not have access to this request');
+    }
+
+    const userFields = 'username employeeId personalInfo.fullName';
+    await request.populate([
+      { path: 'approvalProcess.steps.approvers', select: userFields },
+      { path: 'approvalProcess.steps.decidedBy', select: userFields },
+      { path: 'approvalProcess.steps.onBehalfOf', select: userFields },
+      { path: 'approvalProcess.history.actor', select: userFields },
+      { path: 'approvalProcess.history.onBehalfOf', select: userFields }
+    ]);
+
+    return {
+      requestType,
+      requestId: request._id,
+      status: request.status,
+      process: request.approvalProcess
+    };
+  }
+
+  /**
+   * Escalate steps nobody decided within their deadline (run by the approval job)
+   * @returns {Promise<{escalated: number, failed: number}>}
+   */
+  async escalateOverdue(now = new Date()) {
+    const summary = { escalated: 0, failed: 0 };
+
+    for (const [requestType, Model] of Object.entries(REQUEST_MODELS)) {
+      const requests = await Model.find({
+        'approvalProcess.status': 'pending',
+        'approvalProcess.dueAt': { $lte: now }
+      }).limit(500);
+
+      for (const request of requests) {
+        try {
+          const process = request.approvalProcess;
+          if (!isOverdue(process, now)) continue;
+
+          const step = getCurrentStep(process);
+          const employee = await this._getEmployee(request);
+          const target = await this._resolveEscalation(step, employee);
+
+          escalateStep(process, {
+            ...target,
+            reason: `No decision within ${step.escalateAfterDays} day(s)`,
+            at: now
+          });
+          await request.save({ validateBeforeSave: false });
+          summary.escalated++;
+        } catch (error) {
+          summary.failed++;
+          logger.error(`Failed to escalate ${requestType} ${request._id}: ${error.message}`);
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  // ----- Approval chains -----
+
+  async getChains(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.requestType) query.requestType = filters.requestType;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive === true || filters.isActive === 'true';
+
+    return await ApprovalChain.find(query)
+      .populate('steps.user', 'username employeeId personalInfo.fullName')
+      .populate('appliesTo.departments', 'name code')
+      .sort({ requestType: 1, priority: -1, name: 1 });
+  }
+
+  async getChain(id, tenantId) {
+    const chain = await ApprovalChain.findOne({ _id: id, tenantId });
+    if (!chain) {
+      throw new Error('Approval chain not found');
+    }
+    return chain;
+  }
+
+  async createChain(data, tenantId, userId) {
+    const existing = await ApprovalChain.findOne({ tenantId, name: data.name });
+    if (existing) {
+      throw new Error('An approval chain with this name already exists');
+    }
+
+    const chain = new ApprovalChain({
+      ...this._sanitize(data),
+      tenantId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    return await chain.save();
+  }
+
+  async updateChain(id, data, tenantId, userId) {
+    const chain = await this.getChain(id, tenantId);
+
+    if (data.name && data.name !== chain.name) {
+      const existing = await ApprovalChain.findOne({ tenantId, name: data.name, _id: { $ne: id } });
+      if (existing) {
+        throw new Error('An approval chain with this name already exists');
+      }
+    }
+
+    // Requests already in progress keep the steps they started with
+    chain.set({ ...this._sanitize(data), updatedBy: userId });
+    return await chain.save();
+  }
+
+  async deleteChain(id, tenantId) {
+    const chain = await this.getChain(id, tenantId);
+    await chain.deleteOne();
+    return chain;
+  }
+
+  // ----- Delegations -----
+
+  /**
+   * Delegations the user gave or received (HR sees every delegation)
+   */
+  async getDelegations(user, tenantId, filters = {}) {
+    const userId = userIdOf(user);
+    const query = { tenantId };
+
+    if (!HR_APPROVER_ROLES.includes(user.role)) {
+      query.$or = [{ delegator: userId }, { delegate: userId }];
+    } else if (filters.user) {
+      query.$or = [{ delegator: filters.user }, { delegate: filters.user }];
+    }
+    if (filters.active === 'true') {
+      const now = new Date();
+      Object.assign(query, { isActive: true, startDate: { $lte: now }, endDate: { $gte: now } });
+    }
+
+    return await ApprovalDelegation.find(query)
+      .populate('delegator delegate', 'username employeeId personalInfo.fullName')
+      .sort({ startDate: -1 });
+  }
+
+  /**
+   * Delegate approvals for a period; only HR may delegate on someone else's behalf
+   */
+  async createDelegation(data, user, tenantId) {
+    const userId = userIdOf(user);
+    const delegator = HR_APPROVER_ROLES.includes(user.role) && data.delegator ? data.delegator : userId;
+
+    const delegate = await User.findOne({ _id: data.delegate, tenantId }).select('_id');
+    if (!delegate) {
+      throw new Error('Delegate not found');
+    }
+
+    const delegation = new ApprovalDelegation({
+      tenantId,
+      delegator,
+      delegate: delegate._id,
+      startDate: data.startDate,
+      endDate: data.endDate,
+      requestTypes: data.requestTypes || [],
+      reason: data.reason,
+      createdBy: userId
+    });
+    await delegation.save();
+
+    // Open steps of the delegator get the delegate right away
+    await this._applyDelegation(delegation);
+    return delegation;
+  }
+
+  async revokeDelegation(id, user, tenantId) {
+    const delegation = await ApprovalDelegation.findOne({ _id: id, tenantId });
+    if (!delegation) {
+      throw new Error('Delegation not found');
+    }
+    if (!sameId(delegation.delegator, userIdOf(user)) && !HR_APPROVER_ROLES.includes(user.role)) {
+      throw new Error('You do not have access to this delegation');
+    }
+
+    delegation.isActive = false;
+    return await delegation.save();
+  }
+
+  // ----- Internal -----
+
+  async _getEmployee(request) {
+    return await User.findById(request.employee?._id || request.employee).select('department role tenantId');
+  }
+
+  /**
+   * Open the next step that needs a decision
+   * Steps without an approver go to HR; steps only the requester or an earlier
+   * approver would decide are skipped.
+   * @returns {Promise<boolean>} True when no step is left (request approved)
+   */
+  async _advance(request, employee) {
+    const process = request.approvalProcess;
+    const requestType = request.constructor.getApprovalSettings().requestType;
+    let index = nextStepIndex(process);
+
+    while (index !== -1) {
+      const step = process.steps[index];
+      const resolved = await this._resolveApprovers(step, employee);
+      let approvers = resolved.approvers.filter(approver => !sameId(approver, employee?._id));
+      let roles = resolved.roles;
+
+      const previous = getPreviousApprovers(process);
+      if (roles.length === 0 && approvers.length > 0 && approvers.every(approver => previous.some(id => sameId(id, approver)))) {
+        skipStep(process, index, 'Already approved by the same approver');
+        index = nextStepIndex(process);
+        continue;
+      }
+
+      if (roles.length === 0 && approvers.length === 0) {
+        roles = FALLBACK_ROLES;
+        process.history.push({
+          action: 'reassigned',
+          step: index,
+          stepName: step.name,
+          comments: 'No approver found for this step, assigned to HR'
+        });
+      }
+
+      const delegations = approvers.length
+        ? await ApprovalDelegation.findActiveFor(request.tenantId, approvers, requestType)
+        : [];
+      activateStep(process, index, {
+        approvers,
+        roles,
+        delegates: delegations.map(delegation => ({ user: delegation.delegate, onBehalfOf: delegation.delegator }))
+      });
+
+      // Approvers on leave without a delegate: hand the step on straight away
+      const onLeave = await this._findOnLeave(approvers, request.tenantId);
+      const uncovered = approvers.filter(approver => onLeave.some(id => sameId(id, approver))
+        && !delegations.some(delegation => sameId(delegation.delegator, approver)));
+      if (approvers.length > 0 && roles.length === 0 && uncovered.length === approvers.length) {
+        escalateStep(process, { ...(await this._resolveEscalation(step, employee)), reason: 'Approver is on leave' });
+      }
+      return false;
+    }
+
+    completeProcess(process);
+    return true;
+  }
+
+  /**
+   * Approvers of a step or escalation target
+   * @returns {Promise<{approvers: Array, roles: string[]}>}
+   */
+  async _resolveApprovers(spec, employee) {
+    switch (spec.approverType) {
+      case 'direct-manager':
+        return { approvers: [await this._findManager(employee)].filter(Boolean), roles: [] };
+      case 'department-head':
+        return { approvers: [await this._findDepartmentHead(employee)].filter(Boolean), roles: [] };
+      case 'role':
+        return { approvers: [], roles: [...(spec.roles || [])] };
+      case 'user':
+        return { approvers: spec.user ? [spec.user] : [...(spec.approvers || [])], roles: [] };
+      default:
+        return { approvers: [], roles: [] };
+    }
+  }
+
+  async _resolveEscalation(step, employee) {
+    const target = step.escalateTo ? await this._resolveApprovers(step.escalateTo, employee) : { approvers: [], roles: [] };
+    return target.approvers.length || target.roles.length ? target : { approvers: [], roles: FALLBACK_ROLES };
+  }
+
+  /**
+   * Manager of the employee's department; managers go to the parent department's manager
+   */
+  async _findManager(employee) {
+    let departmentId = employee?.department;
+
+    for (let depth = 0; departmentId && depth < MAX_DEPARTMENT_DEPTH; depth++) {
+      const department = await Department.findById(departmentId).select('manager parentDepartment');
+      if (!department) return null;
+      if (department.manager && !sameId(department.manager, employee._id)) {
+        return department.manager;
+      }
+      departmentId = department.parentDepartment;
+    }
+    return null;
+  }
+
+  /**
+   * Manager of the top-level department the employee belongs to
+   */
+  async _findDepartmentHead(employee) {
+    let departmentId = employee?.department;
+    let head = null;
+
+    for (let depth = 0; departmentId && depth < MAX_DEPARTMENT_DEPTH; depth++) {
+      const department = await Department.findById(departmentId).select('manager parentDepartment');
+      if (!department) break;
+      if (department.manager) head = department.manager;
+      departmentId = department.parentDepartment;
+    }
+    return head && !sameId(head, employee._id) ? head : null;
+  }
+
+  /**
+   * Users with an approved vacation today
+   */
+  async _findOnLeave(userIds, tenantId) {
+    if (!userIds.length) return [];
+
+    const now = new Date();
+    return await Vacation.distinct('employee', {
+      tenantId,
+      employee: { $in: userIds },
+      status: 'approved',
+      startDate: { $lte: now },
+      endDate: { $gte: now }
+    });
+  }
+
+  /**
+   * Give the delegate the open steps the delegator is an approver of
+   */
+  async _applyDelegation(delegation) {
+    const now = new Date();
+    if (delegation.startDate > now || delegation.endDate < now) return;
+
+    const requestTypes = delegation.requestTypes.length ? delegation.requestTypes : Object.keys(REQUEST_MODELS);
+    for (const requestType of requestTypes) {
+      const requests = await this.getRequestModel(requestType).find({
+        tenantId: delegation.tenantId,
+        'approvalProcess.status': 'pending',
+        'approvalProcess.currentApprovers': delegation.delegator
+      });
+
+      for (const request of requests) {
+        const process = request.approvalProcess;
+        const step = getCurrentStep(process);
+        if (!step || step.delegates.some(entry => sameId(entry.user, delegation.delegate))) continue;
+
+        step.delegates.push({ user: delegation.delegate, onBehalfOf: delegation.delegator });
+        process.currentApprovers.push(delegation.delegate);
+        await request.save({ validateBeforeSave: false });
+      }
+    }
+  }
+
+  _sanitize(data) {
+    const allowed = ['name', 'description', 'requestType', 'conditions', 'appliesTo', 'priority', 'steps', 'isActive'];
+    return Object.fromEntries(Object.entries(data).filter(([key]) => allowed.includes(key)));
+  }
+}
+
+export default ApprovalWorkflowService;
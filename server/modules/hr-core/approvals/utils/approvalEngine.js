@@ -0,0 +1,317 @@
+/**
+ * Approval Engine
+ * Pure helpers behind the shared approval workflow: chain selection and
+ * conditional routing, step activation, approver checks (including
+ * delegates), decisions, escalation and the approval history.
+ * The service resolves approvers from the database; everything here only
+ * works on the process stored on the request.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Request types that plug into the workflow
+export const APPROVAL_REQUEST_TYPES = ['vacation', 'sick-leave', 'permission', 'mission', 'overtime', 'forget-check'];
+
+// How a step finds its approvers
+export const APPROVER_TYPES = ['direct-manager', 'department-head', 'role', 'user'];
+
+// Request figures chains and steps can route on
+export const CONDITION_FIELDS = ['duration', 'hours', 'amount', 'type'];
+
+export const CONDITION_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'in'];
+
+export const HISTORY_ACTIONS = ['submitted', 'approved', 'rejected', 'skipped', 'escalated', 'reassigned', 'cancelled'];
+
+// Roles that decided requests before approval chains existed; used for the default chain
+export const HR_APPROVER_ROLES = ['admin', 'hr'];
+export const SUPERVISOR_APPROVER_ROLES = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'];
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const includesId = (list, value) => (list || []).some(item => idOf(item) === idOf(value));
+
+const toPlain = (value) => (value?.toObject ? value.toObject() : value);
+
+/**
+ * Whether a request matches a routing condition, e.g. { field: 'duration', operator: 'gt', value: 5 }
+ * A request without the field never matches.
+ */
+export const matchesCondition = (condition, metrics = {}) => {
+    const actual = metrics[condition.field];
+    if (actual === undefined || actual === null) return false;
+
+    const expected = condition.value;
+    switch (condition.operator) {
+        case 'gt': return Number(actual) > Number(expected);
+        case 'gte': return Number(actual) >= Number(expected);
+        case 'lt': return Number(actual) < Number(expected);
+        case 'lte': return Number(actual) <= Number(expected);
+        case 'in': return [].concat(expected).map(String).includes(String(actual));
+        case 'eq':
+        default:
+            return String(actual) === String(expected);
+    }
+};
+
+export const matchesConditions = (conditions, metrics) => (conditions || []).every(condition => matchesCondition(condition, metrics));
+
+/**
+ * Chain used when a tenant has not configured one for a request type:
+ * a single step any user with one of the roles can decide, as before.
+ */
+export const buildDefaultChain = (roles) => ({
+    _id: null,
+    name: 'Default',
+    steps: [{ name: 'Approval', approverType: 'role', roles: [...roles], conditions: [] }]
+});
+
+/**
+ * Pick the chain for a request
+ * Matching chains are ranked by priority, then by how many conditions they have.
+ * @param {Array} chains - Tenant approval chains
+ * @param {Object} request - { requestType, metrics, department }
+ * @returns {Object|null}
+ */
+export const selectChain = (chains, { requestType, metrics, department }) => {
+    const matching = (chains || []).filter(chain => {
+        const departments = chain.appliesTo?.departments || [];
+        return chain.isActive !== false
+            && chain.requestType === requestType
+            && (departments.length === 0 || includesId(departments, department))
+            && matchesConditions(chain.conditions, metrics);
+    });
+
+    matching.sort((a, b) => (b.priority || 0) - (a.priority || 0)
+        || (b.conditions || []).length - (a.conditions || []).length);
+
+    return matching[0] || null;
+};
+
+/**
+ * Start a process for a chain; steps whose conditions do not match the request are left out.
+ * No step is active yet - the service activates the first one once its approvers are resolved.
+ */
+export const createProcess = (chain, metrics, at = new Date()) => ({
+    chain: chain._id || null,
+    chainName: chain.name,
+    status: 'pending',
+    currentStep: -1,
+    currentApprovers: [],
+    currentRoles: [],
+    dueAt: null,
+    steps: (chain.steps || [])
+        .filter(step => matchesConditions(step.conditions, metrics))
+        .map(step => ({
+            name: step.name,
+            approverType: step.approverType,
+            // Fixed approvers; managers are resolved when the step starts
+            approvers: step.approverType === 'user' && step.user ? [step.user] : [],
+            roles: step.approverType === 'role' ? [...(step.roles || [])] : [],
+            delegates: [],
+            status: 'waiting',
+            escalateAfterDays: step.escalateAfterDays || null,
+            escalateTo: toPlain(step.escalateTo) || null
+        })),
+    history: [{ action: 'submitted', step: null, at }]
+});
+
+export const getCurrentStep = (process) => {
+    if (!process || process.status !== 'pending') return null;
+    return process.steps[process.currentStep] || null;
+};
+
+// Keep the denormalized approver lists (used to query pending approvals) in line with the step
+const syncCurrent = (process) => {
+    const step = getCurrentStep(process);
+    process.currentApprovers = step
+        ? [...step.approvers, ...step.delegates.map(delegate => delegate.user)]
+        : [];
+    process.currentRoles = step ? [...step.roles] : [];
+    process.dueAt = step && !step.escalated ? step.dueAt || null : null;
+};
+
+/**
+ * Index of the step after the current one, or -1 when the chain is finished
+ */
+export const nextStepIndex = (process) => (process.currentStep + 1 < process.steps.length ? process.currentStep + 1 : -1);
+
+/**
+ * Make a step the current one
+ * @param {Object} process
+ * @param {number} index
+ * @param {Object} assignment - { approvers, roles, delegates: [{ user, onBehalfOf }], at }
+ */
+export const activateStep = (process, index, { approvers = [], roles = [], delegates = [], at = new Date() }) => {
+    const step = process.steps[index];
+    step.status = 'pending';
+    step.approvers = approvers;
+    step.roles = roles;
+    step.delegates = delegates;
+    step.startedAt = at;
+    step.dueAt = step.escalateAfterDays ? new Date(new Date(at).getTime() + step.escalateAfterDays * DAY_MS) : null;
+
+    process.currentStep = index;
+    syncCurrent(process);
+    return step;
+};
+
+/**
+ * Close a step without a decision (no approver needed, already approved earlier, ...)
+ */
+export const skipStep = (process, index, reason, at = new Date()) => {
+    const step = process.steps[index];
+    step.status = 'skipped';
+    step.decidedAt = at;
+    step.comments = reason;
+    process.currentStep = index;
+    process.history.push({ action: 'skipped', step: index, stepName: step.name, comments: reason, at });
+    syncCurrent(process);
+};
+
+/**
+ * Users who approved earlier steps (a later step they would also decide is skipped)
+ */
+export const getPreviousApprovers = (process) => process.steps
+    .filter(step => step.status === 'approved')
+    .flatMap(step => [step.decidedBy, step.onBehalfOf].filter(Boolean));
+
+/**
+ * Whether a user may decide the current step
+ * Nobody decides their own request, whatever their role.
+ * @param {Object} process
+ * @param {Object} user - { _id, role }
+ * @param {Array} [delegators] - Users who currently delegate their approvals to `user`
+ * @param {*} [requester] - Employee the request belongs to
+ * @returns {{allowed: boolean, onBehalfOf: *}}
+ */
+export const canDecide = (process, user, delegators = [], requester = null) => {
+    const step = getCurrentStep(process);
+    if (!step || !user) return { allowed: false, onBehalfOf: null };
+    if (requester && idOf(requester) === idOf(user._id)) return { allowed: false, onBehalfOf: null };
+
+    if (includesId(step.approvers, user._id)) {
+        return { allowed: true, onBehalfOf: null };
+    }
+
+    const delegate = step.delegates.find(entry => idOf(entry.user) === idOf(user._id));
+    if (delegate) {
+        return { allowed: true, onBehalfOf: delegate.onBehalfOf };
+    }
+
+    const delegator = step.approvers.find(approver => includesId(delegators, approver));
+    if (delegator) {
+        return { allowed: true, onBehalfOf: delegator };
+    }
+
+    if (step.roles.includes(user.role)) {
+        return { allowed: true, onBehalfOf: null };
+    }
+
+    return { allowed: false, onBehalfOf: null };
+};
+
+/**
+ * Record an approve/reject decision on the current step
+ * @param {Object} process
+ * @param {Object} decision - { action: 'approved'|'rejected', actor, onBehalfOf, comments, at }
+ * @returns {{completed: boolean, rejected: boolean, nextStep: number}}
+ */
+export const recordDecision = (process, { action, actor, onBehalfOf = null, comments = '', at = new Date() }) => {
+    const step = getCurrentStep(process);
+    if (!step) {
+        throw new Error('Request is not awaiting approval');
+    }
+
+    step.status = action;
+    step.decidedBy = actor;
+    step.onBehalfOf = onBehalfOf;
+    step.decidedAt = at;
+    step.comments = comments;
+    process.history.push({ action, step: process.currentStep, stepName: step.name, actor, onBehalfOf, comments, at });
+
+    if (action === 'rejected') {
+        process.status = 'rejected';
+        syncCurrent(process);
+        return { completed: false, rejected: true, nextStep: -1 };
+    }
+
+    const nextStep = nextStepIndex(process);
+    if (nextStep === -1) {
+        process.status = 'approved';
+        syncCurrent(process);
+        return { completed: true, rejected: false, nextStep };
+    }
+
+    return { completed: false, rejected: false, nextStep };
+};
+
+/**
+ * Mark the process approved once every remaining step has been skipped
+ */
+export const completeProcess = (process) => {
+    process.status = 'approved';
+    syncCurrent(process);
+};
+
+/**
+ * Whether the current step waited past its escalation deadline
+ */
+export const isOverdue = (process, now = new Date()) => {
+    const step = getCurrentStep(process);
+    return !!(step && !step.escalated && step.dueAt && new Date(step.dueAt) <= new Date(now));
+};
+
+/**
+ * Hand the current step to additional approvers (escalation or unavailable approver)
+ * @param {Object} process
+ * @param {Object} escalation - { approvers, roles, reason, at }
+ */
+export const escalateStep = (process, { approvers = [], roles = [], reason = '', at = new Date() }) => {
+    const step = getCurrentStep(process);
+    if (!step) return null;
+
+    step.approvers = [...step.approvers, ...approvers.filter(approver => !includesId(step.approvers, approver))];
+    step.roles = [...new Set([...step.roles, ...roles])];
+    step.escalated = true;
+    step.escalatedAt = at;
+    process.history.push({ action: 'escalated', step: process.currentStep, stepName: step.name, comments: reason, at });
+    syncCurrent(process);
+    return step;
+};
+
+/**
+ * Close a pending process when the request is cancelled
+ */
+export const cancelProcess = (process, { actor = null, comments = '', at = new Date() } = {}) => {
+    if (!process || process.status !== 'pending') return;
+
+    process.status = 'cancelled';
+    process.history.push({ action: 'cancelled', step: process.currentStep, actor, comments, at });
+    syncCurrent(process);
+};
+
+export default {
+    APPROVAL_REQUEST_TYPES,
+    APPROVER_TYPES,
+    CONDITION_FIELDS,
+    CONDITION_OPERATORS,
+    HISTORY_ACTIONS,
+    HR_APPROVER_ROLES,
+    SUPERVISOR_APPROVER_ROLES,
+    matchesCondition,
+    matchesConditions,
+    buildDefaultChain,
+    selectChain,
+    createProcess,
+    getCurrentStep,
+    nextStepIndex,
+    activateStep,
+    skipStep,
+    getPreviousApprovers,
+    canDecide,
+    recordDecision,
+    completeProcess,
+    isOverdue,
+    escalateStep,
+    cancelProcess
+};
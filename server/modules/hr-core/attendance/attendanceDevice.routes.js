@@ -9,6 +9,7 @@ import {
     testConnection,
     syncDevice,
     syncAllDevices,
+    clearDeviceLogs,
     getDeviceStats,
     receivePushedLogs,
     importCSV
@@ -53,6 +54,7 @@ router.delete('/:id', checkRole(['admin']), deleteDevice);
 router.post('/:id/test-connection', testConnection);
 router.post('/:id/sync', syncDevice);
 router.post('/sync-all', syncAllDevices);
+router.post('/:id/clear-logs', checkRole(['admin']), clearDeviceLogs);
 
 // CSV import
 router.post('/import/csv', checkRole(['admin', 'hr']), upload.single('file'), importCSV);
@@ -1,6 +1,7 @@
 // Attendance Controller
 import Attendance from '../models/attendance.model.js';
 import { getHolidayInfo } from '../../holidays/utils/holidayChecker.js';
+import AttendanceService from '../services/AttendanceService.js';
 import logger from '../../../../utils/logger.js';
 import multiTenantDB from '../../../../config/multiTenant.js';
 import { 
@@ -12,6 +13,8 @@ import {
     withLogging 
 } from '../../../../utils/controllerLogger.js';
 
+const attendanceService = new AttendanceService();
+
 // Helper function to get tenant-specific models with safe registration
 const getTenantModels = async (tenantId) => {
     try {
@@ -825,9 +828,6 @@ export const manualCheckIn = async (req, res) => {
     try {
         const { employeeId, date, time, notes } = req.body;
         
-        const checkInDate = date ? new Date(date) : new Date();
-        checkInDate.setHours(0, 0, 0, 0);
-        
         const checkInTime = time ? new Date(time) : new Date();
         
         // Get tenantId from user context (set by auth middleware)
@@ -836,6 +836,11 @@ export const manualCheckIn = async (req, res) => {
         if (!tenantId) {
             return res.status(400).json({ error: 'Tenant ID is required' });
         }
+        
+        // Without an explicit date, night-shift punches after midnight go to the shift's start date
+        const checkInDate = date
+            ? new Date(new Date(date).setHours(0, 0, 0, 0))
+            : await attendanceService.resolveAttendanceDate(employeeId, checkInTime, tenantId);
 
         // Find or create attendance record
         let attendance = await Attendance.findOne({
@@ -869,6 +874,7 @@ export const manualCheckIn = async (req, res) => {
         
         attendance.approvedBy = req.user._id;
         attendance.approvedAt = new Date();
+        attendance.set(await attendanceService.calculateShiftFields(attendance, tenantId));
         
         // Log admin action for manual check-in
         logAdminAction(req, 'manual_check_in', {
@@ -1126,9 +1132,6 @@ export const manualCheckOut = async (req, res) => {
     try {
         const { employeeId, date, time, notes } = req.body;
         
-        const checkOutDate = date ? new Date(date) : new Date();
-        checkOutDate.setHours(0, 0, 0, 0);
-        
         const checkOutTime = time ? new Date(time) : new Date();
         
         // Get tenantId from user context (set by auth middleware)
@@ -1137,6 +1140,11 @@ export const manualCheckOut = async (req, res) => {
         if (!tenantId) {
             return res.status(400).json({ error: 'Tenant ID is required' });
         }
+        
+        // Without an explicit date, night-shift punches after midnight go to the shift's start date
+        const checkOutDate = date
+            ? new Date(new Date(date).setHours(0, 0, 0, 0))
+            : await attendanceService.resolveAttendanceDate(employeeId, checkOutTime, tenantId);
 
         // Find attendance record
         const attendance = await Attendance.findOne({
@@ -1164,6 +1172,7 @@ export const manualCheckOut = async (req, res) => {
         
         attendance.approvedBy = req.user._id;
         attendance.approvedAt = new Date();
+        attendance.set(await attendanceService.calculateShiftFields(attendance, tenantId));
         
         await attendance.save();
         await attendance.populate('employee', 'username email employeeId personalInfo');
@@ -213,6 +213,29 @@ export const syncDevice = async (req, res) => {
     }
 };
 
+/**
+ * Clear attendance logs stored on the device
+ */
+export const clearDeviceLogs = async (req, res) => {
+    try {
+        const result = await attendanceDeviceService.clearZKTecoLogs(req.params.id, req.tenantId);
+        
+        logger.info(`Device logs cleared: ${result.device}, cleared: ${result.cleared} by user ${req.user.username}`);
+        
+        res.json({
+            success: true,
+            message: 'Device logs cleared',
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error clearing device logs:', error);
+        res.status(error.message === 'Device not found' ? 404 : 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+};
+
 /**
  * Sync all active devices (tenant-aware)
  */
@@ -1,5 +1,8 @@
 import ForgetCheck from '../models/forgetCheck.model.js';
 import User from '../../users/models/user.model.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
+
+const approvalWorkflowService = new ApprovalWorkflowService();
 
 export const getAllForgetChecks = async (req, res) => {
     try {
@@ -63,6 +66,7 @@ export const createForgetCheck = async (req, res) => {
             ...req.body,
             tenantId: req.tenantId
         });
+        await approvalWorkflowService.start(forgetCheck, { save: false });
         const savedForgetCheck = await forgetCheck.save();
 
         res.status(201).json(savedForgetCheck);
@@ -136,13 +140,13 @@ export const approveForgetCheck = async (req, res) => {
             return res.status(404).json({ error: 'Forget check request not found' });
         }
 
-        // Check if user has permission to approve
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
-            return res.status(403).json({ error: 'You do not have permission to approve forget check requests' });
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(forgetCheck, req.user);
+        if (!allowed) {
+            return res.status(403).json({ error: 'You do not have permission to approve this forget check request' });
         }
 
-        await forgetCheck.approve(req.user._id);
+        await approvalWorkflowService.approve(forgetCheck, req.user, req.body.notes);
 
         res.json(forgetCheck);
     } catch (err) {
@@ -159,10 +163,10 @@ export const rejectForgetCheck = async (req, res) => {
             return res.status(404).json({ error: 'Forget check request not found' });
         }
 
-        // Check if user has permission to reject
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
-            return res.status(403).json({ error: 'You do not have permission to reject forget check requests' });
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(forgetCheck, req.user);
+        if (!allowed) {
+            return res.status(403).json({ error: 'You do not have permission to reject this forget check request' });
         }
 
         const { reason } = req.body;
@@ -172,7 +176,7 @@ export const rejectForgetCheck = async (req, res) => {
             return res.status(400).json({ error: 'Rejection reason must be at least 10 characters long' });
         }
 
-        await forgetCheck.reject(req.user._id, reason.trim());
+        await approvalWorkflowService.reject(forgetCheck, req.user, reason.trim());
 
         res.json(forgetCheck);
     } catch (err) {
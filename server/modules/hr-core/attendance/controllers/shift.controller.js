@@ -0,0 +1,266 @@
+// Shift Controller
+import ShiftService from '../services/ShiftService.js';
+
+const shiftService = new ShiftService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already exists|is used by|is assigned/.test(err.message)) {
+        return 409;
+    }
+    return 400;
+};
+
+/**
+ * Get shift definitions
+ */
+export const getShifts = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.getShifts(tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Create a shift definition
+ */
+export const createShift = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.createShift(req.body, tenantId, req.user?._id);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Update a shift definition
+ */
+export const updateShift = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.updateShift(req.params.id, req.body, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Delete a shift definition
+ */
+export const deleteShift = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.deleteShift(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get rotation patterns
+ */
+export const getPatterns = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.getPatterns(tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Create a rotation pattern
+ */
+export const createPattern = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.createPattern(req.body, tenantId, req.user?._id);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Update a rotation pattern
+ */
+export const updatePattern = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.updatePattern(req.params.id, req.body, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Delete a rotation pattern
+ */
+export const deletePattern = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.deletePattern(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get shift assignments
+ */
+export const getAssignments = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.getAssignments(tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Assign a shift or rotation pattern to an employee or department
+ */
+export const createAssignment = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.createAssignment(req.body, tenantId, req.user?._id);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Remove a shift assignment
+ */
+export const deleteAssignment = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.deleteAssignment(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get the roster calendar for a date range
+ */
+export const getRoster = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.getRoster(tenantId, req.query);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Override one roster day for an employee
+ */
+export const setRosterDay = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.setRosterDay(req.body.employee, req.body.date, req.body.shift, tenantId, req.user?._id);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get the roster of the signed-in employee
+ */
+export const getMyRoster = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await shiftService.getRoster(tenantId, { ...req.query, department: undefined, employee: req.user._id });
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
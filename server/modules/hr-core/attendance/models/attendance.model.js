@@ -30,7 +30,13 @@ const attendanceSchema = new mongoose.Schema({
         type: Date,
         required: true
     },
-    // Scheduled work times
+    // Rostered shift for this date (null when the employee has no shift assignment)
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
+    // Scheduled work times (snapshot of the rostered shift, or the default office hours)
     schedule: {
         startTime: {
             type: String,  // Format: "HH:MM" (e.g., "09:00")
@@ -236,8 +242,11 @@ attendanceSchema.pre('save', function(next) {
     // Get holiday information for the date
     const holidayInfo = getHolidayInfo(this.date);
     
+    // Rostered employees get their rest days from the roster, not the weekend
+    const isWeekendOff = holidayInfo.isWeekend && !this.shift;
+    
     // Check if it's a weekend or official holiday
-    if (holidayInfo.isWeekend || holidayInfo.isHoliday) {
+    if (isWeekendOff || holidayInfo.isHoliday) {
         // Automatically set as official holiday
         this.status = 'absent';
         this.notes = holidayInfo.note || 'Official Holiday';
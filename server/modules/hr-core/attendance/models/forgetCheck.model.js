@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { HR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
 
 const forgetCheckSchema = new mongoose.Schema({
     tenantId: {
@@ -90,4 +92,11 @@ forgetCheckSchema.index({ employee: 1, date: 1 });
 forgetCheckSchema.index({ department: 1, status: 1 });
 forgetCheckSchema.index({ date: 1 });
 
+// Multi-step approval chain (see approvals/)
+forgetCheckSchema.plugin(approvalWorkflowPlugin, {
+    requestType: 'forget-check',
+    defaultApproverRoles: HR_APPROVER_ROLES,
+    metrics: (forgetCheck) => ({ type: forgetCheck.requestType })
+});
+
 export default mongoose.model('ForgetCheck', forgetCheckSchema);
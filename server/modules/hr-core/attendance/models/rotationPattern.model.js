@@ -0,0 +1,58 @@
+// models/RotationPattern.js
+import mongoose from 'mongoose';
+
+// One entry per day of the cycle: a shift, or a rest day
+const patternDaySchema = new mongoose.Schema({
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
+    dayOff: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const rotationPatternSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        index: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Pattern name is required'],
+        trim: true
+    },
+    description: String,
+    // e.g. four-on/four-off: [D, D, D, D, off, off, off, off]
+    days: {
+        type: [patternDaySchema],
+        validate: {
+            validator: (days) => Array.isArray(days) && days.length > 0 && days.every(day => day.dayOff || day.shift),
+            message: 'Every day of the cycle needs a shift or must be a day off'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+rotationPatternSchema.virtual('cycleLength').get(function () {
+    return this.days?.length || 0;
+});
+
+rotationPatternSchema.set('toJSON', { virtuals: true });
+
+rotationPatternSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
+export default mongoose.model('RotationPattern', rotationPatternSchema);
@@ -0,0 +1,102 @@
+// models/Shift.js
+import mongoose from 'mongoose';
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+const segmentSchema = new mongoose.Schema({
+    startTime: {
+        type: String,  // Format: "HH:MM"
+        required: true,
+        match: [TIME_PATTERN, 'Time must be in HH:MM format']
+    },
+    endTime: {
+        type: String,  // Format: "HH:MM"; not after startTime means next day (e.g. 22:00-06:00)
+        required: true,
+        match: [TIME_PATTERN, 'Time must be in HH:MM format']
+    }
+}, { _id: false });
+
+const shiftSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        index: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Shift name is required'],
+        trim: true
+    },
+    // Short label shown in roster cells (e.g. "D", "N", "S")
+    code: {
+        type: String,
+        required: [true, 'Shift code is required'],
+        trim: true,
+        uppercase: true,
+        maxlength: 5
+    },
+    color: {
+        type: String,
+        default: '#1976d2'
+    },
+    // One segment for regular shifts, two or more for split shifts
+    segments: {
+        type: [segmentSchema],
+        validate: {
+            validator: (segments) => Array.isArray(segments) && segments.length > 0,
+            message: 'A shift needs at least one time segment'
+        }
+    },
+    // Unpaid break deducted from scheduled and worked time
+    breakMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Minutes after the start before a check-in counts as late
+    graceMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Minutes before the end before a check-out counts as early departure
+    earlyLeaveGraceMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Extra time below this is not counted as overtime
+    minOvertimeMinutes: {
+        type: Number,
+        default: 30,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// First segment start / last segment end, for display and the attendance schedule snapshot
+shiftSchema.virtual('startTime').get(function () {
+    return this.segments?.[0]?.startTime;
+});
+
+shiftSchema.virtual('endTime').get(function () {
+    return this.segments?.[this.segments.length - 1]?.endTime;
+});
+
+shiftSchema.set('toJSON', { virtuals: true });
+shiftSchema.set('toObject', { virtuals: true });
+
+shiftSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+shiftSchema.index({ tenantId: 1, isActive: 1 });
+
+export default mongoose.model('Shift', shiftSchema);
@@ -0,0 +1,85 @@
+// models/ShiftAssignment.js
+import mongoose from 'mongoose';
+
+/**
+ * Puts an employee or a whole department on a fixed shift or a rotation pattern
+ * for a date range. A one-day employee assignment is how roster cells are overridden.
+ */
+const shiftAssignmentSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        index: true,
+        trim: true
+    },
+    // Either employee or department is set
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    // Either a fixed shift, a rotation pattern, or a day off
+    shift: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Shift',
+        default: null
+    },
+    pattern: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RotationPattern',
+        default: null
+    },
+    dayOff: {
+        type: Boolean,
+        default: false
+    },
+    // Pattern day worked on startDate (1-based), so crews can share a pattern out of phase
+    cycleStartDay: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Start date is required']
+    },
+    endDate: {
+        type: Date,
+        default: null
+    },
+    notes: String,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+shiftAssignmentSchema.pre('validate', function (next) {
+    if (!this.employee === !this.department) {
+        return next(new Error('Assign either an employee or a department'));
+    }
+    if ([this.shift, this.pattern, this.dayOff || null].filter(Boolean).length !== 1) {
+        return next(new Error('Choose exactly one of shift, rotation pattern or day off'));
+    }
+    if (this.endDate && this.endDate < this.startDate) {
+        return next(new Error('End date must be on or after start date'));
+    }
+    next();
+});
+
+shiftAssignmentSchema.index({ tenantId: 1, employee: 1, startDate: 1 });
+shiftAssignmentSchema.index({ tenantId: 1, department: 1, startDate: 1 });
+shiftAssignmentSchema.index({ tenantId: 1, isActive: 1, endDate: 1 });
+
+export default mongoose.model('ShiftAssignment', shiftAssignmentSchema);
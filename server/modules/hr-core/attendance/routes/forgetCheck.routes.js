@@ -8,8 +8,7 @@ import {
     approveForgetCheck,
     rejectForgetCheck
 } from '../controllers/forgetCheck.controller.js';
-import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
-import { ROLES } from '../../../../shared/constants/modules.js';
+import { requireAuth } from '../../../../shared/middleware/auth.js';
 
 const router = express.Router();
 
@@ -22,11 +21,11 @@ router.get('/', getAllForgetChecks);
 // Create forget check request - All authenticated users can create
 router.post('/', createForgetCheck);
 
-// Approve forget check request - HR/Admin only
-router.post('/:id/approve', requireRole(ROLES.ADMIN, ROLES.HR), approveForgetCheck);
+// Approve forget check request - approvers of the current step in the approval chain
+router.post('/:id/approve', approveForgetCheck);
 
-// Reject forget check request - HR/Admin only
-router.post('/:id/reject', requireRole(ROLES.ADMIN, ROLES.HR), rejectForgetCheck);
+// Reject forget check request - approvers of the current step in the approval chain
+router.post('/:id/reject', rejectForgetCheck);
 
 // Get forget check by ID - All authenticated users
 router.get('/:id', getForgetCheckById);
@@ -0,0 +1,50 @@
+import express from 'express';
+import {
+    getShifts,
+    createShift,
+    updateShift,
+    deleteShift,
+    getPatterns,
+    createPattern,
+    updatePattern,
+    deletePattern,
+    getAssignments,
+    createAssignment,
+    deleteAssignment,
+    getRoster,
+    setRosterDay,
+    getMyRoster
+} from '../controllers/shift.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+const hrOrAdmin = requireRole(ROLES.ADMIN, ROLES.HR);
+
+// Apply authentication to all routes
+router.use(requireAuth);
+
+// Roster calendar
+router.get('/roster/me', getMyRoster);
+router.get('/roster', hrOrAdmin, getRoster);
+router.put('/roster', hrOrAdmin, setRosterDay);
+
+// Rotation patterns - HR/Admin only
+router.get('/patterns', hrOrAdmin, getPatterns);
+router.post('/patterns', hrOrAdmin, createPattern);
+router.put('/patterns/:id', hrOrAdmin, updatePattern);
+router.delete('/patterns/:id', hrOrAdmin, deletePattern);
+
+// Shift assignments - HR/Admin only
+router.get('/assignments', hrOrAdmin, getAssignments);
+router.post('/assignments', hrOrAdmin, createAssignment);
+router.delete('/assignments/:id', hrOrAdmin, deleteAssignment);
+
+// Shift definitions - all authenticated users can view
+router.get('/', getShifts);
+router.post('/', hrOrAdmin, createShift);
+router.put('/:id', hrOrAdmin, updateShift);
+router.delete('/:id', hrOrAdmin, deleteShift);
+
+export default router;
@@ -1,7 +1,17 @@
 import AttendanceRepository from '../../../../repositories/modules/AttendanceRepository.js';
 import { getHolidayInfo } from '../../holidays/utils/holidayChecker.js';
+import ShiftService from './ShiftService.js';
+import {
+  startOfDay,
+  addDays,
+  getShiftWindow,
+  belongsToPreviousShift,
+  calculateShiftAttendance
+} from '../utils/shiftSchedule.js';
 import logger from '../../../../utils/logger.js';
 
+const toPlain = (value) => (value && typeof value.toObject === 'function' ? value.toObject() : { ...(value || {}) });
+
 /**
  * Attendance Service - Business logic layer for attendance operations
  * Uses AttendanceRepository for data access
@@ -9,6 +19,80 @@ import logger from '../../../../utils/logger.js';
 class AttendanceService {
   constructor() {
     this.attendanceRepository = new AttendanceRepository();
+    this.shiftService = new ShiftService();
+  }
+
+  /**
+   * Attendance date a punch belongs to
+   * A punch shortly after midnight belongs to the previous day's shift when that shift crosses midnight.
+   */
+  async resolveAttendanceDate(employee, punchTime, tenantId) {
+    const day = startOfDay(punchTime);
+    const previous = await this.shiftService.getEmployeeSchedule(employee, addDays(day, -1), tenantId);
+    return belongsToPreviousShift(punchTime, previous.window) ? addDays(day, -1) : day;
+  }
+
+  /**
+   * Late/early/overtime fields of an attendance record, measured against the
+   * employee's rostered shift for the record date (or the record's own schedule
+   * when the employee has no shift assignment)
+   * @param {Object} record - Attendance document or data ({ employee, date, checkIn, checkOut, schedule })
+   * @returns {Promise<Object>} Fields to merge into the record
+   */
+  async calculateShiftFields(record, tenantId) {
+    const date = startOfDay(record.date);
+    const schedule = await this.shiftService.getEmployeeSchedule(record.employee, date, tenantId);
+    const checkIn = toPlain(record.checkIn);
+    const checkOut = toPlain(record.checkOut);
+    const hours = toPlain(record.hours);
+    const flags = toPlain(record.flags);
+
+    // Rest day in the roster: everything worked is overtime
+    if (schedule.dayOff) {
+      const worked = checkIn.time && checkOut.time ? Math.max(0, (new Date(checkOut.time) - new Date(checkIn.time)) / 3600000) : 0;
+      const actual = Math.round(worked * 100) / 100;
+
+      return {
+        shift: null,
+        isWorkingDay: false,
+        checkIn: { ...checkIn, isLate: false, lateMinutes: 0 },
+        checkOut: { ...checkOut, isEarly: false, earlyMinutes: 0 },
+        hours: { ...hours, actual, expected: 0, overtime: actual, totalHours: actual + (hours.workFromHome || 0) },
+        flags: { ...flags, isLate: false, isEarlyDeparture: false }
+      };
+    }
+
+    const shift = schedule.shift;
+    const window = schedule.window || getShiftWindow({
+      startTime: record.schedule?.startTime || '09:00',
+      endTime: record.schedule?.endTime || '17:00'
+    }, date);
+    const result = calculateShiftAttendance(window, { checkIn: checkIn.time, checkOut: checkOut.time }, shift || {});
+
+    const fields = {
+      shift: shift ? shift._id : null,
+      checkIn: { ...checkIn, isLate: result.isLate, lateMinutes: result.lateMinutes },
+      checkOut: { ...checkOut, isEarly: result.isEarly, earlyMinutes: result.earlyMinutes },
+      hours: {
+        ...hours,
+        actual: result.actualHours,
+        expected: result.expectedHours,
+        overtime: result.overtimeHours,
+        totalHours: result.actualHours + (hours.workFromHome || 0)
+      },
+      flags: { ...flags, isLate: result.isLate, isEarlyDeparture: result.isEarly }
+    };
+
+    if (shift) {
+      fields.isWorkingDay = true;
+      fields.schedule = {
+        startTime: shift.startTime,
+        endTime: shift.endTime,
+        expectedHours: result.expectedHours
+      };
+    }
+
+    return fields;
   }
 
   /**
@@ -68,11 +152,13 @@ class AttendanceService {
       tenantId
     };
 
+    Object.assign(dataToCreate, await this.calculateShiftFields(dataToCreate, tenantId));
+
     // Get holiday information for the date
     const holidayInfo = getHolidayInfo(dataToCreate.date);
 
-    // Automatically set weekend or official holiday
-    if (holidayInfo.isWeekend || holidayInfo.isHoliday) {
+    // Automatically set weekend or official holiday (rostered employees take rest days from the roster)
+    if ((holidayInfo.isWeekend && !dataToCreate.shift) || holidayInfo.isHoliday) {
       dataToCreate.status = 'absent';
       dataToCreate.notes = holidayInfo.note || 'Official Holiday';
       dataToCreate.isWorkingDay = false;
@@ -121,12 +207,21 @@ class AttendanceService {
   async updateAttendance(id, updateData, tenantId) {
     const dataToUpdate = { ...updateData };
 
+    // Recalculate against the shift when times or date change
+    if (dataToUpdate.date || dataToUpdate.checkIn || dataToUpdate.checkOut) {
+      const existing = await this.attendanceRepository.findOne({ _id: id, tenantId });
+      if (!existing) {
+        throw new Error('Attendance not found');
+      }
+      Object.assign(dataToUpdate, await this.calculateShiftFields({ ...toPlain(existing), ...dataToUpdate }, tenantId));
+    }
+
     // Get holiday information for the date if date is being updated
     if (dataToUpdate.date) {
       const holidayInfo = getHolidayInfo(dataToUpdate.date);
 
       // Automatically set weekend or official holiday
-      if (holidayInfo.isWeekend || holidayInfo.isHoliday) {
+      if ((holidayInfo.isWeekend && !dataToUpdate.shift) || holidayInfo.isHoliday) {
         dataToUpdate.status = 'absent';
         dataToUpdate.notes = holidayInfo.note || 'Official Holiday';
         dataToUpdate.isWorkingDay = false;
@@ -299,10 +394,10 @@ class AttendanceService {
    * Manual check-in
    */
   async manualCheckIn(employeeId, date, time, notes, approvedBy, tenantId) {
-    const checkInDate = date ? new Date(date) : new Date();
-    checkInDate.setHours(0, 0, 0, 0);
-
     const checkInTime = time ? new Date(time) : new Date();
+    const checkInDate = date
+      ? startOfDay(date)
+      : await this.resolveAttendanceDate(employeeId, checkInTime, tenantId);
 
     // Find or create attendance record
     let attendance = await this.attendanceRepository.findOne({
@@ -341,6 +436,8 @@ class AttendanceService {
       updateData.notes = notes;
     }
 
+    Object.assign(updateData, await this.calculateShiftFields({ ...toPlain(attendance), ...updateData }, tenantId));
+
     await this.attendanceRepository.update(attendance._id, updateData);
 
     logger.info(`Manual check-in recorded by ${approvedBy} for employee ${employeeId}`);
@@ -359,10 +456,10 @@ class AttendanceService {
    * Manual check-out
    */
   async manualCheckOut(employeeId, date, time, notes, approvedBy, tenantId) {
-    const checkOutDate = date ? new Date(date) : new Date();
-    checkOutDate.setHours(0, 0, 0, 0);
-
     const checkOutTime = time ? new Date(time) : new Date();
+    const checkOutDate = date
+      ? startOfDay(date)
+      : await this.resolveAttendanceDate(employeeId, checkOutTime, tenantId);
 
     // Find attendance record
     const attendance = await this.attendanceRepository.findOne({
@@ -389,6 +486,8 @@ class AttendanceService {
       updateData.notes = attendance.notes ? `${attendance.notes}; ${notes}` : notes;
     }
 
+    Object.assign(updateData, await this.calculateShiftFields({ ...toPlain(attendance), ...updateData }, tenantId));
+
     await this.attendanceRepository.update(attendance._id, updateData);
 
     logger.info(`Manual check-out recorded by ${approvedBy} for employee ${employeeId}`);
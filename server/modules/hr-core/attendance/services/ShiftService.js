@@ -0,0 +1,377 @@
+import Shift from '../models/shift.model.js';
+import RotationPattern from '../models/rotationPattern.model.js';
+import ShiftAssignment from '../models/shiftAssignment.model.js';
+import User from '../../users/models/user.model.js';
+import {
+  startOfDay,
+  addDays,
+  toDateKey,
+  daysBetween,
+  getShiftWindow,
+  selectAssignment,
+  resolveAssignmentDay
+} from '../utils/shiftSchedule.js';
+import logger from '../../../../utils/logger.js';
+
+// Longest roster range returned in one request
+const MAX_ROSTER_DAYS = 62;
+
+const ASSIGNMENT_POPULATE = [
+  { path: 'shift' },
+  { path: 'pattern', populate: { path: 'days.shift' } }
+];
+
+/**
+ * Shift Service - Shift definitions, rotation patterns, assignments and the roster
+ */
+class ShiftService {
+  /**
+   * Get shift definitions
+   */
+  async getShifts(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.active !== undefined) {
+      query.isActive = filters.active === true || filters.active === 'true';
+    }
+    return await Shift.find(query).sort({ code: 1 });
+  }
+
+  /**
+   * Create a shift definition
+   */
+  async createShift(data, tenantId, userId) {
+    const existing = await Shift.findOne({ tenantId, code: String(data.code || '').toUpperCase() });
+    if (existing) {
+      throw new Error('Shift code already exists');
+    }
+
+    const shift = await Shift.create({ ...this._normalizeShift(data), tenantId, createdBy: userId });
+    logger.info(`Shift ${shift.code} created for tenant ${tenantId}`);
+    return shift;
+  }
+
+  /**
+   * Update a shift definition
+   * Attendance already calculated keeps its schedule snapshot.
+   */
+  async updateShift(id, data, tenantId) {
+    const shift = await Shift.findOne({ _id: id, tenantId });
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    const updates = this._normalizeShift(data);
+    delete updates.tenantId;
+    delete updates.createdBy;
+    shift.set(updates);
+    return await shift.save();
+  }
+
+  /**
+   * Delete a shift that no pattern or active assignment uses
+   */
+  async deleteShift(id, tenantId) {
+    const shift = await Shift.findOne({ _id: id, tenantId });
+    if (!shift) {
+      throw new Error('Shift not found');
+    }
+
+    const [patterns, assignments] = await Promise.all([
+      RotationPattern.countDocuments({ tenantId, 'days.shift': shift._id }),
+      ShiftAssignment.countDocuments({ tenantId, shift: shift._id, isActive: true })
+    ]);
+    if (patterns > 0 || assignments > 0) {
+      throw new Error('Shift is used by a rotation pattern or assignment; deactivate it instead');
+    }
+
+    await shift.deleteOne();
+    return { message: 'Shift deleted' };
+  }
+
+  /**
+   * Get rotation patterns
+   */
+  async getPatterns(tenantId) {
+    return await RotationPattern.find({ tenantId }).populate('days.shift', 'name code color').sort({ name: 1 });
+  }
+
+  /**
+   * Create a rotation pattern
+   */
+  async createPattern(data, tenantId, userId) {
+    await this._assertShiftsExist(data.days, tenantId);
+    const pattern = await RotationPattern.create({
+      name: data.name,
+      description: data.description,
+      days: this._normalizePatternDays(data.days),
+      isActive: data.isActive !== false,
+      tenantId,
+      createdBy: userId
+    });
+    return await pattern.populate('days.shift', 'name code color');
+  }
+
+  /**
+   * Update a rotation pattern
+   */
+  async updatePattern(id, data, tenantId) {
+    const pattern = await RotationPattern.findOne({ _id: id, tenantId });
+    if (!pattern) {
+      throw new Error('Rotation pattern not found');
+    }
+
+    if (data.days) {
+      await this._assertShiftsExist(data.days, tenantId);
+      pattern.days = this._normalizePatternDays(data.days);
+    }
+    ['name', 'description', 'isActive'].forEach(field => {
+      if (data[field] !== undefined) pattern[field] = data[field];
+    });
+
+    await pattern.save();
+    return await pattern.populate('days.shift', 'name code color');
+  }
+
+  /**
+   * Delete a rotation pattern that no active assignment uses
+   */
+  async deletePattern(id, tenantId) {
+    const pattern = await RotationPattern.findOne({ _id: id, tenantId });
+    if (!pattern) {
+      throw new Error('Rotation pattern not found');
+    }
+
+    if (await ShiftAssignment.countDocuments({ tenantId, pattern: pattern._id, isActive: true }) > 0) {
+      throw new Error('Rotation pattern is assigned; end its assignments first');
+    }
+
+    await pattern.deleteOne();
+    return { message: 'Rotation pattern deleted' };
+  }
+
+  /**
+   * Get assignments, optionally for one employee or department
+   */
+  async getAssignments(tenantId, filters = {}) {
+    const query = { tenantId, isActive: true };
+    if (filters.employee) query.employee = filters.employee;
+    if (filters.department) query.department = filters.department;
+    if (filters.date) {
+      const date = startOfDay(filters.date);
+      query.startDate = { $lte: date };
+      query.$or = [{ endDate: null }, { endDate: { $gte: date } }];
+    }
+
+    return await ShiftAssignment.find(query)
+      .populate('employee', 'username employeeId personalInfo department')
+      .populate('department', 'name code')
+      .populate('shift', 'name code color')
+      .populate('pattern', 'name days')
+      .sort({ startDate: -1 });
+  }
+
+  /**
+   * Assign a shift, rotation pattern or day off to an employee or department
+   */
+  async createAssignment(data, tenantId, userId) {
+    if (data.shift) {
+      await this._assertShiftsExist([{ shift: data.shift }], tenantId);
+    }
+    if (data.pattern && !(await RotationPattern.exists({ _id: data.pattern, tenantId }))) {
+      throw new Error('Rotation pattern not found');
+    }
+
+    const assignment = await ShiftAssignment.create({
+      employee: data.employee || null,
+      department: data.employee ? null : (data.department || null),
+      shift: data.shift || null,
+      pattern: data.pattern || null,
+      dayOff: Boolean(data.dayOff),
+      cycleStartDay: data.cycleStartDay || 1,
+      startDate: startOfDay(data.startDate),
+      endDate: data.endDate ? startOfDay(data.endDate) : null,
+      notes: data.notes,
+      tenantId,
+      createdBy: userId
+    });
+
+    logger.info(`Shift assignment ${assignment._id} created for tenant ${tenantId}`);
+    return assignment;
+  }
+
+  /**
+   * End an assignment (kept for history)
+   */
+  async deleteAssignment(id, tenantId) {
+    const assignment = await ShiftAssignment.findOneAndUpdate(
+      { _id: id, tenantId },
+      { isActive: false },
+      { new: true }
+    );
+    if (!assignment) {
+      throw new Error('Shift assignment not found');
+    }
+    return { message: 'Shift assignment removed' };
+  }
+
+  /**
+   * Override one roster day for an employee (shift, or null for a day off)
+   * Replaces an earlier override of the same day.
+   */
+  async setRosterDay(employeeId, date, shiftId, tenantId, userId) {
+    const day = startOfDay(date);
+
+    await ShiftAssignment.updateMany(
+      { tenantId, employee: employeeId, startDate: day, endDate: day, isActive: true },
+      { isActive: false }
+    );
+
+    return await this.createAssignment({
+      employee: employeeId,
+      shift: shiftId || null,
+      dayOff: !shiftId,
+      startDate: day,
+      endDate: day,
+      notes: 'Roster override'
+    }, tenantId, userId);
+  }
+
+  /**
+   * Scheduled shift of an employee on a date
+   * @param {Object|string} employee - User document (with department) or user ID
+   * @returns {Promise<{shift: Object|null, dayOff: boolean, window: Object|null, assignment: Object|null}>}
+   */
+  async getEmployeeSchedule(employee, date, tenantId) {
+    const user = employee?.department !== undefined
+      ? employee
+      : await User.findOne({ _id: employee, tenantId }).select('department');
+    if (!user) {
+      return { shift: null, dayOff: false, window: null, assignment: null };
+    }
+
+    const day = startOfDay(date);
+    const assignments = await this._findAssignments(tenantId, day, day, { employees: [user._id], departments: [user.department] });
+    return this._scheduleFromAssignments(assignments, user, day);
+  }
+
+  /**
+   * Roster calendar: resolved shift of every employee for each day in the range
+   * @param {Object} options - { startDate, endDate, department, employee }
+   */
+  async getRoster(tenantId, options = {}) {
+    const start = startOfDay(options.startDate || new Date());
+    const end = startOfDay(options.endDate || addDays(start, 6));
+    const length = daysBetween(start, end) + 1;
+
+    if (length < 1) {
+      throw new Error('End date must be on or after start date');
+    }
+    if (length > MAX_ROSTER_DAYS) {
+      throw new Error(`Roster range cannot exceed ${MAX_ROSTER_DAYS} days`);
+    }
+
+    const userQuery = { tenantId, status: { $ne: 'resigned' }, isActive: { $ne: false } };
+    if (options.department) userQuery.department = options.department;
+    if (options.employee) userQuery._id = options.employee;
+
+    const employees = await User.find(userQuery)
+      .select('username employeeId personalInfo department')
+      .populate('department', 'name code')
+      .sort({ employeeId: 1 });
+
+    const assignments = await this._findAssignments(tenantId, start, end, {
+      employees: employees.map(employee => employee._id),
+      departments: [...new Set(employees.map(employee => (employee.department?._id || employee.department)?.toString()).filter(Boolean))]
+    });
+
+    const dates = Array.from({ length }, (_, index) => addDays(start, index));
+
+    return {
+      startDate: start,
+      endDate: end,
+      dates: dates.map(toDateKey),
+      shifts: await this.getShifts(tenantId),
+      employees: employees.map(employee => ({
+        employee,
+        days: dates.map(date => {
+          const schedule = this._scheduleFromAssignments(assignments, employee, date);
+          return {
+            date: toDateKey(date),
+            shift: schedule.shift ? schedule.shift._id : null,
+            code: schedule.shift?.code || null,
+            dayOff: schedule.dayOff,
+            source: this._describeSource(schedule.assignment),
+            assignment: schedule.assignment?._id || null
+          };
+        })
+      }))
+    };
+  }
+
+  _scheduleFromAssignments(assignments, employee, date) {
+    const assignment = selectAssignment(assignments, employee, date);
+    const { shift, dayOff } = resolveAssignmentDay(assignment, date);
+
+    return {
+      shift,
+      dayOff,
+      window: shift ? getShiftWindow(shift, date) : null,
+      assignment
+    };
+  }
+
+  _describeSource(assignment) {
+    if (!assignment) return null;
+    if (assignment.employee && toDateKey(assignment.startDate) === toDateKey(assignment.endDate || 0)) return 'override';
+    if (assignment.pattern) return assignment.employee ? 'employee-pattern' : 'department-pattern';
+    return assignment.employee ? 'employee' : 'department';
+  }
+
+  async _findAssignments(tenantId, start, end, { employees = [], departments = [] }) {
+    const owners = [];
+    if (employees.length) owners.push({ employee: { $in: employees } });
+    const departmentIds = departments.filter(Boolean);
+    if (departmentIds.length) owners.push({ employee: null, department: { $in: departmentIds } });
+    if (!owners.length) return [];
+
+    return await ShiftAssignment.find({
+      tenantId,
+      isActive: true,
+      startDate: { $lte: end },
+      $and: [
+        { $or: [{ endDate: null }, { endDate: { $gte: start } }] },
+        { $or: owners }
+      ]
+    }).populate(ASSIGNMENT_POPULATE);
+  }
+
+  _normalizeShift(data) {
+    const segments = Array.isArray(data.segments) && data.segments.length
+      ? data.segments
+      : (data.startTime && data.endTime ? [{ startTime: data.startTime, endTime: data.endTime }] : undefined);
+
+    const shift = { ...data };
+    delete shift.startTime;
+    delete shift.endTime;
+    if (segments) shift.segments = segments.map(({ startTime, endTime }) => ({ startTime, endTime }));
+    return shift;
+  }
+
+  _normalizePatternDays(days = []) {
+    return days.map(day => (day.dayOff || !day.shift
+      ? { shift: null, dayOff: true }
+      : { shift: day.shift?._id || day.shift, dayOff: false }));
+  }
+
+  async _assertShiftsExist(days = [], tenantId) {
+    const ids = [...new Set(days.filter(day => day.shift && !day.dayOff).map(day => (day.shift?._id || day.shift).toString()))];
+    if (ids.length === 0) return;
+
+    const count = await Shift.countDocuments({ tenantId, _id: { $in: ids } });
+    if (count !== ids.length) {
+      throw new Error('Shift not found');
+    }
+  }
+}
+
+export default ShiftService;
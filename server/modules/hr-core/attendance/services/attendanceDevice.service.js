@@ -3,6 +3,11 @@ import Attendance from '../models/attendance.model.js';
 import User from '../../users/models/user.model.js';
 import logger from '../../../../utils/logger.js';
 import axios from 'axios';
+import ZKTecoClient from './zktecoClient.js';
+import AttendanceService from './AttendanceService.js';
+import WebhookService from '../../webhooks/services/WebhookService.js';
+
+const webhookService = new WebhookService();
 
 /**
  * Attendance Device Service
@@ -10,76 +15,214 @@ import axios from 'axios';
  */
 
 class AttendanceDeviceService {
+    constructor() {
+        this.attendanceService = new AttendanceService();
+    }
+
+    /**
+     * Build a ZK protocol client from the device configuration
+     * device.config may hold: protocol ('tcp' | 'udp'), commKey, timeout
+     * @param {Object} device - Device configuration
+     * @returns {ZKTecoClient}
+     */
+    _createZKTecoClient(device) {
+        const config = device.config || {};
+
+        return new ZKTecoClient({
+            ip: device.ipAddress,
+            port: device.port || 4370,
+            protocol: config.protocol || 'tcp',
+            timeout: config.timeout || 5000,
+            commKey: config.commKey || 0
+        });
+    }
+
+    /**
+     * Map a user ID enrolled on the device to an HR employee ID
+     * Uses device.config.userMapping ({ deviceUserId: employeeId }) first; numeric
+     * device IDs are otherwise expanded to the EMID-0001 format (prefix via device.config.employeeIdPrefix).
+     * @param {Object} device - Device configuration
+     * @param {String} deviceUserId - User ID stored on the device
+     * @returns {String} Employee ID
+     */
+    _mapZKTecoUser(device, deviceUserId) {
+        const config = device.config || {};
+        const userId = String(deviceUserId).trim();
+
+        if (config.userMapping && config.userMapping[userId]) {
+            return config.userMapping[userId];
+        }
+
+        if (/^\d+$/.test(userId)) {
+            return `${config.employeeIdPrefix || 'EMID-'}${userId.padStart(4, '0')}`;
+        }
+
+        return userId;
+    }
+
     /**
      * Connect to ZKTeco device
      * @param {Object} device - Device configuration
      * @returns {Promise<Object>} Connection result
      */
     async connectToZKTeco(device) {
+        const client = this._createZKTecoClient(device);
+
         try {
             logger.info(`Attempting to connect to ZKTeco device: ${device.deviceName}`);
-            
-            // Placeholder for ZKTeco SDK integration
-            // In production, you would use a ZKTeco SDK or library
-            // Example: zklib, node-zklib, or similar
-            
-            const connectionConfig = {
-                ip: device.ipAddress,
-                port: device.port || 4370,
-                timeout: 5000
-            };
-            
-            // TODO: Implement actual ZKTeco connection
-            // const zkInstance = new ZKLib(connectionConfig);
-            // await zkInstance.connect();
-            
+
+            await client.connect();
+            const info = await client.getDeviceInfo();
+
             logger.info(`Successfully connected to ZKTeco device: ${device.deviceName}`);
-            
+
             return {
                 success: true,
                 message: 'Connected to ZKTeco device',
                 deviceInfo: {
                     name: device.deviceName,
                     type: 'zkteco',
-                    ...connectionConfig
+                    ip: client.ip,
+                    port: client.port,
+                    protocol: client.protocol,
+                    firmware: info.firmware,
+                    users: info.users,
+                    records: info.records
                 }
             };
         } catch (error) {
             logger.error(`Failed to connect to ZKTeco device ${device.deviceName}:`, error);
             throw new Error(`ZKTeco connection failed: ${error.message}`);
+        } finally {
+            await client.disconnect().catch(() => {});
         }
     }
 
     /**
      * Pull attendance logs from ZKTeco device
+     * Only records newer than device.lastSync are returned. The keypad is disabled
+     * while reading. The device log is left as it is; syncDevice clears it once the
+     * records are saved (clearSyncedZKTecoLogs).
      * @param {Object} device - Device configuration
      * @returns {Promise<Array>} Array of attendance logs
      */
     async pullZKTecoLogs(device) {
+        const client = this._createZKTecoClient(device);
+
         try {
             logger.info(`Pulling logs from ZKTeco device: ${device.deviceName}`);
-            
-            // Placeholder for ZKTeco log retrieval
-            // In production, you would:
-            // 1. Connect to device
-            // 2. Fetch attendance logs since last sync
-            // 3. Parse and normalize the data
-            
-            // TODO: Implement actual ZKTeco log pulling
-            // const zkInstance = new ZKLib({ ip: device.ipAddress, port: device.port });
-            // await zkInstance.connect();
-            // const logs = await zkInstance.getAttendance();
-            // await zkInstance.disconnect();
-            
-            // Example placeholder data structure
-            const logs = [];
-            
+
+            await client.connect();
+            await client.disableDevice();
+
+            let records;
+            try {
+                const users = await client.getUsers();
+                records = await client.getAttendances({ since: device.lastSync, users });
+            } finally {
+                await client.enableDevice();
+            }
+
+            const logs = records.map(record => ({
+                userId: this._mapZKTecoUser(device, record.userId),
+                deviceUserId: record.userId,
+                timestamp: record.timestamp,
+                type: record.type,
+                punch: record.punch,
+                deviceId: device._id
+            }));
+
             logger.info(`Retrieved ${logs.length} logs from ZKTeco device: ${device.deviceName}`);
-            
+
             return logs;
         } catch (error) {
             logger.error(`Failed to pull logs from ZKTeco device ${device.deviceName}:`, error);
             throw new Error(`ZKTeco log retrieval failed: ${error.message}`);
+        } finally {
+            await client.disconnect().catch(() => {});
+        }
+    }
+
+    /**
+     * Delete all attendance records stored on a ZKTeco device
+     * @param {String} deviceId - Device ID
+     * @returns {Promise<Object>} Clear result
+     */
+    async clearZKTecoLogs(deviceId, tenantId = null) {
+        const query = { _id: deviceId };
+        if (tenantId) {
+            query.tenantId = tenantId;
+        }
+
+        const device = await AttendanceDevice.findOne(query);
+
+        if (!device) {
+            throw new Error('Device not found');
+        }
+
+        if (device.deviceType !== 'zkteco') {
+            throw new Error(`Clearing logs not supported for device type: ${device.deviceType}`);
+        }
+
+        const client = this._createZKTecoClient(device);
+
+        try {
+            await client.connect();
+            const { records } = await client.getSizes();
+            await client.clearAttendanceLog();
+
+            logger.info(`Cleared ${records} logs from ZKTeco device: ${device.deviceName}`);
+
+            return {
+                success: true,
+                device: device.deviceName,
+                cleared: records
+            };
+        } catch (error) {
+            logger.error(`Failed to clear logs on ZKTeco device ${device.deviceName}:`, error);
+            throw new Error(`ZKTeco clear logs failed: ${error.message}`);
+        } finally {
+            await client.disconnect().catch(() => {});
+        }
+    }
+
+    /**
+     * Delete the attendance records of a ZKTeco device once a sync saved them
+     * Skipped when the device holds a punch newer than the synced ones: it arrived
+     * after the pull, and the next sync saves it and clears the log.
+     * @param {Object} device - Device configuration
+     * @param {Array} logs - Logs pulled and saved by the sync
+     * @returns {Promise<Boolean>} Whether the device log was cleared
+     */
+    async clearSyncedZKTecoLogs(device, logs) {
+        const latest = logs.reduce((max, log) => Math.max(max, new Date(log.timestamp).getTime()), 0);
+        const client = this._createZKTecoClient(device);
+
+        try {
+            await client.connect();
+            await client.disableDevice();
+
+            try {
+                const users = await client.getUsers();
+                const newer = await client.getAttendances({ since: new Date(latest), users });
+                if (newer.length > 0) {
+                    logger.warn(`Not clearing ZKTeco device ${device.deviceName}: ${newer.length} logs arrived during the sync`);
+                    return false;
+                }
+
+                await client.clearAttendanceLog();
+            } finally {
+                await client.enableDevice();
+            }
+
+            logger.info(`Cleared ${logs.length} synced logs from ZKTeco device: ${device.deviceName}`);
+
+            return true;
+        } catch (error) {
+            logger.error(`Failed to clear logs on ZKTeco device ${device.deviceName}:`, error);
+            throw new Error(`ZKTeco clear logs failed: ${error.message}`);
+        } finally {
+            await client.disconnect().catch(() => {});
         }
     }
 
@@ -270,15 +413,18 @@ class AttendanceDeviceService {
     async saveAttendanceLog(normalizedLog, device) {
         try {
             // Find employee by employeeId
-            const employee = await User.findOne({ employeeId: normalizedLog.employeeId });
+            const employeeQuery = { employeeId: normalizedLog.employeeId };
+            if (device.tenantId) {
+                employeeQuery.tenantId = device.tenantId;
+            }
+            const employee = await User.findOne(employeeQuery);
             
             if (!employee) {
                 throw new Error(`Employee not found: ${normalizedLog.employeeId}`);
             }
             
-            // Get date without time
-            const date = new Date(normalizedLog.timestamp);
-            date.setHours(0, 0, 0, 0);
+            // Attendance date of the punch (night-shift punches after midnight belong to the previous day)
+            const date = await this.attendanceService.resolveAttendanceDate(employee, normalizedLog.timestamp, employee.tenantId);
             
             // Find or create attendance record for this date
             let attendance = await Attendance.findOne({
@@ -288,6 +434,7 @@ class AttendanceDeviceService {
             
             if (!attendance) {
                 attendance = new Attendance({
+                    tenantId: employee.tenantId,
                     employee: employee._id,
                     department: employee.department,
                     position: employee.position,
@@ -319,6 +466,8 @@ class AttendanceDeviceService {
                 attendance.rawDeviceData = normalizedLog.rawData;
             }
             
+            attendance.set(await this.attendanceService.calculateShiftFields(attendance, employee.tenantId));
+            
             await attendance.save();
             
             logger.info(`Saved attendance log for employee ${normalizedLog.employeeId}`);
@@ -390,6 +539,16 @@ class AttendanceDeviceService {
                 }
             }
             
+            // Punches stay on the device until every one of them is saved
+            let cleared = false;
+            if (device.deviceType === 'zkteco' && device.config?.clearAfterSync && logs.length > 0 && errors.length === 0) {
+                try {
+                    cleared = await this.clearSyncedZKTecoLogs(device, logs);
+                } catch (error) {
+                    logger.warn(`Synced logs left on device ${device.deviceName}: ${error.message}`);
+                }
+            }
+            
             // Update device sync status
             await device.updateSyncStatus(
                 errors.length === 0,
@@ -397,11 +556,25 @@ class AttendanceDeviceService {
                 errors.length > 0 ? `${errors.length} errors occurred` : null
             );
             
+            if (processedLogs.length > 0 || errors.length > 0) {
+                webhookService.emit(device.tenantId, 'attendance.synced', {
+                    device: {
+                        id: device._id.toString(),
+                        name: device.deviceName,
+                        type: device.deviceType
+                    },
+                    processed: processedLogs.length,
+                    errors: errors.length,
+                    syncedAt: device.lastSync
+                });
+            }
+            
             return {
                 success: true,
                 device: device.deviceName,
                 processed: processedLogs.length,
                 errors: errors.length,
+                cleared,
                 lastSync: device.lastSync
             };
         } catch (error) {
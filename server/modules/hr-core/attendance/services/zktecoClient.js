@@ -0,0 +1,361 @@
+import net from 'net';
+import dgram from 'dgram';
+import {
+    COMMANDS,
+    FCT_ATTLOG,
+    FCT_USER,
+    DEFAULT_PORT,
+    MAX_CHUNK,
+    USHRT_MAX,
+    USER_PACKET_SIZES,
+    ATTENDANCE_PACKET_SIZES,
+    createPacket,
+    parsePacket,
+    wrapTcp,
+    readTcpPackets,
+    makeCommKey,
+    parseUsers,
+    parseAttendances,
+    detectPacketSize,
+    parseFreeSizes,
+    createBufferedReadRequest
+} from '../utils/zktecoProtocol.js';
+
+/**
+ * ZKTeco Client
+ * Talks to ZKTeco standalone terminals over the ZK TCP or UDP protocol:
+ * connect (with optional comm key), read users, read attendance records, clear logs.
+ *
+ * Commands are sent one at a time; every reply is matched to the pending request.
+ */
+class ZKTecoClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.ip - Device IP address
+     * @param {number} [options.port=4370] - Device port
+     * @param {string} [options.protocol='tcp'] - 'tcp' or 'udp'
+     * @param {number} [options.timeout=5000] - Reply timeout in ms
+     * @param {number|string} [options.commKey=0] - Device communication password
+     */
+    constructor({ ip, port = DEFAULT_PORT, protocol = 'tcp', timeout = 5000, commKey = 0 }) {
+        if (!ip) {
+            throw new Error('Device IP address is required');
+        }
+
+        this.ip = ip;
+        this.port = port;
+        this.protocol = protocol === 'udp' ? 'udp' : 'tcp';
+        this.timeout = timeout;
+        this.commKey = commKey;
+
+        this.socket = null;
+        this.sessionId = 0;
+        this.replyId = USHRT_MAX - 1;
+        this.connected = false;
+        this.pending = [];
+        this.waiters = [];
+        this.tcpBuffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Open the socket and start a session
+     */
+    async connect() {
+        await this._openSocket();
+
+        let reply = await this._request(COMMANDS.CMD_CONNECT);
+        this.sessionId = reply.sessionId;
+
+        if (reply.command === COMMANDS.CMD_ACK_UNAUTH) {
+            reply = await this._request(COMMANDS.CMD_AUTH, makeCommKey(this.commKey, this.sessionId));
+        }
+
+        if (reply.command !== COMMANDS.CMD_ACK_OK) {
+            this._closeSocket();
+            throw new Error(reply.command === COMMANDS.CMD_ACK_UNAUTH ? 'Unauthorized: invalid comm key' : 'Device refused the connection');
+        }
+
+        this.connected = true;
+        return { sessionId: this.sessionId };
+    }
+
+    /**
+     * End the session and close the socket
+     */
+    async disconnect() {
+        try {
+            if (this.connected) {
+                await this._request(COMMANDS.CMD_EXIT);
+            }
+        } finally {
+            this.connected = false;
+            this._closeSocket();
+        }
+    }
+
+    /**
+     * Firmware version and table sizes
+     */
+    async getDeviceInfo() {
+        const version = await this._request(COMMANDS.CMD_GET_VERSION);
+        const sizes = await this.getSizes();
+
+        return {
+            firmware: version.command === COMMANDS.CMD_ACK_OK ? version.data.toString('utf8').replace(/\0/g, '').trim() : null,
+            ...sizes
+        };
+    }
+
+    /**
+     * Number of users and attendance records stored on the device
+     */
+    async getSizes() {
+        const reply = await this._request(COMMANDS.CMD_GET_FREE_SIZES);
+        this._assertOk(reply, 'read device sizes');
+        return parseFreeSizes(reply.data);
+    }
+
+    /**
+     * Read the user table
+     * @returns {Promise<Array<{uid, userId, name, privilege, password, card, groupId}>>}
+     */
+    async getUsers() {
+        const sizes = await this.getSizes();
+        if (sizes.users === 0) {
+            return [];
+        }
+
+        const table = await this._readTable(COMMANDS.CMD_USERTEMP_RRQ, FCT_USER);
+        const packetSize = detectPacketSize(table.length, sizes.users, USER_PACKET_SIZES);
+        return parseUsers(table, packetSize);
+    }
+
+    /**
+     * Read attendance records
+     * @param {Object} [options]
+     * @param {Date} [options.since] - Only return records after this time (e.g. last sync)
+     * @param {Array} [options.users] - Device users, read from the device when omitted
+     * @returns {Promise<Array<{userId, timestamp, punch, status, type}>>}
+     */
+    async getAttendances(options = {}) {
+        const sizes = await this.getSizes();
+        if (sizes.records === 0) {
+            return [];
+        }
+
+        const users = options.users || await this.getUsers();
+        const table = await this._readTable(COMMANDS.CMD_ATTLOG_RRQ, FCT_ATTLOG);
+        const packetSize = detectPacketSize(table.length, sizes.records, ATTENDANCE_PACKET_SIZES);
+        const records = parseAttendances(table, packetSize, users);
+
+        if (!options.since) {
+            return records;
+        }
+
+        const since = new Date(options.since).getTime();
+        return records.filter(record => record.timestamp.getTime() > since);
+    }
+
+    /**
+     * Delete all attendance records stored on the device
+     */
+    async clearAttendanceLog() {
+        const reply = await this._request(COMMANDS.CMD_CLEAR_ATTLOG);
+        this._assertOk(reply, 'clear attendance log');
+        return true;
+    }
+
+    /**
+     * Lock the keypad while reading so no punches are lost mid-transfer
+     */
+    async disableDevice() {
+        this._assertOk(await this._request(COMMANDS.CMD_DISABLEDEVICE), 'disable device');
+    }
+
+    async enableDevice() {
+        this._assertOk(await this._request(COMMANDS.CMD_ENABLEDEVICE), 'enable device');
+    }
+
+    /**
+     * Read a whole table through the device buffer
+     * Small tables come back directly as CMD_DATA; larger ones are read in chunks.
+     * @returns {Promise<Buffer>} Table data without the leading size field
+     */
+    async _readTable(command, fct) {
+        const reply = await this._request(COMMANDS.CMD_DATA_WRRQ, createBufferedReadRequest(command, fct));
+        let data;
+
+        if (reply.command === COMMANDS.CMD_DATA) {
+            data = reply.data;
+        } else if (reply.command === COMMANDS.CMD_ACK_OK) {
+            const size = reply.data.readUInt32LE(1);
+            const chunks = [];
+
+            for (let start = 0; start < size; start += MAX_CHUNK[this.protocol]) {
+                chunks.push(await this._readChunk(start, Math.min(MAX_CHUNK[this.protocol], size - start)));
+            }
+
+            await this._request(COMMANDS.CMD_FREE_DATA);
+            data = Buffer.concat(chunks);
+        } else {
+            throw new Error(`Failed to read data from device (reply ${reply.command})`);
+        }
+
+        if (data.length < 4) {
+            return Buffer.alloc(0);
+        }
+
+        const total = data.readUInt32LE(0);
+        return data.subarray(4, 4 + total);
+    }
+
+    async _readChunk(start, size) {
+        const request = Buffer.alloc(8);
+        request.writeInt32LE(start, 0);
+        request.writeInt32LE(size, 4);
+
+        const reply = await this._request(COMMANDS.CMD_DATA_RDY, request);
+
+        if (reply.command === COMMANDS.CMD_DATA) {
+            return reply.data;
+        }
+
+        if (reply.command !== COMMANDS.CMD_PREPARE_DATA) {
+            throw new Error(`Failed to read data chunk (reply ${reply.command})`);
+        }
+
+        const expected = reply.data.readUInt32LE(0);
+        const parts = [];
+        let received = 0;
+
+        while (received < expected) {
+            const packet = await this._receive();
+            if (packet.command !== COMMANDS.CMD_DATA) {
+                throw new Error(`Unexpected reply ${packet.command} while reading data`);
+            }
+            parts.push(packet.data);
+            received += packet.data.length;
+        }
+
+        // The device confirms the end of the chunk
+        const done = await this._receive();
+        this._assertOk(done, 'read data chunk');
+
+        return Buffer.concat(parts);
+    }
+
+    async _request(command, data = Buffer.alloc(0)) {
+        if (!this.socket) {
+            throw new Error('Not connected to device');
+        }
+
+        this.replyId = (this.replyId + 1) % USHRT_MAX;
+        const packet = createPacket(command, this.sessionId, this.replyId, data);
+
+        if (this.protocol === 'tcp') {
+            this.socket.write(wrapTcp(packet));
+        } else {
+            this.socket.send(packet, this.port, this.ip);
+        }
+
+        return await this._receive();
+    }
+
+    _receive() {
+        if (this.pending.length > 0) {
+            return Promise.resolve(this.pending.shift());
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject };
+            waiter.timer = setTimeout(() => {
+                this.waiters = this.waiters.filter(item => item !== waiter);
+                reject(new Error(`Device did not reply within ${this.timeout}ms`));
+            }, this.timeout);
+            this.waiters.push(waiter);
+        });
+    }
+
+    _onPacket(buffer) {
+        const packet = parsePacket(buffer);
+        const waiter = this.waiters.shift();
+
+        if (waiter) {
+            clearTimeout(waiter.timer);
+            waiter.resolve(packet);
+        } else {
+            this.pending.push(packet);
+        }
+    }
+
+    _onError(error) {
+        const waiters = this.waiters;
+        this.waiters = [];
+        waiters.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(error);
+        });
+    }
+
+    _openSocket() {
+        this.pending = [];
+        this.tcpBuffer = Buffer.alloc(0);
+
+        if (this.protocol === 'udp') {
+            this.socket = dgram.createSocket('udp4');
+            this.socket.on('message', message => this._onPacket(message));
+            this.socket.on('error', error => this._onError(error));
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.ip, port: this.port });
+            const timer = setTimeout(() => {
+                socket.destroy();
+                reject(new Error(`Connection to ${this.ip}:${this.port} timed out`));
+            }, this.timeout);
+
+            socket.once('connect', () => {
+                clearTimeout(timer);
+                this.socket = socket;
+                resolve();
+            });
+            socket.once('error', error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+            socket.on('error', error => this._onError(error));
+            socket.on('close', () => this._onError(new Error('Device closed the connection')));
+            socket.on('data', chunk => {
+                try {
+                    const { packets, rest } = readTcpPackets(Buffer.concat([this.tcpBuffer, chunk]));
+                    this.tcpBuffer = rest;
+                    packets.forEach(packet => this._onPacket(packet));
+                } catch (error) {
+                    this._onError(error);
+                }
+            });
+        });
+    }
+
+    _closeSocket() {
+        if (!this.socket) {
+            return;
+        }
+
+        if (this.protocol === 'tcp') {
+            this.socket.destroy();
+        } else {
+            this.socket.close();
+        }
+        this.socket = null;
+    }
+
+    _assertOk(reply, action) {
+        if (reply.command !== COMMANDS.CMD_ACK_OK) {
+            throw new Error(`Device failed to ${action} (reply ${reply.command})`);
+        }
+    }
+}
+
+export default ZKTecoClient;
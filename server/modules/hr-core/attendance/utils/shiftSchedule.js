@@ -0,0 +1,285 @@
+/**
+ * Shift Schedule Utilities
+ * Pure helpers for shift windows, rotation patterns and late/early/overtime figures.
+ * Times are "HH:MM" in server local time; a segment whose end is not after its start
+ * finishes on the next day (e.g. 22:00-06:00).
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// A punch this long after a night shift ends still belongs to that shift
+export const NIGHT_SHIFT_PUNCH_ALLOWANCE_MINUTES = 240;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+export const parseTime = (time) => {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(time || '').trim());
+    if (!match) {
+        throw new Error(`Invalid time: ${time}`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+};
+
+/**
+ * Local midnight of the given date
+ */
+export const startOfDay = (date) => {
+    const value = new Date(date);
+    value.setHours(0, 0, 0, 0);
+    return value;
+};
+
+export const addDays = (date, days) => {
+    const value = new Date(date);
+    value.setDate(value.getDate() + days);
+    return value;
+};
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+export const toDateKey = (date) => {
+    const value = new Date(date);
+    return [
+        value.getFullYear(),
+        String(value.getMonth() + 1).padStart(2, '0'),
+        String(value.getDate()).padStart(2, '0')
+    ].join('-');
+};
+
+/**
+ * Whole calendar days from `from` to `to` (DST-safe)
+ */
+export const daysBetween = (from, to) => {
+    const a = new Date(from);
+    const b = new Date(to);
+    return Math.round(
+        (Date.UTC(b.getFullYear(), b.getMonth(), b.getDate()) - Date.UTC(a.getFullYear(), a.getMonth(), a.getDate())) / 86400000
+    );
+};
+
+const atMinutes = (date, minutes) => {
+    const value = startOfDay(date);
+    value.setMinutes(minutes);
+    return value;
+};
+
+const roundHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+
+/**
+ * Segments of a shift; single shifts may use startTime/endTime instead of segments
+ */
+export const getShiftSegments = (shift) => {
+    if (Array.isArray(shift?.segments) && shift.segments.length > 0) {
+        return shift.segments;
+    }
+    return [{ startTime: shift?.startTime || '09:00', endTime: shift?.endTime || '17:00' }];
+};
+
+/**
+ * Concrete start/end of a shift worked on a given date
+ * Each time is placed on the timeline after the previous one, so segments after
+ * midnight roll over to the next day.
+ * @param {Object} shift - { segments: [{startTime, endTime}], breakMinutes } or { startTime, endTime }
+ * @param {Date} date - Roster date the shift starts on
+ * @returns {{start: Date, end: Date, segments: Array<{start: Date, end: Date}>, scheduledMinutes: number, crossesMidnight: boolean}}
+ */
+export const getShiftWindow = (shift, date) => {
+    let cursor = -1;
+    const place = (time) => {
+        let minutes = parseTime(time);
+        while (minutes <= cursor) {
+            minutes += 24 * 60;
+        }
+        cursor = minutes;
+        return minutes;
+    };
+
+    const segments = getShiftSegments(shift).map(segment => {
+        const start = place(segment.startTime);
+        const end = place(segment.endTime);
+        return { start: atMinutes(date, start), end: atMinutes(date, end), minutes: end - start };
+    });
+
+    const workedMinutes = segments.reduce((sum, segment) => sum + segment.minutes, 0);
+    const start = segments[0].start;
+    const end = segments[segments.length - 1].end;
+
+    return {
+        start,
+        end,
+        segments: segments.map(({ start: segmentStart, end: segmentEnd }) => ({ start: segmentStart, end: segmentEnd })),
+        scheduledMinutes: Math.max(0, workedMinutes - (shift?.breakMinutes || 0)),
+        crossesMidnight: toDateKey(end) !== toDateKey(start)
+    };
+};
+
+/**
+ * Cycle entry of a rotation pattern for a date
+ * @param {Object} pattern - { days: [{ shift, dayOff }] }
+ * @param {Date} anchorDate - Date the cycle starts on
+ * @param {Date} date
+ * @param {number} [cycleStartDay=1] - Cycle day worked on the anchor date (lets crews share one pattern)
+ * @returns {Object|null} The pattern day, or null when the pattern is empty
+ */
+export const getPatternDay = (pattern, anchorDate, date, cycleStartDay = 1) => {
+    const days = pattern?.days || [];
+    if (days.length === 0) {
+        return null;
+    }
+    const offset = daysBetween(anchorDate, date) + (cycleStartDay - 1);
+    return days[((offset % days.length) + days.length) % days.length];
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const coversDate = (assignment, date) => {
+    const key = toDateKey(date);
+    return toDateKey(assignment.startDate) <= key && (!assignment.endDate || toDateKey(assignment.endDate) >= key);
+};
+
+/**
+ * Pick the assignment that applies to an employee on a date
+ * Employee assignments win over department ones; within a level the most recently
+ * started one wins, so a one-day override sits on top of a long-running pattern.
+ * @param {Array} assignments - ShiftAssignment documents
+ * @param {Object} employee - { _id, department }
+ * @param {Date} date
+ */
+export const selectAssignment = (assignments, employee, date) => {
+    const employeeId = idOf(employee);
+    const departmentId = idOf(employee?.department);
+    const candidates = assignments.filter(assignment => assignment.isActive !== false && coversDate(assignment, date));
+
+    const pick = (list) => list.sort((a, b) => {
+        const byStart = new Date(b.startDate) - new Date(a.startDate);
+        return byStart !== 0 ? byStart : new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+    })[0] || null;
+
+    return pick(candidates.filter(assignment => assignment.employee && idOf(assignment.employee) === employeeId))
+        || pick(candidates.filter(assignment => !assignment.employee && departmentId && idOf(assignment.department) === departmentId));
+};
+
+/**
+ * Shift scheduled by an assignment on a date
+ * @param {Object} assignment - ShiftAssignment with `shift` and `pattern` populated (pattern.days[].shift too)
+ * @param {Date} date
+ * @returns {{shift: Object|null, dayOff: boolean}}
+ */
+export const resolveAssignmentDay = (assignment, date) => {
+    if (!assignment) {
+        return { shift: null, dayOff: false };
+    }
+
+    if (assignment.dayOff) {
+        return { shift: null, dayOff: true };
+    }
+
+    if (assignment.pattern) {
+        const day = getPatternDay(assignment.pattern, assignment.startDate, date, assignment.cycleStartDay || 1);
+        if (!day || day.dayOff || !day.shift) {
+            return { shift: null, dayOff: true };
+        }
+        return { shift: day.shift, dayOff: false };
+    }
+
+    return { shift: assignment.shift || null, dayOff: !assignment.shift };
+};
+
+/**
+ * Whether a punch belongs to the previous day's shift (night shifts ending after midnight)
+ * @param {Date} punchTime
+ * @param {Object|null} previousWindow - getShiftWindow() of the previous roster day
+ * @param {number} [allowanceMinutes]
+ */
+export const belongsToPreviousShift = (punchTime, previousWindow, allowanceMinutes = NIGHT_SHIFT_PUNCH_ALLOWANCE_MINUTES) => {
+    if (!previousWindow || !previousWindow.crossesMidnight) {
+        return false;
+    }
+    const time = new Date(punchTime).getTime();
+    return time >= previousWindow.start.getTime() && time <= previousWindow.end.getTime() + allowanceMinutes * MINUTE_MS;
+};
+
+/**
+ * Minutes of the gaps between split-shift segments that fall inside [from, to]
+ */
+const unpaidGapMinutes = (window, from, to) => {
+    let minutes = 0;
+    for (let index = 1; index < window.segments.length; index++) {
+        const gapStart = Math.max(window.segments[index - 1].end.getTime(), from.getTime());
+        const gapEnd = Math.min(window.segments[index].start.getTime(), to.getTime());
+        if (gapEnd > gapStart) {
+            minutes += (gapEnd - gapStart) / MINUTE_MS;
+        }
+    }
+    return minutes;
+};
+
+/**
+ * Late arrival, early departure, worked hours and overtime against a shift window
+ * @param {Object} window - getShiftWindow() result
+ * @param {Object} punches - { checkIn: Date, checkOut: Date }
+ * @param {Object} [rules] - Shift tolerances: { graceMinutes, earlyLeaveGraceMinutes, minOvertimeMinutes, breakMinutes }
+ */
+export const calculateShiftAttendance = (window, { checkIn, checkOut } = {}, rules = {}) => {
+    const result = {
+        isLate: false,
+        lateMinutes: 0,
+        isEarly: false,
+        earlyMinutes: 0,
+        actualHours: 0,
+        expectedHours: roundHours(window.scheduledMinutes),
+        overtimeHours: 0
+    };
+
+    const inTime = checkIn ? new Date(checkIn) : null;
+    const outTime = checkOut ? new Date(checkOut) : null;
+
+    if (inTime) {
+        const late = Math.floor((inTime - window.start) / MINUTE_MS);
+        if (late > (rules.graceMinutes || 0)) {
+            result.isLate = true;
+            result.lateMinutes = late;
+        }
+    }
+
+    if (outTime) {
+        const early = Math.floor((window.end - outTime) / MINUTE_MS);
+        if (early > (rules.earlyLeaveGraceMinutes || 0)) {
+            result.isEarly = true;
+            result.earlyMinutes = early;
+        }
+    }
+
+    if (inTime && outTime && outTime > inTime) {
+        let worked = (outTime - inTime) / MINUTE_MS - unpaidGapMinutes(window, inTime, outTime);
+        if (rules.breakMinutes && worked > rules.breakMinutes) {
+            worked -= rules.breakMinutes;
+        }
+        result.actualHours = roundHours(worked);
+
+        const extra = worked - window.scheduledMinutes;
+        if (extra > 0 && extra >= (rules.minOvertimeMinutes || 0)) {
+            result.overtimeHours = roundHours(extra);
+        }
+    }
+
+    return result;
+};
+
+export default {
+    NIGHT_SHIFT_PUNCH_ALLOWANCE_MINUTES,
+    parseTime,
+    startOfDay,
+    addDays,
+    toDateKey,
+    daysBetween,
+    getShiftSegments,
+    getShiftWindow,
+    getPatternDay,
+    selectAssignment,
+    resolveAssignmentDay,
+    belongsToPreviousShift,
+    calculateShiftAttendance
+};
@@ -0,0 +1,454 @@
+/**
+ * ZKTeco Protocol
+ * Packet encoding/decoding for the ZK standalone terminal protocol (port 4370).
+ * Shared by the device client and the local device simulator.
+ *
+ * Packet: command, checksum, session id, reply id (4 x uint16 LE) followed by data.
+ * Over TCP every packet is prefixed by 0x5050 0x7D82 and its length (uint32 LE).
+ */
+
+export const COMMANDS = {
+    CMD_CONNECT: 1000,
+    CMD_EXIT: 1001,
+    CMD_ENABLEDEVICE: 1002,
+    CMD_DISABLEDEVICE: 1003,
+    CMD_AUTH: 1102,
+    CMD_GET_VERSION: 1100,
+    CMD_PREPARE_DATA: 1500,
+    CMD_DATA: 1501,
+    CMD_FREE_DATA: 1502,
+    CMD_DATA_WRRQ: 1503, // prepare a buffered read
+    CMD_DATA_RDY: 1504, // read a chunk of the prepared buffer
+    CMD_USERTEMP_RRQ: 9,
+    CMD_ATTLOG_RRQ: 13,
+    CMD_CLEAR_ATTLOG: 15,
+    CMD_GET_FREE_SIZES: 50,
+    CMD_ACK_OK: 2000,
+    CMD_ACK_ERROR: 2001,
+    CMD_ACK_DATA: 2002,
+    CMD_ACK_UNAUTH: 2005,
+    CMD_ACK_UNKNOWN: 0xffff
+};
+
+export const FCT_ATTLOG = 1;
+export const FCT_USER = 5;
+
+export const DEFAULT_PORT = 4370;
+export const HEADER_SIZE = 8;
+export const TCP_PREFIX_SIZE = 8;
+export const USHRT_MAX = 65535;
+
+// Largest chunk requested with CMD_DATA_RDY
+export const MAX_CHUNK = { tcp: 0xffc0, udp: 16 * 1024 };
+
+const TCP_MAGIC = [0x50, 0x50, 0x82, 0x7d];
+
+/**
+ * Punch states recorded by the terminal
+ */
+export const PUNCH_TYPES = {
+    0: 'checkin',
+    1: 'checkout',
+    2: 'checkout', // break out
+    3: 'checkin', // break in
+    4: 'checkin', // overtime in
+    5: 'checkout' // overtime out
+};
+
+/**
+ * 16-bit one's complement style checksum used by the terminals
+ */
+export const createChecksum = (buffer) => {
+    let checksum = 0;
+    let index = 0;
+
+    while (index + 1 < buffer.length) {
+        checksum += buffer.readUInt16LE(index);
+        if (checksum > USHRT_MAX) {
+            checksum -= USHRT_MAX;
+        }
+        index += 2;
+    }
+
+    if (index < buffer.length) {
+        checksum += buffer[buffer.length - 1];
+    }
+
+    while (checksum > USHRT_MAX) {
+        checksum -= USHRT_MAX;
+    }
+
+    checksum = ~checksum;
+    while (checksum < 0) {
+        checksum += USHRT_MAX;
+    }
+
+    return checksum;
+};
+
+/**
+ * Build a packet (without the TCP prefix)
+ */
+export const createPacket = (command, sessionId, replyId, data = Buffer.alloc(0)) => {
+    const packet = Buffer.alloc(HEADER_SIZE + data.length);
+    packet.writeUInt16LE(command, 0);
+    packet.writeUInt16LE(0, 2);
+    packet.writeUInt16LE(sessionId, 4);
+    packet.writeUInt16LE(replyId, 6);
+    data.copy(packet, HEADER_SIZE);
+    packet.writeUInt16LE(createChecksum(packet), 2);
+    return packet;
+};
+
+/**
+ * Decode a packet (without the TCP prefix)
+ */
+export const parsePacket = (buffer) => {
+    if (buffer.length < HEADER_SIZE) {
+        throw new Error('Invalid ZKTeco packet: too short');
+    }
+
+    return {
+        command: buffer.readUInt16LE(0),
+        checksum: buffer.readUInt16LE(2),
+        sessionId: buffer.readUInt16LE(4),
+        replyId: buffer.readUInt16LE(6),
+        data: buffer.subarray(HEADER_SIZE)
+    };
+};
+
+/**
+ * Check the checksum of a received packet
+ */
+export const isValidPacket = (buffer) => {
+    const copy = Buffer.from(buffer);
+    const checksum = copy.readUInt16LE(2);
+    copy.writeUInt16LE(0, 2);
+    return createChecksum(copy) === checksum;
+};
+
+/**
+ * Wrap a packet for TCP transport
+ */
+export const wrapTcp = (packet) => {
+    const prefix = Buffer.from([...TCP_MAGIC, 0, 0, 0, 0]);
+    prefix.writeUInt32LE(packet.length, 4);
+    return Buffer.concat([prefix, packet]);
+};
+
+/**
+ * Split a TCP stream buffer into packets
+ * @returns {{packets: Buffer[], rest: Buffer}} Complete packets and the unconsumed bytes
+ */
+export const readTcpPackets = (buffer) => {
+    const packets = [];
+    let offset = 0;
+
+    while (buffer.length - offset >= TCP_PREFIX_SIZE) {
+        const isFrame = TCP_MAGIC.every((byte, index) => buffer[offset + index] === byte);
+        if (!isFrame) {
+            throw new Error('Invalid ZKTeco TCP frame');
+        }
+
+        const length = buffer.readUInt32LE(offset + 4);
+        if (buffer.length - offset - TCP_PREFIX_SIZE < length) {
+            break;
+        }
+
+        packets.push(buffer.subarray(offset + TCP_PREFIX_SIZE, offset + TCP_PREFIX_SIZE + length));
+        offset += TCP_PREFIX_SIZE + length;
+    }
+
+    return { packets, rest: buffer.subarray(offset) };
+};
+
+/**
+ * Communication key sent with CMD_AUTH when the device is password protected
+ */
+export const makeCommKey = (key, sessionId, ticks = 50) => {
+    const numericKey = Number(key) >>> 0;
+    let k = 0;
+
+    for (let i = 0; i < 32; i++) {
+        k = (numericKey & (1 << i)) ? ((k << 1) | 1) : (k << 1);
+        k >>>= 0;
+    }
+    k = (k + sessionId) >>> 0;
+
+    const bytes = Buffer.alloc(4);
+    bytes.writeUInt32LE(k, 0);
+    const mixed = Buffer.from([bytes[0] ^ 0x5a, bytes[1] ^ 0x4b, bytes[2] ^ 0x53, bytes[3] ^ 0x4f]); // 'ZKSO'
+    // Swap the two 16-bit halves
+    const swapped = Buffer.concat([mixed.subarray(2, 4), mixed.subarray(0, 2)]);
+    const b = ticks & 0xff;
+
+    return Buffer.from([swapped[0] ^ b, swapped[1] ^ b, b, swapped[3] ^ b]);
+};
+
+/**
+ * Decode the 4-byte packed device time (local time of the terminal)
+ */
+export const decodeTime = (value) => {
+    let t = value;
+    const second = t % 60; t = Math.floor(t / 60);
+    const minute = t % 60; t = Math.floor(t / 60);
+    const hour = t % 24; t = Math.floor(t / 24);
+    const day = (t % 31) + 1; t = Math.floor(t / 31);
+    const month = t % 12; t = Math.floor(t / 12);
+    const year = t + 2000;
+
+    return new Date(year, month, day, hour, minute, second);
+};
+
+/**
+ * Encode a date into the 4-byte packed device time
+ */
+export const encodeTime = (date) => (
+    ((date.getFullYear() % 100) * 12 * 31 + date.getMonth() * 31 + date.getDate() - 1) * 86400
+    + (date.getHours() * 60 + date.getMinutes()) * 60 + date.getSeconds()
+);
+
+const readString = (buffer, start, length) => {
+    const raw = buffer.subarray(start, start + length);
+    const end = raw.indexOf(0);
+    return raw.subarray(0, end === -1 ? raw.length : end).toString('utf8').trim();
+};
+
+const writeString = (buffer, value, start, length) => {
+    Buffer.from(String(value ?? ''), 'utf8').subarray(0, length).copy(buffer, start);
+};
+
+/**
+ * Record sizes of the user table: 28 bytes (older firmware) or 72 bytes (TFT firmware)
+ */
+export const USER_PACKET_SIZES = [28, 72];
+
+/**
+ * Record sizes of the attendance table: 8, 16 or 40 bytes depending on firmware
+ */
+export const ATTENDANCE_PACKET_SIZES = [8, 16, 40];
+
+/**
+ * Decode the user table returned for CMD_USERTEMP_RRQ
+ * @param {Buffer} data - Table data without the leading size field
+ * @param {number} packetSize - 28 or 72
+ */
+export const parseUsers = (data, packetSize) => {
+    const users = [];
+
+    for (let offset = 0; offset + packetSize <= data.length; offset += packetSize) {
+        if (packetSize === 28) {
+            users.push({
+                uid: data.readUInt16LE(offset),
+                privilege: data[offset + 2],
+                password: readString(data, offset + 3, 5),
+                name: readString(data, offset + 8, 8),
+                card: data.readUInt32LE(offset + 16),
+                groupId: String(data[offset + 21]),
+                userId: String(data.readUInt32LE(offset + 24))
+            });
+        } else {
+            users.push({
+                uid: data.readUInt16LE(offset),
+                privilege: data[offset + 2],
+                password: readString(data, offset + 3, 8),
+                name: readString(data, offset + 11, 24),
+                card: data.readUInt32LE(offset + 35),
+                groupId: readString(data, offset + 40, 7),
+                userId: readString(data, offset + 48, 24)
+            });
+        }
+    }
+
+    return users;
+};
+
+/**
+ * Encode users into a 28 or 72 byte user table
+ */
+export const encodeUsers = (users, packetSize) => Buffer.concat(users.map(user => {
+    const record = Buffer.alloc(packetSize);
+    record.writeUInt16LE(user.uid, 0);
+    record[2] = user.privilege || 0;
+
+    if (packetSize === 28) {
+        writeString(record, user.password, 3, 5);
+        writeString(record, user.name, 8, 8);
+        record.writeUInt32LE(user.card || 0, 16);
+        record[21] = Number(user.groupId) || 0;
+        record.writeUInt32LE(Number(user.userId) || 0, 24);
+    } else {
+        writeString(record, user.password, 3, 8);
+        writeString(record, user.name, 11, 24);
+        record.writeUInt32LE(user.card || 0, 35);
+        writeString(record, user.groupId || '1', 40, 7);
+        writeString(record, user.userId, 48, 24);
+    }
+
+    return record;
+}));
+
+/**
+ * Decode the attendance table returned for CMD_ATTLOG_RRQ
+ * @param {Buffer} data - Table data without the leading size field
+ * @param {number} packetSize - 8, 16 or 40
+ * @param {Array} [users] - Device users, needed to resolve 8-byte records (uid only)
+ */
+export const parseAttendances = (data, packetSize, users = []) => {
+    const userIdByUid = new Map(users.map(user => [user.uid, user.userId]));
+    const records = [];
+
+    for (let offset = 0; offset + packetSize <= data.length; offset += packetSize) {
+        let record;
+
+        if (packetSize === 8) {
+            const uid = data.readUInt16LE(offset);
+            record = {
+                uid,
+                userId: userIdByUid.get(uid) || String(uid),
+                status: data[offset + 2],
+                timestamp: decodeTime(data.readUInt32LE(offset + 3)),
+                punch: data[offset + 7]
+            };
+        } else if (packetSize === 16) {
+            record = {
+                userId: String(data.readUInt32LE(offset)),
+                timestamp: decodeTime(data.readUInt32LE(offset + 4)),
+                status: data[offset + 8],
+                punch: data[offset + 9],
+                workCode: data.readUInt32LE(offset + 12)
+            };
+        } else {
+            record = {
+                uid: data.readUInt16LE(offset),
+                userId: readString(data, offset + 2, 24),
+                status: data[offset + 26],
+                timestamp: decodeTime(data.readUInt32LE(offset + 27)),
+                punch: data[offset + 31]
+            };
+        }
+
+        record.type = PUNCH_TYPES[record.punch] || 'checkin';
+        records.push(record);
+    }
+
+    return records;
+};
+
+/**
+ * Encode attendance records into an 8, 16 or 40 byte attendance table
+ */
+export const encodeAttendances = (records, packetSize) => Buffer.concat(records.map(record => {
+    const buffer = Buffer.alloc(packetSize);
+    const time = encodeTime(new Date(record.timestamp));
+
+    if (packetSize === 8) {
+        buffer.writeUInt16LE(record.uid, 0);
+        buffer[2] = record.status ?? 1;
+        buffer.writeUInt32LE(time, 3);
+        buffer[7] = record.punch || 0;
+    } else if (packetSize === 16) {
+        buffer.writeUInt32LE(Number(record.userId) || 0, 0);
+        buffer.writeUInt32LE(time, 4);
+        buffer[8] = record.status ?? 1;
+        buffer[9] = record.punch || 0;
+        buffer.writeUInt32LE(record.workCode || 0, 12);
+    } else {
+        buffer.writeUInt16LE(record.uid || 0, 0);
+        writeString(buffer, record.userId, 2, 24);
+        buffer[26] = record.status ?? 1;
+        buffer.writeUInt32LE(time, 27);
+        buffer[31] = record.punch || 0;
+    }
+
+    return buffer;
+}));
+
+/**
+ * Pick the record size of a table from its byte size and the record count reported by the device
+ */
+export const detectPacketSize = (totalSize, count, candidates) => {
+    if (!totalSize || !count) {
+        return candidates[candidates.length - 1];
+    }
+
+    const size = totalSize / count;
+    if (!candidates.includes(size)) {
+        throw new Error(`Unsupported record size ${size} (expected one of ${candidates.join(', ')})`);
+    }
+
+    return size;
+};
+
+/**
+ * Decode the CMD_GET_FREE_SIZES reply (20 int32 counters)
+ */
+export const parseFreeSizes = (data) => {
+    const field = (index) => (data.length >= (index + 1) * 4 ? data.readInt32LE(index * 4) : 0);
+
+    return {
+        users: field(4),
+        fingers: field(6),
+        records: field(8),
+        cards: field(12),
+        fingerCapacity: field(14),
+        userCapacity: field(15),
+        recordCapacity: field(16)
+    };
+};
+
+/**
+ * Encode the CMD_GET_FREE_SIZES reply
+ */
+export const encodeFreeSizes = ({ users = 0, fingers = 0, records = 0, cards = 0, fingerCapacity = 0, userCapacity = 0, recordCapacity = 0 }) => {
+    const data = Buffer.alloc(80);
+    data.writeInt32LE(users, 16);
+    data.writeInt32LE(fingers, 24);
+    data.writeInt32LE(records, 32);
+    data.writeInt32LE(cards, 48);
+    data.writeInt32LE(fingerCapacity, 56);
+    data.writeInt32LE(userCapacity, 60);
+    data.writeInt32LE(recordCapacity, 64);
+    data.writeInt32LE(Math.max(fingerCapacity - fingers, 0), 68);
+    data.writeInt32LE(Math.max(userCapacity - users, 0), 72);
+    data.writeInt32LE(Math.max(recordCapacity - records, 0), 76);
+    return data;
+};
+
+/**
+ * Arguments of CMD_DATA_WRRQ: read `command` (with `fct`) into the device buffer
+ */
+export const createBufferedReadRequest = (command, fct = 0, ext = 0) => {
+    const data = Buffer.alloc(11);
+    data.writeInt8(1, 0);
+    data.writeInt16LE(command, 1);
+    data.writeInt32LE(fct, 3);
+    data.writeInt32LE(ext, 7);
+    return data;
+};
+
+export default {
+    COMMANDS,
+    FCT_ATTLOG,
+    FCT_USER,
+    DEFAULT_PORT,
+    MAX_CHUNK,
+    PUNCH_TYPES,
+    createChecksum,
+    createPacket,
+    parsePacket,
+    isValidPacket,
+    wrapTcp,
+    readTcpPackets,
+    makeCommKey,
+    decodeTime,
+    encodeTime,
+    parseUsers,
+    encodeUsers,
+    parseAttendances,
+    encodeAttendances,
+    detectPacketSize,
+    parseFreeSizes,
+    encodeFreeSizes,
+    createBufferedReadRequest
+};
@@ -0,0 +1,284 @@
+import net from 'net';
+import dgram from 'dgram';
+import {
+    COMMANDS,
+    FCT_ATTLOG,
+    FCT_USER,
+    DEFAULT_PORT,
+    createPacket,
+    parsePacket,
+    isValidPacket,
+    wrapTcp,
+    readTcpPackets,
+    makeCommKey,
+    encodeUsers,
+    encodeAttendances,
+    encodeFreeSizes
+} from './zktecoProtocol.js';
+
+// Tables larger than this are handed out in chunks (CMD_ACK_OK + CMD_DATA_RDY) like real terminals do
+const DIRECT_REPLY_LIMIT = 1024;
+// Size of each CMD_DATA packet sent while streaming a chunk
+const STREAM_PACKET_SIZE = 1024;
+
+/**
+ * ZKTeco Device Simulator
+ * A local stand-in for a ZKTeco terminal speaking the ZK TCP and UDP protocol,
+ * so device sync can be developed and tested without hardware.
+ *
+ * Usage:
+ *   const simulator = new ZKTecoSimulator({ port: 4370, users, attendances });
+ *   await simulator.start();
+ *   simulator.addPunch('1', new Date(), 0);
+ *   await simulator.stop();
+ */
+class ZKTecoSimulator {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.port=4370] - Port used for both TCP and UDP (0 picks a free port)
+     * @param {string} [options.host='127.0.0.1']
+     * @param {string[]} [options.protocols=['tcp', 'udp']]
+     * @param {number|string} [options.commKey=0] - Require this comm key (0 = no password)
+     * @param {Array} [options.users] - [{ uid, userId, name, privilege, password, card }]
+     * @param {Array} [options.attendances] - [{ userId, timestamp, punch, status }]
+     * @param {number} [options.userPacketSize=72] - 28 or 72
+     * @param {number} [options.attendancePacketSize=40] - 8, 16 or 40
+     * @param {string} [options.firmware='Ver 6.60 Simulator']
+     */
+    constructor(options = {}) {
+        this.port = options.port ?? DEFAULT_PORT;
+        this.host = options.host || '127.0.0.1';
+        this.protocols = options.protocols || ['tcp', 'udp'];
+        this.commKey = Number(options.commKey) || 0;
+        this.userPacketSize = options.userPacketSize || 72;
+        this.attendancePacketSize = options.attendancePacketSize || 40;
+        this.firmware = options.firmware || 'Ver 6.60 Simulator';
+        this.users = (options.users || []).map((user, index) => ({ uid: index + 1, ...user }));
+        this.attendances = [...(options.attendances || [])];
+        this.enabled = true;
+
+        this.tcpServer = null;
+        this.udpSocket = null;
+        this.nextSessionId = 1;
+        this.sessions = new Map();
+    }
+
+    /**
+     * Start listening; resolves with the bound port
+     */
+    async start() {
+        if (this.protocols.includes('tcp')) {
+            this.tcpServer = net.createServer(socket => this._handleTcpClient(socket));
+            await new Promise((resolve, reject) => {
+                this.tcpServer.once('error', reject);
+                this.tcpServer.listen(this.port, this.host, resolve);
+            });
+            this.port = this.tcpServer.address().port;
+        }
+
+        if (this.protocols.includes('udp')) {
+            this.udpSocket = dgram.createSocket('udp4');
+            this.udpSocket.on('message', (message, remote) => {
+                this._handlePacket(message, reply => this.udpSocket.send(reply, remote.port, remote.address));
+            });
+            await new Promise((resolve, reject) => {
+                this.udpSocket.once('error', reject);
+                this.udpSocket.bind(this.port, this.host, resolve);
+            });
+            this.port = this.udpSocket.address().port;
+        }
+
+        return this.port;
+    }
+
+    /**
+     * Stop listening and drop every client
+     */
+    async stop() {
+        if (this.tcpServer) {
+            this.tcpClients?.forEach(socket => socket.destroy());
+            await new Promise(resolve => this.tcpServer.close(resolve));
+            this.tcpServer = null;
+        }
+
+        if (this.udpSocket) {
+            await new Promise(resolve => this.udpSocket.close(resolve));
+            this.udpSocket = null;
+        }
+
+        this.sessions.clear();
+    }
+
+    /**
+     * Enrol a user on the simulated device
+     */
+    addUser(user) {
+        const uid = Math.max(0, ...this.users.map(item => item.uid)) + 1;
+        const created = { uid, privilege: 0, ...user };
+        this.users.push(created);
+        return created;
+    }
+
+    /**
+     * Record a punch as if the user used the terminal
+     * @param {string} userId - Device user ID
+     * @param {Date} [timestamp=new Date()]
+     * @param {number} [punch=0] - 0 check-in, 1 check-out, 2 break-out, 3 break-in, 4 OT-in, 5 OT-out
+     */
+    addPunch(userId, timestamp = new Date(), punch = 0) {
+        const record = { userId: String(userId), timestamp, punch, status: 1 };
+        this.attendances.push(record);
+        return record;
+    }
+
+    _handleTcpClient(socket) {
+        this.tcpClients = this.tcpClients || new Set();
+        this.tcpClients.add(socket);
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+            try {
+                const { packets, rest } = readTcpPackets(Buffer.concat([buffer, chunk]));
+                buffer = rest;
+                packets.forEach(packet => this._handlePacket(packet, reply => socket.write(wrapTcp(reply))));
+            } catch {
+                socket.destroy();
+            }
+        });
+        socket.on('error', () => socket.destroy());
+        socket.on('close', () => this.tcpClients.delete(socket));
+    }
+
+    _handlePacket(buffer, send) {
+        if (!isValidPacket(buffer)) {
+            return;
+        }
+
+        const request = parsePacket(buffer);
+        const reply = (command, data = Buffer.alloc(0), sessionId = request.sessionId) => {
+            send(createPacket(command, sessionId, request.replyId, data));
+        };
+
+        if (request.command === COMMANDS.CMD_CONNECT) {
+            const sessionId = this.nextSessionId++;
+            this.sessions.set(sessionId, { authenticated: !this.commKey });
+            reply(this.commKey ? COMMANDS.CMD_ACK_UNAUTH : COMMANDS.CMD_ACK_OK, Buffer.alloc(0), sessionId);
+            return;
+        }
+
+        const session = this.sessions.get(request.sessionId);
+
+        if (request.command === COMMANDS.CMD_AUTH && session) {
+            session.authenticated = makeCommKey(this.commKey, request.sessionId).equals(request.data);
+            reply(session.authenticated ? COMMANDS.CMD_ACK_OK : COMMANDS.CMD_ACK_UNAUTH);
+            return;
+        }
+
+        if (!session || !session.authenticated) {
+            reply(COMMANDS.CMD_ACK_UNAUTH);
+            return;
+        }
+
+        switch (request.command) {
+            case COMMANDS.CMD_EXIT:
+                this.sessions.delete(request.sessionId);
+                reply(COMMANDS.CMD_ACK_OK);
+                break;
+
+            case COMMANDS.CMD_ENABLEDEVICE:
+            case COMMANDS.CMD_DISABLEDEVICE:
+                this.enabled = request.command === COMMANDS.CMD_ENABLEDEVICE;
+                reply(COMMANDS.CMD_ACK_OK);
+                break;
+
+            case COMMANDS.CMD_GET_VERSION:
+                reply(COMMANDS.CMD_ACK_OK, Buffer.from(`${this.firmware}\0`, 'utf8'));
+                break;
+
+            case COMMANDS.CMD_GET_FREE_SIZES:
+                reply(COMMANDS.CMD_ACK_OK, encodeFreeSizes({
+                    users: this.users.length,
+                    records: this.attendances.length,
+                    userCapacity: 3000,
+                    recordCapacity: 100000,
+                    fingerCapacity: 3000
+                }));
+                break;
+
+            case COMMANDS.CMD_CLEAR_ATTLOG:
+                this.attendances = [];
+                reply(COMMANDS.CMD_ACK_OK);
+                break;
+
+            case COMMANDS.CMD_DATA_WRRQ:
+                this._prepareBuffer(session, request.data, reply);
+                break;
+
+            case COMMANDS.CMD_DATA_RDY:
+                this._sendChunk(session, request.data, reply);
+                break;
+
+            case COMMANDS.CMD_FREE_DATA:
+                session.buffer = null;
+                reply(COMMANDS.CMD_ACK_OK);
+                break;
+
+            default:
+                reply(COMMANDS.CMD_ACK_UNKNOWN);
+        }
+    }
+
+    _prepareBuffer(session, data, reply) {
+        const command = data.readInt16LE(1);
+        const fct = data.readInt32LE(3);
+        let table;
+
+        if (command === COMMANDS.CMD_USERTEMP_RRQ && fct === FCT_USER) {
+            table = encodeUsers(this.users, this.userPacketSize);
+        } else if (command === COMMANDS.CMD_ATTLOG_RRQ && fct === FCT_ATTLOG) {
+            const uidByUserId = new Map(this.users.map(user => [String(user.userId), user.uid]));
+            table = encodeAttendances(
+                this.attendances.map(record => ({ uid: uidByUserId.get(String(record.userId)) || 0, ...record })),
+                this.attendancePacketSize
+            );
+        } else {
+            reply(COMMANDS.CMD_ACK_ERROR);
+            return;
+        }
+
+        const size = Buffer.alloc(4);
+        size.writeUInt32LE(table.length, 0);
+        const buffer = Buffer.concat([size, table]);
+
+        if (buffer.length <= DIRECT_REPLY_LIMIT) {
+            reply(COMMANDS.CMD_DATA, buffer);
+            return;
+        }
+
+        session.buffer = buffer;
+        const info = Buffer.alloc(5);
+        info.writeUInt32LE(buffer.length, 1);
+        reply(COMMANDS.CMD_ACK_OK, info);
+    }
+
+    _sendChunk(session, data, reply) {
+        if (!session.buffer) {
+            reply(COMMANDS.CMD_ACK_ERROR);
+            return;
+        }
+
+        const start = data.readInt32LE(0);
+        const size = data.readInt32LE(4);
+        const chunk = session.buffer.subarray(start, start + size);
+        const expected = Buffer.alloc(4);
+        expected.writeUInt32LE(chunk.length, 0);
+
+        reply(COMMANDS.CMD_PREPARE_DATA, expected);
+        for (let offset = 0; offset < chunk.length; offset += STREAM_PACKET_SIZE) {
+            reply(COMMANDS.CMD_DATA, chunk.subarray(offset, offset + STREAM_PACKET_SIZE));
+        }
+        reply(COMMANDS.CMD_ACK_OK);
+    }
+}
+
+export default ZKTecoSimulator;
@@ -0,0 +1,209 @@
+// Onboarding/Offboarding Checklist Controller
+import ChecklistService from '../services/ChecklistService.js';
+
+const checklistService = new ChecklistService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already has an open|Cannot cancel|is cancelled/.test(err.message)) {
+        return 409;
+    }
+    if (/do not have access/.test(err.message)) {
+        return 403;
+    }
+    return 400;
+};
+
+/**
+ * Checklist templates
+ */
+export const getTemplates = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getTemplates(tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getTemplate = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getTemplate(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const createTemplate = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const template = await checklistService.createTemplate(req.body, tenantId, req.user._id);
+        res.status(201).json(template);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const updateTemplate = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.updateTemplate(req.params.id, req.body, tenantId, req.user._id));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const deleteTemplate = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        await checklistService.deleteTemplate(req.params.id, tenantId);
+        res.json({ message: 'Checklist template deleted' });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Employee checklists
+ */
+export const getChecklists = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getChecklists(tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const createChecklist = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.body.employeeId || !req.body.type) {
+            return res.status(400).json({ error: 'Employee and checklist type are required' });
+        }
+
+        const checklist = await checklistService.createChecklist(tenantId, req.body, req.user._id);
+        if (!checklist) {
+            return res.status(400).json({ error: `No active ${req.body.type} template` });
+        }
+        res.status(201).json(checklist);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getMyTasks = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getMyTasks(req.user, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getEmployeeProgress = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getEmployeeProgress(req.params.employeeId, tenantId, req.user));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getChecklist = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.getChecklist(req.params.id, tenantId, req.user));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const updateTask = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { status, notes, assignee, dueDate } = req.body;
+        const checklist = await checklistService.updateTask(
+            req.params.id,
+            req.params.taskId,
+            { status, notes, assignee, dueDate },
+            req.user,
+            tenantId
+        );
+        res.json(checklist);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const cancelChecklist = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await checklistService.cancelChecklist(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
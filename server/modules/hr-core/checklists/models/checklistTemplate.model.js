@@ -0,0 +1,100 @@
+// models/ChecklistTemplate.js
+import mongoose from 'mongoose';
+import { CHECKLIST_TYPES, TASK_CATEGORIES, TASK_OWNERS, CLEARANCE_KEYS } from '../utils/checklistEngine.js';
+
+/**
+ * Checklist Template Model
+ * Tasks copied into an employee checklist when a user is created (onboarding)
+ * or a resignation is registered (offboarding). The default template of each
+ * type is used automatically.
+ */
+const templateTaskSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: [true, 'Task title is required'],
+        trim: true
+    },
+    arabicTitle: String,
+    description: String,
+    category: {
+        type: String,
+        enum: TASK_CATEGORIES,
+        default: 'other'
+    },
+    // Department responsible for the task; its manager is assigned
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    // Fallback assignee when no department is set
+    owner: {
+        type: String,
+        enum: TASK_OWNERS,
+        default: 'hr'
+    },
+    // Days from the hire date / last working day, negative for before
+    dueOffsetDays: {
+        type: Number,
+        default: 0
+    },
+    required: {
+        type: Boolean,
+        default: true
+    },
+    // Resignation clearance flag set when the task is done
+    clearance: {
+        type: String,
+        enum: [...CLEARANCE_KEYS, null],
+        default: null
+    },
+    order: {
+        type: Number,
+        default: 0
+    }
+});
+
+const checklistTemplateSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true
+    },
+    arabicName: String,
+    type: {
+        type: String,
+        enum: CHECKLIST_TYPES,
+        required: true
+    },
+    tasks: {
+        type: [templateTaskSchema],
+        validate: [tasks => tasks.length > 0, 'A template needs at least one task']
+    },
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+checklistTemplateSchema.index({ tenantId: 1, type: 1, isDefault: 1 });
+
+export default mongoose.model('ChecklistTemplate', checklistTemplateSchema);
@@ -0,0 +1,130 @@
+// models/EmployeeChecklist.js
+import mongoose from 'mongoose';
+import {
+    CHECKLIST_TYPES,
+    TASK_CATEGORIES,
+    TASK_OWNERS,
+    TASK_STATUSES,
+    CLEARANCE_KEYS,
+    calculateProgress
+} from '../utils/checklistEngine.js';
+
+/**
+ * Employee Checklist Model
+ * Onboarding or offboarding tasks of one employee, created from a template.
+ * Lifecycle: in-progress -> completed (all required tasks done or skipped) | cancelled.
+ */
+const checklistTaskSchema = new mongoose.Schema({
+    templateTask: mongoose.Schema.Types.ObjectId,
+    title: {
+        type: String,
+        required: true
+    },
+    arabicTitle: String,
+    description: String,
+    category: {
+        type: String,
+        enum: TASK_CATEGORIES,
+        default: 'other'
+    },
+    department: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department',
+        default: null
+    },
+    owner: {
+        type: String,
+        enum: TASK_OWNERS,
+        default: 'hr'
+    },
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    dueDate: Date,
+    required: {
+        type: Boolean,
+        default: true
+    },
+    clearance: {
+        type: String,
+        enum: [...CLEARANCE_KEYS, null],
+        default: null
+    },
+    status: {
+        type: String,
+        enum: TASK_STATUSES,
+        default: 'pending'
+    },
+    completedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    completedAt: Date,
+    notes: String,
+    lastReminderAt: Date,
+    reminderCount: {
+        type: Number,
+        default: 0
+    }
+});
+
+const employeeChecklistSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: CHECKLIST_TYPES,
+        required: true
+    },
+    template: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ChecklistTemplate'
+    },
+    // Resignation record of an offboarding checklist
+    resignedEmployee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ResignedEmployee'
+    },
+    // Hire date (onboarding) or last working day (offboarding) the due dates count from
+    referenceDate: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['in-progress', 'completed', 'cancelled'],
+        default: 'in-progress',
+        index: true
+    },
+    tasks: [checklistTaskSchema],
+    completedAt: Date,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+employeeChecklistSchema.virtual('progress').get(function () {
+    return calculateProgress(this.tasks || []);
+});
+
+employeeChecklistSchema.set('toJSON', { virtuals: true });
+employeeChecklistSchema.set('toObject', { virtuals: true });
+
+employeeChecklistSchema.index({ tenantId: 1, employee: 1, type: 1, status: 1 });
+employeeChecklistSchema.index({ tenantId: 1, 'tasks.assignee': 1, status: 1 });
+employeeChecklistSchema.index({ status: 1, 'tasks.status': 1, 'tasks.dueDate': 1 });
+
+export default mongoose.model('EmployeeChecklist', employeeChecklistSchema);
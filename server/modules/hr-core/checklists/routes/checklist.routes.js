@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+    getTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getChecklists,
+    createChecklist,
+    getMyTasks,
+    getEmployeeProgress,
+    getChecklist,
+    updateTask,
+    cancelChecklist
+} from '../controllers/checklist.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+const hrOrAdmin = requireRole(ROLES.ADMIN, ROLES.HR);
+
+// Apply authentication to all routes
+router.use(requireAuth);
+
+// Checklist templates - HR/Admin
+router.get('/templates', hrOrAdmin, getTemplates);
+router.post('/templates', hrOrAdmin, createTemplate);
+router.get('/templates/:id', hrOrAdmin, getTemplate);
+router.put('/templates/:id', hrOrAdmin, updateTemplate);
+router.delete('/templates/:id', hrOrAdmin, deleteTemplate);
+
+// Open tasks assigned to the current user
+router.get('/my-tasks', getMyTasks);
+
+// Progress of an employee's checklists - HR or the employee
+router.get('/employee/:employeeId', getEmployeeProgress);
+
+// Employee checklists - HR/Admin list and create them; assignees update their tasks
+router.get('/', hrOrAdmin, getChecklists);
+router.post('/', hrOrAdmin, createChecklist);
+router.get('/:id', getChecklist);
+router.patch('/:id/tasks/:taskId', updateTask);
+router.post('/:id/cancel', hrOrAdmin, cancelChecklist);
+
+export default router;
@@ -0,0 +1,510 @@
+import ChecklistTemplate from '../models/checklistTemplate.model.js';
+import EmployeeChecklist from '../models/employeeChecklist.model.js';
+import User from '../../users/models/user.model.js';
+import Department from '../../users/models/department.model.js';
+import ResignedEmployee from '../../users/models/resignedEmployee.model.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
+import {
+  CHECKLIST_TYPES,
+  DEFAULT_TEMPLATES,
+  applyTaskUpdate,
+  buildChecklistTasks,
+  calculateProgress,
+  getTasksToRemind,
+  groupTasksByAssignee,
+  isTaskOverdue,
+  REMINDER_DAYS_BEFORE
+} from '../utils/checklistEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const HR_ROLES = ['hr', 'admin'];
+
+const EMPLOYEE_FIELDS = 'username email employeeId personalInfo department position employment';
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const userIdOf = (user) => user?._id || user?.id;
+
+const sameId = (a, b) => !!a && !!b && idOf(a) === idOf(b);
+
+const isHR = (user) => HR_ROLES.includes(user?.role);
+
+const displayName = (user) => user?.personalInfo?.fullName || user?.username || '';
+
+/**
+ * Checklist Service - Onboarding and offboarding checklists
+ *
+ * A checklist is created from the tenant's default template when a user is
+ * created or a resignation is registered. Each task is assigned to the
+ * manager of its department (or to HR, IT, finance, the employee's manager
+ * or the employee), is due relative to the hire date or last working day and
+ * is reminded through the notifications module until it is done.
+ */
+class ChecklistService {
+  /**
+   * List templates of a tenant
+   */
+  async getTemplates(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.type) query.type = filters.type;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive === true || filters.isActive === 'true';
+
+    return await ChecklistTemplate.find(query)
+      .populate('tasks.department', 'name arabicName')
+      .sort({ type: 1, isDefault: -1, name: 1 });
+  }
+
+  async getTemplate(templateId, tenantId) {
+    const template = await ChecklistTemplate.findOne({ _id: templateId, tenantId })
+      .populate('tasks.department', 'name arabicName');
+    if (!template) {
+      throw new Error('Checklist template not found');
+    }
+    return template;
+  }
+
+  async createTemplate(data, tenantId, userId) {
+    const template = new ChecklistTemplate({
+      ...data,
+      tenantId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await template.save();
+
+    if (template.isDefault) {
+      await this._clearOtherDefaults(template);
+    }
+
+    return template;
+  }
+
+  async updateTemplate(templateId, data, tenantId, userId) {
+    const template = await this.getTemplate(templateId, tenantId);
+    const changes = { ...data };
+    delete changes.tenantId;
+    delete changes.createdBy;
+
+    template.set({ ...changes, updatedBy: userId });
+    await template.save();
+
+    if (template.isDefault) {
+      await this._clearOtherDefaults(template);
+    }
+
+    return template;
+  }
+
+  /**
+   * Delete a template; checklists created from it keep their tasks
+   */
+  async deleteTemplate(templateId, tenantId) {
+    const template = await this.getTemplate(templateId, tenantId);
+    await template.deleteOne();
+    return template;
+  }
+
+  /**
+   * Default template of a type, creating the built-in one for a tenant that has none
+   */
+  async getDefaultTemplate(tenantId, type) {
+    if (!CHECKLIST_TYPES.includes(type)) {
+      throw new Error(`Invalid checklist type: ${type}`);
+    }
+
+    const template = await ChecklistTemplate.findOne({ tenantId, type, isActive: true })
+      .sort({ isDefault: -1, createdAt: 1 });
+    if (template) {
+      return template;
+    }
+
+    const hasTemplates = await ChecklistTemplate.exists({ tenantId, type });
+    if (hasTemplates) {
+      // Every template of this type was deactivated on purpose
+      return null;
+    }
+
+    const defaults = DEFAULT_TEMPLATES[type];
+    return await ChecklistTemplate.create({
+      tenantId,
+      type,
+      name: defaults.name,
+      arabicName: defaults.arabicName,
+      tasks: defaults.tasks.map((task, order) => ({ ...task, order })),
+      isDefault: true
+    });
+  }
+
+  /**
+   * Create a checklist for an employee
+   * @param {string} tenantId
+   * @param {Object} data - { employeeId, type, templateId, resignedEmployeeId, referenceDate }
+   * @param {string} [createdBy]
+   * @returns {Promise<Object|null>} Checklist, or null when the tenant has no active template
+   */
+  async createChecklist(tenantId, data, createdBy) {
+    const { employeeId, type } = data;
+
+    const employee = await User.findOne({ _id: employeeId, tenantId }).select(EMPLOYEE_FIELDS);
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+
+    const open = await EmployeeChecklist.exists({ tenantId, employee: employeeId, type, status: 'in-progress' });
+    if (open) {
+      throw new Error(`Employee already has an open ${type} checklist`);
+    }
+
+    const template = data.templateId
+      ? await this.getTemplate(data.templateId, tenantId)
+      : await this.getDefaultTemplate(tenantId, type);
+    if (!template) {
+      return null;
+    }
+    if (template.type !== type) {
+      throw new Error(`Template is not an ${type} template`);
+    }
+
+    const referenceDate = data.referenceDate || employee.employment?.hireDate || new Date();
+    const tasks = buildChecklistTasks(template, referenceDate);
+    const assignees = new Map();
+
+    for (const task of tasks) {
+      const key = `${task.owner}:${idOf(task.department) || ''}`;
+      if (!assignees.has(key)) {
+        assignees.set(key, await this._resolveAssignee(task, employee, tenantId));
+      }
+      task.assignee = assignees.get(key)?._id || null;
+    }
+
+    const checklist = await EmployeeChecklist.create({
+      tenantId,
+      employee: employee._id,
+      type,
+      template: template._id,
+      resignedEmployee: data.resignedEmployeeId,
+      referenceDate,
+      tasks,
+      createdBy
+    });
+
+    logger.info('Employee checklist created', {
+      tenantId,
+      checklistId: checklist._id,
+      employeeId: employee._id,
+      type,
+      tasks: tasks.length
+    });
+
+    await this._notifyAssignees(checklist, checklist.tasks, employee, 'assigned');
+
+    return checklist;
+  }
+
+  /**
+   * Onboarding checklist of a newly created user, due from the hire date
+   */
+  async createOnboardingChecklist(user, tenantId, createdBy) {
+    return await this.createChecklist(tenantId, {
+      employeeId: user._id,
+      type: 'onboarding',
+      referenceDate: user.employment?.hireDate
+    }, createdBy);
+  }
+
+  /**
+   * Offboarding checklist of a registered resignation, due from the last working day
+   */
+  async createOffboardingChecklist(resignedEmployee, tenantId, createdBy) {
+    return await this.createChecklist(tenantId, {
+      employeeId: resignedEmployee.employee,
+      type: 'offboarding',
+      resignedEmployeeId: resignedEmployee._id,
+      referenceDate: resignedEmployee.lastWorkingDay
+    }, createdBy);
+  }
+
+  /**
+   * List checklists with their progress
+   */
+  async getChecklists(tenantId, filters = {}) {
+    const query = { tenantId };
+    ['employee', 'type', 'status'].forEach(key => {
+      if (filters[key]) query[key] = filters[key];
+    });
+
+    if (filters.department) {
+      const employees = await User.find({ tenantId, department: filters.department }).select('_id');
+      query.employee = { $in: employees.map(employee => employee._id) };
+    }
+
+    const checklists = await EmployeeChecklist.find(query)
+      .populate('employee', 'username email employeeId personalInfo department')
+      .select('-tasks.description')
+      .sort({ status: 1, referenceDate: -1 });
+
+    if (filters.overdue === 'true' || filters.overdue === true) {
+      return checklists.filter(checklist => checklist.progress.overdue > 0);
+    }
+
+    return checklists;
+  }
+
+  /**
+   * Get a checklist; visible to HR, the employee and the task assignees
+   */
+  async getChecklist(checklistId, tenantId, user) {
+    const checklist = await this._getChecklist(checklistId, tenantId);
+    this._assertCanView(checklist, user);
+
+    return await checklist.populate([
+      { path: 'employee', select: 'username email employeeId personalInfo department position' },
+      { path: 'tasks.assignee', select: 'username email personalInfo' },
+      { path: 'tasks.completedBy', select: 'username personalInfo' },
+      { path: 'tasks.department', select: 'name arabicName' }
+    ]);
+  }
+
+  /**
+   * Progress view of an employee: all their checklists, newest first
+   */
+  async getEmployeeProgress(employeeId, tenantId, user) {
+    if (!isHR(user) && !sameId(employeeId, userIdOf(user))) {
+      throw new Error('You do not have access to this checklist');
+    }
+
+    const checklists = await EmployeeChecklist.find({ tenantId, employee: employeeId })
+      .populate('tasks.assignee', 'username email personalInfo')
+      .populate('tasks.department', 'name arabicName')
+      .sort({ createdAt: -1 });
+
+    return checklists.map(checklist => ({
+      _id: checklist._id,
+      type: checklist.type,
+      status: checklist.status,
+      referenceDate: checklist.referenceDate,
+      completedAt: checklist.completedAt,
+      progress: checklist.progress,
+      tasks: checklist.tasks
+    }));
+  }
+
+  /**
+   * Open tasks assigned to the user across all checklists
+   */
+  async getMyTasks(user, tenantId) {
+    const userId = userIdOf(user);
+    const checklists = await EmployeeChecklist.find({
+      tenantId,
+      status: 'in-progress',
+      'tasks.assignee': userId
+    }).populate('employee', 'username email employeeId personalInfo');
+
+    const now = new Date();
+    return checklists
+      .flatMap(checklist => checklist.tasks
+        .filter(task => sameId(task.assignee, userId) && task.status === 'pending')
+        .map(task => ({
+          checklistId: checklist._id,
+          type: checklist.type,
+          employee: checklist.employee,
+          task,
+          overdue: isTaskOverdue(task, now)
+        })))
+      .sort((a, b) => new Date(a.task.dueDate) - new Date(b.task.dueDate));
+  }
+
+  /**
+   * Mark a task done, skipped or pending again, or reassign it (HR only)
+   * @param {Object} update - { status, notes, assignee, dueDate }
+   */
+  async updateTask(checklistId, taskId, update, user, tenantId) {
+    const checklist = await this._getChecklist(checklistId, tenantId);
+    if (checklist.status === 'cancelled') {
+      throw new Error('Checklist is cancelled');
+    }
+
+    const task = checklist.tasks.id(taskId);
+    if (!task) {
+      throw new Error('Task not found');
+    }
+
+    const userId = userIdOf(user);
+    if (!isHR(user) && !sameId(task.assignee, userId)) {
+      throw new Error('You do not have access to this task');
+    }
+
+    if (update.assignee !== undefined || update.dueDate !== undefined) {
+      if (!isHR(user)) {
+        throw new Error('You do not have access to reassign this task');
+      }
+      if (update.assignee !== undefined) {
+        task.assignee = update.assignee || null;
+        task.lastReminderAt = null;
+      }
+      if (update.dueDate !== undefined) {
+        task.dueDate = update.dueDate;
+      }
+    }
+
+    const previousStatus = task.status;
+    applyTaskUpdate(task, update, userId);
+
+    const progress = calculateProgress(checklist.tasks);
+    if (progress.complete && checklist.status === 'in-progress') {
+      checklist.status = 'completed';
+      checklist.completedAt = new Date();
+    } else if (!progress.complete && checklist.status === 'completed') {
+      checklist.status = 'in-progress';
+      checklist.completedAt = null;
+    }
+
+    await checklist.save();
+
+    if (previousStatus !== task.status && checklist.resignedEmployee) {
+      await this._syncResignation(checklist, task, userId);
+    }
+
+    if (update.assignee) {
+      const employee = await User.findById(checklist.employee).select(EMPLOYEE_FIELDS);
+      await this._notifyAssignees(checklist, [task], employee, 'assigned');
+    }
+
+    return checklist;
+  }
+
+  async cancelChecklist(checklistId, tenantId) {
+    const checklist = await this._getChecklist(checklistId, tenantId);
+    if (checklist.status !== 'in-progress') {
+      throw new Error(`Cannot cancel a ${checklist.status} checklist`);
+    }
+
+    checklist.status = 'cancelled';
+    return await checklist.save();
+  }
+
+  /**
+   * Remind assignees of open tasks that are due soon or overdue, one notification per assignee and checklist
+   * @param {Date} [now]
+   * @returns {Promise<{ checklists: number, reminded: number }>}
+   */
+  async sendReminders(now = new Date()) {
+    const horizon = new Date(now.getTime() + (REMINDER_DAYS_BEFORE + 1) * 24 * 60 * 60 * 1000);
+    const checklists = await EmployeeChecklist.find({
+      status: 'in-progress',
+      tasks: { $elemMatch: { status: 'pending', dueDate: { $lte: horizon } } }
+    });
+
+    let reminded = 0;
+    for (const checklist of checklists) {
+      const due = getTasksToRemind(checklist.tasks, now);
+      if (due.length === 0) continue;
+
+      const employee = await User.findById(checklist.employee).select(EMPLOYEE_FIELDS);
+      await this._notifyAssignees(checklist, due, employee, 'reminder', now);
+
+      due.forEach(task => {
+        task.lastReminderAt = now;
+        task.reminderCount = (task.reminderCount || 0) + 1;
+      });
+      await checklist.save();
+      reminded += due.length;
+    }
+
+    return { checklists: checklists.length, reminded };
+  }
+
+  async _getChecklist(checklistId, tenantId) {
+    const checklist = await EmployeeChecklist.findOne({ _id: checklistId, tenantId });
+    if (!checklist) {
+      throw new Error('Checklist not found');
+    }
+    return checklist;
+  }
+
+  _assertCanView(checklist, user) {
+    const userId = userIdOf(user);
+    if (isHR(user) || sameId(checklist.employee, userId)) return;
+    if (checklist.tasks.some(task => sameId(task.assignee, userId))) return;
+    throw new Error('You do not have access to this checklist');
+  }
+
+  async _clearOtherDefaults(template) {
+    await ChecklistTemplate.updateMany(
+      { tenantId: template.tenantId, type: template.type, _id: { $ne: template._id } },
+      { isDefault: false }
+    );
+  }
+
+  /**
+   * Who a task goes to: its department's manager, otherwise by owner.
+   * IT and finance tasks go to a user with that role when the tenant has one; anything unresolved goes to HR.
+   */
+  async _resolveAssignee(task, employee, tenantId) {
+    if (task.department) {
+      const department = await Department.findOne({ _id: task.department, tenantId }).select('manager');
+      if (department?.manager) return { _id: department.manager };
+    }
+
+    if (task.owner === 'employee') {
+      return employee;
+    }
+    if (task.owner === 'manager') {
+      const manager = await notificationIntegrationService.getEmployeeManager(employee);
+      if (manager) return manager;
+    }
+    if (task.owner === 'it' || task.owner === 'finance') {
+      const owner = await User.findOne({ tenantId, role: task.owner, isActive: true }).select('_id');
+      if (owner) return owner;
+    }
+
+    return await notificationIntegrationService.getHREmployee(tenantId);
+  }
+
+  /**
+   * Keep the resignation clearance and handover flags in step with offboarding tasks
+   */
+  async _syncResignation(checklist, task, userId) {
+    const done = task.status === 'done';
+    const changes = {};
+
+    if (task.clearance) {
+      changes[`clearance.${task.clearance}.cleared`] = done;
+      changes[`clearance.${task.clearance}.clearedBy`] = done ? userId : null;
+      changes[`clearance.${task.clearance}.clearedDate`] = done ? task.completedAt : null;
+    }
+    if (task.category === 'handover') {
+      changes['handover.completed'] = done;
+      changes['handover.handoverDate'] = done ? task.completedAt : null;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      await ResignedEmployee.updateOne({ _id: checklist.resignedEmployee, tenantId: checklist.tenantId }, changes);
+    }
+  }
+
+  async _notifyAssignees(checklist, tasks, employee, action, now = new Date()) {
+    const label = checklist.type === 'onboarding' ? 'Onboarding' : 'Offboarding';
+    const groups = groupTasksByAssignee(tasks);
+
+    for (const [recipient, assigned] of groups) {
+      const overdue = assigned.filter(task => isTaskOverdue(task, now)).length;
+      const titles = assigned.map(task => `- ${task.title} (due ${new Date(task.dueDate).toISOString().split('T')[0]})`);
+
+      await notificationIntegrationService.notify(checklist.tenantId, {
+        recipient,
+        type: 'task',
+        title: action === 'reminder'
+          ? `${label} tasks ${overdue > 0 ? 'overdue' : 'due soon'}: ${displayName(employee)}`
+          : `${label} tasks assigned: ${displayName(employee)}`,
+        message: titles.join('\n'),
+        priority: overdue > 0 ? 'high' : 'normal',
+        relatedModel: 'EmployeeChecklist',
+        relatedId: checklist._id,
+        metadata: { source: 'checklist', action, checklistType: checklist.type, taskIds: assigned.map(task => idOf(task)) }
+      });
+    }
+  }
+}
+
+export default ChecklistService;
@@ -0,0 +1,198 @@
+/**
+ * Checklist Engine
+ * Pure helpers behind onboarding and offboarding checklists: the default
+ * templates, turning a template into dated employee tasks, task updates,
+ * progress and which tasks are due a reminder.
+ * The service resolves assignees and reads/writes the database.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const CHECKLIST_TYPES = ['onboarding', 'offboarding'];
+
+export const TASK_CATEGORIES = ['contract', 'it-account', 'equipment', 'id-card', 'training', 'handover', 'clearance', 'other'];
+
+// Who a task goes to when it has no department: HR, IT, finance, the employee's manager or the employee
+export const TASK_OWNERS = ['hr', 'it', 'finance', 'manager', 'employee'];
+
+export const TASK_STATUSES = ['pending', 'done', 'skipped'];
+
+// Resignation clearance flags kept in sync with offboarding tasks
+export const CLEARANCE_KEYS = ['hr', 'finance', 'it'];
+
+// Remind assignees this many days before a task is due, then once a day while it is open
+export const REMINDER_DAYS_BEFORE = 1;
+export const REMINDER_INTERVAL_HOURS = 24;
+
+/**
+ * Templates created for a tenant the first time it needs one
+ * dueOffsetDays is counted from the hire date (onboarding) or the last working day (offboarding).
+ */
+export const DEFAULT_TEMPLATES = {
+    onboarding: {
+        name: 'New hire onboarding',
+        arabicName: 'تهيئة موظف جديد',
+        tasks: [
+            { title: 'Sign employment contract', arabicTitle: 'توقيع عقد العمل', category: 'contract', owner: 'hr', dueOffsetDays: 0 },
+            { title: 'Create IT account and email', arabicTitle: 'إنشاء حساب تقنية المعلومات والبريد', category: 'it-account', owner: 'it', dueOffsetDays: 0 },
+            { title: 'Issue laptop and equipment', arabicTitle: 'تسليم الحاسب والمعدات', category: 'equipment', owner: 'it', dueOffsetDays: 0 },
+            { title: 'Issue employee ID card', arabicTitle: 'إصدار بطاقة الموظف', category: 'id-card', owner: 'hr', dueOffsetDays: 3 },
+            { title: 'Orientation with direct manager', arabicTitle: 'جلسة تعريفية مع المدير المباشر', category: 'training', owner: 'manager', dueOffsetDays: 5 }
+        ]
+    },
+    offboarding: {
+        name: 'Employee offboarding',
+        arabicName: 'إنهاء خدمة موظف',
+        tasks: [
+            { title: 'Hand over work and documents', arabicTitle: 'تسليم العمل والمستندات', category: 'handover', owner: 'manager', dueOffsetDays: -2 },
+            { title: 'Return laptop and equipment', arabicTitle: 'إرجاع الحاسب والمعدات', category: 'equipment', owner: 'it', dueOffsetDays: 0 },
+            { title: 'Disable IT account and email', arabicTitle: 'إيقاف حساب تقنية المعلومات والبريد', category: 'it-account', owner: 'it', dueOffsetDays: 0, clearance: 'it' },
+            { title: 'Return employee ID card', arabicTitle: 'إرجاع بطاقة الموظف', category: 'id-card', owner: 'hr', dueOffsetDays: 0 },
+            { title: 'Finance clearance (loans, advances, custody)', arabicTitle: 'إخلاء طرف مالي', category: 'clearance', owner: 'finance', dueOffsetDays: 0, clearance: 'finance' },
+            { title: 'HR clearance and exit interview', arabicTitle: 'إخلاء طرف الموارد البشرية ومقابلة الخروج', category: 'clearance', owner: 'hr', dueOffsetDays: 0, clearance: 'hr' }
+        ]
+    }
+};
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+const startOfDay = (date) => {
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    value.setHours(0, 0, 0, 0);
+    return value;
+};
+
+/**
+ * Employee tasks for a template, dated from the reference date
+ * @param {Object} template - Checklist template ({ tasks })
+ * @param {Date|string} referenceDate - Hire date or last working day
+ * @returns {Array<Object>} Tasks ordered by template order, without assignees
+ */
+export const buildChecklistTasks = (template, referenceDate) => {
+    const reference = startOfDay(referenceDate);
+
+    return [...(template.tasks || [])]
+        .sort((a, b) => (a.order ?? 0) - (b.order ?? 0))
+        .map(task => ({
+            templateTask: task._id,
+            title: task.title,
+            arabicTitle: task.arabicTitle,
+            description: task.description,
+            category: task.category || 'other',
+            owner: task.owner || 'hr',
+            department: task.department || null,
+            clearance: task.clearance || null,
+            required: task.required !== false,
+            dueDate: new Date(reference.getTime() + (task.dueOffsetDays || 0) * DAY_MS),
+            status: 'pending'
+        }));
+};
+
+export const isTaskOpen = (task) => task.status === 'pending';
+
+export const isTaskOverdue = (task, now = new Date()) =>
+    isTaskOpen(task) && !!task.dueDate && startOfDay(task.dueDate) < startOfDay(now);
+
+/**
+ * Task counts and completion percentage; skipped tasks count as handled
+ * @returns {{ total: number, done: number, skipped: number, pending: number, overdue: number, percent: number, complete: boolean }}
+ */
+export const calculateProgress = (tasks = [], now = new Date()) => {
+    const counts = { total: tasks.length, done: 0, skipped: 0, pending: 0, overdue: 0 };
+
+    tasks.forEach(task => {
+        counts[task.status] = (counts[task.status] || 0) + 1;
+        if (isTaskOverdue(task, now)) counts.overdue += 1;
+    });
+
+    const handled = counts.done + counts.skipped;
+    return {
+        ...counts,
+        percent: counts.total === 0 ? 100 : Math.round((handled / counts.total) * 100),
+        // Only required tasks hold a checklist open
+        complete: tasks.every(task => !task.required || !isTaskOpen(task))
+    };
+};
+
+/**
+ * Apply a status change to a task
+ * Required tasks can only be skipped with a note explaining why.
+ * @param {Object} task - Checklist task (mutated)
+ * @param {Object} update - { status, notes }
+ * @param {string} userId - User making the change
+ * @param {Date} [now]
+ * @returns {Object} The task
+ */
+export const applyTaskUpdate = (task, update, userId, now = new Date()) => {
+    const { status, notes } = update;
+
+    if (status !== undefined && !TASK_STATUSES.includes(status)) {
+        throw new Error(`Invalid task status: ${status}`);
+    }
+    if (status === 'skipped' && task.required && !(notes || task.notes)) {
+        throw new Error('A note is required to skip a required task');
+    }
+
+    if (notes !== undefined) {
+        task.notes = notes;
+    }
+
+    if (status !== undefined && status !== task.status) {
+        task.status = status;
+        task.completedBy = status === 'pending' ? null : userId;
+        task.completedAt = status === 'pending' ? null : now;
+    }
+
+    return task;
+};
+
+/**
+ * Open tasks that are due soon or overdue and were not reminded recently
+ * @param {Array<Object>} tasks
+ * @param {Date} [now]
+ * @param {Object} [options] - { daysBefore, intervalHours }
+ * @returns {Array<Object>}
+ */
+export const getTasksToRemind = (tasks = [], now = new Date(), options = {}) => {
+    const daysBefore = options.daysBefore ?? REMINDER_DAYS_BEFORE;
+    const intervalMs = (options.intervalHours ?? REMINDER_INTERVAL_HOURS) * 60 * 60 * 1000;
+    const horizon = startOfDay(now).getTime() + daysBefore * DAY_MS;
+
+    return tasks.filter(task =>
+        isTaskOpen(task) &&
+        task.dueDate &&
+        startOfDay(task.dueDate).getTime() <= horizon &&
+        (!task.lastReminderAt || now.getTime() - new Date(task.lastReminderAt).getTime() >= intervalMs)
+    );
+};
+
+/**
+ * Group tasks by assignee so each person gets one reminder
+ * @returns {Map<string, Array<Object>>}
+ */
+export const groupTasksByAssignee = (tasks = []) => tasks.reduce((groups, task) => {
+    const key = idOf(task.assignee);
+    if (!key) return groups;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(task);
+    return groups;
+}, new Map());
+
+export default {
+    CHECKLIST_TYPES,
+    TASK_CATEGORIES,
+    TASK_OWNERS,
+    TASK_STATUSES,
+    CLEARANCE_KEYS,
+    DEFAULT_TEMPLATES,
+    buildChecklistTasks,
+    isTaskOpen,
+    isTaskOverdue,
+    calculateProgress,
+    applyTaskUpdate,
+    getTasksToRemind,
+    groupTasksByAssignee
+};
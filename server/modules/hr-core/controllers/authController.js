@@ -4,6 +4,7 @@ import TenantConfig from '../models/TenantConfig.js';
 import AuditLog from '../models/AuditLog.js';
 import { generateTenantToken } from '../../../core/auth/tenantAuth.js';
 import multiTenantDB from '../../../config/multiTenant.js';
+import { checkLoginMFA, generateMFASetupToken } from '../../../middleware/enhancedAuth.middleware.js';
 
 // Generate JWT token using tenant auth system
 const generateToken = (user) => {
@@ -166,6 +167,49 @@ export const login = async (req, res) => {
             });
         }
 
+        // Second factor: a code, a recovery code, or enrollment when it is enforced
+        const mfaResult = await checkLoginMFA(user, req.body);
+
+        if (mfaResult === 'required') {
+            return res.json({
+                success: true,
+                message: 'Authentication code required',
+                data: { requiresMFA: true }
+            });
+        }
+
+        if (mfaResult === 'setup-required') {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication must be set up before signing in',
+                data: {
+                    requiresMFASetup: true,
+                    mfaSetupToken: generateMFASetupToken(user, 'tenant')
+                }
+            });
+        }
+
+        if (mfaResult === 'invalid') {
+            const TenantAuditLog = tenantConnection.model('AuditLog', AuditLog.schema);
+            await TenantAuditLog.create({
+                action: 'login',
+                resource: 'User',
+                resourceId: user._id,
+                userId: user._id,
+                tenantId,
+                status: 'failure',
+                errorMessage: 'Invalid authentication code',
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent']
+            });
+
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code',
+                code: 'INVALID_MFA_TOKEN'
+            });
+        }
+
         const token = generateToken(user);
 
         // Log successful login
@@ -0,0 +1,227 @@
+import User from '../users/models/user.model.js';
+import AuditLog from '../models/AuditLog.js';
+import { generateTenantToken } from '../../../core/auth/tenantAuth.js';
+import {
+    setupMFA,
+    enableMFA,
+    verifyMFALogin,
+    regenerateRecoveryCodes,
+    disableMFA,
+    getMFAStatus,
+    getMFAPolicy
+} from '../../../middleware/enhancedAuth.middleware.js';
+import multiTenantDB from '../../../config/multiTenant.js';
+
+// Tenant user and its connection, for the signed-in user or a setup token
+const getTenantUser = async (tenantId, userId, select = '') => {
+    const tenantConnection = await multiTenantDB.getCompanyConnection(tenantId);
+    const TenantUser = tenantConnection.model('User', User.schema);
+    const user = await TenantUser.findOne({ _id: userId, tenantId }).select(select);
+
+    return { tenantConnection, user };
+};
+
+const recordMFAEvent = async (tenantConnection, req, user, event) => {
+    const TenantAuditLog = tenantConnection.model('AuditLog', AuditLog.schema);
+    await TenantAuditLog.create({
+        action: event === 'login' ? 'login' : 'security_event',
+        resource: 'User',
+        resourceId: user._id,
+        userId: req.user.id,
+        tenantId: user.tenantId,
+        category: 'authentication',
+        severity: event === 'login' ? 'medium' : 'high',
+        changes: event === 'login' ? undefined : { fields: ['mfa'], after: { event } },
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent']
+    });
+};
+
+const sendError = (res, error) => {
+    res.status(error.statusCode || 500).json({
+        success: false,
+        message: error.message,
+        code: error.code
+    });
+};
+
+const notFound = (res) => res.status(404).json({
+    success: false,
+    message: 'User not found'
+});
+
+// Two-factor status of the signed-in user
+export const getStatus = async (req, res) => {
+    try {
+        const { user } = await getTenantUser(req.tenantId, req.user.id);
+        if (!user) return notFound(res);
+
+        res.json({
+            success: true,
+            data: await getMFAStatus(user)
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Start enrollment: returns the secret and a QR code for the authenticator app
+export const setup = async (req, res) => {
+    try {
+        const policy = await getMFAPolicy();
+        if (!policy.enabled) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is not available',
+                code: 'MFA_UNAVAILABLE'
+            });
+        }
+
+        const { user } = await getTenantUser(req.tenantId, req.user.id);
+        if (!user) return notFound(res);
+
+        const { secret, otpauthUrl, qrCode } = await setupMFA(user);
+
+        res.json({
+            success: true,
+            data: { secret, otpauthUrl, qrCode }
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Confirm enrollment with the first code; completes sign-in when enrollment was enforced
+export const enable = async (req, res) => {
+    try {
+        const { token } = req.body;
+        if (!token) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code is required'
+            });
+        }
+
+        const { tenantConnection, user } = await getTenantUser(req.tenantId, req.user.id);
+        if (!user) return notFound(res);
+
+        const policy = await getMFAPolicy();
+        const recoveryCodes = await enableMFA(user, token, policy.recoveryCodesCount);
+        await recordMFAEvent(tenantConnection, req, user, 'mfa_enabled');
+
+        const data = { recoveryCodes };
+
+        // Enrollment enforced at sign-in: the user is now fully signed in
+        if (req.mfaSetup) {
+            data.token = generateTenantToken(user._id.toString(), user.tenantId, user.role);
+            data.user = user;
+            await recordMFAEvent(tenantConnection, req, user, 'login');
+        }
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Replace the recovery codes; requires a current code
+export const regenerateCodes = async (req, res) => {
+    try {
+        const { user } = await getTenantUser(req.tenantId, req.user.id);
+        if (!user) return notFound(res);
+
+        if (!await verifyMFALogin(user, { token: req.body.token })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code',
+                code: 'INVALID_MFA_TOKEN'
+            });
+        }
+
+        const policy = await getMFAPolicy();
+        const recoveryCodes = await regenerateRecoveryCodes(user, policy.recoveryCodesCount);
+
+        res.json({
+            success: true,
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Turn two-factor off; requires the password and a code or recovery code
+export const disable = async (req, res) => {
+    try {
+        const { password, token, recoveryCode } = req.body;
+
+        const policy = await getMFAPolicy();
+        if (policy.enforced) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required by your organization',
+                code: 'MFA_ENFORCED'
+            });
+        }
+
+        const { tenantConnection, user } = await getTenantUser(req.tenantId, req.user.id, '+password');
+        if (!user) return notFound(res);
+
+        if (!user.mfa?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled',
+                code: 'MFA_NOT_ENABLED'
+            });
+        }
+
+        if (!password || !(await user.comparePassword(password))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password'
+            });
+        }
+
+        if (!await verifyMFALogin(user, { token, recoveryCode })) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code',
+                code: 'INVALID_MFA_TOKEN'
+            });
+        }
+
+        await disableMFA(user);
+        await recordMFAEvent(tenantConnection, req, user, 'mfa_disabled');
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// Administrator reset for a user who lost their authenticator
+export const resetUser = async (req, res) => {
+    try {
+        const { tenantConnection, user } = await getTenantUser(req.tenantId, req.params.userId);
+        if (!user) return notFound(res);
+
+        await disableMFA(user);
+        await recordMFAEvent(tenantConnection, req, user, 'mfa_reset');
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset; the user will enroll again at next sign-in if it is required'
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+export default { getStatus, setup, enable, regenerateCodes, disable, resetUser };
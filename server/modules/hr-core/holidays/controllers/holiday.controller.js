@@ -1,6 +1,13 @@
 // Holiday Controller
 import { getHolidayInfo, getHolidaysForYear, isWorkingDay } from '../utils/holidayChecker.js';
 import Holiday from '../models/holiday.model.js';
+import {
+    HIJRI_CALENDARS,
+    MAX_ADJUSTMENT_DAYS,
+    getIslamicHoliday,
+    getIslamicHolidayDays,
+    getIslamicHolidaysForYear
+} from '../utils/hijriCalendar.js';
 
 /**
  * Get holiday information for a specific date
@@ -13,7 +20,7 @@ export const getHolidayForDate = async (req, res) => {
             return res.status(400).json({ error: 'Date parameter is required' });
         }
 
-        const holidayInfo = getHolidayInfo(date);
+        const holidayInfo = getHolidayInfo(date, { language: req.query.language });
         res.json(holidayInfo);
     } catch (err) {
         res.status(500).json({ error: err.message });
@@ -210,6 +217,15 @@ export const updateHolidaySettings = async (req, res) => {
             holidaySettings.earlyLeaveDates = updates.earlyLeaveDates;
         }
 
+        if (updates.hijriCalendar !== undefined) {
+            if (!HIJRI_CALENDARS.includes(updates.hijriCalendar)) {
+                return res.status(400).json({
+                    error: `Invalid Hijri calendar. Use one of: ${HIJRI_CALENDARS.join(', ')}`
+                });
+            }
+            holidaySettings.hijriCalendar = updates.hijriCalendar;
+        }
+
         // Update metadata
         holidaySettings.lastModified = new Date();
         if (req.user && req.user._id) {
@@ -615,3 +631,265 @@ export const checkWorkingDayAlt = async (req, res) => {
         });
     }
 };
+
+/**
+ * Check a moon-sighting adjustment in days
+ */
+const isValidAdjustment = (days) =>
+    Number.isInteger(days) && Math.abs(days) <= MAX_ADJUSTMENT_DAYS;
+
+/**
+ * Whether an official holiday already exists on a date
+ */
+const hasHolidayOn = (holidaySettings, date) => {
+    const checkDate = new Date(date);
+    return holidaySettings.officialHolidays.some(h =>
+        new Date(h.date).toDateString() === checkDate.toDateString()
+    );
+};
+
+/**
+ * Propose Islamic holidays for a Gregorian year from the Hijri calendar
+ */
+export const getIslamicHolidayProposals = async (req, res) => {
+    try {
+        const { year, language } = req.query;
+
+        if (!year) {
+            return res.status(400).json({
+                success: false,
+                message: 'Year parameter is required'
+            });
+        }
+
+        const holidaySettings = await Holiday.getOrCreateForTenant(req.user?.tenantId || 'default-tenant');
+        const calendar = req.query.calendar || holidaySettings.hijriCalendar;
+
+        if (!HIJRI_CALENDARS.includes(calendar)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid Hijri calendar. Use one of: ${HIJRI_CALENDARS.join(', ')}`
+            });
+        }
+
+        const holidays = getIslamicHolidaysForYear(parseInt(year), { calendar, language })
+            .map(holiday => ({
+                ...holiday,
+                dayOfWeek: Holiday.getDayOfWeek(holiday.date),
+                exists: hasHolidayOn(holidaySettings, holiday.date)
+            }));
+
+        res.json({
+            success: true,
+            data: {
+                year: parseInt(year),
+                calendar,
+                holidays
+            }
+        });
+    } catch (err) {
+        res.status(500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+/**
+ * Add proposed Islamic holidays, shifted by the admin after moon sighting
+ *
+ * Each selection names a holiday and its Hijri year; all of its days are
+ * added (e.g. the three days of Eid al-Fitr), skipping dates that already
+ * have a holiday.
+ */
+export const addIslamicHolidays = async (req, res) => {
+    try {
+        const { holidays, language } = req.body;
+
+        if (!holidays || !Array.isArray(holidays)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Holidays array is required'
+            });
+        }
+
+        const holidaySettings = await Holiday.getOrCreateForTenant(req.user?.tenantId || 'default-tenant');
+        const calendar = req.body.calendar || holidaySettings.hijriCalendar;
+
+        if (!HIJRI_CALENDARS.includes(calendar)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid Hijri calendar. Use one of: ${HIJRI_CALENDARS.join(', ')}`
+            });
+        }
+
+        const results = {
+            added: [],
+            errors: []
+        };
+
+        for (const selection of holidays) {
+            const { key, hijriYear, adjustmentDays = 0 } = selection;
+            const definition = getIslamicHoliday(key);
+
+            if (!definition || !Number.isInteger(hijriYear)) {
+                results.errors.push({
+                    holiday: selection,
+                    error: 'A known holiday key and Hijri year are required'
+                });
+                continue;
+            }
+
+            if (!isValidAdjustment(adjustmentDays)) {
+                results.errors.push({
+                    holiday: selection,
+                    error: `Adjustment must be a whole number of days between -${MAX_ADJUSTMENT_DAYS} and ${MAX_ADJUSTMENT_DAYS}`
+                });
+                continue;
+            }
+
+            const days = getIslamicHolidayDays(definition, hijriYear, { calendar, adjustmentDays, language });
+
+            for (const day of days) {
+                const holidayDate = new Date(day.date);
+
+                if (hasHolidayOn(holidaySettings, holidayDate)) {
+                    results.errors.push({
+                        holiday: { key, hijriYear, date: day.date },
+                        error: 'Holiday already exists for this date'
+                    });
+                    continue;
+                }
+
+                holidaySettings.officialHolidays.push({
+                    date: holidayDate,
+                    name: day.name,
+                    dayOfWeek: Holiday.getDayOfWeek(holidayDate),
+                    isWeekend: Holiday.isWeekend(holidayDate, holidaySettings.weekendDays),
+                    isIslamic: true,
+                    islamicHolidayKey: key,
+                    hijriDate: day.hijriDate,
+                    adjustmentDays
+                });
+
+                results.added.push({ key, hijriYear, date: day.date, name: day.name });
+            }
+        }
+
+        // Sort holidays by date
+        holidaySettings.officialHolidays.sort((a, b) => a.date - b.date);
+
+        // Update metadata
+        holidaySettings.lastModified = new Date();
+        if (req.user && req.user._id) {
+            holidaySettings.lastModifiedBy = req.user._id;
+        }
+
+        await holidaySettings.save();
+
+        res.json({
+            success: true,
+            message: `Added ${results.added.length} holidays`,
+            data: results
+        });
+    } catch (err) {
+        res.status(500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
+
+/**
+ * Move a computed Islamic holiday after moon sighting
+ *
+ * The adjustment is in days from the computed date and applies to every day
+ * of the holiday in that Hijri year, so shifting Eid al-Fitr moves all three
+ * days.
+ */
+export const adjustIslamicHoliday = async (req, res) => {
+    try {
+        const { holidayId } = req.params;
+        const { adjustmentDays } = req.body;
+
+        if (!isValidAdjustment(adjustmentDays)) {
+            return res.status(400).json({
+                success: false,
+                message: `Adjustment must be a whole number of days between -${MAX_ADJUSTMENT_DAYS} and ${MAX_ADJUSTMENT_DAYS}`
+            });
+        }
+
+        const holidaySettings = await Holiday.getOrCreateForTenant(req.user?.tenantId || 'default-tenant');
+        const holiday = holidaySettings.officialHolidays.id(holidayId);
+
+        if (!holiday) {
+            return res.status(404).json({
+                success: false,
+                message: 'Holiday not found'
+            });
+        }
+
+        const definition = getIslamicHoliday(holiday.islamicHolidayKey);
+        if (!definition || !holiday.hijriDate?.year) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only holidays computed from the Hijri calendar can be adjusted'
+            });
+        }
+
+        const hijriYear = holiday.hijriDate.year;
+        const days = getIslamicHolidayDays(definition, hijriYear, {
+            calendar: holidaySettings.hijriCalendar,
+            adjustmentDays
+        });
+        const related = holidaySettings.officialHolidays.filter(h =>
+            h.islamicHolidayKey === holiday.islamicHolidayKey && h.hijriDate?.year === hijriYear
+        );
+
+        // Refuse to move onto another holiday's date
+        const conflict = days.find(day =>
+            holidaySettings.officialHolidays.some(h =>
+                !related.includes(h) && new Date(h.date).toDateString() === new Date(day.date).toDateString()
+            )
+        );
+        if (conflict) {
+            return res.status(409).json({
+                success: false,
+                message: `Another holiday already exists on ${conflict.date}`
+            });
+        }
+
+        for (const entry of related) {
+            const day = days.find(d => d.hijriDate.day === entry.hijriDate.day);
+            if (!day) continue;
+
+            const holidayDate = new Date(day.date);
+            entry.date = holidayDate;
+            entry.dayOfWeek = Holiday.getDayOfWeek(holidayDate);
+            entry.isWeekend = Holiday.isWeekend(holidayDate, holidaySettings.weekendDays);
+            entry.adjustmentDays = adjustmentDays;
+        }
+
+        // Sort holidays by date
+        holidaySettings.officialHolidays.sort((a, b) => a.date - b.date);
+
+        // Update metadata
+        holidaySettings.lastModified = new Date();
+        if (req.user && req.user._id) {
+            holidaySettings.lastModifiedBy = req.user._id;
+        }
+
+        await holidaySettings.save();
+
+        res.json({
+            success: true,
+            message: `Moved ${related.length} holiday days`,
+            data: related
+        });
+    } catch (err) {
+        res.status(500).json({
+            success: false,
+            message: err.message
+        });
+    }
+};
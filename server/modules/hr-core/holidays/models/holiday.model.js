@@ -4,6 +4,7 @@
  * Manages official holidays, weekend work days, and holiday settings
  */
 import mongoose from 'mongoose';
+import { HIJRI_CALENDARS, DEFAULT_HIJRI_CALENDAR } from '../utils/hijriCalendar.js';
 
 const holidaySchema = new mongoose.Schema({
     // Tenant identifier for multi-tenant support
@@ -29,6 +30,19 @@ const holidaySchema = new mongoose.Schema({
             type: Boolean,
             default: false
         },
+        // Islamic holidays computed from the Hijri calendar (ISLAMIC_HOLIDAYS key)
+        islamicHolidayKey: String,
+        // Hijri date the holiday falls on, as announced after moon sighting
+        hijriDate: {
+            year: Number,
+            month: Number,
+            day: Number
+        },
+        // Days the holiday was moved from the computed date after moon sighting
+        adjustmentDays: {
+            type: Number,
+            default: 0
+        },
         description: String
     }],
 
@@ -59,6 +73,13 @@ const holidaySchema = new mongoose.Schema({
         default: [5, 6] // Friday and Saturday for Egypt
     },
 
+    // Hijri calculation used to propose Islamic holidays and show Hijri dates
+    hijriCalendar: {
+        type: String,
+        enum: HIJRI_CALENDARS,
+        default: DEFAULT_HIJRI_CALENDAR
+    },
+
     // Metadata
     lastModified: {
         type: Date,
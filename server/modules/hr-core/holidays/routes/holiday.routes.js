@@ -14,7 +14,10 @@ import {
     removeWeekendWorkDay,
     getHolidaySuggestions,
     addHolidaysFromSuggestions,
-    checkWorkingDayAlt
+    checkWorkingDayAlt,
+    getIslamicHolidayProposals,
+    addIslamicHolidays,
+    adjustIslamicHoliday
 } from '../controllers/holiday.controller.js';
 import { requireAuth } from '../../../shared/middleware/auth.js';
 
@@ -72,6 +75,18 @@ router.get('/suggestions', requireAuth, getHolidaySuggestions);
 // POST /api/holidays/suggestions
 router.post('/suggestions', requireAuth, addHolidaysFromSuggestions);
 
+// Propose Islamic holidays computed from the Hijri calendar
+// GET /api/holidays/islamic?year=2025&calendar=umalqura
+router.get('/islamic', requireAuth, getIslamicHolidayProposals);
+
+// Add proposed Islamic holidays with moon-sighting adjustments
+// POST /api/holidays/islamic
+router.post('/islamic', requireAuth, addIslamicHolidays);
+
+// Move an Islamic holiday after moon sighting
+// PUT /api/holidays/islamic/:holidayId/adjust
+router.put('/islamic/:holidayId/adjust', requireAuth, adjustIslamicHoliday);
+
 // Check if date is working day (alternative endpoint)
 // GET /api/holidays/check-working-day?date=2024-12-25
 router.get('/check-working-day', requireAuth, checkWorkingDayAlt);
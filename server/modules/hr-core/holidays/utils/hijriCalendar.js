@@ -0,0 +1,279 @@
+/**
+ * Hijri Calendar
+ *
+ * Offline conversion between Gregorian and Hijri dates, and the Islamic
+ * holidays of a Gregorian year.
+ *
+ * Two calculations are available:
+ * - umalqura: the Umm al-Qura calendar of Saudi Arabia, from the ICU data
+ *   bundled with Node (falls back to tabular when ICU lacks it)
+ * - tabular: the arithmetic civil calendar (30-year cycle with 11 leap years)
+ *
+ * Both are estimates of the moon-sighted dates that are announced each year,
+ * which may differ by a day or two; holidays proposed here are meant to be
+ * confirmed or shifted by an admin.
+ *
+ * Dates are calendar days: Gregorian dates are read from their local
+ * year/month/day and returned as Date objects at UTC midnight.
+ */
+import { formatNumber, normalizeLanguage } from '../../../../core/i18n/index.js';
+
+export const HIJRI_CALENDARS = ['umalqura', 'tabular'];
+export const DEFAULT_HIJRI_CALENDAR = 'umalqura';
+
+// Largest moon-sighting shift an admin may apply to a computed holiday
+export const MAX_ADJUSTMENT_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 1 Muharram 1 AH (16 July 622, Julian) in days since 1970-01-01
+const ISLAMIC_EPOCH_DAYS = -492148;
+
+export const HIJRI_MONTHS = {
+    en: [
+        'Muharram', 'Safar', 'Rabi al-Awwal', 'Rabi al-Thani', 'Jumada al-Ula', 'Jumada al-Akhirah',
+        'Rajab', 'Shaban', 'Ramadan', 'Shawwal', 'Dhu al-Qadah', 'Dhu al-Hijjah'
+    ],
+    ar: [
+        'محرم', 'صفر', 'ربيع الأول', 'ربيع الآخر', 'جمادى الأولى', 'جمادى الآخرة',
+        'رجب', 'شعبان', 'رمضان', 'شوال', 'ذو القعدة', 'ذو الحجة'
+    ]
+};
+
+/**
+ * Islamic holidays by Hijri date; days is the number of consecutive days off
+ */
+export const ISLAMIC_HOLIDAYS = [
+    { key: 'islamic-new-year', month: 1, day: 1, days: 1, name: { en: 'Islamic New Year', ar: 'رأس السنة الهجرية' } },
+    { key: 'prophet-birthday', month: 3, day: 12, days: 1, name: { en: 'Prophet\'s Birthday', ar: 'المولد النبوي الشريف' } },
+    { key: 'eid-al-fitr', month: 10, day: 1, days: 3, name: { en: 'Eid al-Fitr', ar: 'عيد الفطر' } },
+    { key: 'arafat-day', month: 12, day: 9, days: 1, name: { en: 'Arafat Day', ar: 'يوم عرفة' } },
+    { key: 'eid-al-adha', month: 12, day: 10, days: 3, name: { en: 'Eid al-Adha', ar: 'عيد الأضحى' } }
+];
+
+const umalquraFormat = new Intl.DateTimeFormat('en-u-ca-islamic-umalqura', {
+    timeZone: 'UTC',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+});
+
+const hasUmalqura = umalquraFormat.resolvedOptions().calendar === 'islamic-umalqura';
+
+/**
+ * Resolve a calendar name, using tabular when Umm al-Qura data is unavailable
+ * @param {string} [calendar]
+ * @returns {'umalqura'|'tabular'}
+ */
+export const resolveCalendar = (calendar = DEFAULT_HIJRI_CALENDAR) => {
+    if (!HIJRI_CALENDARS.includes(calendar)) {
+        throw new Error(`Unknown Hijri calendar: ${calendar}. Use one of: ${HIJRI_CALENDARS.join(', ')}`);
+    }
+    return calendar === 'umalqura' && !hasUmalqura ? 'tabular' : calendar;
+};
+
+/**
+ * Days since 1970-01-01 of the calendar day of a date
+ */
+const toDayNumber = (date) => {
+    const value = date instanceof Date ? date : new Date(date);
+    if (Number.isNaN(value.getTime())) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS);
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS);
+
+/**
+ * Tabular Hijri date to days since 1970-01-01
+ */
+const tabularToDayNumber = (year, month, day) =>
+    day + Math.ceil(29.5 * (month - 1)) + (year - 1) * 354 + Math.floor((3 + 11 * year) / 30) + ISLAMIC_EPOCH_DAYS - 1;
+
+const tabularFromDayNumber = (dayNumber) => {
+    const year = Math.floor((30 * (dayNumber - ISLAMIC_EPOCH_DAYS) + 10646) / 10631);
+    const month = Math.min(12, Math.ceil((dayNumber - 29 - tabularToDayNumber(year, 1, 1)) / 29.5) + 1);
+    const day = dayNumber - tabularToDayNumber(year, month, 1) + 1;
+    return { year, month, day };
+};
+
+const umalquraFromDayNumber = (dayNumber) => {
+    const parts = umalquraFormat.formatToParts(fromDayNumber(dayNumber));
+    const part = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+    return { year: part('year'), month: part('month'), day: part('day') };
+};
+
+const sameHijriDate = (a, b) => a.year === b.year && a.month === b.month && a.day === b.day;
+
+/**
+ * Convert a Gregorian date to a Hijri date
+ * @param {Date|string} date
+ * @param {string} [calendar] - 'umalqura' or 'tabular'
+ * @returns {{ year: number, month: number, day: number }}
+ */
+export const toHijri = (date, calendar) => {
+    const dayNumber = toDayNumber(date);
+    return resolveCalendar(calendar) === 'umalqura'
+        ? umalquraFromDayNumber(dayNumber)
+        : tabularFromDayNumber(dayNumber);
+};
+
+/**
+ * Convert a Hijri date to a Gregorian date
+ * @param {number} year
+ * @param {number} month - 1 to 12
+ * @param {number} day - 1 to 30
+ * @param {string} [calendar] - 'umalqura' or 'tabular'
+ * @returns {Date} Gregorian date at UTC midnight
+ */
+export const toGregorian = (year, month, day, calendar) => {
+    if (!Number.isInteger(year) || year < 1 || !Number.isInteger(month) || month < 1 || month > 12
+        || !Number.isInteger(day) || day < 1 || day > 30) {
+        throw new Error(`Invalid Hijri date: ${year}-${month}-${day}`);
+    }
+
+    const target = { year, month, day };
+    const estimate = tabularToDayNumber(year, month, day);
+
+    if (resolveCalendar(calendar) === 'tabular') {
+        if (!sameHijriDate(tabularFromDayNumber(estimate), target)) {
+            throw new Error(`Invalid Hijri date: ${year}-${month}-${day}`);
+        }
+        return fromDayNumber(estimate);
+    }
+
+    // Umm al-Qura months start within a few days of the tabular ones
+    for (let offset = 0; offset <= 4; offset++) {
+        for (const dayNumber of [estimate - offset, estimate + offset]) {
+            if (sameHijriDate(umalquraFromDayNumber(dayNumber), target)) {
+                return fromDayNumber(dayNumber);
+            }
+        }
+    }
+
+    throw new Error(`Invalid Hijri date: ${year}-${month}-${day}`);
+};
+
+/**
+ * Format a Hijri date, e.g. '1 Shawwal 1446 AH' or '١ شوال ١٤٤٦ هـ'
+ * @param {{ year: number, month: number, day: number }} hijriDate
+ * @param {string} [language]
+ * @returns {string}
+ */
+export const formatHijri = (hijriDate, language) => {
+    const lang = normalizeLanguage(language);
+    const day = formatNumber(hijriDate.day, lang);
+    const year = formatNumber(hijriDate.year, lang, { useGrouping: false });
+    const month = HIJRI_MONTHS[lang][hijriDate.month - 1];
+
+    return lang === 'ar' ? `${day} ${month} ${year} هـ` : `${day} ${month} ${year} AH`;
+};
+
+/**
+ * Format a Gregorian date as its Hijri date
+ * @param {Date|string} date
+ * @param {string} [language]
+ * @param {string} [calendar]
+ * @returns {string}
+ */
+export const formatHijriDate = (date, language, calendar) => formatHijri(toHijri(date, calendar), language);
+
+/**
+ * Move a date at UTC midnight by a number of days
+ * @param {Date} date
+ * @param {number} days
+ * @returns {Date}
+ */
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * 'YYYY-MM-DD' of a date at UTC midnight
+ */
+const toISODate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Days of an Islamic holiday in a Hijri year
+ * @param {Object} holiday - Entry of ISLAMIC_HOLIDAYS
+ * @param {number} hijriYear
+ * @param {Object} [options]
+ * @param {string} [options.calendar]
+ * @param {number} [options.adjustmentDays=0] - Shift after moon sighting
+ * @param {string} [options.language]
+ * @returns {Array<Object>} One entry per day off
+ */
+export const getIslamicHolidayDays = (holiday, hijriYear, { calendar, adjustmentDays = 0, language } = {}) => {
+    const lang = normalizeLanguage(language);
+    const first = addDays(toGregorian(hijriYear, holiday.month, holiday.day, calendar), adjustmentDays);
+
+    return Array.from({ length: holiday.days }, (_, index) => {
+        const date = addDays(first, index);
+        const name = holiday.days > 1
+            ? `${holiday.name[lang]} (${lang === 'ar' ? 'اليوم' : 'Day'} ${formatNumber(index + 1, lang)})`
+            : holiday.name[lang];
+
+        return {
+            key: holiday.key,
+            occasion: holiday.name[lang],
+            name,
+            date: toISODate(date),
+            dayNumber: index + 1,
+            totalDays: holiday.days,
+            hijriDate: { year: hijriYear, month: holiday.month, day: holiday.day + index },
+            adjustmentDays
+        };
+    });
+};
+
+/**
+ * Find an Islamic holiday definition by key
+ * @param {string} key
+ * @returns {Object|undefined}
+ */
+export const getIslamicHoliday = (key) => ISLAMIC_HOLIDAYS.find(h => h.key === key);
+
+/**
+ * Islamic holidays falling in a Gregorian year
+ *
+ * A Gregorian year overlaps two or three Hijri years, so each holiday can
+ * appear twice (e.g. Eid al-Fitr on 8 January and 27 December 2000).
+ *
+ * @param {number} year - Gregorian year
+ * @param {Object} [options]
+ * @param {string} [options.calendar]
+ * @param {string} [options.language]
+ * @returns {Array<Object>} Holiday days sorted by date, with hijriDateFormatted
+ */
+export const getIslamicHolidaysForYear = (year, { calendar, language } = {}) => {
+    const firstHijriYear = toHijri(new Date(Date.UTC(year, 0, 1)), calendar).year;
+    const lastHijriYear = toHijri(new Date(Date.UTC(year, 11, 31)), calendar).year;
+    const days = [];
+
+    for (let hijriYear = firstHijriYear; hijriYear <= lastHijriYear; hijriYear++) {
+        for (const holiday of ISLAMIC_HOLIDAYS) {
+            days.push(...getIslamicHolidayDays(holiday, hijriYear, { calendar, language }));
+        }
+    }
+
+    return days
+        .filter(day => day.date.startsWith(`${year}-`))
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(day => ({ ...day, hijriDateFormatted: formatHijri(day.hijriDate, language) }));
+};
+
+export default {
+    HIJRI_CALENDARS,
+    DEFAULT_HIJRI_CALENDAR,
+    MAX_ADJUSTMENT_DAYS,
+    HIJRI_MONTHS,
+    ISLAMIC_HOLIDAYS,
+    resolveCalendar,
+    toHijri,
+    toGregorian,
+    formatHijri,
+    formatHijriDate,
+    addDays,
+    getIslamicHolidayDays,
+    getIslamicHoliday,
+    getIslamicHolidaysForYear
+};
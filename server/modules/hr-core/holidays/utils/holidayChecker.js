@@ -1,5 +1,7 @@
 // Holiday Checker Utility
 import Holidays from 'date-holidays';
+import { toHijri, formatHijri } from './hijriCalendar.js';
+import { formatDate } from '../../../../core/i18n/index.js';
 
 /**
  * Initialize holidays for a specific country
@@ -83,15 +85,38 @@ export const getHolidayType = (date) => {
     return 'working-day';
 };
 
+/**
+ * Get a date in both the Gregorian and Hijri calendars
+ * @param {Date|string} date - The date to convert
+ * @param {Object} [options]
+ * @param {string} [options.language] - 'en' or 'ar'
+ * @param {string} [options.calendar] - Hijri calculation, 'umalqura' or 'tabular'
+ * @returns {Object} - Hijri date parts and both dates formatted
+ */
+export const getDualDate = (date, { language, calendar } = {}) => {
+    const hijriDate = toHijri(date, calendar);
+    const gregorian = formatDate(date, language);
+    const hijri = formatHijri(hijriDate, language);
+
+    return {
+        hijriDate,
+        gregorian,
+        hijri,
+        formatted: `${gregorian} / ${hijri}`
+    };
+};
+
 /**
  * Get detailed holiday information
  * @param {Date|string} date - The date to check
+ * @param {Object} [options] - Language and Hijri calendar of the dual date
  * @returns {Object} - Detailed holiday information
  */
-export const getHolidayInfo = (date) => {
+export const getHolidayInfo = (date, options) => {
     const checkDate = new Date(date);
     const weekend = isWeekend(date);
     const holiday = isHoliday(date);
+    const dualDate = getDualDate(checkDate, options);
     
     return {
         date: checkDate,
@@ -100,6 +125,8 @@ export const getHolidayInfo = (date) => {
         isWorkingDay: !weekend && !holiday,
         holidayName: holiday ? holiday.name : null,
         holidayType: getHolidayType(date),
+        hijriDate: dualDate.hijriDate,
+        dualDate: dualDate.formatted,
         note: weekend ? 'Official Holiday (Weekend)' : (holiday ? `Official Holiday (${holiday.name})` : null)
     };
 };
@@ -111,5 +138,6 @@ export default {
     getHolidaysForYear,
     getHolidayName,
     getHolidayType,
+    getDualDate,
     getHolidayInfo
 };
@@ -0,0 +1,65 @@
+/**
+ * Multer Configuration for Mission Expense Receipts
+ *
+ * Stores receipt scans and photos attached to mission expense claims
+ */
+
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Upload directory for expense receipts
+ * Created automatically if it doesn't exist
+ */
+const uploadDir = 'uploads/mission-receipts';
+if (!fs.existsSync(uploadDir)) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+/**
+ * Storage configuration for receipts
+ * Format: receipt-{missionId}-{timestamp}-{random}.{extension}
+ */
+const storage = multer.diskStorage({
+    destination: function (req, file, cb) {
+        cb(null, uploadDir);
+    },
+
+    filename: function (req, file, cb) {
+        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+        const missionId = req.params.id || 'unknown';
+        cb(null, `receipt-${missionId}-${uniqueSuffix}${path.extname(file.originalname)}`);
+    }
+});
+
+/**
+ * Only allow images and PDFs for receipts
+ */
+const fileFilter = (req, file, cb) => {
+    const allowedTypes = /jpeg|jpg|png|pdf/;
+    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = allowedTypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+        return cb(null, true);
+    } else {
+        cb(new Error('Only PDF, JPG and PNG files are allowed for receipts'));
+    }
+};
+
+/**
+ * Multer instance for receipt uploads
+ * - Max file size: 5MB
+ * - Allowed types: PDF, JPG, PNG
+ */
+const receiptUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5MB limit
+    },
+    fileFilter: fileFilter
+});
+
+export { receiptUpload };
+export default receiptUpload;
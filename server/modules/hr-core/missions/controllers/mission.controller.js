@@ -1,8 +1,10 @@
 // Mission Controller
 import Mission from '../models/mission.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import User from '../../users/models/user.model.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
+
+const approvalWorkflowService = new ApprovalWorkflowService();
 
 /**
  * Get all missions with optional filtering
@@ -70,14 +72,12 @@ export const createMission = async (req, res) => {
             ...req.body,
             tenantId: req.tenantId
         });
+        await approvalWorkflowService.start(mission, { save: false });
         const savedMission = await mission.save();
 
         // Create notification for supervisor/manager
         await createMissionNotification(savedMission, 'submitted');
 
-        // Send email notification to manager
-        await sendMissionRequestNotification(savedMission);
-
         res.status(201).json({
             success: true,
             data: savedMission
@@ -193,25 +193,26 @@ export const approveMission = async (req, res) => {
         }
 
         const { notes } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to approve (supervisor, HR, admin)
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(mission, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to approve missions'
+                error: 'You do not have permission to approve this mission'
             });
         }
 
         // Approve the mission
-        await mission.approve(userId, notes);
+        const { completed } = await approvalWorkflowService.approve(mission, req.user, notes);
+
+        // Still waiting for the next step of the chain
+        if (!completed) {
+            return res.json(mission);
+        }
 
         // Create notification for employee
         await createMissionNotification(mission, 'approved');
 
-        // Send email notification to employee
-        await sendMissionStatusUpdateNotification(mission);
-
         res.json(mission);
     } catch (err) {
 
@@ -240,13 +241,12 @@ export const rejectMission = async (req, res) => {
 
 
         const { reason } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to reject (supervisor, HR, admin)
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(mission, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to reject missions'
+                error: 'You do not have permission to reject this mission'
             });
         }
 
@@ -274,14 +274,11 @@ export const rejectMission = async (req, res) => {
         }
 
         // Reject the mission
-        await mission.reject(userId, trimmedReason);
+        await approvalWorkflowService.reject(mission, req.user, trimmedReason);
 
         // Create notification for employee
         await createMissionNotification(mission, 'rejected');
 
-        // Send email notification to employee
-        await sendMissionStatusUpdateNotification(mission);
-
         res.json(mission);
     } catch (err) {
 
@@ -295,35 +292,38 @@ export const rejectMission = async (req, res) => {
  */
 async function createMissionNotification(mission, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify manager/supervisor
             const employee = await User.findById(mission.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Mission Request';
             message = `New mission request from ${employee.username || employee.email}`;
+            email = await buildMissionRequestEmail(mission);
         } else if (type === 'approved' || type === 'rejected') {
             // Notify employee
             recipient = mission.employee;
+            title = `Mission Request ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             message = `Your mission request has been ${type}`;
+            email = await buildMissionStatusUpdateEmail(mission);
         }
 
         if (recipient) {
-            const notification = new Notification({
+            await notificationIntegrationService.notify(mission.tenantId, {
                 recipient,
-                type: 'mission',
+                type: 'request',
+                title,
                 message,
                 relatedModel: 'Mission',
                 relatedId: mission._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'mission', action: type }
+            }, email);
 
             // Mark notification as sent in mission
             if (!mission.notifications) {
@@ -342,22 +342,22 @@ async function createMissionNotification(mission, type) {
 }
 
 /**
- * Send mission request notification to manager
+ * Email about a new mission request, for the manager
  */
-async function sendMissionRequestNotification(mission) {
+async function buildMissionRequestEmail(mission) {
     try {
         // Get employee details
         const employee = await User.findById(mission.employee).select('username email personalInfo');
         if (!employee) {
 
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
         // Get manager
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
 
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -470,29 +470,24 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send mission status update notification to employee
+ * Email about a decision on a mission request, for the employee
  */
-async function sendMissionStatusUpdateNotification(mission) {
+async function buildMissionStatusUpdateEmail(mission) {
     try {
         // Get employee details
         const employee = await User.findById(mission.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
 
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -626,15 +621,10 @@ ${mission.status === 'approved' ? 'Your mission has been approved. Safe travels!
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
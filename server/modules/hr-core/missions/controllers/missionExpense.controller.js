@@ -0,0 +1,185 @@
+// Mission Expense Controller
+import MissionExpenseService from '../services/MissionExpenseService.js';
+
+const missionExpenseService = new MissionExpenseService();
+
+const getErrorStatus = (err) => {
+    if (['Mission not found', 'Expense claim not found', 'Expense not found', 'Per-diem rate not found'].includes(err.message)) {
+        return 404;
+    }
+    if (err.message.startsWith('You do not have permission')) {
+        return 403;
+    }
+    if (err.message.startsWith('Cannot ') || err.code === 11000) {
+        return 409;
+    }
+    return 400;
+};
+
+/**
+ * List expense claims (HR)
+ */
+export const getExpenseClaims = async (req, res) => {
+    try {
+        const claims = await missionExpenseService.getClaims(req.tenantId, {
+            employee: req.query.employee,
+            status: req.query.status,
+            mission: req.query.mission,
+            payrollPeriod: req.query.payrollPeriod
+        });
+
+        res.json({ success: true, data: claims });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Get the expense claim of a mission with its totals
+ */
+export const getMissionExpenses = async (req, res) => {
+    try {
+        await missionExpenseService.assertCanManage(req.params.id, req.tenantId, req.user);
+        const result = await missionExpenseService.getClaim(req.params.id, req.tenantId);
+
+        res.json({ success: true, data: result });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Record the advance paid before travel (HR)
+ */
+export const recordMissionAdvance = async (req, res) => {
+    try {
+        const claim = await missionExpenseService.recordAdvance(req.params.id, req.body, req.tenantId, req.user.id);
+
+        res.json({ success: true, message: 'Advance recorded', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Add an expense with an optional receipt file ("receipt" field)
+ */
+export const addMissionExpense = async (req, res) => {
+    try {
+        await missionExpenseService.assertCanManage(req.params.id, req.tenantId, req.user);
+        const claim = await missionExpenseService.addExpense(req.params.id, req.body, req.file, req.tenantId);
+
+        res.status(201).json({ success: true, message: 'Expense added', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Remove an expense from a claim that has not been submitted
+ */
+export const removeMissionExpense = async (req, res) => {
+    try {
+        await missionExpenseService.assertCanManage(req.params.id, req.tenantId, req.user);
+        const claim = await missionExpenseService.removeExpense(req.params.id, req.params.expenseId, req.tenantId);
+
+        res.json({ success: true, message: 'Expense removed', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Submit the claim for review once the mission has ended
+ */
+export const submitMissionExpenses = async (req, res) => {
+    try {
+        await missionExpenseService.assertCanManage(req.params.id, req.tenantId, req.user);
+        const claim = await missionExpenseService.submitClaim(req.params.id, req.tenantId);
+
+        res.json({ success: true, message: 'Expense claim submitted', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Approve a submitted claim, optionally with approved amounts per expense (HR)
+ */
+export const approveMissionExpenses = async (req, res) => {
+    try {
+        const claim = await missionExpenseService.approveClaim(req.params.id, {
+            approvedAmounts: req.body.approvedAmounts,
+            notes: req.body.notes
+        }, req.tenantId, req.user.id);
+
+        res.json({ success: true, message: 'Expense claim approved', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Reject a submitted claim (HR)
+ */
+export const rejectMissionExpenses = async (req, res) => {
+    try {
+        const claim = await missionExpenseService.rejectClaim(req.params.id, req.body.reason, req.tenantId, req.user.id);
+
+        res.json({ success: true, message: 'Expense claim rejected', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Settle an approved claim against the advance into a payroll period (HR)
+ */
+export const settleMissionExpenses = async (req, res) => {
+    try {
+        const claim = await missionExpenseService.settleClaim(req.params.id, req.body.payrollPeriod, req.tenantId, req.user.id);
+
+        res.json({ success: true, message: 'Expense claim settled', data: claim });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * List per-diem rates
+ */
+export const getPerDiemRates = async (req, res) => {
+    try {
+        const rates = await missionExpenseService.getPerDiemRates(req.tenantId);
+
+        res.json({ success: true, data: rates });
+    } catch (err) {
+        res.status(500).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Create or replace the per-diem rate of a destination and grade (HR)
+ */
+export const savePerDiemRate = async (req, res) => {
+    try {
+        const rate = await missionExpenseService.savePerDiemRate(req.body, req.tenantId, req.user.id);
+
+        res.json({ success: true, message: 'Per-diem rate saved', data: rate });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
+
+/**
+ * Delete a per-diem rate (HR)
+ */
+export const deletePerDiemRate = async (req, res) => {
+    try {
+        await missionExpenseService.deletePerDiemRate(req.params.rateId, req.tenantId);
+
+        res.json({ success: true, message: 'Per-diem rate deleted' });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ success: false, message: err.message });
+    }
+};
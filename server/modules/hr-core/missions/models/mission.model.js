@@ -1,5 +1,7 @@
 // models/Mission.js
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { HR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
 
 const missionSchema = new mongoose.Schema({
   tenantId: {
@@ -306,4 +308,11 @@ missionSchema.index({ department: 1, startDate: 1 });
 missionSchema.index({ startDate: 1, endDate: 1 });
 missionSchema.index({ status: 1, createdAt: 1 });
 
+// Multi-step approval chain (see approvals/)
+missionSchema.plugin(approvalWorkflowPlugin, {
+  requestType: 'mission',
+  defaultApproverRoles: HR_APPROVER_ROLES,
+  metrics: (mission) => ({ duration: mission.duration })
+});
+
 export default mongoose.model('Mission', missionSchema);
@@ -0,0 +1,151 @@
+// models/MissionExpenseClaim.js
+import mongoose from 'mongoose';
+import { EXPENSE_CATEGORIES } from '../utils/missionExpenseCalculator.js';
+
+/**
+ * Mission Expense Claim Model
+ * Money side of a mission: the advance paid before travel, the expenses
+ * claimed with receipts after return, the per-diem and the settlement that
+ * is paid (or recovered) through payroll for a period.
+ *
+ * Lifecycle: draft -> submitted -> approved -> settled, or submitted -> rejected
+ * (a rejected claim can be edited and submitted again).
+ */
+const expenseSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: EXPENSE_CATEGORIES,
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  date: Date,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Set by the approver; null until the claim is reviewed
+  approvedAmount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  receipt: {
+    filename: {
+      type: String,
+      trim: true
+    },
+    url: String,
+    uploadedAt: Date
+  }
+});
+
+const missionExpenseClaimSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  mission: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Mission',
+    required: true
+  },
+  employee: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  currency: {
+    type: String,
+    default: 'EGP'
+  },
+  expenses: [expenseSchema],
+  // Rate applied when the claim was submitted, kept for audit
+  perDiem: {
+    destination: String,
+    grade: String,
+    dailyRate: { type: Number, default: 0 },
+    days: { type: Number, default: 0 },
+    amount: { type: Number, default: 0 },
+    includesMeals: { type: Boolean, default: false }
+  },
+  // Cash advance paid to the employee before travel
+  advance: {
+    amount: { type: Number, default: 0, min: 0 },
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reference: {
+      type: String,
+      trim: true
+    }
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected', 'settled'],
+    default: 'draft',
+    index: true
+  },
+  submittedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    trim: true
+  },
+  rejectionReason: {
+    type: String,
+    trim: true
+  },
+  // Balance is positive when owed to the employee, negative when the advance exceeds the claim
+  settlement: {
+    claimedTotal: Number,
+    approvedTotal: Number,
+    perDiemAmount: Number,
+    advanceAmount: Number,
+    balance: Number,
+    // Payroll period ('YYYY-MM') the settlement is paid in
+    payrollPeriod: {
+      type: String,
+      match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Payroll period must be in YYYY-MM format']
+    },
+    settledAt: Date,
+    settledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Claims the employee may still edit
+missionExpenseClaimSchema.virtual('isEditable').get(function () {
+  return ['draft', 'rejected'].includes(this.status);
+});
+
+// Static method to get the settled claims paid in a payroll period
+missionExpenseClaimSchema.statics.getSettledForPeriod = function (tenantId, employeeId, period) {
+  return this.find({
+    tenantId,
+    employee: employeeId,
+    status: 'settled',
+    'settlement.payrollPeriod': period
+  }).populate('mission', 'location startDate endDate');
+};
+
+missionExpenseClaimSchema.index({ tenantId: 1, mission: 1 }, { unique: true });
+missionExpenseClaimSchema.index({ tenantId: 1, status: 1, 'settlement.payrollPeriod': 1 });
+
+export default mongoose.model('MissionExpenseClaim', missionExpenseClaimSchema);
@@ -0,0 +1,64 @@
+// models/PerDiemRate.js
+import mongoose from 'mongoose';
+import { DEFAULT_DESTINATION, normalizeDestination } from '../utils/missionExpenseCalculator.js';
+
+/**
+ * Per-diem Rate Model
+ * Daily mission allowance by destination and job grade.
+ * Destination '*' is the fallback for locations without their own rate;
+ * an empty grade applies to every grade (see findPerDiemRate).
+ */
+const perDiemRateSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  destination: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200,
+    default: DEFAULT_DESTINATION,
+    set: normalizeDestination
+  },
+  // Matches employment.grade of the employee; null for all grades
+  grade: {
+    type: String,
+    trim: true,
+    default: null,
+    set: (value) => value || null
+  },
+  dailyRate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'EGP'
+  },
+  // Meal receipts are not reimbursed on top of a per-diem that covers meals
+  includesMeals: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+perDiemRateSchema.index({ tenantId: 1, destination: 1, grade: 1 }, { unique: true });
+
+export default mongoose.model('PerDiemRate', perDiemRateSchema);
@@ -8,8 +8,23 @@ import {
     approveMission,
     rejectMission
 } from './controllers/mission.controller.js';
+import {
+    getExpenseClaims,
+    getMissionExpenses,
+    recordMissionAdvance,
+    addMissionExpense,
+    removeMissionExpense,
+    submitMissionExpenses,
+    approveMissionExpenses,
+    rejectMissionExpenses,
+    settleMissionExpenses,
+    getPerDiemRates,
+    savePerDiemRate,
+    deletePerDiemRate
+} from './controllers/missionExpense.controller.js';
 import { requireAuth, requireRole } from '../../../shared/middleware/auth.js';
 import { ROLES } from '../../../shared/constants/modules.js';
+import receiptUpload from './config/multer.config.js';
 
 const router = express.Router();
 
@@ -22,11 +37,31 @@ router.get('/', getAllMissions);
 // Create mission - All authenticated users can create
 router.post('/', createMission);
 
-// Approve mission - HR/Admin only
-router.post('/:id/approve', requireRole(ROLES.ADMIN, ROLES.HR), approveMission);
+// Expense claims of all missions - HR
+router.get('/expenses', requireRole(ROLES.HR), getExpenseClaims);
+
+// Per-diem rates by destination and grade - all can view, HR manages
+router.get('/per-diem-rates', getPerDiemRates);
+router.post('/per-diem-rates', requireRole(ROLES.HR), savePerDiemRate);
+router.delete('/per-diem-rates/:rateId', requireRole(ROLES.HR), deletePerDiemRate);
+
+// Expense claim of a mission - the employee on the mission or HR
+router.get('/:id/expenses', getMissionExpenses);
+router.post('/:id/expenses/items', receiptUpload.single('receipt'), addMissionExpense);
+router.delete('/:id/expenses/items/:expenseId', removeMissionExpense);
+router.post('/:id/expenses/submit', submitMissionExpenses);
+
+// Advance, review and settlement of the expense claim - HR
+router.post('/:id/expenses/advance', requireRole(ROLES.HR), recordMissionAdvance);
+router.post('/:id/expenses/approve', requireRole(ROLES.HR), approveMissionExpenses);
+router.post('/:id/expenses/reject', requireRole(ROLES.HR), rejectMissionExpenses);
+router.post('/:id/expenses/settle', requireRole(ROLES.HR), settleMissionExpenses);
+
+// Approve mission - approvers of the current step in the approval chain
+router.post('/:id/approve', approveMission);
 
-// Reject mission - HR/Admin only
-router.post('/:id/reject', requireRole(ROLES.ADMIN, ROLES.HR), rejectMission);
+// Reject mission - approvers of the current step in the approval chain
+router.post('/:id/reject', rejectMission);
 
 // Get mission by ID - All authenticated users
 router.get('/:id', getMissionById);
@@ -0,0 +1,364 @@
+import mongoose from 'mongoose';
+import Mission from '../models/mission.model.js';
+import MissionExpenseClaim from '../models/missionExpenseClaim.model.js';
+import PerDiemRate from '../models/perDiemRate.model.js';
+import User from '../../users/models/user.model.js';
+import { ROLES, ROLE_HIERARCHY } from '../../../../shared/constants/modules.js';
+import {
+  EXPENSE_CATEGORIES,
+  calculatePerDiem,
+  defaultApprovedAmount,
+  findPerDiemRate,
+  summarizeClaim,
+  toPayrollItems
+} from '../utils/missionExpenseCalculator.js';
+
+/**
+ * Mission Expense Service - Advances, expense claims, per-diem and settlement
+ *
+ * One claim per mission. The advance can be recorded as soon as the mission
+ * is approved; expenses are added while the claim is a draft (or after a
+ * rejection), and a settled claim is paid through payroll in its period.
+ */
+class MissionExpenseService {
+  /**
+   * List claims, newest first
+   */
+  async getClaims(tenantId, filters = {}) {
+    const query = { tenantId };
+
+    ['employee', 'status', 'mission'].forEach(key => {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    });
+
+    if (filters.payrollPeriod) {
+      query['settlement.payrollPeriod'] = filters.payrollPeriod;
+    }
+
+    return await MissionExpenseClaim.find(query)
+      .populate('employee', 'username email employeeId personalInfo')
+      .populate('mission', 'location purpose startDate endDate status')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get the claim of a mission with its totals (null when nothing was recorded yet)
+   */
+  async getClaim(missionId, tenantId) {
+    const mission = await this._getMission(missionId, tenantId);
+    const claim = await MissionExpenseClaim.findOne({ tenantId, mission: mission._id });
+
+    return {
+      mission,
+      claim,
+      summary: claim ? summarizeClaim(claim) : null
+    };
+  }
+
+  /**
+   * Record the cash advance paid to the employee before travel
+   */
+  async recordAdvance(missionId, advanceData, tenantId, userId) {
+    const amount = Number(advanceData.amount);
+    if (!Number.isFinite(amount) || amount < 0) {
+      throw new Error('Advance amount must be a positive number');
+    }
+
+    const mission = await this._getMission(missionId, tenantId);
+    this._assertMissionApproved(mission);
+
+    const claim = await this._getOrCreateClaim(mission, tenantId);
+    if (['approved', 'settled'].includes(claim.status)) {
+      throw new Error(`Cannot change expense claim with status: ${claim.status}`);
+    }
+
+    claim.advance = {
+      amount,
+      paidAt: advanceData.paidAt ? new Date(advanceData.paidAt) : new Date(),
+      paidBy: userId,
+      reference: advanceData.reference
+    };
+
+    return await claim.save();
+  }
+
+  /**
+   * Add an expense, with its receipt, to the claim of a mission
+   */
+  async addExpense(missionId, expenseData, receipt, tenantId) {
+    if (!EXPENSE_CATEGORIES.includes(expenseData.category)) {
+      throw new Error(`Expense category must be one of: ${EXPENSE_CATEGORIES.join(', ')}`);
+    }
+
+    const amount = Number(expenseData.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Expense amount must be greater than zero');
+    }
+
+    const mission = await this._getMission(missionId, tenantId);
+    this._assertMissionApproved(mission);
+
+    const claim = await this._getOrCreateClaim(mission, tenantId);
+    this._assertEditable(claim);
+
+    claim.expenses.push({
+      category: expenseData.category,
+      description: expenseData.description,
+      date: expenseData.date ? new Date(expenseData.date) : undefined,
+      amount,
+      receipt: receipt
+        ? { filename: receipt.originalname, url: receipt.path, uploadedAt: new Date() }
+        : undefined
+    });
+
+    return await claim.save();
+  }
+
+  /**
+   * Remove an expense from a claim that is still editable
+   */
+  async removeExpense(missionId, expenseId, tenantId) {
+    const claim = await this._getExistingClaim(missionId, tenantId);
+    this._assertEditable(claim);
+
+    const expense = claim.expenses.id(expenseId);
+    if (!expense) {
+      throw new Error('Expense not found');
+    }
+
+    expense.deleteOne();
+    return await claim.save();
+  }
+
+  /**
+   * Submit a claim after return; the per-diem is calculated from the rate in force now
+   */
+  async submitClaim(missionId, tenantId) {
+    const mission = await this._getMission(missionId, tenantId);
+    this._assertMissionApproved(mission);
+
+    if (new Date(mission.endDate) > new Date()) {
+      throw new Error('Expense claims can be submitted once the mission has ended');
+    }
+
+    const claim = await this._getOrCreateClaim(mission, tenantId);
+    this._assertEditable(claim);
+
+    const employee = await User.findById(mission.employee).select('employment');
+    const grade = employee?.employment?.grade;
+    const rates = await PerDiemRate.find({ tenantId, isActive: true });
+    const rate = findPerDiemRate(rates, mission.location, grade);
+
+    claim.perDiem = calculatePerDiem(mission, rate, grade);
+    if (rate?.currency) {
+      claim.currency = rate.currency;
+    }
+    claim.expenses.forEach(expense => {
+      expense.approvedAmount = null;
+    });
+    claim.status = 'submitted';
+    claim.submittedAt = new Date();
+    claim.rejectionReason = undefined;
+
+    return await claim.save();
+  }
+
+  /**
+   * Approve a submitted claim
+   * @param {Object} decision
+   * @param {Object} [decision.approvedAmounts] - Approved amount by expense ID; others get their default
+   * @param {string} [decision.notes]
+   */
+  async approveClaim(missionId, decision, tenantId, userId) {
+    const claim = await this._getExistingClaim(missionId, tenantId);
+    this._assertStatus(claim, 'submitted');
+
+    const approvedAmounts = decision.approvedAmounts || {};
+
+    claim.expenses.forEach(expense => {
+      const requested = approvedAmounts[expense._id.toString()];
+      if (requested === undefined || requested === null) {
+        expense.approvedAmount = defaultApprovedAmount(expense, claim.perDiem);
+        return;
+      }
+
+      const approved = Number(requested);
+      if (!Number.isFinite(approved) || approved < 0 || approved > expense.amount) {
+        throw new Error('Approved amount must be between zero and the claimed amount');
+      }
+      expense.approvedAmount = approved;
+    });
+
+    claim.status = 'approved';
+    claim.reviewedBy = userId;
+    claim.reviewedAt = new Date();
+    claim.reviewNotes = decision.notes;
+
+    return await claim.save();
+  }
+
+  /**
+   * Reject a submitted claim so the employee can correct it
+   */
+  async rejectClaim(missionId, reason, tenantId, userId) {
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      throw new Error('Rejection reason is required');
+    }
+
+    const claim = await this._getExistingClaim(missionId, tenantId);
+    this._assertStatus(claim, 'submitted');
+
+    claim.status = 'rejected';
+    claim.reviewedBy = userId;
+    claim.reviewedAt = new Date();
+    claim.rejectionReason = reason.trim();
+
+    return await claim.save();
+  }
+
+  /**
+   * Settle an approved claim against the advance and pay it in a payroll period
+   * @param {string} [payrollPeriod] - 'YYYY-MM', defaults to the current month
+   */
+  async settleClaim(missionId, payrollPeriod, tenantId, userId) {
+    const claim = await this._getExistingClaim(missionId, tenantId);
+    this._assertStatus(claim, 'approved');
+
+    const now = new Date();
+    const summary = summarizeClaim(claim);
+    const period = payrollPeriod || `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+
+    // A processed run never picks the claim up again, so it would not be paid.
+    // The payroll module is optional; without it there is no run to check
+    if (mongoose.modelNames().includes('PayrollRun')) {
+      const run = await mongoose.model('PayrollRun').findActiveRun(tenantId, period);
+      if (run && run.status !== 'draft') {
+        throw new Error(`Cannot settle the expense claim into payroll ${period}: the payroll run is ${run.status}`);
+      }
+    }
+
+    claim.settlement = {
+      claimedTotal: summary.claimedTotal,
+      approvedTotal: summary.approvedTotal,
+      perDiemAmount: summary.perDiemAmount,
+      advanceAmount: summary.advanceAmount,
+      balance: summary.balance,
+      payrollPeriod: period,
+      settledAt: now,
+      settledBy: userId
+    };
+    claim.status = 'settled';
+
+    return await claim.save();
+  }
+
+  /**
+   * Payroll earnings and deductions of the claims settled for an employee in a period
+   */
+  async getPayrollItems(employeeId, period, tenantId) {
+    const claims = await MissionExpenseClaim.getSettledForPeriod(tenantId, employeeId, period);
+
+    return claims.reduce((items, claim) => {
+      const { earnings, deductions } = toPayrollItems(claim, claim.mission?.location);
+      items.earnings.push(...earnings);
+      items.deductions.push(...deductions);
+      return items;
+    }, { earnings: [], deductions: [] });
+  }
+
+  /**
+   * List the per-diem rates of a tenant
+   */
+  async getPerDiemRates(tenantId) {
+    return await PerDiemRate.find({ tenantId }).sort({ destination: 1, grade: 1 });
+  }
+
+  /**
+   * Create or replace the rate for a destination and grade
+   */
+  async savePerDiemRate(rateData, tenantId, userId) {
+    const data = { ...rateData };
+    delete data._id;
+    delete data.tenantId;
+
+    const rate = new PerDiemRate({ ...data, tenantId, updatedBy: userId });
+    await rate.validate();
+
+    return await PerDiemRate.findOneAndUpdate(
+      { tenantId, destination: rate.destination, grade: rate.grade },
+      { ...data, destination: rate.destination, grade: rate.grade, tenantId, updatedBy: userId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Delete a per-diem rate
+   */
+  async deletePerDiemRate(rateId, tenantId) {
+    const rate = await PerDiemRate.findOneAndDelete({ _id: rateId, tenantId });
+    if (!rate) {
+      throw new Error('Per-diem rate not found');
+    }
+    return rate;
+  }
+
+  /**
+   * Throw unless the user is the employee on the mission, or HR
+   */
+  async assertCanManage(missionId, tenantId, user) {
+    const mission = await this._getMission(missionId, tenantId);
+    const isOwner = mission.employee.toString() === String(user?.id);
+
+    if (!isOwner && !(ROLE_HIERARCHY[user?.role] >= ROLE_HIERARCHY[ROLES.HR])) {
+      throw new Error('You do not have permission to manage expenses of this mission');
+    }
+    return mission;
+  }
+
+  async _getMission(missionId, tenantId) {
+    const mission = await Mission.findOne({ _id: missionId, tenantId });
+    if (!mission) {
+      throw new Error('Mission not found');
+    }
+    return mission;
+  }
+
+  async _getExistingClaim(missionId, tenantId) {
+    const claim = await MissionExpenseClaim.findOne({ tenantId, mission: missionId });
+    if (!claim) {
+      throw new Error('Expense claim not found');
+    }
+    return claim;
+  }
+
+  async _getOrCreateClaim(mission, tenantId) {
+    const claim = await MissionExpenseClaim.findOne({ tenantId, mission: mission._id });
+    return claim || new MissionExpenseClaim({
+      tenantId,
+      mission: mission._id,
+      employee: mission.employee
+    });
+  }
+
+  _assertMissionApproved(mission) {
+    if (mission.status !== 'approved') {
+      throw new Error(`Cannot record expenses for mission with status: ${mission.status}`);
+    }
+  }
+
+  _assertEditable(claim) {
+    if (!claim.isEditable) {
+      throw new Error(`Cannot change expense claim with status: ${claim.status}`);
+    }
+  }
+
+  _assertStatus(claim, status) {
+    if (claim.status !== status) {
+      throw new Error(`Cannot change expense claim with status: ${claim.status}`);
+    }
+  }
+}
+
+export default MissionExpenseService;
@@ -0,0 +1,215 @@
+/**
+ * Mission Expense Calculator
+ *
+ * Pure helpers for mission expense claims: per-diem rate lookup by
+ * destination and grade, per-diem amounts, claim totals, settlement of the
+ * travel advance and the payroll lines a settled claim produces.
+ * No database access here so the rules can be unit tested in isolation.
+ */
+
+export const EXPENSE_CATEGORIES = ['transport', 'hotel', 'meals', 'other'];
+
+// Destination of the per-diem rate used when no rate matches the mission location
+export const DEFAULT_DESTINATION = '*';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Round a monetary amount to 2 decimals
+ */
+const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Normalize a destination for rate lookup ('  Cairo ' and 'cairo' match)
+ * @param {string} destination
+ * @returns {string}
+ */
+export const normalizeDestination = (destination) =>
+    String(destination || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Number of calendar days of a mission, first and last day included
+ * @param {Date|string} startDate
+ * @param {Date|string} endDate
+ * @returns {number}
+ */
+export const countMissionDays = (startDate, endDate) => {
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+        throw new Error('Mission start and end dates are required');
+    }
+
+    const startDay = Date.UTC(start.getFullYear(), start.getMonth(), start.getDate());
+    const endDay = Date.UTC(end.getFullYear(), end.getMonth(), end.getDate());
+    return Math.max(0, Math.round((endDay - startDay) / DAY_MS) + 1);
+};
+
+/**
+ * Find the per-diem rate for a destination and grade
+ *
+ * The most specific active rate wins: destination and grade, then
+ * destination for all grades, then the default destination for the grade,
+ * then the default destination for all grades.
+ *
+ * @param {Array<Object>} rates - Per-diem rates ({ destination, grade, dailyRate, isActive })
+ * @param {string} destination - Mission location
+ * @param {string} [grade] - Employee job grade
+ * @returns {Object|null}
+ */
+export const findPerDiemRate = (rates = [], destination, grade) => {
+    const place = normalizeDestination(destination);
+    const active = rates.filter(rate => rate.isActive !== false);
+    const matches = (rateDestination, rateGrade) => active.find(rate =>
+        normalizeDestination(rate.destination) === rateDestination && (rate.grade || null) === rateGrade
+    );
+
+    const candidates = [
+        grade ? [place, grade] : null,
+        [place, null],
+        grade ? [DEFAULT_DESTINATION, grade] : null,
+        [DEFAULT_DESTINATION, null]
+    ].filter(Boolean);
+
+    for (const [rateDestination, rateGrade] of candidates) {
+        const rate = matches(rateDestination, rateGrade);
+        if (rate) {
+            return rate;
+        }
+    }
+    return null;
+};
+
+/**
+ * Per-diem allowance of a mission
+ * @param {Object} mission - Mission ({ startDate, endDate, location })
+ * @param {Object|null} rate - Rate from findPerDiemRate
+ * @param {string} [grade]
+ * @returns {{ destination: string, grade: string|null, dailyRate: number, days: number, amount: number, includesMeals: boolean }}
+ */
+export const calculatePerDiem = (mission, rate, grade) => {
+    const days = countMissionDays(mission.startDate, mission.endDate);
+    const dailyRate = rate ? roundMoney(rate.dailyRate) : 0;
+
+    return {
+        destination: mission.location,
+        grade: grade || null,
+        dailyRate,
+        days,
+        amount: roundMoney(dailyRate * days),
+        includesMeals: rate ? rate.includesMeals !== false : false
+    };
+};
+
+/**
+ * Amount approved for an expense when the approver does not set one
+ *
+ * Meals are already paid through the per-diem when its rate includes them,
+ * so they are not reimbursed a second time.
+ *
+ * @param {Object} expense - { category, amount }
+ * @param {Object} [perDiem] - Per-diem of the claim
+ * @returns {number}
+ */
+export const defaultApprovedAmount = (expense, perDiem) => {
+    if (expense.category === 'meals' && perDiem?.includesMeals && perDiem.amount > 0) {
+        return 0;
+    }
+    return roundMoney(expense.amount);
+};
+
+/**
+ * Totals of a claim and the balance left after the travel advance
+ *
+ * A positive balance is owed to the employee; a negative balance is the
+ * part of the advance the employee has to pay back.
+ *
+ * @param {Object} claim - { expenses, perDiem, advance }
+ * @returns {{ claimedTotal: number, approvedTotal: number, perDiemAmount: number, advanceAmount: number, balance: number, byCategory: Object }}
+ */
+export const summarizeClaim = (claim = {}) => {
+    const expenses = claim.expenses || [];
+    const byCategory = Object.fromEntries(EXPENSE_CATEGORIES.map(category => [category, 0]));
+    let claimedTotal = 0;
+    let approvedTotal = 0;
+
+    expenses.forEach(expense => {
+        const approved = expense.approvedAmount ?? 0;
+        claimedTotal += expense.amount || 0;
+        approvedTotal += approved;
+        byCategory[expense.category] = roundMoney((byCategory[expense.category] || 0) + approved);
+    });
+
+    const perDiemAmount = roundMoney(claim.perDiem?.amount);
+    const advanceAmount = roundMoney(claim.advance?.amount);
+
+    return {
+        claimedTotal: roundMoney(claimedTotal),
+        approvedTotal: roundMoney(approvedTotal),
+        perDiemAmount,
+        advanceAmount,
+        balance: roundMoney(approvedTotal + perDiemAmount - advanceAmount),
+        byCategory
+    };
+};
+
+/**
+ * Payroll earnings and deductions of a settled claim
+ *
+ * Approved expenses and the per-diem are paid as non-taxable earnings and
+ * the advance is recovered as a deduction, so the payslip nets to the
+ * settlement balance.
+ *
+ * @param {Object} claim - Settled claim with settlement totals
+ * @param {string} [location] - Mission location, used in line names
+ * @returns {{ earnings: Array<Object>, deductions: Array<Object> }}
+ */
+export const toPayrollItems = (claim, location) => {
+    const settlement = claim.settlement || {};
+    const suffix = location ? ` - ${location}` : '';
+    const earnings = [];
+    const deductions = [];
+
+    if (settlement.approvedTotal > 0) {
+        earnings.push({
+            type: 'reimbursement',
+            name: `Mission expenses${suffix}`,
+            arabicName: 'مصروفات المأمورية',
+            amount: roundMoney(settlement.approvedTotal),
+            taxable: false
+        });
+    }
+
+    if (settlement.perDiemAmount > 0) {
+        earnings.push({
+            type: 'per-diem',
+            name: `Mission per-diem${suffix}`,
+            arabicName: 'بدل المأمورية',
+            amount: roundMoney(settlement.perDiemAmount),
+            taxable: false
+        });
+    }
+
+    if (settlement.advanceAmount > 0) {
+        deductions.push({
+            type: 'advance',
+            arabicName: 'استرداد سلفة المأمورية',
+            description: `Mission advance${suffix}`,
+            amount: roundMoney(settlement.advanceAmount)
+        });
+    }
+
+    return { earnings, deductions };
+};
+
+export default {
+    EXPENSE_CATEGORIES,
+    DEFAULT_DESTINATION,
+    normalizeDestination,
+    countMissionDays,
+    findPerDiemRate,
+    calculatePerDiem,
+    defaultApprovedAmount,
+    summarizeClaim,
+    toPayrollItems
+};
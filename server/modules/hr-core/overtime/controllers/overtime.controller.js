@@ -1,8 +1,10 @@
 // Overtime Controller
 import Overtime from '../models/overtime.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import User from '../../users/models/user.model.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
+
+const approvalWorkflowService = new ApprovalWorkflowService();
 
 /**
  * Get all overtime records with optional filtering
@@ -56,14 +58,12 @@ export const createOvertime = async (req, res) => {
         console.log('Request body:', JSON.stringify(req.body, null, 2));
 
         const overtime = new Overtime(req.body);
+        await approvalWorkflowService.start(overtime, { save: false });
         const savedOvertime = await overtime.save();
 
         // Create notification for supervisor/manager
         await createOvertimeNotification(savedOvertime, 'submitted');
 
-        // Send email notification to manager
-        await sendOvertimeRequestNotification(savedOvertime);
-
         res.status(201).json(savedOvertime);
     } catch (err) {
 
@@ -175,25 +175,26 @@ export const approveOvertime = async (req, res) => {
         }
 
         const { notes } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to approve (supervisor, HR, admin)
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(overtime, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to approve overtime'
+                error: 'You do not have permission to approve this overtime'
             });
         }
 
         // Approve the overtime
-        await overtime.approve(userId, notes);
+        const { completed } = await approvalWorkflowService.approve(overtime, req.user, notes);
+
+        // Still waiting for the next step of the chain
+        if (!completed) {
+            return res.json(overtime);
+        }
 
         // Create notification for employee
         await createOvertimeNotification(overtime, 'approved');
 
-        // Send email notification to employee
-        await sendOvertimeStatusUpdateNotification(overtime);
-
         res.json(overtime);
     } catch (err) {
 
@@ -222,13 +223,12 @@ export const rejectOvertime = async (req, res) => {
 
 
         const { reason } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to reject (supervisor, HR, admin)
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(overtime, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to reject overtime'
+                error: 'You do not have permission to reject this overtime'
             });
         }
 
@@ -256,14 +256,11 @@ export const rejectOvertime = async (req, res) => {
         }
 
         // Reject the overtime
-        await overtime.reject(userId, trimmedReason);
+        await approvalWorkflowService.reject(overtime, req.user, trimmedReason);
 
         // Create notification for employee
         await createOvertimeNotification(overtime, 'rejected');
 
-        // Send email notification to employee
-        await sendOvertimeStatusUpdateNotification(overtime);
-
         res.json(overtime);
     } catch (err) {
 
@@ -277,35 +274,38 @@ export const rejectOvertime = async (req, res) => {
  */
 async function createOvertimeNotification(overtime, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify manager/supervisor
             const employee = await User.findById(overtime.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Overtime Request';
             message = `New overtime request from ${employee.username || employee.email}`;
+            email = await buildOvertimeRequestEmail(overtime);
         } else if (type === 'approved' || type === 'rejected') {
             // Notify employee
             recipient = overtime.employee;
+            title = `Overtime Request ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             message = `Your overtime request has been ${type}`;
+            email = await buildOvertimeStatusUpdateEmail(overtime);
         }
 
         if (recipient) {
-            const notification = new Notification({
+            await notificationIntegrationService.notify(overtime.tenantId, {
                 recipient,
-                type: 'overtime',
+                type: 'request',
+                title,
                 message,
                 relatedModel: 'Overtime',
                 relatedId: overtime._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'overtime', action: type }
+            }, email);
 
             // Mark notification as sent in overtime
             if (!overtime.notifications) {
@@ -324,22 +324,22 @@ async function createOvertimeNotification(overtime, type) {
 }
 
 /**
- * Send overtime request notification to manager
+ * Email about a new overtime request, for the manager
  */
-async function sendOvertimeRequestNotification(overtime) {
+async function buildOvertimeRequestEmail(overtime) {
     try {
         // Get employee details
         const employee = await User.findById(overtime.employee).select('username email personalInfo');
         if (!employee) {
 
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
         // Get manager
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
 
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -450,29 +450,24 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send overtime status update notification to employee
+ * Email about a decision on a overtime request, for the employee
  */
-async function sendOvertimeStatusUpdateNotification(overtime) {
+async function buildOvertimeStatusUpdateEmail(overtime) {
     try {
         // Get employee details
         const employee = await User.findById(overtime.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
 
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -590,15 +585,10 @@ ${overtime.status === 'approved' && overtime.approverNotes ? `Approver Notes: ${
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
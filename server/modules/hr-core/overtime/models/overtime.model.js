@@ -1,5 +1,7 @@
 // models/Overtime.js
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { SUPERVISOR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
 
 const overtimeSchema = new mongoose.Schema({
   tenantId: {
@@ -282,4 +284,11 @@ overtimeSchema.index({ tenantId: 1, department: 1, status: 1 });
 overtimeSchema.index({ tenantId: 1, date: 1, status: 1 });
 overtimeSchema.index({ tenantId: 1, compensationType: 1, compensated: 1 });
 
+// Multi-step approval chain (see approvals/)
+overtimeSchema.plugin(approvalWorkflowPlugin, {
+  requestType: 'overtime',
+  defaultApproverRoles: SUPERVISOR_APPROVER_ROLES,
+  metrics: (overtime) => ({ hours: overtime.duration, type: overtime.compensationType })
+});
+
 export default mongoose.model('Overtime', overtimeSchema);
@@ -1,4 +1,5 @@
 import OvertimeRepository from '../../../../repositories/modules/OvertimeRepository.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
 
 /**
  * Overtime Service - Business logic layer for overtime operations
@@ -7,6 +8,7 @@ import OvertimeRepository from '../../../../repositories/modules/OvertimeReposit
 class OvertimeService {
   constructor() {
     this.overtimeRepository = new OvertimeRepository();
+    this.approvalWorkflowService = new ApprovalWorkflowService();
   }
 
   /**
@@ -44,6 +46,7 @@ class OvertimeService {
     }
 
     const overtime = await this.overtimeRepository.create(dataToCreate);
+    await this.approvalWorkflowService.start(overtime);
     
     // Return populated overtime
     return await this.overtimeRepository.findById(overtime._id, {
@@ -0,0 +1,133 @@
+// Data Subject Request Controller
+import DataSubjectRequestService from '../services/DataSubjectRequestService.js';
+
+const dataSubjectRequestService = new DataSubjectRequestService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already|expired/.test(err.message)) {
+        return 409;
+    }
+    if (/^Failed to process/.test(err.message)) {
+        return 500;
+    }
+    return 400;
+};
+
+/**
+ * Where employee data is searched
+ */
+export const getCategories = (req, res) => {
+    res.json({ categories: dataSubjectRequestService.getCategories() });
+};
+
+/**
+ * Requests
+ */
+export const getRequests = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await dataSubjectRequestService.getRequests(tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getRequest = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await dataSubjectRequestService.getRequest(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const createRequest = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const request = await dataSubjectRequestService.createRequest(req.body, tenantId, req.user, req);
+        res.status(201).json(request);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const rejectRequest = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await dataSubjectRequestService.rejectRequest(req.params.id, tenantId, req.body.reason, req.user, req));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * What an erasure would delete, anonymize and keep
+ */
+export const getErasurePlan = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await dataSubjectRequestService.getErasurePlan(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Build the export of an access request, or carry out an erasure
+ */
+export const processRequest = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await dataSubjectRequestService.processRequest(req.params.id, tenantId, req.user, req));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const downloadExport = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { filePath, fileName } = await dataSubjectRequestService.getExportFile(req.params.id, tenantId, req.user, req);
+        res.download(filePath, fileName);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
@@ -0,0 +1,95 @@
+// models/DataSubjectRequest.js
+import mongoose from 'mongoose';
+import { DSAR_STATUSES, DSAR_TYPES, ERASURE_ACTIONS } from '../utils/dsarEngine.js';
+
+/**
+ * Data Subject Request Model
+ * A GDPR request from an employee: an access request produces an archive of
+ * everything held about them, an erasure request deletes or anonymizes it
+ * except what a retention policy still requires.
+ * Lifecycle: pending -> processing -> completed | failed, or pending -> rejected.
+ */
+const categorySchema = new mongoose.Schema({
+    key: String,
+    label: String,
+    module: String,
+    // Records found; for erasures, before the erasure
+    count: {
+        type: Number,
+        default: 0
+    },
+    action: {
+        type: String,
+        enum: Object.values(ERASURE_ACTIONS)
+    },
+    erasedCount: Number,
+    heldCount: Number,
+    holdUntil: Date,
+    reason: String,
+    // Erasures: files the erased records referenced
+    files: {
+        erased: Number,
+        retained: Number,
+        retainedReason: String
+    }
+}, { _id: false });
+
+const dataSubjectRequestSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: DSAR_TYPES,
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DSAR_STATUSES,
+        default: 'pending'
+    },
+    // How the employee made the request (email, letter...) and any notes
+    channel: String,
+    notes: String,
+    dueDate: {
+        type: Date,
+        required: true
+    },
+    categories: [categorySchema],
+    // Access requests: the generated archive
+    export: {
+        fileName: String,
+        filePath: String,
+        fileSize: Number,
+        recordCount: Number,
+        expiresAt: Date
+    },
+    // Erasure requests: profile kept identifiable because records are held
+    restricted: Boolean,
+    rejectionReason: String,
+    error: String,
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedAt: Date,
+    completedAt: Date
+}, {
+    timestamps: true
+});
+
+dataSubjectRequestSchema.index({ tenantId: 1, status: 1, dueDate: 1 });
+dataSubjectRequestSchema.index({ tenantId: 1, employee: 1, type: 1 });
+
+export default mongoose.model('DataSubjectRequest', dataSubjectRequestSchema);
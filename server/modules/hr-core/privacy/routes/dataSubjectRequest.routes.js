@@ -0,0 +1,32 @@
+import express from 'express';
+import {
+    getCategories,
+    getRequests,
+    getRequest,
+    createRequest,
+    rejectRequest,
+    getErasurePlan,
+    processRequest,
+    downloadExport
+} from '../controllers/dataSubjectRequest.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+// HR records and answers requests
+router.use(requireAuth, requireRole(ROLES.HR));
+
+router.get('/categories', getCategories);
+
+router.get('/', getRequests);
+router.post('/', createRequest);
+router.get('/:id', getRequest);
+router.post('/:id/reject', rejectRequest);
+router.get('/:id/erasure-plan', getErasurePlan);
+router.get('/:id/download', downloadExport);
+
+// Exports and erasures are carried out by an admin
+router.post('/:id/process', requireRole(ROLES.ADMIN), processRequest);
+
+export default router;
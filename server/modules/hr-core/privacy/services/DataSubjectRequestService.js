@@ -0,0 +1,487 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import archiver from 'archiver';
+import DataSubjectRequest from '../models/dataSubjectRequest.model.js';
+import User from '../../users/models/user.model.js';
+import Tenant from '../../../../platform/tenants/models/Tenant.js';
+import DataRetentionPolicy from '../../../../models/DataRetentionPolicy.js';
+import auditLoggerService from '../../../../services/auditLogger.service.js';
+import { searchLogs } from '../../../../services/logSearch.service.js';
+import {
+  DATA_SOURCES,
+  DSAR_TYPES,
+  ERASURE_ACTIONS,
+  EXPORT_TTL_DAYS,
+  FILE_STORES,
+  OPEN_STATUSES,
+  buildExportManifest,
+  buildProfileErasure,
+  getDueDate,
+  getRecordFiles,
+  planErasure,
+  redactRecord,
+  resolveStoredFile
+} from '../utils/dsarEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const EMPLOYEE_FIELDS = 'username email employeeId personalInfo.fullName isActive status';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Company log files and their search index are append-only and shared by
+// every user of the tenant; their entries expire with the log retention policy
+const LOG_RETENTION_REASON = 'Application log files and their search index cannot be edited; entries are removed by the log retention policy';
+
+const FILE_RETENTION_REASON = 'Stored outside the application\'s file storage; remove it where it is kept';
+
+/**
+ * Data Subject Request Service - GDPR access and erasure requests
+ *
+ * HR records a request made by an employee and an admin processes it. Access
+ * requests collect every record about the employee, across the loaded modules,
+ * into a zip archive. Erasure requests delete those records, or anonymize the
+ * profile, except records a retention policy's legal minimum still holds.
+ */
+class DataSubjectRequestService {
+  constructor() {
+    this.storageDir = process.env.PRIVACY_EXPORT_DIR || path.join('storage', 'privacy-exports');
+    // Where the services that wrote them keep the files erased records reference
+    this.fileDirectories = {
+      [FILE_STORES.UPLOADS]: 'uploads',
+      [FILE_STORES.PAYSLIPS]: process.env.PAYSLIP_STORAGE_DIR || path.join('storage', 'payslips'),
+      [FILE_STORES.SETTLEMENTS]: process.env.SETTLEMENT_STORAGE_DIR || path.join('storage', 'settlements'),
+      [FILE_STORES.DOCUMENTS]: process.env.DOCUMENT_STORAGE_DIR || path.join('storage', 'documents')
+    };
+  }
+
+  /**
+   * Where employee data is searched, and whether each module is loaded
+   */
+  getCategories() {
+    const loaded = mongoose.modelNames();
+    return DATA_SOURCES.map(({ key, label, module, model, dataType, erasure }) => ({
+      key,
+      label,
+      module,
+      dataType,
+      erasure,
+      available: loaded.includes(model)
+    }));
+  }
+
+  async getRequests(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.status) query.status = filters.status;
+    if (filters.type) query.type = filters.type;
+    if (filters.employee) query.employee = filters.employee;
+
+    return await DataSubjectRequest.find(query)
+      .populate('employee', EMPLOYEE_FIELDS)
+      .populate('requestedBy processedBy', 'username personalInfo.fullName')
+      .sort({ createdAt: -1 });
+  }
+
+  async getRequest(requestId, tenantId) {
+    const request = await DataSubjectRequest.findOne({ _id: requestId, tenantId })
+      .populate('employee', EMPLOYEE_FIELDS)
+      .populate('requestedBy processedBy', 'username personalInfo.fullName');
+    if (!request) {
+      throw new Error('Data subject request not found');
+    }
+    return request;
+  }
+
+  async createRequest(data, tenantId, user, req = null) {
+    if (!DSAR_TYPES.includes(data.type)) {
+      throw new Error('Request type must be access or erasure');
+    }
+    if (!data.employee) {
+      throw new Error('Employee is required');
+    }
+
+    const employee = await User.findOne({ _id: data.employee, tenantId }).select('isActive status');
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+    // HR still needs the records of current employees to employ them
+    if (data.type === 'erasure' && employee.isActive !== false && !['resigned', 'inactive'].includes(employee.status)) {
+      throw new Error('Erasure is only possible for employees who have left; deactivate the employee first');
+    }
+
+    const open = await DataSubjectRequest.exists({ tenantId, employee: employee._id, type: data.type, status: { $in: OPEN_STATUSES } });
+    if (open) {
+      throw new Error(`An open ${data.type} request already exists for this employee`);
+    }
+
+    const userId = user?._id || user?.id;
+    const request = await DataSubjectRequest.create({
+      tenantId,
+      type: data.type,
+      employee: employee._id,
+      channel: data.channel,
+      notes: data.notes,
+      dueDate: getDueDate(data.receivedAt || new Date()),
+      requestedBy: userId
+    });
+
+    await this._audit(request, { action: 'create', userId }, req);
+
+    return request;
+  }
+
+  async rejectRequest(requestId, tenantId, reason, user, req = null) {
+    if (!reason || !String(reason).trim()) {
+      throw new Error('A reason is required to reject a request');
+    }
+
+    const request = await this.getRequest(requestId, tenantId);
+    if (request.status !== 'pending') {
+      throw new Error(`Request is already ${request.status}`);
+    }
+
+    request.status = 'rejected';
+    request.rejectionReason = reason;
+    request.processedBy = user?._id || user?.id;
+    request.processedAt = new Date();
+    await request.save();
+
+    await this._audit(request, { action: 'update', userId: request.processedBy, changes: { after: { status: 'rejected', reason } } }, req);
+
+    return request;
+  }
+
+  /**
+   * What an erasure request would delete, anonymize and keep
+   */
+  async getErasurePlan(requestId, tenantId) {
+    const request = await this.getRequest(requestId, tenantId);
+    if (request.type !== 'erasure') {
+      throw new Error('Only erasure requests have an erasure plan');
+    }
+
+    const { plan, profileHeld } = await this._planErasure(request);
+    return {
+      restricted: plan.restricted || profileHeld,
+      categories: plan.sources.map(({ erasableIds, ...source }) => ({ ...source, erasableCount: erasableIds.length }))
+    };
+  }
+
+  /**
+   * Carry out a request: build the export, or erase the data
+   */
+  async processRequest(requestId, tenantId, user, req = null) {
+    const userId = user?._id || user?.id;
+    const request = await DataSubjectRequest.findOneAndUpdate(
+      { _id: requestId, tenantId, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'processing', processedBy: userId, processedAt: new Date() }, $unset: { error: '' } },
+      { new: true }
+    );
+    if (!request) {
+      const existing = await this.getRequest(requestId, tenantId);
+      throw new Error(`Request is already ${existing.status}`);
+    }
+
+    try {
+      if (request.type === 'access') {
+        await this._exportData(request);
+      } else {
+        await this._erase(request);
+      }
+      request.status = 'completed';
+      request.completedAt = new Date();
+      await request.save();
+    } catch (error) {
+      request.status = 'failed';
+      request.error = error.message;
+      await request.save();
+
+      await this._audit(request, { action: 'update', userId, status: 'failure', errorMessage: error.message }, req);
+      throw new Error(`Failed to process the ${request.type} request: ${error.message}`);
+    }
+
+    await this._audit(request, {
+      action: request.type === 'access' ? 'export' : 'delete',
+      userId,
+      severity: request.type === 'erasure' ? 'critical' : 'high',
+      changes: { after: { status: request.status, categories: request.categories.map(({ key, count, action, erasedCount, heldCount }) => ({ key, count, action, erasedCount, heldCount })) } }
+    }, req);
+
+    return await this.getRequest(request._id, tenantId);
+  }
+
+  /**
+   * Archive of a completed access request
+   * @returns {Promise<{filePath: string, fileName: string}>}
+   */
+  async getExportFile(requestId, tenantId, user, req = null) {
+    const request = await this.getRequest(requestId, tenantId);
+    if (request.type !== 'access' || request.status !== 'completed' || !request.export?.filePath) {
+      throw new Error('Request has no export to download');
+    }
+    if (request.export.expiresAt && request.export.expiresAt <= new Date()) {
+      throw new Error('Export has expired; process a new access request');
+    }
+    if (!fs.existsSync(request.export.filePath)) {
+      throw new Error('Export file not found');
+    }
+
+    await this._audit(request, { action: 'read', userId: user?._id || user?.id, changes: { after: { downloaded: request.export.fileName } } }, req);
+
+    return { filePath: request.export.filePath, fileName: request.export.fileName };
+  }
+
+  /**
+   * Records of every loaded source that reference the employee
+   * @returns {Promise<Object>} { [sourceKey]: records }
+   */
+  async _collect(tenantId, employeeId, projection = null) {
+    const loaded = mongoose.modelNames();
+    const recordsBySource = {};
+    let tenantDocumentId;
+
+    for (const source of DATA_SOURCES) {
+      if (!loaded.includes(source.model)) continue;
+
+      const Model = mongoose.model(source.model);
+      const query = { [source.field]: employeeId };
+      const tenantPath = Model.schema.path('tenantId')?.instance;
+      if (tenantPath === 'String') {
+        query.tenantId = tenantId;
+      } else if (tenantPath === 'ObjectId') {
+        // Some platform models reference the tenant document instead of the tenant id
+        if (tenantDocumentId === undefined) {
+          tenantDocumentId = (await this._getTenant(tenantId))?._id || null;
+        }
+        query.tenantId = tenantDocumentId;
+      }
+
+      let find = Model.find(query).lean();
+      if (projection || source.select) find = find.select(projection || source.select);
+      recordsBySource[source.key] = await find;
+    }
+    return recordsBySource;
+  }
+
+  async _exportData(request) {
+    const employeeId = request.employee;
+    const recordsBySource = await this._collect(request.tenantId, employeeId);
+
+    const files = [];
+    const categories = DATA_SOURCES
+      .filter(source => recordsBySource[source.key])
+      .map(source => {
+        const records = recordsBySource[source.key];
+        files.push({ name: `${source.key}.json`, content: JSON.stringify(redactRecord(records), null, 2) });
+        return { key: source.key, label: source.label, module: source.module, count: records.length };
+      });
+
+    // Application log lines written about the employee's requests
+    try {
+      const logs = await searchLogs({ tenantId: request.tenantId, userId: String(employeeId), limit: 10000, bypassModuleSettings: true });
+      files.push({ name: 'applicationLogs.json', content: JSON.stringify(logs.entries, null, 2) });
+      categories.push({ key: 'applicationLogs', label: 'Application logs', module: 'hr-core', count: logs.entries.length });
+    } catch (error) {
+      logger.warn('Application logs not included in data export', { requestId: request._id, error: error.message });
+    }
+
+    const manifest = buildExportManifest(request, categories);
+    files.unshift({ name: 'manifest.json', content: JSON.stringify(manifest, null, 2) });
+
+    const fileName = `data-export-${employeeId}-${new Date().toISOString().slice(0, 10)}.zip`;
+    const filePath = path.join(this.storageDir, request.tenantId, `${request._id}.zip`);
+    await this._writeArchive(filePath, files);
+
+    request.categories = categories;
+    request.export = {
+      fileName,
+      filePath,
+      fileSize: fs.statSync(filePath).size,
+      recordCount: manifest.totalRecords,
+      expiresAt: new Date(Date.now() + EXPORT_TTL_DAYS * DAY_MS)
+    };
+  }
+
+  async _planErasure(request) {
+    const recordsBySource = await this._collect(request.tenantId, request.employee, '_id createdAt');
+
+    // Retention policies reference the tenant document, not the tenant id string
+    const tenant = await this._getTenant(request.tenantId);
+    const policies = tenant
+      ? await DataRetentionPolicy.find({ tenantId: tenant._id, status: 'active' }).lean()
+      : [];
+
+    const plan = planErasure(recordsBySource, policies);
+    const profile = plan.sources.find(source => source.key === 'profile');
+    return { plan, profileHeld: (profile?.heldCount || 0) > 0 };
+  }
+
+  async _erase(request) {
+    const { plan, profileHeld } = await this._planErasure(request);
+    const restricted = plan.restricted || profileHeld;
+
+    const categories = [];
+    const removedFiles = new Set();
+    for (const source of plan.sources) {
+      const definition = DATA_SOURCES.find(entry => entry.key === source.key);
+      let erasedCount = 0;
+      let files = [];
+
+      if (source.key === 'profile') {
+        // The profile is always anonymized; a held profile keeps its identity
+        const profile = await User.findOne({ _id: request.employee, tenantId: request.tenantId })
+          .select('personalInfo.profilePicture')
+          .lean();
+        files = getRecordFiles(source.key, profile);
+
+        const update = buildProfileErasure(String(request.employee), {
+          restricted,
+          password: `!erased-${crypto.randomBytes(32).toString('hex')}`
+        });
+        const result = await User.updateOne({ _id: request.employee, tenantId: request.tenantId }, update);
+        erasedCount = result.modifiedCount;
+      } else if (source.action === ERASURE_ACTIONS.DELETE && source.erasableIds.length > 0) {
+        const Model = mongoose.model(definition.model);
+        const records = await Model.find({ _id: { $in: source.erasableIds } }).lean();
+        files = records.flatMap(record => getRecordFiles(source.key, record));
+
+        const result = await Model.deleteMany({ _id: { $in: source.erasableIds } });
+        erasedCount = result.deletedCount;
+      }
+
+      const removed = await this._removeFiles(files, request.tenantId, removedFiles);
+
+      categories.push({
+        key: source.key,
+        label: source.label,
+        module: source.module,
+        count: source.total,
+        action: source.key === 'profile' ? ERASURE_ACTIONS.ANONYMIZE : source.action,
+        erasedCount,
+        heldCount: source.key === 'profile' ? 0 : source.heldCount,
+        holdUntil: source.holdUntil,
+        reason: source.key === 'profile' && restricted
+          ? 'Name and employee number kept for records under legal retention'
+          : source.reason,
+        ...(removed ? { files: removed } : {})
+      });
+    }
+
+    // Log lines about the employee stay until the log retention removes them
+    try {
+      const logs = await searchLogs({ tenantId: request.tenantId, userId: String(request.employee), limit: 10000, bypassModuleSettings: true });
+      categories.push({
+        key: 'applicationLogs',
+        label: 'Application logs',
+        module: 'hr-core',
+        count: logs.entries.length,
+        action: ERASURE_ACTIONS.RETAIN,
+        erasedCount: 0,
+        heldCount: logs.entries.length,
+        reason: LOG_RETENTION_REASON
+      });
+    } catch (error) {
+      logger.warn('Application logs not included in erasure report', { requestId: request._id, error: error.message });
+    }
+
+    // Earlier exports are copies of the erased data
+    const exports = await DataSubjectRequest.find({
+      tenantId: request.tenantId,
+      employee: request.employee,
+      type: 'access',
+      'export.filePath': { $exists: true }
+    });
+    for (const previous of exports) {
+      await fs.promises.rm(previous.export.filePath, { force: true });
+      previous.export = undefined;
+      await previous.save();
+    }
+
+    request.categories = categories;
+    request.restricted = restricted;
+  }
+
+  /**
+   * Delete the files of erased records
+   * Files outside the application's storage are counted as retained.
+   * @param {Array<{store: string, name: string}>} files
+   * @param {string} tenantId
+   * @param {Set<string>} removedFiles - Paths already handled by this erasure
+   * @returns {Promise<Object|null>} { erased, retained, retainedReason }, or null without files
+   */
+  async _removeFiles(files, tenantId, removedFiles) {
+    if (files.length === 0) return null;
+
+    // Generated files are kept per tenant; uploads share one directory
+    const directories = Object.fromEntries(Object.entries(this.fileDirectories)
+      .map(([store, directory]) => [store, store === FILE_STORES.UPLOADS ? directory : path.join(directory, tenantId)]));
+
+    const result = { erased: 0, retained: 0 };
+    for (const file of files) {
+      const filePath = resolveStoredFile(file, directories);
+      if (!filePath) {
+        result.retained += 1;
+        continue;
+      }
+      if (removedFiles.has(filePath)) continue;
+      removedFiles.add(filePath);
+
+      try {
+        await fs.promises.rm(filePath);
+        result.erased += 1;
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        logger.warn('File of an erased record not deleted', { tenantId, filePath, error: error.message });
+        result.retained += 1;
+      }
+    }
+
+    if (result.retained > 0) {
+      result.retainedReason = FILE_RETENTION_REASON;
+    }
+    return result;
+  }
+
+  async _getTenant(tenantId) {
+    return await Tenant.findOne({ tenantId }).select('_id').lean();
+  }
+
+  async _writeArchive(filePath, files) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const written = new Promise((resolve, reject) => {
+      output.on('close', resolve);
+      archive.on('error', reject);
+    });
+
+    archive.pipe(output);
+    files.forEach(file => archive.append(file.content, { name: file.name }));
+    await archive.finalize();
+    await written;
+  }
+
+  async _audit(request, entry, req) {
+    try {
+      await auditLoggerService.createAuditLog({
+        resource: 'DataSubjectRequest',
+        resourceId: request._id,
+        tenantId: request.tenantId,
+        module: 'hr-core',
+        category: 'compliance',
+        severity: 'high',
+        complianceFlags: { gdpr: true },
+        retentionPolicy: 'extended',
+        tags: ['dsar', request.type],
+        ...entry
+      }, req);
+    } catch (error) {
+      // The audit logger already recorded the failure; the request change stands
+      logger.warn('Data subject request audit entry not saved', { requestId: request._id, action: entry.action, error: error.message });
+    }
+  }
+}
+
+export default DataSubjectRequestService;
@@ -0,0 +1,367 @@
+/**
+ * Data Subject Request Engine
+ * Pure helpers behind GDPR data subject requests: where an employee's data
+ * lives, how each kind of record is erased and which records a retention
+ * policy still holds. The service loads and changes the records.
+ *
+ * Sources are looked up by model name so optional modules (payroll, clinic,
+ * insurance...) are only searched when they are loaded.
+ */
+
+import path from 'path';
+
+export const DSAR_TYPES = ['access', 'erasure'];
+
+export const DSAR_STATUSES = ['pending', 'processing', 'completed', 'rejected', 'failed'];
+
+export const OPEN_STATUSES = ['pending', 'processing'];
+
+// GDPR Art. 12(3): answer within one month
+export const RESPONSE_DAYS = 30;
+
+// How long a generated export can be downloaded
+export const EXPORT_TTL_DAYS = 30;
+
+export const ERASURE_ACTIONS = {
+    DELETE: 'delete',
+    ANONYMIZE: 'anonymize',
+    RETAIN: 'retain'
+};
+
+/**
+ * Collections holding data about an employee
+ * - field: the path referencing the employee
+ * - dataType: DataRetentionPolicy data type whose legal minimum retention applies
+ * - erasure: what an erasure request does with records no policy holds
+ * - select: fields hidden from queries by default that an export includes
+ */
+export const DATA_SOURCES = [
+    { key: 'profile', label: 'Employee profile', module: 'hr-core', model: 'User', field: '_id', dataType: 'user_data', erasure: ERASURE_ACTIONS.ANONYMIZE, select: '+bankDetails' },
+    { key: 'resignation', label: 'Resignation', module: 'hr-core', model: 'ResignedEmployee', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'checklists', label: 'Onboarding and offboarding checklists', module: 'hr-core', model: 'EmployeeChecklist', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'idCards', label: 'ID cards', module: 'hr-core', model: 'IDCard', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'requests', label: 'Requests', module: 'hr-core', model: 'Request', field: 'requestedBy', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'attendance', label: 'Attendance', module: 'attendance', model: 'Attendance', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'forgetChecks', label: 'Forgotten check-ins', module: 'attendance', model: 'ForgetCheck', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'shiftAssignments', label: 'Shift assignments', module: 'attendance', model: 'ShiftAssignment', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'overtime', label: 'Overtime', module: 'attendance', model: 'Overtime', field: 'employee', dataType: 'financial_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'permissions', label: 'Permissions', module: 'attendance', model: 'Permission', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'missions', label: 'Missions', module: 'hr-core', model: 'Mission', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'missionExpenses', label: 'Mission expense claims', module: 'hr-core', model: 'MissionExpenseClaim', field: 'employee', dataType: 'financial_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'vacations', label: 'Vacations', module: 'leave', model: 'Vacation', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'vacationBalances', label: 'Leave balances', module: 'leave', model: 'VacationBalance', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'sickLeaves', label: 'Sick leave', module: 'leave', model: 'SickLeave', field: 'employee', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'medicalProfile', label: 'Medical profile', module: 'clinic', model: 'MedicalProfile', field: 'userId', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'appointments', label: 'Clinic appointments', module: 'clinic', model: 'Appointment', field: 'patientId', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'prescriptions', label: 'Prescriptions', module: 'clinic', model: 'Prescription', field: 'patientId', dataType: 'employee_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'insurancePolicies', label: 'Insurance policies', module: 'life-insurance', model: 'InsurancePolicy', field: 'employeeId', dataType: 'insurance_policies', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'familyMembers', label: 'Insured family members', module: 'life-insurance', model: 'FamilyMember', field: 'employeeId', dataType: 'family_members', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'beneficiaries', label: 'Beneficiaries', module: 'life-insurance', model: 'Beneficiary', field: 'employeeId', dataType: 'beneficiaries', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'insuranceClaims', label: 'Insurance claims', module: 'life-insurance', model: 'InsuranceClaim', field: 'employeeId', dataType: 'insurance_claims', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'payslips', label: 'Payslips', module: 'payroll', model: 'Payroll', field: 'employee', dataType: 'financial_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'salaryStructure', label: 'Salary structure', module: 'payroll', model: 'SalaryStructure', field: 'employee', dataType: 'financial_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'endOfService', label: 'End of service settlements', module: 'payroll', model: 'EndOfServiceSettlement', field: 'employee', dataType: 'financial_records', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'documents', label: 'Documents', module: 'documents', model: 'Document', field: 'employee', dataType: 'documents', erasure: ERASURE_ACTIONS.DELETE },
+    { key: 'notifications', label: 'Notifications', module: 'communication', model: 'Notification', field: 'recipient', dataType: 'system_logs', erasure: ERASURE_ACTIONS.DELETE },
+    {
+        key: 'auditLogs',
+        label: 'Audit log',
+        module: 'hr-core',
+        model: 'AuditLog',
+        field: 'userId',
+        dataType: 'audit_logs',
+        erasure: ERASURE_ACTIONS.RETAIN,
+        // Entries are hash-chained; they expire with the audit log retention instead
+        retainReason: 'Audit log entries are tamper-evident and kept for their retention period'
+    }
+];
+
+// Never exported, even to the employee they belong to
+const SECRET_FIELDS = ['password', 'plainPassword', 'mfa', 'keyHash', 'secret', 'resetPasswordToken', 'resetPasswordExpire', '__v'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Date a data subject request has to be answered by
+ * @param {Date} requestedAt
+ * @returns {Date}
+ */
+export const getDueDate = (requestedAt = new Date()) => new Date(new Date(requestedAt).getTime() + RESPONSE_DAYS * DAY_MS);
+
+/**
+ * Add a retention period to a date
+ * @param {Date} date
+ * @param {Object} period - ({ value, unit: 'days'|'months'|'years' })
+ * @returns {Date}
+ */
+export const addPeriod = (date, { value, unit }) => {
+    const result = new Date(date);
+    if (unit === 'years') {
+        result.setUTCFullYear(result.getUTCFullYear() + value);
+    } else if (unit === 'months') {
+        result.setUTCMonth(result.getUTCMonth() + value);
+    } else {
+        result.setTime(result.getTime() + value * DAY_MS);
+    }
+    return result;
+};
+
+const minimumRetentionDays = (policy) => {
+    const { value, unit } = policy.legalRequirements?.minimumRetention || {};
+    if (!value || !unit) return 0;
+    return value * ({ days: 1, months: 30, years: 365 }[unit] || 1);
+};
+
+/**
+ * Active retention policy with the longest legal minimum for a data type
+ * @param {Array<Object>} policies - DataRetentionPolicy documents of the tenant
+ * @param {string} dataType
+ * @returns {Object|null}
+ */
+export const pickRetentionPolicy = (policies = [], dataType) => {
+    return policies
+        .filter(policy => policy.dataType === dataType && policy.status === 'active' && minimumRetentionDays(policy) > 0)
+        .sort((a, b) => minimumRetentionDays(b) - minimumRetentionDays(a))[0] || null;
+};
+
+/**
+ * Until when a policy's legal minimum retention holds a record
+ * @param {Object|null} policy
+ * @param {Date} recordDate
+ * @returns {Date|null} Null when no minimum applies
+ */
+export const getHoldUntil = (policy, recordDate) => {
+    const minimum = policy?.legalRequirements?.minimumRetention;
+    if (!minimum?.value || !minimum?.unit) return null;
+    return addPeriod(recordDate, minimum);
+};
+
+/**
+ * What an erasure does with the records of one source
+ * @param {Object} source - Entry of DATA_SOURCES
+ * @param {Array<Object>} records - ({ _id, createdAt })
+ * @param {Object|null} policy - Retention policy for the source's data type
+ * @param {Date} now
+ * @returns {{ key: string, label: string, action: string, total: number, erasableIds: Array, heldCount: number, holdUntil: Date|null, reason: string|null }}
+ */
+export const planSourceErasure = (source, records, policy, now = new Date()) => {
+    const plan = {
+        key: source.key,
+        label: source.label,
+        module: source.module,
+        action: source.erasure,
+        total: records.length,
+        erasableIds: [],
+        heldCount: 0,
+        holdUntil: null,
+        reason: null
+    };
+
+    if (source.erasure === ERASURE_ACTIONS.RETAIN) {
+        plan.heldCount = records.length;
+        plan.reason = source.retainReason || 'Retained';
+        return plan;
+    }
+
+    records.forEach(record => {
+        // Records without a date are held rather than guessed
+        const holdUntil = getHoldUntil(policy, record[source.dateField || 'createdAt'] || now);
+        if (holdUntil && holdUntil > now) {
+            plan.heldCount += 1;
+            if (!plan.holdUntil || holdUntil > plan.holdUntil) plan.holdUntil = holdUntil;
+        } else {
+            plan.erasableIds.push(record._id);
+        }
+    });
+
+    if (plan.heldCount > 0) {
+        const { value, unit } = policy.legalRequirements.minimumRetention;
+        plan.reason = `Retention policy "${policy.policyName}" requires keeping ${source.dataType.replace(/_/g, ' ')} for ${value} ${unit}`;
+    }
+    return plan;
+};
+
+/**
+ * Plan an erasure across all sources
+ * @param {Object} recordsBySource - { [sourceKey]: records }, only for sources that were searched
+ * @param {Array<Object>} policies - DataRetentionPolicy documents of the tenant
+ * @param {Date} now
+ * @returns {{ sources: Array<Object>, restricted: boolean }} restricted when any record is held and the profile must stay identifiable
+ */
+export const planErasure = (recordsBySource, policies = [], now = new Date()) => {
+    const sources = DATA_SOURCES
+        .filter(source => recordsBySource[source.key])
+        .map(source => planSourceErasure(source, recordsBySource[source.key], pickRetentionPolicy(policies, source.dataType), now));
+
+    // Retained audit entries only reference the user id, so they don't need the profile
+    const restricted = sources.some(source => source.key !== 'profile' && source.action !== ERASURE_ACTIONS.RETAIN && source.heldCount > 0);
+    return { sources, restricted };
+};
+
+/**
+ * Update that erases an employee profile
+ *
+ * A restricted erasure keeps the name and employee number that held records
+ * (payslips, settlements...) need, and removes everything else personal.
+ * @param {string} userId
+ * @param {Object} options - ({ restricted, password }) password: unusable replacement value
+ * @returns {Object} MongoDB update
+ */
+export const buildProfileErasure = (userId, { restricted = false, password }) => {
+    const update = {
+        $set: {
+            isActive: false,
+            status: 'inactive',
+            password
+        },
+        $unset: {
+            plainPassword: '',
+            mfa: '',
+            bankDetails: '',
+            lastLogin: '',
+            'personalInfo.dateOfBirth': '',
+            'personalInfo.gender': '',
+            'personalInfo.nationality': '',
+            'personalInfo.phone': '',
+            'personalInfo.address': '',
+            'personalInfo.maritalStatus': '',
+            'personalInfo.profilePicture': ''
+        }
+    };
+
+    if (!restricted) {
+        update.$set.username = `erased-${userId}`;
+        update.$set.email = `erased-${userId}@erased.invalid`;
+        update.$set.personalInfo = { fullName: 'Erased employee' };
+        update.$unset = {
+            plainPassword: '',
+            mfa: '',
+            bankDetails: '',
+            lastLogin: '',
+            employeeId: ''
+        };
+    }
+    return update;
+};
+
+// Where files referenced by records are kept: uploads (multer paths and
+// /uploads URLs) or the storage directory of the service that generated them
+export const FILE_STORES = {
+    UPLOADS: 'uploads',
+    PAYSLIPS: 'payslips',
+    SETTLEMENTS: 'settlements',
+    DOCUMENTS: 'documents'
+};
+
+// Generated documents are registered with the type of the service that wrote them
+const DOCUMENT_STORES = {
+    payslip: FILE_STORES.PAYSLIPS,
+    settlement: FILE_STORES.SETTLEMENTS
+};
+
+const uploaded = (reference) => (reference ? { store: FILE_STORES.UPLOADS, name: reference } : null);
+const stored = (store, fileName) => (fileName ? { store, name: fileName } : null);
+
+const FILE_REFERENCES = {
+    profile: record => [uploaded(record.personalInfo?.profilePicture)],
+    resignation: record => [uploaded(record.resignationLetter?.url)],
+    missions: record => (record.attachments || []).map(file => uploaded(file.url)),
+    missionExpenses: record => (record.expenses || []).map(expense => uploaded(expense.receipt?.url)),
+    vacations: record => (record.attachments || []).map(file => uploaded(file.url)),
+    sickLeaves: record => (record.documents || []).map(file => uploaded(file.url)),
+    insuranceClaims: record => (record.documents || [])
+        .map(file => uploaded(file.filename && `uploads/insurance-documents/${file.filename}`)),
+    endOfService: record => [stored(FILE_STORES.SETTLEMENTS, record.document?.fileName)],
+    documents: record => {
+        if (DOCUMENT_STORES[record.type]) return [stored(DOCUMENT_STORES[record.type], record.fileName)];
+        if (record.template) return [stored(FILE_STORES.DOCUMENTS, record.fileName)];
+        return [uploaded(record.fileUrl)];
+    }
+};
+
+/**
+ * Files a record of a source references (uploads, generated PDFs...)
+ * @param {string} sourceKey - Key of a DATA_SOURCES entry
+ * @param {Object} record - Plain record
+ * @returns {Array<{store: string, name: string}>}
+ */
+export const getRecordFiles = (sourceKey, record) => (FILE_REFERENCES[sourceKey]?.(record || {}) || []).filter(Boolean);
+
+/**
+ * Path on disk of a referenced file
+ * @param {{store: string, name: string}} file
+ * @param {Object} directories - Directory of each FILE_STORES store
+ * @returns {string|null} Absolute path, or null when the file is not in the
+ *   application's storage (external URL, path outside its store)
+ */
+export const resolveStoredFile = (file, directories) => {
+    const base = directories[file.store];
+    if (!base || !file.name) return null;
+
+    let name = file.name;
+    if (file.store === FILE_STORES.UPLOADS) {
+        const match = /^\/?uploads\/(.+)$/.exec(name.replace(/\\/g, '/'));
+        if (!match) return null;
+        name = match[1];
+    }
+
+    const root = path.resolve(base);
+    const target = path.resolve(root, name);
+    return target.startsWith(root + path.sep) ? target : null;
+};
+
+/**
+ * Copy of a record that is safe to hand over: secrets removed
+ * @param {Object} record - Plain object
+ * @returns {Object}
+ */
+export const redactRecord = (record) => {
+    if (Array.isArray(record)) return record.map(redactRecord);
+    if (!record || typeof record !== 'object' || record instanceof Date) return record;
+    if (record._bsontype || typeof record.toHexString === 'function') return String(record);
+
+    return Object.fromEntries(
+        Object.entries(record)
+            .filter(([key]) => !SECRET_FIELDS.includes(key))
+            .map(([key, value]) => [key, redactRecord(value)])
+    );
+};
+
+/**
+ * Manifest written at the top of an access export
+ * @param {Object} request - ({ _id, tenantId, employee, createdAt })
+ * @param {Array<Object>} categories - ({ key, label, module, count })
+ * @param {Date} generatedAt
+ * @returns {Object}
+ */
+export const buildExportManifest = (request, categories, generatedAt = new Date()) => ({
+    requestId: String(request._id),
+    tenantId: request.tenantId,
+    employee: String(request.employee?._id || request.employee),
+    requestedAt: request.createdAt,
+    generatedAt,
+    totalRecords: categories.reduce((sum, category) => sum + category.count, 0),
+    categories: categories.map(({ key, label, module, count }) => ({ key, label, module, count, file: `${key}.json` }))
+});
+
+export default {
+    DSAR_TYPES,
+    DSAR_STATUSES,
+    OPEN_STATUSES,
+    RESPONSE_DAYS,
+    EXPORT_TTL_DAYS,
+    ERASURE_ACTIONS,
+    DATA_SOURCES,
+    FILE_STORES,
+    getDueDate,
+    addPeriod,
+    pickRetentionPolicy,
+    getHoldUntil,
+    planSourceErasure,
+    planErasure,
+    buildProfileErasure,
+    getRecordFiles,
+    resolveStoredFile,
+    redactRecord,
+    buildExportManifest
+};
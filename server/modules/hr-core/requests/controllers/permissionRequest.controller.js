@@ -1,10 +1,12 @@
 // Permission Request Controller
 import Permission from '../models/permission.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import User from '../../users/models/user.model.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
 import mongoose from 'mongoose';
 
+const approvalWorkflowService = new ApprovalWorkflowService();
+
 /**
  * Get all permission requests with optional filtering
  */
@@ -136,14 +138,13 @@ export const createPermissionRequest = async (req, res) => {
 
         const permission = new Permission(permissionData);
         
+        await approvalWorkflowService.start(permission, { save: false });
+        
         const savedPermission = await permission.save();
 
         // Create notification for supervisor/manager
         await createPermissionNotification(savedPermission, 'submitted');
 
-        // Send email notification to manager
-        await sendPermissionRequestNotification(savedPermission);
-
         res.status(201).json({
             success: true,
             data: savedPermission
@@ -325,25 +326,26 @@ export const approvePermissionRequest = async (req, res) => {
         }
 
         const { notes } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to approve (supervisor, HR, admin)
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(permission, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to approve permission requests'
+                error: 'You do not have permission to approve this permission request'
             });
         }
 
         // Approve the permission request
-        await permission.approve(userId, notes);
+        const { completed } = await approvalWorkflowService.approve(permission, req.user, notes);
+
+        // Still waiting for the next step of the chain
+        if (!completed) {
+            return res.json(permission);
+        }
 
         // Create notification for employee
         await createPermissionNotification(permission, 'approved');
 
-        // Send email notification to employee
-        await sendPermissionStatusUpdateNotification(permission);
-
         res.json(permission);
     } catch (err) {
         console.error('Approve permission request error:', err);
@@ -371,13 +373,12 @@ export const rejectPermissionRequest = async (req, res) => {
         }
 
         const { reason } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to reject (supervisor, HR, admin)
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(permission, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to reject permission requests'
+                error: 'You do not have permission to reject this permission request'
             });
         }
 
@@ -402,14 +403,11 @@ export const rejectPermissionRequest = async (req, res) => {
         }
 
         // Reject the permission request
-        await permission.reject(userId, trimmedReason);
+        await approvalWorkflowService.reject(permission, req.user, trimmedReason);
 
         // Create notification for employee
         await createPermissionNotification(permission, 'rejected');
 
-        // Send email notification to employee
-        await sendPermissionStatusUpdateNotification(permission);
-
         res.json(permission);
     } catch (err) {
         console.error('Reject permission request error:', err);
@@ -422,35 +420,38 @@ export const rejectPermissionRequest = async (req, res) => {
  */
 async function createPermissionNotification(permission, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify manager/supervisor
             const employee = await User.findById(permission.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Permission Request';
             message = `New permission request from ${employee.username || employee.email}`;
+            email = await buildPermissionRequestEmail(permission);
         } else if (type === 'approved' || type === 'rejected') {
             // Notify employee
             recipient = permission.employee;
+            title = `Permission Request ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             message = `Your permission request has been ${type}`;
+            email = await buildPermissionStatusUpdateEmail(permission);
         }
 
         if (recipient) {
-            const notification = new Notification({
+            await notificationIntegrationService.notify(permission.tenantId, {
                 recipient,
                 type: 'permission',
+                title,
                 message,
                 relatedModel: 'Permission',
                 relatedId: permission._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'permission', action: type }
+            }, email);
 
             // Mark notification as sent in permission
             if (!permission.notifications) {
@@ -469,22 +470,22 @@ async function createPermissionNotification(permission, type) {
 }
 
 /**
- * Send permission request notification to manager
+ * Email about a new permission request, for the manager
  */
-async function sendPermissionRequestNotification(permission) {
+async function buildPermissionRequestEmail(permission) {
     try {
         // Get employee details
         const employee = await User.findById(permission.employee).select('username email personalInfo');
         if (!employee) {
             console.log('Employee not found for permission request notification');
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
         // Get manager
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
             console.log('Manager not found or has no email for permission request notification');
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -596,29 +597,24 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
         console.error('Send permission request notification error:', error);
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send permission status update notification to employee
+ * Email about a decision on a permission request, for the employee
  */
-async function sendPermissionStatusUpdateNotification(permission) {
+async function buildPermissionStatusUpdateEmail(permission) {
     try {
         // Get employee details
         const employee = await User.findById(permission.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
             console.log('Employee not found or has no email for permission status notification');
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -734,15 +730,10 @@ ${permission.status === 'approved' && permission.approval?.comments ? `Approver
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
         console.error('Send permission status update notification error:', error);
-        return { success: false, error: error.message };
+        return null;
     }
 }
\ No newline at end of file
@@ -1,9 +1,8 @@
 // Request Controller
 import Request from '../models/request.model.js';
 import User from '../../users/models/user.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
 import { createPermissionNotification } from '../../../../middleware/index.js';
-import { sendEmail, getEmployeeManager, getHREmployee, getDoctor } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import {
     newRequestNotificationTemplate,
     sickLeaveRequestToDoctorTemplate,
@@ -11,6 +10,10 @@ import {
     reminderNotificationTemplate,
     sickLeaveApprovalNotificationTemplate
 } from '../utils/requestEmailTemplates.js';
+import { getUserLanguage } from '../../../../core/i18n/index.js';
+
+// Employee fields used by request notifications and their emails
+const NOTIFICATION_EMPLOYEE_FIELDS = 'username email profile personalInfo preferences department';
 
 export const getAllRequests = async (req, res) => {
     try {
@@ -27,7 +30,7 @@ export const createRequest = async (req, res) => {
         const savedRequest = await request.save();
         
         // Populate employee details for notifications
-        await savedRequest.populate('requestedBy', 'username email profile department');
+        await savedRequest.populate('requestedBy', NOTIFICATION_EMPLOYEE_FIELDS);
         
         // Send email notifications based on request type
         await sendRequestNotifications(savedRequest, 'created');
@@ -59,7 +62,7 @@ export const updateRequest = async (req, res) => {
         if (!oldRequest) return res.status(404).json({ error: 'Request not found' });
 
         const previousStatus = oldRequest.status;
-        const request = await Request.findByIdAndUpdate(req.params.id, req.body, { new: true }).populate('requestedBy', 'username email profile department');
+        const request = await Request.findByIdAndUpdate(req.params.id, req.body, { new: true }).populate('requestedBy', NOTIFICATION_EMPLOYEE_FIELDS);
 
         // Handle notification if status changed and it's a permission request
         if (previousStatus !== request.status && request.requestType === 'permission') {
@@ -129,59 +132,36 @@ async function handleSickLeaveNotifications(request, employee, action, previousS
     switch (action) {
         case 'created':
             // Send to doctor for medical review
-            const doctor = await getDoctor();
-            if (doctor && doctor.email) {
-                const emailTemplate = sickLeaveRequestToDoctorTemplate(request, employee);
-                await sendEmail({
-                    to: doctor.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
+            const doctor = await notificationIntegrationService.getDoctor(request.tenantId);
+            if (doctor) {
+                const emailTemplate = sickLeaveRequestToDoctorTemplate(request, employee, getUserLanguage(doctor));
+                await notifyRequestUser(request, doctor, emailTemplate);
             }
             break;
             
         case 'updated':
             // If doctor approved, notify manager and HR
             if (previousStatus === 'pending' && request.status === 'approved') {
-                const doctor = await getDoctor();
+                const doctor = await notificationIntegrationService.getDoctor(request.tenantId);
                 // Notify manager
-                const manager = await getEmployeeManager(employee);
-                if (manager && manager.email) {
-                    const emailTemplate = sickLeaveApprovalNotificationTemplate(request, employee, doctor);
-                    await sendEmail({
-                        to: manager.email,
-                        subject: emailTemplate.subject,
-                        html: emailTemplate.html,
-                        text: emailTemplate.text
-                    });
+                const manager = await notificationIntegrationService.getEmployeeManager(employee);
+                if (manager) {
+                    const emailTemplate = sickLeaveApprovalNotificationTemplate(request, employee, doctor, getUserLanguage(manager));
+                    await notifyRequestUser(request, manager, emailTemplate);
                 }
                 
                 // Notify HR
-                const hrEmployee = await getHREmployee();
-                if (hrEmployee && hrEmployee.email) {
-                    const emailTemplate = sickLeaveApprovalNotificationTemplate(request, employee, doctor);
-                    await sendEmail({
-                        to: hrEmployee.email,
-                        subject: emailTemplate.subject,
-                        html: emailTemplate.html,
-                        text: emailTemplate.text
-                    });
+                const hrEmployee = await notificationIntegrationService.getHREmployee(request.tenantId);
+                if (hrEmployee) {
+                    const emailTemplate = sickLeaveApprovalNotificationTemplate(request, employee, doctor, getUserLanguage(hrEmployee));
+                    await notifyRequestUser(request, hrEmployee, emailTemplate);
                 }
             }
             
             // Notify employee of final decision
             if (['approved', 'rejected'].includes(request.status) && previousStatus !== request.status) {
-                const emailTemplate = requestApprovalNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: employee.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
-                
-                // Create in-app notification
-                await createRequestStatusNotification(request, employee);
+                // Create in-app notification, with the decision email
+                await createRequestStatusNotification(request, employee, requestApprovalNotificationTemplate(request, employee));
             }
             break;
     }
@@ -194,43 +174,25 @@ async function handleDaySwapNotifications(request, employee, action, previousSta
     switch (action) {
         case 'created':
             // Notify manager
-            const manager = await getEmployeeManager(employee);
-            if (manager && manager.email) {
-                const emailTemplate = newRequestNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: manager.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
+            if (manager) {
+                const emailTemplate = newRequestNotificationTemplate(request, employee, getUserLanguage(manager));
+                await notifyRequestUser(request, manager, emailTemplate);
             }
             
             // Notify HR
-            const hrEmployee = await getHREmployee();
-            if (hrEmployee && hrEmployee.email) {
-                const emailTemplate = newRequestNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: hrEmployee.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
+            const hrEmployee = await notificationIntegrationService.getHREmployee(request.tenantId);
+            if (hrEmployee) {
+                const emailTemplate = newRequestNotificationTemplate(request, employee, getUserLanguage(hrEmployee));
+                await notifyRequestUser(request, hrEmployee, emailTemplate);
             }
             break;
             
         case 'updated':
             // Notify employee of decision
             if (['approved', 'rejected'].includes(request.status) && previousStatus !== request.status) {
-                const emailTemplate = requestApprovalNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: employee.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
-                
-                // Create in-app notification
-                await createRequestStatusNotification(request, employee);
+                // Create in-app notification, with the decision email
+                await createRequestStatusNotification(request, employee, requestApprovalNotificationTemplate(request, employee));
             }
             break;
     }
@@ -243,40 +205,27 @@ async function handleGeneralRequestNotifications(request, employee, action, prev
     switch (action) {
         case 'created':
             // Notify manager
-            const manager = await getEmployeeManager(employee);
-            if (manager && manager.email) {
-                const emailTemplate = newRequestNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: manager.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
+            if (manager) {
+                const emailTemplate = newRequestNotificationTemplate(request, employee, getUserLanguage(manager));
+                await notifyRequestUser(request, manager, emailTemplate);
             }
             break;
             
         case 'updated':
             // Notify employee of decision
             if (['approved', 'rejected'].includes(request.status) && previousStatus !== request.status) {
-                const emailTemplate = requestApprovalNotificationTemplate(request, employee);
-                await sendEmail({
-                    to: employee.email,
-                    subject: emailTemplate.subject,
-                    html: emailTemplate.html,
-                    text: emailTemplate.text
-                });
-                
-                // Create in-app notification
-                await createRequestStatusNotification(request, employee);
+                // Create in-app notification, with the decision email
+                await createRequestStatusNotification(request, employee, requestApprovalNotificationTemplate(request, employee));
             }
             break;
     }
 }
 
 /**
- * Create in-app notification for request status change
+ * Notify the employee of a decision on their request
  */
-async function createRequestStatusNotification(request, employee) {
+async function createRequestStatusNotification(request, employee, emailTemplate) {
     try {
         // Only create notification for final statuses (approved/rejected)
         if (!['approved', 'rejected'].includes(request.status)) {
@@ -292,7 +241,7 @@ async function createRequestStatusNotification(request, employee) {
             message += ` Reason: ${request.comments}`;
         }
         
-        const notification = new Notification({
+        await notificationIntegrationService.notify(request.tenantId, {
             recipient: employee._id,
             type: 'request',
             title,
@@ -300,9 +249,7 @@ async function createRequestStatusNotification(request, employee) {
             status: request.status,
             relatedModel: 'Request',
             relatedId: request._id
-        });
-        
-        await notification.save();
+        }, emailTemplate);
     } catch (error) {
 
     }
@@ -313,42 +260,44 @@ async function createRequestStatusNotification(request, employee) {
  */
 async function sendPendingRequestReminder(request, employee) {
     // Notify manager
-    const manager = await getEmployeeManager(employee);
-    if (manager && manager.email) {
+    const manager = await notificationIntegrationService.getEmployeeManager(employee);
+    if (manager) {
         const emailTemplate = reminderNotificationTemplate(request, manager, 'Manager');
-        await sendEmail({
-            to: manager.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, manager, emailTemplate);
     }
     
     // For sick leave requests, also remind the doctor
     if (request.requestType === 'sick-leave') {
-        const doctor = await getDoctor();
-        if (doctor && doctor.email) {
+        const doctor = await notificationIntegrationService.getDoctor(request.tenantId);
+        if (doctor) {
             const emailTemplate = reminderNotificationTemplate(request, doctor, 'Doctor');
-            await sendEmail({
-                to: doctor.email,
-                subject: emailTemplate.subject,
-                html: emailTemplate.html,
-                text: emailTemplate.text
-            });
+            await notifyRequestUser(request, doctor, emailTemplate);
         }
     }
     
     // For day swap requests, also remind HR
     if (request.requestType === 'day-swap') {
-        const hrEmployee = await getHREmployee();
-        if (hrEmployee && hrEmployee.email) {
+        const hrEmployee = await notificationIntegrationService.getHREmployee(request.tenantId);
+        if (hrEmployee) {
             const emailTemplate = reminderNotificationTemplate(request, hrEmployee, 'HR');
-            await sendEmail({
-                to: hrEmployee.email,
-                subject: emailTemplate.subject,
-                html: emailTemplate.html,
-                text: emailTemplate.text
-            });
+            await notifyRequestUser(request, hrEmployee, emailTemplate);
         }
     }
-}
\ No newline at end of file
+}
+
+/**
+ * Notify a user about a request; the email goes out if the user receives request emails
+ */
+async function notifyRequestUser(request, user, emailTemplate) {
+    const employee = request.requestedBy;
+    const employeeName = employee?.profile?.firstName || employee?.username || 'an employee';
+
+    await notificationIntegrationService.notify(request.tenantId, {
+        recipient: user._id,
+        type: 'request',
+        title: emailTemplate.subject,
+        message: `${request.requestType} request from ${employeeName} is ${request.status}`,
+        relatedModel: 'Request',
+        relatedId: request._id
+    }, emailTemplate);
+}
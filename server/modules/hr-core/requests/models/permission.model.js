@@ -12,6 +12,8 @@
  * - Time duration calculation
  */
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { SUPERVISOR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
 
 const permissionSchema = new mongoose.Schema({
   // Tenant ID for multi-tenant data isolation
@@ -420,4 +422,14 @@ permissionSchema.index({ status: 1, createdAt: 1 });
 permissionSchema.index({ attendanceAdjusted: 1, status: 1 });
 permissionSchema.index({ 'approval.reviewedBy': 1 });
 
+// Multi-step approval chain (see approvals/)
+permissionSchema.plugin(approvalWorkflowPlugin, {
+  requestType: 'permission',
+  defaultApproverRoles: SUPERVISOR_APPROVER_ROLES,
+  metrics: (permission) => ({
+    hours: permission.time?.duration ? permission.time.duration / 60 : undefined,
+    type: permission.permissionType
+  })
+});
+
 export default mongoose.model('Permission', permissionSchema);
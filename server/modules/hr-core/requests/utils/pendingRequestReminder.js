@@ -7,7 +7,7 @@
 
 import Request from '../models/request.model.js';
 import User from '../../users/models/user.model.js';
-import { sendEmail, getEmployeeManager, getHREmployee, getDoctor } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import { reminderNotificationTemplate } from './requestEmailTemplates.js';
 
 /**
@@ -24,7 +24,7 @@ export async function sendPendingRequestReminders() {
         const pendingRequests = await Request.find({
             status: 'pending',
             requestedAt: { $lt: twoDaysAgo }
-        }).populate('employee', 'username email profile department');
+        }).populate('employee', 'username email profile personalInfo department');
 
         let remindersSent = 0;
         
@@ -68,28 +68,18 @@ export async function sendPendingRequestReminders() {
  */
 async function sendSickLeaveReminders(request, employee) {
     // Remind manager
-    const manager = await getEmployeeManager(employee);
-    if (manager && manager.email) {
+    const manager = await notificationIntegrationService.getEmployeeManager(employee);
+    if (manager) {
         const emailTemplate = reminderNotificationTemplate(request, manager, 'Manager');
-        await sendEmail({
-            to: manager.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, manager, emailTemplate);
 
     }
     
     // Remind doctor
-    const doctor = await getDoctor();
-    if (doctor && doctor.email) {
+    const doctor = await notificationIntegrationService.getDoctor(request.tenantId);
+    if (doctor) {
         const emailTemplate = reminderNotificationTemplate(request, doctor, 'Doctor');
-        await sendEmail({
-            to: doctor.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, doctor, emailTemplate);
 
     }
 }
@@ -99,28 +89,18 @@ async function sendSickLeaveReminders(request, employee) {
  */
 async function sendDaySwapReminders(request, employee) {
     // Remind manager
-    const manager = await getEmployeeManager(employee);
-    if (manager && manager.email) {
+    const manager = await notificationIntegrationService.getEmployeeManager(employee);
+    if (manager) {
         const emailTemplate = reminderNotificationTemplate(request, manager, 'Manager');
-        await sendEmail({
-            to: manager.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, manager, emailTemplate);
 
     }
     
     // Remind HR
-    const hrEmployee = await getHREmployee();
-    if (hrEmployee && hrEmployee.email) {
+    const hrEmployee = await notificationIntegrationService.getHREmployee(request.tenantId);
+    if (hrEmployee) {
         const emailTemplate = reminderNotificationTemplate(request, hrEmployee, 'HR');
-        await sendEmail({
-            to: hrEmployee.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, hrEmployee, emailTemplate);
 
     }
 }
@@ -130,19 +110,31 @@ async function sendDaySwapReminders(request, employee) {
  */
 async function sendGeneralRequestReminders(request, employee) {
     // Remind manager
-    const manager = await getEmployeeManager(employee);
-    if (manager && manager.email) {
+    const manager = await notificationIntegrationService.getEmployeeManager(employee);
+    if (manager) {
         const emailTemplate = reminderNotificationTemplate(request, manager, 'Manager');
-        await sendEmail({
-            to: manager.email,
-            subject: emailTemplate.subject,
-            html: emailTemplate.html,
-            text: emailTemplate.text
-        });
+        await notifyRequestUser(request, manager, emailTemplate);
 
     }
 }
 
+/**
+ * Remind a user of a pending request; the email goes out if the user receives request emails
+ */
+async function notifyRequestUser(request, user, emailTemplate) {
+    const employee = request.employee;
+    const employeeName = employee?.profile?.firstName || employee?.username || 'an employee';
+
+    await notificationIntegrationService.notify(request.tenantId, {
+        recipient: user._id,
+        type: 'request',
+        title: emailTemplate.subject,
+        message: `${request.requestType} request from ${employeeName} is ${request.status}`,
+        relatedModel: 'Request',
+        relatedId: request._id
+    }, emailTemplate);
+}
+
 export default {
     sendPendingRequestReminders
 };
\ No newline at end of file
@@ -1,34 +1,257 @@
 /**
  * Request Email Templates
- * 
- * Professional email templates for request notifications
+ *
+ * Professional email templates for request notifications, in English or
+ * Arabic. Each template takes the language of the recipient; templates sent to
+ * the employee who made the request use the employee's own language.
  */
 
+import {
+    createTranslator,
+    formatDate,
+    formatNumber,
+    getUserLanguage,
+    htmlAttributes,
+    normalizeLanguage
+} from '../../../../core/i18n/index.js';
+
+const messages = {
+    en: {
+        common: {
+            notAvailable: 'N/A',
+            days: '{count} days',
+            bestRegards: 'Best regards,',
+            system: 'HR Management System',
+            automatedMessage: 'This is an automated message from the HR Management System.',
+            automatedReminder: 'This is an automated reminder from the HR Management System.',
+            noReply: 'Please do not reply to this email.',
+            reviewAt: 'To review this request, please visit: {url}',
+            viewAt: 'To view the request details, please visit: {url}'
+        },
+        types: {
+            'permission': 'Permission',
+            'overtime': 'Overtime',
+            'sick-leave': 'Sick Leave',
+            'mission': 'Mission',
+            'day-swap': 'Day Swap'
+        },
+        statuses: {
+            pending: 'Pending',
+            approved: 'Approved',
+            rejected: 'Rejected',
+            cancelled: 'Cancelled'
+        },
+        fields: {
+            date: 'Date',
+            startTime: 'Start Time',
+            endTime: 'End Time',
+            reason: 'Reason',
+            startDate: 'Start Date',
+            endDate: 'End Date',
+            duration: 'Duration',
+            destination: 'Destination',
+            purpose: 'Purpose',
+            originalDate: 'Original Date',
+            newDate: 'New Date',
+            employee: 'Employee',
+            doctor: 'Doctor',
+            type: 'Type',
+            status: 'Status',
+            submitted: 'Submitted',
+            reviewed: 'Reviewed',
+            comments: 'Comments',
+            doctorApproval: 'Doctor\'s Approval'
+        },
+        detailsUnavailable: 'Request details not available.',
+        requestDetails: 'Request Details',
+        sickLeaveDetails: 'Sick Leave Details',
+        newRequest: {
+            subject: 'New {type} Request from {name}',
+            heading: 'New Request Notification',
+            greeting: 'Dear Manager,',
+            intro: '{name} has submitted a new {type} request:',
+            details: '{type} Request Details',
+            button: 'Review Request'
+        },
+        sickLeaveToDoctor: {
+            subject: 'Sick Leave Request for Review - {name}',
+            heading: 'Sick Leave Request',
+            greeting: 'Dear Doctor,',
+            intro: '{name} has submitted a sick leave request that requires your medical review:',
+            documentationRequired: 'Medical Documentation Required',
+            button: 'Review Sick Leave Request'
+        },
+        decision: {
+            subject: {
+                approved: '{type} Request Approved',
+                rejected: '{type} Request Rejected'
+            },
+            heading: {
+                approved: 'Request Approved',
+                rejected: 'Request Rejected'
+            },
+            greeting: 'Dear {name},',
+            intro: {
+                approved: 'Your {type} request has been approved:',
+                rejected: 'Your {type} request has been rejected:'
+            }
+        },
+        reminder: {
+            subject: 'Reminder: Pending {type} Request',
+            heading: 'Pending Request Reminder',
+            greeting: 'Dear {recipient},',
+            intro: 'This is a reminder about a pending {type} request that requires your attention:',
+            daysAgo: '{date} ({count} days ago)',
+            action: 'Please review and process this request at your earliest convenience.',
+            button: 'Review Request',
+            recipients: {
+                Manager: 'Manager',
+                Doctor: 'Doctor',
+                HR: 'HR'
+            }
+        },
+        sickLeaveApproval: {
+            subject: 'Sick Leave Request Approved by Doctor - {name}',
+            heading: 'Sick Leave Approved by Doctor',
+            greeting: 'Dear Manager/HR,',
+            intro: 'The sick leave request for {name} has been approved by the doctor:',
+            action: 'Please take the necessary actions to process this approved sick leave.',
+            button: 'View Request Details'
+        }
+    },
+    ar: {
+        common: {
+            notAvailable: 'غير متوفر',
+            days: '{count} يوم',
+            bestRegards: 'مع أطيب التحيات،',
+            system: 'نظام إدارة الموارد البشرية',
+            automatedMessage: 'هذه رسالة آلية من نظام إدارة الموارد البشرية.',
+            automatedReminder: 'هذا تذكير آلي من نظام إدارة الموارد البشرية.',
+            noReply: 'يرجى عدم الرد على هذا البريد الإلكتروني.',
+            reviewAt: 'لمراجعة هذا الطلب، يرجى زيارة: {url}',
+            viewAt: 'لعرض تفاصيل الطلب، يرجى زيارة: {url}'
+        },
+        types: {
+            'permission': 'إذن',
+            'overtime': 'عمل إضافي',
+            'sick-leave': 'إجازة مرضية',
+            'mission': 'مأمورية',
+            'day-swap': 'تبديل يوم'
+        },
+        statuses: {
+            pending: 'قيد الانتظار',
+            approved: 'مقبول',
+            rejected: 'مرفوض',
+            cancelled: 'ملغى'
+        },
+        fields: {
+            date: 'التاريخ',
+            startTime: 'وقت البدء',
+            endTime: 'وقت الانتهاء',
+            reason: 'السبب',
+            startDate: 'تاريخ البدء',
+            endDate: 'تاريخ الانتهاء',
+            duration: 'المدة',
+            destination: 'الوجهة',
+            purpose: 'الغرض',
+            originalDate: 'التاريخ الأصلي',
+            newDate: 'التاريخ الجديد',
+            employee: 'الموظف',
+            doctor: 'الطبيب',
+            type: 'النوع',
+            status: 'الحالة',
+            submitted: 'تاريخ التقديم',
+            reviewed: 'تاريخ المراجعة',
+            comments: 'الملاحظات',
+            doctorApproval: 'موافقة الطبيب'
+        },
+        detailsUnavailable: 'تفاصيل الطلب غير متوفرة.',
+        requestDetails: 'تفاصيل الطلب',
+        sickLeaveDetails: 'تفاصيل الإجازة المرضية',
+        newRequest: {
+            subject: 'طلب {type} جديد من {name}',
+            heading: 'إشعار بطلب جديد',
+            greeting: 'عزيزي المدير،',
+            intro: 'قدّم {name} طلب {type} جديدًا:',
+            details: 'تفاصيل طلب {type}',
+            button: 'مراجعة الطلب'
+        },
+        sickLeaveToDoctor: {
+            subject: 'طلب إجازة مرضية للمراجعة - {name}',
+            heading: 'طلب إجازة مرضية',
+            greeting: 'عزيزي الطبيب،',
+            intro: 'قدّم {name} طلب إجازة مرضية يحتاج إلى مراجعتك الطبية:',
+            documentationRequired: 'مطلوب تقديم مستندات طبية',
+            button: 'مراجعة طلب الإجازة المرضية'
+        },
+        decision: {
+            subject: {
+                approved: 'تمت الموافقة على طلب {type}',
+                rejected: 'تم رفض طلب {type}'
+            },
+            heading: {
+                approved: 'تمت الموافقة على الطلب',
+                rejected: 'تم رفض الطلب'
+            },
+            greeting: 'عزيزي {name}،',
+            intro: {
+                approved: 'تمت الموافقة على طلب {type} الخاص بك:',
+                rejected: 'تم رفض طلب {type} الخاص بك:'
+            }
+        },
+        reminder: {
+            subject: 'تذكير: طلب {type} قيد الانتظار',
+            heading: 'تذكير بطلب قيد الانتظار',
+            greeting: 'عزيزي {recipient}،',
+            intro: 'نذكّرك بطلب {type} قيد الانتظار يحتاج إلى اهتمامك:',
+            daysAgo: '{date} (منذ {count} يوم)',
+            action: 'يرجى مراجعة هذا الطلب والبت فيه في أقرب وقت ممكن.',
+            button: 'مراجعة الطلب',
+            recipients: {
+                Manager: 'المدير',
+                Doctor: 'الطبيب',
+                HR: 'مسؤول الموارد البشرية'
+            }
+        },
+        sickLeaveApproval: {
+            subject: 'وافق الطبيب على طلب الإجازة المرضية - {name}',
+            heading: 'وافق الطبيب على الإجازة المرضية',
+            greeting: 'عزيزي المدير / مسؤول الموارد البشرية،',
+            intro: 'وافق الطبيب على طلب الإجازة المرضية الخاص بـ {name}:',
+            action: 'يرجى اتخاذ الإجراءات اللازمة لمعالجة هذه الإجازة المرضية المعتمدة.',
+            button: 'عرض تفاصيل الطلب'
+        }
+    }
+};
+
 /**
  * New Request Notification Template (to manager)
  */
-export const newRequestNotificationTemplate = (request, employee) => {
-    const requestType = formatRequestType(request.type);
-    const requestDetails = getRequestDetails(request);
-    
+export const newRequestNotificationTemplate = (request, employee, language) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const requestType = formatRequestType(request.type, lang);
+    const requestDetails = getRequestDetails(request, lang);
+    const name = getFirstName(employee, lang);
+
     return {
-        subject: `New ${requestType} Request from ${employee.profile?.firstName || employee.username}`,
+        subject: t('newRequest.subject', { type: requestType, name }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #2196F3; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #2196F3; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #2196F3;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .footer { text-align: center; padding: 20px; color: #777; font-size: 12px; }
@@ -37,49 +260,49 @@ export const newRequestNotificationTemplate = (request, employee) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>📝 New Request Notification</h1>
+                        <h1>📝 ${t('newRequest.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear Manager,</p>
-                        
-                        <p>${employee.profile?.firstName || employee.username} has submitted a new ${requestType} request:</p>
-                        
-                        <h2>${requestType} Request Details</h2>
-                        
+                        <p>${t('newRequest.greeting')}</p>
+
+                        <p>${t('newRequest.intro', { name, type: requestType })}</p>
+
+                        <h2>${t('newRequest.details', { type: requestType })}</h2>
+
                         ${requestDetails}
-                        
-                        <p><strong>Submitted:</strong> ${new Date(request.requestedAt).toLocaleDateString()}</p>
-                        
+
+                        <p><strong>${t('fields.submitted')}:</strong> ${formatDate(request.requestedAt, lang)}</p>
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}" class="button">
-                                Review Request
+                            <a href="${getRequestUrl(request)}" class="button">
+                                ${t('newRequest.button')}
                             </a>
                         </p>
-                        
-                        <p>Best regards,<br>HR Management System</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.system')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedMessage')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-New ${requestType} Request from ${employee.profile?.firstName || employee.username}
+${t('newRequest.subject', { type: requestType, name })}
 
-${employee.profile?.firstName || employee.username} has submitted a new ${requestType} request.
+${t('newRequest.intro', { name, type: requestType })}
 
-Request Details:
-${getTextRequestDetails(request)}
+${t('requestDetails')}:
+${getTextRequestDetails(request, lang)}
 
-Submitted: ${new Date(request.requestedAt).toLocaleDateString()}
+${t('fields.submitted')}: ${formatDate(request.requestedAt, lang)}
 
-To review this request, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}
+${t('common.reviewAt', { url: getRequestUrl(request) })}
 
-Best regards,
-HR Management System
+${t('common.bestRegards')}
+${t('common.system')}
         `
     };
 };
@@ -87,25 +310,35 @@ HR Management System
 /**
  * Sick Leave Request Notification Template (to doctor)
  */
-export const sickLeaveRequestToDoctorTemplate = (request, employee) => {
+export const sickLeaveRequestToDoctorTemplate = (request, employee, language) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const name = getFirstName(employee, lang);
+    const fullName = getFullName(employee, lang);
+    const notAvailable = t('common.notAvailable');
+    const startDate = formatDate(request.details.startDate, lang) || notAvailable;
+    const endDate = formatDate(request.details.endDate, lang) || notAvailable;
+    const duration = formatDuration(request.details.duration, lang);
+    const reason = request.details.reason || notAvailable;
+
     return {
-        subject: `Sick Leave Request for Review - ${employee.profile?.firstName || employee.username}`,
+        subject: t('sickLeaveToDoctor.subject', { name }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #f44336; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #f44336; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #f44336;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .footer { text-align: center; padding: 20px; color: #777; font-size: 12px; }
@@ -114,79 +347,83 @@ export const sickLeaveRequestToDoctorTemplate = (request, employee) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>🏥 Sick Leave Request</h1>
+                        <h1>🏥 ${t('sickLeaveToDoctor.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear Doctor,</p>
-                        
-                        <p>${employee.profile?.firstName || employee.username} has submitted a sick leave request that requires your medical review:</p>
-                        
-                        <h2>Sick Leave Details</h2>
-                        
-                        <p><strong>Employee:</strong> ${employee.profile?.firstName || employee.username} ${employee.profile?.lastName || ''}</p>
-                        <p><strong>Start Date:</strong> ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}</p>
-                        <p><strong>End Date:</strong> ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}</p>
-                        <p><strong>Duration:</strong> ${request.details.duration || 'N/A'} days</p>
-                        <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-                        
-                        ${request.details.medicalDocumentation?.required ? 
-                            '<p><strong>⚠️ Medical Documentation Required</strong></p>' : ''}
-                        
-                        <p><strong>Submitted:</strong> ${new Date(request.requestedAt).toLocaleDateString()}</p>
-                        
+                        <p>${t('sickLeaveToDoctor.greeting')}</p>
+
+                        <p>${t('sickLeaveToDoctor.intro', { name })}</p>
+
+                        <h2>${t('sickLeaveDetails')}</h2>
+
+                        <p><strong>${t('fields.employee')}:</strong> ${fullName}</p>
+                        <p><strong>${t('fields.startDate')}:</strong> ${startDate}</p>
+                        <p><strong>${t('fields.endDate')}:</strong> ${endDate}</p>
+                        <p><strong>${t('fields.duration')}:</strong> ${duration}</p>
+                        <p><strong>${t('fields.reason')}:</strong> ${reason}</p>
+
+                        ${request.details.medicalDocumentation?.required ?
+                            `<p><strong>⚠️ ${t('sickLeaveToDoctor.documentationRequired')}</strong></p>` : ''}
+
+                        <p><strong>${t('fields.submitted')}:</strong> ${formatDate(request.requestedAt, lang)}</p>
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}" class="button">
-                                Review Sick Leave Request
+                            <a href="${getRequestUrl(request)}" class="button">
+                                ${t('sickLeaveToDoctor.button')}
                             </a>
                         </p>
-                        
-                        <p>Best regards,<br>HR Management System</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.system')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedMessage')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-Sick Leave Request for Review - ${employee.profile?.firstName || employee.username}
+${t('sickLeaveToDoctor.subject', { name })}
 
-${employee.profile?.firstName || employee.username} has submitted a sick leave request that requires your medical review.
+${t('sickLeaveToDoctor.intro', { name })}
 
-Sick Leave Details:
-Employee: ${employee.profile?.firstName || employee.username} ${employee.profile?.lastName || ''}
-Start Date: ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}
-End Date: ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}
-Duration: ${request.details.duration || 'N/A'} days
-Reason: ${request.details.reason || 'N/A'}
+${t('sickLeaveDetails')}:
+${t('fields.employee')}: ${fullName}
+${t('fields.startDate')}: ${startDate}
+${t('fields.endDate')}: ${endDate}
+${t('fields.duration')}: ${duration}
+${t('fields.reason')}: ${reason}
 
-${request.details.medicalDocumentation?.required ? '⚠️ Medical Documentation Required' : ''}
+${request.details.medicalDocumentation?.required ? `⚠️ ${t('sickLeaveToDoctor.documentationRequired')}` : ''}
 
-Submitted: ${new Date(request.requestedAt).toLocaleDateString()}
+${t('fields.submitted')}: ${formatDate(request.requestedAt, lang)}
 
-To review this request, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}
+${t('common.reviewAt', { url: getRequestUrl(request) })}
 
-Best regards,
-HR Management System
+${t('common.bestRegards')}
+${t('common.system')}
         `
     };
 };
 
 /**
- * Request Approval Notification Template (to employee)
+ * Request Approval Notification Template (to employee, in the employee's language)
  */
-export const requestApprovalNotificationTemplate = (request, employee) => {
-    const requestType = formatRequestType(request.type);
+export const requestApprovalNotificationTemplate = (request, employee, language = getUserLanguage(employee)) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const requestType = formatRequestType(request.type, lang);
     const action = request.status === 'approved' ? 'approved' : 'rejected';
     const actionColor = request.status === 'approved' ? '#4CAF50' : '#f44336';
-    
+    const name = getFirstName(employee, lang);
+    const status = t(`statuses.${request.status}`);
+
     return {
-        subject: `${requestType} Request ${action.charAt(0).toUpperCase() + action.slice(1)}`,
+        subject: t(`decision.subject.${action}`, { type: requestType }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
@@ -199,74 +436,81 @@ export const requestApprovalNotificationTemplate = (request, employee) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>${request.status === 'approved' ? '✅' : '❌'} Request ${action.charAt(0).toUpperCase() + action.slice(1)}</h1>
+                        <h1>${request.status === 'approved' ? '✅' : '❌'} ${t(`decision.heading.${action}`)}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear ${employee.profile?.firstName || employee.username},</p>
-                        
-                        <p>Your ${requestType} request has been ${action}:</p>
-                        
-                        <h2>Request Details</h2>
-                        
-                        <p><strong>Type:</strong> ${requestType}</p>
-                        <p><strong>Status:</strong> ${request.status.charAt(0).toUpperCase() + request.status.slice(1)}</p>
-                        ${request.reviewedAt ? `<p><strong>Reviewed:</strong> ${new Date(request.reviewedAt).toLocaleDateString()}</p>` : ''}
-                        ${request.comments ? `<p><strong>Comments:</strong> ${request.comments}</p>` : ''}
-                        
-                        <p>Best regards,<br>HR Management System</p>
+                        <p>${t('decision.greeting', { name })}</p>
+
+                        <p>${t(`decision.intro.${action}`, { type: requestType })}</p>
+
+                        <h2>${t('requestDetails')}</h2>
+
+                        <p><strong>${t('fields.type')}:</strong> ${requestType}</p>
+                        <p><strong>${t('fields.status')}:</strong> ${status}</p>
+                        ${request.reviewedAt ? `<p><strong>${t('fields.reviewed')}:</strong> ${formatDate(request.reviewedAt, lang)}</p>` : ''}
+                        ${request.comments ? `<p><strong>${t('fields.comments')}:</strong> ${request.comments}</p>` : ''}
+
+                        <p>${t('common.bestRegards')}<br>${t('common.system')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedMessage')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-${requestType} Request ${action.charAt(0).toUpperCase() + action.slice(1)}
+${t(`decision.subject.${action}`, { type: requestType })}
 
-Dear ${employee.profile?.firstName || employee.username},
+${t('decision.greeting', { name })}
 
-Your ${requestType} request has been ${action}.
+${t(`decision.intro.${action}`, { type: requestType })}
 
-Request Details:
-Type: ${requestType}
-Status: ${request.status.charAt(0).toUpperCase() + request.status.slice(1)}
-${request.reviewedAt ? `Reviewed: ${new Date(request.reviewedAt).toLocaleDateString()}` : ''}
-${request.comments ? `Comments: ${request.comments}` : ''}
+${t('requestDetails')}:
+${t('fields.type')}: ${requestType}
+${t('fields.status')}: ${status}
+${request.reviewedAt ? `${t('fields.reviewed')}: ${formatDate(request.reviewedAt, lang)}` : ''}
+${request.comments ? `${t('fields.comments')}: ${request.comments}` : ''}
 
-Best regards,
-HR Management System
+${t('common.bestRegards')}
+${t('common.system')}
         `
     };
 };
 
 /**
- * Reminder Notification Template (for pending requests)
+ * Reminder Notification Template (for pending requests, in the recipient's language)
  */
-export const reminderNotificationTemplate = (request, recipient, recipientType) => {
-    const requestType = formatRequestType(request.type);
+export const reminderNotificationTemplate = (request, recipient, recipientType, language = getUserLanguage(recipient)) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const requestType = formatRequestType(request.type, lang);
     const daysPending = Math.ceil((new Date() - new Date(request.requestedAt)) / (1000 * 60 * 60 * 24));
-    
+    const recipientName = t(`reminder.recipients.${recipientType}`);
+    const submitted = t('reminder.daysAgo', {
+        date: formatDate(request.requestedAt, lang),
+        count: formatNumber(daysPending, lang)
+    });
+
     return {
-        subject: `Reminder: Pending ${requestType} Request`,
+        subject: t('reminder.subject', { type: requestType }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #FF9800; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #FF9800; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #FF9800;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .footer { text-align: center; padding: 20px; color: #777; font-size: 12px; }
@@ -275,53 +519,53 @@ export const reminderNotificationTemplate = (request, recipient, recipientType)
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>⏰ Pending Request Reminder</h1>
+                        <h1>⏰ ${t('reminder.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear ${recipientType},</p>
-                        
-                        <p>This is a reminder about a pending ${requestType} request that requires your attention:</p>
-                        
-                        <h2>Request Details</h2>
-                        
-                        <p><strong>Type:</strong> ${requestType}</p>
-                        <p><strong>Submitted:</strong> ${new Date(request.requestedAt).toLocaleDateString()} (${daysPending} days ago)</p>
-                        
+                        <p>${t('reminder.greeting', { recipient: recipientName })}</p>
+
+                        <p>${t('reminder.intro', { type: requestType })}</p>
+
+                        <h2>${t('requestDetails')}</h2>
+
+                        <p><strong>${t('fields.type')}:</strong> ${requestType}</p>
+                        <p><strong>${t('fields.submitted')}:</strong> ${submitted}</p>
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}" class="button">
-                                Review Request
+                            <a href="${getRequestUrl(request)}" class="button">
+                                ${t('reminder.button')}
                             </a>
                         </p>
-                        
-                        <p>Please review and process this request at your earliest convenience.</p>
-                        
-                        <p>Best regards,<br>HR Management System</p>
+
+                        <p>${t('reminder.action')}</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.system')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated reminder from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedReminder')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-Pending Request Reminder
+${t('reminder.heading')}
 
-Dear ${recipientType},
+${t('reminder.greeting', { recipient: recipientName })}
 
-This is a reminder about a pending ${requestType} request that requires your attention.
+${t('reminder.intro', { type: requestType })}
 
-Request Details:
-Type: ${requestType}
-Submitted: ${new Date(request.requestedAt).toLocaleDateString()} (${daysPending} days ago)
+${t('requestDetails')}:
+${t('fields.type')}: ${requestType}
+${t('fields.submitted')}: ${submitted}
 
-To review this request, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}
+${t('common.reviewAt', { url: getRequestUrl(request) })}
 
-Please review and process this request at your earliest convenience.
+${t('reminder.action')}
 
-Best regards,
-HR Management System
+${t('common.bestRegards')}
+${t('common.system')}
         `
     };
 };
@@ -329,25 +573,36 @@ HR Management System
 /**
  * Sick Leave Approval Notification Template (to manager and HR)
  */
-export const sickLeaveApprovalNotificationTemplate = (request, employee, doctor) => {
+export const sickLeaveApprovalNotificationTemplate = (request, employee, doctor, language) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const name = getFirstName(employee, lang);
+    const fullName = getFullName(employee, lang);
+    const notAvailable = t('common.notAvailable');
+    const doctorName = getFirstName(doctor, lang) || notAvailable;
+    const startDate = formatDate(request.details.startDate, lang) || notAvailable;
+    const endDate = formatDate(request.details.endDate, lang) || notAvailable;
+    const duration = formatDuration(request.details.duration, lang);
+    const reason = request.details.reason || notAvailable;
+
     return {
-        subject: `Sick Leave Request Approved by Doctor - ${employee.profile?.firstName || employee.username}`,
+        subject: t('sickLeaveApproval.subject', { name }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #4CAF50; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #4CAF50;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .footer { text-align: center; padding: 20px; color: #777; font-size: 12px; }
@@ -356,198 +611,186 @@ export const sickLeaveApprovalNotificationTemplate = (request, employee, doctor)
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>✅ Sick Leave Approved by Doctor</h1>
+                        <h1>✅ ${t('sickLeaveApproval.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear Manager/HR,</p>
-                        
-                        <p>The sick leave request for ${employee.profile?.firstName || employee.username} has been approved by the doctor:</p>
-                        
-                        <h2>Sick Leave Details</h2>
-                        
-                        <p><strong>Employee:</strong> ${employee.profile?.firstName || employee.username} ${employee.profile?.lastName || ''}</p>
-                        <p><strong>Doctor:</strong> ${doctor?.profile?.firstName || doctor?.username || 'N/A'}</p>
-                        <p><strong>Start Date:</strong> ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}</p>
-                        <p><strong>End Date:</strong> ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}</p>
-                        <p><strong>Duration:</strong> ${request.details.duration || 'N/A'} days</p>
-                        <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-                        
-                        <p><strong>Doctor's Approval:</strong> ${new Date().toLocaleDateString()}</p>
-                        
+                        <p>${t('sickLeaveApproval.greeting')}</p>
+
+                        <p>${t('sickLeaveApproval.intro', { name })}</p>
+
+                        <h2>${t('sickLeaveDetails')}</h2>
+
+                        <p><strong>${t('fields.employee')}:</strong> ${fullName}</p>
+                        <p><strong>${t('fields.doctor')}:</strong> ${doctorName}</p>
+                        <p><strong>${t('fields.startDate')}:</strong> ${startDate}</p>
+                        <p><strong>${t('fields.endDate')}:</strong> ${endDate}</p>
+                        <p><strong>${t('fields.duration')}:</strong> ${duration}</p>
+                        <p><strong>${t('fields.reason')}:</strong> ${reason}</p>
+
+                        <p><strong>${t('fields.doctorApproval')}:</strong> ${formatDate(new Date(), lang)}</p>
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}" class="button">
-                                View Request Details
+                            <a href="${getRequestUrl(request)}" class="button">
+                                ${t('sickLeaveApproval.button')}
                             </a>
                         </p>
-                        
-                        <p>Please take the necessary actions to process this approved sick leave.</p>
-                        
-                        <p>Best regards,<br>HR Management System</p>
+
+                        <p>${t('sickLeaveApproval.action')}</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.system')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedMessage')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-Sick Leave Request Approved by Doctor - ${employee.profile?.firstName || employee.username}
+${t('sickLeaveApproval.subject', { name })}
 
-Dear Manager/HR,
+${t('sickLeaveApproval.greeting')}
 
-The sick leave request for ${employee.profile?.firstName || employee.username} has been approved by the doctor.
+${t('sickLeaveApproval.intro', { name })}
 
-Sick Leave Details:
-Employee: ${employee.profile?.firstName || employee.username} ${employee.profile?.lastName || ''}
-Doctor: ${doctor?.profile?.firstName || doctor?.username || 'N/A'}
-Start Date: ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}
-End Date: ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}
-Duration: ${request.details.duration || 'N/A'} days
-Reason: ${request.details.reason || 'N/A'}
+${t('sickLeaveDetails')}:
+${t('fields.employee')}: ${fullName}
+${t('fields.doctor')}: ${doctorName}
+${t('fields.startDate')}: ${startDate}
+${t('fields.endDate')}: ${endDate}
+${t('fields.duration')}: ${duration}
+${t('fields.reason')}: ${reason}
 
-Doctor's Approval: ${new Date().toLocaleDateString()}
+${t('fields.doctorApproval')}: ${formatDate(new Date(), lang)}
 
-To view the request details, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}
+${t('common.viewAt', { url: getRequestUrl(request) })}
 
-Please take the necessary actions to process this approved sick leave.
+${t('sickLeaveApproval.action')}
 
-Best regards,
-HR Management System
+${t('common.bestRegards')}
+${t('common.system')}
         `
     };
 };
 
+/**
+ * Link to a request in the HR app
+ */
+function getRequestUrl(request) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/requests/${request._id}`;
+}
+
+/**
+ * First name of a user; Arabic emails use the Arabic name when there is one
+ */
+function getFirstName(user, language) {
+    if (!user) return '';
+    if (language === 'ar' && user.personalInfo?.arabicName) {
+        return user.personalInfo.arabicName;
+    }
+    return user.personalInfo?.firstName || user.profile?.firstName || user.username;
+}
+
+/**
+ * Full name of a user; Arabic emails use the Arabic name when there is one
+ */
+function getFullName(user, language) {
+    if (language === 'ar' && user.personalInfo?.arabicName) {
+        return user.personalInfo.arabicName;
+    }
+    const lastName = user.personalInfo?.lastName || user.profile?.lastName || '';
+    return `${getFirstName(user, language)} ${lastName}`.trim();
+}
+
+/**
+ * Format a duration in days
+ */
+function formatDuration(duration, language) {
+    const t = createTranslator(messages, language);
+    return duration ? t('common.days', { count: formatNumber(duration, language) }) : t('common.notAvailable');
+}
+
 /**
  * Format request type for display
  */
-function formatRequestType(type) {
-    const typeMap = {
-        'permission': 'Permission',
-        'overtime': 'Overtime',
-        'sick-leave': 'Sick Leave',
-        'mission': 'Mission',
-        'day-swap': 'Day Swap'
-    };
-    
-    return typeMap[type] || type;
+function formatRequestType(type, language) {
+    const t = createTranslator(messages, language);
+    return messages.en.types[type] ? t(`types.${type}`) : type;
 }
 
 /**
  * Get request details for HTML display
  */
-function getRequestDetails(request) {
-    let details = '';
-    
-    switch (request.type) {
-        case 'permission':
-            details = `
-                <p><strong>Date:</strong> ${request.details.date ? new Date(request.details.date).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Start Time:</strong> ${request.details.startTime || 'N/A'}</p>
-                <p><strong>End Time:</strong> ${request.details.endTime || 'N/A'}</p>
-                <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-            `;
-            break;
-            
-        case 'overtime':
-            details = `
-                <p><strong>Date:</strong> ${request.details.date ? new Date(request.details.date).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Start Time:</strong> ${request.details.startTime || 'N/A'}</p>
-                <p><strong>End Time:</strong> ${request.details.endTime || 'N/A'}</p>
-                <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-            `;
-            break;
-            
-        case 'sick-leave':
-            details = `
-                <p><strong>Start Date:</strong> ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>End Date:</strong> ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Duration:</strong> ${request.details.duration || 'N/A'} days</p>
-                <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-            `;
-            break;
-            
-        case 'mission':
-            details = `
-                <p><strong>Start Date:</strong> ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>End Date:</strong> ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Destination:</strong> ${request.details.destination || 'N/A'}</p>
-                <p><strong>Purpose:</strong> ${request.details.purpose || 'N/A'}</p>
-            `;
-            break;
-            
-        case 'day-swap':
-            details = `
-                <p><strong>Original Date:</strong> ${request.details.originalDate ? new Date(request.details.originalDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>New Date:</strong> ${request.details.newDate ? new Date(request.details.newDate).toLocaleDateString() : 'N/A'}</p>
-                <p><strong>Reason:</strong> ${request.details.reason || 'N/A'}</p>
-            `;
-            break;
-            
-        default:
-            details = '<p>Request details not available.</p>';
+function getRequestDetails(request, language) {
+    const rows = getDetailRows(request, language);
+    if (!rows) {
+        return `<p>${createTranslator(messages, language)('detailsUnavailable')}</p>`;
     }
-    
-    return details;
+
+    return rows
+        .map(([label, value]) => `<p><strong>${label}:</strong> ${value}</p>`)
+        .join('\n');
 }
 
 /**
  * Get request details for text display
  */
-function getTextRequestDetails(request) {
-    let details = '';
-    
+function getTextRequestDetails(request, language) {
+    const rows = getDetailRows(request, language);
+    if (!rows) {
+        return createTranslator(messages, language)('detailsUnavailable');
+    }
+
+    return rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+}
+
+/**
+ * Labelled details of a request by type, or null for unknown types
+ */
+function getDetailRows(request, language) {
+    const t = createTranslator(messages, language);
+    const details = request.details || {};
+    const notAvailable = t('common.notAvailable');
+    const date = (value) => formatDate(value, language) || notAvailable;
+    const text = (value) => value || notAvailable;
+
     switch (request.type) {
         case 'permission':
-            details = `
-Date: ${request.details.date ? new Date(request.details.date).toLocaleDateString() : 'N/A'}
-Start Time: ${request.details.startTime || 'N/A'}
-End Time: ${request.details.endTime || 'N/A'}
-Reason: ${request.details.reason || 'N/A'}
-            `;
-            break;
-            
         case 'overtime':
-            details = `
-Date: ${request.details.date ? new Date(request.details.date).toLocaleDateString() : 'N/A'}
-Start Time: ${request.details.startTime || 'N/A'}
-End Time: ${request.details.endTime || 'N/A'}
-Reason: ${request.details.reason || 'N/A'}
-            `;
-            break;
-            
+            return [
+                [t('fields.date'), date(details.date)],
+                [t('fields.startTime'), text(details.startTime)],
+                [t('fields.endTime'), text(details.endTime)],
+                [t('fields.reason'), text(details.reason)]
+            ];
+
         case 'sick-leave':
-            details = `
-Start Date: ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}
-End Date: ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}
-Duration: ${request.details.duration || 'N/A'} days
-Reason: ${request.details.reason || 'N/A'}
-            `;
-            break;
-            
+            return [
+                [t('fields.startDate'), date(details.startDate)],
+                [t('fields.endDate'), date(details.endDate)],
+                [t('fields.duration'), formatDuration(details.duration, language)],
+                [t('fields.reason'), text(details.reason)]
+            ];
+
         case 'mission':
-            details = `
-Start Date: ${request.details.startDate ? new Date(request.details.startDate).toLocaleDateString() : 'N/A'}
-End Date: ${request.details.endDate ? new Date(request.details.endDate).toLocaleDateString() : 'N/A'}
-Destination: ${request.details.destination || 'N/A'}
-Purpose: ${request.details.purpose || 'N/A'}
-            `;
-            break;
-            
+            return [
+                [t('fields.startDate'), date(details.startDate)],
+                [t('fields.endDate'), date(details.endDate)],
+                [t('fields.destination'), text(details.destination)],
+                [t('fields.purpose'), text(details.purpose)]
+            ];
+
         case 'day-swap':
-            details = `
-Original Date: ${request.details.originalDate ? new Date(request.details.originalDate).toLocaleDateString() : 'N/A'}
-New Date: ${request.details.newDate ? new Date(request.details.newDate).toLocaleDateString() : 'N/A'}
-Reason: ${request.details.reason || 'N/A'}
-            `;
-            break;
-            
+            return [
+                [t('fields.originalDate'), date(details.originalDate)],
+                [t('fields.newDate'), date(details.newDate)],
+                [t('fields.reason'), text(details.reason)]
+            ];
+
         default:
-            details = 'Request details not available.';
+            return null;
     }
-    
-    return details;
 }
 
 export default {
@@ -556,4 +799,4 @@ export default {
     requestApprovalNotificationTemplate,
     reminderNotificationTemplate,
     sickLeaveApprovalNotificationTemplate
-};
\ No newline at end of file
+};
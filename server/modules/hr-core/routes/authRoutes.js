@@ -1,11 +1,21 @@
 import express from 'express';
-import { requireAuth } from '../../../shared/middleware/auth.js';
+import { requireAuth, requireRole } from '../../../shared/middleware/auth.js';
+import { ROLES } from '../../../shared/constants/modules.js';
+import { authenticateMFASetup } from '../../../middleware/enhancedAuth.middleware.js';
 import {
     register,
     login,
     getCurrentUser,
     logout
 } from '../controllers/authController.js';
+import {
+    getStatus as getMFAStatus,
+    setup as setupMFA,
+    enable as enableMFA,
+    regenerateCodes as regenerateMFACodes,
+    disable as disableMFA,
+    resetUser as resetUserMFA
+} from '../controllers/mfaController.js';
 
 const router = express.Router();
 
@@ -14,4 +24,12 @@ router.post('/login', login);
 router.get('/me', requireAuth, getCurrentUser);
 router.post('/logout', requireAuth, logout);
 
+// Two-factor authentication; setup and enable also accept the setup token issued at sign-in
+router.get('/mfa/status', requireAuth, getMFAStatus);
+router.post('/mfa/setup', authenticateMFASetup('tenant', requireAuth), setupMFA);
+router.post('/mfa/enable', authenticateMFASetup('tenant', requireAuth), enableMFA);
+router.post('/mfa/recovery-codes', requireAuth, regenerateMFACodes);
+router.post('/mfa/disable', requireAuth, disableMFA);
+router.post('/mfa/reset/:userId', requireAuth, requireRole(ROLES.ADMIN), resetUserMFA);
+
 export default router;
@@ -0,0 +1,117 @@
+import Department from '../users/models/department.model.js';
+import User from '../users/models/user.model.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Notification Integration Service for HR-Core
+ *
+ * Hands HR-Core notifications to the notifications module, which delivers them
+ * in the app, by email or in the daily digest according to each user's
+ * preferences. If the notifications module is not available, requests are
+ * logged and HR-Core continues without notifying anyone.
+ */
+class NotificationIntegrationService {
+  constructor() {
+    this.notificationService = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the notifications module on first use
+   * @returns {Promise<Object|null>} NotificationService instance, or null when not available
+   */
+  async _getNotificationService() {
+    if (!this.loading) {
+      this.loading = import('../../notifications/services/NotificationService.js')
+        .then(({ default: NotificationService }) => {
+          this.notificationService = new NotificationService();
+          logger.info('[HR-Core] Notification service integration initialized');
+          return this.notificationService;
+        })
+        .catch((error) => {
+          logger.info('[HR-Core] Notification service not available - operating without notifications', {
+            error: error.message
+          });
+          return null;
+        });
+    }
+
+    return await this.loading;
+  }
+
+  /**
+   * Notify a user
+   * @param {string} tenantId - Tenant identifier
+   * @param {Object} notification - { recipient, type, title, message, priority, relatedModel, relatedId, metadata }
+   * @param {Object} [email] - { subject, html, text } sent when the user receives this type by email
+   * @returns {Promise<Object|null>} Created notification, or null when it could not be created
+   */
+  async notify(tenantId, notification, email) {
+    const notificationService = await this._getNotificationService();
+
+    if (!notificationService) {
+      logger.info('[HR-Core] Notification service not available - logging notification', {
+        tenantId,
+        recipient: notification.recipient,
+        title: notification.title
+      });
+      return null;
+    }
+
+    try {
+      return await notificationService.createNotification(notification, tenantId, { email });
+    } catch (error) {
+      // Notifications never fail the request that triggered them
+      logger.error('[HR-Core] Failed to create notification', {
+        tenantId,
+        recipient: notification.recipient,
+        title: notification.title,
+        error: error.message
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Manager of the employee's department, the usual recipient of new requests
+   * @param {Object} employee - User with department id or populated department
+   * @returns {Promise<Object|null>} Manager user
+   */
+  async getEmployeeManager(employee) {
+    try {
+      const departmentId = employee?.department?._id || employee?.department;
+      if (!departmentId) return null;
+
+      const department = await Department.findById(departmentId)
+        .populate('manager', 'username email personalInfo preferences');
+      return department?.manager || null;
+    } catch (error) {
+      logger.warn('[HR-Core] Failed to find employee manager', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * HR user of the tenant
+   * @param {string} tenantId - Tenant identifier
+   * @returns {Promise<Object|null>}
+   */
+  async getHREmployee(tenantId) {
+    return await User.findOne({ tenantId, role: 'hr', isActive: true })
+      .select('username email profile personalInfo preferences');
+  }
+
+  /**
+   * User reviewing sick leave requests of the tenant
+   * @param {string} tenantId - Tenant identifier
+   * @returns {Promise<Object|null>}
+   */
+  async getDoctor(tenantId) {
+    return await User.findOne({ tenantId, role: { $in: ['hr', 'admin', 'manager'] }, isActive: true })
+      .select('username email profile personalInfo preferences');
+  }
+}
+
+// Export singleton instance
+const notificationIntegrationService = new NotificationIntegrationService();
+export default notificationIntegrationService;
@@ -0,0 +1,145 @@
+// Tenant Backup Controller
+import TenantBackupService from '../services/TenantBackupService.js';
+
+const tenantBackupService = new TenantBackupService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already running|still running/.test(err.message)) {
+        return 409;
+    }
+    if (/^Failed to/.test(err.message)) {
+        return 500;
+    }
+    return err.statusCode || 400;
+};
+
+/**
+ * Backups
+ */
+export const getBackups = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await tenantBackupService.getBackups(tenantId, req.query));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await tenantBackupService.getBackup(req.params.id, tenantId));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const createBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const backup = await tenantBackupService.createBackup(tenantId, { type: 'manual', note: req.body.note }, req.user, req);
+        res.status(201).json(backup);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const deleteBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        await tenantBackupService.deleteBackup(req.params.id, tenantId, req.user, req);
+        res.json({ message: 'Backup deleted' });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Backed up and current document counts per collection
+ */
+export const compareBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json({ collections: await tenantBackupService.compareWithCurrent(req.params.id, tenantId) });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Restores
+ */
+export const restoreBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        res.json(await tenantBackupService.restoreBackup(req.params.id, tenantId, req.body.collections, req.user, req));
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const restoreToSandbox = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await tenantBackupService.restoreToSandbox(req.params.id, tenantId, { password: req.body.password }, req.user, req);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Backup file, importable into another installation
+ */
+export const downloadBackup = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { filePath, fileName } = await tenantBackupService.getBackupFile(req.params.id, tenantId, req.user, req);
+        res.download(filePath, fileName);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
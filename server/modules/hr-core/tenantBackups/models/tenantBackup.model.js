@@ -0,0 +1,91 @@
+// models/TenantBackup.js
+import mongoose from 'mongoose';
+import { BACKUP_STATUSES, BACKUP_TYPES } from '../utils/tenantBackupEngine.js';
+
+/**
+ * Tenant Backup Model
+ * A backup of one tenant's documents in every tenant-scoped collection, kept
+ * as a file on the server. Restores into the tenant itself or into a sandbox
+ * tenant are recorded on the backup they came from.
+ */
+const restoreSchema = new mongoose.Schema({
+    // 'tenant': selected collections replaced in place, 'sandbox': copied into a new tenant
+    target: {
+        type: String,
+        enum: ['tenant', 'sandbox'],
+        required: true
+    },
+    collections: [String],
+    sandboxTenantId: String,
+    // Taken automatically before an in-place restore
+    safetyBackup: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TenantBackup'
+    },
+    results: [{
+        _id: false,
+        name: String,
+        deleted: Number,
+        restored: Number,
+        failed: Number
+    }],
+    restoredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    restoredAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const tenantBackupSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: BACKUP_TYPES,
+        default: 'manual'
+    },
+    status: {
+        type: String,
+        enum: BACKUP_STATUSES,
+        default: 'running'
+    },
+    note: String,
+    // Documents per collection
+    counts: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    documentCount: {
+        type: Number,
+        default: 0
+    },
+    fileName: String,
+    filePath: {
+        type: String,
+        select: false
+    },
+    fileSize: Number,
+    // SHA-256 of the file, checked before every restore
+    checksum: String,
+    error: String,
+    completedAt: Date,
+    restores: [restoreSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+tenantBackupSchema.index({ tenantId: 1, createdAt: -1 });
+tenantBackupSchema.index({ tenantId: 1, status: 1 });
+
+export default mongoose.model('TenantBackup', tenantBackupSchema);
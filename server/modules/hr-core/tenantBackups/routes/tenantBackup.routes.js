@@ -0,0 +1,30 @@
+import express from 'express';
+import {
+    getBackups,
+    getBackup,
+    createBackup,
+    deleteBackup,
+    compareBackup,
+    restoreBackup,
+    restoreToSandbox,
+    downloadBackup
+} from '../controllers/tenantBackup.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+// Backups hold all company data: admins only
+router.use(requireAuth, requireRole(ROLES.ADMIN));
+
+router.get('/', getBackups);
+router.post('/', createBackup);
+router.get('/:id', getBackup);
+router.delete('/:id', deleteBackup);
+router.get('/:id/compare', compareBackup);
+router.get('/:id/download', downloadBackup);
+
+router.post('/:id/restore', restoreBackup);
+router.post('/:id/sandbox', restoreToSandbox);
+
+export default router;
@@ -0,0 +1,661 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+import mongoose from 'mongoose';
+import TenantBackup from '../models/tenantBackup.model.js';
+import User from '../../users/models/user.model.js';
+import Tenant from '../../../../platform/tenants/models/Tenant.js';
+import tenantProvisioningService from '../../../../platform/tenants/services/tenantProvisioningService.js';
+import auditLoggerService from '../../../../services/auditLogger.service.js';
+import {
+  CREDENTIAL_MODELS,
+  MIN_EXPORT_VERSION,
+  MIN_SANDBOX_PASSWORD_LENGTH,
+  SANDBOX_EXCLUDED_MODELS,
+  SECRET_FIELDS,
+  addToIdMap,
+  buildDocEntry,
+  buildHeader,
+  buildTrailer,
+  compareCounts,
+  getCurrentFields,
+  getHeaderProblem,
+  getHiddenPaths,
+  getRestorableCollections,
+  getSelectionProblem,
+  getTenantFilter,
+  getTrailerProblem,
+  keepCurrentFields,
+  listTenantCollections,
+  parseEntry,
+  prepareSandboxUser,
+  rewriteForTenant,
+  selectExpiredBackups,
+  serializeEntry,
+  toSandboxEmail
+} from '../utils/tenantBackupEngine.js';
+import logger from '../../../../utils/logger.js';
+
+// Documents inserted per insertMany call during restores
+const BATCH_SIZE = 500;
+
+/**
+ * Tenant Backup Service - backups of a single tenant's data
+ *
+ * A backup holds the tenant's documents from every tenant-scoped collection
+ * of the loaded models. It can be restored collection by collection into the
+ * tenant (after an automatic safety backup), copied into a new sandbox tenant
+ * for inspection, or downloaded and imported into another installation.
+ * Copies into a new tenant get new document ids, so they can live next to
+ * the original in the same database.
+ */
+class TenantBackupService {
+  constructor() {
+    this.storageDir = process.env.TENANT_BACKUP_DIR || path.join('storage', 'tenant-backups');
+  }
+
+  async getBackups(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.type) query.type = filters.type;
+    if (filters.status) query.status = filters.status;
+
+    return await TenantBackup.find(query)
+      .populate('createdBy restores.restoredBy', 'username personalInfo.fullName')
+      .sort({ createdAt: -1 });
+  }
+
+  async getBackup(backupId, tenantId) {
+    const backup = await TenantBackup.findOne({ _id: backupId, tenantId })
+      .populate('createdBy restores.restoredBy', 'username personalInfo.fullName');
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    return backup;
+  }
+
+  /**
+   * Back up every tenant-scoped collection of the tenant
+   * @param {Object} options - { type: 'manual' | 'scheduled' | 'pre-restore', note }
+   */
+  async createBackup(tenantId, options = {}, user = null, req = null) {
+    const tenant = await this._getTenant(tenantId);
+
+    const running = await TenantBackup.exists({ tenantId, status: 'running' });
+    if (running) {
+      throw new Error('A backup is already running for this tenant');
+    }
+
+    const backup = await TenantBackup.create({
+      tenantId,
+      type: options.type || 'manual',
+      note: options.note,
+      createdBy: user?._id || user?.id
+    });
+    const filePath = path.join(this.storageDir, tenantId, `${backup._id}.hrsm.gz`);
+
+    try {
+      const { counts, documentCount } = await this._writeBackup(filePath, tenant, backup);
+
+      backup.set({
+        status: 'completed',
+        counts,
+        documentCount,
+        fileName: `${tenantId}-${backup.createdAt.toISOString().slice(0, 10)}-${backup._id}.hrsm.gz`,
+        filePath,
+        fileSize: (await fs.promises.stat(filePath)).size,
+        checksum: await this._checksum(filePath),
+        completedAt: new Date()
+      });
+      await backup.save();
+    } catch (error) {
+      await fs.promises.rm(filePath, { force: true });
+      backup.status = 'failed';
+      backup.error = error.message;
+      await backup.save();
+
+      await this._audit(tenantId, backup, { action: 'backup_create', userId: backup.createdBy, status: 'failure', errorMessage: error.message }, req);
+      throw new Error(`Failed to create backup: ${error.message}`);
+    }
+
+    await this._audit(tenantId, backup, {
+      action: 'backup_create',
+      userId: backup.createdBy,
+      severity: 'medium',
+      changes: { after: { type: backup.type, documentCount: backup.documentCount } }
+    }, req);
+
+    return backup;
+  }
+
+  async deleteBackup(backupId, tenantId, user, req = null) {
+    const backup = await TenantBackup.findOne({ _id: backupId, tenantId }).select('+filePath');
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    if (backup.status === 'running') {
+      throw new Error('Backup is still running');
+    }
+
+    if (backup.filePath) {
+      await fs.promises.rm(backup.filePath, { force: true });
+    }
+    await backup.deleteOne();
+
+    await this._audit(tenantId, backup, { action: 'delete', userId: user?._id || user?.id, severity: 'medium' }, req);
+
+    return backup;
+  }
+
+  /**
+   * Documents per collection in the backup and in the tenant now, and which
+   * collections can be restored
+   */
+  async compareWithCurrent(backupId, tenantId) {
+    const backup = await this._getRestorableBackup(backupId, tenantId);
+    const tenant = await this._getTenant(tenantId);
+    const header = await this._readBackup(backup.filePath, null, { headerOnly: true });
+    const restorable = this._restorableCollections(header).map(collection => collection.name);
+
+    const current = {};
+    for (const collection of this._tenantCollections()) {
+      current[collection.name] = await mongoose.connection.db.collection(collection.name)
+        .countDocuments(getTenantFilter(tenant, collection.tenantIdType));
+    }
+
+    return compareCounts(Object.fromEntries(backup.counts), current)
+      .map(row => ({ ...row, restorable: restorable.includes(row.name) }));
+  }
+
+  /**
+   * Replace the selected collections of the tenant with their backed up
+   * documents. A safety backup is taken first so the restore can be undone.
+   */
+  async restoreBackup(backupId, tenantId, collections, user, req = null) {
+    const userId = user?._id || user?.id;
+    const backup = await this._getRestorableBackup(backupId, tenantId);
+
+    const header = await this._readBackup(backup.filePath, null, { headerOnly: true });
+    const restorable = this._restorableCollections(header);
+    const problem = getSelectionProblem(collections, restorable.map(collection => collection.name));
+    if (problem) {
+      throw new Error(problem);
+    }
+
+    const tenant = await this._getTenant(tenantId);
+    const selected = restorable.filter(collection => collections.includes(collection.name));
+
+    const safetyBackup = await this.createBackup(tenantId, {
+      type: 'pre-restore',
+      note: `Before restoring ${collections.join(', ')} from the backup of ${backup.createdAt.toISOString()}`
+    }, user, req);
+
+    // Credentials stay as they are now; the backup does not hold the secrets
+    const current = {};
+    for (const collection of selected) {
+      current[collection.name] = await this._getCurrentFields(tenant, collection);
+    }
+
+    const results = {};
+    for (const collection of selected) {
+      const { deletedCount } = await mongoose.connection.db.collection(collection.name)
+        .deleteMany(getTenantFilter(tenant, collection.tenantIdType));
+      results[collection.name] = { name: collection.name, deleted: deletedCount, restored: 0, failed: 0 };
+    }
+
+    try {
+      await this._insertFromBackup(backup.filePath, results, (entry) => {
+        const kept = current[entry.collection];
+        return kept ? keepCurrentFields(entry.doc, kept.docs.get(String(entry.doc._id)), kept.fields) : entry.doc;
+      });
+    } catch (error) {
+      await this._audit(tenantId, backup, { action: 'backup_restore', userId, status: 'failure', errorMessage: error.message }, req);
+      throw new Error(`Failed to restore backup: ${error.message}; the safety backup of ${safetyBackup.createdAt.toISOString()} holds the previous data`);
+    }
+
+    backup.restores.push({ target: 'tenant', collections, safetyBackup: safetyBackup._id, results: Object.values(results), restoredBy: userId });
+    await backup.save();
+
+    await this._audit(tenantId, backup, {
+      action: 'backup_restore',
+      userId,
+      severity: 'critical',
+      changes: { after: { collections, safetyBackup: safetyBackup._id, results: Object.values(results) } }
+    }, req);
+
+    return { safetyBackup, results: Object.values(results) };
+  }
+
+  /**
+   * Copy a backup into a new sandbox tenant. The requesting admin signs in
+   * with a tagged copy of their email and the given password; the other
+   * copied users cannot sign in.
+   */
+  async restoreToSandbox(backupId, tenantId, { password }, user, req = null) {
+    if (!password || String(password).length < MIN_SANDBOX_PASSWORD_LENGTH) {
+      throw new Error(`Sandbox admin password must be at least ${MIN_SANDBOX_PASSWORD_LENGTH} characters`);
+    }
+
+    const userId = user?._id || user?.id;
+    const backup = await this._getRestorableBackup(backupId, tenantId);
+    const requester = await User.findById(userId).select('email personalInfo');
+    if (!requester?.email) {
+      throw new Error('Your account has no email to sign in to the sandbox with');
+    }
+
+    const header = await this._readBackup(backup.filePath, null, { headerOnly: true });
+    const tag = `sandbox-${crypto.randomBytes(3).toString('hex')}`;
+    const { tenant: sandbox, adminUser } = await tenantProvisioningService.cloneTenant(tenantId, {
+      name: `${header.source.name} sandbox`,
+      metadata: { notes: `Sandbox restore of ${tenantId} from the backup of ${backup.createdAt.toISOString()}` },
+      adminUser: {
+        email: toSandboxEmail(requester.email, tag),
+        password,
+        firstName: requester.personalInfo?.firstName || 'Sandbox',
+        lastName: requester.personalInfo?.lastName || 'Admin'
+      }
+    });
+
+    const results = await this._copyIntoTenant(backup.filePath, header, sandbox, adminUser, {
+      sourceUserId: String(userId),
+      sandboxTag: tag,
+      excludeModels: SANDBOX_EXCLUDED_MODELS
+    });
+
+    backup.restores.push({ target: 'sandbox', collections: results.map(result => result.name), sandboxTenantId: sandbox.tenantId, results, restoredBy: userId });
+    await backup.save();
+
+    await this._audit(tenantId, backup, {
+      action: 'backup_restore',
+      userId,
+      severity: 'high',
+      changes: { after: { sandboxTenantId: sandbox.tenantId, results } }
+    }, req);
+
+    return {
+      sandbox: { tenantId: sandbox.tenantId, name: sandbox.name },
+      adminEmail: adminUser.email,
+      results
+    };
+  }
+
+  /**
+   * Backup file of a completed backup, for download as a portable export
+   * @returns {Promise<{filePath: string, fileName: string}>}
+   */
+  async getBackupFile(backupId, tenantId, user, req = null) {
+    const backup = await this._getRestorableBackup(backupId, tenantId);
+    const header = await this._readBackup(backup.filePath, null, { headerOnly: true });
+    if (header.version < MIN_EXPORT_VERSION) {
+      throw new Error('Cannot download this backup: it was made before credentials were left out of backups; create a new backup to export');
+    }
+
+    await this._audit(tenantId, backup, { action: 'export', userId: user?._id || user?.id, severity: 'high' }, req);
+
+    return { filePath: backup.filePath, fileName: backup.fileName };
+  }
+
+  /**
+   * Create a tenant from a backup file, possibly made by another installation
+   * @param {string} filePath - Uploaded backup file
+   * @param {Object} tenantData - { name, domain, adminUser: { email, password, firstName, lastName } }
+   */
+  async importTenant(filePath, tenantData = {}) {
+    // Reads the whole file once, so a damaged upload fails before a tenant exists
+    const header = await this._readBackup(filePath);
+
+    const { tenant, adminUser } = await tenantProvisioningService.createTenant(
+      tenantProvisioningService.buildClonedTenantData(header.source, {
+        ...tenantData,
+        name: tenantData.name || header.source.name,
+        metadata: { notes: `Imported from ${header.source.tenantId} (backup of ${new Date(header.createdAt).toISOString()})` }
+      })
+    );
+
+    const adminEmail = String(adminUser.email).toLowerCase();
+    const results = await this._copyIntoTenant(filePath, header, tenant, adminUser, {
+      // The admin replaces the backed up user with the same email
+      isAdminCopy: (doc) => String(doc.email || '').toLowerCase() === adminEmail,
+      // Their secrets are not in the file, so they would not work anyway
+      excludeModels: CREDENTIAL_MODELS
+    });
+
+    await this._audit(tenant.tenantId, { _id: tenant._id }, {
+      action: 'import',
+      resource: 'Tenant',
+      severity: 'high',
+      changes: { after: { sourceTenantId: header.source.tenantId, results } }
+    });
+
+    return { tenant, adminUser, results };
+  }
+
+  /**
+   * Nightly backups of active tenants, and removal of expired scheduled ones
+   * @returns {Promise<{created: number, failed: number, removed: number}>}
+   */
+  async runScheduledBackups(retentionDays = Number(process.env.TENANT_BACKUP_RETENTION_DAYS) || 14) {
+    const tenants = await Tenant.find({ status: { $in: ['active', 'trial'] } }).select('tenantId');
+    let created = 0;
+    let failed = 0;
+    let removed = 0;
+
+    for (const { tenantId } of tenants) {
+      try {
+        await this.createBackup(tenantId, { type: 'scheduled' });
+        created++;
+      } catch (error) {
+        failed++;
+        logger.error('Scheduled tenant backup failed', { tenantId, error: error.message });
+      }
+
+      const backups = await TenantBackup.find({ tenantId, status: { $ne: 'running' } }).select('+filePath');
+      for (const backup of selectExpiredBackups(backups, retentionDays)) {
+        if (backup.filePath) {
+          await fs.promises.rm(backup.filePath, { force: true });
+        }
+        await backup.deleteOne();
+        removed++;
+      }
+    }
+
+    return { created, failed, removed };
+  }
+
+  async _getTenant(tenantId) {
+    const tenant = await Tenant.findOne({ tenantId });
+    if (!tenant) {
+      throw new Error('Tenant not found');
+    }
+    return tenant;
+  }
+
+  /**
+   * Completed backup whose file is present and unchanged
+   */
+  async _getRestorableBackup(backupId, tenantId) {
+    const backup = await TenantBackup.findOne({ _id: backupId, tenantId }).select('+filePath');
+    if (!backup) {
+      throw new Error('Backup not found');
+    }
+    if (backup.status !== 'completed') {
+      throw new Error(`Backup is ${backup.status}`);
+    }
+    if (!backup.filePath || !fs.existsSync(backup.filePath)) {
+      throw new Error('Backup file not found');
+    }
+    if (await this._checksum(backup.filePath) !== backup.checksum) {
+      throw new Error('Backup file is corrupted: checksum does not match');
+    }
+    return backup;
+  }
+
+  /**
+   * Tenant-scoped collections of the loaded models
+   */
+  _tenantCollections() {
+    return listTenantCollections(mongoose.modelNames().map(modelName => {
+      const model = mongoose.model(modelName);
+      return {
+        modelName,
+        collectionName: model.collection.name,
+        tenantIdType: model.schema.path('tenantId')?.instance || null,
+        secretFields: [...(SECRET_FIELDS[modelName] || []), ...getHiddenPaths(model.schema)]
+      };
+    }));
+  }
+
+  /**
+   * Collections of a backup that can be restored over the tenant, as this
+   * installation defines them
+   */
+  _restorableCollections(header) {
+    const backedUp = header.collections.map(collection => collection.name);
+    return getRestorableCollections(this._tenantCollections())
+      .filter(collection => backedUp.includes(collection.name));
+  }
+
+  /**
+   * Fields an in-place restore keeps from the tenant's current documents
+   * @returns {Promise<{fields: string[], docs: Map<string, Object>}|null>}
+   */
+  async _getCurrentFields(tenant, collection) {
+    const fields = getCurrentFields(collection);
+    if (fields.length === 0) return null;
+
+    const cursor = mongoose.connection.db.collection(collection.name).find(
+      getTenantFilter(tenant, collection.tenantIdType),
+      { projection: Object.fromEntries(fields.map(field => [field, 1])) }
+    );
+    const docs = new Map();
+    for await (const doc of cursor) {
+      docs.set(String(doc._id), doc);
+    }
+    return { fields, docs };
+  }
+
+  async _writeBackup(filePath, tenant, backup) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    const collections = this._tenantCollections();
+    const gzip = zlib.createGzip();
+    const written = pipeline(gzip, fs.createWriteStream(filePath));
+    const write = async (entry) => {
+      if (!gzip.write(serializeEntry(entry))) {
+        await once(gzip, 'drain');
+      }
+    };
+
+    const counts = {};
+    try {
+      await write(buildHeader(tenant, backup, collections));
+      for (const collection of collections) {
+        counts[collection.name] = 0;
+        const cursor = mongoose.connection.db.collection(collection.name)
+          .find(getTenantFilter(tenant, collection.tenantIdType));
+        for await (const doc of cursor) {
+          await write(buildDocEntry(collection, doc));
+          counts[collection.name]++;
+        }
+      }
+      await write(buildTrailer(counts));
+      gzip.end();
+    } catch (error) {
+      gzip.destroy(error);
+    }
+    await written;
+
+    return buildTrailer(counts);
+  }
+
+  /**
+   * Read a backup file entry by entry, checking it is complete
+   * @param {Function} onEntry - Called with each document entry
+   * @param {Object} options - headerOnly: stop after the header
+   * @returns {Promise<Object>} The header
+   */
+  async _readBackup(filePath, onEntry = null, { headerOnly = false } = {}) {
+    const source = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    source.on('error', error => gunzip.destroy(error));
+    source.pipe(gunzip);
+    gunzip.setEncoding('utf8');
+
+    let header = null;
+    let trailer = null;
+    const counts = {};
+    const handle = async (line) => {
+      if (!line) return;
+      const entry = parseEntry(line);
+      if (!header) {
+        const problem = getHeaderProblem(entry);
+        if (problem) throw new Error(problem);
+        header = entry;
+      } else if (entry.type === 'doc') {
+        counts[entry.collection] = (counts[entry.collection] || 0) + 1;
+        if (onEntry) await onEntry(entry);
+      } else if (entry.type === 'end') {
+        trailer = entry;
+      }
+    };
+
+    let rest = '';
+    try {
+      for await (const chunk of gunzip) {
+        const lines = (rest + chunk).split('\n');
+        rest = lines.pop();
+        for (const line of lines) {
+          await handle(line);
+          if (headerOnly && header) {
+            source.destroy();
+            return header;
+          }
+        }
+      }
+      await handle(rest);
+    } catch (error) {
+      source.destroy();
+      if (error.code?.startsWith('Z_')) throw new Error('Not a tenant backup file');
+      if (error instanceof SyntaxError) throw new Error('Backup file is damaged');
+      throw error;
+    }
+
+    const problem = header ? getTrailerProblem(trailer, counts) : 'Not a tenant backup file';
+    if (problem) {
+      throw new Error(problem);
+    }
+    return header;
+  }
+
+  /**
+   * Insert the backed up documents of the collections in `results`
+   * @param {Function} prepare - Maps an entry to the document to insert, or null to skip it
+   */
+  async _insertFromBackup(filePath, results, prepare) {
+    let batch = [];
+    let batchCollection = null;
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const result = results[batchCollection];
+      try {
+        const { insertedCount } = await mongoose.connection.db.collection(batchCollection).insertMany(batch, { ordered: false });
+        result.restored += insertedCount;
+      } catch (error) {
+        if (error.insertedCount === undefined) throw error;
+        // Duplicates and validation failures skip the document, not the batch
+        result.restored += error.insertedCount;
+        result.failed += batch.length - error.insertedCount;
+      }
+      batch = [];
+    };
+
+    await this._readBackup(filePath, async (entry) => {
+      if (!results[entry.collection]) return;
+      const doc = prepare(entry);
+      if (!doc) return;
+
+      if (entry.collection !== batchCollection || batch.length >= BATCH_SIZE) {
+        await flush();
+        batchCollection = entry.collection;
+      }
+      batch.push(doc);
+    });
+    await flush();
+  }
+
+  /**
+   * Copy a backup into a newly created tenant with new document ids. The
+   * tenant's admin takes the place of one backed up user, so references to
+   * that user point at the admin. Only collections this installation keeps
+   * tenant data in are copied, whatever the file lists.
+   */
+  async _copyIntoTenant(filePath, header, target, adminUser, options = {}) {
+    const { sourceUserId = null, isAdminCopy = () => false, sandboxTag = null, excludeModels = [] } = options;
+    const backedUp = header.collections.map(collection => collection.name);
+    const collections = this._tenantCollections().filter(collection =>
+      backedUp.includes(collection.name) &&
+      !collection.models.some(model => excludeModels.includes(model))
+    );
+    const tenantIds = Object.fromEntries(collections.map(collection => [
+      collection.name,
+      getTenantFilter(target, collection.tenantIdType).tenantId
+    ]));
+    const userCollections = collections.filter(collection => collection.models.includes('User')).map(collection => collection.name);
+
+    const results = Object.fromEntries(collections.map(collection => [
+      collection.name,
+      { name: collection.name, deleted: 0, restored: 0, failed: 0 }
+    ]));
+
+    const isAdmin = (entry) => userCollections.includes(entry.collection) &&
+      (String(entry.doc._id) === sourceUserId || isAdminCopy(entry.doc));
+
+    // First pass: new ids for everything, so references across collections can be rewritten
+    const idMap = new Map([[String(header.source._id), target._id]]);
+    let adminCopyId = null;
+    await this._readBackup(filePath, (entry) => {
+      if (!results[entry.collection]) return;
+      if (!adminCopyId && isAdmin(entry)) {
+        adminCopyId = String(entry.doc._id);
+        idMap.set(adminCopyId, adminUser._id);
+        return;
+      }
+      addToIdMap(idMap, entry.doc);
+    });
+
+    try {
+      await this._insertFromBackup(filePath, results, (entry) => {
+        if (String(entry.doc._id) === adminCopyId) return null;
+
+        const doc = rewriteForTenant(entry.doc, { idMap, tenantId: tenantIds[entry.collection] });
+        return sandboxTag && userCollections.includes(entry.collection) ? prepareSandboxUser(doc, sandboxTag) : doc;
+      });
+    } catch (error) {
+      await this._removeTenant(target, collections);
+      throw new Error(`Failed to copy the backup into a new tenant: ${error.message}`);
+    }
+
+    return Object.values(results);
+  }
+
+  /**
+   * Undo a partial copy into a new tenant
+   */
+  async _removeTenant(tenant, collections) {
+    for (const collection of collections) {
+      await mongoose.connection.db.collection(collection.name).deleteMany(getTenantFilter(tenant, collection.tenantIdType));
+    }
+    await User.deleteMany({ tenantId: tenant.tenantId });
+    await Tenant.deleteOne({ _id: tenant._id });
+  }
+
+  async _checksum(filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(fs.createReadStream(filePath), hash);
+    return hash.digest('hex');
+  }
+
+  async _audit(tenantId, backup, entry, req = null) {
+    try {
+      await auditLoggerService.createAuditLog({
+        resource: 'TenantBackup',
+        resourceId: backup._id,
+        tenantId,
+        module: 'hr-core',
+        category: 'backup_recovery',
+        severity: 'low',
+        retentionPolicy: 'extended',
+        tags: ['tenant-backup'],
+        ...entry
+      }, req);
+    } catch (error) {
+      // The audit logger already recorded the failure; the backup change stands
+      logger.warn('Tenant backup audit entry not saved', { backupId: backup._id, action: entry.action, error: error.message });
+    }
+  }
+}
+
+export default TenantBackupService;
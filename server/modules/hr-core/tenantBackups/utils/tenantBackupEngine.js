@@ -0,0 +1,374 @@
+/**
+ * Tenant Backup Engine
+ * Pure helpers behind tenant-scoped backups: which collections hold tenant
+ * data, the backup file format, and how documents are rewritten when a
+ * backup is restored into another tenant. The service reads and writes the
+ * database and the files.
+ *
+ * A backup file is gzipped EJSON, one entry per line:
+ *   { type: 'header', format, version, source, collections, ... }
+ *   { type: 'doc', collection, doc }   (grouped by collection)
+ *   { type: 'end', counts, documentCount }
+ * The trailer makes truncated files detectable, so the same file works as a
+ * portable export that another installation can import.
+ */
+import mongoose from 'mongoose';
+
+const { EJSON, ObjectId } = mongoose.mongo.BSON;
+
+export const BACKUP_FORMAT = 'hrsm-tenant-backup';
+
+// Version 2 leaves credentials out of the file
+export const FORMAT_VERSION = 2;
+
+// Oldest version that may leave the server as a download
+export const MIN_EXPORT_VERSION = 2;
+
+export const BACKUP_TYPES = ['manual', 'scheduled', 'pre-restore'];
+
+export const BACKUP_STATUSES = ['running', 'completed', 'failed'];
+
+// Backup records are never backed up or restored themselves
+export const EXCLUDED_MODELS = ['TenantBackup'];
+
+// Integrations holding credentials. A copy would call production
+// integrations or accept production credentials, and a restore would bring
+// back keys and endpoints revoked since the backup
+export const CREDENTIAL_MODELS = ['ApiKey', 'WebhookEndpoint', 'WebhookDelivery'];
+
+// Left out of sandbox copies
+export const SANDBOX_EXCLUDED_MODELS = CREDENTIAL_MODELS;
+
+// Kept when a backup is restored over the tenant: the audit trail must
+// survive a restore, including the record of the restore itself
+export const IN_PLACE_EXCLUDED_MODELS = ['AuditLog', ...CREDENTIAL_MODELS];
+
+// Never written to a backup, besides the paths each schema hides from
+// queries (MFA secrets, recovery codes, key hashes, signing secrets...):
+// whoever downloads the backup must not get colleagues' credentials
+export const SECRET_FIELDS = {
+    User: ['password']
+};
+
+// Taken from the current document when a backup is restored over the tenant,
+// so a restore does not bring back a reset password or an earlier MFA setup
+export const CURRENT_FIELDS = {
+    User: ['password', 'mfa']
+};
+
+export const MIN_SANDBOX_PASSWORD_LENGTH = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isObjectId = (value) => value?._bsontype === 'ObjectId';
+
+/**
+ * Paths a schema hides from queries (select: false), at any depth
+ * @param {mongoose.Schema} schema
+ * @returns {string[]}
+ */
+export const getHiddenPaths = (schema, prefix = '') => {
+    const paths = [];
+    schema.eachPath((name, type) => {
+        if (type.options?.select === false) {
+            paths.push(`${prefix}${name}`);
+        } else if (type.schema) {
+            paths.push(...getHiddenPaths(type.schema, `${prefix}${name}.`));
+        }
+    });
+    return paths;
+};
+
+/**
+ * Collections holding tenant data, from the loaded models
+ * @param {Array<{modelName: string, collectionName: string, tenantIdType: string|null, secretFields: string[]}>} models
+ * @returns {Array<{name: string, tenantIdType: string, models: string[], secretFields: string[]}>} Sorted by name
+ */
+export const listTenantCollections = (models) => {
+    const collections = new Map();
+
+    models.forEach(({ modelName, collectionName, tenantIdType, secretFields = [] }) => {
+        if (!tenantIdType || EXCLUDED_MODELS.includes(modelName)) return;
+
+        const existing = collections.get(collectionName);
+        if (existing) {
+            existing.models.push(modelName);
+            existing.secretFields = [...new Set([...existing.secretFields, ...secretFields])];
+            return;
+        }
+        collections.set(collectionName, {
+            name: collectionName,
+            tenantIdType: /^objectid$/i.test(tenantIdType) ? 'ObjectId' : 'String',
+            models: [modelName],
+            secretFields: [...new Set(secretFields)]
+        });
+    });
+
+    return [...collections.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+const omitPath = (value, [key, ...rest]) => {
+    if (Array.isArray(value)) {
+        return value.map(item => omitPath(item, [key, ...rest]));
+    }
+    if (!value || typeof value !== 'object' || isObjectId(value) || !(key in value)) {
+        return value;
+    }
+    const copy = { ...value };
+    if (rest.length === 0) {
+        delete copy[key];
+    } else {
+        copy[key] = omitPath(value[key], rest);
+    }
+    return copy;
+};
+
+/**
+ * Copy of a document without the given paths; paths run through arrays
+ */
+export const removeFields = (doc, paths) => paths.reduce((result, fieldPath) => omitPath(result, fieldPath.split('.')), doc);
+
+/**
+ * Document entry of a backup file, without the collection's secrets
+ */
+export const buildDocEntry = (collection, doc) => ({
+    type: 'doc',
+    collection: collection.name,
+    doc: removeFields(doc, collection.secretFields || [])
+});
+
+/**
+ * Top-level fields an in-place restore takes from the current documents: the
+ * collection's CURRENT_FIELDS and whatever holds a secret the backup lacks
+ */
+export const getCurrentFields = (collection) => [...new Set([
+    ...collection.models.flatMap(model => CURRENT_FIELDS[model] || []),
+    ...(collection.secretFields || []).map(field => field.split('.')[0])
+])];
+
+/**
+ * Restored document with fields taken from the current one, which are
+ * removed from the restored document when the current one lacks them
+ */
+export const keepCurrentFields = (doc, current, fields) => {
+    const kept = { ...doc };
+    fields.forEach(field => {
+        delete kept[field];
+        if (current?.[field] !== undefined) {
+            kept[field] = current[field];
+        }
+    });
+    return kept;
+};
+
+/**
+ * Query matching a tenant's documents; some models reference the tenant
+ * document, most store the tenantId string
+ */
+export const getTenantFilter = (tenant, tenantIdType) => ({
+    tenantId: tenantIdType === 'ObjectId' ? tenant._id : tenant.tenantId
+});
+
+export const serializeEntry = (entry) => `${EJSON.stringify(entry, { relaxed: false })}\n`;
+
+// Numbers come back as plain numbers; ids, dates and binaries keep their types
+export const parseEntry = (line) => EJSON.parse(line, { relaxed: true });
+
+/**
+ * First line of a backup file: what was backed up, and the tenant settings an
+ * import recreates
+ */
+export const buildHeader = (tenant, backup, collections) => ({
+    type: 'header',
+    format: BACKUP_FORMAT,
+    version: FORMAT_VERSION,
+    backupId: String(backup._id),
+    createdAt: backup.createdAt || new Date(),
+    source: {
+        _id: tenant._id,
+        tenantId: tenant.tenantId,
+        name: tenant.name,
+        config: tenant.config,
+        limits: tenant.limits,
+        enabledModules: (tenant.enabledModules || []).map(({ moduleId }) => ({ moduleId }))
+    },
+    collections
+});
+
+export const buildTrailer = (counts) => ({
+    type: 'end',
+    counts,
+    documentCount: Object.values(counts).reduce((sum, count) => sum + count, 0)
+});
+
+/**
+ * @returns {string|null} Why the header cannot be restored
+ */
+export const getHeaderProblem = (header) => {
+    if (header?.type !== 'header' || header.format !== BACKUP_FORMAT) {
+        return 'Not a tenant backup file';
+    }
+    if (header.version > FORMAT_VERSION) {
+        return `Backup format version ${header.version} is newer than this installation supports`;
+    }
+    if (!header.source?.tenantId || !Array.isArray(header.collections)) {
+        return 'Backup header is incomplete';
+    }
+    return null;
+};
+
+/**
+ * @param {Object} trailer - Last entry of the file
+ * @param {Object} counts - Documents read per collection
+ * @returns {string|null} Why the file is not a complete backup
+ */
+export const getTrailerProblem = (trailer, counts) => {
+    if (trailer?.type !== 'end') {
+        return 'Backup file is incomplete';
+    }
+    const names = new Set([...Object.keys(trailer.counts || {}), ...Object.keys(counts)]);
+    const mismatch = [...names].find(name => (trailer.counts?.[name] || 0) !== (counts[name] || 0));
+    return mismatch ? `Backup file is incomplete: ${mismatch} does not have the expected number of documents` : null;
+};
+
+/**
+ * Backed up collections that can be restored over the tenant
+ */
+export const getRestorableCollections = (collections) =>
+    collections.filter(collection => !collection.models.some(model => IN_PLACE_EXCLUDED_MODELS.includes(model)));
+
+/**
+ * @returns {string|null} Why the selection cannot be restored
+ */
+export const getSelectionProblem = (selected, available) => {
+    if (!Array.isArray(selected) || selected.length === 0) {
+        return 'Select at least one collection to restore';
+    }
+    const unknown = selected.filter(name => !available.includes(name));
+    return unknown.length ? `Cannot restore from this backup: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Backup and current document counts side by side
+ */
+export const compareCounts = (backupCounts = {}, currentCounts = {}) => {
+    const names = [...new Set([...Object.keys(backupCounts), ...Object.keys(currentCounts)])].sort();
+    return names.map(name => {
+        const backup = backupCounts[name] || 0;
+        const current = currentCounts[name] || 0;
+        return { name, backup, current, difference: current - backup };
+    });
+};
+
+/**
+ * Give a document a new id, remembering the mapping for references
+ * @param {Map<string, ObjectId>} idMap - Old id (hex) to new id
+ */
+export const addToIdMap = (idMap, doc) => {
+    if (isObjectId(doc?._id) && !idMap.has(doc._id.toHexString())) {
+        idMap.set(doc._id.toHexString(), new ObjectId());
+    }
+    return idMap;
+};
+
+/**
+ * Replace every mapped ObjectId, at any depth
+ */
+export const remapIds = (value, idMap) => {
+    if (isObjectId(value)) {
+        return idMap.get(value.toHexString()) || value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => remapIds(item, idMap));
+    }
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, remapIds(item, idMap)]));
+    }
+    return value;
+};
+
+/**
+ * A document as it is inserted into another tenant: new ids throughout and
+ * the target's tenantId, whatever tenant the file says the document is from
+ * @param {Object} options - idMap, and tenantId: the target's tenantId string
+ *   or tenant document id, as the collection stores it
+ */
+export const rewriteForTenant = (doc, { idMap, tenantId }) => ({
+    ...remapIds(doc, idMap),
+    tenantId
+});
+
+/**
+ * Sandbox login emails are tagged (name+tag@domain); users log in by email
+ * alone, so a copy must not share the production address
+ */
+export const toSandboxEmail = (email, tag) => {
+    const at = String(email || '').lastIndexOf('@');
+    if (at < 1) return `${email}+${tag}`;
+    return `${email.slice(0, at)}+${tag}${email.slice(at)}`;
+};
+
+/**
+ * Users copied into a sandbox: tagged email and no login, only the sandbox
+ * admin signs in
+ */
+export const prepareSandboxUser = (user, tag) => ({
+    ...user,
+    email: user.email ? toSandboxEmail(user.email, tag) : user.email,
+    isActive: false,
+    status: 'inactive'
+});
+
+/**
+ * Scheduled backups past the retention period; the newest completed backup
+ * is always kept
+ */
+export const selectExpiredBackups = (backups, retentionDays, now = new Date()) => {
+    const cutoff = now.getTime() - retentionDays * DAY_MS;
+    const newest = backups
+        .filter(backup => backup.status === 'completed')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
+    return backups.filter(backup =>
+        backup.type === 'scheduled' &&
+        backup !== newest &&
+        new Date(backup.createdAt).getTime() < cutoff
+    );
+};
+
+export default {
+    BACKUP_FORMAT,
+    FORMAT_VERSION,
+    MIN_EXPORT_VERSION,
+    BACKUP_TYPES,
+    BACKUP_STATUSES,
+    EXCLUDED_MODELS,
+    CREDENTIAL_MODELS,
+    SANDBOX_EXCLUDED_MODELS,
+    IN_PLACE_EXCLUDED_MODELS,
+    SECRET_FIELDS,
+    CURRENT_FIELDS,
+    MIN_SANDBOX_PASSWORD_LENGTH,
+    getHiddenPaths,
+    listTenantCollections,
+    removeFields,
+    buildDocEntry,
+    getCurrentFields,
+    keepCurrentFields,
+    getTenantFilter,
+    serializeEntry,
+    parseEntry,
+    buildHeader,
+    buildTrailer,
+    getHeaderProblem,
+    getTrailerProblem,
+    getRestorableCollections,
+    getSelectionProblem,
+    compareCounts,
+    addToIdMap,
+    remapIds,
+    rewriteForTenant,
+    toSandboxEmail,
+    prepareSandboxUser,
+    selectExpiredBackups
+};
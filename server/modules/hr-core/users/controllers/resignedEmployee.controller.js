@@ -1,5 +1,11 @@
 import ResignedEmployee from '../models/resignedEmployee.model.js';
 import User from '../models/user.model.js';
+import ChecklistService from '../../checklists/services/ChecklistService.js';
+import WebhookService from '../../webhooks/services/WebhookService.js';
+import { toEmployeeData } from '../../webhooks/utils/webhookEngine.js';
+
+const checklistService = new ChecklistService();
+const webhookService = new WebhookService();
 
 /**
  * Get all resigned employees with optional filtering
@@ -62,6 +68,13 @@ export const createResignedEmployee = async (req, res) => {
 
         const savedResignedEmployee = await resignedEmployee.save();
 
+        // Start the offboarding checklist; the resignation is kept even if this fails
+        try {
+            await checklistService.createOffboardingChecklist(savedResignedEmployee, req.tenantId, req.user.id);
+        } catch (checklistError) {
+            console.error('Create offboarding checklist error:', checklistError);
+        }
+
         // Optionally deactivate the user account
         if (req.body.deactivateAccount && req.body.employee) {
             await User.findByIdAndUpdate(req.body.employee, { 
@@ -70,6 +83,16 @@ export const createResignedEmployee = async (req, res) => {
             });
         }
 
+        const employee = await User.findById(savedResignedEmployee.employee);
+        webhookService.emit(req.tenantId, 'employee.terminated', {
+            employee: toEmployeeData(employee || { _id: savedResignedEmployee.employee }),
+            resignationId: savedResignedEmployee._id.toString(),
+            resignationDate: savedResignedEmployee.resignationDate,
+            lastWorkingDay: savedResignedEmployee.lastWorkingDay,
+            resignationReason: savedResignedEmployee.resignationReason,
+            accountDeactivated: !!req.body.deactivateAccount
+        });
+
         res.status(201).json({
             success: true,
             data: savedResignedEmployee
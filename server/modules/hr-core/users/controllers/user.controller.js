@@ -3,7 +3,12 @@ import User from '../models/user.model.js';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { logAuthEvent } from '../../../../middleware/activityLogger.js';
+import { checkLoginMFA, generateMFASetupToken } from '../../../../middleware/enhancedAuth.middleware.js';
+import { SUPPORTED_LANGUAGES, isSupportedLanguage } from '../../../../core/i18n/index.js';
 import xlsx from 'xlsx';
+import ChecklistService from '../../checklists/services/ChecklistService.js';
+import WebhookService from '../../webhooks/services/WebhookService.js';
+import { toEmployeeData } from '../../webhooks/utils/webhookEngine.js';
 import { 
     logControllerAction, 
     logControllerError, 
@@ -13,10 +18,31 @@ import {
     logAdminAction 
 } from '../../../../utils/controllerLogger.js';
 
+const checklistService = new ChecklistService();
+const webhookService = new WebhookService();
+
+// Helper: start the onboarding checklist of a new user; never fails the user creation
+const startOnboarding = async (user, tenantId, createdBy) => {
+    try {
+        await checklistService.createOnboardingChecklist(user, tenantId, createdBy);
+    } catch (err) {
+        console.error(`❌ Error creating onboarding checklist for ${user.username}:`, err.message);
+    }
+};
+
+// Roles that maintain employees' salary accounts
+const BANK_DETAILS_ROLES = ['admin', 'hr'];
+
+// Helper: whether the requesting user may see bank details
+const canViewBankDetails = (viewer) => BANK_DETAILS_ROLES.includes(viewer?.role);
+
 // Helper: sanitize user object (remove sensitive fields)
-const sanitizeUser = (user) => {
+const sanitizeUser = (user, viewer = null) => {
     const obj = user.toObject ? user.toObject() : user;
     delete obj.password;
+    if (!canViewBankDetails(viewer)) {
+        delete obj.bankDetails;
+    }
     return obj;
 };
 
@@ -35,6 +61,11 @@ const validateUserInput = (data, isUpdate = false) => {
         if (data.profile.gender && !['male', 'female'].includes(data.profile.gender)) return 'Invalid gender.';
         if (data.profile.maritalStatus && !['single', 'married', 'divorced', 'widowed'].includes(data.profile.maritalStatus)) return 'Invalid marital status.';
     }
+    if (data.bankDetails) {
+        const iban = data.bankDetails.iban?.replace(/\s/g, '');
+        if (iban && !/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/i.test(iban)) return 'Invalid IBAN.';
+        if (data.bankDetails.bic && !/^[A-Z]{6}[A-Z0-9]{2}([A-Z0-9]{3})?$/i.test(data.bankDetails.bic)) return 'Invalid BIC.';
+    }
     if (data.employment) {
         if (data.employment.contractType && !['full-time', 'part-time', 'contract', 'probation'].includes(data.employment.contractType)) return 'Invalid contract type.';
         if (data.employment.employmentStatus && !['active', 'on-leave', 'vacation', 'inactive', 'terminated', 'resigned'].includes(data.employment.employmentStatus)) return 'Invalid employment status.';
@@ -107,7 +138,7 @@ export const getAllUsers = async (req, res) => {
         
         res.json({
             success: true,
-            data: users.map(sanitizeUser)
+            data: users.map(user => sanitizeUser(user))
         });
     } catch (err) {
         console.error('❌ Error fetching users:', err);
@@ -166,6 +197,7 @@ export const getUserById = async (req, res) => {
         
         // Find user in tenant database
         const user = await models.User.findOne({ _id: userId, tenantId: tenantId })
+            .select(canViewBankDetails(req.user) ? '+bankDetails' : '')
             .populate({
                 path: 'department',
                 populate: {
@@ -194,7 +226,7 @@ export const getUserById = async (req, res) => {
 
         res.json({
             success: true,
-            data: sanitizeUser(user)
+            data: sanitizeUser(user, req.user)
         });
     } catch (err) {
         console.error('❌ Error fetching user by ID:', err);
@@ -320,10 +352,13 @@ export const createUser = async (req, res) => {
             }
         });
         await user.populate('position');
+
+        await startOnboarding(user, tenantId, req.user?._id);
+        webhookService.emit(tenantId, 'employee.created', { employee: toEmployeeData(user) });
         
         res.status(201).json({
             success: true,
-            data: sanitizeUser(user),
+            data: sanitizeUser(user, req.user),
             message: email !== req.body.email ? `Email auto-generated: ${email}` : undefined
         });
     } catch (err) {
@@ -411,6 +446,7 @@ export const updateUser = async (req, res) => {
         console.log('✏️ Updating user with query:', query);
         
         const user = await models.User.findOneAndUpdate(query, req.body, { new: true })
+            .select(canViewBankDetails(req.user) ? '+bankDetails' : '')
             .populate({
                 path: 'department',
                 populate: {
@@ -431,7 +467,7 @@ export const updateUser = async (req, res) => {
         console.log(`✓ Updated user ${user.email} for tenant ${tenantId}`);
         res.json({
             success: true,
-            data: sanitizeUser(user)
+            data: sanitizeUser(user, req.user)
         });
     } catch (err) {
         console.error('❌ Error updating user:', err);
@@ -555,6 +591,29 @@ export const loginUser = async (req, res) => {
             return res.status(401).json({ error: 'Invalid email or password.' });
         }
 
+        // Second factor: a code, a recovery code, or enrollment when it is enforced
+        const mfaResult = await checkLoginMFA(user, req.body);
+        if (mfaResult === 'required') {
+            return res.json({ requiresMFA: true });
+        }
+        if (mfaResult === 'setup-required') {
+            return res.json({ requiresMFASetup: true, mfaSetupToken: generateMFASetupToken(user, 'tenant') });
+        }
+        if (mfaResult === 'invalid') {
+            logAuthEvent('LOGIN_FAILED', user, req, {
+                reason: 'Invalid authentication code'
+            });
+
+            logAuthenticationEvent(req, 'login_failed', {
+                success: false,
+                userId: user._id.toString(),
+                userEmail: email,
+                reason: 'invalid_mfa_token'
+            });
+
+            return res.status(401).json({ error: 'Invalid authentication code.' });
+        }
+
         // Update last login
         user.lastLogin = new Date();
         await user.save();
@@ -699,6 +758,15 @@ export const updateUserProfile = async (req, res) => {
             allowedUpdates.personalInfo.profilePicture = req.body.profilePicture;
         }
 
+        // Language preference of the user
+        const language = req.body.preferences?.language;
+        if (language !== undefined) {
+            if (!isSupportedLanguage(language)) {
+                return res.status(400).json({ error: `Unsupported language. Use one of: ${SUPPORTED_LANGUAGES.join(', ')}` });
+            }
+            allowedUpdates['preferences.language'] = language;
+        }
+
         const user = await User.findByIdAndUpdate(userId, allowedUpdates, { new: true, runValidators: true })
             .populate('department position');
 
@@ -1183,6 +1251,8 @@ export const bulkCreateUsers = async (req, res) => {
                 // Create user
                 const user = new models.User(userData);
                 await user.save();
+                await startOnboarding(user, tenantId, req.user?._id);
+                webhookService.emit(tenantId, 'employee.created', { employee: toEmployeeData(user) });
                 results.push({
                     row: i + 2,
                     username: userData.username,
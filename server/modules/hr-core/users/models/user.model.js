@@ -3,6 +3,8 @@ import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import { getRolePermissions } from '../../../../platform/system/models/permission.system.js';
 import Role from './role.model.js';
+import mfaSchema from '../../../../core/auth/mfaSchema.js';
+import { SUPPORTED_LANGUAGES } from '../../../../core/i18n/index.js';
 
 const userSchema = new mongoose.Schema({
     tenantId: {
@@ -67,12 +69,40 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Position'
     },
+    // Salary account used for payroll bank transfer files.
+    // Not included in queries by default; select '+bankDetails' where needed
+    bankDetails: {
+        type: new mongoose.Schema({
+            bankName: String,
+            // Local bank/branch code used by fixed-width bank formats
+            bankCode: String,
+            branchName: String,
+            accountHolderName: String,
+            accountNumber: String,
+            iban: {
+                type: String,
+                uppercase: true,
+                trim: true
+            },
+            bic: {
+                type: String,
+                uppercase: true,
+                trim: true
+            }
+        }, { _id: false }),
+        select: false
+    },
     employment: {
         hireDate: Date,
         contractType: {
             type: String,
             enum: ['full-time', 'part-time', 'contract', 'probation']
         },
+        // Job grade, used by leave policies for per-grade entitlements
+        grade: {
+            type: String,
+            trim: true
+        },
         employmentStatus: {
             type: String,
             enum: ['active', 'on-leave', 'vacation', 'inactive', 'terminated', 'resigned']
@@ -88,6 +118,14 @@ const userSchema = new mongoose.Schema({
         default: 'active'
     },
     lastLogin: Date,
+    // Language of the HR app and of emails sent to the user; emails use
+    // English until the user picks a language
+    preferences: {
+        language: {
+            type: String,
+            enum: SUPPORTED_LANGUAGES
+        }
+    },
     // Permission Management
     addedPermissions: {
         type: [String],
@@ -109,6 +147,11 @@ const userSchema = new mongoose.Schema({
     // Password reset fields
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    // Two-factor authentication
+    mfa: {
+        type: mfaSchema,
+        default: () => ({})
+    },
     // Vacation balance tracking
     vacationBalance: {
         annualTotal: {
@@ -247,6 +290,8 @@ userSchema.virtual('name').get(function () {
 
 // Password comparison method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+    // Users restored or imported from a backup have no password until it is reset
+    if (!this.password) return false;
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
@@ -0,0 +1,231 @@
+// Leave Policy Controller
+import LeavePolicyService from '../services/LeavePolicyService.js';
+import leaveBalanceJob from '../../../../jobs/leaveBalance.job.js';
+
+const leavePolicyService = new LeavePolicyService();
+
+const getErrorStatus = (err) => {
+    if (/not found/i.test(err.message)) {
+        return 404;
+    }
+    if (/already exists|already running/.test(err.message)) {
+        return 409;
+    }
+    return 400;
+};
+
+/**
+ * Get leave policies
+ */
+export const getPolicies = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.getPolicies(tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get the built-in rules used when no policy applies
+ */
+export const getDefaultRules = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = leavePolicyService.getDefaultRules();
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Get a leave policy
+ */
+export const getPolicy = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.getPolicy(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Create a leave policy
+ */
+export const createPolicy = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.createPolicy(req.body, tenantId, req.user?._id);
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Update a leave policy
+ */
+export const updatePolicy = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.updatePolicy(req.params.id, req.body, tenantId, req.user?._id);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Delete a leave policy
+ */
+export const deletePolicy = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.deletePolicy(req.params.id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Leave types the current user can request
+ */
+export const getMyLeaveTypes = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.getLeaveTypesForEmployee(req.user._id, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Current user's leave balance
+ */
+export const getMyBalance = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.getBalance(req.user._id, tenantId, req.query.year || undefined);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Leave balance of an employee
+ */
+export const getEmployeeBalance = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.getBalance(req.params.employeeId, tenantId, req.query.year || undefined);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Policy and entitlements that apply to an employee
+ */
+export const previewEmployee = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await leavePolicyService.previewEmployee(req.params.employeeId, tenantId, req.query.year || undefined);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Start recalculating the tenant's balances in the background
+ */
+export const recalculateBalances = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = leaveBalanceJob.startTenantRecalculation(tenantId, { year: req.body.year, employees: req.body.employees });
+        res.status(202).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+/**
+ * Status of the latest balance recalculation
+ */
+export const getRecalculationStatus = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = leaveBalanceJob.getStatus(tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
@@ -1,8 +1,13 @@
 // SickLeave Controller
 import SickLeave from '../models/sickLeave.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import User from '../../users/models/user.model.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
+import WebhookService from '../../webhooks/services/WebhookService.js';
+import { toLeaveData } from '../../webhooks/utils/webhookEngine.js';
+
+const approvalWorkflowService = new ApprovalWorkflowService();
+const webhookService = new WebhookService();
 
 /**
  * Get all sick leaves with optional filtering
@@ -99,14 +104,12 @@ export const createSickLeave = async (req, res) => {
         }
 
         const sickLeave = new SickLeave(req.body);
+        await approvalWorkflowService.start(sickLeave, { save: false });
         const savedSickLeave = await sickLeave.save();
 
         // Create notification for supervisor
         await createSickLeaveNotification(savedSickLeave, 'submitted');
 
-        // Send email notification to supervisor
-        await sendSickLeaveRequestNotification(savedSickLeave);
-
         res.status(201).json(savedSickLeave);
     } catch (err) {
 
@@ -227,27 +230,31 @@ export const approveBySupervisor = async (req, res) => {
         }
 
         const { notes } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to approve (supervisor, HR, admin)
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(sickLeave, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to approve sick leaves'
+                error: 'You do not have permission to approve this sick leave'
             });
         }
 
         // Approve by supervisor
-        await sickLeave.approveBySupervisor(userId, notes);
+        const { completed } = await approvalWorkflowService.approve(sickLeave, req.user, notes);
 
-        // Create notification
-        const notificationType = sickLeave.workflow.currentStep === 'doctor-review' 
-            ? 'pending-doctor-review' 
-            : 'supervisorApproved';
-        await createSickLeaveNotification(sickLeave, notificationType);
+        // Still waiting for the next step of the chain
+        if (!completed) {
+            return res.json(sickLeave);
+        }
 
-        // Send email notification
-        await sendSickLeaveStatusUpdateNotification(sickLeave, 'supervisor-approved');
+        // Create notification for employee, and for doctors when the leave needs their review
+        await createSickLeaveNotification(sickLeave, 'supervisorApproved');
+        if (sickLeave.workflow.currentStep === 'doctor-review') {
+            await createSickLeaveNotification(sickLeave, 'pending-doctor-review');
+        }
+        if (sickLeave.status === 'approved') {
+            webhookService.emit(sickLeave.tenantId, 'leave.approved', { leave: toLeaveData(sickLeave, 'sick-leave') });
+        }
 
         res.json(sickLeave);
     } catch (err) {
@@ -297,9 +304,7 @@ export const approveByDoctor = async (req, res) => {
 
         // Create notification for employee
         await createSickLeaveNotification(sickLeave, 'doctorApproved');
-
-        // Send email notification to employee
-        await sendSickLeaveStatusUpdateNotification(sickLeave, 'doctor-approved');
+        webhookService.emit(sickLeave.tenantId, 'leave.approved', { leave: toLeaveData(sickLeave, 'sick-leave') });
 
         res.json(sickLeave);
     } catch (err) {
@@ -335,13 +340,12 @@ export const rejectBySupervisor = async (req, res) => {
         }
 
         const { reason } = req.body;
-        const userId = req.user._id;
 
-        // Check if user has permission to reject (supervisor, HR, admin)
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(sickLeave, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to reject sick leaves'
+                error: 'You do not have permission to reject this sick leave'
             });
         }
 
@@ -366,14 +370,11 @@ export const rejectBySupervisor = async (req, res) => {
         }
 
         // Reject by supervisor
-        await sickLeave.rejectBySupervisor(userId, trimmedReason);
+        await approvalWorkflowService.reject(sickLeave, req.user, trimmedReason);
 
         // Create notification for employee
         await createSickLeaveNotification(sickLeave, 'rejected');
 
-        // Send email notification to employee
-        await sendSickLeaveStatusUpdateNotification(sickLeave, 'rejected');
-
         res.json(sickLeave);
     } catch (err) {
 
@@ -443,9 +444,6 @@ export const rejectByDoctor = async (req, res) => {
         // Create notification for employee
         await createSickLeaveNotification(sickLeave, 'rejected');
 
-        // Send email notification to employee
-        await sendSickLeaveStatusUpdateNotification(sickLeave, 'rejected');
-
         res.json(sickLeave);
     } catch (err) {
 
@@ -458,59 +456,66 @@ export const rejectByDoctor = async (req, res) => {
  */
 async function createSickLeaveNotification(sickLeave, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify supervisor
             const employee = await User.findById(sickLeave.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Sick Leave Request';
             message = `New sick leave request from ${employee.username || employee.email}`;
+            email = await buildSickLeaveRequestEmail(sickLeave);
         } else if (type === 'pending-doctor-review') {
             // Notify doctors - find users with doctor role
-            const doctors = await User.find({ role: 'doctor', isActive: true });
+            const doctors = await User.find({ tenantId: sickLeave.tenantId, role: 'doctor', isActive: true });
             if (doctors.length === 0) return;
 
             // Create notification for each doctor
             for (const doctor of doctors) {
-                const notification = new Notification({
+                await notificationIntegrationService.notify(sickLeave.tenantId, {
                     recipient: doctor._id,
-                    type: 'sick-leave',
+                    type: 'leave',
+                    title: 'Sick Leave Pending Review',
                     message: 'New sick leave pending doctor review',
                     relatedModel: 'SickLeave',
                     relatedId: sickLeave._id,
-                    read: false
+                    metadata: { source: 'sick-leave', action: type }
                 });
-                await notification.save();
             }
             return; // Exit early since we handled multiple notifications
         } else if (type === 'supervisorApproved' || type === 'doctorApproved' || type === 'rejected') {
             // Notify employee
             recipient = sickLeave.employee;
             if (type === 'supervisorApproved') {
+                title = 'Sick Leave Approved by Supervisor';
                 message = 'Your sick leave has been approved by supervisor and is pending doctor review';
+                email = await buildSickLeaveStatusUpdateEmail(sickLeave, 'supervisor-approved');
             } else if (type === 'doctorApproved') {
+                title = 'Sick Leave Approved';
                 message = 'Your sick leave has been fully approved';
+                email = await buildSickLeaveStatusUpdateEmail(sickLeave, 'doctor-approved');
             } else {
+                title = 'Sick Leave Rejected';
                 message = 'Your sick leave request has been rejected';
+                email = await buildSickLeaveStatusUpdateEmail(sickLeave, 'rejected');
             }
         }
 
         if (recipient) {
-            const notification = new Notification({
+            await notificationIntegrationService.notify(sickLeave.tenantId, {
                 recipient,
-                type: 'sick-leave',
+                type: 'leave',
+                title,
                 message,
                 relatedModel: 'SickLeave',
                 relatedId: sickLeave._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'sick-leave', action: type }
+            }, email);
 
             // Mark notification as sent in sick leave
             if (!sickLeave.notifications) {
@@ -529,20 +534,20 @@ async function createSickLeaveNotification(sickLeave, type) {
 }
 
 /**
- * Send sick leave request notification to supervisor
+ * Email about a new sick leave request, for the supervisor
  */
-async function sendSickLeaveRequestNotification(sickLeave) {
+async function buildSickLeaveRequestEmail(sickLeave) {
     try {
         const employee = await User.findById(sickLeave.employee).select('username email personalInfo');
         if (!employee) {
 
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
 
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -660,28 +665,23 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send sick leave status update notification
+ * Email about a decision on a sick leave, for the employee
  */
-async function sendSickLeaveStatusUpdateNotification(sickLeave, statusType) {
+async function buildSickLeaveStatusUpdateEmail(sickLeave, statusType) {
     try {
         const employee = await User.findById(sickLeave.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
 
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -811,15 +811,10 @@ ${statusType === 'doctor-approved' && sickLeave.medicalDocumentation?.doctorNote
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
@@ -1,8 +1,17 @@
 // Vacation Controller
 import Vacation from '../models/vacation.model.js';
-import Notification from '../../../notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../email-service/services/email.service.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
 import User from '../../users/models/user.model.js';
+import VacationBalance from '../models/vacationBalance.model.js';
+import LeavePolicyService from '../services/LeavePolicyService.js';
+import ApprovalWorkflowService from '../../approvals/services/ApprovalWorkflowService.js';
+import WebhookService from '../../webhooks/services/WebhookService.js';
+import { toLeaveData } from '../../webhooks/utils/webhookEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const leavePolicyService = new LeavePolicyService();
+const approvalWorkflowService = new ApprovalWorkflowService();
+const webhookService = new WebhookService();
 
 /**
  * Get all vacations with optional filtering
@@ -117,14 +126,27 @@ export const createVacation = async (req, res) => {
             ...req.body,
             tenantId: req.tenantId
         });
+
+        // Duration is calculated during validation; check it against the leave policy balance
+        await vacation.validate();
+        const balance = await leavePolicyService.assertSufficientBalance(
+            vacation.employee,
+            vacation.vacationType,
+            vacation.duration,
+            vacation.startDate,
+            req.tenantId
+        );
+        if (balance) {
+            vacation.vacationBalance = balance._id;
+        }
+
+        await approvalWorkflowService.start(vacation, { save: false });
         const savedVacation = await vacation.save();
+        await refreshVacationBalance(savedVacation);
 
         // Create notification for supervisor/manager
         await createVacationNotification(savedVacation, 'submitted');
 
-        // Send email notification to manager
-        await sendVacationRequestNotification(savedVacation);
-
         res.status(201).json({
             success: true,
             data: savedVacation
@@ -217,9 +239,11 @@ export const updateVacation = async (req, res) => {
         const vacation = await Vacation.findByIdAndUpdate(
             req.params.id,
             req.body,
-            { new: true, runValidators: true }
+            { new: true, runValidators: true, context: 'query' }
         );
 
+        await refreshVacationBalance(vacation);
+
         res.json(vacation);
     } catch (err) {
 
@@ -245,6 +269,7 @@ export const deleteVacation = async (req, res) => {
         }
 
         await Vacation.findByIdAndDelete(req.params.id);
+        await refreshVacationBalance(vacation);
         res.json({ message: 'Vacation deleted successfully' });
     } catch (err) {
 
@@ -272,24 +297,27 @@ export const approveVacation = async (req, res) => {
         }
 
         const { notes } = req.body;
-        const userId = req.user.id;
 
-        // Check if user has permission to approve (supervisor, HR, admin)
-        const canApprove = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canApprove) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(vacation, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to approve vacations'
+                error: 'You do not have permission to approve this vacation'
             });
         }
 
         // Approve the vacation
-        await vacation.approve(userId, notes);
+        const { completed } = await approvalWorkflowService.approve(vacation, req.user, notes);
+
+        // Still waiting for the next step of the chain
+        if (!completed) {
+            return res.json(vacation);
+        }
+        await refreshVacationBalance(vacation);
 
         // Create notification for employee
         await createVacationNotification(vacation, 'approved');
-
-        // Send email notification to employee
-        await sendVacationStatusUpdateNotification(vacation);
+        webhookService.emit(vacation.tenantId, 'leave.approved', { leave: toLeaveData(vacation, 'vacation') });
 
         res.json(vacation);
     } catch (err) {
@@ -319,13 +347,12 @@ export const rejectVacation = async (req, res) => {
 
 
         const { reason } = req.body;
-        const userId = req.user.id;
 
-        // Check if user has permission to reject (supervisor, HR, admin)
-        const canReject = ['hr', 'admin', 'manager', 'supervisor', 'head-of-department', 'dean'].includes(req.user.role);
-        if (!canReject) {
+        // The approval chain decides who may act on the current step
+        const { allowed } = await approvalWorkflowService.canDecide(vacation, req.user);
+        if (!allowed) {
             return res.status(403).json({
-                error: 'You do not have permission to reject vacations'
+                error: 'You do not have permission to reject this vacation'
             });
         }
 
@@ -353,14 +380,12 @@ export const rejectVacation = async (req, res) => {
         }
 
         // Reject the vacation
-        await vacation.reject(userId, trimmedReason);
+        await approvalWorkflowService.reject(vacation, req.user, trimmedReason);
+        await refreshVacationBalance(vacation);
 
         // Create notification for employee
         await createVacationNotification(vacation, 'rejected');
 
-        // Send email notification to employee
-        await sendVacationStatusUpdateNotification(vacation);
-
         res.json(vacation);
     } catch (err) {
 
@@ -419,6 +444,7 @@ export const cancelVacation = async (req, res) => {
 
         // Cancel the vacation
         await vacation.cancel(userId, trimmedReason);
+        await refreshVacationBalance(vacation);
 
         // Create notification for employee and manager
         await createVacationNotification(vacation, 'cancelled');
@@ -430,40 +456,59 @@ export const cancelVacation = async (req, res) => {
     }
 };
 
+/**
+ * Recalculate the linked leave balance after a vacation changes
+ */
+async function refreshVacationBalance(vacation) {
+    if (!vacation?.vacationBalance) return;
+
+    try {
+        const balance = await VacationBalance.findById(vacation.vacationBalance);
+        await balance?.recalculate();
+    } catch (error) {
+        logger.error(`Failed to recalculate vacation balance ${vacation.vacationBalance}: ${error.message}`);
+    }
+}
+
 /**
  * Create notification for vacation status change
  */
 async function createVacationNotification(vacation, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify manager/supervisor
             const employee = await User.findById(vacation.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Vacation Request';
             message = `New vacation request from ${employee.username || employee.email}`;
+            email = await buildVacationRequestEmail(vacation);
         } else if (type === 'approved' || type === 'rejected' || type === 'cancelled') {
             // Notify employee
             recipient = vacation.employee;
+            title = `Vacation Request ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             message = `Your vacation request has been ${type}`;
+            if (type !== 'cancelled') {
+                email = await buildVacationStatusUpdateEmail(vacation);
+            }
         }
 
         if (recipient) {
-            const notification = new Notification({
+            await notificationIntegrationService.notify(vacation.tenantId, {
                 recipient,
-                type: 'vacation',
+                type: 'leave',
+                title,
                 message,
                 relatedModel: 'Vacation',
                 relatedId: vacation._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'vacation', action: type }
+            }, email);
 
             // Mark notification as sent in vacation
             if (!vacation.notifications) {
@@ -482,22 +527,22 @@ async function createVacationNotification(vacation, type) {
 }
 
 /**
- * Send vacation request notification to manager
+ * Email about a new vacation request, for the manager
  */
-async function sendVacationRequestNotification(vacation) {
+async function buildVacationRequestEmail(vacation) {
     try {
         // Get employee details
         const employee = await User.findById(vacation.employee).select('username email personalInfo');
         if (!employee) {
 
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
         // Get manager
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
 
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -619,29 +664,24 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send vacation status update notification to employee
+ * Email about a decision on a vacation request, for the employee
  */
-async function sendVacationStatusUpdateNotification(vacation) {
+async function buildVacationStatusUpdateEmail(vacation) {
     try {
         // Get employee details
         const employee = await User.findById(vacation.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
 
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -776,15 +816,10 @@ ${vacation.status === 'approved' ? 'Your vacation has been approved. Enjoy your
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
@@ -0,0 +1,189 @@
+// models/LeavePolicy.js
+import mongoose from 'mongoose';
+import { DEFAULT_LEAVE_POLICY, UNBALANCED_LEAVE_TYPES, selectPolicy } from '../utils/leavePolicyEngine.js';
+
+const leaveTypeSchema = new mongoose.Schema({
+    // Used as the vacation type; annual, casual and sick map to the built-in balances
+    key: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_-]{1,29}$/, 'Leave type key may only contain letters, numbers, "-" and "_"']
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    arabicName: String,
+    paid: {
+        type: Boolean,
+        default: true
+    },
+    // Entitlement per year until a tenure tier is reached (or when no grade applies)
+    days: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Entitlement by tenure: the highest tier reached applies
+    tiers: [{
+        _id: false,
+        minYears: { type: Number, required: true, min: 0 },
+        days: { type: Number, required: true, min: 0 }
+    }],
+    // Entitlement by grade, takes precedence over tiers
+    grades: [{
+        _id: false,
+        grade: { type: String, required: true, trim: true },
+        days: { type: Number, required: true, min: 0 }
+    }],
+    accrual: {
+        type: String,
+        enum: ['upfront', 'monthly'],
+        default: 'upfront'
+    },
+    // Upfront only: employees hired during the year get the remaining months' share
+    prorateFirstYear: {
+        type: Boolean,
+        default: false
+    },
+    requiresProbation: {
+        type: Boolean,
+        default: false
+    },
+    carryOver: {
+        maxDays: { type: Number, default: 0, min: 0 },
+        // Carried days expire at the end of this month of the next year (empty = never)
+        expiresAfterMonths: { type: Number, default: null, min: 1, max: 12 }
+    },
+    // How far below zero a balance may go
+    allowNegativeDays: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    }
+}, { _id: false });
+
+const leavePolicySchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: String,
+    // Applies to employees no other policy matches
+    isDefault: {
+        type: Boolean,
+        default: false
+    },
+    // Higher priority wins when several policies match an employee
+    priority: {
+        type: Number,
+        default: 0
+    },
+    // Empty lists match everyone
+    appliesTo: {
+        contractTypes: [{
+            type: String,
+            enum: ['full-time', 'part-time', 'contract', 'probation']
+        }],
+        departments: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Department'
+        }],
+        positions: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Position'
+        }],
+        grades: [String]
+    },
+    probationMonths: {
+        type: Number,
+        default: 3,
+        min: 0
+    },
+    flexibleHoursPerYear: {
+        type: Number,
+        default: 8,
+        min: 0
+    },
+    // Accrued and prorated days are rounded down to this step
+    roundingStep: {
+        type: Number,
+        enum: [0, 0.25, 0.5, 1],
+        default: 0.5
+    },
+    leaveTypes: {
+        type: [leaveTypeSchema],
+        validate: {
+            validator: (types) => types.length > 0,
+            message: 'A leave policy needs at least one leave type'
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+leavePolicySchema.pre('validate', function (next) {
+    const keys = this.leaveTypes.map(type => type.key);
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+        this.invalidate('leaveTypes', `Leave type "${duplicate}" is defined twice`);
+    }
+
+    const reserved = keys.find(key => UNBALANCED_LEAVE_TYPES.includes(key) || key === 'flexiblehours');
+    if (reserved) {
+        this.invalidate('leaveTypes', `"${reserved}" is a reserved leave type`);
+    }
+    next();
+});
+
+/**
+ * Leave policy that applies to an employee
+ * Falls back to the built-in default rules when the tenant has none.
+ * @param {Object} employee - User document (tenantId, department, position, employment)
+ * @returns {Promise<Object>} Policy document or the default rules
+ */
+leavePolicySchema.statics.resolveForEmployee = async function (employee) {
+    const policies = await this.find({ tenantId: employee.tenantId, isActive: true });
+    return selectPolicy(policies, employee) || DEFAULT_LEAVE_POLICY;
+};
+
+/**
+ * Whether a custom leave type is offered by any active policy of the tenant
+ */
+leavePolicySchema.statics.isLeaveTypeDefined = async function (tenantId, key) {
+    return !!(await this.exists({
+        tenantId,
+        isActive: true,
+        leaveTypes: { $elemMatch: { key, isActive: { $ne: false } } }
+    }));
+};
+
+leavePolicySchema.index({ tenantId: 1, name: 1 }, { unique: true });
+leavePolicySchema.index({ tenantId: 1, isActive: 1, isDefault: 1 });
+
+export default mongoose.model('LeavePolicy', leavePolicySchema);
@@ -1,5 +1,7 @@
 // models/SickLeave.js
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { HR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
 
 const sickLeaveSchema = new mongoose.Schema({
   tenantId: {
@@ -392,4 +394,14 @@ sickLeaveSchema.index({ 'workflow.supervisorApprovalStatus': 1 });
 sickLeaveSchema.index({ 'workflow.doctorApprovalStatus': 1 });
 sickLeaveSchema.index({ startDate: 1, endDate: 1 });
 
+// Multi-step approval chain (see approvals/)
+sickLeaveSchema.plugin(approvalWorkflowPlugin, {
+  requestType: 'sick-leave',
+  defaultApproverRoles: HR_APPROVER_ROLES,
+  metrics: (sickLeave) => ({ duration: sickLeave.duration, type: 'sick' }),
+  // The chain replaces the supervisor review; the doctor review still follows when required
+  approveMethod: 'approveBySupervisor',
+  rejectMethod: 'rejectBySupervisor'
+});
+
 export default mongoose.model('SickLeave', sickLeaveSchema);
@@ -1,5 +1,10 @@
 // models/Vacation.js
 import mongoose from 'mongoose';
+import { approvalWorkflowPlugin } from '../../approvals/models/approvalWorkflow.plugin.js';
+import { HR_APPROVER_ROLES } from '../../approvals/utils/approvalEngine.js';
+import LeavePolicy from './leavePolicy.model.js';
+
+export const BUILT_IN_VACATION_TYPES = ['annual', 'casual', 'sick', 'unpaid'];
 
 const vacationSchema = new mongoose.Schema({
   tenantId: {
@@ -13,10 +18,23 @@ const vacationSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  // Built-in type or a custom leave type from the tenant's leave policies
   vacationType: {
     type: String,
-    enum: ['annual', 'casual', 'sick', 'unpaid'],
     required: true,
+    trim: true,
+    validate: {
+      validator: async function (value) {
+        if (BUILT_IN_VACATION_TYPES.includes(value)) return true;
+
+        // Update validators run with the query as context
+        const tenantId = this instanceof mongoose.Query
+          ? (await this.model.findOne(this.getFilter()).select('tenantId'))?.tenantId
+          : this?.tenantId;
+        return tenantId ? await LeavePolicy.isLeaveTypeDefined(tenantId, value) : false;
+      },
+      message: props => `${props.value} is not a valid vacation type`
+    },
     index: true
   },
   startDate: {
@@ -337,4 +355,11 @@ vacationSchema.index({ startDate: 1, endDate: 1 });
 vacationSchema.index({ vacationType: 1, status: 1 });
 vacationSchema.index({ vacationBalance: 1 });
 
+// Multi-step approval chain (see approvals/)
+vacationSchema.plugin(approvalWorkflowPlugin, {
+  requestType: 'vacation',
+  defaultApproverRoles: HR_APPROVER_ROLES,
+  metrics: (vacation) => ({ duration: vacation.duration, type: vacation.vacationType })
+});
+
 export default mongoose.model('Vacation', vacationSchema);
@@ -2,16 +2,31 @@
  * VacationBalance Model
  * 
  * Tracks employee vacation and leave balances for different leave types.
- * Automatically calculates allocations based on tenure and manages balance usage.
+ * Allocations come from the tenant leave policy that applies to the employee
+ * (see LeavePolicy); tenants without a policy get the built-in default rules.
  * 
  * Features:
- * - Tenure-based allocation: 0-5 years (21 days), 5-10 years (28 days), 10+ years (30 days)
- * - 6-month probation period before eligibility
+ * - Policy-driven entitlements: tenure tiers, grades, monthly accrual, probation
  * - Tracks allocated, used, pending, and available balances
- * - Supports carry-over of up to 5 annual days to next year
+ * - Carry-over of unused days with an optional expiry date
+ * - Optional negative balance allowance per leave type
+ * - Custom leave types defined by the tenant policy
  * - Auto-recalculation based on approved/pending leaves
  */
 import mongoose from 'mongoose';
+import LeavePolicy from './leavePolicy.model.js';
+import {
+    BUILT_IN_LEAVE_TYPES,
+    DEFAULT_LEAVE_POLICY,
+    tenureInYears,
+    getLeaveTypeRules,
+    findLeaveTypeRule,
+    resolveEntitlementDays,
+    calculateAllocation,
+    calculateCarryOver,
+    calculateAvailable,
+    hasSufficientDays
+} from '../utils/leavePolicyEngine.js';
 
 const vacationBalanceSchema = new mongoose.Schema({
     // Multi-tenant support
@@ -50,12 +65,22 @@ const vacationBalanceSchema = new mongoose.Schema({
             default: 0,
             min: 0
         },
-        available: {        // Days available to request (allocated + carriedOver - used - pending)
+        available: {        // Days available to request (allocated + carriedOver - forfeited - used - pending)
+            type: Number,
+            default: 0
+        },
+        carriedOver: {      // Days carried over from previous year (capped by policy)
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        carryOverExpiresOn: Date, // Unused carried-over days are forfeited after this date
+        forfeited: {        // Carried-over days lost at expiry
             type: Number,
             default: 0,
             min: 0
         },
-        carriedOver: {      // Days carried over from previous year (max 5)
+        negativeAllowance: { // Days the balance may go below zero (from policy)
             type: Number,
             default: 0,
             min: 0
@@ -63,7 +88,7 @@ const vacationBalanceSchema = new mongoose.Schema({
     },
     // Casual leave balance - for short-notice personal matters
     casual: {
-        allocated: {        // Fixed allocation: 7 days per year
+        allocated: {        // From policy (default: 7 days per year)
             type: Number,
             default: 7,
             min: 0
@@ -80,13 +105,28 @@ const vacationBalanceSchema = new mongoose.Schema({
         },
         available: {        // Days available to request
             type: Number,
-            default: 7,
+            default: 7
+        },
+        carriedOver: {      // Days carried over from previous year (capped by policy)
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        carryOverExpiresOn: Date,
+        forfeited: {        // Carried-over days lost at expiry
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        negativeAllowance: { // Days the balance may go below zero (from policy)
+            type: Number,
+            default: 0,
             min: 0
         }
     },
     // Sick leave balance - requires medical documentation if > 2 days
     sick: {
-        allocated: {        // Fixed allocation: 10 days per year
+        allocated: {        // From policy (default: 10 days per year)
             type: Number,
             default: 10,
             min: 0
@@ -103,17 +143,32 @@ const vacationBalanceSchema = new mongoose.Schema({
         },
         available: {        // Days available to request
             type: Number,
-            default: 10,
+            default: 10
+        },
+        carriedOver: {      // Days carried over from previous year (capped by policy)
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        carryOverExpiresOn: Date,
+        forfeited: {        // Carried-over days lost at expiry
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        negativeAllowance: { // Days the balance may go below zero (from policy)
+            type: Number,
+            default: 0,
             min: 0
         }
     },
     // Eligibility tracking based on hire date and tenure
     eligibility: {
-        isEligible: {       // True if employee has completed 3 months from hire date
+        isEligible: {       // True if employee has completed the policy probation period
             type: Boolean,
             default: false
         },
-        eligibleFrom: Date, // Date when employee becomes eligible (hire date + 3 months)
+        eligibleFrom: Date, // Date when employee becomes eligible (hire date + probation)
         probationEnds: Date,// Same as eligibleFrom - end of probation period
         tenure: {           // Current tenure in years (calculated from hire date)
             type: Number,
@@ -143,9 +198,60 @@ const vacationBalanceSchema = new mongoose.Schema({
             min: 0
         }
     },
+    // Balances of tenant-defined leave types (e.g. marriage, hajj, maternity)
+    custom: [{
+        _id: false,
+        key: {
+            type: String,
+            required: true
+        },
+        name: String,
+        allocated: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        used: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        pending: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        available: {
+            type: Number,
+            default: 0
+        },
+        carriedOver: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        carryOverExpiresOn: Date,
+        forfeited: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        negativeAllowance: {
+            type: Number,
+            default: 0,
+            min: 0
+        }
+    }],
+    // Leave policy the balance was last calculated with (empty = built-in default rules)
+    policy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'LeavePolicy',
+        default: null
+    },
+    policyName: String,
     // History of vacation usage and returns
     history: [{
-        type: {             // Type of leave (annual, casual, sick)
+        type: {             // Type of leave (annual, casual, sick or a custom key)
             type: String,
             required: true
         },
@@ -194,6 +300,7 @@ vacationBalanceSchema.virtual('flexibleHours.usedDays').get(function () {
 
 /**
  * Calculate annual vacation allocation based on employee tenure
+ * using the built-in default policy (tenants without a leave policy)
  * 
  * Allocation rules:
  * - 3-5 months: 0 days
@@ -205,149 +312,177 @@ vacationBalanceSchema.virtual('flexibleHours.usedDays').get(function () {
  * @returns {Number} Number of annual vacation days allocated
  */
 vacationBalanceSchema.statics.calculateAnnualAllocation = function (tenureYears) {
-    if (tenureYears < 0.5) return 0;   // 3-5 months: 0 days
-    if (tenureYears < 1) return 8;     // 6+ months: 8 days
-    if (tenureYears < 10) return 14;   // 1+ years: 14 days
-    return 23;                          // 10+ years: 23 days
+    return resolveEntitlementDays(findLeaveTypeRule(DEFAULT_LEAVE_POLICY, 'annual'), { tenureYears });
+};
+
+/**
+ * Get the balance entry of a leave type (built-in field or custom entry)
+ * 
+ * @param {String} leaveType - annual, casual, sick or a custom leave type key
+ * @returns {Object|null} Balance entry
+ */
+vacationBalanceSchema.methods.getLeaveType = function (leaveType) {
+    if (BUILT_IN_LEAVE_TYPES.includes(leaveType)) {
+        return this[leaveType];
+    }
+    return (this.custom || []).find(entry => entry.key === leaveType) || null;
 };
 
 /**
- * Recalculate vacation balance based on employee's hire date and leave records
+ * Recalculate vacation balance based on the employee's leave policy and leave records
  * 
  * This method:
- * 1. Calculates employee tenure from hire date
- * 2. Determines eligibility (6 months minimum)
- * 3. Allocates annual days based on tenure
+ * 1. Resolves the leave policy that applies to the employee
+ * 2. Calculates tenure and eligibility (policy probation period)
+ * 3. Allocates each leave type (tiers, grades, accrual, proration)
  * 4. Aggregates all approved and pending leaves for the year
- * 5. Updates used, pending, and available balances
+ * 5. Applies carry-over expiry and the negative balance allowance
  * 
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Policy to use instead of resolving one
+ * @param {Date} [options.asOf=new Date()] - Date accrual and expiry are evaluated at
  * @returns {Promise<VacationBalance>} Updated balance document
  */
-vacationBalanceSchema.methods.recalculate = async function () {
-    try {
-        const User = mongoose.model('User');
-        const Leave = mongoose.model('Leave');
-
-        // Fetch employee details to get hire date
-        const employee = await User.findById(this.employee);
-        if (!employee || !employee.employment?.hireDate) {
-            return this; // Cannot calculate without hire date
-        }
-
-        // Calculate tenure from hire date to now
-        const hireDate = new Date(employee.employment.hireDate);
-        const now = new Date();
-        const tenureMonths = (now - hireDate) / (1000 * 60 * 60 * 24 * 30.44); // Average days per month
-        const tenureYears = tenureMonths / 12;
-
-        // Update eligibility status (3-month minimum employment requirement)
-        this.eligibility.tenure = Math.floor(tenureYears * 10) / 10; // Round to 1 decimal
-        this.eligibility.isEligible = tenureYears >= 0.25; // Eligible after 3 months
-
-        // Set eligibility date (3 months from hire date)
-        if (tenureYears >= 0.25) {
-            const eligibilityDate = new Date(hireDate);
-            eligibilityDate.setMonth(eligibilityDate.getMonth() + 3);
-            this.eligibility.eligibleFrom = eligibilityDate;
-            this.eligibility.probationEnds = eligibilityDate;
-        }
-
-        // Calculate and set annual allocation based on current tenure
-        const annualAllocation = this.constructor.calculateAnnualAllocation(tenureYears);
-        this.annual.allocated = annualAllocation;
-
-        // Set casual leave allocation (always 7 days for eligible employees)
-        this.casual.allocated = tenureYears >= 0.25 ? 7 : 0;
+vacationBalanceSchema.methods.recalculate = async function (options = {}) {
+    const User = mongoose.model('User');
+    const Vacation = mongoose.model('Vacation');
 
-        // Set flexible hours allocation (8 hours = 1 day)
-        this.flexibleHours.allocated = 8;
+    // Fetch employee details to get hire date
+    const employee = await User.findById(this.employee);
+    if (!employee || !employee.employment?.hireDate) {
+        return this; // Cannot calculate without hire date
+    }
 
-        // Fetch all leaves for this employee within the balance year
-        const yearStart = new Date(this.year, 0, 1);              // January 1st
-        const yearEnd = new Date(this.year, 11, 31, 23, 59, 59); // December 31st
+    if (!this.tenantId) {
+        this.tenantId = employee.tenantId;
+    }
 
-        const leaves = await Leave.find({
-            employee: this.employee,
-            startDate: { $gte: yearStart, $lte: yearEnd }
-        });
+    const policy = options.policy || await LeavePolicy.resolveForEmployee(employee);
+    const asOf = options.asOf ? new Date(options.asOf) : new Date();
+    const hireDate = new Date(employee.employment.hireDate);
+    const tenureYears = tenureInYears(hireDate, asOf);
+    const probationMonths = policy.probationMonths ?? DEFAULT_LEAVE_POLICY.probationMonths;
+
+    this.policy = policy._id || null;
+    this.policyName = policy.name;
+
+    // Update eligibility status (policy probation period)
+    const eligibilityDate = new Date(hireDate);
+    eligibilityDate.setMonth(eligibilityDate.getMonth() + probationMonths);
+    this.eligibility.tenure = Math.floor(tenureYears * 10) / 10; // Round to 1 decimal
+    this.eligibility.isEligible = asOf >= eligibilityDate;
+    this.eligibility.eligibleFrom = eligibilityDate;
+    this.eligibility.probationEnds = eligibilityDate;
+
+    // Set flexible hours allocation (8 hours = 1 day)
+    this.flexibleHours.allocated = policy.flexibleHoursPerYear ?? DEFAULT_LEAVE_POLICY.flexibleHoursPerYear;
+
+    // Fetch all leaves for this employee within the balance year
+    const yearStart = new Date(this.year, 0, 1);              // January 1st
+    const yearEnd = new Date(this.year, 11, 31, 23, 59, 59); // December 31st
+
+    const leaves = await Vacation.find({
+        tenantId: this.tenantId,
+        employee: this.employee,
+        startDate: { $gte: yearStart, $lte: yearEnd },
+        status: { $in: ['approved', 'pending'] }
+    });
 
-        // Reset all counters before recalculation
-        this.annual.used = 0;
-        this.annual.pending = 0;
-        this.casual.used = 0;
-        this.casual.pending = 0;
-        this.sick.used = 0;
-        this.sick.pending = 0;
-        this.flexibleHours.used = 0;
-        this.flexibleHours.pending = 0;
-
-        // Aggregate leave days by type and status
-        leaves.forEach(leave => {
+    const rules = getLeaveTypeRules(policy);
+    const keys = [...new Set([...BUILT_IN_LEAVE_TYPES, ...rules.map(rule => rule.key)])];
+
+    // Keep carry-over of custom types across recalculations
+    const previousCustom = new Map((this.custom || []).map(entry => [entry.key, entry]));
+    this.custom = keys
+        .filter(key => !BUILT_IN_LEAVE_TYPES.includes(key))
+        .map(key => ({
+            key,
+            carriedOver: previousCustom.get(key)?.carriedOver || 0,
+            carryOverExpiresOn: previousCustom.get(key)?.carryOverExpiresOn
+        }));
+
+    keys.forEach(key => {
+        const rule = rules.find(item => item.key === key);
+        const entry = this.getLeaveType(key);
+
+        const allocated = rule ? calculateAllocation(rule, {
+            hireDate,
+            year: this.year,
+            asOf,
+            grade: employee.employment?.grade,
+            probationMonths,
+            roundingStep: policy.roundingStep ?? DEFAULT_LEAVE_POLICY.roundingStep
+        }) : 0;
+
+        let used = 0;
+        let pending = 0;
+        let usedBeforeExpiry = 0;
+        leaves.filter(leave => leave.vacationType === key).forEach(leave => {
             const duration = leave.duration || 0;
-
-            // Add to 'used' if approved
             if (leave.status === 'approved') {
-                if (leave.leaveType === 'annual') this.annual.used += duration;
-                else if (leave.leaveType === 'casual') this.casual.used += duration;
-                else if (leave.leaveType === 'sick') this.sick.used += duration;
-            }
-            // Add to 'pending' if awaiting approval
-            else if (leave.status === 'pending') {
-                if (leave.leaveType === 'annual') this.annual.pending += duration;
-                else if (leave.leaveType === 'casual') this.casual.pending += duration;
-                else if (leave.leaveType === 'sick') this.sick.pending += duration;
+                used += duration;
+                if (entry.carryOverExpiresOn && leave.startDate <= entry.carryOverExpiresOn) {
+                    usedBeforeExpiry += duration;
+                }
+            } else {
+                pending += duration;
             }
         });
 
-        // Calculate remaining available days for each leave type
-        // Formula: available = allocated + carriedOver - used - pending
-        this.annual.available = Math.max(0,
-            this.annual.allocated + this.annual.carriedOver - this.annual.used - this.annual.pending
-        );
-        this.casual.available = Math.max(0,
-            this.casual.allocated - this.casual.used - this.casual.pending
-        );
-        this.sick.available = Math.max(0,
-            this.sick.allocated - this.sick.used - this.sick.pending
-        );
-        this.flexibleHours.available = Math.max(0,
-            this.flexibleHours.allocated - this.flexibleHours.used - this.flexibleHours.pending
-        );
-
-        this.lastCalculated = new Date();
-
-        return await this.save();
-    } catch (error) {
-
-        throw error;
-    }
+        const allowNegativeDays = rule?.allowNegativeDays || 0;
+        const { available, forfeited } = calculateAvailable({
+            allocated,
+            carriedOver: entry.carriedOver || 0,
+            carryOverExpiresOn: entry.carryOverExpiresOn,
+            used,
+            usedBeforeExpiry,
+            pending
+        }, { allowNegativeDays, asOf });
+
+        entry.allocated = allocated;
+        entry.used = used;
+        entry.pending = pending;
+        entry.available = available;
+        entry.negativeAllowance = allowNegativeDays;
+        entry.forfeited = forfeited;
+        if (entry.key) {
+            entry.name = rule?.name || key;
+        }
+    });
+
+    this.flexibleHours.available = Math.max(0,
+        this.flexibleHours.allocated - this.flexibleHours.used - this.flexibleHours.pending
+    );
+
+    this.lastCalculated = new Date();
+
+    return await this.save();
 };
 
 /**
  * Check if employee has sufficient balance for a leave request
+ * (available days plus the policy's negative allowance)
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days requested
  * @returns {Boolean} True if sufficient balance available
  */
 vacationBalanceSchema.methods.hasSufficientBalance = function (leaveType, duration) {
-    const type = this[leaveType];
-    if (!type) return false;
-    return type.available >= duration;
+    return hasSufficientDays(this.getLeaveType(leaveType), duration);
 };
 
 /**
  * Reserve balance when a leave request is submitted (status: pending)
  * Moves days from 'available' to 'pending'
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days to reserve
  * @returns {Promise<VacationBalance>} Updated balance
  * @throws {Error} If insufficient balance
  */
 vacationBalanceSchema.methods.reserveBalance = async function (leaveType, duration) {
-    const type = this[leaveType];
-    if (!type || type.available < duration) {
+    const type = this.getLeaveType(leaveType);
+    if (!hasSufficientDays(type, duration)) {
         throw new Error(`Insufficient ${leaveType} leave balance`);
     }
 
@@ -360,12 +495,12 @@ vacationBalanceSchema.methods.reserveBalance = async function (leaveType, durati
  * Release reserved balance when a leave request is rejected or cancelled
  * Moves days from 'pending' back to 'available'
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days to release
  * @returns {Promise<VacationBalance>} Updated balance
  */
 vacationBalanceSchema.methods.releaseBalance = async function (leaveType, duration) {
-    const type = this[leaveType];
+    const type = this.getLeaveType(leaveType);
     if (!type) return this;
 
     type.pending = Math.max(0, type.pending - duration); // Remove from pending
@@ -377,12 +512,12 @@ vacationBalanceSchema.methods.releaseBalance = async function (leaveType, durati
  * Confirm balance usage when a leave request is approved
  * Moves days from 'pending' to 'used'
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days to confirm
  * @returns {Promise<VacationBalance>} Updated balance
  */
 vacationBalanceSchema.methods.confirmUsage = async function (leaveType, duration) {
-    const type = this[leaveType];
+    const type = this.getLeaveType(leaveType);
     if (!type) return this;
 
     type.pending = Math.max(0, type.pending - duration); // Remove from pending
@@ -393,13 +528,13 @@ vacationBalanceSchema.methods.confirmUsage = async function (leaveType, duration
 /**
  * Use vacation days (directly use available days, not pending days)
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days to use
  * @param {String} reason - Reason for using vacation
  * @returns {Promise<VacationBalance>} Updated balance
  */
 vacationBalanceSchema.methods.useVacation = async function (leaveType, duration, reason) {
-    const type = this[leaveType];
+    const type = this.getLeaveType(leaveType);
     if (!type) return this;
 
     // Directly use available days (not pending days)
@@ -424,13 +559,13 @@ vacationBalanceSchema.methods.useVacation = async function (leaveType, duration,
 /**
  * Return vacation days (opposite of useVacation with history tracking)
  * 
- * @param {String} leaveType - Type of leave (annual, casual, sick)
+ * @param {String} leaveType - Type of leave (annual, casual, sick or a custom key)
  * @param {Number} duration - Number of days to return
  * @param {String} reason - Reason for returning vacation
  * @returns {Promise<VacationBalance>} Updated balance
  */
 vacationBalanceSchema.methods.returnVacation = async function (leaveType, duration, reason) {
-    const type = this[leaveType];
+    const type = this.getLeaveType(leaveType);
     if (!type) return this;
 
     type.used = Math.max(0, type.used - duration);        // Remove from used
@@ -456,10 +591,11 @@ vacationBalanceSchema.methods.returnVacation = async function (leaveType, durati
  * Creates a new balance record and calculates initial values
  * 
  * @param {ObjectId} employeeId - Employee's user ID
+ * @param {Number} [year] - Balance year (defaults to the current year)
  * @returns {Promise<VacationBalance>} Initialized balance
  * @throws {Error} If employee not found
  */
-vacationBalanceSchema.statics.initializeForEmployee = async function (employeeId) {
+vacationBalanceSchema.statics.initializeForEmployee = async function (employeeId, year = new Date().getFullYear()) {
     const User = mongoose.model('User');
     const employee = await User.findById(employeeId);
 
@@ -467,26 +603,26 @@ vacationBalanceSchema.statics.initializeForEmployee = async function (employeeId
         throw new Error('Employee not found');
     }
 
-    const year = new Date().getFullYear();
-
-    // Check if balance already exists for current year
-    let balance = await this.findOne({ employee: employeeId, year });
+    // Check if balance already exists for the year
+    let balance = await this.findOne({ tenantId: employee.tenantId, employee: employeeId, year });
 
     if (!balance) {
         // Create new balance record
         balance = new this({
+            tenantId: employee.tenantId,
             employee: employeeId,
             year
         });
     }
 
-    // Recalculate to populate all fields based on hire date and leaves
+    // Recalculate to populate all fields based on hire date, policy and leaves
     return await balance.recalculate();
 };
 
 /**
- * Carry over unused annual vacation days to next year
- * Maximum 5 days can be carried over
+ * Carry over unused vacation days to next year
+ * Each leave type carries at most its policy's carry-over cap; the carried
+ * days get the policy's expiry date.
  * 
  * @param {ObjectId} employeeId - Employee's user ID
  * @param {Number} currentYear - Current year to carry over from
@@ -500,8 +636,11 @@ vacationBalanceSchema.statics.carryOverToNextYear = async function (employeeId,
 
     if (!currentBalance) return null;
 
-    const maxCarryOver = 5; // Policy: maximum 5 days can be carried over
-    const unusedDays = Math.min(currentBalance.annual.available, maxCarryOver);
+    // Bring the closing balance up to date with the current policy
+    const User = mongoose.model('User');
+    const employee = await User.findById(employeeId);
+    const policy = employee ? await LeavePolicy.resolveForEmployee(employee) : DEFAULT_LEAVE_POLICY;
+    await currentBalance.recalculate({ policy, asOf: new Date(currentYear, 11, 31, 23, 59, 59) });
 
     const nextYear = currentYear + 1;
     let nextBalance = await this.findOne({
@@ -512,17 +651,26 @@ vacationBalanceSchema.statics.carryOverToNextYear = async function (employeeId,
     // Create or update next year's balance with carried over days
     if (!nextBalance) {
         nextBalance = new this({
+            tenantId: currentBalance.tenantId,
             employee: employeeId,
-            year: nextYear,
-            annual: {
-                carriedOver: unusedDays
-            }
+            year: nextYear
         });
-    } else {
-        nextBalance.annual.carriedOver = unusedDays;
     }
 
-    return await nextBalance.recalculate();
+    getLeaveTypeRules(policy).forEach(rule => {
+        const closing = currentBalance.getLeaveType(rule.key);
+        const { days, expiresOn } = calculateCarryOver(rule, closing?.available || 0, currentYear);
+
+        let entry = nextBalance.getLeaveType(rule.key);
+        if (!entry) {
+            nextBalance.custom.push({ key: rule.key, name: rule.name });
+            entry = nextBalance.getLeaveType(rule.key);
+        }
+        entry.carriedOver = days;
+        entry.carryOverExpiresOn = expiresOn;
+    });
+
+    return await nextBalance.recalculate({ policy });
 };
 
 // Compound indexes for query optimization
@@ -10,8 +10,7 @@ import {
     cancelVacation
 } from './controllers/vacation.controller.js';
 // TODO: Import policy controllers when implemented
-import { requireAuth, requireRole } from '../../../shared/middleware/auth.js';
-import { ROLES } from '../../../shared/constants/modules.js';
+import { requireAuth } from '../../../shared/middleware/auth.js';
 
 const router = express.Router();
 
@@ -26,11 +25,11 @@ router.get('/', getAllVacations);
 // Create vacation - All authenticated users can create
 router.post('/', createVacation);
 
-// Approve vacation - HR/Admin only
-router.post('/:id/approve', requireRole(ROLES.ADMIN, ROLES.HR), approveVacation);
+// Approve vacation - approvers of the current step in the approval chain
+router.post('/:id/approve', approveVacation);
 
-// Reject vacation - HR/Admin only
-router.post('/:id/reject', requireRole(ROLES.ADMIN, ROLES.HR), rejectVacation);
+// Reject vacation - approvers of the current step in the approval chain
+router.post('/:id/reject', rejectVacation);
 
 // Cancel vacation - All authenticated users can cancel their own
 router.post('/:id/cancel', cancelVacation);
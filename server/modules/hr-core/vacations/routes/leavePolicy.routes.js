@@ -0,0 +1,46 @@
+import express from 'express';
+import {
+    getPolicies,
+    getDefaultRules,
+    getPolicy,
+    createPolicy,
+    updatePolicy,
+    deletePolicy,
+    getMyLeaveTypes,
+    getMyBalance,
+    getEmployeeBalance,
+    previewEmployee,
+    recalculateBalances,
+    getRecalculationStatus
+} from '../controllers/leavePolicy.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+const hrOrAdmin = requireRole(ROLES.ADMIN, ROLES.HR);
+
+// Apply authentication to all routes
+router.use(requireAuth);
+
+// Current user's leave types and balance
+router.get('/me/leave-types', getMyLeaveTypes);
+router.get('/me/balance', getMyBalance);
+
+// Employee balances and policy preview - HR/Admin only
+router.get('/employees/:employeeId/balance', hrOrAdmin, getEmployeeBalance);
+router.get('/employees/:employeeId/preview', hrOrAdmin, previewEmployee);
+
+// Balance recalculation - HR/Admin only
+router.get('/recalculate/status', hrOrAdmin, getRecalculationStatus);
+router.post('/recalculate', hrOrAdmin, recalculateBalances);
+
+// Leave policies - HR/Admin can view, Admin manages
+router.get('/defaults', hrOrAdmin, getDefaultRules);
+router.get('/', hrOrAdmin, getPolicies);
+router.post('/', requireRole(ROLES.ADMIN), createPolicy);
+router.get('/:id', hrOrAdmin, getPolicy);
+router.put('/:id', requireRole(ROLES.ADMIN), updatePolicy);
+router.delete('/:id', requireRole(ROLES.ADMIN), deletePolicy);
+
+export default router;
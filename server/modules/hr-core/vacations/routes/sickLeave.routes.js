@@ -29,14 +29,14 @@ router.get('/pending-doctor-review', requireRole(ROLES.ADMIN, ROLES.HR, 'doctor'
 // Create sick leave - All authenticated users can create (with file upload support)
 router.post('/', upload.array('medicalDocuments', 5), createSickLeave);
 
-// Approve sick leave by supervisor - HR/Admin only
-router.post('/:id/approve-supervisor', requireRole(ROLES.ADMIN, ROLES.HR), approveBySupervisor);
+// Approve sick leave by supervisor - approvers of the current step in the approval chain
+router.post('/:id/approve-supervisor', approveBySupervisor);
 
 // Approve sick leave by doctor - HR/Admin/Doctor only
 router.post('/:id/approve-doctor', requireRole(ROLES.ADMIN, ROLES.HR, 'doctor'), approveByDoctor);
 
-// Reject sick leave by supervisor - HR/Admin only
-router.post('/:id/reject-supervisor', requireRole(ROLES.ADMIN, ROLES.HR), rejectBySupervisor);
+// Reject sick leave by supervisor - approvers of the current step in the approval chain
+router.post('/:id/reject-supervisor', rejectBySupervisor);
 
 // Reject sick leave by doctor - HR/Admin/Doctor only
 router.post('/:id/reject-doctor', requireRole(ROLES.ADMIN, ROLES.HR, 'doctor'), rejectByDoctor);
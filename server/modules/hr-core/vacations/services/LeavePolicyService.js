@@ -0,0 +1,264 @@
+import LeavePolicy from '../models/leavePolicy.model.js';
+import VacationBalance from '../models/vacationBalance.model.js';
+import User from '../../users/models/user.model.js';
+import {
+  DEFAULT_LEAVE_POLICY,
+  UNBALANCED_LEAVE_TYPES,
+  getLeaveTypeRules,
+  calculateAllocation,
+  tenureInYears
+} from '../utils/leavePolicyEngine.js';
+import logger from '../../../../utils/logger.js';
+
+// Errors kept per recalculation run (the counts are always complete)
+const MAX_REPORTED_ERRORS = 50;
+
+/**
+ * Leave Policy Service - Tenant leave policies and the balances calculated from them
+ */
+class LeavePolicyService {
+  /**
+   * Get leave policies
+   */
+  async getPolicies(tenantId) {
+    return await LeavePolicy.find({ tenantId })
+      .populate('appliesTo.departments', 'name code')
+      .populate('appliesTo.positions', 'title code')
+      .sort({ isDefault: -1, priority: -1, name: 1 });
+  }
+
+  /**
+   * Get a leave policy
+   */
+  async getPolicy(id, tenantId) {
+    const policy = await LeavePolicy.findOne({ _id: id, tenantId });
+    if (!policy) {
+      throw new Error('Leave policy not found');
+    }
+    return policy;
+  }
+
+  /**
+   * Built-in rules used when a tenant has no policy (starting point for a new one)
+   */
+  getDefaultRules() {
+    return DEFAULT_LEAVE_POLICY;
+  }
+
+  /**
+   * Create a leave policy
+   */
+  async createPolicy(data, tenantId, userId) {
+    if (await LeavePolicy.exists({ tenantId, name: data.name })) {
+      throw new Error('A leave policy with this name already exists');
+    }
+
+    const policy = new LeavePolicy({
+      ...this._sanitize(data),
+      tenantId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await policy.save();
+    await this._ensureSingleDefault(policy);
+
+    logger.info(`Leave policy "${policy.name}" created for tenant ${tenantId}`);
+    return policy;
+  }
+
+  /**
+   * Update a leave policy
+   * Balances are not touched; run a recalculation to apply the new rules.
+   */
+  async updatePolicy(id, data, tenantId, userId) {
+    const policy = await this.getPolicy(id, tenantId);
+
+    if (data.name && data.name !== policy.name && await LeavePolicy.exists({ tenantId, name: data.name })) {
+      throw new Error('A leave policy with this name already exists');
+    }
+
+    policy.set({ ...this._sanitize(data), updatedBy: userId });
+    await policy.save();
+    await this._ensureSingleDefault(policy);
+
+    logger.info(`Leave policy "${policy.name}" updated for tenant ${tenantId}`);
+    return policy;
+  }
+
+  /**
+   * Delete a leave policy
+   * Employees it covered fall back to another matching policy or the default.
+   */
+  async deletePolicy(id, tenantId) {
+    const policy = await this.getPolicy(id, tenantId);
+    await policy.deleteOne();
+
+    logger.info(`Leave policy "${policy.name}" deleted for tenant ${tenantId}`);
+    return { message: 'Leave policy deleted' };
+  }
+
+  /**
+   * Leave types an employee can request under their policy
+   */
+  async getLeaveTypesForEmployee(employeeId, tenantId) {
+    const employee = await this._getEmployee(employeeId, tenantId);
+    const policy = await LeavePolicy.resolveForEmployee(employee);
+
+    return getLeaveTypeRules(policy).map(rule => ({
+      key: rule.key,
+      name: rule.name,
+      arabicName: rule.arabicName,
+      paid: rule.paid !== false
+    }));
+  }
+
+  /**
+   * Which policy applies to an employee and what it entitles them to this year
+   */
+  async previewEmployee(employeeId, tenantId, year = new Date().getFullYear()) {
+    const employee = await this._getEmployee(employeeId, tenantId);
+    const policy = await LeavePolicy.resolveForEmployee(employee);
+    const hireDate = employee.employment?.hireDate;
+
+    return {
+      employee: employee._id,
+      policy: policy._id || null,
+      policyName: policy.name,
+      year,
+      tenureYears: Math.floor(tenureInYears(hireDate) * 10) / 10,
+      grade: employee.employment?.grade || null,
+      contractType: employee.employment?.contractType || null,
+      entitlements: getLeaveTypeRules(policy).map(rule => ({
+        key: rule.key,
+        name: rule.name,
+        allocated: calculateAllocation(rule, {
+          hireDate,
+          year: Number(year),
+          grade: employee.employment?.grade,
+          probationMonths: policy.probationMonths,
+          roundingStep: policy.roundingStep
+        }),
+        accrual: rule.accrual,
+        carryOverMaxDays: rule.carryOver?.maxDays || 0,
+        allowNegativeDays: rule.allowNegativeDays || 0
+      }))
+    };
+  }
+
+  /**
+   * Current balance of an employee, created on first use and recalculated
+   */
+  async getBalance(employeeId, tenantId, year = new Date().getFullYear()) {
+    await this._getEmployee(employeeId, tenantId);
+    return await VacationBalance.initializeForEmployee(employeeId, Number(year));
+  }
+
+  /**
+   * Check a leave request against the employee's balance
+   * @returns {Promise<VacationBalance|null>} The balance to link, or null for types without a balance
+   * @throws {Error} If the balance (plus negative allowance) does not cover the request
+   */
+  async assertSufficientBalance(employeeId, leaveType, duration, startDate, tenantId) {
+    if (UNBALANCED_LEAVE_TYPES.includes(leaveType)) {
+      return null;
+    }
+
+    const balance = await this.getBalance(employeeId, tenantId, new Date(startDate).getFullYear());
+    if (balance.isNew) {
+      // No hire date yet, so there is nothing to check against
+      return null;
+    }
+    if (!balance.getLeaveType(leaveType)) {
+      throw new Error(`Leave type ${leaveType} is not part of your leave policy`);
+    }
+    if (!balance.hasSufficientBalance(leaveType, duration)) {
+      throw new Error(`Insufficient ${leaveType} leave balance`);
+    }
+    return balance;
+  }
+
+  /**
+   * Recalculate the balances of a tenant for a year
+   * Creates balances for active employees that do not have one yet.
+   * @param {Object} [options] - { year, employees: [ids] }
+   * @returns {Promise<{year, total, processed, failed, errors}>}
+   */
+  async recalculateBalances(tenantId, options = {}) {
+    const year = Number(options.year) || new Date().getFullYear();
+    const query = { tenantId, status: { $ne: 'resigned' }, 'employment.hireDate': { $exists: true, $ne: null } };
+    if (options.employees?.length) {
+      query._id = { $in: options.employees };
+    }
+
+    const employees = await User.find(query).select('_id');
+    const result = { year, total: employees.length, processed: 0, failed: 0, errors: [] };
+
+    for (const employee of employees) {
+      try {
+        await VacationBalance.initializeForEmployee(employee._id, year);
+        result.processed++;
+      } catch (error) {
+        result.failed++;
+        if (result.errors.length < MAX_REPORTED_ERRORS) {
+          result.errors.push({ employee: employee._id, error: error.message });
+        }
+      }
+    }
+
+    logger.info(`Recalculated ${result.processed}/${result.total} leave balances for tenant ${tenantId} (${year})`);
+    return result;
+  }
+
+  /**
+   * Carry unused days of a closed year into the next year
+   * @returns {Promise<{year, total, processed, failed, errors}>}
+   */
+  async carryOverBalances(tenantId, fromYear) {
+    const balances = await VacationBalance.find({ tenantId, year: fromYear }).select('employee');
+    const result = { year: fromYear, total: balances.length, processed: 0, failed: 0, errors: [] };
+
+    for (const balance of balances) {
+      try {
+        await VacationBalance.carryOverToNextYear(balance.employee, fromYear);
+        result.processed++;
+      } catch (error) {
+        result.failed++;
+        if (result.errors.length < MAX_REPORTED_ERRORS) {
+          result.errors.push({ employee: balance.employee, error: error.message });
+        }
+      }
+    }
+
+    logger.info(`Carried over ${result.processed}/${result.total} leave balances for tenant ${tenantId} (${fromYear} -> ${fromYear + 1})`);
+    return result;
+  }
+
+  async _getEmployee(employeeId, tenantId) {
+    const employee = await User.findOne({ _id: employeeId, tenantId })
+      .select('tenantId department position employment');
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+    return employee;
+  }
+
+  /**
+   * Only one default policy per tenant
+   */
+  async _ensureSingleDefault(policy) {
+    if (policy.isDefault) {
+      await LeavePolicy.updateMany(
+        { tenantId: policy.tenantId, _id: { $ne: policy._id }, isDefault: true },
+        { isDefault: false }
+      );
+    }
+  }
+
+  _sanitize(data) {
+    const policy = { ...data };
+    ['_id', 'tenantId', 'createdBy', 'updatedBy', 'createdAt', 'updatedAt', '__v'].forEach(field => delete policy[field]);
+    return policy;
+  }
+}
+
+export default LeavePolicyService;
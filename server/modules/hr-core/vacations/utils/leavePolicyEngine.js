@@ -0,0 +1,275 @@
+/**
+ * Leave Policy Engine
+ * Pure helpers that turn a tenant leave policy into balance figures:
+ * entitlement (tenure tiers, grades, monthly accrual, probation), carry-over
+ * with expiry, and availability with a negative-balance allowance.
+ */
+
+const MONTH_MS = 1000 * 60 * 60 * 24 * 30.44; // Average days per month
+
+// Leave types stored in dedicated balance fields; everything else is a custom type
+export const BUILT_IN_LEAVE_TYPES = ['annual', 'casual', 'sick'];
+
+// Vacation types that never consume a balance
+export const UNBALANCED_LEAVE_TYPES = ['unpaid'];
+
+/**
+ * Rules used when a tenant has no leave policy. Mirrors the allocation that was
+ * hard-coded in the VacationBalance model, so existing balances do not change.
+ */
+export const DEFAULT_LEAVE_POLICY = Object.freeze({
+    name: 'Default',
+    isDefault: true,
+    probationMonths: 3,
+    flexibleHoursPerYear: 8,
+    roundingStep: 0.5,
+    leaveTypes: [
+        {
+            key: 'annual',
+            name: 'Annual Leave',
+            paid: true,
+            days: 0,
+            tiers: [
+                { minYears: 0.5, days: 8 },
+                { minYears: 1, days: 14 },
+                { minYears: 10, days: 23 }
+            ],
+            grades: [],
+            accrual: 'upfront',
+            prorateFirstYear: false,
+            requiresProbation: false,
+            carryOver: { maxDays: 5, expiresAfterMonths: null },
+            allowNegativeDays: 0,
+            isActive: true
+        },
+        {
+            key: 'casual',
+            name: 'Casual Leave',
+            paid: true,
+            days: 7,
+            tiers: [],
+            grades: [],
+            accrual: 'upfront',
+            prorateFirstYear: false,
+            requiresProbation: true,
+            carryOver: { maxDays: 0, expiresAfterMonths: null },
+            allowNegativeDays: 0,
+            isActive: true
+        },
+        {
+            key: 'sick',
+            name: 'Sick Leave',
+            paid: true,
+            days: 10,
+            tiers: [],
+            grades: [],
+            accrual: 'upfront',
+            prorateFirstYear: false,
+            requiresProbation: false,
+            carryOver: { maxDays: 0, expiresAfterMonths: null },
+            allowNegativeDays: 0,
+            isActive: true
+        }
+    ]
+});
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+/**
+ * Tenure in years at a date
+ */
+export const tenureInYears = (hireDate, asOf = new Date()) => {
+    if (!hireDate) return 0;
+    return Math.max(0, (new Date(asOf) - new Date(hireDate)) / MONTH_MS / 12);
+};
+
+/**
+ * Whole calendar months from `from` to `to` (a month counts once its day-of-month is reached)
+ */
+export const completedMonths = (from, to) => {
+    const start = new Date(from);
+    const end = new Date(to);
+    if (end <= start) return 0;
+
+    let months = (end.getFullYear() - start.getFullYear()) * 12 + (end.getMonth() - start.getMonth());
+    if (end.getDate() < start.getDate()) months--;
+    return Math.max(0, months);
+};
+
+/**
+ * Round down to the policy rounding step (0 keeps two decimals)
+ */
+export const roundDays = (days, step = 0.5) => {
+    if (!step) return Math.round(days * 100) / 100;
+    return Math.floor((days + 1e-9) / step) * step;
+};
+
+/**
+ * Active leave type rules of a policy
+ */
+export const getLeaveTypeRules = (policy) => (policy?.leaveTypes || []).filter(rule => rule.isActive !== false);
+
+export const findLeaveTypeRule = (policy, key) => getLeaveTypeRules(policy).find(rule => rule.key === key) || null;
+
+/**
+ * Full-year entitlement of a leave type: grade entitlement, else the highest
+ * tenure tier reached, else the base number of days
+ */
+export const resolveEntitlementDays = (rule, { tenureYears = 0, grade } = {}) => {
+    const byGrade = grade && (rule.grades || []).find(entry => entry.grade === grade);
+    if (byGrade) {
+        return byGrade.days;
+    }
+
+    const tier = [...(rule.tiers || [])]
+        .sort((a, b) => b.minYears - a.minYears)
+        .find(entry => tenureYears >= entry.minYears);
+    if (tier) {
+        return tier.days;
+    }
+
+    return rule.days || 0;
+};
+
+/**
+ * Days allocated for a leave type in a balance year
+ * @param {Object} rule - Leave type rule from the policy
+ * @param {Object} context
+ * @param {Date} context.hireDate
+ * @param {number} context.year - Balance year
+ * @param {Date} [context.asOf=new Date()] - Accrual and tenure are measured at this date
+ * @param {string} [context.grade] - Employee grade
+ * @param {number} [context.probationMonths=0]
+ * @param {number} [context.roundingStep=0.5]
+ * @returns {number}
+ */
+export const calculateAllocation = (rule, context) => {
+    const { hireDate, year, grade, probationMonths = 0, roundingStep = 0.5 } = context;
+    const yearStart = new Date(year, 0, 1);
+    const yearEnd = new Date(year + 1, 0, 1);
+    const asOf = new Date(Math.min(new Date(context.asOf || Date.now()).getTime(), yearEnd.getTime()));
+
+    if (!hireDate || new Date(hireDate) >= yearEnd || asOf < yearStart) {
+        return 0;
+    }
+
+    const tenureYears = tenureInYears(hireDate, asOf);
+    if (rule.requiresProbation && tenureYears * 12 < probationMonths) {
+        return 0;
+    }
+
+    const entitlement = resolveEntitlementDays(rule, { tenureYears, grade });
+    const serviceStart = new Date(Math.max(yearStart.getTime(), new Date(hireDate).getTime()));
+
+    if (rule.accrual === 'monthly') {
+        const months = Math.min(12, completedMonths(serviceStart, asOf));
+        return roundDays((entitlement / 12) * months, roundingStep);
+    }
+
+    if (rule.prorateFirstYear && serviceStart > yearStart) {
+        const monthsInService = 12 - serviceStart.getMonth();
+        return roundDays((entitlement / 12) * monthsInService, roundingStep);
+    }
+
+    return entitlement;
+};
+
+/**
+ * Days carried into the next year and when they expire
+ * @param {Object} rule - Leave type rule
+ * @param {number} available - Unused days at the end of `year`
+ * @param {number} year - Year the days are carried out of
+ * @returns {{days: number, expiresOn: Date|null}}
+ */
+export const calculateCarryOver = (rule, available, year) => {
+    const maxDays = rule?.carryOver?.maxDays || 0;
+    const days = Math.max(0, Math.min(available || 0, maxDays));
+    const months = rule?.carryOver?.expiresAfterMonths;
+
+    return {
+        days,
+        // Last day of the N-th month of the next year
+        expiresOn: days > 0 && months ? new Date(year + 1, months, 0, 23, 59, 59, 999) : null
+    };
+};
+
+/**
+ * Available days for a leave type
+ * Carried-over days are spent first; whatever was not used by the expiry date is forfeited.
+ * @param {Object} figures - { allocated, carriedOver, carryOverExpiresOn, used, usedBeforeExpiry, pending }
+ * @param {Object} [options] - { allowNegativeDays, asOf }
+ * @returns {{available: number, forfeited: number}}
+ */
+export const calculateAvailable = (figures, { allowNegativeDays = 0, asOf = new Date() } = {}) => {
+    const carriedOver = figures.carriedOver || 0;
+    const expired = figures.carryOverExpiresOn && new Date(asOf) > new Date(figures.carryOverExpiresOn);
+    const forfeited = expired ? Math.max(0, carriedOver - (figures.usedBeforeExpiry || 0)) : 0;
+
+    const available = (figures.allocated || 0) + carriedOver - forfeited - (figures.used || 0) - (figures.pending || 0);
+
+    return {
+        available: Math.max(allowNegativeDays ? -allowNegativeDays : 0, Math.round(available * 100) / 100),
+        forfeited
+    };
+};
+
+const matchesList = (list, value) => !list || list.length === 0 || list.some(item => idOf(item) === idOf(value));
+
+/**
+ * Number of criteria a policy restricts on (more specific policies win ties)
+ */
+const specificity = (policy) => {
+    const appliesTo = policy.appliesTo || {};
+    return ['contractTypes', 'departments', 'positions', 'grades']
+        .filter(field => (appliesTo[field] || []).length > 0).length;
+};
+
+/**
+ * Pick the policy that applies to an employee
+ * Matching policies are ranked by priority, then by how specific they are;
+ * the tenant default is used when nothing matches.
+ * @param {Array} policies - Tenant leave policies
+ * @param {Object} employee - User with department, position and employment
+ * @returns {Object|null}
+ */
+export const selectPolicy = (policies, employee) => {
+    const active = (policies || []).filter(policy => policy.isActive !== false);
+
+    const matching = active.filter(policy => {
+        const appliesTo = policy.appliesTo || {};
+        return specificity(policy) > 0
+            && matchesList(appliesTo.contractTypes, employee?.employment?.contractType)
+            && matchesList(appliesTo.departments, employee?.department)
+            && matchesList(appliesTo.positions, employee?.position)
+            && matchesList(appliesTo.grades, employee?.employment?.grade);
+    });
+
+    matching.sort((a, b) => (b.priority || 0) - (a.priority || 0) || specificity(b) - specificity(a));
+
+    return matching[0] || active.find(policy => policy.isDefault) || null;
+};
+
+/**
+ * Whether a leave type balance covers a request
+ */
+export const hasSufficientDays = (typeBalance, duration) => {
+    if (!typeBalance) return false;
+    return (typeBalance.available || 0) + (typeBalance.negativeAllowance || 0) >= duration;
+};
+
+export default {
+    BUILT_IN_LEAVE_TYPES,
+    UNBALANCED_LEAVE_TYPES,
+    DEFAULT_LEAVE_POLICY,
+    tenureInYears,
+    completedMonths,
+    roundDays,
+    getLeaveTypeRules,
+    findLeaveTypeRule,
+    resolveEntitlementDays,
+    calculateAllocation,
+    calculateCarryOver,
+    calculateAvailable,
+    selectPolicy,
+    hasSufficientDays
+};
@@ -0,0 +1,75 @@
+// models/WebhookDelivery.js
+import mongoose from 'mongoose';
+import { DELIVERY_STATUSES } from '../utils/webhookEngine.js';
+
+/**
+ * Webhook Delivery Model
+ * One event sent to one endpoint, with every attempt made.
+ * Lifecycle: pending -> success | retrying -> ... -> success | failed.
+ * A replay creates a new delivery of the same payload pointing at the original.
+ */
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    statusCode: Number,
+    durationMs: Number,
+    error: String
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    endpoint: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookEndpoint',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Same for every endpoint the event went to, so receivers can de-duplicate
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: DELIVERY_STATUSES,
+        default: 'pending'
+    },
+    attempts: [attemptSchema],
+    attemptCount: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: Date,
+    deliveredAt: Date,
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery',
+        default: null
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ tenantId: 1, endpoint: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Delivery log is kept for 90 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,67 @@
+// models/WebhookEndpoint.js
+import mongoose from 'mongoose';
+import { ALL_EVENTS, WEBHOOK_EVENTS } from '../utils/webhookEngine.js';
+
+/**
+ * Webhook Endpoint Model
+ * A tenant URL that receives signed HR events. The secret signs every
+ * delivery and is only returned when the endpoint is created or rotated.
+ */
+const webhookEndpointSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Endpoint name is required'],
+        trim: true
+    },
+    url: {
+        type: String,
+        required: [true, 'Endpoint URL is required'],
+        trim: true
+    },
+    description: String,
+    // Events delivered to this endpoint; '*' for all
+    events: {
+        type: [{
+            type: String,
+            enum: [...WEBHOOK_EVENTS, ALL_EVENTS]
+        }],
+        validate: [events => events.length > 0, 'Select at least one event']
+    },
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    // Deliveries in a row that gave up; the endpoint is disabled past a limit
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    lastDeliveryAt: Date,
+    lastSuccessAt: Date,
+    lastFailureAt: Date,
+    disabledReason: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookEndpointSchema.index({ tenantId: 1, isActive: 1, events: 1 });
+
+export default mongoose.model('WebhookEndpoint', webhookEndpointSchema);
@@ -0,0 +1,39 @@
+import express from 'express';
+import {
+    getEvents,
+    getEndpoints,
+    getEndpoint,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    rotateSecret,
+    sendTest,
+    getDeliveries,
+    getDelivery,
+    replayDelivery
+} from '../controllers/webhook.controller.js';
+import { requireAuth, requireRole } from '../../../../shared/middleware/auth.js';
+import { ROLES } from '../../../../shared/constants/modules.js';
+
+const router = express.Router();
+
+// Webhooks expose HR data outside the system - tenant admins only
+router.use(requireAuth, requireRole(ROLES.ADMIN));
+
+router.get('/events', getEvents);
+
+// Delivery log and replay
+router.get('/deliveries', getDeliveries);
+router.get('/deliveries/:id', getDelivery);
+router.post('/deliveries/:id/replay', replayDelivery);
+
+// Endpoints
+router.get('/', getEndpoints);
+router.post('/', createEndpoint);
+router.get('/:id', getEndpoint);
+router.put('/:id', updateEndpoint);
+router.delete('/:id', deleteEndpoint);
+router.post('/:id/rotate-secret', rotateSecret);
+router.post('/:id/test', sendTest);
+
+export default router;
@@ -0,0 +1,457 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import { URL } from 'url';
+import axios from 'axios';
+import WebhookEndpoint from '../models/webhookEndpoint.model.js';
+import WebhookDelivery from '../models/webhookDelivery.model.js';
+import notificationIntegrationService from '../../services/notificationIntegrationService.js';
+import {
+  DELIVERY_TIMEOUT_MS,
+  DISABLE_AFTER_FAILURES,
+  TEST_EVENT,
+  WEBHOOK_EVENTS,
+  buildHeaders,
+  buildPayload,
+  endpointMatchesEvent,
+  generateSecret,
+  isSuccessStatus,
+  nextDeliveryState,
+  validateEndpointAddresses,
+  validateEndpointUrl,
+  validateEvents
+} from '../utils/webhookEngine.js';
+import logger from '../../../../utils/logger.js';
+
+const EDITABLE_FIELDS = ['name', 'url', 'description', 'events', 'isActive'];
+
+// A claimed delivery is not picked up again for this long, so the retry job
+// and an in-flight first attempt never send the same delivery twice
+const CLAIM_LEASE_MS = DELIVERY_TIMEOUT_MS * 6;
+
+// Deliveries attempted per run of the retry job
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Resolve an endpoint host, refusing hosts that resolve to private or
+ * reserved addresses
+ * @param {string} hostname - URL hostname; IPv6 literals keep their brackets
+ * @returns {Promise<Array<{address: string, family: number}>>}
+ */
+const resolveEndpointHost = async (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  try {
+    addresses = await dns.lookup(host, { all: true });
+  } catch {
+    addresses = [];
+  }
+
+  const addressError = validateEndpointAddresses(host, addresses);
+  if (addressError) throw new Error(addressError);
+  return addresses;
+};
+
+/**
+ * Webhook Service - Tenant outbound webhooks
+ *
+ * Tenant admins register endpoints with an event filter. When an HR event
+ * happens, emit() records one delivery per subscribed endpoint and sends it
+ * in the background, signed with the endpoint's secret. Failed deliveries are
+ * retried with exponential backoff by the webhook retry job and can be
+ * replayed from the delivery log.
+ */
+class WebhookService {
+  /**
+   * Events an endpoint can subscribe to
+   */
+  getEvents() {
+    return WEBHOOK_EVENTS;
+  }
+
+  async getEndpoints(tenantId) {
+    return await WebhookEndpoint.find({ tenantId })
+      .populate('createdBy', 'username personalInfo.fullName')
+      .sort({ createdAt: -1 });
+  }
+
+  async getEndpoint(endpointId, tenantId) {
+    const endpoint = await WebhookEndpoint.findOne({ _id: endpointId, tenantId });
+    if (!endpoint) {
+      throw new Error('Webhook endpoint not found');
+    }
+    return endpoint;
+  }
+
+  /**
+   * Register an endpoint
+   * @returns {Promise<{endpoint: Object, secret: string}>} The secret is only returned here and on rotation
+   */
+  async createEndpoint(data, tenantId, userId) {
+    await this._validate(data);
+
+    const secret = generateSecret();
+    const endpoint = new WebhookEndpoint({
+      name: data.name,
+      url: data.url,
+      description: data.description,
+      events: data.events,
+      isActive: data.isActive !== false,
+      secret,
+      tenantId,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    await endpoint.save();
+
+    return { endpoint: this._withoutSecret(endpoint), secret };
+  }
+
+  async updateEndpoint(endpointId, data, tenantId, userId) {
+    const endpoint = await this.getEndpoint(endpointId, tenantId);
+    await this._validate({ url: endpoint.url, events: endpoint.events, ...data });
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) endpoint[field] = data[field];
+    });
+
+    // Re-enabling an endpoint starts its failure count over
+    if (data.isActive === true) {
+      endpoint.consecutiveFailures = 0;
+      endpoint.disabledReason = undefined;
+    }
+    endpoint.updatedBy = userId;
+
+    return await endpoint.save();
+  }
+
+  async deleteEndpoint(endpointId, tenantId) {
+    const endpoint = await this.getEndpoint(endpointId, tenantId);
+    await WebhookDelivery.deleteMany({ tenantId, endpoint: endpoint._id });
+    await endpoint.deleteOne();
+    return endpoint;
+  }
+
+  /**
+   * Replace an endpoint's signing secret
+   * @returns {Promise<{endpoint: Object, secret: string}>}
+   */
+  async rotateSecret(endpointId, tenantId, userId) {
+    const endpoint = await this.getEndpoint(endpointId, tenantId);
+    const secret = generateSecret();
+
+    endpoint.secret = secret;
+    endpoint.updatedBy = userId;
+    await endpoint.save();
+
+    return { endpoint: this._withoutSecret(endpoint), secret };
+  }
+
+  /**
+   * Send a test event to an endpoint right away, without retries
+   * @returns {Promise<Object>} The delivery
+   */
+  async sendTest(endpointId, tenantId, userId) {
+    const endpoint = await this.getEndpoint(endpointId, tenantId);
+
+    const delivery = await this._createDelivery(endpoint, TEST_EVENT, crypto.randomUUID(), {
+      message: 'Test delivery from HRSM',
+      endpoint: { id: endpoint._id.toString(), name: endpoint.name }
+    }, { triggeredBy: userId });
+
+    return await this._attempt(delivery._id, { maxAttempts: 1, trackFailures: false });
+  }
+
+  /**
+   * Record and send an HR event to the tenant's subscribed endpoints.
+   * Never throws: webhooks must not fail the action that triggered them.
+   * @param {string} tenantId
+   * @param {string} event - One of WEBHOOK_EVENTS
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} Number of deliveries created
+   */
+  async emit(tenantId, event, data) {
+    try {
+      if (!tenantId || !WEBHOOK_EVENTS.includes(event)) {
+        logger.warn('Webhook event ignored', { tenantId, event });
+        return 0;
+      }
+
+      const endpoints = await WebhookEndpoint.find({ tenantId, isActive: true });
+      const subscribed = endpoints.filter(endpoint => endpointMatchesEvent(endpoint, event));
+      if (subscribed.length === 0) return 0;
+
+      const eventId = crypto.randomUUID();
+      const deliveries = await Promise.all(
+        subscribed.map(endpoint => this._createDelivery(endpoint, event, eventId, data))
+      );
+
+      // Sent in the background; failures are left to the retry job
+      deliveries.forEach(delivery => {
+        this._attempt(delivery._id).catch(error => {
+          logger.error('Webhook delivery attempt failed', { deliveryId: delivery._id, error: error.message });
+        });
+      });
+
+      return deliveries.length;
+    } catch (error) {
+      logger.error('Failed to emit webhook event', { tenantId, event, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Delivery log of a tenant
+   * @param {string} tenantId
+   * @param {Object} filters - { endpoint, event, status, page, limit }
+   * @returns {Promise<{deliveries: Array, total: number, page: number, pages: number}>}
+   */
+  async getDeliveries(tenantId, filters = {}) {
+    const query = { tenantId };
+    if (filters.endpoint) query.endpoint = filters.endpoint;
+    if (filters.event) query.event = filters.event;
+    if (filters.status) query.status = filters.status;
+
+    const page = Math.max(1, parseInt(filters.page) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(filters.limit) || 25));
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .select('-payload -attempts.responseBody')
+        .populate('endpoint', 'name url')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return { deliveries, total, page, pages: Math.ceil(total / limit) };
+  }
+
+  async getDelivery(deliveryId, tenantId) {
+    // Deliveries logged before response bodies stopped being stored still have one
+    const delivery = await WebhookDelivery.findOne({ _id: deliveryId, tenantId })
+      .select('-attempts.responseBody')
+      .populate('endpoint', 'name url events isActive')
+      .populate('triggeredBy', 'username personalInfo.fullName');
+    if (!delivery) {
+      throw new Error('Webhook delivery not found');
+    }
+    return delivery;
+  }
+
+  /**
+   * Send a delivery's payload again as a new delivery
+   * @returns {Promise<Object>} The new delivery after its first attempt
+   */
+  async replayDelivery(deliveryId, tenantId, userId) {
+    const original = await WebhookDelivery.findOne({ _id: deliveryId, tenantId });
+    if (!original) {
+      throw new Error('Webhook delivery not found');
+    }
+
+    const endpoint = await this.getEndpoint(original.endpoint, tenantId);
+    if (!endpoint.isActive) {
+      throw new Error('Webhook endpoint is disabled');
+    }
+
+    const replay = await WebhookDelivery.create({
+      tenantId,
+      endpoint: endpoint._id,
+      event: original.event,
+      eventId: original.eventId,
+      payload: original.payload,
+      nextAttemptAt: new Date(),
+      replayOf: original._id,
+      triggeredBy: userId
+    });
+
+    return await this._attempt(replay._id);
+  }
+
+  /**
+   * Attempt deliveries that are due, called by the webhook retry job
+   * @param {Date} now
+   * @returns {Promise<{attempted: number, succeeded: number, failed: number}>}
+   */
+  async processRetries(now = new Date()) {
+    const due = await WebhookDelivery.find({
+      status: { $in: ['pending', 'retrying'] },
+      nextAttemptAt: { $lte: now }
+    })
+      .select('_id')
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE);
+
+    const summary = { attempted: 0, succeeded: 0, failed: 0 };
+    for (const { _id } of due) {
+      const delivery = await this._attempt(_id, { now });
+      if (!delivery) continue;
+
+      summary.attempted += 1;
+      if (delivery.status === 'success') summary.succeeded += 1;
+      if (delivery.status === 'failed') summary.failed += 1;
+    }
+
+    return summary;
+  }
+
+  async _validate(data) {
+    if (data.name !== undefined && !String(data.name).trim()) {
+      throw new Error('Endpoint name is required');
+    }
+    const urlError = validateEndpointUrl(data.url);
+    if (urlError) throw new Error(urlError);
+    const eventsError = validateEvents(data.events);
+    if (eventsError) throw new Error(eventsError);
+    await resolveEndpointHost(new URL(data.url).hostname);
+  }
+
+  _withoutSecret(endpoint) {
+    const obj = endpoint.toObject ? endpoint.toObject() : { ...endpoint };
+    delete obj.secret;
+    return obj;
+  }
+
+  async _createDelivery(endpoint, event, eventId, data, extra = {}) {
+    const delivery = new WebhookDelivery({
+      tenantId: endpoint.tenantId,
+      endpoint: endpoint._id,
+      event,
+      eventId,
+      nextAttemptAt: new Date(),
+      ...extra
+    });
+    delivery.payload = buildPayload({
+      id: eventId,
+      event,
+      tenantId: endpoint.tenantId,
+      data,
+      createdAt: delivery.createdAt || new Date()
+    });
+    return await delivery.save();
+  }
+
+  /**
+   * Claim a due delivery and make one attempt
+   * @returns {Promise<Object|null>} The delivery, or null when another attempt holds it
+   */
+  async _attempt(deliveryId, { now = new Date(), maxAttempts, trackFailures = true } = {}) {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      {
+        _id: deliveryId,
+        status: { $in: ['pending', 'retrying'] },
+        nextAttemptAt: { $lte: now }
+      },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true }
+    );
+    if (!delivery) return null;
+
+    const endpoint = await WebhookEndpoint.findById(delivery.endpoint).select('+secret');
+    const attempt = endpoint?.isActive
+      ? await this._send(endpoint, delivery)
+      : { attemptedAt: new Date(), error: endpoint ? 'Endpoint is disabled' : 'Endpoint was deleted' };
+
+    const success = isSuccessStatus(attempt.statusCode);
+    delivery.attempts.push(attempt);
+    delivery.attemptCount = delivery.attempts.length;
+
+    // A disabled or deleted endpoint will not come back by retrying
+    const { status, nextAttemptAt } = nextDeliveryState({
+      attempts: endpoint?.isActive ? delivery.attemptCount : Infinity,
+      success,
+      now: attempt.attemptedAt,
+      ...(maxAttempts ? { maxAttempts } : {})
+    });
+    delivery.status = status;
+    delivery.nextAttemptAt = nextAttemptAt;
+    if (success) delivery.deliveredAt = attempt.attemptedAt;
+    await delivery.save();
+
+    if (endpoint && trackFailures && ['success', 'failed'].includes(status)) {
+      await this._recordOutcome(endpoint, status === 'success', attempt.attemptedAt);
+    }
+
+    return delivery;
+  }
+
+  async _send(endpoint, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const headers = buildHeaders({
+      secret: endpoint.secret,
+      event: delivery.event,
+      deliveryId: delivery._id,
+      body
+    });
+
+    const attemptedAt = new Date();
+    try {
+      // Checked again on every attempt: the host may resolve differently
+      // than when the endpoint was registered
+      await resolveEndpointHost(new URL(endpoint.url).hostname);
+
+      const response = await axios.post(endpoint.url, body, {
+        headers,
+        timeout: DELIVERY_TIMEOUT_MS,
+        maxRedirects: 0,
+        proxy: false,
+        // The connection resolves through the same check, so the host
+        // cannot switch to a private address between the check and the send
+        lookup: resolveEndpointHost,
+        // The body is already serialized and signed; send it byte for byte
+        transformRequest: [(payload) => payload],
+        // Only the status is kept; the response body is never read
+        responseType: 'stream',
+        validateStatus: () => true
+      });
+      response.data.destroy();
+      return {
+        attemptedAt,
+        statusCode: response.status,
+        durationMs: Date.now() - attemptedAt.getTime(),
+        ...(isSuccessStatus(response.status) ? {} : { error: `Endpoint responded with status ${response.status}` })
+      };
+    } catch (error) {
+      return {
+        attemptedAt,
+        durationMs: Date.now() - attemptedAt.getTime(),
+        error: error.code === 'ECONNABORTED' ? `Timed out after ${DELIVERY_TIMEOUT_MS} ms` : error.message
+      };
+    }
+  }
+
+  /**
+   * Track delivered and given-up deliveries; disable an endpoint that keeps failing
+   */
+  async _recordOutcome(endpoint, success, at) {
+    const update = success
+      ? { $set: { lastDeliveryAt: at, lastSuccessAt: at, consecutiveFailures: 0 } }
+      : { $set: { lastDeliveryAt: at, lastFailureAt: at }, $inc: { consecutiveFailures: 1 } };
+
+    const updated = await WebhookEndpoint.findByIdAndUpdate(endpoint._id, update, { new: true });
+    if (success || !updated?.isActive || updated.consecutiveFailures < DISABLE_AFTER_FAILURES) {
+      return;
+    }
+
+    updated.isActive = false;
+    updated.disabledReason = `Disabled after ${updated.consecutiveFailures} failed deliveries in a row`;
+    await updated.save();
+
+    logger.warn('Webhook endpoint disabled', { tenantId: updated.tenantId, endpointId: updated._id, url: updated.url });
+
+    if (updated.createdBy) {
+      await notificationIntegrationService.notify(updated.tenantId, {
+        recipient: updated.createdBy,
+        type: 'system',
+        title: `Webhook endpoint disabled: ${updated.name}`,
+        message: `${updated.disabledReason}. Fix the endpoint at ${updated.url} and enable it again to resume deliveries.`,
+        priority: 'high',
+        relatedModel: 'WebhookEndpoint',
+        relatedId: updated._id,
+        metadata: { source: 'webhooks', action: 'endpoint-disabled' }
+      });
+    }
+  }
+}
+
+export default WebhookService;
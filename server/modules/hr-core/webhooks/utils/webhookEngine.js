@@ -0,0 +1,305 @@
+/**
+ * Webhook Engine
+ * Pure helpers behind tenant outbound webhooks: the events that can be
+ * subscribed to, endpoint validation and event filters, payload signing and
+ * the retry schedule of failed deliveries.
+ * The service stores endpoints and deliveries and performs the HTTP calls.
+ */
+
+import crypto from 'crypto';
+import net from 'net';
+import { URL } from 'url';
+
+// HR events a tenant endpoint can subscribe to
+export const WEBHOOK_EVENTS = [
+    'employee.created',
+    'employee.terminated',
+    'leave.approved',
+    'attendance.synced',
+    'payroll.locked'
+];
+
+// Subscribes an endpoint to every event, including ones added later
+export const ALL_EVENTS = '*';
+
+// Sent by the "test" action; always delivered regardless of the event filter
+export const TEST_EVENT = 'webhook.test';
+
+export const DELIVERY_STATUSES = ['pending', 'retrying', 'success', 'failed'];
+
+// A delivery is given up after this many attempts
+export const MAX_ATTEMPTS = 6;
+
+// First retry after one minute, doubling up to six hours
+export const RETRY_BASE_SECONDS = 60;
+export const RETRY_MAX_SECONDS = 6 * 60 * 60;
+
+// Deliveries time out after this long and count as failed attempts
+export const DELIVERY_TIMEOUT_MS = 10000;
+
+// Endpoints are disabled after this many deliveries in a row that gave up
+export const DISABLE_AFTER_FAILURES = 20;
+
+export const SIGNATURE_HEADER = 'X-HRSM-Signature';
+export const TIMESTAMP_HEADER = 'X-HRSM-Timestamp';
+export const EVENT_HEADER = 'X-HRSM-Event';
+export const DELIVERY_HEADER = 'X-HRSM-Delivery';
+
+// Endpoints may not point into the server's own network: loopback, private,
+// link-local (cloud metadata services), shared, multicast and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 networks.
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96],
+    ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Random signing secret for a new endpoint
+ * @returns {string}
+ */
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Validate an endpoint URL: absolute http(s), https outside development
+ * @param {string} url
+ * @param {Object} options - { allowHttp }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateEndpointUrl = (url, { allowHttp = process.env.NODE_ENV !== 'production' } = {}) => {
+    if (!url || typeof url !== 'string') {
+        return 'Endpoint URL is required';
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'Endpoint URL is not a valid URL';
+    }
+
+    if (parsed.protocol !== 'https:' && !(allowHttp && parsed.protocol === 'http:')) {
+        return allowHttp ? 'Endpoint URL must use http or https' : 'Endpoint URL must use https';
+    }
+    if (parsed.username || parsed.password) {
+        return 'Endpoint URL must not contain credentials';
+    }
+    return null;
+};
+
+/**
+ * Whether an IP address is in a network endpoints may not point to.
+ * Anything that is not an IP address is blocked too.
+ * @param {string} address
+ * @returns {boolean}
+ */
+export const isBlockedAddress = (address) => {
+    const version = net.isIP(address);
+    if (!version) return true;
+    return BLOCKED_NETWORKS.check(address, version === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Validate the addresses an endpoint host resolved to
+ * @param {string} hostname
+ * @param {Array<{address: string}>} addresses - As returned by dns.lookup with { all: true }
+ * @returns {string|null} Error message, or null when every address is public
+ */
+export const validateEndpointAddresses = (hostname, addresses) => {
+    if (!addresses || addresses.length === 0) {
+        return `Endpoint host ${hostname} could not be resolved`;
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    return blocked
+        ? `Endpoint host ${hostname} resolves to a private or reserved address (${blocked.address})`
+        : null;
+};
+
+/**
+ * Validate an event filter list
+ * @param {Array<string>} events
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return 'Select at least one event';
+    }
+    const unknown = events.filter(event => event !== ALL_EVENTS && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+        return `Unknown webhook event(s): ${unknown.join(', ')}`;
+    }
+    return null;
+};
+
+/**
+ * Whether an active endpoint receives an event
+ * @param {Object} endpoint - ({ isActive, events })
+ * @param {string} event
+ * @returns {boolean}
+ */
+export const endpointMatchesEvent = (endpoint, event) => {
+    if (!endpoint?.isActive) return false;
+    const events = endpoint.events || [];
+    return events.includes(ALL_EVENTS) || events.includes(event);
+};
+
+/**
+ * Body sent to endpoints
+ * @param {Object} params - { id, event, tenantId, data, createdAt }
+ * @returns {Object}
+ */
+export const buildPayload = ({ id, event, tenantId, data, createdAt = new Date() }) => ({
+    id,
+    event,
+    tenantId,
+    createdAt: new Date(createdAt).toISOString(),
+    data
+});
+
+const idOf = (value) => (value?._id || value)?.toString() ?? null;
+
+/**
+ * Employee fields shared with endpoints; credentials and personal documents
+ * are never sent
+ * @param {Object} user
+ * @returns {Object}
+ */
+export const toEmployeeData = (user) => ({
+    id: idOf(user),
+    employeeId: user?.employeeId || null,
+    username: user?.username || null,
+    email: user?.email || null,
+    fullName: user?.personalInfo?.fullName || null,
+    role: user?.role || null,
+    status: user?.status || null,
+    department: idOf(user?.department),
+    position: idOf(user?.position),
+    hireDate: user?.employment?.hireDate || null
+});
+
+/**
+ * Leave fields shared with endpoints
+ * @param {Object} leave - Vacation or sick leave
+ * @param {string} leaveType - 'vacation' or 'sick-leave'
+ * @returns {Object}
+ */
+export const toLeaveData = (leave, leaveType) => ({
+    id: idOf(leave),
+    leaveType,
+    vacationType: leave?.vacationType || null,
+    employee: leave?.employee?._id ? toEmployeeData(leave.employee) : { id: idOf(leave?.employee) },
+    startDate: leave?.startDate || null,
+    endDate: leave?.endDate || null,
+    duration: leave?.duration ?? null,
+    status: leave?.status || null,
+    approvedBy: idOf(leave?.approvedBy),
+    approvedAt: leave?.approvedAt || null
+});
+
+/**
+ * HMAC-SHA256 signature of a payload. The timestamp is signed with the body
+ * so a captured request cannot be replayed later with a new timestamp.
+ * @param {string} secret
+ * @param {number} timestamp - Unix seconds
+ * @param {string} body - Raw JSON body
+ * @returns {string} 'sha256=<hex>'
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+};
+
+/**
+ * Check a signature the way a receiving endpoint should
+ * @param {string} secret
+ * @param {number|string} timestamp
+ * @param {string} body
+ * @param {string} signature
+ * @param {Object} options - { toleranceSeconds, now }
+ * @returns {boolean}
+ */
+export const verifySignature = (secret, timestamp, body, signature, { toleranceSeconds = 300, now = Date.now() } = {}) => {
+    if (!signature || !timestamp) return false;
+    if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > toleranceSeconds) return false;
+
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Headers of a delivery attempt
+ * @param {Object} params - { secret, event, deliveryId, body, now }
+ * @returns {Object}
+ */
+export const buildHeaders = ({ secret, event, deliveryId, body, now = Date.now() }) => {
+    const timestamp = Math.floor(now / 1000);
+    return {
+        'Content-Type': 'application/json',
+        'User-Agent': 'HRSM-Webhooks/1.0',
+        [EVENT_HEADER]: event,
+        [DELIVERY_HEADER]: String(deliveryId),
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(secret, timestamp, body)
+    };
+};
+
+/**
+ * Whether a response status means the endpoint accepted the delivery
+ * @param {number} status
+ * @returns {boolean}
+ */
+export const isSuccessStatus = (status) => status >= 200 && status < 300;
+
+/**
+ * Delay before the next attempt, after a number of failed attempts
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Milliseconds
+ */
+export const getRetryDelay = (attempts) => {
+    const seconds = RETRY_BASE_SECONDS * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(seconds, RETRY_MAX_SECONDS) * 1000;
+};
+
+/**
+ * Status and next attempt time of a delivery after an attempt
+ * @param {Object} params - { attempts, success, now, maxAttempts }
+ * @returns {{ status: string, nextAttemptAt: Date|null }}
+ */
+export const nextDeliveryState = ({ attempts, success, now = new Date(), maxAttempts = MAX_ATTEMPTS }) => {
+    if (success) {
+        return { status: 'success', nextAttemptAt: null };
+    }
+    if (attempts >= maxAttempts) {
+        return { status: 'failed', nextAttemptAt: null };
+    }
+    return { status: 'retrying', nextAttemptAt: new Date(new Date(now).getTime() + getRetryDelay(attempts)) };
+};
+
+export default {
+    WEBHOOK_EVENTS,
+    ALL_EVENTS,
+    TEST_EVENT,
+    DELIVERY_STATUSES,
+    MAX_ATTEMPTS,
+    generateSecret,
+    validateEndpointUrl,
+    isBlockedAddress,
+    validateEndpointAddresses,
+    validateEvents,
+    endpointMatchesEvent,
+    buildPayload,
+    toEmployeeData,
+    toLeaveData,
+    signPayload,
+    verifySignature,
+    buildHeaders,
+    isSuccessStatus,
+    getRetryDelay,
+    nextDeliveryState
+};
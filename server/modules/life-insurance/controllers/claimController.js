@@ -3,6 +3,7 @@ import InsuranceClaim from '../models/InsuranceClaim.js';
 import InsurancePolicy from '../models/InsurancePolicy.js';
 import FamilyMember from '../models/FamilyMember.js';
 import User from '../../hr-core/users/models/user.model.js';
+import payrollIntegrationService from '../services/payrollIntegrationService.js';
 import { sendSuccess, sendError } from '../../../core/utils/response.js';
 import logger from '../../../utils/logger.js';
 import path from 'path';
@@ -328,6 +329,22 @@ export const processClaim = asyncHandler(async (req, res) => {
         return sendError(res, 'Only approved claims can be processed for payment', 400);
     }
 
+    // Payroll payouts become a payroll earning and are paid when the run is locked
+    if (paymentMethod === 'payroll') {
+        await payrollIntegrationService.schedulePayout(claim, { paymentDate, paymentReference }, req.user._id);
+
+        logger.info('Insurance claim payout scheduled in payroll', {
+            tenantId: req.tenant.id,
+            claimId: claim._id,
+            claimNumber: claim.claimNumber,
+            payrollPeriod: claim.payroll.period,
+            paymentAmount: claim.approvedAmount,
+            processedBy: req.user._id
+        });
+
+        return sendSuccess(res, claim, `Claim payout scheduled for payroll period ${claim.payroll.period}`);
+    }
+
     // Update claim with payment information
     claim.status = 'paid';
     claim.paymentMethod = paymentMethod;
@@ -35,7 +35,7 @@ export const updateFamilyMember = asyncHandler(async (req, res) => {
     // Update allowed fields
     const allowedUpdates = [
         'firstName', 'lastName', 'dateOfBirth', 'gender', 'relationship',
-        'phone', 'email', 'address', 'coverageAmount', 'status', 'notes', 'emergencyContact'
+        'phone', 'email', 'address', 'coverageAmount', 'premium', 'status', 'notes', 'emergencyContact'
     ];
     
     allowedUpdates.forEach(field => {
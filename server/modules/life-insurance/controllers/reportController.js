@@ -1,6 +1,7 @@
 import asyncHandler from '../../../core/utils/asyncHandler.js';
 import { sendSuccess, sendError } from '../../../core/utils/response.js';
 import reportService from '../services/reportService.js';
+import payrollIntegrationService from '../services/payrollIntegrationService.js';
 import logger from '../../../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -157,6 +158,47 @@ export const downloadReport = asyncHandler(async (req, res) => {
     });
 });
 
+/**
+ * Get claim reconciliation per policy (claimed, approved, paid, outstanding)
+ * @route GET /api/v1/life-insurance/reports/reconciliation
+ * @access Private (Manager, HR, Admin)
+ */
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+    const { startDate, endDate, policyId, employeeId, format } = req.query;
+    const options = { startDate, endDate, policyId, employeeId };
+
+    try {
+        if (format === 'excel') {
+            const filePath = await payrollIntegrationService.generateReconciliationExcel(req.tenant.id, options);
+            const filename = path.basename(filePath);
+
+            logger.info('Insurance reconciliation report generated', {
+                tenantId: req.tenant.id,
+                filename,
+                generatedBy: req.user._id
+            });
+
+            return sendSuccess(res, {
+                filename,
+                downloadUrl: `/api/v1/life-insurance/reports/download/${filename}`,
+                generatedAt: new Date()
+            }, 'Reconciliation report generated successfully');
+        }
+
+        const reconciliation = await payrollIntegrationService.getReconciliation(req.tenant.id, options);
+
+        sendSuccess(res, reconciliation, 'Reconciliation retrieved successfully');
+
+    } catch (error) {
+        logger.error('Error generating reconciliation report', {
+            tenantId: req.tenant.id,
+            error: error.message
+        });
+
+        sendError(res, 'Failed to generate reconciliation report', 500);
+    }
+});
+
 /**
  * Get available reports for tenant
  * @route GET /api/v1/life-insurance/reports
@@ -279,6 +321,7 @@ export const cleanupOldReports = asyncHandler(async (req, res) => {
 export default {
     generatePDFReport,
     generateExcelReport,
+    getReconciliationReport,
     downloadReport,
     getAvailableReports,
     deleteReport,
@@ -85,6 +85,21 @@ const familyMemberSchema = new mongoose.Schema({
         min: 0
     },
     
+    // Premium for covering this member; the employee's share is deducted through payroll
+    premium: {
+        monthlyAmount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        employeeSharePercent: {
+            type: Number,
+            default: 100,
+            min: 0,
+            max: 100
+        }
+    },
+    
     // Status
     status: {
         type: String,
@@ -92,10 +92,28 @@ const insuranceClaimSchema = new mongoose.Schema({
     paymentDate: Date,
     paymentMethod: {
         type: String,
-        enum: ['bank_transfer', 'check', 'cash', 'other']
+        enum: ['bank_transfer', 'check', 'cash', 'payroll', 'other']
     },
     paymentReference: String,
     
+    // Payout through payroll: the claim is paid when the period's run is locked
+    payroll: {
+        period: {
+            type: String,
+            match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Payroll period must be in YYYY-MM format']
+        },
+        scheduledAt: Date,
+        scheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        payrollRun: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PayrollRun'
+        },
+        paidAt: Date
+    },
+    
     // Documents and attachments
     documents: [{
         filename: String,
@@ -159,6 +177,7 @@ insuranceClaimSchema.index({ tenantId: 1, policyId: 1, status: 1 });
 insuranceClaimSchema.index({ tenantId: 1, claimType: 1, status: 1 });
 insuranceClaimSchema.index({ tenantId: 1, incidentDate: 1 });
 insuranceClaimSchema.index({ tenantId: 1, status: 1, priority: 1 });
+insuranceClaimSchema.index({ tenantId: 1, 'payroll.period': 1, employeeId: 1 });
 
 // Virtual for checking if claim is overdue
 insuranceClaimSchema.virtual('isOverdue').get(function() {
@@ -390,6 +409,22 @@ insuranceClaimSchema.statics.getStatistics = function(tenantId, dateRange = null
     ]);
 };
 
+// Static method to find claim payouts paid through payroll in a period
+insuranceClaimSchema.statics.findPayrollPayouts = function(tenantId, period, employeeId = null) {
+    const query = {
+        tenantId,
+        paymentMethod: 'payroll',
+        'payroll.period': period,
+        status: { $in: ['approved', 'paid'] }
+    };
+    
+    if (employeeId) {
+        query.employeeId = employeeId;
+    }
+    
+    return this.find(query);
+};
+
 const InsuranceClaim = mongoose.model('InsuranceClaim', insuranceClaimSchema);
 
 export default InsuranceClaim;
\ No newline at end of file
@@ -221,7 +221,15 @@ router.route('/policies/:policyId/family-members')
                 .optional()
                 .isNumeric()
                 .isFloat({ min: 0 })
-                .withMessage('Coverage amount must be a positive number')
+                .withMessage('Coverage amount must be a positive number'),
+            body('premium.monthlyAmount')
+                .optional()
+                .isFloat({ min: 0 })
+                .withMessage('Monthly premium must be a positive number'),
+            body('premium.employeeSharePercent')
+                .optional()
+                .isFloat({ min: 0, max: 100 })
+                .withMessage('Employee premium share must be between 0 and 100')
         ],
         validateRequest,
         insuranceController.addFamilyMember
@@ -352,6 +360,14 @@ router.route('/family-members/:id')
                 .isNumeric()
                 .isFloat({ min: 0 })
                 .withMessage('Coverage amount must be a positive number'),
+            body('premium.monthlyAmount')
+                .optional()
+                .isFloat({ min: 0 })
+                .withMessage('Monthly premium must be a positive number'),
+            body('premium.employeeSharePercent')
+                .optional()
+                .isFloat({ min: 0, max: 100 })
+                .withMessage('Employee premium share must be between 0 and 100'),
             body('status')
                 .optional()
                 .isIn(['active', 'inactive', 'suspended'])
@@ -571,9 +587,11 @@ router.route('/claims/:id/process-payment')
                 .isMongoId()
                 .withMessage('Valid claim ID is required'),
             body('paymentMethod')
-                .isIn(['bank_transfer', 'check', 'cash', 'other'])
+                .isIn(['bank_transfer', 'check', 'cash', 'payroll', 'other'])
                 .withMessage('Invalid payment method'),
+            // Payroll payouts are referenced by their payroll run
             body('paymentReference')
+                .if(body('paymentMethod').not().equals('payroll'))
                 .trim()
                 .isLength({ min: 1, max: 100 })
                 .withMessage('Payment reference is required'),
@@ -730,6 +748,35 @@ router.route('/reports/excel')
         reportController.generateExcelReport
     );
 
+router.route('/reports/reconciliation')
+    .get(
+        requireRole(['Manager', 'HR', 'Admin']),
+        [
+            query('startDate')
+                .optional()
+                .isISO8601()
+                .withMessage('Valid start date is required'),
+            query('endDate')
+                .optional()
+                .isISO8601()
+                .withMessage('Valid end date is required'),
+            query('policyId')
+                .optional()
+                .isMongoId()
+                .withMessage('Invalid policy ID'),
+            query('employeeId')
+                .optional()
+                .isMongoId()
+                .withMessage('Invalid employee ID'),
+            query('format')
+                .optional()
+                .isIn(['json', 'excel'])
+                .withMessage('Format must be json or excel')
+        ],
+        validateRequest,
+        reportController.getReconciliationReport
+    );
+
 router.route('/reports')
     .get(
         requireRole(['Manager', 'HR', 'Admin']),
@@ -0,0 +1,220 @@
+/**
+ * Insurance Payroll Integration Service
+ *
+ * Connects life insurance to payroll:
+ * - Schedules approved claim payouts into a payroll period
+ * - Supplies claim payouts and family member premiums as payroll line items
+ * - Marks claims paid out by a payroll run as paid when the run is locked
+ * - Reconciles claimed, approved, paid and outstanding amounts per policy
+ */
+
+import xlsx from 'xlsx';
+import path from 'path';
+import InsurancePolicy from '../models/InsurancePolicy.js';
+import InsuranceClaim from '../models/InsuranceClaim.js';
+import FamilyMember from '../models/FamilyMember.js';
+import Payroll from '../../payroll/models/payroll.model.js';
+import PayrollRun from '../../payroll/models/payrollRun.model.js';
+import reportService from './reportService.js';
+import logger from '../../../utils/logger.js';
+import {
+    CLOSED_RUN_STATUSES,
+    buildReconciliation,
+    getPaidClaimIds,
+    periodBounds,
+    resolvePayrollPeriod,
+    toPayrollItems
+} from '../utils/payrollIntegration.js';
+
+class InsurancePayrollService {
+    /**
+     * Schedule an approved claim's payout in the next open payroll period
+     * @param {Object} claim - Approved claim document
+     * @param {Object} options - { paymentDate, paymentReference }
+     * @param {string} userId
+     * @returns {Promise<Object>} The claim
+     */
+    async schedulePayout(claim, options, userId) {
+        if (claim.status !== 'approved') {
+            throw new Error('Only approved claims can be processed for payment');
+        }
+
+        const paymentDate = options.paymentDate ? new Date(options.paymentDate) : new Date();
+        const closedRuns = await PayrollRun.find({
+            tenantId: claim.tenantId,
+            status: { $in: CLOSED_RUN_STATUSES }
+        }).select('period');
+        const period = resolvePayrollPeriod(paymentDate, closedRuns.map(run => run.period));
+
+        claim.paymentMethod = 'payroll';
+        claim.paymentReference = options.paymentReference;
+        claim.payroll = {
+            period,
+            scheduledAt: new Date(),
+            scheduledBy: userId
+        };
+        claim.workflow.push({
+            status: 'approved',
+            performedBy: userId,
+            timestamp: new Date(),
+            notes: `Payout scheduled for payroll period ${period}`,
+            previousStatus: 'approved'
+        });
+
+        return await claim.save();
+    }
+
+    /**
+     * Payroll earnings (claim payouts) and deductions (family premiums) of an employee in a period
+     * @param {string} employeeId
+     * @param {string} period - 'YYYY-MM'
+     * @param {string} tenantId
+     * @returns {Promise<{earnings: Array, deductions: Array}>}
+     */
+    async getPayrollItems(employeeId, period, tenantId) {
+        const { start, end } = periodBounds(period);
+
+        const [claims, familyMembers] = await Promise.all([
+            InsuranceClaim.findPayrollPayouts(tenantId, period, employeeId),
+            FamilyMember.find({
+                tenantId,
+                employeeId,
+                status: 'active',
+                'premium.monthlyAmount': { $gt: 0 },
+                coverageStartDate: { $lte: end },
+                coverageEndDate: { $gte: start }
+            })
+        ]);
+
+        return toPayrollItems({ claims, familyMembers, period });
+    }
+
+    /**
+     * Mark the claims paid through a locked payroll run as paid
+     * Only claims with an earning on one of the run's payroll records are paid;
+     * claims scheduled for the period but left out of the run stay approved.
+     * @param {Object} run - Locked payroll run
+     * @param {string} userId
+     * @returns {Promise<number>} Number of claims marked as paid
+     */
+    async markPaidForRun(run, userId) {
+        const payrolls = await Payroll.find({
+            tenantId: run.tenantId,
+            payrollRun: run._id,
+            'earnings.type': 'insurance-claim'
+        }).select('earnings');
+        const claimIds = getPaidClaimIds(payrolls);
+        if (claimIds.length === 0) {
+            return 0;
+        }
+
+        const claims = await InsuranceClaim.find({
+            tenantId: run.tenantId,
+            _id: { $in: claimIds },
+            paymentMethod: 'payroll',
+            status: { $in: ['approved', 'paid'] }
+        });
+        const now = new Date();
+
+        for (const claim of claims) {
+            const wasPaid = claim.status === 'paid';
+            claim.payroll.payrollRun = run._id;
+            claim.payroll.paidAt = now;
+            claim.paymentDate = now;
+
+            if (wasPaid) {
+                // An adjustment run replaced the run the claim was first paid in
+                await claim.save();
+            } else {
+                await claim.updateStatus('paid', userId, `Paid through payroll period ${run.period}`);
+            }
+        }
+
+        if (claims.length > 0) {
+            logger.info('Insurance claims paid through payroll', {
+                tenantId: run.tenantId,
+                period: run.period,
+                payrollRunId: run._id,
+                claims: claims.length
+            });
+        }
+
+        return claims.length;
+    }
+
+    /**
+     * Claimed, approved, paid and outstanding amounts per policy
+     * @param {string} tenantId
+     * @param {Object} options - { startDate, endDate, policyId, employeeId }
+     * @returns {Promise<{policies: Array, totals: Object, generatedAt: Date}>}
+     */
+    async getReconciliation(tenantId, options = {}) {
+        const policyQuery = { tenantId };
+        if (options.policyId) policyQuery._id = options.policyId;
+        if (options.employeeId) policyQuery.employeeId = options.employeeId;
+
+        const policies = await InsurancePolicy.find(policyQuery)
+            .populate('employeeId', 'username email employeeId personalInfo')
+            .populate('familyMembers', 'status premium')
+            .sort({ policyNumber: 1 })
+            .lean();
+
+        const claimQuery = { tenantId, policyId: { $in: policies.map(policy => policy._id) } };
+        if (options.startDate || options.endDate) {
+            claimQuery.createdAt = {};
+            if (options.startDate) claimQuery.createdAt.$gte = new Date(options.startDate);
+            if (options.endDate) claimQuery.createdAt.$lte = new Date(options.endDate);
+        }
+
+        const claims = await InsuranceClaim.find(claimQuery)
+            .select('policyId status claimAmount approvedAmount payroll')
+            .lean();
+
+        return { ...buildReconciliation(policies, claims), generatedAt: new Date() };
+    }
+
+    /**
+     * Write the reconciliation to an Excel file in the insurance reports directory
+     * @returns {Promise<string>} File path
+     */
+    async generateReconciliationExcel(tenantId, options = {}) {
+        const { policies, totals } = await this.getReconciliation(tenantId, options);
+
+        const rows = policies.map(row => ({
+            'Policy Number': row.policyNumber,
+            'Policy Type': row.policyType,
+            'Employee': row.employee?.personalInfo?.fullName || row.employee?.username || '',
+            'Employee ID': row.employee?.employeeId || '',
+            'Claims': row.claimCount,
+            'Claimed': row.claimed,
+            'Rejected': row.rejected,
+            'Approved': row.approved,
+            'Paid': row.paid,
+            'Outstanding': row.outstanding,
+            'Scheduled in Payroll': row.scheduled,
+            'Monthly Family Premium': row.monthlyFamilyPremium
+        }));
+        rows.push({
+            'Policy Number': 'Total',
+            'Claims': totals.claimCount,
+            'Claimed': totals.claimed,
+            'Rejected': totals.rejected,
+            'Approved': totals.approved,
+            'Paid': totals.paid,
+            'Outstanding': totals.outstanding,
+            'Scheduled in Payroll': totals.scheduled,
+            'Monthly Family Premium': totals.monthlyFamilyPremium
+        });
+
+        const workbook = xlsx.utils.book_new();
+        xlsx.utils.book_append_sheet(workbook, xlsx.utils.json_to_sheet(rows), 'Reconciliation');
+
+        const filename = `insurance-reconciliation-${tenantId}-${Date.now()}.xlsx`;
+        const filePath = path.join(reportService.reportsDir, filename);
+        xlsx.writeFile(workbook, filePath);
+
+        return filePath;
+    }
+}
+
+export default new InsurancePayrollService();
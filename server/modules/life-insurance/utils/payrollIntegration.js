@@ -0,0 +1,227 @@
+/**
+ * Insurance Payroll Integration
+ *
+ * Pure rules linking life insurance to payroll:
+ * - Which payroll period a claim payout lands in
+ * - Family member premium contributions for a period
+ * - Payroll earnings and deductions for an employee's claims and premiums
+ * - Claims paid out by a payroll run's records
+ * - Claim reconciliation per policy
+ *
+ * Periods are 'YYYY-MM' strings, like payroll records.
+ */
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Payroll runs in these statuses no longer take new items
+export const CLOSED_RUN_STATUSES = ['approved', 'locked'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Payroll period of a date
+ * @param {Date|string} date
+ * @returns {string} 'YYYY-MM'
+ */
+export const periodOf = (date) => {
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Period following a period
+ */
+export const nextPeriod = (period) => {
+    if (!PERIOD_PATTERN.test(period || '')) {
+        throw new Error(`Invalid payroll period: ${period}`);
+    }
+    const [year, month] = period.split('-').map(Number);
+    return month === 12 ? `${year + 1}-01` : `${year}-${String(month + 1).padStart(2, '0')}`;
+};
+
+/**
+ * First day and last moment of a period
+ */
+export const periodBounds = (period) => {
+    if (!PERIOD_PATTERN.test(period || '')) {
+        throw new Error(`Invalid payroll period: ${period}`);
+    }
+    const [year, month] = period.split('-').map(Number);
+    return {
+        start: new Date(year, month - 1, 1),
+        end: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * Period a claim payout is paid in: the period of the payment date, or the
+ * first later period whose payroll run is not approved or locked yet
+ * @param {Date|string} paymentDate
+ * @param {Array<string>} closedPeriods - Periods with an approved or locked run
+ * @returns {string}
+ */
+export const resolvePayrollPeriod = (paymentDate, closedPeriods = []) => {
+    const closed = new Set(closedPeriods);
+    let period = periodOf(paymentDate);
+    while (closed.has(period)) {
+        period = nextPeriod(period);
+    }
+    return period;
+};
+
+/**
+ * Employee's premium contribution for a family member in a period,
+ * prorated by the days of the period the member is covered
+ * @param {Object} member - Family member ({ status, premium, coverageStartDate, coverageEndDate })
+ * @param {string} period
+ * @returns {number}
+ */
+export const calculateFamilyPremium = (member, period) => {
+    const monthly = member.premium?.monthlyAmount || 0;
+    if (member.status !== 'active' || monthly <= 0) {
+        return 0;
+    }
+
+    const { start, end } = periodBounds(period);
+    const coveredFrom = new Date(Math.max(start.getTime(), new Date(member.coverageStartDate).getTime()));
+    const coveredTo = new Date(Math.min(end.getTime(), new Date(member.coverageEndDate).getTime()));
+    if (coveredTo < coveredFrom) {
+        return 0;
+    }
+
+    const dayMs = 24 * 60 * 60 * 1000;
+    const daysInPeriod = end.getDate();
+    const coveredDays = Math.min(
+        daysInPeriod,
+        Math.round((new Date(coveredTo).setHours(0, 0, 0, 0) - new Date(coveredFrom).setHours(0, 0, 0, 0)) / dayMs) + 1
+    );
+    const share = (member.premium?.employeeSharePercent ?? 100) / 100;
+
+    return round(monthly * share * (coveredDays / daysInPeriod));
+};
+
+/**
+ * Payroll items for an employee's claim payouts and family premiums in a period
+ * @param {Object} params
+ * @param {Array<Object>} params.claims - Claims paid through payroll in the period
+ * @param {Array<Object>} params.familyMembers - The employee's family members
+ * @param {string} params.period
+ * @returns {{ earnings: Array<Object>, deductions: Array<Object> }}
+ */
+export const toPayrollItems = ({ claims = [], familyMembers = [], period }) => {
+    const earnings = claims
+        .filter(claim => claim.approvedAmount > 0)
+        .map(claim => ({
+            type: 'insurance-claim',
+            name: `Insurance claim ${claim.claimNumber}`,
+            arabicName: `تعويض مطالبة تأمين ${claim.claimNumber}`,
+            amount: round(claim.approvedAmount),
+            // Insurance payouts are compensation, not income
+            taxable: false,
+            insuranceClaim: claim._id
+        }));
+
+    const deductions = familyMembers
+        .map(member => ({ member, amount: calculateFamilyPremium(member, period) }))
+        .filter(({ amount }) => amount > 0)
+        .map(({ member, amount }) => ({
+            type: 'insurance-premium',
+            arabicName: 'قسط تأمين أفراد الأسرة',
+            description: `Family insurance premium - ${member.firstName} ${member.lastName} (${member.insuranceNumber})`,
+            amount
+        }));
+
+    return { earnings, deductions };
+};
+
+/**
+ * Claims paid out by a set of payroll records
+ * @param {Array<Object>} payrolls - Payroll records ({ earnings })
+ * @returns {Array} Claim ids of their insurance-claim earnings
+ */
+export const getPaidClaimIds = (payrolls = []) => payrolls.flatMap(payroll => (payroll.earnings || [])
+    .filter(earning => earning.type === 'insurance-claim' && earning.insuranceClaim)
+    .map(earning => earning.insuranceClaim));
+
+const emptyTotals = () => ({
+    claimCount: 0,
+    claimed: 0,
+    approved: 0,
+    paid: 0,
+    outstanding: 0,
+    scheduled: 0,
+    rejected: 0,
+    monthlyFamilyPremium: 0
+});
+
+/**
+ * Claimed, approved, paid and outstanding amounts per policy
+ * Cancelled claims are left out; outstanding is approved but not yet paid,
+ * of which scheduled is already assigned to a payroll period.
+ * @param {Array<Object>} policies - Policies ({ _id, policyNumber, employeeId, familyMembers })
+ * @param {Array<Object>} claims - Claims of those policies
+ * @returns {{ policies: Array<Object>, totals: Object }}
+ */
+export const buildReconciliation = (policies = [], claims = []) => {
+    const rows = new Map();
+    policies.forEach(policy => {
+        rows.set(String(policy._id), {
+            policyId: policy._id,
+            policyNumber: policy.policyNumber,
+            policyType: policy.policyType,
+            employee: policy.employeeId,
+            ...emptyTotals(),
+            monthlyFamilyPremium: round((policy.familyMembers || [])
+                .filter(member => member?.status === 'active')
+                .reduce((sum, member) => sum + (member.premium?.monthlyAmount || 0) * ((member.premium?.employeeSharePercent ?? 100) / 100), 0))
+        });
+    });
+
+    claims.forEach(claim => {
+        const row = rows.get(String(claim.policyId?._id || claim.policyId));
+        if (!row || claim.status === 'cancelled') return;
+
+        row.claimCount += 1;
+        row.claimed += claim.claimAmount || 0;
+
+        if (claim.status === 'rejected') {
+            row.rejected += claim.claimAmount || 0;
+        } else if (['approved', 'paid'].includes(claim.status)) {
+            row.approved += claim.approvedAmount || 0;
+            if (claim.status === 'paid') {
+                row.paid += claim.approvedAmount || 0;
+            } else if (claim.payroll?.period) {
+                row.scheduled += claim.approvedAmount || 0;
+            }
+        }
+    });
+
+    const totals = emptyTotals();
+    const result = [...rows.values()].map(row => {
+        row.outstanding = row.approved - row.paid;
+        Object.keys(totals).forEach(key => {
+            row[key] = key === 'claimCount' ? row[key] : round(row[key]);
+            totals[key] += row[key];
+        });
+        return row;
+    });
+    Object.keys(totals).forEach(key => {
+        if (key !== 'claimCount') totals[key] = round(totals[key]);
+    });
+
+    return { policies: result, totals };
+};
+
+export default {
+    CLOSED_RUN_STATUSES,
+    periodOf,
+    nextPeriod,
+    periodBounds,
+    resolvePayrollPeriod,
+    calculateFamilyPremium,
+    toPayrollItems,
+    buildReconciliation
+};
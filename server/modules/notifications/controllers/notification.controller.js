@@ -1,5 +1,6 @@
 // Notification Controller
 import NotificationService from '../services/NotificationService.js';
+import notificationStreamService from '../services/notificationStream.service.js';
 
 const notificationService = new NotificationService();
 
@@ -167,3 +168,73 @@ export const markAllAsRead = async (req, res) => {
         });
     }
 };
+
+/**
+ * Keep the connection open and push the user's notifications as they are created
+ */
+export const createStreamTicket = async (req, res) => {
+    const tenantId = req.user?.tenantId || req.tenantId;
+
+    if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant ID is required' });
+    }
+
+    res.json({
+        success: true,
+        data: notificationStreamService.issueTicket({ tenantId, userId: req.user._id })
+    });
+};
+
+export const streamNotifications = async (req, res) => {
+    const tenantId = req.user?.tenantId || req.tenantId;
+
+    if (!tenantId) {
+        return res.status(400).json({ error: 'Tenant ID is required' });
+    }
+
+    notificationStreamService.subscribe(req, res, { tenantId, userId: req.user._id.toString() });
+};
+
+export const getNotificationPreferences = async (req, res) => {
+    try {
+        const tenantId = req.user?.tenantId || req.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const preferences = await notificationService.getPreferences(req.user._id, tenantId);
+
+        res.json({
+            success: true,
+            data: preferences
+        });
+    } catch (err) {
+        res.status(500).json({
+            success: false,
+            error: err.message
+        });
+    }
+};
+
+export const updateNotificationPreferences = async (req, res) => {
+    try {
+        const tenantId = req.user?.tenantId || req.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const preferences = await notificationService.updatePreferences(req.user._id, tenantId, req.body.types);
+
+        res.json({
+            success: true,
+            data: preferences
+        });
+    } catch (err) {
+        res.status(400).json({
+            success: false,
+            error: err.message
+        });
+    }
+};
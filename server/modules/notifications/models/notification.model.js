@@ -1,5 +1,6 @@
 // models/Notification.js
 import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from '../utils/notificationChannels.js';
 
 const notificationSchema = new mongoose.Schema({
     tenantId: {
@@ -14,7 +15,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['request', 'announcement', 'payroll', 'attendance', 'permission', 'leave', 'request-control', 'custom', 'info', 'warning', 'error', 'success', 'task', 'system'],
+        enum: NOTIFICATION_TYPES,
         required: true
     },
     title: {
@@ -81,6 +82,24 @@ const notificationSchema = new mongoose.Schema({
     relatedId: {
         type: mongoose.Schema.Types.ObjectId,
         required: false
+    },
+    // Channels chosen from the recipient's preferences when the notification was created
+    delivery: {
+        inApp: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            type: Boolean,
+            default: false
+        },
+        emailSentAt: Date,
+        emailError: String,
+        digest: {
+            type: Boolean,
+            default: false
+        },
+        digestedAt: Date
     }
 }, {
     timestamps: true
@@ -93,5 +112,6 @@ notificationSchema.index({ tenantId: 1, type: 1 });
 notificationSchema.index({ tenantId: 1, priority: 1 });
 notificationSchema.index({ tenantId: 1, relatedModel: 1, relatedId: 1 });
 notificationSchema.index({ tenantId: 1, scheduledFor: 1, sent: 1 });
+notificationSchema.index({ 'delivery.digest': 1, 'delivery.digestedAt': 1 });
 
 export default mongoose.model('Notification', notificationSchema);
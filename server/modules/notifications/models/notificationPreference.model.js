@@ -0,0 +1,35 @@
+// models/NotificationPreference.js
+import mongoose from 'mongoose';
+
+// Channels one notification type is delivered on; unset channels use the type's default
+const channelPreferenceSchema = new mongoose.Schema({
+    inApp: Boolean,
+    email: Boolean,
+    digest: Boolean
+}, { _id: false });
+
+const notificationPreferenceSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Notification type -> channels, e.g. { announcement: { inApp: true, digest: true } }
+    types: {
+        type: Map,
+        of: channelPreferenceSchema,
+        default: {}
+    },
+    lastDigestAt: Date
+}, {
+    timestamps: true
+});
+
+notificationPreferenceSchema.index({ tenantId: 1, user: 1 }, { unique: true });
+
+export default mongoose.model('NotificationPreference', notificationPreferenceSchema);
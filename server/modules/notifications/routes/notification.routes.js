@@ -6,14 +6,41 @@ import {
     updateNotification,
     deleteNotification,
     markAsRead,
-    markAllAsRead
+    markAllAsRead,
+    createStreamTicket,
+    streamNotifications,
+    getNotificationPreferences,
+    updateNotificationPreferences
 } from '../controllers/notification.controller.js';
 import { protect, hrOrAdmin } from '../../../middleware/index.js';
+import User from '../../hr-core/users/models/user.model.js';
+import notificationStreamService from '../services/notificationStream.service.js';
 import { requireModuleLicense } from '../../../middleware/licenseValidation.middleware.js';
 import { MODULES } from '../../../platform/system/models/license.model.js';
 
 const router = express.Router();
 
+// EventSource cannot send an Authorization header, so the stream is opened with
+// a short-lived ticket in the query string; login tokens are never accepted there
+const streamTicketAuth = async (req, res, next) => {
+    try {
+        const { tenantId, userId } = notificationStreamService.verifyTicket(String(req.query.ticket || ''));
+        const user = await User.findOne({ _id: userId, tenantId }).select('-password');
+        if (!user || user.isActive === false) {
+            throw new Error('User not found');
+        }
+
+        req.user = user;
+        req.tenantId = tenantId;
+        next();
+    } catch {
+        res.status(401).json({ message: 'Not authorized, invalid stream ticket' });
+    }
+};
+
+// Real-time notification stream (server-sent events) - Stream ticket
+router.get('/stream', streamTicketAuth, requireModuleLicense(MODULES.COMMUNICATION), streamNotifications);
+
 // Apply authentication to all routes first
 router.use(protect);
 
@@ -23,9 +50,16 @@ router.use(requireModuleLicense(MODULES.COMMUNICATION));
 // Get all notifications - Protected (users see their own)
 router.get('/', getAllNotifications);
 
+// Ticket that opens the notification stream - Protected
+router.post('/stream-ticket', createStreamTicket);
+
 // Mark all as read - Protected
 router.put('/read-all', markAllAsRead);
 
+// Channel preferences of the current user - Protected
+router.get('/preferences', getNotificationPreferences);
+router.put('/preferences', updateNotificationPreferences);
+
 // Create notification - HR or Admin only
 router.post('/', hrOrAdmin, createNotification);
 
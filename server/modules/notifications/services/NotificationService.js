@@ -1,8 +1,30 @@
 import NotificationRepository from '../../../repositories/modules/NotificationRepository.js';
+import Notification from '../models/notification.model.js';
+import NotificationPreference from '../models/notificationPreference.model.js';
+import User from '../../hr-core/users/models/user.model.js';
+import { sendEmail } from '../../email-service/services/email.service.js';
+import notificationStreamService from './notificationStream.service.js';
+import {
+    NOTIFICATION_TYPES,
+    buildDigestEmail,
+    buildNotificationEmail,
+    describePreferences,
+    resolveChannels,
+    sanitizeChannels
+} from '../utils/notificationChannels.js';
+import logger from '../../../utils/logger.js';
+
+const displayName = (user) => (user?.personalInfo?.firstName && user?.personalInfo?.lastName
+    ? `${user.personalInfo.firstName} ${user.personalInfo.lastName}`
+    : user?.username || '');
 
 /**
  * Notification Service - Business logic layer for notification operations
  * Uses NotificationRepository for data access
+ *
+ * Every notification is created here and fanned out to the channels the
+ * recipient chose: the in-app stream, an immediate email or the daily digest.
+ * Other modules send their emails through this service instead of the email service.
  */
 class NotificationService {
     constructor() {
@@ -42,18 +64,99 @@ class NotificationService {
     }
 
     /**
-     * Create notification
+     * Create notification and deliver it on the recipient's channels
+     * @param {Object} notificationData - Notification fields
+     * @param {string} tenantId
+     * @param {Object} [options] - { email: {subject, html, text, attachments}, channels }
+     *   email replaces the generic email of the notification; channels bypasses the
+     *   recipient's preferences for messages that must go out, such as payslips
      */
-    async createNotification(notificationData, tenantId) {
+    async createNotification(notificationData, tenantId, options = {}) {
+        const channels = options.channels
+            ? { inApp: true, email: false, digest: false, ...options.channels }
+            : await this.getChannels(notificationData.recipient, tenantId, notificationData.type, notificationData.priority);
+
         const dataToCreate = {
             ...notificationData,
-            tenantId
+            tenantId,
+            delivery: { inApp: channels.inApp, email: channels.email, digest: channels.digest }
         };
 
         const notification = await this.notificationRepository.create(dataToCreate);
+
+        // Scheduled notifications are delivered when they are processed
+        if (notification.sent !== false) {
+            await this.deliver(notification, options.email);
+        }
+
         return notification;
     }
 
+    /**
+     * Channels a notification type goes out on for a user
+     */
+    async getChannels(recipientId, tenantId, type, priority) {
+        const preference = recipientId
+            ? await NotificationPreference.findOne({ tenantId, user: recipientId })
+            : null;
+
+        return resolveChannels(preference, type, priority);
+    }
+
+    /**
+     * Push a created notification to the app and send its email
+     * Delivery failures are logged and never fail the caller.
+     */
+    async deliver(notification, email) {
+        const { delivery = {}, tenantId, recipient } = notification;
+
+        if (delivery.inApp !== false && recipient) {
+            notificationStreamService.publish(tenantId, recipient.toString(), 'notification', notification.toObject ? notification.toObject() : notification);
+        }
+
+        if (delivery.email) {
+            await this.sendEmailNotification(notification, email);
+        }
+    }
+
+    /**
+     * Email a notification to its recipient right away
+     */
+    async sendEmailNotification(notification, email) {
+        const update = {};
+
+        try {
+            const recipient = await User.findById(notification.recipient).select('email');
+
+            if (!recipient?.email) {
+                update['delivery.emailError'] = 'Recipient has no email address';
+            } else {
+                const result = await sendEmail({ ...buildNotificationEmail(notification), ...email, to: recipient.email });
+                if (result.success) {
+                    update['delivery.emailSentAt'] = new Date();
+                } else {
+                    update['delivery.emailError'] = result.error;
+                }
+            }
+        } catch (error) {
+            update['delivery.emailError'] = error.message;
+        }
+
+        if (update['delivery.emailError']) {
+            logger.warn('Notification email not sent', {
+                tenantId: notification.tenantId,
+                notificationId: notification._id,
+                error: update['delivery.emailError']
+            });
+        }
+
+        await Notification.updateOne({ _id: notification._id }, { $set: update });
+        if (typeof notification.set === 'function') {
+            notification.set(update);
+        }
+        return !update['delivery.emailError'];
+    }
+
     /**
      * Get notification by ID
      */
@@ -104,14 +207,18 @@ class NotificationService {
             throw new Error('Notification not found');
         }
 
-        return await this.notificationRepository.markAsRead(id);
+        const updated = await this.notificationRepository.markAsRead(id);
+        notificationStreamService.publish(tenantId, notification.recipient.toString(), 'read', { ids: [id] });
+        return updated;
     }
 
     /**
      * Mark all notifications as read for user
      */
     async markAllAsRead(recipientId, tenantId) {
-        return await this.notificationRepository.markAllAsReadForUser(recipientId, tenantId);
+        const result = await this.notificationRepository.markAllAsReadForUser(recipientId, tenantId);
+        notificationStreamService.publish(tenantId, recipientId.toString(), 'read', { all: true });
+        return result;
     }
 
     /**
@@ -153,8 +260,19 @@ class NotificationService {
     /**
      * Create bulk notifications
      */
-    async createBulkNotifications(notificationsData, tenantId) {
-        return await this.notificationRepository.createBulk(notificationsData, tenantId);
+    async createBulkNotifications(notificationsData, tenantId, options = {}) {
+        const results = [];
+
+        for (const notificationData of notificationsData) {
+            try {
+                const notification = await this.createNotification(notificationData, tenantId, options);
+                results.push({ success: true, data: notification });
+            } catch (error) {
+                results.push({ success: false, error: error.message, data: notificationData });
+            }
+        }
+
+        return results;
     }
 
     /**
@@ -241,7 +359,8 @@ class NotificationService {
         const results = [];
         for (const notification of pendingNotifications) {
             try {
-                await this.notificationRepository.markAsSent(notification._id);
+                const sent = await this.notificationRepository.markAsSent(notification._id);
+                await this.deliver(sent || notification);
                 results.push({ success: true, id: notification._id });
             } catch (error) {
                 results.push({ success: false, id: notification._id, error: error.message });
@@ -439,6 +558,91 @@ class NotificationService {
 
         return results;
     }
+
+    /**
+     * Channels of every notification type for a user
+     */
+    async getPreferences(userId, tenantId) {
+        const preference = await NotificationPreference.findOne({ tenantId, user: userId });
+        return { types: describePreferences(preference) };
+    }
+
+    /**
+     * Save the channels a user wants per notification type
+     * @param {Object} types - Notification type -> { inApp, email, digest }
+     */
+    async updatePreferences(userId, tenantId, types = {}) {
+        const update = {};
+
+        for (const [type, channels] of Object.entries(types)) {
+            if (!NOTIFICATION_TYPES.includes(type)) {
+                throw new Error(`Unknown notification type: ${type}`);
+            }
+            for (const [channel, enabled] of Object.entries(sanitizeChannels(channels))) {
+                update[`types.${type}.${channel}`] = enabled;
+            }
+        }
+
+        const preference = await NotificationPreference.findOneAndUpdate(
+            { tenantId, user: userId },
+            { $set: update },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        return { types: describePreferences(preference) };
+    }
+
+    /**
+     * Email each user one digest of the notifications they chose to receive daily
+     * @returns {Promise<{sent: number, failed: number}>}
+     */
+    async sendDailyDigests() {
+        const pending = await Notification.find({ 'delivery.digest': true, 'delivery.digestedAt': null })
+            .select('tenantId recipient title message createdAt')
+            .sort({ createdAt: 1 })
+            .lean();
+
+        const groups = new Map();
+        for (const notification of pending) {
+            const key = `${notification.tenantId}:${notification.recipient}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(notification);
+        }
+
+        const result = { sent: 0, failed: 0 };
+
+        for (const notifications of groups.values()) {
+            const { tenantId, recipient } = notifications[0];
+
+            try {
+                const user = await User.findById(recipient).select('email username personalInfo');
+                const now = new Date();
+
+                if (user?.email) {
+                    const emailResult = await sendEmail({
+                        ...buildDigestEmail(notifications, { recipientName: displayName(user), date: now }),
+                        to: user.email
+                    });
+                    if (!emailResult.success) {
+                        throw new Error(emailResult.error || 'Digest email failed');
+                    }
+                }
+
+                // Users without an email address still have the notifications in the app
+                await Notification.updateMany(
+                    { _id: { $in: notifications.map(notification => notification._id) } },
+                    { $set: { 'delivery.digestedAt': now } }
+                );
+                await NotificationPreference.updateOne({ tenantId, user: recipient }, { $set: { lastDigestAt: now } });
+                result.sent += 1;
+            } catch (error) {
+                logger.error('Failed to send notification digest', { tenantId, recipient, error: error.message });
+                result.failed += 1;
+            }
+        }
+
+        return result;
+    }
 }
 
-export default NotificationService;
\ No newline at end of file
+export default NotificationService;
@@ -0,0 +1,178 @@
+// services/notificationStream.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import logger from '../../../utils/logger.js';
+import { formatServerSentEvent } from '../utils/notificationChannels.js';
+
+// Comment line sent to idle streams so proxies keep them open
+const HEARTBEAT_INTERVAL = 25000;
+
+// Seconds a stream ticket can open a stream; reconnecting takes a new ticket
+export const STREAM_TICKET_TTL = 60;
+
+const STREAM_TICKET_PURPOSE = 'notification-stream';
+
+/**
+ * Notification Stream Service
+ * Pushes notifications to the hr-app over server-sent events as they are created.
+ * Connections are kept per process; each user may have several tabs open.
+ */
+class NotificationStreamService {
+    constructor() {
+        this.clients = new Map(); // Map of `${tenantId}:${userId}` -> Set of responses
+        this.heartbeat = null;
+    }
+
+    _key(tenantId, userId) {
+        return `${tenantId}:${userId}`;
+    }
+
+    // Derived from the login secret, so a ticket is never accepted as a login token
+    _ticketSecret() {
+        return crypto.createHmac('sha256', process.env.TENANT_JWT_SECRET || process.env.JWT_SECRET)
+            .update(STREAM_TICKET_PURPOSE)
+            .digest('hex');
+    }
+
+    /**
+     * Short-lived ticket that opens the stream of a user
+     * EventSource cannot send an Authorization header and stream URLs end up in
+     * request logs, so the stream takes this ticket instead of the login token.
+     * @param {Object} subscriber - { tenantId, userId }
+     * @returns {{ticket: string, expiresIn: number}}
+     */
+    issueTicket({ tenantId, userId }) {
+        const ticket = jwt.sign(
+            { tenantId, userId: String(userId), purpose: STREAM_TICKET_PURPOSE },
+            this._ticketSecret(),
+            { expiresIn: STREAM_TICKET_TTL }
+        );
+        return { ticket, expiresIn: STREAM_TICKET_TTL };
+    }
+
+    /**
+     * @param {string} ticket
+     * @returns {{tenantId: string, userId: string}}
+     * @throws When the ticket is invalid or expired
+     */
+    verifyTicket(ticket) {
+        const decoded = jwt.verify(ticket, this._ticketSecret());
+        if (decoded.purpose !== STREAM_TICKET_PURPOSE || !decoded.tenantId || !decoded.userId) {
+            throw new Error('Invalid stream ticket');
+        }
+        return { tenantId: decoded.tenantId, userId: decoded.userId };
+    }
+
+    /**
+     * Keep a request open as the notification stream of a user
+     * @param {http.IncomingMessage} req
+     * @param {http.ServerResponse} res
+     * @param {Object} subscriber - { tenantId, userId }
+     */
+    subscribe(req, res, { tenantId, userId }) {
+        const key = this._key(tenantId, userId);
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+
+        if (!this.clients.has(key)) {
+            this.clients.set(key, new Set());
+        }
+        this.clients.get(key).add(res);
+
+        req.on('close', () => {
+            const connections = this.clients.get(key);
+            if (connections) {
+                connections.delete(res);
+                if (connections.size === 0) {
+                    this.clients.delete(key);
+                }
+            }
+            logger.debug('Notification stream closed', { tenantId, userId });
+        });
+
+        this._startHeartbeat();
+        this._write(res, 'retry: 5000\n\n');
+        this._write(res, formatServerSentEvent('connected', { timestamp: new Date().toISOString() }));
+
+        logger.debug('Notification stream opened', { tenantId, userId });
+    }
+
+    /**
+     * Send an event to every open stream of a user
+     * @returns {number} Number of streams the event was written to
+     */
+    publish(tenantId, userId, event, data) {
+        const connections = this.clients.get(this._key(tenantId, userId));
+        if (!connections) return 0;
+
+        const chunk = formatServerSentEvent(event, data, data?._id?.toString());
+        connections.forEach(res => this._write(res, chunk));
+
+        return connections.size;
+    }
+
+    /**
+     * Whether a user currently has the app open
+     */
+    isConnected(tenantId, userId) {
+        return this.clients.has(this._key(tenantId, userId));
+    }
+
+    getConnectionCount() {
+        let count = 0;
+        this.clients.forEach(connections => {
+            count += connections.size;
+        });
+        return count;
+    }
+
+    _write(res, chunk) {
+        try {
+            res.write(chunk);
+            // Responses are compressed; flush so the event is not held in the gzip buffer
+            if (typeof res.flush === 'function') {
+                res.flush();
+            }
+        } catch (error) {
+            logger.warn('Failed to write to notification stream', { error: error.message });
+        }
+    }
+
+    _startHeartbeat() {
+        if (this.heartbeat) return;
+
+        this.heartbeat = setInterval(() => {
+            if (this.clients.size === 0) {
+                clearInterval(this.heartbeat);
+                this.heartbeat = null;
+                return;
+            }
+            this.clients.forEach(connections => connections.forEach(res => this._write(res, ': ping\n\n')));
+        }, HEARTBEAT_INTERVAL);
+        this.heartbeat.unref?.();
+    }
+
+    /**
+     * Close all streams
+     */
+    shutdown() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+
+        this.clients.forEach(connections => connections.forEach(res => res.end()));
+        this.clients.clear();
+
+        logger.info('Notification streams closed');
+    }
+}
+
+// Export singleton instance
+const notificationStreamService = new NotificationStreamService();
+export default notificationStreamService;
@@ -0,0 +1,199 @@
+/**
+ * Notification Channels
+ * Which channels a notification goes out on (in-app, immediate email or the
+ * daily digest), the digest email and the server-sent event framing. Kept
+ * free of database concerns so channel rules can be tested on their own.
+ */
+
+export const NOTIFICATION_CHANNELS = ['inApp', 'email', 'digest'];
+
+export const NOTIFICATION_TYPES = [
+    'request',
+    'announcement',
+    'payroll',
+    'attendance',
+    'permission',
+    'leave',
+    'approval',
+    'request-control',
+    'custom',
+    'info',
+    'warning',
+    'error',
+    'success',
+    'task',
+    'system'
+];
+
+// Channels used when the user has no preference for a type
+export const DEFAULT_CHANNELS = { inApp: true, email: false, digest: false };
+
+// Types that were always emailed before preferences existed keep doing so by default
+export const TYPE_DEFAULT_CHANNELS = {
+    request: { email: true },
+    permission: { email: true },
+    leave: { email: true },
+    approval: { email: true },
+    payroll: { email: true },
+    task: { email: true },
+    announcement: { digest: true }
+};
+
+/**
+ * Default channels of a notification type
+ */
+export const getDefaultChannels = (type) => ({ ...DEFAULT_CHANNELS, ...TYPE_DEFAULT_CHANNELS[type] });
+
+/**
+ * Keep only known channels with boolean values
+ * @throws {Error} If a channel is unknown or not a boolean
+ */
+export const sanitizeChannels = (channels = {}) => {
+    const sanitized = {};
+
+    for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+            throw new Error(`Unknown notification channel: ${channel}`);
+        }
+        if (typeof enabled !== 'boolean') {
+            throw new Error(`Notification channel ${channel} must be true or false`);
+        }
+        sanitized[channel] = enabled;
+    }
+
+    return sanitized;
+};
+
+const preferenceFor = (preference, type) => {
+    const types = preference?.types;
+    if (!types) return undefined;
+    const value = typeof types.get === 'function' ? types.get(type) : types[type];
+    return value?.toObject ? value.toObject() : value;
+};
+
+/**
+ * Channels a notification is delivered on
+ * @param {Object|null} preference - NotificationPreference of the recipient
+ * @param {string} type - Notification type
+ * @param {string} [priority] - Notification priority
+ * @returns {{inApp: boolean, email: boolean, digest: boolean}}
+ */
+export const resolveChannels = (preference, type, priority) => {
+    const channels = { ...getDefaultChannels(type) };
+    const chosen = preferenceFor(preference, type) || {};
+
+    for (const channel of NOTIFICATION_CHANNELS) {
+        if (typeof chosen[channel] === 'boolean') {
+            channels[channel] = chosen[channel];
+        }
+    }
+
+    // Urgent notifications always reach the inbox
+    if (priority === 'urgent') {
+        channels.inApp = true;
+    }
+
+    // Something already emailed is not repeated in the digest
+    if (channels.email) {
+        channels.digest = false;
+    }
+
+    return channels;
+};
+
+/**
+ * Channels of every notification type for a user, as shown on the preferences page
+ */
+export const describePreferences = (preference) => NOTIFICATION_TYPES.reduce((result, type) => {
+    result[type] = resolveChannels(preference, type);
+    return result;
+}, {});
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatTime = (value) => new Date(value).toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Email for a single notification when the sender did not provide one
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildNotificationEmail = (notification) => {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+
+    return {
+        subject: notification.title,
+        html: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px;">`
+            + `<h2 style="color: #2563eb;">${escapeHtml(notification.title)}</h2>`
+            + `<p>${escapeHtml(notification.message)}</p>`
+            + `<p><a href="${appUrl}/notifications">Open HR Management System</a></p>`
+            + '<p style="color: #6b7280; font-size: 12px;">This is an automated notification from HR Management System</p>'
+            + '</div>',
+        text: `${notification.title}\n\n${notification.message}\n\n---\nThis is an automated notification from HR Management System`
+    };
+};
+
+/**
+ * Daily digest email of the notifications a user chose to receive in bulk
+ * @param {Array} notifications - Notifications of one recipient, oldest first
+ * @param {Object} [options] - { recipientName, date }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildDigestEmail = (notifications, { recipientName, date = new Date() } = {}) => {
+    const day = new Date(date).toISOString().slice(0, 10);
+    const greeting = recipientName ? `Dear ${recipientName},` : 'Hello,';
+    const count = notifications.length;
+    const summary = `You have ${count} notification${count === 1 ? '' : 's'} from the last day.`;
+
+    const rows = notifications.map(notification => '<tr>'
+        + `<td style="padding: 8px; color: #6b7280; white-space: nowrap;">${formatTime(notification.createdAt)}</td>`
+        + `<td style="padding: 8px;"><strong>${escapeHtml(notification.title)}</strong><br/>${escapeHtml(notification.message)}</td>`
+        + '</tr>');
+
+    return {
+        subject: `Your daily notification digest - ${day}`,
+        html: `<div style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px;">`
+            + `<p>${escapeHtml(greeting)}</p><p>${summary}</p>`
+            + `<table style="border-collapse: collapse; width: 100%;">${rows.join('')}</table>`
+            + '<p style="color: #6b7280; font-size: 12px;">You can change which notifications are sent in the digest from your notification preferences.</p>'
+            + '</div>',
+        text: [
+            greeting,
+            '',
+            summary,
+            '',
+            ...notifications.map(notification => `${formatTime(notification.createdAt)}  ${notification.title}: ${notification.message}`),
+            '',
+            '---',
+            'You can change which notifications are sent in the digest from your notification preferences.'
+        ].join('\n')
+    };
+};
+
+/**
+ * Frame one server-sent event
+ */
+export const formatServerSentEvent = (event, data, id) => {
+    const lines = [];
+    if (id) lines.push(`id: ${id}`);
+    if (event) lines.push(`event: ${event}`);
+    JSON.stringify(data ?? null).split('\n').forEach(line => lines.push(`data: ${line}`));
+    return `${lines.join('\n')}\n\n`;
+};
+
+export default {
+    NOTIFICATION_CHANNELS,
+    NOTIFICATION_TYPES,
+    DEFAULT_CHANNELS,
+    TYPE_DEFAULT_CHANNELS,
+    getDefaultChannels,
+    sanitizeChannels,
+    resolveChannels,
+    describePreferences,
+    buildNotificationEmail,
+    buildDigestEmail,
+    formatServerSentEvent
+};
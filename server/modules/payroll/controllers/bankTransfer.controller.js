@@ -0,0 +1,51 @@
+// Bank Transfer Controller
+import BankTransferService from '../services/BankTransferService.js';
+
+const bankTransferService = new BankTransferService();
+
+const getErrorStatus = (err) => {
+    if (err.message === 'Payroll period must be locked before export') {
+        return 409;
+    }
+    return 400;
+};
+
+export const getBankTransferPreview = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const preview = await bankTransferService.getTransferPreview(req.params.period, tenantId);
+        res.json(preview);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const exportBankTransferFile = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { content, fileName, contentType, skipped } = await bankTransferService.exportTransferFile(
+            req.params.period,
+            tenantId,
+            req.query.format || 'csv',
+            { executionDate: req.query.executionDate, userId: req.user?._id }
+        );
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        // Employees left out because of missing bank details (listed by the preview endpoint)
+        res.setHeader('X-Skipped-Employees', String(skipped.length));
+        res.send(content);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
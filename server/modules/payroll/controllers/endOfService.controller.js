@@ -0,0 +1,148 @@
+// End-of-Service Settlement Controller
+import EndOfServiceService from '../services/EndOfServiceService.js';
+
+const endOfServiceService = new EndOfServiceService();
+
+const OVERRIDE_FIELDS = ['hireDate', 'unusedLeaveDays', 'loanBalance', 'otherEarnings', 'otherDeductions', 'payrollPeriod', 'notes'];
+
+const getErrorStatus = (err) => {
+    if (['Settlement not found', 'Resigned employee record not found', 'Employee not found', 'Salary structure not found', 'Settlement document not found'].includes(err.message)) {
+        return 404;
+    }
+    if (err.message === 'Access denied') {
+        return 403;
+    }
+    if (err.message.startsWith('Cannot ') || err.message === 'Settlement document has changed since it was finalized') {
+        return 409;
+    }
+    return 400;
+};
+
+const getOverrides = (body = {}) => OVERRIDE_FIELDS.reduce((overrides, field) => {
+    if (body[field] !== undefined) {
+        overrides[field] = body[field];
+    }
+    return overrides;
+}, {});
+
+const getUser = (req) => ({ id: req.user._id, role: req.user.role });
+
+export const getSettlements = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const settlements = await endOfServiceService.getSettlements(tenantId, req.query);
+        res.json(settlements);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+export const getSettlement = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const settlement = await endOfServiceService.getSettlement(req.params.settlementId, tenantId, getUser(req));
+        res.json(settlement);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const previewSettlement = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.body.resignedEmployeeId) {
+            return res.status(400).json({ error: 'Resigned employee ID is required' });
+        }
+
+        const { inputs, result } = await endOfServiceService.calculate(req.body.resignedEmployeeId, tenantId, getOverrides(req.body));
+        res.json({ inputs, ...result });
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const saveSettlement = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.body.resignedEmployeeId) {
+            return res.status(400).json({ error: 'Resigned employee ID is required' });
+        }
+
+        const settlement = await endOfServiceService.saveDraft(
+            req.body.resignedEmployeeId,
+            tenantId,
+            req.user._id,
+            getOverrides(req.body)
+        );
+        res.json(settlement);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const finalizeSettlement = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await endOfServiceService.finalize(req.params.settlementId, tenantId, req.user._id, {
+            payrollPeriod: req.body.payrollPeriod
+        });
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const signSettlement = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const settlement = await endOfServiceService.sign(req.params.settlementId, tenantId, getUser(req), req.ip);
+        res.json(settlement);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const downloadSettlementDocument = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { filePath, fileName } = await endOfServiceService.getDocumentFile(req.params.settlementId, tenantId, getUser(req));
+        res.download(filePath, fileName);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
@@ -29,7 +29,8 @@ export const createPayroll = async (req, res) => {
         const payroll = await payrollService.createPayroll(req.body, tenantId);
         res.status(201).json(payroll);
     } catch (err) {
-        res.status(400).json({ error: err.message });
+        const statusCode = err.message === 'Payroll is locked' ? 409 : 400;
+        res.status(statusCode).json({ error: err.message });
     }
 };
 
@@ -60,7 +61,7 @@ export const updatePayroll = async (req, res) => {
         const payroll = await payrollService.updatePayroll(req.params.id, req.body, tenantId);
         res.json(payroll);
     } catch (err) {
-        const statusCode = err.message === 'Payroll not found' ? 404 : 400;
+        const statusCode = err.message === 'Payroll not found' ? 404 : err.message === 'Payroll is locked' ? 409 : 400;
         res.status(statusCode).json({ error: err.message });
     }
 };
@@ -76,7 +77,126 @@ export const deletePayroll = async (req, res) => {
         const result = await payrollService.deletePayroll(req.params.id, tenantId);
         res.json(result);
     } catch (err) {
-        const statusCode = err.message === 'Payroll not found' ? 404 : 500;
+        const statusCode = err.message === 'Payroll not found' ? 404 : err.message === 'Payroll is locked' ? 409 : 500;
         res.status(statusCode).json({ error: err.message });
     }
-};
\ No newline at end of file
+};
+export const calculatePayroll = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { period, employeeIds } = req.body;
+
+        if (!period) {
+            return res.status(400).json({ error: 'Period is required' });
+        }
+
+        const result = await payrollService.runPayrollCalculation(period, tenantId, {
+            employeeIds,
+            calculatedBy: req.user?._id
+        });
+        res.json(result);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+};
+
+export const previewSalary = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.query.period) {
+            return res.status(400).json({ error: 'Period is required' });
+        }
+
+        const payslip = await payrollService.calculateSalary(req.params.employeeId, req.query.period, tenantId);
+        res.json(payslip);
+    } catch (err) {
+        const statusCode = err.message === 'Salary structure not found' ? 404 : 400;
+        res.status(statusCode).json({ error: err.message });
+    }
+};
+
+export const getPayrollSettings = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const settings = await payrollService.getPayrollSettings(tenantId);
+        res.json(settings);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+export const updatePayrollSettings = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const settings = await payrollService.updatePayrollSettings(tenantId, req.body, req.user?._id);
+        res.json(settings);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+};
+
+export const getSalaryStructures = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const structures = await payrollService.getSalaryStructures(tenantId);
+        res.json(structures);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+export const getSalaryStructure = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const structure = await payrollService.getSalaryStructure(req.params.employeeId, tenantId);
+        res.json(structure);
+    } catch (err) {
+        const statusCode = err.message === 'Salary structure not found' ? 404 : 500;
+        res.status(statusCode).json({ error: err.message });
+    }
+};
+
+export const saveSalaryStructure = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const structure = await payrollService.saveSalaryStructure(req.params.employeeId, req.body, tenantId, req.user?._id);
+        res.json(structure);
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+};
@@ -0,0 +1,181 @@
+// Payroll Run Controller
+import PayrollRunService from '../services/PayrollRunService.js';
+
+const payrollRunService = new PayrollRunService();
+
+const getErrorStatus = (err) => {
+    if (err.message === 'Payroll run not found') {
+        return 404;
+    }
+    if (err.message.startsWith('Cannot change payroll run') || err.message === 'A payroll run already exists for this period') {
+        return 409;
+    }
+    if (err.message === 'Cannot approve a payroll run you submitted') {
+        return 403;
+    }
+    return 400;
+};
+
+export const getPayrollRuns = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const runs = await payrollRunService.getRuns(tenantId, {
+            period: req.query.period,
+            status: req.query.status
+        });
+        res.json(runs);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+export const getPayrollRunById = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await payrollRunService.getRunById(req.params.runId, tenantId);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const generatePayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.body.period) {
+            return res.status(400).json({ error: 'Period is required' });
+        }
+
+        const result = await payrollRunService.generateRun(req.body.period, tenantId, req.user?._id, {
+            employeeIds: req.body.employeeIds,
+            notes: req.body.notes
+        });
+        res.status(201).json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const recalculatePayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await payrollRunService.recalculateRun(req.params.runId, tenantId, req.user?._id, {
+            employeeIds: req.body.employeeIds
+        });
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const getPayrollRunDiff = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const diff = await payrollRunService.getRunDiff(req.params.runId, tenantId, {
+            thresholdPercent: req.query.threshold
+        });
+        res.json(diff);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const submitPayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const run = await payrollRunService.submitRun(req.params.runId, tenantId, req.user?._id, req.body.notes);
+        res.json(run);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const approvePayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const run = await payrollRunService.approveRun(req.params.runId, tenantId, req.user?._id, req.body.notes);
+        res.json(run);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const returnPayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const run = await payrollRunService.returnRun(req.params.runId, tenantId, req.user?._id, req.body.notes);
+        res.json(run);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const lockPayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const run = await payrollRunService.lockRun(req.params.runId, tenantId, req.user?._id, req.body.notes);
+        res.json(run);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const reversePayrollRun = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+        
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const result = await payrollRunService.reverseRun(req.params.runId, tenantId, req.user?._id, req.body.reason);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
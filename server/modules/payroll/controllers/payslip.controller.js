@@ -0,0 +1,70 @@
+// Payslip Controller
+import PayslipService from '../services/PayslipService.js';
+
+const payslipService = new PayslipService();
+
+const getErrorStatus = (err) => {
+    if (err.message === 'Payroll not found') {
+        return 404;
+    }
+    if (err.message === 'Access denied') {
+        return 403;
+    }
+    if (err.message === 'Payroll run must be locked before payslips are sent' || err.message === 'Payslip is not available yet') {
+        return 409;
+    }
+    return 400;
+};
+
+export const getMyPayslips = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const payslips = await payslipService.getEmployeePayslips(req.user._id, tenantId);
+        res.json(payslips);
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+};
+
+export const downloadPayslip = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        const { filePath, fileName } = await payslipService.getPayslipFile(req.params.id, tenantId, {
+            id: req.user._id,
+            role: req.user.role
+        });
+
+        res.download(filePath, fileName);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
+
+export const emailPayslips = async (req, res) => {
+    try {
+        const tenantId = req.tenantId || req.user?.tenantId;
+
+        if (!tenantId) {
+            return res.status(400).json({ error: 'Tenant ID is required' });
+        }
+
+        if (!req.body.period) {
+            return res.status(400).json({ error: 'Period is required' });
+        }
+
+        const result = await payslipService.emailPeriodPayslips(req.body.period, tenantId, req.user?._id);
+        res.json(result);
+    } catch (err) {
+        res.status(getErrorStatus(err)).json({ error: err.message });
+    }
+};
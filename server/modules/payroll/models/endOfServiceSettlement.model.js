@@ -0,0 +1,140 @@
+// models/EndOfServiceSettlement.js
+import mongoose from 'mongoose';
+
+/**
+ * End-of-Service Settlement Model
+ * Final settlement of a leaving employee, calculated from the resignation
+ * record, the last salary structure, the annual leave balance and payroll
+ * loan deductions. Lifecycle: draft -> finalized -> signed.
+ *
+ * A finalized settlement is paid through the payroll of its payrollPeriod
+ * and its PDF is fixed (the SHA-256 of the file is kept); the employee then
+ * signs to acknowledge it.
+ */
+const settlementLineSchema = new mongoose.Schema({
+    type: { type: String, required: true },
+    name: String,
+    arabicName: String,
+    description: String,
+    amount: { type: Number, required: true },
+    taxable: { type: Boolean, default: false }
+}, { _id: false });
+
+const endOfServiceSettlementSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    resignedEmployee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ResignedEmployee',
+        required: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'finalized', 'signed'],
+        default: 'draft',
+        index: true
+    },
+    // Inputs of the last calculation, kept for audit
+    inputs: {
+        hireDate: Date,
+        lastWorkingDay: Date,
+        reason: String,
+        baseSalary: Number,
+        totalPay: Number,
+        unusedLeaveDays: { type: Number, default: 0 },
+        loanBalance: { type: Number, default: 0 },
+        otherEarnings: [{ _id: false, name: String, amount: Number }],
+        otherDeductions: [{ _id: false, description: String, amount: Number }]
+    },
+    service: {
+        days: Number,
+        years: Number
+    },
+    monthlySalary: Number,
+    dailyRate: Number,
+    gratuity: {
+        months: Number,
+        factor: Number,
+        amount: Number
+    },
+    leaveEncashment: {
+        days: Number,
+        amount: Number
+    },
+    unworkedDays: {
+        days: Number,
+        amount: Number
+    },
+    earnings: [settlementLineSchema],
+    deductions: [settlementLineSchema],
+    totalEarnings: { type: Number, default: 0 },
+    totalDeductions: { type: Number, default: 0 },
+    netAmount: { type: Number, default: 0 },
+    currency: {
+        type: String,
+        default: 'EGP'
+    },
+    // Payroll period ('YYYY-MM') the settlement is paid in, normally the month of the last working day
+    payrollPeriod: {
+        type: String,
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Payroll period must be in YYYY-MM format']
+    },
+    calculatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    calculatedAt: Date,
+    finalizedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    finalizedAt: Date,
+    document: {
+        fileName: String,
+        sha256: String,
+        generatedAt: Date
+    },
+    // Employee acknowledgement of the finalized document
+    signature: {
+        signedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        signedAt: Date,
+        ipAddress: String,
+        // Hash of the document the employee signed
+        sha256: String
+    },
+    notes: {
+        type: String,
+        maxlength: 1000
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to get the finalized settlements paid in a payroll period
+ */
+endOfServiceSettlementSchema.statics.getPayableForPeriod = function (tenantId, employeeId, period) {
+    return this.find({
+        tenantId,
+        employee: employeeId,
+        status: { $in: ['finalized', 'signed'] },
+        payrollPeriod: period
+    });
+};
+
+endOfServiceSettlementSchema.index({ tenantId: 1, resignedEmployee: 1 }, { unique: true });
+endOfServiceSettlementSchema.index({ tenantId: 1, payrollPeriod: 1, status: 1 });
+
+export default mongoose.model('EndOfServiceSettlement', endOfServiceSettlementSchema);
@@ -2,6 +2,10 @@
 import mongoose from 'mongoose';
 
 const payrollSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        trim: true
+    },
     employee: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -11,10 +15,42 @@ const payrollSchema = new mongoose.Schema({
         type: String, // e.g., '2025-10' for October 2025
         required: true
     },
+    // Payroll run this record belongs to (null for records entered outside a run)
+    payrollRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayrollRun',
+        default: null
+    },
+    // Set when the run is locked; locked records can no longer be edited or deleted
+    locked: {
+        type: Boolean,
+        default: false
+    },
+    earnings: [{
+        type: {
+            type: String,
+            enum: ['basic', 'allowance', 'overtime', 'bonus', 'reimbursement', 'per-diem', 'end-of-service', 'leave-encashment', 'insurance-claim', 'other'],
+            required: true
+        },
+        name: { type: String }, // e.g. allowance name from the salary structure
+        arabicName: { type: String },
+        amount: { type: Number, required: true },
+        taxable: { type: Boolean, default: true },
+        // Claim paid out by an insurance-claim earning, marked paid when the run is locked
+        insuranceClaim: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InsuranceClaim'
+        },
+        source: {
+            type: String,
+            enum: ['manual', 'calculated'],
+            default: 'manual'
+        }
+    }],
     deductions: [{
         type: {
             type: String,
-            enum: ['tax', 'insurance', 'loan', 'absence', 'medical', 'transportation', 'mobile-bill', 'disciplinary-sanctions', 'other'],
+            enum: ['tax', 'insurance', 'insurance-premium', 'loan', 'advance', 'absence', 'medical', 'transportation', 'mobile-bill', 'disciplinary-sanctions', 'other'],
             required: true
         },
         arabicName: { // Arabic name for the deduction type
@@ -22,16 +58,71 @@ const payrollSchema = new mongoose.Schema({
         },
         description: { type: String }, // Optional: details about the deduction
         amount: { type: Number, required: true },
+        // Loan installments: balance still owed after this deduction
+        outstandingBalance: { type: Number, min: 0 },
+        // Calculated deductions are replaced on every payroll calculation, manual ones are kept
+        source: {
+            type: String,
+            enum: ['manual', 'calculated'],
+            default: 'manual'
+        }
     }],
     totalDeductions: {
         type: Number,
         required: true,
         default: 0
+    },
+    // Gross-to-net figures produced by the payroll calculation engine
+    grossSalary: {
+        type: Number,
+        default: 0
+    },
+    taxableIncome: {
+        type: Number,
+        default: 0
+    },
+    netSalary: {
+        type: Number,
+        default: 0
+    },
+    employerContributions: [{
+        type: {
+            type: String,
+            enum: ['social-insurance', 'other'],
+            required: true
+        },
+        arabicName: { type: String },
+        description: { type: String },
+        amount: { type: Number, required: true }
+    }],
+    employerCost: {
+        type: Number,
+        default: 0
+    },
+    currency: {
+        type: String,
+        default: 'EGP'
+    },
+    // Inputs used by the last calculation, kept for audit and payslips
+    calculation: {
+        baseSalary: Number,
+        dailyRate: Number,
+        hourlyRate: Number,
+        overtimeHours: { type: Number, default: 0 },
+        absenceDays: { type: Number, default: 0 },
+        insurableSalary: Number,
+        calculatedAt: Date,
+        calculatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
     }
 }, {
     timestamps: true
 });
 
-payrollSchema.index({ employee: 1, period: 1 }, { unique: true });
+payrollSchema.index({ tenantId: 1, employee: 1, period: 1, payrollRun: 1 }, { unique: true });
+payrollSchema.index({ tenantId: 1, period: 1 });
+payrollSchema.index({ tenantId: 1, payrollRun: 1 });
 
-export default mongoose.model('Payroll', payrollSchema);
\ No newline at end of file
+export default mongoose.model('Payroll', payrollSchema);
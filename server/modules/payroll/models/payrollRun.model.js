@@ -0,0 +1,179 @@
+// models/PayrollRun.js
+import mongoose from 'mongoose';
+
+/**
+ * Allowed payroll run status transitions
+ * draft -> in-review -> approved -> locked -> reversed
+ * A run under review or approved can be sent back to draft for corrections.
+ */
+export const RUN_TRANSITIONS = {
+    draft: ['in-review'],
+    'in-review': ['approved', 'draft'],
+    approved: ['locked', 'draft'],
+    locked: ['reversed'],
+    reversed: []
+};
+
+const payrollRunSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        trim: true
+    },
+    period: {
+        type: String, // e.g., '2025-10' for October 2025
+        required: true,
+        match: [/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format']
+    },
+    type: {
+        type: String,
+        enum: ['regular', 'adjustment'],
+        default: 'regular'
+    },
+    status: {
+        type: String,
+        enum: Object.keys(RUN_TRANSITIONS),
+        default: 'draft'
+    },
+    // The locked run this adjustment run corrects
+    reversalOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayrollRun'
+    },
+    // The adjustment run created when this run was reversed
+    adjustmentRun: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PayrollRun'
+    },
+    totals: {
+        employees: { type: Number, default: 0 },
+        grossSalary: { type: Number, default: 0 },
+        totalDeductions: { type: Number, default: 0 },
+        netSalary: { type: Number, default: 0 },
+        employerCost: { type: Number, default: 0 }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    submittedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    submittedAt: Date,
+    approvedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: Date,
+    lockedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    lockedAt: Date,
+    reversedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reversedAt: Date,
+    reversalReason: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+    },
+    notes: {
+        type: String,
+        trim: true
+    },
+    // Last bank transfer file of the run and what it paid each employee;
+    // adjustment runs of an exported run only transfer the differences
+    bankExport: {
+        exportedAt: Date,
+        exportedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        format: String,
+        total: Number,
+        transfers: [{
+            _id: false,
+            employee: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            amount: Number
+        }]
+    },
+    // Full trail of every action taken on the run
+    history: [{
+        action: {
+            type: String,
+            enum: ['generated', 'recalculated', 'submitted', 'approved', 'returned', 'locked', 'reversed', 'exported'],
+            required: true
+        },
+        fromStatus: String,
+        toStatus: String,
+        performedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        performedAt: {
+            type: Date,
+            default: Date.now
+        },
+        notes: String
+    }]
+}, {
+    timestamps: true
+});
+
+/**
+ * Check if the run can move to the given status
+ */
+payrollRunSchema.methods.canTransitionTo = function (status) {
+    return (RUN_TRANSITIONS[this.status] || []).includes(status);
+};
+
+/**
+ * Move the run to a new status and record it in the history
+ */
+payrollRunSchema.methods.transition = function (status, action, userId, notes) {
+    if (!this.canTransitionTo(status)) {
+        throw new Error(`Cannot change payroll run from ${this.status} to ${status}`);
+    }
+
+    this.history.push({
+        action,
+        fromStatus: this.status,
+        toStatus: status,
+        performedBy: userId,
+        notes
+    });
+    this.status = status;
+};
+
+/**
+ * Approve a run under review
+ * Separation of duties: whoever submitted the run cannot approve it.
+ */
+payrollRunSchema.methods.approve = function (userId, notes) {
+    if (this.submittedBy && String(this.submittedBy) === String(userId)) {
+        throw new Error('Cannot approve a payroll run you submitted');
+    }
+
+    this.transition('approved', 'approved', userId, notes);
+    this.approvedBy = userId;
+    this.approvedAt = new Date();
+};
+
+/**
+ * Static method to get the run currently in effect for a period (not reversed)
+ */
+payrollRunSchema.statics.findActiveRun = function (tenantId, period) {
+    return this.findOne({ tenantId, period, status: { $ne: 'reversed' } }).sort({ createdAt: -1 });
+};
+
+payrollRunSchema.index({ tenantId: 1, period: 1, status: 1 });
+payrollRunSchema.index({ tenantId: 1, createdAt: -1 });
+
+export default mongoose.model('PayrollRun', payrollRunSchema);
@@ -0,0 +1,150 @@
+// models/PayrollSettings.js
+import mongoose from 'mongoose';
+
+/**
+ * Payroll Settings Model
+ * Tenant-level rules used by the payroll calculation engine:
+ * income-tax brackets, social insurance rates and overtime/absence rates,
+ * end-of-service gratuity rules, plus the company bank account used for
+ * salary transfer files.
+ */
+const taxBracketSchema = new mongoose.Schema({
+    // Upper bound of the bracket on annual taxable income; null means no upper bound
+    upTo: {
+        type: Number,
+        default: null
+    },
+    // Percentage applied to the part of the income that falls inside the bracket
+    rate: {
+        type: Number,
+        required: true,
+        min: 0,
+        max: 100
+    }
+}, { _id: false });
+
+// Gratuity months earned per year of service between fromYears and toYears
+const gratuityTierSchema = new mongoose.Schema({
+    fromYears: { type: Number, required: true, min: 0 },
+    // null means no upper bound
+    toYears: { type: Number, default: null },
+    monthsPerYear: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Share of the gratuity paid on resignation once minYears of service are reached
+const resignationFactorSchema = new mongoose.Schema({
+    minYears: { type: Number, required: true, min: 0 },
+    factor: { type: Number, required: true, min: 0, max: 1 }
+}, { _id: false });
+
+const payrollSettingsSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        unique: true,
+        trim: true
+    },
+    currency: {
+        type: String,
+        default: 'EGP'
+    },
+    incomeTax: {
+        enabled: { type: Boolean, default: true },
+        // Annual amount exempted before brackets are applied
+        personalExemption: { type: Number, default: 20000, min: 0 },
+        brackets: {
+            type: [taxBracketSchema],
+            default: () => [
+                { upTo: 40000, rate: 0 },
+                { upTo: 55000, rate: 10 },
+                { upTo: 70000, rate: 15 },
+                { upTo: 200000, rate: 20 },
+                { upTo: 400000, rate: 22.5 },
+                { upTo: 1200000, rate: 25 },
+                { upTo: null, rate: 27.5 }
+            ]
+        }
+    },
+    socialInsurance: {
+        enabled: { type: Boolean, default: true },
+        employeeRate: { type: Number, default: 11, min: 0, max: 100 },
+        employerRate: { type: Number, default: 18.75, min: 0, max: 100 },
+        // Monthly insurable salary limits
+        minInsurableSalary: { type: Number, default: 0, min: 0 },
+        maxInsurableSalary: { type: Number, default: 12600, min: 0 }
+    },
+    overtime: {
+        rateMultiplier: { type: Number, default: 1.5, min: 0 },
+        // Only overtime with this compensation type is paid through payroll
+        paidCompensationType: { type: String, default: 'paid' }
+    },
+    absence: {
+        deductionMultiplier: { type: Number, default: 1, min: 0 }
+    },
+    // Company (debtor) account used for salary transfer files
+    bankTransfer: {
+        companyName: { type: String, trim: true },
+        bankName: { type: String, trim: true },
+        // Local bank/branch code used by fixed-width formats
+        bankCode: { type: String, trim: true },
+        accountNumber: { type: String, trim: true },
+        iban: { type: String, trim: true, uppercase: true },
+        bic: { type: String, trim: true, uppercase: true },
+        // Identifier assigned by the bank to the company (initiating party)
+        companyId: { type: String, trim: true }
+    },
+    // End-of-service gratuity and leave encashment for leaving employees
+    endOfService: {
+        enabled: { type: Boolean, default: true },
+        // Monthly salary the gratuity is based on: base salary, or base salary plus allowances
+        salaryBasis: { type: String, enum: ['basic', 'total'], default: 'basic' },
+        tiers: {
+            type: [gratuityTierSchema],
+            default: () => [
+                { fromYears: 0, toYears: 5, monthsPerYear: 0.5 },
+                { fromYears: 5, toYears: null, monthsPerYear: 1 }
+            ]
+        },
+        // Employees who resign get a share of the gratuity by length of service
+        resignationFactors: {
+            type: [resignationFactorSchema],
+            default: () => [
+                { minYears: 0, factor: 0 },
+                { minYears: 2, factor: 1 / 3 },
+                { minYears: 5, factor: 2 / 3 },
+                { minYears: 10, factor: 1 }
+            ]
+        },
+        // Leaving reasons (see ResignedEmployee) paid the full gratuity
+        fullGratuityReasons: {
+            type: [String],
+            default: () => ['retirement', 'termination', 'health-issues']
+        },
+        // Cap on the gratuity in months of salary; null for no cap
+        maxMonths: { type: Number, default: null, min: 0 },
+        // Pay unused annual leave days at the daily rate of the basis salary
+        leaveEncashment: { type: Boolean, default: true }
+    },
+    // Divisors used to derive daily and hourly rates from the monthly base salary
+    workingDaysPerMonth: { type: Number, default: 30, min: 1 },
+    workingHoursPerDay: { type: Number, default: 8, min: 1 },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Static method to get tenant settings, creating defaults on first use
+ */
+payrollSettingsSchema.statics.getForTenant = async function (tenantId) {
+    let settings = await this.findOne({ tenantId });
+    if (!settings) {
+        settings = await this.create({ tenantId });
+    }
+    return settings;
+};
+
+export default mongoose.model('PayrollSettings', payrollSettingsSchema);
@@ -0,0 +1,81 @@
+// models/SalaryStructure.js
+import mongoose from 'mongoose';
+
+/**
+ * Salary Structure Model
+ * Holds the contractual pay of an employee (base salary and fixed allowances)
+ * that the payroll calculation engine starts from every period.
+ */
+const salaryStructureSchema = new mongoose.Schema({
+    tenantId: {
+        type: String,
+        required: [true, 'Tenant ID is required'],
+        trim: true
+    },
+    employee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    baseSalary: {
+        type: Number,
+        required: [true, 'Base salary is required'],
+        min: [0, 'Base salary cannot be negative']
+    },
+    currency: {
+        type: String,
+        default: 'EGP'
+    },
+    allowances: [{
+        name: { type: String, required: true },
+        arabicName: { type: String },
+        amount: { type: Number, required: true, min: 0 },
+        taxable: { type: Boolean, default: true },
+        // Whether the allowance counts towards the social insurance base
+        insurable: { type: Boolean, default: false }
+    }],
+    // Overrides the tenant overtime multiplier for this employee when set
+    overtimeRateMultiplier: {
+        type: Number,
+        min: 0
+    },
+    // Employees excluded from social insurance (e.g. foreign contractors)
+    socialInsuranceExempt: {
+        type: Boolean,
+        default: false
+    },
+    effectiveFrom: {
+        type: Date,
+        default: Date.now
+    },
+    // Last day the structure is paid for, set when the employee's end-of-service settlement is finalized
+    effectiveTo: {
+        type: Date,
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Virtual for the fixed monthly package
+salaryStructureSchema.virtual('totalFixedPay').get(function () {
+    const allowances = (this.allowances || []).reduce((sum, allowance) => sum + (allowance.amount || 0), 0);
+    return this.baseSalary + allowances;
+});
+
+salaryStructureSchema.set('toJSON', { virtuals: true });
+salaryStructureSchema.set('toObject', { virtuals: true });
+
+salaryStructureSchema.index({ tenantId: 1, employee: 1 }, { unique: true });
+salaryStructureSchema.index({ tenantId: 1, isActive: 1 });
+
+export default mongoose.model('SalaryStructure', salaryStructureSchema);
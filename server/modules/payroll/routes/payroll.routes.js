@@ -4,9 +4,46 @@ import {
     createPayroll,
     getPayrollById,
     updatePayroll,
-    deletePayroll
+    deletePayroll,
+    calculatePayroll,
+    previewSalary,
+    getPayrollSettings,
+    updatePayrollSettings,
+    getSalaryStructures,
+    getSalaryStructure,
+    saveSalaryStructure
 } from '../controllers/payroll.controller.js';
-import { protect, hrOrAdmin } from '../../../middleware/index.js';
+import {
+    getPayrollRuns,
+    getPayrollRunById,
+    generatePayrollRun,
+    recalculatePayrollRun,
+    getPayrollRunDiff,
+    submitPayrollRun,
+    approvePayrollRun,
+    returnPayrollRun,
+    lockPayrollRun,
+    reversePayrollRun
+} from '../controllers/payrollRun.controller.js';
+import {
+    getMyPayslips,
+    downloadPayslip,
+    emailPayslips
+} from '../controllers/payslip.controller.js';
+import {
+    getBankTransferPreview,
+    exportBankTransferFile
+} from '../controllers/bankTransfer.controller.js';
+import {
+    getSettlements,
+    getSettlement,
+    previewSettlement,
+    saveSettlement,
+    finalizeSettlement,
+    signSettlement,
+    downloadSettlementDocument
+} from '../controllers/endOfService.controller.js';
+import { protect, hrOrAdmin, admin } from '../../../middleware/index.js';
 import { requireModuleLicense } from '../../../middleware/licenseValidation.middleware.js';
 import { MODULES } from '../../../platform/system/models/license.model.js';
 
@@ -24,6 +61,53 @@ router.get('/', hrOrAdmin, getAllPayrolls);
 // Create payroll - HR or Admin only
 router.post('/', hrOrAdmin, createPayroll);
 
+// Payroll settings (tax brackets, social insurance, overtime rates) - HR or Admin only
+router.get('/settings', hrOrAdmin, getPayrollSettings);
+router.put('/settings', hrOrAdmin, updatePayrollSettings);
+
+// Employee salary structures - HR or Admin only
+router.get('/salary-structures', hrOrAdmin, getSalaryStructures);
+router.get('/salary-structures/:employeeId', hrOrAdmin, getSalaryStructure);
+router.put('/salary-structures/:employeeId', hrOrAdmin, saveSalaryStructure);
+
+// Run gross-to-net calculation for a period - HR or Admin only
+router.post('/calculate', hrOrAdmin, calculatePayroll);
+
+// Preview an employee's payslip for a period without saving - HR or Admin only
+router.get('/calculate/:employeeId', hrOrAdmin, previewSalary);
+
+// Payroll runs: draft -> in-review -> approved -> locked (-> reversed with an adjustment run)
+router.get('/runs', hrOrAdmin, getPayrollRuns);
+router.post('/runs', hrOrAdmin, generatePayrollRun);
+router.get('/runs/:runId', hrOrAdmin, getPayrollRunById);
+router.get('/runs/:runId/diff', hrOrAdmin, getPayrollRunDiff);
+router.post('/runs/:runId/recalculate', hrOrAdmin, recalculatePayrollRun);
+router.post('/runs/:runId/submit', hrOrAdmin, submitPayrollRun);
+router.post('/runs/:runId/return', hrOrAdmin, returnPayrollRun);
+
+// Approving, locking and reversing a run - Admin only
+router.post('/runs/:runId/approve', admin, approvePayrollRun);
+router.post('/runs/:runId/lock', admin, lockPayrollRun);
+router.post('/runs/:runId/reverse', admin, reversePayrollRun);
+
+// Payslips: employees list and download their own, HR emails a whole period
+router.get('/payslips/me', getMyPayslips);
+router.post('/payslips/email', hrOrAdmin, emailPayslips);
+router.get('/:id/payslip', downloadPayslip);
+
+// Bank salary-transfer files for a locked period (?format=csv|fixed-width|pain001) - HR or Admin only
+router.get('/bank-transfers/:period', hrOrAdmin, getBankTransferPreview);
+router.get('/bank-transfers/:period/export', hrOrAdmin, exportBankTransferFile);
+
+// End-of-service settlements: HR calculates and finalizes, the employee views, downloads and signs
+router.get('/end-of-service', hrOrAdmin, getSettlements);
+router.post('/end-of-service', hrOrAdmin, saveSettlement);
+router.post('/end-of-service/preview', hrOrAdmin, previewSettlement);
+router.get('/end-of-service/:settlementId', getSettlement);
+router.get('/end-of-service/:settlementId/document', downloadSettlementDocument);
+router.post('/end-of-service/:settlementId/finalize', hrOrAdmin, finalizeSettlement);
+router.post('/end-of-service/:settlementId/sign', signSettlement);
+
 // Get payroll by ID - Protected (already authenticated)
 router.get('/:id', getPayrollById);
 
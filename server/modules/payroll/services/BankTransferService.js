@@ -0,0 +1,134 @@
+import Payroll from '../models/payroll.model.js';
+import PayrollRun from '../models/payrollRun.model.js';
+import PayrollSettings from '../models/payrollSettings.model.js';
+import { buildTransferRows, getPaidAmounts, generateBankTransferFile, EXPORT_FORMATS } from '../utils/bankTransferFormats.js';
+import logger from '../../../utils/logger.js';
+
+/**
+ * Bank Transfer Service - Salary transfer files for locked payroll periods
+ */
+class BankTransferService {
+  /**
+   * List what would be transferred for a period, and who cannot be paid
+   */
+  async getTransferPreview(period, tenantId) {
+    const { run, transfer, settings, paidRuns } = await this._loadPeriod(period, tenantId);
+
+    return {
+      period,
+      run: { _id: run._id, status: run.status, lockedAt: run.lockedAt, exportedAt: run.bankExport?.exportedAt },
+      adjustmentOf: paidRuns.map(paidRun => paidRun._id),
+      currency: settings.currency,
+      debtor: settings.bankTransfer || {},
+      formats: Object.keys(EXPORT_FORMATS),
+      ...transfer
+    };
+  }
+
+  /**
+   * Generate a transfer file for a locked period
+   * @param {string} period - 'YYYY-MM'
+   * @param {string} tenantId - Tenant ID
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {Object} [options]
+   * @param {Date|string} [options.executionDate] - Requested payment date (defaults to today)
+   * @param {string} [options.userId] - User exporting the file, recorded on the run
+   */
+  async exportTransferFile(period, tenantId, format, options = {}) {
+    if (!EXPORT_FORMATS[format]) {
+      throw new Error(`Unsupported bank transfer format: ${format}`);
+    }
+
+    const { run, transfer, settings, paidRuns } = await this._loadPeriod(period, tenantId);
+    const debtor = settings.bankTransfer || {};
+
+    if (format !== 'csv' && !debtor.iban && !debtor.accountNumber) {
+      throw new Error('Company bank account is not configured');
+    }
+
+    if (transfer.rows.length === 0) {
+      throw new Error(paidRuns.length
+        ? 'Nothing left to transfer: the reversed payroll run was already exported'
+        : 'No employees with bank details to transfer');
+    }
+
+    const file = generateBankTransferFile(format, transfer.rows, {
+      period,
+      debtor,
+      currency: settings.currency,
+      executionDate: options.executionDate ? new Date(options.executionDate) : new Date(),
+      messageId: `SAL-${period}-${run._id.toString().slice(-8)}`
+    });
+
+    // Record what this file pays so a later adjustment run only transfers the differences
+    run.bankExport = {
+      exportedAt: new Date(),
+      exportedBy: options.userId,
+      format,
+      total: transfer.total,
+      transfers: transfer.rows.map(row => ({ employee: row.employee, amount: row.amount }))
+    };
+    run.history.push({
+      action: 'exported',
+      fromStatus: run.status,
+      toStatus: run.status,
+      performedBy: options.userId,
+      notes: `${format} transfer file`
+    });
+    await run.save();
+
+    logger.info('Bank transfer file exported', {
+      tenantId,
+      period,
+      format,
+      transfers: transfer.rows.length,
+      skipped: transfer.missing.length,
+      total: transfer.total,
+      adjustmentOf: paidRuns.map(paidRun => paidRun._id.toString())
+    });
+
+    return { ...file, skipped: transfer.missing };
+  }
+
+  async _loadPeriod(period, tenantId) {
+    const run = await PayrollRun.findActiveRun(tenantId, period);
+
+    if (!run || run.status !== 'locked') {
+      throw new Error('Payroll period must be locked before export');
+    }
+
+    const [payrolls, settings, paidRuns] = await Promise.all([
+      Payroll.find({ tenantId, payrollRun: run._id })
+        .populate('employee', 'username employeeId personalInfo bankDetails'),
+      PayrollSettings.getForTenant(tenantId),
+      this._getPaidRuns(run, tenantId)
+    ]);
+    const paid = paidRuns.length ? getPaidAmounts(paidRuns) : undefined;
+
+    return { run, settings, paidRuns, transfer: buildTransferRows(payrolls, { period, paid }) };
+  }
+
+  /**
+   * Runs this run reverses (directly or through earlier adjustments) that were
+   * already sent to the bank; together they are what each employee was paid
+   */
+  async _getPaidRuns(run, tenantId) {
+    const paidRuns = [];
+    let reversalOf = run.reversalOf;
+
+    while (reversalOf) {
+      const reversed = await PayrollRun.findOne({ _id: reversalOf, tenantId });
+      if (!reversed) {
+        break;
+      }
+      if (reversed.bankExport?.exportedAt) {
+        paidRuns.push(reversed);
+      }
+      reversalOf = reversed.reversalOf;
+    }
+
+    return paidRuns;
+  }
+}
+
+export default BankTransferService;
@@ -0,0 +1,486 @@
+import PDFDocument from 'pdfkit';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import EndOfServiceSettlement from '../models/endOfServiceSettlement.model.js';
+import Payroll from '../models/payroll.model.js';
+import PayrollRun from '../models/payrollRun.model.js';
+import PayrollSettings from '../models/payrollSettings.model.js';
+import SalaryStructure from '../models/salaryStructure.model.js';
+import ResignedEmployee from '../../hr-core/users/models/resignedEmployee.model.js';
+import User from '../../hr-core/users/models/user.model.js';
+import VacationBalance from '../../hr-core/vacations/models/vacationBalance.model.js';
+import Document from '../../documents/models/document.model.js';
+import PayrollService from './PayrollService.js';
+import PayrollRunService from './PayrollRunService.js';
+import PayslipService from './PayslipService.js';
+import { calculateEndOfService, getOutstandingLoanBalance } from '../utils/endOfServiceCalculator.js';
+import logger from '../../../utils/logger.js';
+
+const HR_ROLES = ['hr', 'admin'];
+
+const EMPLOYEE_FIELDS = 'username email employeeId personalInfo employment department position';
+
+export const SETTLEMENT_LABELS = {
+  title: { en: 'End-of-Service Settlement', ar: 'مخالصة نهاية الخدمة' },
+  employee: { en: 'Employee', ar: 'الموظف' },
+  employeeId: { en: 'Employee ID', ar: 'الرقم الوظيفي' },
+  hireDate: { en: 'Hire Date', ar: 'تاريخ التعيين' },
+  lastWorkingDay: { en: 'Last Working Day', ar: 'آخر يوم عمل' },
+  service: { en: 'Length of Service', ar: 'مدة الخدمة' },
+  monthlySalary: { en: 'Monthly Salary', ar: 'الراتب الشهري' },
+  earnings: { en: 'Entitlements', ar: 'المستحقات' },
+  deductions: { en: 'Deductions', ar: 'الاستقطاعات' },
+  totalEarnings: { en: 'Total Entitlements', ar: 'إجمالي المستحقات' },
+  totalDeductions: { en: 'Total Deductions', ar: 'إجمالي الاستقطاعات' },
+  netAmount: { en: 'Net Settlement', ar: 'صافي المخالصة' },
+  payrollPeriod: { en: 'Paid with Payroll', ar: 'تصرف مع راتب' },
+  acknowledgement: {
+    en: 'I acknowledge receipt of the above amounts in full and final settlement of all my dues.',
+    ar: 'أقر بأنني استلمت المبالغ الموضحة أعلاه كمخالصة نهائية عن جميع مستحقاتي.'
+  },
+  employeeSignature: { en: 'Employee Signature', ar: 'توقيع الموظف' },
+  hrSignature: { en: 'HR Signature', ar: 'توقيع الموارد البشرية' }
+};
+
+const toPeriod = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+const formatDay = (date) => (date ? new Date(date).toISOString().split('T')[0] : '-');
+
+const hashFile = (filePath) => crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+
+/**
+ * End-of-Service Service - Final settlement of leaving employees
+ *
+ * Draft settlements can be recalculated until HR finalizes them. Finalizing
+ * fixes the PDF, stops the salary structure after the last working day and
+ * adds the settlement lines to the employee's payroll for the period; the
+ * employee then signs to acknowledge it.
+ */
+class EndOfServiceService {
+  constructor() {
+    this.payrollService = new PayrollService();
+    this.payrollRunService = new PayrollRunService();
+    this.storageDir = process.env.SETTLEMENT_STORAGE_DIR || path.join('storage', 'settlements');
+    this.arabicFont = new PayslipService().arabicFont;
+  }
+
+  /**
+   * List settlements, newest first
+   */
+  async getSettlements(tenantId, filters = {}) {
+    const query = { tenantId };
+
+    ['employee', 'status', 'payrollPeriod'].forEach(key => {
+      if (filters[key]) {
+        query[key] = filters[key];
+      }
+    });
+
+    return await EndOfServiceSettlement.find(query)
+      .populate('employee', 'username email employeeId personalInfo')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get a settlement; employees may only see their own once finalized
+   */
+  async getSettlement(settlementId, tenantId, user) {
+    const settlement = await this._getSettlement(settlementId, tenantId);
+    this._assertCanView(settlement, user);
+    return settlement;
+  }
+
+  /**
+   * Calculate the settlement of a resignation record without saving it
+   * @param {string} resignedEmployeeId - ResignedEmployee record ID
+   * @param {string} tenantId
+   * @param {Object} [overrides] - hireDate, unusedLeaveDays, loanBalance, otherEarnings, otherDeductions
+   * @returns {Promise<{inputs: Object, result: Object, resigned: Object}>}
+   */
+  async calculate(resignedEmployeeId, tenantId, overrides = {}) {
+    const resigned = await ResignedEmployee.findOne({ _id: resignedEmployeeId, tenantId });
+    if (!resigned) {
+      throw new Error('Resigned employee record not found');
+    }
+
+    const employee = await User.findById(resigned.employee).select(EMPLOYEE_FIELDS);
+    if (!employee) {
+      throw new Error('Employee not found');
+    }
+
+    const salaryStructure = await SalaryStructure.findOne({ tenantId, employee: resigned.employee });
+    if (!salaryStructure) {
+      throw new Error('Salary structure not found');
+    }
+
+    const settings = await PayrollSettings.getForTenant(tenantId);
+    const lastWorkingDay = resigned.lastWorkingDay;
+
+    let unusedLeaveDays = overrides.unusedLeaveDays;
+    if (unusedLeaveDays === undefined || unusedLeaveDays === null) {
+      const balance = await VacationBalance.findOne({
+        tenantId,
+        employee: resigned.employee,
+        year: new Date(lastWorkingDay).getFullYear()
+      });
+      unusedLeaveDays = balance?.annual?.available || 0;
+    }
+
+    let loanBalance = overrides.loanBalance;
+    if (loanBalance === undefined || loanBalance === null) {
+      const payrolls = await Payroll.find({ tenantId, employee: resigned.employee }).select('period deductions');
+      loanBalance = getOutstandingLoanBalance(payrolls);
+    }
+
+    const inputs = {
+      hireDate: overrides.hireDate ? new Date(overrides.hireDate) : employee.employment?.hireDate,
+      lastWorkingDay,
+      reason: resigned.resignationReason,
+      baseSalary: salaryStructure.baseSalary,
+      totalPay: salaryStructure.totalFixedPay,
+      unusedLeaveDays: Number(unusedLeaveDays) || 0,
+      loanBalance: Number(loanBalance) || 0,
+      otherEarnings: overrides.otherEarnings || [],
+      otherDeductions: overrides.otherDeductions || []
+    };
+
+    const result = calculateEndOfService({ ...inputs, salaryStructure, settings });
+
+    return { inputs, result, resigned, employee };
+  }
+
+  /**
+   * Calculate and save (or recalculate) the draft settlement of a resignation record
+   */
+  async saveDraft(resignedEmployeeId, tenantId, userId, overrides = {}) {
+    const existing = await EndOfServiceSettlement.findOne({ tenantId, resignedEmployee: resignedEmployeeId });
+    if (existing && existing.status !== 'draft') {
+      throw new Error(`Cannot change settlement with status: ${existing.status}`);
+    }
+
+    const { inputs, result, resigned } = await this.calculate(resignedEmployeeId, tenantId, overrides);
+    const settlement = existing || new EndOfServiceSettlement({
+      tenantId,
+      resignedEmployee: resigned._id,
+      employee: resigned.employee
+    });
+
+    settlement.set({
+      inputs,
+      service: result.service,
+      monthlySalary: result.monthlySalary,
+      dailyRate: result.dailyRate,
+      gratuity: result.gratuity,
+      leaveEncashment: result.leaveEncashment,
+      unworkedDays: result.unworkedDays,
+      earnings: result.earnings,
+      deductions: result.deductions,
+      totalEarnings: result.totalEarnings,
+      totalDeductions: result.totalDeductions,
+      netAmount: result.netAmount,
+      currency: result.currency,
+      payrollPeriod: overrides.payrollPeriod || settlement.payrollPeriod || toPeriod(inputs.lastWorkingDay),
+      notes: overrides.notes ?? settlement.notes,
+      calculatedBy: userId,
+      calculatedAt: new Date()
+    });
+
+    return await settlement.save();
+  }
+
+  /**
+   * Finalize a draft settlement: fix its document and add it to the payroll of its period
+   * @param {string} settlementId
+   * @param {string} tenantId
+   * @param {string} userId
+   * @param {Object} [options]
+   * @param {string} [options.payrollPeriod] - 'YYYY-MM', defaults to the period saved on the draft
+   * @returns {Promise<{settlement: Object, calculation: Object}>}
+   */
+  async finalize(settlementId, tenantId, userId, options = {}) {
+    const settlement = await this._getSettlement(settlementId, tenantId);
+    if (settlement.status !== 'draft') {
+      throw new Error(`Cannot change settlement with status: ${settlement.status}`);
+    }
+
+    const payrollPeriod = options.payrollPeriod || settlement.payrollPeriod;
+
+    // The salary structure ends on the last working day, so later payroll
+    // periods no longer calculate the employee and would never pay the settlement
+    const lastPeriod = toPeriod(settlement.inputs.lastWorkingDay);
+    if (payrollPeriod > lastPeriod) {
+      throw new Error(`Cannot add the settlement to payroll ${payrollPeriod}: the employee's last payroll period is ${lastPeriod}`);
+    }
+
+    const run = await PayrollRun.findActiveRun(tenantId, payrollPeriod);
+    if (run && run.status !== 'draft') {
+      throw new Error(`Cannot add the settlement to payroll ${payrollPeriod}: the payroll run is ${run.status}`);
+    }
+
+    settlement.payrollPeriod = payrollPeriod;
+    settlement.status = 'finalized';
+    settlement.finalizedBy = userId;
+    settlement.finalizedAt = new Date();
+    await settlement.validate();
+
+    const { fileName, filePath } = await this.generateDocument(settlement, tenantId, userId);
+    settlement.document = { fileName, sha256: hashFile(filePath), generatedAt: new Date() };
+    await settlement.save();
+
+    // The employee is not paid for periods after the last working day
+    await SalaryStructure.updateOne(
+      { tenantId, employee: settlement.employee },
+      { effectiveTo: settlement.inputs.lastWorkingDay, updatedBy: userId }
+    );
+
+    await ResignedEmployee.updateOne(
+      { _id: settlement.resignedEmployee, tenantId },
+      { 'finalSettlement.amount': settlement.netAmount, 'finalSettlement.currency': settlement.currency, updatedBy: userId }
+    );
+
+    // Final payroll entry: recalculate the employee in the period's draft run, or on its own
+    const calculation = run
+      ? (await this.payrollRunService.recalculateRun(run._id, tenantId, userId, { employeeIds: [settlement.employee] })).calculation
+      : await this.payrollService.runPayrollCalculation(payrollPeriod, tenantId, {
+        employeeIds: [settlement.employee],
+        calculatedBy: userId
+      });
+
+    logger.info('End-of-service settlement finalized', {
+      tenantId,
+      settlementId: settlement._id,
+      payrollPeriod,
+      netAmount: settlement.netAmount
+    });
+
+    return { settlement, calculation };
+  }
+
+  /**
+   * Employee acknowledgement of a finalized settlement
+   * The stored document must still match the hash taken when it was finalized.
+   */
+  async sign(settlementId, tenantId, user, ipAddress) {
+    const settlement = await this._getSettlement(settlementId, tenantId);
+
+    if (settlement.employee.toString() !== String(user.id)) {
+      throw new Error('Access denied');
+    }
+    if (settlement.status !== 'finalized') {
+      throw new Error(`Cannot sign settlement with status: ${settlement.status}`);
+    }
+
+    const filePath = this._getFilePath(tenantId, settlement.document.fileName);
+    if (!fs.existsSync(filePath) || hashFile(filePath) !== settlement.document.sha256) {
+      throw new Error('Settlement document has changed since it was finalized');
+    }
+
+    settlement.signature = {
+      signedBy: user.id,
+      signedAt: new Date(),
+      ipAddress,
+      sha256: settlement.document.sha256
+    };
+    settlement.status = 'signed';
+
+    return await settlement.save();
+  }
+
+  /**
+   * Get the settlement PDF; drafts get a fresh preview for HR
+   */
+  async getDocumentFile(settlementId, tenantId, user) {
+    const settlement = await this._getSettlement(settlementId, tenantId);
+    this._assertCanView(settlement, user);
+
+    if (settlement.status === 'draft') {
+      return await this.generateDocument(settlement, tenantId, user.id, { register: false });
+    }
+
+    const filePath = this._getFilePath(tenantId, settlement.document.fileName);
+    if (!fs.existsSync(filePath)) {
+      throw new Error('Settlement document not found');
+    }
+
+    return { filePath, fileName: settlement.document.fileName };
+  }
+
+  /**
+   * Render the settlement PDF and register it as a confidential employee document
+   */
+  async generateDocument(settlement, tenantId, userId, options = {}) {
+    const employee = await User.findById(settlement.employee).select(EMPLOYEE_FIELDS);
+    const suffix = settlement.status === 'draft' ? '-draft' : '';
+    const fileName = `settlement-${employee?.employeeId || settlement.employee}-${formatDay(settlement.inputs.lastWorkingDay)}${suffix}.pdf`;
+    const directory = path.join(this.storageDir, tenantId);
+    const filePath = path.join(directory, fileName);
+
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    await this.renderPdf(settlement, employee, filePath);
+
+    if (options.register !== false) {
+      const { size } = fs.statSync(filePath);
+      await Document.findOneAndUpdate(
+        { tenantId, type: 'settlement', employee: settlement.employee, fileName },
+        {
+          $set: {
+            title: SETTLEMENT_LABELS.title.en,
+            arabicTitle: SETTLEMENT_LABELS.title.ar,
+            fileUrl: `/api/v1/payroll/end-of-service/${settlement._id}/document`,
+            fileSize: size,
+            isConfidential: true,
+            updatedBy: userId
+          },
+          $setOnInsert: {
+            tenantId,
+            type: 'settlement',
+            employee: settlement.employee,
+            fileName,
+            uploadedBy: userId
+          }
+        },
+        { new: true, upsert: true, runValidators: true }
+      );
+    }
+
+    return { filePath, fileName };
+  }
+
+  /**
+   * Write the settlement PDF: English on the left, Arabic on the right, with signature lines
+   */
+  async renderPdf(settlement, employee, filePath) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4', info: { CreationDate: settlement.finalizedAt || new Date() } });
+    const stream = fs.createWriteStream(filePath);
+    const written = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    if (this.arabicFont) {
+      doc.registerFont('Arabic', this.arabicFont);
+    }
+
+    const left = 50;
+    const right = 545;
+    const amountX = 300;
+    const amountWidth = 90;
+    const info = employee?.personalInfo || {};
+    const name = info.fullName || [info.firstName, info.lastName].filter(Boolean).join(' ') || employee?.username || '';
+
+    const arabic = (text, y, textOptions = {}) => {
+      if (!this.arabicFont || !text) return;
+      doc.font('Arabic').text(text, left, y, { width: right - left, align: 'right', features: ['rtla'], ...textOptions });
+      doc.font('Helvetica');
+    };
+
+    const field = (label, value, arabicValue) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(`${label.en}: `, left, y, { continued: true });
+      doc.font('Helvetica').text(value || '-');
+      arabic(`${label.ar}: ${arabicValue || value || '-'}`, y);
+      doc.moveDown(0.3);
+    };
+
+    const line = (label, arabicLabel, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, left, y, { width: amountX - left - 10 });
+      doc.text(amount.toFixed(2), amountX, y, { width: amountWidth, align: 'right' });
+      arabic(arabicLabel, y);
+      doc.font('Helvetica');
+      doc.moveDown(0.5);
+    };
+
+    const section = (label, rows, totalLabel, total) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(13).text(label.en, left, y);
+      arabic(label.ar, y);
+      doc.fontSize(10).moveDown(0.5);
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+      doc.moveDown(0.5);
+      rows.forEach(row => line(row.name || row.description || row.type, row.arabicName, row.amount));
+      line(totalLabel.en, totalLabel.ar, total, true);
+      doc.moveDown(1);
+    };
+
+    const headerY = doc.y;
+    doc.font('Helvetica-Bold').fontSize(18).text(SETTLEMENT_LABELS.title.en, left, headerY);
+    arabic(SETTLEMENT_LABELS.title.ar, headerY);
+    doc.fontSize(10).moveDown(1);
+
+    field(SETTLEMENT_LABELS.employee, name, info.arabicName);
+    field(SETTLEMENT_LABELS.employeeId, employee?.employeeId);
+    field(SETTLEMENT_LABELS.hireDate, formatDay(settlement.inputs.hireDate));
+    field(SETTLEMENT_LABELS.lastWorkingDay, formatDay(settlement.inputs.lastWorkingDay));
+    field(SETTLEMENT_LABELS.service, `${settlement.service.years.toFixed(2)} years (${settlement.service.days} days)`,
+      `${settlement.service.years.toFixed(2)} سنة (${settlement.service.days} يوم)`);
+    field(SETTLEMENT_LABELS.monthlySalary, `${settlement.monthlySalary.toFixed(2)} ${settlement.currency}`);
+    field(SETTLEMENT_LABELS.payrollPeriod, settlement.payrollPeriod);
+    doc.moveDown(1);
+
+    section(SETTLEMENT_LABELS.earnings, settlement.earnings, SETTLEMENT_LABELS.totalEarnings, settlement.totalEarnings);
+    section(SETTLEMENT_LABELS.deductions, settlement.deductions, SETTLEMENT_LABELS.totalDeductions, settlement.totalDeductions);
+
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    doc.fontSize(13);
+    line(`${SETTLEMENT_LABELS.netAmount.en} (${settlement.currency})`, SETTLEMENT_LABELS.netAmount.ar, settlement.netAmount, true);
+    doc.fontSize(10).moveDown(1.5);
+
+    const ackY = doc.y;
+    doc.font('Helvetica').text(SETTLEMENT_LABELS.acknowledgement.en, left, ackY, { width: 240 });
+    arabic(SETTLEMENT_LABELS.acknowledgement.ar, ackY, { width: 240, align: 'right', indent: 0 });
+    doc.moveDown(3);
+
+    const signY = doc.y;
+    doc.moveTo(left, signY).lineTo(left + 200, signY).stroke();
+    doc.moveTo(right - 200, signY).lineTo(right, signY).stroke();
+    doc.text(`${SETTLEMENT_LABELS.employeeSignature.en}`, left, signY + 5, { width: 200 });
+    doc.text(`${SETTLEMENT_LABELS.hrSignature.en}`, right - 200, signY + 5, { width: 200, align: 'right' });
+
+    if (settlement.status === 'draft') {
+      doc.fontSize(40).fillColor('#cccccc').text('DRAFT', left, 400, { align: 'center', width: right - left });
+      doc.fillColor('black');
+    }
+
+    doc.fontSize(8).font('Helvetica')
+      .text(`Reference ${settlement._id}`, left, doc.page.height - 70, { align: 'center', width: right - left });
+
+    doc.end();
+    await written;
+
+    return filePath;
+  }
+
+  async _getSettlement(settlementId, tenantId) {
+    const settlement = await EndOfServiceSettlement.findOne({ _id: settlementId, tenantId });
+    if (!settlement) {
+      throw new Error('Settlement not found');
+    }
+    return settlement;
+  }
+
+  _assertCanView(settlement, user) {
+    const isOwner = settlement.employee.toString() === String(user?.id);
+    if (HR_ROLES.includes(user?.role)) {
+      return;
+    }
+    if (!isOwner || settlement.status === 'draft') {
+      throw new Error('Access denied');
+    }
+  }
+
+  _getFilePath(tenantId, fileName) {
+    return path.join(this.storageDir, tenantId, fileName || '');
+  }
+}
+
+export default EndOfServiceService;
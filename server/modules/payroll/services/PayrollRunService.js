@@ -0,0 +1,270 @@
+import PayrollRun from '../models/payrollRun.model.js';
+import Payroll from '../models/payroll.model.js';
+import PayrollService from './PayrollService.js';
+import insurancePayrollService from '../../life-insurance/services/payrollIntegrationService.js';
+import WebhookService from '../../hr-core/webhooks/services/WebhookService.js';
+import { computePayrollDiff, summarizeRecords, getPreviousPeriod } from '../utils/payrollRunDiff.js';
+
+const EMPLOYEE_FIELDS = 'username email employeeId personalInfo department';
+
+const webhookService = new WebhookService();
+
+/**
+ * Payroll Run Service - Lifecycle of a whole payroll period
+ * draft -> in-review -> approved -> locked, with reversal through an adjustment run
+ */
+class PayrollRunService {
+  constructor() {
+    this.payrollService = new PayrollService();
+  }
+
+  /**
+   * Get payroll runs for a tenant
+   */
+  async getRuns(tenantId, filters = {}) {
+    const query = { tenantId };
+
+    if (filters.period) {
+      query.period = filters.period;
+    }
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+
+    return await PayrollRun.find(query)
+      .populate('createdBy approvedBy lockedBy reversedBy', 'username email personalInfo')
+      .sort({ period: -1, createdAt: -1 });
+  }
+
+  /**
+   * Get a payroll run with its payroll records
+   */
+  async getRunById(runId, tenantId) {
+    const run = await PayrollRun.findOne({ _id: runId, tenantId })
+      .populate('createdBy submittedBy approvedBy lockedBy reversedBy', 'username email personalInfo')
+      .populate('history.performedBy', 'username email personalInfo');
+
+    if (!run) {
+      throw new Error('Payroll run not found');
+    }
+
+    const payrolls = await Payroll.find({ tenantId, payrollRun: run._id })
+      .populate('employee', EMPLOYEE_FIELDS)
+      .sort({ createdAt: 1 });
+
+    return { run, payrolls };
+  }
+
+  /**
+   * Generate a draft run for a period and calculate every employee in it
+   */
+  async generateRun(period, tenantId, userId, options = {}) {
+    const activeRun = await PayrollRun.findActiveRun(tenantId, period);
+
+    if (activeRun) {
+      throw new Error('A payroll run already exists for this period');
+    }
+
+    const run = new PayrollRun({
+      tenantId,
+      period,
+      type: options.type || 'regular',
+      reversalOf: options.reversalOf,
+      createdBy: userId,
+      notes: options.notes
+    });
+    run.history.push({ action: 'generated', toStatus: 'draft', performedBy: userId, notes: options.notes });
+    await run.save();
+
+    const calculation = await this.payrollService.runPayrollCalculation(period, tenantId, {
+      employeeIds: options.employeeIds,
+      calculatedBy: userId,
+      payrollRunId: run._id,
+      baselineRunId: options.reversalOf
+    });
+
+    await this._refreshTotals(run);
+
+    return { run, calculation };
+  }
+
+  /**
+   * Recalculate a draft run (e.g. after attendance or overtime corrections)
+   */
+  async recalculateRun(runId, tenantId, userId, options = {}) {
+    const run = await this._getRun(runId, tenantId);
+
+    if (run.status !== 'draft') {
+      throw new Error('Only draft payroll runs can be recalculated');
+    }
+
+    const calculation = await this.payrollService.runPayrollCalculation(run.period, tenantId, {
+      employeeIds: options.employeeIds,
+      calculatedBy: userId,
+      payrollRunId: run._id,
+      baselineRunId: run.reversalOf
+    });
+
+    run.history.push({ action: 'recalculated', fromStatus: 'draft', toStatus: 'draft', performedBy: userId });
+    await this._refreshTotals(run);
+
+    return { run, calculation };
+  }
+
+  /**
+   * Compare a run with its baseline: the reversed run for adjustments,
+   * otherwise the locked run of the previous period
+   */
+  async getRunDiff(runId, tenantId, options = {}) {
+    const run = await this._getRun(runId, tenantId);
+
+    let baselineRun = null;
+    if (run.reversalOf) {
+      baselineRun = await PayrollRun.findOne({ _id: run.reversalOf, tenantId });
+    } else {
+      baselineRun = await PayrollRun.findOne({
+        tenantId,
+        period: getPreviousPeriod(run.period),
+        status: 'locked'
+      }).sort({ lockedAt: -1 });
+    }
+
+    const currentRecords = await Payroll.find({ tenantId, payrollRun: run._id }).populate('employee', EMPLOYEE_FIELDS);
+    const baselineRecords = baselineRun
+      ? await Payroll.find({ tenantId, payrollRun: baselineRun._id }).populate('employee', EMPLOYEE_FIELDS)
+      : [];
+
+    const thresholdPercent = options.thresholdPercent !== undefined ? Number(options.thresholdPercent) : undefined;
+
+    return {
+      run: { _id: run._id, period: run.period, status: run.status, totals: run.totals },
+      baseline: baselineRun
+        ? { _id: baselineRun._id, period: baselineRun.period, status: baselineRun.status, totals: baselineRun.totals }
+        : null,
+      ...computePayrollDiff(currentRecords, baselineRecords, { thresholdPercent })
+    };
+  }
+
+  /**
+   * Submit a draft run for review
+   */
+  async submitRun(runId, tenantId, userId, notes) {
+    const run = await this._getRun(runId, tenantId);
+    const recordCount = await Payroll.countDocuments({ tenantId, payrollRun: run._id });
+
+    if (recordCount === 0) {
+      throw new Error('Payroll run has no payroll records');
+    }
+
+    run.transition('in-review', 'submitted', userId, notes);
+    run.submittedBy = userId;
+    run.submittedAt = new Date();
+    await this._refreshTotals(run);
+
+    return run;
+  }
+
+  /**
+   * Approve a run under review
+   */
+  async approveRun(runId, tenantId, userId, notes) {
+    const run = await this._getRun(runId, tenantId);
+
+    run.approve(userId, notes);
+
+    return await run.save();
+  }
+
+  /**
+   * Send a run under review (or approved) back to draft for corrections
+   */
+  async returnRun(runId, tenantId, userId, notes) {
+    const run = await this._getRun(runId, tenantId);
+
+    run.transition('draft', 'returned', userId, notes);
+    run.approvedBy = undefined;
+    run.approvedAt = undefined;
+
+    return await run.save();
+  }
+
+  /**
+   * Lock an approved run; its payroll records can no longer be edited
+   */
+  async lockRun(runId, tenantId, userId, notes) {
+    const run = await this._getRun(runId, tenantId);
+
+    run.transition('locked', 'locked', userId, notes);
+    run.lockedBy = userId;
+    run.lockedAt = new Date();
+
+    await Payroll.updateMany({ tenantId, payrollRun: run._id }, { $set: { locked: true } });
+    await run.save();
+
+    // Insurance claim payouts in the run are now paid
+    await insurancePayrollService.markPaidForRun(run, userId);
+
+    webhookService.emit(tenantId, 'payroll.locked', {
+      run: {
+        id: run._id.toString(),
+        period: run.period,
+        type: run.type,
+        lockedAt: run.lockedAt,
+        reversalOf: run.reversalOf?.toString() || null,
+        totals: run.toObject().totals
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Reverse a locked run and open an adjustment run for the same period
+   * The locked records stay untouched for audit; the adjustment run replaces them.
+   */
+  async reverseRun(runId, tenantId, userId, reason) {
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required to reverse a payroll run');
+    }
+
+    const run = await this._getRun(runId, tenantId);
+
+    run.transition('reversed', 'reversed', userId, reason);
+    run.reversedBy = userId;
+    run.reversedAt = new Date();
+    run.reversalReason = reason.trim();
+    await run.save();
+
+    const { run: adjustmentRun, calculation } = await this.generateRun(run.period, tenantId, userId, {
+      type: 'adjustment',
+      reversalOf: run._id,
+      notes: `Adjustment for reversed run: ${reason.trim()}`
+    });
+
+    run.adjustmentRun = adjustmentRun._id;
+    await run.save();
+
+    return { reversedRun: run, adjustmentRun, calculation };
+  }
+
+  async _getRun(runId, tenantId) {
+    const run = await PayrollRun.findOne({ _id: runId, tenantId });
+
+    if (!run) {
+      throw new Error('Payroll run not found');
+    }
+
+    return run;
+  }
+
+  async _refreshTotals(run) {
+    const records = await Payroll.find({ tenantId: run.tenantId, payrollRun: run._id })
+      .select('grossSalary totalDeductions netSalary employerCost');
+
+    run.totals = summarizeRecords(records);
+    return await run.save();
+  }
+}
+
+export default PayrollRunService;
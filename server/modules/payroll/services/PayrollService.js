@@ -1,4 +1,13 @@
 import PayrollRepository from '../../../repositories/modules/PayrollRepository.js';
+import SalaryStructure from '../models/salaryStructure.model.js';
+import PayrollSettings from '../models/payrollSettings.model.js';
+import PayrollRun from '../models/payrollRun.model.js';
+import EndOfServiceSettlement from '../models/endOfServiceSettlement.model.js';
+import Overtime from '../../hr-core/overtime/models/overtime.model.js';
+import Attendance from '../../hr-core/attendance/models/attendance.model.js';
+import MissionExpenseService from '../../hr-core/missions/services/MissionExpenseService.js';
+import insurancePayrollService from '../../life-insurance/services/payrollIntegrationService.js';
+import { calculatePayslip, getPeriodRange } from '../utils/payrollCalculator.js';
 
 /**
  * Payroll Service - Business logic layer for payroll operations
@@ -7,6 +16,7 @@ import PayrollRepository from '../../../repositories/modules/PayrollRepository.j
 class PayrollService {
   constructor() {
     this.payrollRepository = new PayrollRepository();
+    this.missionExpenseService = new MissionExpenseService();
   }
 
   /**
@@ -30,10 +40,22 @@ class PayrollService {
    */
   async createPayroll(payrollData, tenantId) {
     const dataToCreate = {
-      ...payrollData,
+      ...this._stripProtectedFields(payrollData),
       tenantId
     };
 
+    // Records added to a period with a draft run join that run; other runs are closed for edits
+    const activeRun = payrollData.period
+      ? await PayrollRun.findActiveRun(tenantId, payrollData.period)
+      : null;
+
+    if (activeRun) {
+      if (activeRun.status !== 'draft') {
+        throw new Error('Payroll is locked');
+      }
+      dataToCreate.payrollRun = activeRun._id;
+    }
+
     const payroll = await this.payrollRepository.create(dataToCreate);
     
     // Return populated payroll
@@ -74,7 +96,9 @@ class PayrollService {
       throw new Error('Payroll not found');
     }
 
-    const updatedPayroll = await this.payrollRepository.update(id, updateData);
+    await this._assertEditable(payroll);
+
+    await this.payrollRepository.update(id, this._stripProtectedFields(updateData));
     
     // Return populated payroll
     return await this.payrollRepository.findById(id, {
@@ -94,10 +118,39 @@ class PayrollService {
       throw new Error('Payroll not found');
     }
 
+    await this._assertEditable(payroll);
+
     await this.payrollRepository.delete(id);
     return { message: 'Payroll deleted' };
   }
 
+  /**
+   * Throw if a payroll record is locked or belongs to a run that left draft
+   */
+  async _assertEditable(payroll) {
+    if (payroll.locked) {
+      throw new Error('Payroll is locked');
+    }
+
+    if (payroll.payrollRun) {
+      const run = await PayrollRun.findById(payroll.payrollRun).select('status');
+      if (run && run.status !== 'draft') {
+        throw new Error('Payroll is locked');
+      }
+    }
+  }
+
+  /**
+   * Remove fields that only the payroll run workflow may set
+   */
+  _stripProtectedFields(data = {}) {
+    const cleaned = { ...data };
+    delete cleaned.locked;
+    delete cleaned.payrollRun;
+    delete cleaned.tenantId;
+    return cleaned;
+  }
+
   /**
    * Get payroll by employee
    */
@@ -113,10 +166,234 @@ class PayrollService {
   }
 
   /**
-   * Calculate salary for employee
+   * Calculate salary for employee (preview, nothing is saved)
    */
   async calculateSalary(employeeId, period, tenantId) {
-    return await this.payrollRepository.calculateSalary(employeeId, period, tenantId);
+    const settings = await PayrollSettings.getForTenant(tenantId);
+    const salaryStructure = await SalaryStructure.findOne({ tenantId, employee: employeeId, isActive: true });
+
+    if (!salaryStructure) {
+      throw new Error('Salary structure not found');
+    }
+
+    const existing = await this.payrollRepository.findOne({ tenantId, employee: employeeId, period });
+    const inputs = await this.getPeriodInputs(employeeId, period, tenantId, settings);
+
+    return calculatePayslip({
+      salaryStructure,
+      settings,
+      ...inputs,
+      ...this._getManualItems(existing)
+    });
+  }
+
+  /**
+   * Collect overtime hours, absence days, settled mission expenses,
+   * end-of-service settlements and insurance claim payouts and family
+   * premiums for an employee in a period
+   */
+  async getPeriodInputs(employeeId, period, tenantId, settings) {
+    const { startDate, endDate } = getPeriodRange(period);
+
+    const overtimeRecords = await Overtime.find({
+      tenantId,
+      employee: employeeId,
+      status: 'approved',
+      compensationType: settings.overtime?.paidCompensationType || 'paid',
+      date: { $gte: startDate, $lte: endDate }
+    }).select('duration');
+
+    const absenceDays = await Attendance.countDocuments({
+      tenantId,
+      employee: employeeId,
+      status: 'absent',
+      isWorkingDay: true,
+      date: { $gte: startDate, $lte: endDate }
+    });
+
+    const overtimeHours = overtimeRecords.reduce((sum, record) => sum + (record.duration || 0), 0);
+
+    const missionItems = await this.missionExpenseService.getPayrollItems(employeeId, period, tenantId);
+    const settlements = await EndOfServiceSettlement.getPayableForPeriod(tenantId, employeeId, period);
+    const insuranceItems = await insurancePayrollService.getPayrollItems(employeeId, period, tenantId);
+    const toPlain = (item) => (typeof item.toObject === 'function' ? item.toObject() : { ...item });
+
+    return {
+      overtimeHours,
+      absenceDays,
+      periodEarnings: [
+        ...missionItems.earnings,
+        ...settlements.flatMap(settlement => settlement.earnings.map(toPlain)),
+        ...insuranceItems.earnings
+      ],
+      periodDeductions: [
+        ...missionItems.deductions,
+        ...settlements.flatMap(settlement => settlement.deductions.map(toPlain)),
+        ...insuranceItems.deductions
+      ]
+    };
+  }
+
+  /**
+   * Run the payroll calculation for a period and save one record per employee
+   * Manual earnings and deductions already entered for the period are kept.
+   */
+  async runPayrollCalculation(period, tenantId, options = {}) {
+    const { startDate } = getPeriodRange(period);
+
+    const payrollRunId = options.payrollRunId || null;
+
+    if (!payrollRunId) {
+      const activeRun = await PayrollRun.findActiveRun(tenantId, period);
+      if (activeRun) {
+        throw new Error('Payroll period has a payroll run; recalculate the run instead');
+      }
+    }
+
+    const settings = await PayrollSettings.getForTenant(tenantId);
+    // Employees who left before the period (see EndOfServiceService) are no longer paid
+    const structureFilter = {
+      tenantId,
+      isActive: true,
+      $or: [{ effectiveTo: null }, { effectiveTo: { $gte: startDate } }]
+    };
+
+    if (Array.isArray(options.employeeIds) && options.employeeIds.length > 0) {
+      structureFilter.employee = { $in: options.employeeIds };
+    }
+
+    const structures = await SalaryStructure.find(structureFilter);
+    const results = [];
+
+    for (const salaryStructure of structures) {
+      const employeeId = salaryStructure.employee;
+
+      try {
+        let existing = await this.payrollRepository.findOne({ tenantId, employee: employeeId, period, payrollRun: payrollRunId });
+
+        // A new run adopts records that were entered for the period before the run existed
+        if (!existing && payrollRunId) {
+          existing = await this.payrollRepository.findOne({ tenantId, employee: employeeId, period, payrollRun: null, locked: false });
+        }
+
+        // Adjustment runs carry manual items over from the run they correct
+        const manualSource = existing || (options.baselineRunId
+          ? await this.payrollRepository.findOne({ tenantId, employee: employeeId, period, payrollRun: options.baselineRunId })
+          : null);
+
+        const inputs = await this.getPeriodInputs(employeeId, period, tenantId, settings);
+        const payslip = calculatePayslip({
+          salaryStructure,
+          settings,
+          ...inputs,
+          ...this._getManualItems(manualSource)
+        });
+
+        const payrollData = {
+          ...payslip,
+          payrollRun: payrollRunId,
+          calculation: {
+            ...payslip.calculation,
+            calculatedAt: new Date(),
+            calculatedBy: options.calculatedBy
+          }
+        };
+
+        const payroll = existing
+          ? await this.payrollRepository.update(existing._id, payrollData)
+          : await this.payrollRepository.create({ ...payrollData, employee: employeeId, period, tenantId });
+
+        results.push({ success: true, employee: employeeId, data: payroll });
+      } catch (error) {
+        results.push({ success: false, employee: employeeId, error: error.message });
+      }
+    }
+
+    return {
+      period,
+      processed: results.filter(result => result.success).length,
+      failed: results.filter(result => !result.success).length,
+      results
+    };
+  }
+
+  /**
+   * Split manual items off an existing payroll record so a recalculation keeps them
+   */
+  _getManualItems(payroll) {
+    if (!payroll) {
+      return { manualEarnings: [], manualDeductions: [] };
+    }
+
+    const toPlain = (item) => (typeof item.toObject === 'function' ? item.toObject() : { ...item });
+    const isManual = (item) => item.source !== 'calculated';
+
+    return {
+      manualEarnings: (payroll.earnings || []).filter(isManual).map(toPlain),
+      manualDeductions: (payroll.deductions || []).filter(isManual).map(toPlain)
+    };
+  }
+
+  /**
+   * Get tenant payroll settings (defaults are created on first access)
+   */
+  async getPayrollSettings(tenantId) {
+    return await PayrollSettings.getForTenant(tenantId);
+  }
+
+  /**
+   * Update tenant payroll settings
+   */
+  async updatePayrollSettings(tenantId, updateData, userId) {
+    const settings = await PayrollSettings.getForTenant(tenantId);
+    const allowed = ['currency', 'incomeTax', 'socialInsurance', 'overtime', 'absence', 'endOfService', 'bankTransfer', 'workingDaysPerMonth', 'workingHoursPerDay'];
+
+    allowed.forEach(key => {
+      if (updateData[key] !== undefined) {
+        settings.set(key, updateData[key]);
+      }
+    });
+    settings.updatedBy = userId;
+
+    return await settings.save();
+  }
+
+  /**
+   * Get all salary structures for a tenant
+   */
+  async getSalaryStructures(tenantId) {
+    return await SalaryStructure.find({ tenantId })
+      .populate('employee', 'username email employeeId personalInfo department')
+      .sort({ createdAt: -1 });
+  }
+
+  /**
+   * Get the salary structure of an employee
+   */
+  async getSalaryStructure(employeeId, tenantId) {
+    const salaryStructure = await SalaryStructure.findOne({ tenantId, employee: employeeId })
+      .populate('employee', 'username email employeeId personalInfo department');
+
+    if (!salaryStructure) {
+      throw new Error('Salary structure not found');
+    }
+
+    return salaryStructure;
+  }
+
+  /**
+   * Create or replace the salary structure of an employee
+   */
+  async saveSalaryStructure(employeeId, structureData, tenantId, userId) {
+    const data = { ...structureData };
+    delete data.tenantId;
+    delete data.employee;
+
+    return await SalaryStructure.findOneAndUpdate(
+      { tenantId, employee: employeeId },
+      { ...data, tenantId, employee: employeeId, updatedBy: userId },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
   }
 
   /**
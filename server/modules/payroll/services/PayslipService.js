@@ -0,0 +1,330 @@
+import PDFDocument from 'pdfkit';
+import fs from 'fs';
+import path from 'path';
+import Payroll from '../models/payroll.model.js';
+import PayrollRun from '../models/payrollRun.model.js';
+import Document from '../../documents/models/document.model.js';
+import NotificationService from '../../notifications/services/NotificationService.js';
+import { buildPayslipContent, getPayslipFileName, PAYSLIP_LABELS } from '../utils/payslipContent.js';
+import logger from '../../../utils/logger.js';
+
+const EMPLOYEE_POPULATE = {
+  path: 'employee',
+  select: 'username email employeeId personalInfo department position',
+  populate: [
+    { path: 'department', select: 'name arabicName' },
+    { path: 'position', select: 'title arabicTitle' }
+  ]
+};
+
+// Fonts with Arabic glyphs, tried in order when PAYSLIP_ARABIC_FONT is not set
+const ARABIC_FONT_CANDIDATES = [
+  '/usr/share/fonts/truetype/noto/NotoNaskhArabic-Regular.ttf',
+  '/usr/share/fonts/truetype/noto/NotoSansArabic-Regular.ttf',
+  '/usr/share/fonts/truetype/dejavu/DejaVuSans.ttf',
+  'C:\\Windows\\Fonts\\arial.ttf'
+];
+
+const HR_ROLES = ['hr', 'admin'];
+
+/**
+ * Payslip Service - Bilingual payslip PDFs, employee downloads and bulk email
+ * Payslips are written outside the public uploads folder and registered as
+ * confidential employee documents, so only the employee and HR can reach them.
+ */
+class PayslipService {
+  constructor() {
+    this.storageDir = process.env.PAYSLIP_STORAGE_DIR || path.join('storage', 'payslips');
+    this.arabicFont = this.resolveArabicFont();
+    this.notificationService = new NotificationService();
+  }
+
+  /**
+   * Find a font able to render the Arabic labels
+   */
+  resolveArabicFont() {
+    const candidates = [process.env.PAYSLIP_ARABIC_FONT, ...ARABIC_FONT_CANDIDATES].filter(Boolean);
+    const font = candidates.find(candidate => fs.existsSync(candidate));
+
+    if (!font) {
+      logger.warn('No Arabic font found for payslips; set PAYSLIP_ARABIC_FONT. Arabic labels will be omitted.');
+    }
+
+    return font || null;
+  }
+
+  /**
+   * Payroll records of an employee that have a payslip available
+   * Records of a run are only released once the run is locked.
+   */
+  async getEmployeePayslips(employeeId, tenantId) {
+    return await Payroll.find({
+      tenantId,
+      employee: employeeId,
+      $or: [{ locked: true }, { payrollRun: null }]
+    })
+      .select('period grossSalary totalDeductions netSalary currency locked payrollRun createdAt')
+      .sort({ period: -1, createdAt: -1 });
+  }
+
+  /**
+   * Get the payslip PDF of a payroll record, generating it if needed
+   * @param {string} payrollId - Payroll record ID
+   * @param {string} tenantId - Tenant ID
+   * @param {Object} user - Requesting user ({ id, role })
+   * @returns {Promise<{filePath: string, fileName: string, document: Object}>}
+   */
+  async getPayslipFile(payrollId, tenantId, user) {
+    const payroll = await this._getPayroll(payrollId, tenantId);
+    const isOwner = payroll.employee?._id?.toString() === user.id?.toString();
+
+    if (!isOwner && !HR_ROLES.includes(user.role)) {
+      throw new Error('Access denied');
+    }
+
+    // Employees only see payslips of locked runs; HR can preview them earlier
+    if (!HR_ROLES.includes(user.role) && !this._isReleased(payroll)) {
+      throw new Error('Payslip is not available yet');
+    }
+
+    // Locked records never change, so an existing PDF can be served as is
+    if (payroll.locked) {
+      const fileName = getPayslipFileName(payroll, payroll.employee);
+      const filePath = path.join(this.storageDir, tenantId, fileName);
+      const document = await Document.findOne({ tenantId, type: 'payslip', employee: payroll.employee._id, fileName });
+
+      if (document && fs.existsSync(filePath)) {
+        return { filePath, fileName, document };
+      }
+    }
+
+    return await this.generatePayslip(payroll, tenantId, user.id);
+  }
+
+  /**
+   * Render the payslip PDF and register it in the documents module
+   */
+  async generatePayslip(payroll, tenantId, userId) {
+    const employee = payroll.employee;
+    const content = buildPayslipContent(payroll, employee);
+    const fileName = getPayslipFileName(payroll, employee);
+    const directory = path.join(this.storageDir, tenantId);
+    const filePath = path.join(directory, fileName);
+
+    if (!fs.existsSync(directory)) {
+      fs.mkdirSync(directory, { recursive: true });
+    }
+
+    await this.renderPdf(content, filePath);
+    const { size } = fs.statSync(filePath);
+
+    const document = await Document.findOneAndUpdate(
+      { tenantId, type: 'payslip', employee: employee._id, fileName },
+      {
+        $set: {
+          title: `${PAYSLIP_LABELS.title.en} ${content.period}`,
+          arabicTitle: `${PAYSLIP_LABELS.title.ar} ${content.period}`,
+          fileUrl: `/api/v1/payroll/${payroll._id}/payslip`,
+          fileSize: size,
+          isConfidential: true,
+          updatedBy: userId
+        },
+        $setOnInsert: {
+          tenantId,
+          type: 'payslip',
+          employee: employee._id,
+          fileName,
+          uploadedBy: userId || employee._id
+        }
+      },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    return { filePath, fileName, document, content };
+  }
+
+  /**
+   * Email every payslip of a period to the employees
+   * The period's payroll run must be locked before payslips go out.
+   */
+  async emailPeriodPayslips(period, tenantId, userId) {
+    const run = await PayrollRun.findActiveRun(tenantId, period);
+
+    if (run && run.status !== 'locked') {
+      throw new Error('Payroll run must be locked before payslips are sent');
+    }
+
+    const filter = run
+      ? { tenantId, payrollRun: run._id }
+      : { tenantId, period, payrollRun: null };
+    const payrolls = await Payroll.find(filter).populate(EMPLOYEE_POPULATE);
+
+    if (payrolls.length === 0) {
+      throw new Error('No payroll records found for this period');
+    }
+
+    const result = { period, total: payrolls.length, sent: 0, skipped: [], failed: [] };
+
+    for (const payroll of payrolls) {
+      const employee = payroll.employee;
+
+      if (!employee?.email) {
+        result.skipped.push({ payroll: payroll._id, employee: employee?._id, reason: 'No email address' });
+        continue;
+      }
+
+      try {
+        const { filePath, fileName, content } = await this.generatePayslip(payroll, tenantId, userId);
+        // Payslips are always emailed, whatever the employee's notification preferences
+        const notification = await this.notificationService.createNotification({
+          recipient: employee._id,
+          type: 'payroll',
+          title: `${PAYSLIP_LABELS.title.en} ${period}`,
+          message: `Your payslip for ${period} has been sent to your email`,
+          relatedModel: 'Payroll',
+          relatedId: payroll._id,
+          metadata: { period, source: 'payroll' }
+        }, tenantId, {
+          channels: { inApp: true, email: true },
+          email: {
+            subject: `${PAYSLIP_LABELS.title.en} ${period} / ${PAYSLIP_LABELS.title.ar} ${period}`,
+            html: this.buildEmailHtml(content),
+            attachments: [{ filename: fileName, path: filePath, contentType: 'application/pdf' }]
+          }
+        });
+
+        if (notification.delivery?.emailSentAt) {
+          result.sent += 1;
+        } else {
+          result.failed.push({ payroll: payroll._id, employee: employee._id, reason: notification.delivery?.emailError });
+        }
+      } catch (error) {
+        logger.error('Failed to send payslip', { tenantId, payrollId: payroll._id, error: error.message });
+        result.failed.push({ payroll: payroll._id, employee: employee._id, reason: error.message });
+      }
+    }
+
+    logger.info('Payslips emailed', { tenantId, period, sent: result.sent, failed: result.failed.length });
+
+    return result;
+  }
+
+  /**
+   * Short bilingual email body; the payslip itself is attached
+   */
+  buildEmailHtml(content) {
+    return `
+      <p>Dear ${content.employee.name},</p>
+      <p>Please find attached your payslip for ${content.period}.</p>
+      <p>Net salary: ${content.totals.netSalary.toFixed(2)} ${content.currency}</p>
+      <hr />
+      <p dir="rtl">${content.employee.arabicName || content.employee.name}،</p>
+      <p dir="rtl">مرفق قسيمة راتبك عن الفترة ${content.period}.</p>
+      <p dir="rtl">صافي الراتب: ${content.totals.netSalary.toFixed(2)} ${content.currency}</p>
+    `;
+  }
+
+  /**
+   * Write the payslip PDF: English on the left, Arabic on the right
+   */
+  async renderPdf(content, filePath) {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const stream = fs.createWriteStream(filePath);
+    const written = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+    });
+    doc.pipe(stream);
+
+    if (this.arabicFont) {
+      doc.registerFont('Arabic', this.arabicFont);
+    }
+
+    const left = 50;
+    const right = 545;
+    const amountX = 300;
+    const amountWidth = 90;
+
+    const arabic = (text, y, options = {}) => {
+      if (!this.arabicFont || !text) return;
+      doc.font('Arabic').text(text, left, y, { width: right - left, align: 'right', features: ['rtla'], ...options });
+      doc.font('Helvetica');
+    };
+
+    const line = (label, arabicLabel, amount, bold = false) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').text(label, left, y, { width: amountX - left - 10 });
+      doc.text(amount.toFixed(2), amountX, y, { width: amountWidth, align: 'right' });
+      arabic(arabicLabel, y);
+      doc.font('Helvetica');
+      doc.moveDown(0.5);
+    };
+
+    const info = (label, value, arabicValue) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(`${label.en}: `, left, y, { continued: true });
+      doc.font('Helvetica').text(value || '-');
+      arabic(`${label.ar}: ${arabicValue || value || '-'}`, y);
+      doc.moveDown(0.3);
+    };
+
+    // Header
+    const headerY = doc.y;
+    doc.font('Helvetica-Bold').fontSize(20).text(PAYSLIP_LABELS.title.en, left, headerY);
+    arabic(PAYSLIP_LABELS.title.ar, headerY);
+    doc.fontSize(10);
+    doc.moveDown(1);
+
+    info(PAYSLIP_LABELS.reference, content.reference);
+    info(PAYSLIP_LABELS.period, content.period);
+    info(PAYSLIP_LABELS.employee, content.employee.name, content.employee.arabicName);
+    info(PAYSLIP_LABELS.employeeId, content.employee.employeeId);
+    info(PAYSLIP_LABELS.department, content.employee.department, content.employee.arabicDepartment);
+    info(PAYSLIP_LABELS.position, content.employee.position, content.employee.arabicPosition);
+    doc.moveDown(1);
+
+    const section = (label, rows, totalLabel, total) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').fontSize(13).text(label.en, left, y);
+      arabic(label.ar, y);
+      doc.fontSize(10).moveDown(0.5);
+      doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+      doc.moveDown(0.5);
+      rows.forEach(row => line(row.label, row.arabicLabel, row.amount));
+      line(totalLabel.en, totalLabel.ar, total, true);
+      doc.moveDown(1);
+    };
+
+    section(PAYSLIP_LABELS.earnings, content.earnings, PAYSLIP_LABELS.grossSalary, content.totals.grossSalary);
+    section(PAYSLIP_LABELS.deductions, content.deductions, PAYSLIP_LABELS.totalDeductions, content.totals.totalDeductions);
+
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).stroke();
+    doc.moveDown(0.5);
+    doc.fontSize(13);
+    line(`${PAYSLIP_LABELS.netSalary.en} (${content.currency})`, PAYSLIP_LABELS.netSalary.ar, content.totals.netSalary, true);
+
+    doc.fontSize(8).font('Helvetica')
+      .text(`Generated on ${new Date().toLocaleDateString()}`, left, doc.page.height - 70, { align: 'center', width: right - left });
+
+    doc.end();
+    await written;
+
+    return filePath;
+  }
+
+  async _getPayroll(payrollId, tenantId) {
+    const payroll = await Payroll.findOne({ _id: payrollId, tenantId }).populate(EMPLOYEE_POPULATE);
+
+    if (!payroll) {
+      throw new Error('Payroll not found');
+    }
+
+    return payroll;
+  }
+
+  _isReleased(payroll) {
+    return payroll.locked || !payroll.payrollRun;
+  }
+}
+
+export default PayslipService;
@@ -0,0 +1,307 @@
+/**
+ * Bank Transfer Formats
+ * Turns the payroll records of a locked period into salary transfer files:
+ * - csv: generic CSV accepted by most bank portals for bulk upload
+ * - fixed-width: 120-character header/detail/trailer records (see FIXED_WIDTH_LAYOUT)
+ * - pain001: ISO 20022 customer credit transfer initiation (pain.001.001.03)
+ */
+import { roundMoney } from './payrollCalculator.js';
+
+export const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    'fixed-width': { extension: 'txt', contentType: 'text/plain; charset=us-ascii' },
+    pain001: { extension: 'xml', contentType: 'application/xml; charset=utf-8' }
+};
+
+/**
+ * Fixed-width record layout: [field, length] in order, every record padded to recordLength.
+ * Amounts are in minor units (piasters/cents), right-aligned and zero-padded.
+ */
+export const FIXED_WIDTH_LAYOUT = {
+    recordLength: 120,
+    header: [['recordType', 1], ['companyId', 15], ['debtorAccount', 34], ['executionDate', 8], ['currency', 3], ['count', 6], ['total', 15]],
+    detail: [['recordType', 1], ['sequence', 6], ['employeeId', 15], ['name', 35], ['bankCode', 11], ['account', 34], ['amount', 15]],
+    trailer: [['recordType', 1], ['count', 6], ['total', 15]]
+};
+
+const NUMERIC_FIELDS = ['sequence', 'count', 'total', 'amount'];
+
+const getEmployeeName = (employee = {}) => {
+    const info = employee.personalInfo || {};
+    return info.fullName
+        || [info.firstName, info.lastName].filter(Boolean).join(' ')
+        || employee.username
+        || '';
+};
+
+/**
+ * Remove spaces from an IBAN and upper-case it
+ */
+export const normalizeIban = (iban) => (iban ? String(iban).replace(/\s/g, '').toUpperCase() : '');
+
+const toMinorUnits = (amount) => Math.round(roundMoney(amount) * 100);
+
+const formatDate = (date, separator = '') => {
+    const value = new Date(date);
+    return [
+        value.getFullYear(),
+        String(value.getMonth() + 1).padStart(2, '0'),
+        String(value.getDate()).padStart(2, '0')
+    ].join(separator);
+};
+
+/**
+ * Keep fixed-width files plain ASCII: strip accents and replace anything else with a space
+ */
+const toAscii = (value) => String(value ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeCsv = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeXml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+/**
+ * Sum what earlier exported runs already transferred to each employee
+ * @param {Array} runs - Payroll runs with a `bankExport`
+ * @returns {Object} Amount per employee id
+ */
+export const getPaidAmounts = (runs = []) => {
+    const paid = {};
+
+    runs.forEach(run => {
+        (run?.bankExport?.transfers || []).forEach(transfer => {
+            const employee = transfer.employee?.toString();
+            paid[employee] = roundMoney((paid[employee] || 0) + (transfer.amount || 0));
+        });
+    });
+
+    return paid;
+};
+
+/**
+ * Build transfer rows from populated payroll records
+ * Records without a usable account or with nothing to pay are returned in `missing`.
+ * With `paid`, only the difference to what was already transferred is paid.
+ * @param {Array} payrolls - Payroll records with `employee` populated (incl. bankDetails)
+ * @param {Object} [options]
+ * @param {string} [options.period] - Payroll period, used in the payment reference
+ * @param {Object} [options.paid] - Amount already transferred per employee id (see getPaidAmounts)
+ * @returns {{rows: Array, missing: Array, total: number}}
+ */
+export const buildTransferRows = (payrolls = [], options = {}) => {
+    const rows = [];
+    const missing = [];
+
+    payrolls.forEach(payroll => {
+        const employee = payroll.employee || {};
+        const bank = employee.bankDetails || {};
+        const iban = normalizeIban(bank.iban);
+        const accountNumber = bank.accountNumber ? String(bank.accountNumber).replace(/\s/g, '') : '';
+        const employeeKey = (employee._id || employee)?.toString();
+        const paid = options.paid?.[employeeKey] || 0;
+        const amount = roundMoney(payroll.netSalary - paid);
+        const base = {
+            payroll: payroll._id,
+            employee: employeeKey,
+            employeeId: employee.employeeId || '',
+            name: bank.accountHolderName || getEmployeeName(employee)
+        };
+
+        if (!iban && !accountNumber) {
+            missing.push({ ...base, reason: 'No bank account on employee profile' });
+            return;
+        }
+
+        if (amount <= 0) {
+            missing.push({ ...base, reason: paid ? 'Already paid by an earlier transfer' : 'No net salary to transfer' });
+            return;
+        }
+
+        rows.push({
+            ...base,
+            bankName: bank.bankName || '',
+            bankCode: bank.bankCode || '',
+            bic: bank.bic ? String(bank.bic).toUpperCase() : '',
+            accountNumber,
+            iban,
+            amount,
+            currency: payroll.currency || 'EGP',
+            reference: `${options.paid ? 'SALARY ADJ' : 'SALARY'} ${options.period || payroll.period} ${base.employeeId}`.trim()
+        });
+    });
+
+    return {
+        rows,
+        missing,
+        total: roundMoney(rows.reduce((sum, row) => sum + row.amount, 0))
+    };
+};
+
+/**
+ * Generic CSV
+ */
+export const generateCsv = (rows) => {
+    const header = ['Employee ID', 'Name', 'Bank', 'Bank Code', 'Account Number', 'IBAN', 'BIC', 'Amount', 'Currency', 'Reference'];
+    const lines = rows.map(row => [
+        row.employeeId,
+        row.name,
+        row.bankName,
+        row.bankCode,
+        row.accountNumber,
+        row.iban,
+        row.bic,
+        row.amount.toFixed(2),
+        row.currency,
+        row.reference
+    ].map(escapeCsv).join(','));
+
+    return [header.join(','), ...lines].join('\r\n') + '\r\n';
+};
+
+const buildFixedRecord = (layout, values) => {
+    const record = layout.map(([field, length]) => {
+        const value = NUMERIC_FIELDS.includes(field)
+            ? String(values[field] ?? 0).padStart(length, '0')
+            : toAscii(values[field]).toUpperCase().padEnd(length, ' ');
+        return value.slice(0, length);
+    }).join('');
+
+    return record.padEnd(FIXED_WIDTH_LAYOUT.recordLength, ' ');
+};
+
+/**
+ * Fixed-width bank file (header, one detail record per employee, trailer)
+ */
+export const generateFixedWidth = (rows, meta = {}) => {
+    const debtor = meta.debtor || {};
+    const total = rows.reduce((sum, row) => sum + toMinorUnits(row.amount), 0);
+
+    const records = [
+        buildFixedRecord(FIXED_WIDTH_LAYOUT.header, {
+            recordType: 'H',
+            companyId: debtor.companyId,
+            debtorAccount: normalizeIban(debtor.iban) || debtor.accountNumber,
+            executionDate: formatDate(meta.executionDate || new Date()),
+            currency: meta.currency || 'EGP',
+            count: rows.length,
+            total
+        }),
+        ...rows.map((row, index) => buildFixedRecord(FIXED_WIDTH_LAYOUT.detail, {
+            recordType: 'D',
+            sequence: index + 1,
+            employeeId: row.employeeId,
+            name: row.name,
+            bankCode: row.bankCode || row.bic,
+            account: row.iban || row.accountNumber,
+            amount: toMinorUnits(row.amount)
+        })),
+        buildFixedRecord(FIXED_WIDTH_LAYOUT.trailer, {
+            recordType: 'T',
+            count: rows.length,
+            total
+        })
+    ];
+
+    return records.join('\r\n') + '\r\n';
+};
+
+const accountXml = (iban, accountNumber) => (iban
+    ? `<Id><IBAN>${escapeXml(iban)}</IBAN></Id>`
+    : `<Id><Othr><Id>${escapeXml(accountNumber)}</Id></Othr></Id>`);
+
+/**
+ * ISO 20022 pain.001.001.03 credit transfer, one payment block for the whole period
+ */
+export const generatePain001 = (rows, meta = {}) => {
+    const debtor = meta.debtor || {};
+    const currency = meta.currency || 'EGP';
+    const createdAt = meta.createdAt ? new Date(meta.createdAt) : new Date();
+    const messageId = meta.messageId || `SAL-${meta.period || formatDate(createdAt)}-${createdAt.getTime()}`;
+    const controlSum = roundMoney(rows.reduce((sum, row) => sum + row.amount, 0)).toFixed(2);
+    const debtorName = escapeXml(debtor.companyName || 'Company');
+
+    const transactions = rows.map((row, index) => `
+      <CdtTrfTxInf>
+        <PmtId><EndToEndId>${escapeXml(`${messageId}-${index + 1}`.slice(0, 35))}</EndToEndId></PmtId>
+        <Amt><InstdAmt Ccy="${escapeXml(row.currency || currency)}">${row.amount.toFixed(2)}</InstdAmt></Amt>${row.bic ? `
+        <CdtrAgt><FinInstnId><BIC>${escapeXml(row.bic)}</BIC></FinInstnId></CdtrAgt>` : ''}
+        <Cdtr><Nm>${escapeXml(row.name.slice(0, 70))}</Nm></Cdtr>
+        <CdtrAcct>${accountXml(row.iban, row.accountNumber)}</CdtrAcct>
+        <RmtInf><Ustrd>${escapeXml(row.reference.slice(0, 140))}</Ustrd></RmtInf>
+      </CdtTrfTxInf>`).join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:pain.001.001.03" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+  <CstmrCdtTrfInitn>
+    <GrpHdr>
+      <MsgId>${escapeXml(messageId.slice(0, 35))}</MsgId>
+      <CreDtTm>${createdAt.toISOString().slice(0, 19)}</CreDtTm>
+      <NbOfTxs>${rows.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <InitgPty><Nm>${debtorName}</Nm>${debtor.companyId ? `<Id><OrgId><Othr><Id>${escapeXml(debtor.companyId)}</Id></Othr></OrgId></Id>` : ''}</InitgPty>
+    </GrpHdr>
+    <PmtInf>
+      <PmtInfId>${escapeXml(`${messageId}-1`.slice(0, 35))}</PmtInfId>
+      <PmtMtd>TRF</PmtMtd>
+      <BtchBookg>true</BtchBookg>
+      <NbOfTxs>${rows.length}</NbOfTxs>
+      <CtrlSum>${controlSum}</CtrlSum>
+      <PmtTpInf><CtgyPurp><Cd>SALA</Cd></CtgyPurp></PmtTpInf>
+      <ReqdExctnDt>${formatDate(meta.executionDate || createdAt, '-')}</ReqdExctnDt>
+      <Dbtr><Nm>${debtorName}</Nm></Dbtr>
+      <DbtrAcct>${accountXml(normalizeIban(debtor.iban), debtor.accountNumber)}</DbtrAcct>
+      <DbtrAgt><FinInstnId>${debtor.bic ? `<BIC>${escapeXml(debtor.bic)}</BIC>` : '<Othr><Id>NOTPROVIDED</Id></Othr>'}</FinInstnId></DbtrAgt>
+      <ChrgBr>SLEV</ChrgBr>${transactions}
+    </PmtInf>
+  </CstmrCdtTrfInitn>
+</Document>
+`;
+};
+
+const GENERATORS = {
+    csv: generateCsv,
+    'fixed-width': generateFixedWidth,
+    pain001: generatePain001
+};
+
+/**
+ * Generate a transfer file in one of the EXPORT_FORMATS
+ * @returns {{content: string, fileName: string, contentType: string}}
+ */
+export const generateBankTransferFile = (format, rows, meta = {}) => {
+    const generator = GENERATORS[format];
+
+    if (!generator) {
+        throw new Error(`Unsupported bank transfer format: ${format}`);
+    }
+
+    return {
+        content: generator(rows, meta),
+        fileName: `salary-transfer-${meta.period || formatDate(new Date())}-${format}.${EXPORT_FORMATS[format].extension}`,
+        contentType: EXPORT_FORMATS[format].contentType
+    };
+};
+
+export default {
+    EXPORT_FORMATS,
+    FIXED_WIDTH_LAYOUT,
+    normalizeIban,
+    getPaidAmounts,
+    buildTransferRows,
+    generateCsv,
+    generateFixedWidth,
+    generatePain001,
+    generateBankTransferFile
+};
@@ -0,0 +1,247 @@
+/**
+ * End-of-Service Calculator
+ * Pure final-settlement rules for leaving employees: length of service,
+ * gratuity by tenant tiers and resignation factors, unused leave
+ * encashment, salary after the last working day and outstanding loans.
+ * No database access here so the rules can be unit tested in isolation.
+ */
+import { roundMoney } from './payrollCalculator.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAYS_PER_YEAR = 365;
+
+export const SETTLEMENT_ARABIC_NAMES = {
+    'end-of-service': 'مكافأة نهاية الخدمة',
+    'leave-encashment': 'بدل رصيد الإجازات',
+    loan: 'رصيد القرض المتبقي',
+    unworkedDays: 'خصم أيام بعد آخر يوم عمل',
+    advanceLeave: 'خصم إجازات مستخدمة مقدمًا'
+};
+
+/**
+ * Calendar day of a date as days since 1970-01-01
+ */
+const toDayNumber = (date) => {
+    const value = new Date(date);
+    if (Number.isNaN(value.getTime())) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return Math.floor(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) / DAY_MS);
+};
+
+/**
+ * Length of service from the hire date to the last working day, both included
+ * @param {Date|string} hireDate
+ * @param {Date|string} lastWorkingDay
+ * @returns {{ days: number, years: number }} years is fractional (days / 365)
+ */
+export const calculateServiceLength = (hireDate, lastWorkingDay) => {
+    if (!hireDate) {
+        throw new Error('Employee hire date is required');
+    }
+
+    const days = toDayNumber(lastWorkingDay) - toDayNumber(hireDate) + 1;
+    if (days <= 0) {
+        throw new Error('Last working day must be after the hire date');
+    }
+
+    return { days, years: Math.round((days / DAYS_PER_YEAR) * 10000) / 10000 };
+};
+
+/**
+ * Gratuity months earned for a length of service
+ * @param {number} years - Fractional years of service
+ * @param {Array<{fromYears: number, toYears: number|null, monthsPerYear: number}>} tiers
+ * @param {number|null} [maxMonths] - Cap, null for none
+ * @returns {number}
+ */
+export const calculateGratuityMonths = (years, tiers = [], maxMonths = null) => {
+    const months = tiers.reduce((sum, tier) => {
+        const upper = tier.toYears === null || tier.toYears === undefined ? Infinity : tier.toYears;
+        const yearsInTier = Math.max(0, Math.min(years, upper) - tier.fromYears);
+        return sum + yearsInTier * tier.monthsPerYear;
+    }, 0);
+
+    const capped = maxMonths === null || maxMonths === undefined ? months : Math.min(months, maxMonths);
+    return Math.round(capped * 10000) / 10000;
+};
+
+/**
+ * Share of the gratuity paid for a leaving reason
+ * Reasons in fullGratuityReasons get everything; resignations get the
+ * factor of the highest service threshold reached.
+ * @param {number} years
+ * @param {string} reason - resignationReason of the ResignedEmployee record
+ * @param {Object} rules - endOfService section of PayrollSettings
+ * @returns {number} Between 0 and 1
+ */
+export const getGratuityFactor = (years, reason, rules = {}) => {
+    if ((rules.fullGratuityReasons || []).includes(reason)) {
+        return 1;
+    }
+
+    const reached = (rules.resignationFactors || [])
+        .filter(entry => years >= entry.minYears)
+        .sort((a, b) => b.minYears - a.minYears);
+
+    return reached.length > 0 ? reached[0].factor : 0;
+};
+
+/**
+ * Remaining loan balance from the latest payroll record with loan deductions
+ * @param {Array<Object>} payrolls - Payroll records of the employee, any order
+ * @returns {number}
+ */
+export const getOutstandingLoanBalance = (payrolls = []) => {
+    const latest = [...payrolls]
+        .sort((a, b) => String(b.period).localeCompare(String(a.period)))
+        .find(payroll => (payroll.deductions || []).some(deduction => deduction.type === 'loan'));
+
+    if (!latest) {
+        return 0;
+    }
+
+    return roundMoney(latest.deductions
+        .filter(deduction => deduction.type === 'loan')
+        .reduce((sum, deduction) => sum + (deduction.outstandingBalance || 0), 0));
+};
+
+/**
+ * Calculate the final settlement of a leaving employee
+ *
+ * Gratuity and leave encashment are lump sums paid as non-taxable earnings
+ * so the monthly tax engine does not annualize them. The salary of the final
+ * month is paid by the regular payroll; the days after the last working day
+ * are deducted from it here.
+ *
+ * @param {Object} params
+ * @param {Date|string} params.hireDate
+ * @param {Date|string} params.lastWorkingDay
+ * @param {string} params.reason - resignationReason of the ResignedEmployee record
+ * @param {Object} params.salaryStructure - Last salary structure
+ * @param {Object} params.settings - Tenant payroll settings
+ * @param {number} [params.unusedLeaveDays] - Annual leave balance; negative when taken in advance
+ * @param {number} [params.loanBalance] - Outstanding loans recovered from the settlement
+ * @param {Array} [params.otherEarnings] - Extra earnings ({ name, amount })
+ * @param {Array} [params.otherDeductions] - Extra deductions ({ description, amount })
+ * @returns {Object} Service length, gratuity, encashment, payroll lines and net amount
+ */
+export const calculateEndOfService = ({
+    hireDate,
+    lastWorkingDay,
+    reason,
+    salaryStructure,
+    settings,
+    unusedLeaveDays = 0,
+    loanBalance = 0,
+    otherEarnings = [],
+    otherDeductions = []
+}) => {
+    const rules = settings.endOfService || {};
+    const service = calculateServiceLength(hireDate, lastWorkingDay);
+    const workingDays = settings.workingDaysPerMonth || 30;
+
+    const baseSalary = salaryStructure.baseSalary || 0;
+    const totalPay = baseSalary + (salaryStructure.allowances || [])
+        .reduce((sum, allowance) => sum + (allowance.amount || 0), 0);
+    const monthlySalary = rules.salaryBasis === 'total' ? totalPay : baseSalary;
+    const dailyRate = monthlySalary / workingDays;
+
+    const earnings = [];
+    const deductions = [];
+
+    // Gratuity
+    const months = rules.enabled === false ? 0 : calculateGratuityMonths(service.years, rules.tiers, rules.maxMonths);
+    const factor = rules.enabled === false ? 0 : getGratuityFactor(service.years, reason, rules);
+    const gratuityAmount = roundMoney(monthlySalary * months * factor);
+
+    if (gratuityAmount > 0) {
+        earnings.push({
+            type: 'end-of-service',
+            name: `End-of-service gratuity (${roundMoney(months)} month(s) x ${roundMoney(factor * 100)}%)`,
+            arabicName: SETTLEMENT_ARABIC_NAMES['end-of-service'],
+            amount: gratuityAmount,
+            taxable: false
+        });
+    }
+
+    // Unused annual leave
+    const leaveDays = rules.leaveEncashment === false ? Math.min(0, unusedLeaveDays) : unusedLeaveDays;
+    const leaveAmount = roundMoney(Math.abs(leaveDays) * dailyRate);
+
+    if (leaveDays > 0 && leaveAmount > 0) {
+        earnings.push({
+            type: 'leave-encashment',
+            name: `Unused leave (${leaveDays} day(s))`,
+            arabicName: SETTLEMENT_ARABIC_NAMES['leave-encashment'],
+            amount: leaveAmount,
+            taxable: false
+        });
+    } else if (leaveDays < 0 && leaveAmount > 0) {
+        deductions.push({
+            type: 'other',
+            arabicName: SETTLEMENT_ARABIC_NAMES.advanceLeave,
+            description: `Leave taken in advance (${Math.abs(leaveDays)} day(s))`,
+            amount: leaveAmount
+        });
+    }
+
+    // Days of the final month after the last working day
+    const last = new Date(lastWorkingDay);
+    const daysInMonth = new Date(last.getFullYear(), last.getMonth() + 1, 0).getDate();
+    const unworkedDays = daysInMonth - last.getDate();
+    const unworkedAmount = roundMoney(totalPay * unworkedDays / daysInMonth);
+
+    if (unworkedAmount > 0) {
+        deductions.push({
+            type: 'other',
+            arabicName: SETTLEMENT_ARABIC_NAMES.unworkedDays,
+            description: `Salary after last working day (${unworkedDays} day(s))`,
+            amount: unworkedAmount
+        });
+    }
+
+    if (loanBalance > 0) {
+        deductions.push({
+            type: 'loan',
+            arabicName: SETTLEMENT_ARABIC_NAMES.loan,
+            description: 'Outstanding loan balance',
+            amount: roundMoney(loanBalance)
+        });
+    }
+
+    otherEarnings.forEach(earning => {
+        earnings.push({ type: 'other', taxable: false, ...earning, amount: roundMoney(earning.amount) });
+    });
+    otherDeductions.forEach(deduction => {
+        deductions.push({ type: 'other', ...deduction, amount: roundMoney(deduction.amount) });
+    });
+
+    const totalEarnings = roundMoney(earnings.reduce((sum, earning) => sum + earning.amount, 0));
+    const totalDeductions = roundMoney(deductions.reduce((sum, deduction) => sum + deduction.amount, 0));
+
+    return {
+        service,
+        monthlySalary: roundMoney(monthlySalary),
+        dailyRate: roundMoney(dailyRate),
+        gratuity: { months, factor: Math.round(factor * 10000) / 10000, amount: gratuityAmount },
+        leaveEncashment: { days: leaveDays, amount: leaveAmount },
+        unworkedDays: { days: unworkedDays, amount: unworkedAmount },
+        loanBalance: roundMoney(loanBalance),
+        earnings,
+        deductions,
+        totalEarnings,
+        totalDeductions,
+        netAmount: roundMoney(totalEarnings - totalDeductions),
+        currency: salaryStructure.currency || settings.currency
+    };
+};
+
+export default {
+    SETTLEMENT_ARABIC_NAMES,
+    calculateServiceLength,
+    calculateGratuityMonths,
+    getGratuityFactor,
+    getOutstandingLoanBalance,
+    calculateEndOfService
+};
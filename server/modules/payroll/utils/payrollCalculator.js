@@ -0,0 +1,276 @@
+/**
+ * Payroll Calculator
+ * Pure gross-to-net calculation helpers used by PayrollService.
+ * No database access here so the rules can be unit tested in isolation.
+ */
+
+export const DEDUCTION_ARABIC_NAMES = {
+    tax: 'ضريبة الدخل',
+    insurance: 'التأمينات الاجتماعية',
+    absence: 'غياب'
+};
+
+export const EARNING_ARABIC_NAMES = {
+    basic: 'الراتب الأساسي',
+    overtime: 'العمل الإضافي'
+};
+
+/**
+ * Round a monetary amount to 2 decimals
+ */
+export const roundMoney = (amount) => Math.round((Number(amount) || 0) * 100) / 100;
+
+/**
+ * Get the first and last moment of a payroll period ('YYYY-MM')
+ */
+export const getPeriodRange = (period) => {
+    const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(period || '');
+    if (!match) {
+        throw new Error('Period must be in YYYY-MM format');
+    }
+
+    const year = Number(match[1]);
+    const month = Number(match[2]);
+
+    return {
+        startDate: new Date(year, month - 1, 1),
+        endDate: new Date(year, month, 0, 23, 59, 59, 999)
+    };
+};
+
+/**
+ * Calculate progressive tax on an annual income
+ * @param {number} annualIncome - Annual taxable income
+ * @param {Array<{upTo: number|null, rate: number}>} brackets - Brackets ordered by upper bound
+ * @returns {number} Annual tax
+ */
+export const calculateProgressiveTax = (annualIncome, brackets = []) => {
+    if (!annualIncome || annualIncome <= 0) {
+        return 0;
+    }
+
+    const ordered = [...brackets].sort((a, b) => {
+        const aLimit = a.upTo === null || a.upTo === undefined ? Infinity : a.upTo;
+        const bLimit = b.upTo === null || b.upTo === undefined ? Infinity : b.upTo;
+        return aLimit - bLimit;
+    });
+
+    let tax = 0;
+    let lowerBound = 0;
+
+    for (const bracket of ordered) {
+        const upperBound = bracket.upTo === null || bracket.upTo === undefined ? Infinity : bracket.upTo;
+        const taxablePortion = Math.min(annualIncome, upperBound) - lowerBound;
+
+        if (taxablePortion > 0) {
+            tax += taxablePortion * (bracket.rate / 100);
+        }
+
+        if (annualIncome <= upperBound) {
+            break;
+        }
+        lowerBound = upperBound;
+    }
+
+    return roundMoney(tax);
+};
+
+/**
+ * Calculate employee and employer social insurance shares
+ * @param {number} insurableSalary - Monthly insurable salary before limits
+ * @param {Object} config - socialInsurance section of PayrollSettings
+ */
+export const calculateSocialInsurance = (insurableSalary, config = {}) => {
+    if (!config.enabled) {
+        return { insurableSalary: 0, employeeShare: 0, employerShare: 0 };
+    }
+
+    let base = Math.max(insurableSalary, config.minInsurableSalary || 0);
+    if (config.maxInsurableSalary) {
+        base = Math.min(base, config.maxInsurableSalary);
+    }
+
+    return {
+        insurableSalary: roundMoney(base),
+        employeeShare: roundMoney(base * (config.employeeRate || 0) / 100),
+        employerShare: roundMoney(base * (config.employerRate || 0) / 100)
+    };
+};
+
+/**
+ * Calculate a full payslip for one employee and one period
+ * @param {Object} params
+ * @param {Object} params.salaryStructure - Employee salary structure
+ * @param {Object} params.settings - Tenant payroll settings
+ * @param {number} [params.overtimeHours] - Approved paid overtime hours in the period
+ * @param {number} [params.absenceDays] - Unexcused absence days in the period
+ * @param {Array} [params.manualEarnings] - Manually entered earnings (bonuses, etc.)
+ * @param {Array} [params.manualDeductions] - Manually entered deductions (loans, etc.)
+ * @param {Array} [params.periodEarnings] - Earnings from other modules for the period (mission expenses, etc.)
+ * @param {Array} [params.periodDeductions] - Deductions from other modules for the period (advance recovery, etc.)
+ * @returns {Object} Earnings, deductions, employer contributions and totals
+ */
+export const calculatePayslip = ({
+    salaryStructure,
+    settings,
+    overtimeHours = 0,
+    absenceDays = 0,
+    manualEarnings = [],
+    manualDeductions = [],
+    periodEarnings = [],
+    periodDeductions = []
+}) => {
+    const baseSalary = salaryStructure.baseSalary || 0;
+    const workingDays = settings.workingDaysPerMonth || 30;
+    const workingHours = settings.workingHoursPerDay || 8;
+    const dailyRate = baseSalary / workingDays;
+    const hourlyRate = dailyRate / workingHours;
+
+    const earnings = [{
+        type: 'basic',
+        name: 'Basic Salary',
+        arabicName: EARNING_ARABIC_NAMES.basic,
+        amount: roundMoney(baseSalary),
+        taxable: true,
+        source: 'calculated'
+    }];
+
+    (salaryStructure.allowances || []).forEach(allowance => {
+        earnings.push({
+            type: 'allowance',
+            name: allowance.name,
+            arabicName: allowance.arabicName,
+            amount: roundMoney(allowance.amount),
+            taxable: allowance.taxable !== false,
+            source: 'calculated'
+        });
+    });
+
+    if (overtimeHours > 0) {
+        const multiplier = salaryStructure.overtimeRateMultiplier ?? settings.overtime?.rateMultiplier ?? 1;
+        earnings.push({
+            type: 'overtime',
+            name: `Overtime (${overtimeHours}h x ${multiplier})`,
+            arabicName: EARNING_ARABIC_NAMES.overtime,
+            amount: roundMoney(overtimeHours * hourlyRate * multiplier),
+            taxable: true,
+            source: 'calculated'
+        });
+    }
+
+    periodEarnings.forEach(earning => {
+        earnings.push({ ...earning, source: 'calculated' });
+    });
+
+    manualEarnings.forEach(earning => {
+        earnings.push({ ...earning, source: 'manual' });
+    });
+
+    const grossSalary = roundMoney(earnings.reduce((sum, earning) => sum + (earning.amount || 0), 0));
+    const deductions = [];
+
+    if (absenceDays > 0) {
+        const multiplier = settings.absence?.deductionMultiplier ?? 1;
+        deductions.push({
+            type: 'absence',
+            arabicName: DEDUCTION_ARABIC_NAMES.absence,
+            description: `${absenceDays} absence day(s)`,
+            amount: roundMoney(absenceDays * dailyRate * multiplier),
+            source: 'calculated'
+        });
+    }
+
+    const insurableAllowances = (salaryStructure.allowances || [])
+        .filter(allowance => allowance.insurable)
+        .reduce((sum, allowance) => sum + (allowance.amount || 0), 0);
+    const insurance = salaryStructure.socialInsuranceExempt
+        ? { insurableSalary: 0, employeeShare: 0, employerShare: 0 }
+        : calculateSocialInsurance(baseSalary + insurableAllowances, settings.socialInsurance);
+
+    if (insurance.employeeShare > 0) {
+        deductions.push({
+            type: 'insurance',
+            arabicName: DEDUCTION_ARABIC_NAMES.insurance,
+            description: `Social insurance (${settings.socialInsurance.employeeRate}%)`,
+            amount: insurance.employeeShare,
+            source: 'calculated'
+        });
+    }
+
+    // Taxable income: taxable earnings less absence, employee insurance and the monthly exemption
+    const absenceAmount = deductions
+        .filter(deduction => deduction.type === 'absence')
+        .reduce((sum, deduction) => sum + deduction.amount, 0);
+    const taxableEarnings = earnings
+        .filter(earning => earning.taxable !== false)
+        .reduce((sum, earning) => sum + (earning.amount || 0), 0);
+    const monthlyExemption = (settings.incomeTax?.personalExemption || 0) / 12;
+    const taxableIncome = roundMoney(Math.max(
+        0,
+        taxableEarnings - absenceAmount - insurance.employeeShare - monthlyExemption
+    ));
+
+    let monthlyTax = 0;
+    if (settings.incomeTax?.enabled) {
+        monthlyTax = roundMoney(calculateProgressiveTax(taxableIncome * 12, settings.incomeTax.brackets) / 12);
+    }
+
+    if (monthlyTax > 0) {
+        deductions.push({
+            type: 'tax',
+            arabicName: DEDUCTION_ARABIC_NAMES.tax,
+            description: 'Income tax',
+            amount: monthlyTax,
+            source: 'calculated'
+        });
+    }
+
+    periodDeductions.forEach(deduction => {
+        deductions.push({ ...deduction, source: 'calculated' });
+    });
+
+    manualDeductions.forEach(deduction => {
+        deductions.push({ ...deduction, source: 'manual' });
+    });
+
+    const totalDeductions = roundMoney(deductions.reduce((sum, deduction) => sum + (deduction.amount || 0), 0));
+
+    const employerContributions = [];
+    if (insurance.employerShare > 0) {
+        employerContributions.push({
+            type: 'social-insurance',
+            arabicName: DEDUCTION_ARABIC_NAMES.insurance,
+            description: `Employer social insurance (${settings.socialInsurance.employerRate}%)`,
+            amount: insurance.employerShare
+        });
+    }
+    const totalEmployerContributions = employerContributions.reduce((sum, item) => sum + item.amount, 0);
+
+    return {
+        earnings,
+        deductions,
+        employerContributions,
+        grossSalary,
+        taxableIncome,
+        totalDeductions,
+        netSalary: roundMoney(grossSalary - totalDeductions),
+        employerCost: roundMoney(grossSalary - absenceAmount + totalEmployerContributions),
+        currency: salaryStructure.currency || settings.currency,
+        calculation: {
+            baseSalary: roundMoney(baseSalary),
+            dailyRate: roundMoney(dailyRate),
+            hourlyRate: roundMoney(hourlyRate),
+            overtimeHours,
+            absenceDays,
+            insurableSalary: insurance.insurableSalary
+        }
+    };
+};
+
+export default {
+    roundMoney,
+    getPeriodRange,
+    calculateProgressiveTax,
+    calculateSocialInsurance,
+    calculatePayslip
+};
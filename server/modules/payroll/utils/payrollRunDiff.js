@@ -0,0 +1,139 @@
+/**
+ * Payroll Run Diff
+ * Compares the payroll records of a run with a baseline (the previous period's
+ * locked run, or the reversed run for adjustment runs) for the review step.
+ */
+import { roundMoney } from './payrollCalculator.js';
+
+const COMPARED_FIELDS = ['grossSalary', 'totalDeductions', 'netSalary', 'employerCost'];
+
+const getEmployeeKey = (record) => {
+    const employee = record.employee;
+    return (employee?._id || employee)?.toString();
+};
+
+const getEmployeeName = (record) => {
+    const employee = record.employee;
+    if (!employee || !employee.personalInfo) {
+        return employee?.username || employee?.email || undefined;
+    }
+    return employee.personalInfo.fullName
+        || [employee.personalInfo.firstName, employee.personalInfo.lastName].filter(Boolean).join(' ')
+        || employee.username;
+};
+
+/**
+ * Build a per-employee comparison between two sets of payroll records
+ * @param {Array} currentRecords - Records of the run under review
+ * @param {Array} baselineRecords - Records to compare against
+ * @param {Object} [options]
+ * @param {number} [options.thresholdPercent=10] - Net change (in %) that flags a row for attention
+ * @returns {{rows: Array, summary: Object}}
+ */
+export const computePayrollDiff = (currentRecords = [], baselineRecords = [], options = {}) => {
+    const thresholdPercent = options.thresholdPercent ?? 10;
+    const baselineByEmployee = new Map(baselineRecords.map(record => [getEmployeeKey(record), record]));
+    const seen = new Set();
+    const rows = [];
+
+    currentRecords.forEach(record => {
+        const key = getEmployeeKey(record);
+        const baseline = baselineByEmployee.get(key);
+        seen.add(key);
+
+        const row = {
+            employee: key,
+            employeeName: getEmployeeName(record),
+            change: baseline ? 'changed' : 'added',
+            current: {},
+            previous: {},
+            difference: {}
+        };
+
+        COMPARED_FIELDS.forEach(field => {
+            const currentValue = record[field] || 0;
+            const previousValue = baseline ? baseline[field] || 0 : 0;
+            row.current[field] = currentValue;
+            row.previous[field] = previousValue;
+            row.difference[field] = roundMoney(currentValue - previousValue);
+        });
+
+        if (baseline && COMPARED_FIELDS.every(field => row.difference[field] === 0)) {
+            row.change = 'unchanged';
+        }
+
+        const previousNet = row.previous.netSalary;
+        row.netChangePercent = previousNet ? roundMoney((row.difference.netSalary / previousNet) * 100) : null;
+        row.flagged = row.change === 'added'
+            || (row.netChangePercent !== null && Math.abs(row.netChangePercent) >= thresholdPercent);
+
+        rows.push(row);
+    });
+
+    baselineRecords.forEach(record => {
+        const key = getEmployeeKey(record);
+        if (seen.has(key)) {
+            return;
+        }
+
+        const row = {
+            employee: key,
+            employeeName: getEmployeeName(record),
+            change: 'removed',
+            current: {},
+            previous: {},
+            difference: {},
+            netChangePercent: -100,
+            flagged: true
+        };
+
+        COMPARED_FIELDS.forEach(field => {
+            row.current[field] = 0;
+            row.previous[field] = record[field] || 0;
+            row.difference[field] = roundMoney(-(record[field] || 0));
+        });
+
+        rows.push(row);
+    });
+
+    const summary = {
+        added: rows.filter(row => row.change === 'added').length,
+        removed: rows.filter(row => row.change === 'removed').length,
+        changed: rows.filter(row => row.change === 'changed').length,
+        unchanged: rows.filter(row => row.change === 'unchanged').length,
+        flagged: rows.filter(row => row.flagged).length,
+        difference: {}
+    };
+
+    COMPARED_FIELDS.forEach(field => {
+        summary.difference[field] = roundMoney(rows.reduce((sum, row) => sum + row.difference[field], 0));
+    });
+
+    return { rows, summary };
+};
+
+/**
+ * Sum the payroll records of a run
+ */
+export const summarizeRecords = (records = []) => ({
+    employees: records.length,
+    grossSalary: roundMoney(records.reduce((sum, record) => sum + (record.grossSalary || 0), 0)),
+    totalDeductions: roundMoney(records.reduce((sum, record) => sum + (record.totalDeductions || 0), 0)),
+    netSalary: roundMoney(records.reduce((sum, record) => sum + (record.netSalary || 0), 0)),
+    employerCost: roundMoney(records.reduce((sum, record) => sum + (record.employerCost || 0), 0))
+});
+
+/**
+ * Get the period before a 'YYYY-MM' period
+ */
+export const getPreviousPeriod = (period) => {
+    const [year, month] = period.split('-').map(Number);
+    const date = new Date(year, month - 2, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+};
+
+export default {
+    computePayrollDiff,
+    summarizeRecords,
+    getPreviousPeriod
+};
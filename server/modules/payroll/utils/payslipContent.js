@@ -0,0 +1,130 @@
+/**
+ * Payslip Content
+ * Builds the bilingual (English/Arabic) content of a payslip from a payroll
+ * record. Kept free of PDF concerns so the same content can be rendered,
+ * emailed or tested without PDFKit.
+ */
+import { DEDUCTION_ARABIC_NAMES, EARNING_ARABIC_NAMES, roundMoney } from './payrollCalculator.js';
+
+export const PAYSLIP_LABELS = {
+    title: { en: 'Payslip', ar: 'قسيمة الراتب' },
+    employee: { en: 'Employee', ar: 'الموظف' },
+    employeeId: { en: 'Employee ID', ar: 'الرقم الوظيفي' },
+    department: { en: 'Department', ar: 'القسم' },
+    position: { en: 'Position', ar: 'الوظيفة' },
+    period: { en: 'Period', ar: 'الفترة' },
+    earnings: { en: 'Earnings', ar: 'المستحقات' },
+    deductions: { en: 'Deductions', ar: 'الاستقطاعات' },
+    grossSalary: { en: 'Gross Salary', ar: 'إجمالي الراتب' },
+    totalDeductions: { en: 'Total Deductions', ar: 'إجمالي الاستقطاعات' },
+    netSalary: { en: 'Net Salary', ar: 'صافي الراتب' },
+    reference: { en: 'Reference', ar: 'الرقم المرجعي' }
+};
+
+const EARNING_LABELS = {
+    basic: 'Basic Salary',
+    allowance: 'Allowance',
+    overtime: 'Overtime',
+    bonus: 'Bonus',
+    reimbursement: 'Expense Reimbursement',
+    'per-diem': 'Per-diem',
+    'end-of-service': 'End-of-Service Gratuity',
+    'leave-encashment': 'Leave Encashment',
+    'insurance-claim': 'Insurance Claim Payout',
+    other: 'Other Earnings'
+};
+
+const DEDUCTION_LABELS = {
+    tax: 'Income Tax',
+    insurance: 'Social Insurance',
+    'insurance-premium': 'Family Insurance Premium',
+    loan: 'Loan',
+    advance: 'Advance Recovery',
+    absence: 'Absence',
+    medical: 'Medical',
+    transportation: 'Transportation',
+    'mobile-bill': 'Mobile Bill',
+    'disciplinary-sanctions': 'Disciplinary Sanctions',
+    other: 'Other Deductions'
+};
+
+const getEmployeeName = (employee = {}) => {
+    const info = employee.personalInfo || {};
+    return info.fullName
+        || [info.firstName, info.lastName].filter(Boolean).join(' ')
+        || employee.username
+        || employee.email
+        || '';
+};
+
+/**
+ * Payslip reference number, stable for a payroll record
+ * e.g. PS-2025-10-EMP001
+ */
+export const getPayslipReference = (payroll, employee = {}) => {
+    const employeeKey = employee.employeeId || (employee._id || payroll.employee)?.toString().slice(-6).toUpperCase();
+    return `PS-${payroll.period}-${employeeKey}`;
+};
+
+/**
+ * File name used for the generated PDF and email attachment
+ */
+export const getPayslipFileName = (payroll, employee = {}) => `payslip-${getPayslipReference(payroll, employee)}.pdf`;
+
+/**
+ * Build the payslip content for a payroll record
+ * @param {Object} payroll - Payroll record (plain object or document)
+ * @param {Object} [employee] - Populated employee (defaults to payroll.employee)
+ * @returns {Object} Bilingual payslip content
+ */
+export const buildPayslipContent = (payroll, employee = payroll.employee || {}) => {
+    const earnings = (payroll.earnings || []).map(earning => ({
+        label: earning.name || EARNING_LABELS[earning.type] || earning.type,
+        arabicLabel: earning.arabicName || EARNING_ARABIC_NAMES[earning.type] || '',
+        amount: roundMoney(earning.amount)
+    }));
+
+    const deductions = (payroll.deductions || []).map(deduction => ({
+        label: deduction.description || DEDUCTION_LABELS[deduction.type] || deduction.type,
+        arabicLabel: deduction.arabicName || DEDUCTION_ARABIC_NAMES[deduction.type] || '',
+        amount: roundMoney(deduction.amount)
+    }));
+
+    const totalDeductions = roundMoney(
+        payroll.totalDeductions ?? deductions.reduce((sum, deduction) => sum + deduction.amount, 0)
+    );
+    const grossSalary = roundMoney(
+        payroll.grossSalary || earnings.reduce((sum, earning) => sum + earning.amount, 0)
+    );
+    // Records entered before the calculation engine have no gross figures
+    const netSalary = roundMoney(payroll.netSalary || grossSalary - totalDeductions);
+
+    return {
+        reference: getPayslipReference(payroll, employee),
+        period: payroll.period,
+        currency: payroll.currency || 'EGP',
+        employee: {
+            name: getEmployeeName(employee),
+            arabicName: employee.personalInfo?.arabicName || '',
+            employeeId: employee.employeeId || '',
+            department: employee.department?.name || '',
+            arabicDepartment: employee.department?.arabicName || '',
+            position: employee.position?.title || '',
+            arabicPosition: employee.position?.arabicTitle || ''
+        },
+        earnings,
+        deductions,
+        totals: {
+            grossSalary,
+            totalDeductions,
+            netSalary
+        }
+    };
+};
+
+export default {
+    PAYSLIP_LABELS,
+    getPayslipReference,
+    getPayslipFileName,
+    buildPayslipContent
+};
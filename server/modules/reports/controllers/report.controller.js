@@ -5,13 +5,11 @@
  */
 import Report from '../models/report.model.js';
 import ReportExecution from '../models/reportExecution.model.js';
-import User from '../../hr-core/users/models/user.model.js';
-import Attendance from '../../hr-core/attendance/models/attendance.model.js';
-import Vacation from '../../hr-core/vacations/models/vacation.model.js';
-import Mission from '../../hr-core/missions/models/mission.model.js';
-import SickLeave from '../../hr-core/vacations/models/sickLeave.model.js';
-import Payroll from '../../payroll/models/payroll.model.js';
-import Request from '../../hr-core/requests/models/request.model.js';
+import ReportExecutionService from '../services/ReportExecutionService.js';
+import { EXPORT_FORMATS, renderReport } from '../utils/reportExport.js';
+import { getReportFields } from '../utils/reportBuilder.js';
+
+const reportExecutionService = new ReportExecutionService();
 
 /**
  * Get all reports for user
@@ -97,6 +95,7 @@ export const createReport = async (req, res) => {
     try {
         const reportData = {
             ...req.body,
+            tenantId: req.tenantId || req.user?.tenantId,
             createdBy: req.user._id
         };
 
@@ -141,7 +140,11 @@ export const updateReport = async (req, res) => {
             return res.status(403).json({ error: 'No edit permission' });
         }
 
-        Object.assign(report, req.body);
+        // The tenant is recorded when the report is created, never by an edit
+        const changes = { ...req.body };
+        delete changes.tenantId;
+        Object.assign(report, changes);
+        report.tenantId = report.tenantId || req.tenantId || req.user?.tenantId;
         report.lastModifiedBy = req.user._id;
 
         // Recalculate next run if schedule changed
@@ -203,219 +206,30 @@ export const executeReport = async (req, res) => {
 
         const { startDate, endDate, additionalFilters } = req.body;
 
-        // Create execution record
-        const execution = new ReportExecution({
-            report: report._id,
-            reportName: report.name,
+        const { execution, results } = await reportExecutionService.executeReport(report, {
+            startDate,
+            endDate,
+            additionalFilters
+        }, {
             executedBy: req.user._id,
             executionType: 'manual',
-            parameters: {
-                startDate,
-                endDate,
-                filters: report.filters,
-                additionalParams: additionalFilters
-            },
+            tenantId: req.tenantId || req.user?.tenantId,
             ipAddress: req.ip,
-            userAgent: req.get('user-agent'),
-            status: 'running'
+            userAgent: req.get('user-agent')
         });
 
-        await execution.save();
-
-        try {
-            // Execute report based on type
-            const results = await executeReportQuery(report, { startDate, endDate, additionalFilters });
-
-            // Mark as completed
-            await execution.markCompleted(results.length, results);
-            await report.recordRun();
-
-            res.json({
-                success: true,
-                message: 'Report executed successfully',
-                executionId: execution._id,
-                results,
-                count: results.length
-            });
-        } catch (error) {
-            await execution.markFailed(error);
-            throw error;
-        }
+        res.json({
+            success: true,
+            message: 'Report executed successfully',
+            executionId: execution._id,
+            results,
+            count: results.length
+        });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
 
-/**
- * Helper: Execute report query
- */
-async function executeReportQuery(report, params) {
-    const { startDate, endDate, additionalFilters } = params;
-
-    let Model;
-    let query = {};
-
-    // Select model based on report type
-    switch (report.reportType) {
-        case 'employee':
-            Model = User;
-            query.isActive = true;
-            break;
-        case 'attendance':
-            Model = Attendance;
-            if (startDate) query.date = { $gte: new Date(startDate) };
-            if (endDate) query.date = { ...query.date, $lte: new Date(endDate) };
-            break;
-        case 'leave':
-            // Legacy leave type - now split into vacation, mission, sick-leave
-            // Default to vacation for backward compatibility
-            Model = Vacation;
-            if (startDate) query.startDate = { $gte: new Date(startDate) };
-            if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
-            break;
-        case 'vacation':
-            Model = Vacation;
-            if (startDate) query.startDate = { $gte: new Date(startDate) };
-            if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
-            break;
-        case 'mission':
-            Model = Mission;
-            if (startDate) query.startDate = { $gte: new Date(startDate) };
-            if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
-            break;
-        case 'sick-leave':
-            Model = SickLeave;
-            if (startDate) query.startDate = { $gte: new Date(startDate) };
-            if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
-            break;
-        case 'payroll':
-            Model = Payroll;
-            if (startDate) query.payPeriodStart = { $gte: new Date(startDate) };
-            if (endDate) query.payPeriodEnd = { ...query.payPeriodEnd, $lte: new Date(endDate) };
-            break;
-        case 'request':
-            Model = Request;
-            break;
-        default:
-            throw new Error('Invalid report type');
-    }
-
-    // Apply filters
-    report.filters.forEach(filter => {
-        query = applyFilter(query, filter);
-    });
-
-    // Apply additional filters
-    if (additionalFilters) {
-        Object.assign(query, additionalFilters);
-    }
-
-    // Build field projection
-    const projection = {};
-    report.fields.forEach(field => {
-        projection[field.fieldName] = 1;
-    });
-
-    // Execute query
-    let queryBuilder = Model.find(query, projection);
-
-    // Apply sorting
-    if (report.sorting && report.sorting.length > 0) {
-        const sortObj = {};
-        report.sorting.forEach(sort => {
-            sortObj[sort.field] = sort.order === 'asc' ? 1 : -1;
-        });
-        queryBuilder = queryBuilder.sort(sortObj);
-    }
-
-    // Apply grouping if specified
-    if (report.groupBy && report.groupBy.length > 0) {
-        // Use aggregation for grouping
-        const pipeline = [
-            { $match: query }
-        ];
-
-        const groupStage = {
-            _id: {}
-        };
-
-        report.groupBy.forEach(field => {
-            groupStage._id[field] = `$${field}`;
-        });
-
-        report.fields.forEach(field => {
-            if (field.aggregation && field.aggregation !== 'none') {
-                groupStage[field.fieldName] = {
-                    [`$${field.aggregation}`]: `$${field.fieldName}`
-                };
-            }
-        });
-
-        pipeline.push({ $group: groupStage });
-
-        return await Model.aggregate(pipeline);
-    }
-
-    return await queryBuilder.limit(10000).exec(); // Max 10k records
-}
-
-/**
- * Helper: Apply filter to query
- */
-function applyFilter(query, filter) {
-    const { field, operator, value } = filter;
-
-    switch (operator) {
-        case 'equals':
-            query[field] = value;
-            break;
-        case 'notEquals':
-            query[field] = { $ne: value };
-            break;
-        case 'contains':
-            query[field] = { $regex: value, $options: 'i' };
-            break;
-        case 'notContains':
-            query[field] = { $not: { $regex: value, $options: 'i' } };
-            break;
-        case 'startsWith':
-            query[field] = { $regex: `^${value}`, $options: 'i' };
-            break;
-        case 'endsWith':
-            query[field] = { $regex: `${value}$`, $options: 'i' };
-            break;
-        case 'greaterThan':
-            query[field] = { $gt: value };
-            break;
-        case 'lessThan':
-            query[field] = { $lt: value };
-            break;
-        case 'greaterThanOrEqual':
-            query[field] = { $gte: value };
-            break;
-        case 'lessThanOrEqual':
-            query[field] = { $lte: value };
-            break;
-        case 'between':
-            query[field] = { $gte: value[0], $lte: value[1] };
-            break;
-        case 'in':
-            query[field] = { $in: value };
-            break;
-        case 'notIn':
-            query[field] = { $nin: value };
-            break;
-        case 'isNull':
-            query[field] = null;
-            break;
-        case 'isNotNull':
-            query[field] = { $ne: null };
-            break;
-    }
-
-    return query;
-}
-
 /**
  * Export report
  */
@@ -437,111 +251,25 @@ export const exportReport = async (req, res) => {
             return res.status(404).json({ error: 'No data to export' });
         }
 
-        // Export based on format
-        switch (format) {
-            case 'csv':
-                return exportToCSV(res, execution.reportName, results);
-            case 'excel':
-                return await exportToExcel(res, execution.reportName, results);
-            case 'pdf':
-                return await exportToPDF(res, execution.reportName, results, execution.report);
-            case 'html':
-                return exportToHTML(res, execution.reportName, results);
-            default:
-                return res.json({ success: true, results });
+        if (!EXPORT_FORMATS[format] || format === 'json') {
+            return res.json({ success: true, results });
         }
+
+        const file = await renderReport(execution.reportName, results, format, {
+            fields: execution.report ? getReportFields(execution.report) : [],
+            exportSettings: execution.report?.exportSettings
+        });
+
+        res.header('Content-Type', file.contentType);
+        if (format !== 'html') {
+            res.attachment(file.fileName);
+        }
+        res.send(file.content);
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
 };
 
-/**
- * Helper: Export to CSV
- */
-function exportToCSV(res, reportName, data) {
-    if (!data || data.length === 0) {
-        return res.status(404).json({ error: 'No data to export' });
-    }
-
-    const headers = Object.keys(data[0]);
-    const csv = [
-        headers.join(','),
-        ...data.map(row =>
-            headers.map(header => {
-                const value = row[header];
-                return typeof value === 'string' && value.includes(',')
-                    ? `"${value}"`
-                    : value;
-            }).join(',')
-        )
-    ].join('\n');
-
-    res.header('Content-Type', 'text/csv');
-    res.attachment(`${reportName}-${Date.now()}.csv`);
-    res.send(csv);
-}
-
-/**
- * Helper: Export to Excel (placeholder)
- */
-async function exportToExcel(res, reportName, data) {
-    // Would require exceljs or similar library
-    // For now, return CSV
-    return exportToCSV(res, reportName, data);
-}
-
-/**
- * Helper: Export to PDF (placeholder)
- */
-async function exportToPDF(res, reportName, data, report) {
-    // Would require pdfkit or similar library
-    // For now, return HTML
-    return exportToHTML(res, reportName, data);
-}
-
-/**
- * Helper: Export to HTML
- */
-function exportToHTML(res, reportName, data) {
-    if (!data || data.length === 0) {
-        return res.status(404).json({ error: 'No data to export' });
-    }
-
-    const headers = Object.keys(data[0]);
-
-    const html = `
-<!DOCTYPE html>
-<html>
-<head>
-    <title>${reportName}</title>
-    <style>
-        body { font-family: Arial, sans-serif; margin: 20px; }
-        h1 { color: #333; }
-        table { border-collapse: collapse; width: 100%; margin-top: 20px; }
-        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
-        th { background-color: #4CAF50; color: white; }
-        tr:nth-child(even) { background-color: #f2f2f2; }
-    </style>
-</head>
-<body>
-    <h1>${reportName}</h1>
-    <p>Generated: ${new Date().toLocaleString()}</p>
-    <p>Total Records: ${data.length}</p>
-    <table>
-        <thead>
-            <tr>${headers.map(h => `<th>${h}</th>`).join('')}</tr>
-        </thead>
-        <tbody>
-            ${data.map(row => `<tr>${headers.map(h => `<td>${row[h] || ''}</td>`).join('')}</tr>`).join('')}
-        </tbody>
-    </table>
-</body>
-</html>`;
-
-    res.header('Content-Type', 'text/html');
-    res.send(html);
-}
-
 /**
  * Get report templates
  */
@@ -563,7 +291,7 @@ export const getTemplates = async (req, res) => {
  */
 export const getExecutionHistory = async (req, res) => {
     try {
-        const { reportId } = req.params;
+        const reportId = req.params.id;
         const { limit = 50, page = 1 } = req.query;
 
         const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -595,7 +323,7 @@ export const getExecutionHistory = async (req, res) => {
  */
 export const getReportStatistics = async (req, res) => {
     try {
-        const { reportId } = req.params;
+        const reportId = req.params.id;
         const { days = 30 } = req.query;
 
         const stats = await ReportExecution.getStatistics(reportId, parseInt(days));
@@ -4,8 +4,26 @@
  * Custom report definitions and configurations
  */
 import mongoose from 'mongoose';
+import { getNextRun } from '../utils/reportSchedule.js';
+import { AGGREGATIONS, compileExpression } from '../utils/reportBuilder.js';
+
+const isValidExpression = (expression) => {
+    try {
+        compileExpression(expression);
+        return true;
+    } catch {
+        return false;
+    }
+};
 
 const reportSchema = new mongoose.Schema({
+    // Tenant whose data the report covers; scheduled runs are limited to it.
+    // Reports saved before it was recorded fall back to their owner's tenant
+    tenantId: {
+        type: String,
+        trim: true,
+        index: true
+    },
     // Report Information
     name: {
         type: String,
@@ -95,6 +113,53 @@ const reportSchema = new mongoose.Schema({
 
     // Grouping
     groupBy: [String],
+    subtotals: {
+        type: Boolean,
+        default: false
+    },
+
+    // Computed columns, evaluated per row before grouping
+    computedColumns: [{
+        name: {
+            type: String,
+            required: true,
+            match: /^[A-Za-z_]\w*$/
+        },
+        displayName: String,
+        expression: {
+            type: String,
+            required: true,
+            validate: {
+                validator: isValidExpression,
+                message: props => `Invalid computed column expression: ${props.value}`
+            }
+        },
+        aggregation: {
+            type: String,
+            enum: AGGREGATIONS,
+            default: 'none'
+        }
+    }],
+
+    // Pivot table, e.g. department by month
+    pivot: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        rowField: String,
+        columnField: String,
+        valueField: String,
+        aggregation: {
+            type: String,
+            enum: AGGREGATIONS.filter(aggregation => aggregation !== 'none'),
+            default: 'sum'
+        },
+        totals: {
+            type: Boolean,
+            default: true
+        }
+    },
 
     // Visualization
     visualization: {
@@ -152,7 +217,7 @@ const reportSchema = new mongoose.Schema({
     exportSettings: {
         defaultFormat: {
             type: String,
-            enum: ['excel', 'pdf', 'csv', 'html'],
+            enum: ['excel', 'pdf', 'csv', 'html', 'json'],
             default: 'excel'
         },
         includeCharts: {
@@ -227,40 +292,8 @@ reportSchema.virtual('nextScheduledRun').get(function () {
 });
 
 // Method to calculate next run time
-reportSchema.methods.calculateNextRun = function () {
-    if (!this.schedule.enabled) return null;
-
-    const now = new Date();
-    let nextRun = new Date();
-
-    switch (this.schedule.frequency) {
-        case 'daily':
-            nextRun.setDate(nextRun.getDate() + 1);
-            break;
-        case 'weekly':
-            nextRun.setDate(nextRun.getDate() + 7);
-            break;
-        case 'monthly':
-            nextRun.setMonth(nextRun.getMonth() + 1);
-            if (this.schedule.dayOfMonth) {
-                nextRun.setDate(this.schedule.dayOfMonth);
-            }
-            break;
-        case 'quarterly':
-            nextRun.setMonth(nextRun.getMonth() + 3);
-            break;
-        case 'yearly':
-            nextRun.setFullYear(nextRun.getFullYear() + 1);
-            break;
-    }
-
-    // Set time if specified
-    if (this.schedule.time) {
-        const [hours, minutes] = this.schedule.time.split(':');
-        nextRun.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-    }
-
-    return nextRun;
+reportSchema.methods.calculateNextRun = function (from = new Date()) {
+    return getNextRun(this.schedule, from);
 };
 
 // Method to update run statistics
@@ -277,12 +310,14 @@ reportSchema.methods.recordRun = async function () {
 };
 
 // Static method to get scheduled reports
-reportSchema.statics.getScheduledReports = function () {
+reportSchema.statics.getScheduledReports = function (now = new Date()) {
     return this.find({
         'schedule.enabled': true,
-        'schedule.nextRun': { $lte: new Date() },
+        'schedule.nextRun': { $lte: now },
         isActive: true
-    }).populate('createdBy', 'username email');
+    })
+        .populate('createdBy', 'username email tenantId')
+        .populate('sharedWith.user', 'username email');
 };
 
 // Static method to get user reports
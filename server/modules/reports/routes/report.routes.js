@@ -20,6 +20,7 @@ import {
     validateReportFields,
     validateReportFilters,
     validateReportSchedule,
+    validateReportLayout,
     validateVisualization,
     validateExportSettings,
     validateReportType,
@@ -58,6 +59,7 @@ router.post('/',
     validateReportFields,
     validateReportFilters,
     validateReportSchedule,
+    validateReportLayout,
     validateVisualization,
     validateExportSettings,
     createReport
@@ -70,6 +72,7 @@ router.put('/:id',
     validateReportFields,
     validateReportFilters,
     validateReportSchedule,
+    validateReportLayout,
     validateVisualization,
     validateExportSettings,
     updateReport
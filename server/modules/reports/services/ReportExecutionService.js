@@ -0,0 +1,395 @@
+import Report from '../models/report.model.js';
+import ReportExecution from '../models/reportExecution.model.js';
+import User from '../../hr-core/users/models/user.model.js';
+import Attendance from '../../hr-core/attendance/models/attendance.model.js';
+import Vacation from '../../hr-core/vacations/models/vacation.model.js';
+import Mission from '../../hr-core/missions/models/mission.model.js';
+import SickLeave from '../../hr-core/vacations/models/sickLeave.model.js';
+import Payroll from '../../payroll/models/payroll.model.js';
+import Request from '../../hr-core/requests/models/request.model.js';
+import { sendEmail } from '../../email-service/services/email.service.js';
+import { renderReport, toRows } from '../utils/reportExport.js';
+import {
+    addComputedColumns,
+    buildReportOutput,
+    getReferencedFields,
+    getReportFields,
+    isSummaryReport
+} from '../utils/reportBuilder.js';
+import { getReportPeriod, buildScheduledReportEmail } from '../utils/reportSchedule.js';
+import logger from '../../../utils/logger.js';
+
+// Records a grouped or pivot report may summarise; more would need narrower filters
+const MAX_SUMMARY_RECORDS = 100000;
+
+/**
+ * Report Execution Service - Runs report definitions
+ * Manual runs from the API and scheduled runs go through executeReport, so
+ * both are recorded in the report's execution history the same way.
+ */
+class ReportExecutionService {
+    /**
+     * Run a report and record the execution
+     * @param {Object} report - Report document
+     * @param {Object} params - { startDate, endDate, additionalFilters }
+     * @param {Object} context - { executedBy, executionType, tenantId, ipAddress, userAgent }
+     * @returns {Promise<{execution: Object, results: Object[]}>}
+     */
+    async executeReport(report, params, context) {
+        const { startDate, endDate, additionalFilters } = params;
+
+        const execution = new ReportExecution({
+            report: report._id,
+            reportName: report.name,
+            executedBy: context.executedBy,
+            executionType: context.executionType || 'manual',
+            parameters: {
+                startDate,
+                endDate,
+                filters: report.filters,
+                additionalParams: additionalFilters
+            },
+            ipAddress: context.ipAddress,
+            userAgent: context.userAgent,
+            status: 'running'
+        });
+
+        await execution.save();
+
+        try {
+            const results = await this.runQuery(report, params, context.tenantId);
+
+            await execution.markCompleted(results.length, results);
+            await report.recordRun();
+
+            return { execution, results };
+        } catch (error) {
+            await execution.markFailed(error);
+            throw error;
+        }
+    }
+
+    /**
+     * Query the data of a report
+     * @param {Object} report - Report document
+     * @param {Object} params - { startDate, endDate, additionalFilters }
+     * @param {string} tenantId - Limits the data to one tenant
+     * @returns {Promise<Object[]>}
+     */
+    async runQuery(report, params, tenantId) {
+        const { startDate, endDate, additionalFilters } = params;
+
+        // Without a tenant the query would return every tenant's data
+        if (!tenantId) {
+            throw new Error('Cannot run report: no tenant to limit its data to');
+        }
+
+        let Model;
+        let query = {};
+
+        // Select model based on report type
+        switch (report.reportType) {
+            case 'employee':
+                Model = User;
+                query.isActive = true;
+                break;
+            case 'attendance':
+                Model = Attendance;
+                if (startDate) query.date = { $gte: new Date(startDate) };
+                if (endDate) query.date = { ...query.date, $lte: new Date(endDate) };
+                break;
+            case 'leave':
+                // Legacy leave type - now split into vacation, mission, sick-leave
+                // Default to vacation for backward compatibility
+                Model = Vacation;
+                if (startDate) query.startDate = { $gte: new Date(startDate) };
+                if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
+                break;
+            case 'vacation':
+                Model = Vacation;
+                if (startDate) query.startDate = { $gte: new Date(startDate) };
+                if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
+                break;
+            case 'mission':
+                Model = Mission;
+                if (startDate) query.startDate = { $gte: new Date(startDate) };
+                if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
+                break;
+            case 'sick-leave':
+                Model = SickLeave;
+                if (startDate) query.startDate = { $gte: new Date(startDate) };
+                if (endDate) query.endDate = { ...query.endDate, $lte: new Date(endDate) };
+                break;
+            case 'payroll':
+                Model = Payroll;
+                if (startDate) query.payPeriodStart = { $gte: new Date(startDate) };
+                if (endDate) query.payPeriodEnd = { ...query.payPeriodEnd, $lte: new Date(endDate) };
+                break;
+            case 'request':
+                Model = Request;
+                break;
+            default:
+                throw new Error('Invalid report type');
+        }
+
+        // Apply filters
+        report.filters.forEach(filter => {
+            query = this.applyFilter(query, filter);
+        });
+
+        // Apply additional filters
+        if (additionalFilters) {
+            Object.assign(query, additionalFilters);
+        }
+
+        // Scope to the tenant last so filters cannot widen it
+        if (Model.schema.path('tenantId')) {
+            query.tenantId = tenantId;
+        }
+
+        const paths = getReferencedFields(report);
+        const populate = this.getPopulatePaths(Model, paths);
+
+        // Build field projection; referenced documents are projected whole and populated
+        const projection = {};
+        if (report.fields.length > 0) {
+            paths.forEach(path => {
+                const root = path.split('.')[0];
+                projection[populate.has(root) ? root : path] = 1;
+            });
+        }
+
+        // Execute query
+        let queryBuilder = Model.find(query, projection);
+
+        // Apply sorting
+        if (report.sorting && report.sorting.length > 0) {
+            const sortObj = {};
+            report.sorting.forEach(sort => {
+                sortObj[sort.field] = sort.order === 'asc' ? 1 : -1;
+            });
+            queryBuilder = queryBuilder.sort(sortObj);
+        }
+
+        populate.forEach((select, path) => {
+            queryBuilder = queryBuilder.populate(path, select.join(' '));
+        });
+
+        // Grouped and pivot reports summarise every matching record
+        if (isSummaryReport(report)) {
+            const rows = await queryBuilder.limit(MAX_SUMMARY_RECORDS + 1).lean().exec();
+            if (rows.length > MAX_SUMMARY_RECORDS) {
+                throw new Error(`Report matches more than ${MAX_SUMMARY_RECORDS} records; narrow its filters or date range`);
+            }
+            return buildReportOutput(rows, report);
+        }
+
+        const results = await queryBuilder.limit(10000).exec(); // Max 10k records
+
+        if (report.computedColumns && report.computedColumns.length > 0) {
+            return addComputedColumns(toRows(results), report.computedColumns);
+        }
+
+        return results;
+    }
+
+    /**
+     * Referenced documents to populate for dotted field paths such as
+     * `department.name`, with the fields to select from each
+     * @returns {Map<string, string[]>} Path -> selected fields
+     */
+    getPopulatePaths(Model, paths) {
+        const populate = new Map();
+
+        paths.filter(path => path.includes('.')).forEach(path => {
+            const [root, ...rest] = path.split('.');
+            const schemaPath = Model.schema.path(root);
+            const ref = schemaPath?.options?.ref || schemaPath?.caster?.options?.ref;
+            if (!ref) return;
+
+            if (!populate.has(root)) {
+                populate.set(root, []);
+            }
+            populate.get(root).push(rest[0]);
+        });
+
+        return populate;
+    }
+
+    /**
+     * Apply a report filter to a query
+     */
+    applyFilter(query, filter) {
+        const { field, operator, value } = filter;
+
+        switch (operator) {
+            case 'equals':
+                query[field] = value;
+                break;
+            case 'notEquals':
+                query[field] = { $ne: value };
+                break;
+            case 'contains':
+                query[field] = { $regex: value, $options: 'i' };
+                break;
+            case 'notContains':
+                query[field] = { $not: { $regex: value, $options: 'i' } };
+                break;
+            case 'startsWith':
+                query[field] = { $regex: `^${value}`, $options: 'i' };
+                break;
+            case 'endsWith':
+                query[field] = { $regex: `${value}$`, $options: 'i' };
+                break;
+            case 'greaterThan':
+                query[field] = { $gt: value };
+                break;
+            case 'lessThan':
+                query[field] = { $lt: value };
+                break;
+            case 'greaterThanOrEqual':
+                query[field] = { $gte: value };
+                break;
+            case 'lessThanOrEqual':
+                query[field] = { $lte: value };
+                break;
+            case 'between':
+                query[field] = { $gte: value[0], $lte: value[1] };
+                break;
+            case 'in':
+                query[field] = { $in: value };
+                break;
+            case 'notIn':
+                query[field] = { $nin: value };
+                break;
+            case 'isNull':
+                query[field] = null;
+                break;
+            case 'isNotNull':
+                query[field] = { $ne: null };
+                break;
+        }
+
+        return query;
+    }
+
+    /**
+     * Run every scheduled report that is due
+     * @returns {Promise<{executed: number, failed: number}>}
+     */
+    async runScheduledReports(now = new Date()) {
+        const reports = await Report.getScheduledReports(now);
+        let executed = 0;
+        let failed = 0;
+
+        for (const report of reports) {
+            try {
+                const execution = await this.runScheduledReport(report, now);
+                if (execution) executed++;
+            } catch (error) {
+                failed++;
+                logger.error('Scheduled report failed', {
+                    reportId: report._id,
+                    reportName: report.name,
+                    error: error.message
+                });
+            }
+        }
+
+        return { executed, failed };
+    }
+
+    /**
+     * Run one due scheduled report as its owner and email the export
+     * The report is claimed by moving its next run forward first, so a run
+     * that fails is retried at the next occurrence rather than every minute,
+     * and a second server never sends the same report twice.
+     * @returns {Promise<Object|null>} Execution, or null when another server claimed the run
+     */
+    async runScheduledReport(report, now = new Date()) {
+        const runAt = report.schedule.nextRun;
+        const claimed = await Report.updateOne(
+            { _id: report._id, 'schedule.nextRun': runAt },
+            { $set: { 'schedule.nextRun': report.calculateNextRun(now) } }
+        );
+        if (claimed.modifiedCount === 0) {
+            return null;
+        }
+
+        const owner = report.createdBy;
+        const tenantId = report.tenantId || owner?.tenantId;
+        if (!tenantId) {
+            throw new Error('Cannot run scheduled report: its tenant cannot be resolved');
+        }
+        const { startDate, endDate } = getReportPeriod(report.schedule.frequency, runAt);
+
+        const { execution, results } = await this.executeReport(report, { startDate, endDate }, {
+            executedBy: owner?._id,
+            executionType: 'scheduled',
+            tenantId
+        });
+
+        const format = report.exportSettings?.defaultFormat || 'excel';
+        const file = await renderReport(report.name, results, format, {
+            fields: getReportFields(report),
+            exportSettings: report.exportSettings,
+            generatedAt: now
+        });
+
+        execution.exportFormat = format;
+        execution.exportSize = Buffer.byteLength(file.content);
+
+        const recipients = this.getRecipients(report);
+        if (recipients.length === 0) {
+            logger.warn('Scheduled report has no recipients', { reportId: report._id });
+            await execution.save();
+            return execution;
+        }
+
+        const email = buildScheduledReportEmail(report, {
+            startDate,
+            endDate,
+            count: results.length,
+            fileName: file.fileName
+        });
+        const result = await sendEmail({
+            ...email,
+            to: recipients.join(', '),
+            attachments: [{
+                filename: file.fileName,
+                content: file.content,
+                contentType: file.contentType
+            }]
+        });
+
+        execution.emailRecipients = recipients;
+        if (result?.success) {
+            execution.emailSent = true;
+            execution.emailSentAt = new Date();
+        } else {
+            logger.error('Failed to email scheduled report', {
+                reportId: report._id,
+                error: result?.error
+            });
+        }
+        await execution.save();
+
+        return execution;
+    }
+
+    /**
+     * Email addresses a scheduled report goes to: the schedule's recipients,
+     * the owner and the users it is shared with
+     */
+    getRecipients(report) {
+        const emails = [
+            ...(report.schedule?.recipients || []),
+            report.createdBy?.email,
+            ...(report.sharedWith || []).map(share => share.user?.email)
+        ].filter(Boolean).map(email => email.toLowerCase());
+
+        return [...new Set(emails)];
+    }
+}
+
+export default ReportExecutionService;
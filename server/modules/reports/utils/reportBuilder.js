@@ -0,0 +1,467 @@
+/**
+ * Report Builder Utilities
+ *
+ * Shapes the rows of a custom report: computed columns, grouping with
+ * subtotals driven by each field's aggregation, and pivot tables such as
+ * department by month. Works on plain rows after the query, so computed
+ * columns can be grouped and pivoted like stored fields.
+ */
+
+export const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max', 'none'];
+
+export const SUBTOTAL_LABEL = 'Subtotal';
+export const TOTAL_LABEL = 'Total';
+
+/**
+ * Value at a dotted path, e.g. `department.name`
+ */
+export const getPath = (row, path) => path.split('.').reduce(
+    (value, key) => (value === null || value === undefined ? undefined : value[key]),
+    row
+);
+
+// Comparable form of a value, so ObjectIds and dates group by what they hold
+const valueKey = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'object' ? String(value) : `${typeof value}:${value}`;
+};
+
+const compareValues = (a, b) => {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (a instanceof Date && b instanceof Date) return a - b;
+    return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+// Avoid floating point noise such as 0.1 + 0.2 in sums and averages
+const tidy = (number) => Math.round(number * 1e10) / 1e10;
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+/**
+ * Aggregate values with one of the report field aggregations
+ * @param {Array} values
+ * @param {string} aggregation - sum, avg, count, min, max or none
+ * @returns {*} Result, or null when there is nothing to aggregate
+ */
+export const aggregateValues = (values, aggregation) => {
+    const present = values.filter(value => !isBlank(value));
+
+    switch (aggregation) {
+        case 'count':
+            return present.length;
+        case 'sum':
+        case 'avg': {
+            const numbers = present.map(Number).filter(Number.isFinite);
+            if (numbers.length === 0) return aggregation === 'sum' ? 0 : null;
+            const sum = numbers.reduce((total, number) => total + number, 0);
+            return tidy(aggregation === 'sum' ? sum : sum / numbers.length);
+        }
+        case 'min':
+        case 'max': {
+            if (present.length === 0) return null;
+            const sorted = [...present].sort(compareValues);
+            return aggregation === 'min' ? sorted[0] : sorted[sorted.length - 1];
+        }
+        default:
+            return present.length > 0 ? present[0] : null;
+    }
+};
+
+// Rows split by the value at a path, in ascending order of that value
+const partition = (rows, path, direction = 1) => {
+    const groups = new Map();
+
+    rows.forEach(row => {
+        const value = getPath(row, path);
+        const key = valueKey(value);
+        if (!groups.has(key)) {
+            groups.set(key, { value, rows: [] });
+        }
+        groups.get(key).rows.push(row);
+    });
+
+    return [...groups.values()].sort((a, b) => direction * compareValues(a.value, b.value));
+};
+
+// --- Computed column expressions ---
+
+const EXPRESSION_FUNCTIONS = {
+    round: (value, digits = 0) => {
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    },
+    abs: Math.abs,
+    min: Math.min,
+    max: Math.max,
+    // Whole days from the first date to the second
+    daysBetween: (from, to) => Math.round((new Date(to) - new Date(from)) / 86400000),
+    // Calendar month as YYYY-MM, the usual pivot column
+    month: (date) => new Date(date).toISOString().slice(0, 7),
+    year: (date) => new Date(date).getUTCFullYear()
+};
+
+const DATE_FUNCTIONS = ['daysBetween', 'month', 'year'];
+
+const tokenize = (expression) => {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|([-+*/%(),]))/y;
+    let index = 0;
+
+    while (index < expression.length) {
+        if (/^\s*$/.test(expression.slice(index))) break;
+
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) {
+            throw new Error(`Invalid computed column expression: unexpected "${expression.slice(index).trim()[0]}"`);
+        }
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: parseFloat(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'symbol', value: match[3] });
+
+        index = pattern.lastIndex;
+    }
+
+    return tokens;
+};
+
+const toNumber = (value) => {
+    if (isBlank(value)) return null;
+    const number = value instanceof Date ? value.getTime() : Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const BINARY_OPERATORS = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => (b === 0 ? null : a / b),
+    '%': (a, b) => (b === 0 ? null : a % b)
+};
+
+/**
+ * Compile a computed column expression
+ * Supports numbers, field paths, + - * / %, parentheses and the functions
+ * round, abs, min, max, coalesce, daysBetween, month and year. A blank
+ * operand or a division by zero makes the result blank; use coalesce(field, 0)
+ * to count blanks as zero.
+ * @param {string} expression - e.g. `round(netSalary / 30, 2)` or `month(startDate)`
+ * @returns {{evaluate: Function, fields: string[]}} Evaluator and the field paths it reads
+ */
+export const compileExpression = (expression) => {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        throw new Error('Invalid computed column expression: expression is required');
+    }
+
+    const tokens = tokenize(expression);
+    const fields = [];
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = (symbol) => {
+        const token = next();
+        if (!token || token.value !== symbol) {
+            throw new Error(`Invalid computed column expression: expected "${symbol}"`);
+        }
+    };
+
+    let parseExpression;
+
+    const parsePrimary = () => {
+        const token = next();
+        if (!token) {
+            throw new Error('Invalid computed column expression: unexpected end');
+        }
+
+        if (token.type === 'number') {
+            return () => token.value;
+        }
+
+        if (token.type === 'symbol' && token.value === '(') {
+            const inner = parseExpression();
+            expect(')');
+            return inner;
+        }
+
+        if (token.type === 'symbol' && token.value === '-') {
+            const operand = parsePrimary();
+            return (row) => {
+                const value = toNumber(operand(row));
+                return value === null ? null : -value;
+            };
+        }
+
+        if (token.type === 'name' && peek()?.value === '(') {
+            next();
+            const args = [];
+            if (peek()?.value !== ')') {
+                args.push(parseExpression());
+                while (peek()?.value === ',') {
+                    next();
+                    args.push(parseExpression());
+                }
+            }
+            expect(')');
+
+            if (token.value === 'coalesce') {
+                return (row) => {
+                    for (const arg of args) {
+                        const value = arg(row);
+                        if (!isBlank(value)) return value;
+                    }
+                    return null;
+                };
+            }
+
+            const fn = EXPRESSION_FUNCTIONS[token.value];
+            if (!fn) {
+                throw new Error(`Invalid computed column expression: unknown function ${token.value}`);
+            }
+            const takesDates = DATE_FUNCTIONS.includes(token.value);
+
+            return (row) => {
+                const values = args.map(arg => arg(row));
+                if (values.some(isBlank)) return null;
+                const result = fn(...(takesDates ? values : values.map(toNumber)));
+                return typeof result === 'number' && !Number.isFinite(result) ? null : result;
+            };
+        }
+
+        if (token.type === 'name') {
+            fields.push(token.value);
+            return (row) => getPath(row, token.value);
+        }
+
+        throw new Error(`Invalid computed column expression: unexpected "${token.value}"`);
+    };
+
+    const parseBinary = (operators, parseOperand) => () => {
+        let left = parseOperand();
+        while (peek()?.type === 'symbol' && operators.includes(peek().value)) {
+            const apply = BINARY_OPERATORS[next().value];
+            const lhs = left;
+            const rhs = parseOperand();
+            left = (row) => {
+                const a = toNumber(lhs(row));
+                const b = toNumber(rhs(row));
+                return a === null || b === null ? null : apply(a, b);
+            };
+        }
+        return left;
+    };
+
+    parseExpression = parseBinary(['+', '-'], parseBinary(['*', '/', '%'], parsePrimary));
+
+    const evaluate = parseExpression();
+    if (position < tokens.length) {
+        throw new Error(`Invalid computed column expression: unexpected "${peek().value}"`);
+    }
+
+    return {
+        evaluate: (row) => {
+            const result = evaluate(row);
+            return typeof result === 'number' ? tidy(result) : result;
+        },
+        fields: [...new Set(fields)]
+    };
+};
+
+/**
+ * Add the computed columns of a report to each row
+ * Columns are evaluated in order, so a column may use the ones before it.
+ */
+export const addComputedColumns = (rows, computedColumns = []) => {
+    if (computedColumns.length === 0) return rows;
+
+    const compiled = computedColumns.map(column => ({
+        name: column.name,
+        evaluate: compileExpression(column.expression).evaluate
+    }));
+
+    return rows.map(row => {
+        const output = { ...row };
+        compiled.forEach(column => {
+            output[column.name] = column.evaluate(output);
+        });
+        return output;
+    });
+};
+
+/**
+ * Group rows and aggregate the fields that have an aggregation
+ * Fields without one are left out of grouped output; when no field has an
+ * aggregation each group gets a `count`. With subtotals, every group but the
+ * innermost is followed by a subtotal row and the output ends with a total.
+ * @param {Object[]} rows
+ * @param {Object} options - { groupBy, fields, subtotals, sorting }
+ * @returns {Object[]}
+ */
+export const groupRows = (rows, { groupBy, fields = [], subtotals = false, sorting = [] }) => {
+    const valueFields = fields.filter(field =>
+        field.aggregation && field.aggregation !== 'none' && !groupBy.includes(field.fieldName));
+
+    const summarize = (groupRows) => {
+        if (valueFields.length === 0) {
+            return { count: groupRows.length };
+        }
+
+        const summary = {};
+        valueFields.forEach(field => {
+            summary[field.fieldName] = aggregateValues(groupRows.map(row => getPath(row, field.fieldName)), field.aggregation);
+        });
+        return summary;
+    };
+
+    const direction = (field) => (sorting.find(sort => sort.field === field)?.order === 'desc' ? -1 : 1);
+
+    const build = (groupRows, level, keys) => {
+        if (level === groupBy.length) {
+            return [{ ...keys, ...summarize(groupRows) }];
+        }
+
+        const field = groupBy[level];
+        const output = [];
+
+        partition(groupRows, field, direction(field)).forEach(group => {
+            const groupKeys = { ...keys, [field]: group.value };
+            output.push(...build(group.rows, level + 1, groupKeys));
+
+            if (subtotals && level < groupBy.length - 1) {
+                output.push({ ...groupKeys, [groupBy[level + 1]]: SUBTOTAL_LABEL, ...summarize(group.rows) });
+            }
+        });
+
+        return output;
+    };
+
+    const output = build(rows, 0, {});
+    if (subtotals && groupBy.length > 0) {
+        output.push({ [groupBy[0]]: TOTAL_LABEL, ...summarize(rows) });
+    }
+
+    return output;
+};
+
+/**
+ * Pivot rows into a table with one row per `rowField` value and one column
+ * per `columnField` value, each cell aggregating `valueField`
+ * @param {Object[]} rows
+ * @param {Object} pivot - { rowField, columnField, valueField, aggregation, totals }
+ * @returns {Object[]}
+ */
+export const pivotRows = (rows, { rowField, columnField, valueField, aggregation = 'sum', totals = true }) => {
+    const columns = partition(rows, columnField).map(group => ({
+        key: valueKey(group.value),
+        label: isBlank(group.value) ? '(blank)' : String(group.value instanceof Date ? group.value.toISOString() : group.value)
+    }));
+    const empty = ['sum', 'count'].includes(aggregation) ? 0 : null;
+
+    const cell = (cellRows) => {
+        if (cellRows.length === 0) return empty;
+        if (aggregation === 'count' && !valueField) return cellRows.length;
+        return aggregateValues(cellRows.map(row => getPath(row, valueField)), aggregation);
+    };
+
+    const summarize = (groupRows) => {
+        const byColumn = new Map(columns.map(column => [column.key, []]));
+        groupRows.forEach(row => byColumn.get(valueKey(getPath(row, columnField))).push(row));
+
+        const output = {};
+        columns.forEach(column => {
+            output[column.label] = cell(byColumn.get(column.key));
+        });
+        if (totals) {
+            output[TOTAL_LABEL] = cell(groupRows);
+        }
+        return output;
+    };
+
+    const output = partition(rows, rowField).map(group => ({
+        [rowField]: group.value,
+        ...summarize(group.rows)
+    }));
+
+    if (totals) {
+        output.push({ [rowField]: TOTAL_LABEL, ...summarize(rows) });
+    }
+
+    return output;
+};
+
+/**
+ * Fields of a report, including computed columns, as used for grouping and labels
+ */
+export const getReportFields = (report) => [
+    ...(report.fields || []),
+    ...(report.computedColumns || []).map(column => ({
+        fieldName: column.name,
+        displayName: column.displayName,
+        aggregation: column.aggregation
+    }))
+];
+
+/**
+ * Whether a report summarises its rows instead of listing them
+ */
+export const isSummaryReport = (report) =>
+    Boolean(report.pivot?.enabled || (report.groupBy && report.groupBy.length > 0));
+
+/**
+ * Stored field paths a report reads: its fields, groupings, pivot and the
+ * inputs of its computed columns
+ */
+export const getReferencedFields = (report) => {
+    const computed = (report.computedColumns || []).map(column => column.name);
+    const paths = [
+        ...(report.fields || []).map(field => field.fieldName),
+        ...(report.groupBy || []),
+        ...(report.pivot?.enabled ? [report.pivot.rowField, report.pivot.columnField, report.pivot.valueField] : []),
+        ...(report.computedColumns || []).flatMap(column => compileExpression(column.expression).fields)
+    ];
+
+    return [...new Set(paths.filter(path => path && !computed.includes(path)))];
+};
+
+/**
+ * Shape queried rows into the report's output
+ * @param {Object[]} rows - Plain rows
+ * @param {Object} report - Report definition
+ * @returns {Object[]}
+ */
+export const buildReportOutput = (rows, report) => {
+    const output = addComputedColumns(rows, report.computedColumns);
+
+    if (report.pivot?.enabled) {
+        return pivotRows(output, report.pivot);
+    }
+
+    if (report.groupBy && report.groupBy.length > 0) {
+        return groupRows(output, {
+            groupBy: report.groupBy,
+            fields: getReportFields(report),
+            subtotals: report.subtotals,
+            sorting: report.sorting
+        });
+    }
+
+    return output;
+};
+
+export default {
+    AGGREGATIONS,
+    getPath,
+    aggregateValues,
+    compileExpression,
+    addComputedColumns,
+    groupRows,
+    pivotRows,
+    getReportFields,
+    isSummaryReport,
+    getReferencedFields,
+    buildReportOutput
+};
@@ -0,0 +1,220 @@
+/**
+ * Report Export Utilities
+ *
+ * Renders report results as CSV, Excel, PDF, HTML or JSON. Used both for
+ * downloads of an execution and for the attachment of scheduled reports.
+ */
+import PDFDocument from 'pdfkit';
+import xlsx from 'xlsx';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv' },
+    excel: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    html: { contentType: 'text/html', extension: 'html' },
+    json: { contentType: 'application/json', extension: 'json' }
+};
+
+/**
+ * Plain objects from query results, which may be mongoose documents
+ */
+export const toRows = (results = []) =>
+    results.map(row => (row && typeof row.toObject === 'function' ? row.toObject() : row));
+
+/**
+ * Columns of the export: keys of the rows in order of appearance, or the
+ * report fields when there are no rows, labelled with the fields' display names
+ * @param {Object[]} rows
+ * @param {Object[]} [fields] - Report fields
+ * @returns {{key: string, label: string}[]}
+ */
+export const getColumns = (rows, fields = []) => {
+    const keys = [];
+    rows.forEach(row => {
+        Object.keys(row || {}).forEach(key => {
+            if (!keys.includes(key)) keys.push(key);
+        });
+    });
+
+    if (keys.length === 0) {
+        fields.forEach(field => keys.push(field.fieldName));
+    }
+
+    return keys.map(key => {
+        const field = fields.find(f => f.fieldName === key);
+        return { key, label: field?.displayName || key };
+    });
+};
+
+/**
+ * Cell value as a string, number or boolean
+ */
+export const formatCell = (value) => {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string') return value;
+    if (typeof value.toHexString === 'function') return value.toString();
+    if (Array.isArray(value)) return value.map(formatCell).join(', ');
+    return JSON.stringify(value);
+};
+
+const escapeCsv = (value) => {
+    const text = String(formatCell(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const escapeHtml = (value) => String(formatCell(value))
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+export const renderCSV = (rows, columns) => [
+    columns.map(column => escapeCsv(column.label)).join(','),
+    ...rows.map(row => columns.map(column => escapeCsv(row[column.key])).join(','))
+].join('\n');
+
+export const renderHTML = (reportName, rows, columns, generatedAt = new Date()) => `
+<!DOCTYPE html>
+<html>
+<head>
+    <title>${escapeHtml(reportName)}</title>
+    <style>
+        body { font-family: Arial, sans-serif; margin: 20px; }
+        h1 { color: #333; }
+        table { border-collapse: collapse; width: 100%; margin-top: 20px; }
+        th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
+        th { background-color: #4CAF50; color: white; }
+        tr:nth-child(even) { background-color: #f2f2f2; }
+    </style>
+</head>
+<body>
+    <h1>${escapeHtml(reportName)}</h1>
+    <p>Generated: ${generatedAt.toLocaleString()}</p>
+    <p>Total Records: ${rows.length}</p>
+    <table>
+        <thead>
+            <tr>${columns.map(column => `<th>${escapeHtml(column.label)}</th>`).join('')}</tr>
+        </thead>
+        <tbody>
+            ${rows.map(row => `<tr>${columns.map(column => `<td>${escapeHtml(row[column.key])}</td>`).join('')}</tr>`).join('')}
+        </tbody>
+    </table>
+</body>
+</html>`;
+
+export const renderExcel = (reportName, rows, columns) => {
+    const sheet = xlsx.utils.aoa_to_sheet([
+        columns.map(column => column.label),
+        ...rows.map(row => columns.map(column => formatCell(row[column.key])))
+    ]);
+    const workbook = xlsx.utils.book_new();
+    // Sheet names are limited to 31 characters and cannot contain []:*?/\
+    xlsx.utils.book_append_sheet(workbook, sheet, (reportName.replace(/[[\]:*?/\\]/g, ' ').trim() || 'Report').slice(0, 31));
+
+    return xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+};
+
+export const renderPDF = (reportName, rows, columns, exportSettings = {}, generatedAt = new Date()) =>
+    new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            margin: 40,
+            size: exportSettings.paperSize || 'A4',
+            layout: exportSettings.pageOrientation || 'portrait'
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        doc.fontSize(16).text(reportName);
+        doc.fontSize(9).fillColor('#666')
+            .text(`Generated: ${generatedAt.toLocaleString()}    Total Records: ${rows.length}`);
+        doc.moveDown();
+
+        const left = doc.page.margins.left;
+        const width = doc.page.width - left - doc.page.margins.right;
+        const columnWidth = width / Math.max(columns.length, 1);
+
+        const drawRow = (cells, bold) => {
+            const heights = cells.map(cell =>
+                doc.heightOfString(String(cell), { width: columnWidth - 4 }));
+            const height = Math.max(...heights, 10) + 4;
+
+            if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+            }
+
+            const y = doc.y;
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#000');
+            cells.forEach((cell, index) => {
+                doc.text(String(cell), left + index * columnWidth + 2, y + 2, { width: columnWidth - 4 });
+            });
+            doc.moveTo(left, y + height).lineTo(left + width, y + height).strokeColor('#ddd').stroke();
+            doc.x = left;
+            doc.y = y + height;
+        };
+
+        doc.fontSize(8);
+        drawRow(columns.map(column => column.label), true);
+        rows.forEach(row => drawRow(columns.map(column => formatCell(row[column.key])), false));
+
+        doc.end();
+    });
+
+/**
+ * Render report results in an export format
+ * @param {string} reportName
+ * @param {Object[]} results - Query results or stored execution data
+ * @param {string} format - csv, excel, pdf, html or json
+ * @param {Object} [options] - { fields, exportSettings, generatedAt }
+ * @returns {Promise<{content: Buffer|string, contentType: string, fileName: string}>}
+ */
+export const renderReport = async (reportName, results, format, options = {}) => {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    const { fields = [], exportSettings = {}, generatedAt = new Date() } = options;
+    const rows = toRows(results);
+    const columns = getColumns(rows, fields);
+
+    let content;
+    switch (format) {
+        case 'csv':
+            content = renderCSV(rows, columns);
+            break;
+        case 'excel':
+            content = renderExcel(reportName, rows, columns);
+            break;
+        case 'pdf':
+            content = await renderPDF(reportName, rows, columns, exportSettings, generatedAt);
+            break;
+        case 'html':
+            content = renderHTML(reportName, rows, columns, generatedAt);
+            break;
+        default:
+            content = JSON.stringify(rows, null, 2);
+    }
+
+    const baseName = reportName.replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-') || 'report';
+
+    return {
+        content,
+        contentType: exportFormat.contentType,
+        fileName: `${baseName}-${generatedAt.toISOString().slice(0, 10)}.${exportFormat.extension}`
+    };
+};
+
+export default {
+    EXPORT_FORMATS,
+    toRows,
+    getColumns,
+    formatCell,
+    renderCSV,
+    renderHTML,
+    renderExcel,
+    renderPDF,
+    renderReport
+};
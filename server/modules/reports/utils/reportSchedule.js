@@ -0,0 +1,157 @@
+/**
+ * Report Schedule Utilities
+ *
+ * Date math for scheduled reports: when a schedule next fires and which
+ * period of data a scheduled run covers. Times are server local time,
+ * matching the TIMEZONE the scheduler job runs in.
+ */
+
+// Months between two runs of the month based frequencies
+const MONTH_STEPS = {
+    monthly: 1,
+    quarterly: 3,
+    yearly: 12
+};
+
+/**
+ * Parse an HH:mm time; schedules without a time run at midnight
+ * @param {string} [time]
+ * @returns {number[]} [hours, minutes]
+ */
+export const parseScheduleTime = (time) => {
+    if (!time) return [0, 0];
+
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    return [hours || 0, minutes || 0];
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Day of month clamped to the month's length, so the 31st runs on the 30th in April
+const atDayOfMonth = (year, month, day, hours, minutes) =>
+    new Date(year, month, Math.min(day, daysInMonth(year, month)), hours, minutes, 0, 0);
+
+/**
+ * Next time a schedule fires strictly after `from`
+ * Weekly schedules run on `dayOfWeek`, month based schedules on `dayOfMonth`;
+ * both default to the day of `from`. Custom cron schedules are not run by the
+ * scheduler and have no next run.
+ * @param {Object} schedule - Report schedule
+ * @param {Date} [from] - Reference time, now by default
+ * @returns {Date|null}
+ */
+export const getNextRun = (schedule, from = new Date()) => {
+    if (!schedule || !schedule.enabled) return null;
+
+    const [hours, minutes] = parseScheduleTime(schedule.time);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+
+    switch (schedule.frequency) {
+        case 'daily':
+            if (next <= from) next.setDate(next.getDate() + 1);
+            return next;
+
+        case 'weekly': {
+            const dayOfWeek = schedule.dayOfWeek ?? from.getDay();
+            next.setDate(next.getDate() + ((dayOfWeek - next.getDay() + 7) % 7));
+            if (next <= from) next.setDate(next.getDate() + 7);
+            return next;
+        }
+
+        case 'monthly':
+        case 'quarterly':
+        case 'yearly': {
+            const step = MONTH_STEPS[schedule.frequency];
+            const dayOfMonth = schedule.dayOfMonth || from.getDate();
+            let year = from.getFullYear();
+            let month = from.getMonth();
+            let candidate = atDayOfMonth(year, month, dayOfMonth, hours, minutes);
+
+            while (candidate <= from) {
+                month += step;
+                year += Math.floor(month / 12);
+                month %= 12;
+                candidate = atDayOfMonth(year, month, dayOfMonth, hours, minutes);
+            }
+            return candidate;
+        }
+
+        default:
+            return null;
+    }
+};
+
+/**
+ * Period of data covered by a scheduled run: the frequency's length of time
+ * up to the run, so a Monday weekly report covers the previous seven days
+ * @param {string} frequency - Schedule frequency
+ * @param {Date} runAt - Time the run was scheduled for
+ * @returns {{startDate: Date, endDate: Date}}
+ */
+export const getReportPeriod = (frequency, runAt) => {
+    const endDate = new Date(runAt);
+    const startDate = new Date(runAt);
+
+    if (MONTH_STEPS[frequency]) {
+        startDate.setMonth(startDate.getMonth() - MONTH_STEPS[frequency]);
+    } else if (frequency === 'weekly') {
+        startDate.setDate(startDate.getDate() - 7);
+    } else {
+        startDate.setDate(startDate.getDate() - 1);
+    }
+
+    return { startDate, endDate };
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+/**
+ * Email sent with the export of a scheduled run
+ * @param {Object} report - Report definition
+ * @param {Object} run - { startDate, endDate, count, fileName }
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const buildScheduledReportEmail = (report, { startDate, endDate, count, fileName }) => {
+    const period = `${formatDate(startDate)} to ${formatDate(endDate)}`;
+    const records = count === 1 ? '1 record' : `${count} records`;
+    const summary = count > 0
+        ? `The report contains ${records} and is attached as ${fileName}.`
+        : `No records matched the report for this period. The empty export is attached as ${fileName}.`;
+
+    return {
+        subject: `Scheduled report: ${report.name} (${period})`,
+        html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">${escapeHtml(report.name)}</h2>
+                ${report.description ? `<p style="color: #666;">${escapeHtml(report.description)}</p>` : ''}
+                <p><strong>Period:</strong> ${period}</p>
+                <p>${escapeHtml(summary)}</p>
+                <p style="color: #999; font-size: 12px;">
+                    You receive this email because the report is scheduled to run ${escapeHtml(report.schedule?.frequency || '')}.
+                    The report owner can change the schedule or its recipients.
+                </p>
+            </div>
+        `,
+        text: [
+            report.name,
+            report.description,
+            `Period: ${period}`,
+            summary,
+            `You receive this email because the report is scheduled to run ${report.schedule?.frequency || ''}.`
+        ].filter(Boolean).join('\n\n')
+    };
+};
+
+export default {
+    parseScheduleTime,
+    getNextRun,
+    getReportPeriod,
+    buildScheduledReportEmail
+};
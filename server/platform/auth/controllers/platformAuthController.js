@@ -39,7 +39,23 @@ export const login = async (req, res) => {
       });
     }
 
-    const { user, token } = await platformAuthService.login(email, password);
+    const result = await platformAuthService.login(email, password, {
+      mfaToken: req.body.mfaToken,
+      recoveryCode: req.body.recoveryCode
+    });
+
+    // Password accepted; the second factor or its enrollment is still needed
+    if (!result.token) {
+      return res.status(200).json({
+        success: true,
+        data: result,
+        meta: {
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+
+    const { user, token } = result;
 
     // Log successful platform authentication
     platformLogger.info('Platform login successful', {
@@ -75,7 +91,8 @@ export const login = async (req, res) => {
     
     res.status(401).json({
       success: false,
-      message: error.message || 'Login failed'
+      message: error.message || 'Login failed',
+      code: error.code
     });
   }
 };
@@ -163,3 +180,135 @@ export const changePassword = async (req, res) => {
     });
   }
 };
+
+/**
+ * Respond with the result of a two-factor operation
+ */
+const sendMFAResponse = (res, data) => {
+  res.status(200).json({
+    success: true,
+    data,
+    meta: {
+      timestamp: new Date().toISOString()
+    }
+  });
+};
+
+const sendMFAError = (res, error, message) => {
+  logger.error(message, { error: error.message });
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.message || message,
+    code: error.code
+  });
+};
+
+// Signed-in platform user, or the user of an enrollment token issued at sign-in
+const getMFAUserId = (req) => req.mfaSetup?.userId || req.platformUser._id;
+
+/**
+ * Two-factor status
+ * GET /api/platform/auth/mfa/status
+ */
+export const getMFAStatus = async (req, res) => {
+  try {
+    sendMFAResponse(res, await platformAuthService.getMFAStatus(req.platformUser._id));
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to get two-factor status');
+  }
+};
+
+/**
+ * Start two-factor enrollment
+ * POST /api/platform/auth/mfa/setup
+ */
+export const setupMFA = async (req, res) => {
+  try {
+    sendMFAResponse(res, await platformAuthService.setupMFA(getMFAUserId(req)));
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to start two-factor setup');
+  }
+};
+
+/**
+ * Confirm two-factor enrollment
+ * POST /api/platform/auth/mfa/enable
+ *
+ * @param {Object} req.body.token - First code from the authenticator app
+ */
+export const enableMFA = async (req, res) => {
+  try {
+    const result = await platformAuthService.enableMFA(getMFAUserId(req), req.body.token, Boolean(req.mfaSetup));
+
+    platformLogger.info('Platform user enabled two-factor authentication', {
+      correlationId: req.correlationId,
+      userId: getMFAUserId(req),
+      ip: req.ip
+    });
+
+    sendMFAResponse(res, result);
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to enable two-factor authentication');
+  }
+};
+
+/**
+ * Replace recovery codes
+ * POST /api/platform/auth/mfa/recovery-codes
+ *
+ * @param {Object} req.body.token - Current code from the authenticator app
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await platformAuthService.regenerateRecoveryCodes(req.platformUser._id, req.body.token);
+    sendMFAResponse(res, { recoveryCodes });
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to regenerate recovery codes');
+  }
+};
+
+/**
+ * Turn two-factor off
+ * POST /api/platform/auth/mfa/disable
+ *
+ * @param {Object} req.body.password - Current password
+ * @param {Object} req.body.token - Code from the authenticator app, or
+ * @param {Object} req.body.recoveryCode - A recovery code
+ */
+export const disableMFA = async (req, res) => {
+  try {
+    const { password, token, recoveryCode } = req.body;
+    await platformAuthService.disableMFA(req.platformUser._id, password, { token, recoveryCode });
+
+    platformLogger.warn('Platform user disabled two-factor authentication', {
+      correlationId: req.correlationId,
+      userId: req.platformUser._id,
+      ip: req.ip
+    });
+
+    sendMFAResponse(res, { message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to disable two-factor authentication');
+  }
+};
+
+/**
+ * Reset two-factor for another platform user
+ * POST /api/platform/auth/mfa/reset/:userId
+ */
+export const resetUserMFA = async (req, res) => {
+  try {
+    await platformAuthService.resetUserMFA(req.params.userId);
+
+    platformLogger.warn('Platform user two-factor authentication reset', {
+      correlationId: req.correlationId,
+      userId: req.params.userId,
+      resetBy: req.platformUser._id,
+      ip: req.ip
+    });
+
+    sendMFAResponse(res, { message: 'Two-factor authentication reset' });
+  } catch (error) {
+    sendMFAError(res, error, 'Failed to reset two-factor authentication');
+  }
+};
@@ -1,6 +1,8 @@
 import express from 'express';
 import * as platformAuthController from '../controllers/platformAuthController.js';
 import { authenticatePlatformUser } from '../../middleware/platformAuth.js';
+import { validateRole } from '../../middleware/platformPermissions.js';
+import { authenticateMFASetup } from '../../../middleware/enhancedAuth.middleware.js';
 
 const router = express.Router();
 
@@ -17,4 +19,12 @@ router.post('/logout', authenticatePlatformUser, platformAuthController.logout);
 router.get('/me', authenticatePlatformUser, platformAuthController.me);
 router.post('/change-password', authenticatePlatformUser, platformAuthController.changePassword);
 
+// Two-factor authentication; setup and enable also accept the setup token issued at sign-in
+router.get('/mfa/status', authenticatePlatformUser, platformAuthController.getMFAStatus);
+router.post('/mfa/setup', authenticateMFASetup('platform', authenticatePlatformUser), platformAuthController.setupMFA);
+router.post('/mfa/enable', authenticateMFASetup('platform', authenticatePlatformUser), platformAuthController.enableMFA);
+router.post('/mfa/recovery-codes', authenticatePlatformUser, platformAuthController.regenerateRecoveryCodes);
+router.post('/mfa/disable', authenticatePlatformUser, platformAuthController.disableMFA);
+router.post('/mfa/reset/:userId', authenticatePlatformUser, validateRole('super-admin'), platformAuthController.resetUserMFA);
+
 export default router;
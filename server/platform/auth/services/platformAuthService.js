@@ -2,6 +2,17 @@ import PlatformUser from '../../models/PlatformUser.js';
 import { generatePlatformToken } from '../../../core/auth/platformAuth.js';
 import logger from '../../../utils/logger.js';
 import AppError from '../../../core/errors/AppError.js';
+import {
+  checkLoginMFA,
+  generateMFASetupToken,
+  setupMFA,
+  enableMFA,
+  verifyMFALogin,
+  regenerateRecoveryCodes,
+  disableMFA,
+  getMFAStatus,
+  getMFAPolicy
+} from '../../../middleware/enhancedAuth.middleware.js';
 
 /**
  * Platform Authentication Service
@@ -13,10 +24,12 @@ class PlatformAuthService {
    * 
    * @param {string} email - User email
    * @param {string} password - User password
-   * @returns {Promise<Object>} User object and token
+   * @param {Object} [secondFactor] - { mfaToken, recoveryCode }
+   * @returns {Promise<Object>} User object and token, or what the sign-in
+   *   still needs: { requiresMFA } or { requiresMFASetup, mfaSetupToken }
    * @throws {AppError} If authentication fails
    */
-  async login(email, password) {
+  async login(email, password, secondFactor = {}) {
     // Validate input
     if (!email || !password) {
       throw new AppError('Email and password are required', 400, 'MISSING_CREDENTIALS');
@@ -41,6 +54,21 @@ class PlatformAuthService {
       throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
     }
 
+    // Second factor
+    const mfaResult = await checkLoginMFA(user, secondFactor);
+
+    if (mfaResult === 'required') {
+      return { requiresMFA: true };
+    }
+
+    if (mfaResult === 'setup-required') {
+      return { requiresMFASetup: true, mfaSetupToken: generateMFASetupToken(user, 'platform') };
+    }
+
+    if (mfaResult === 'invalid') {
+      throw new AppError('Invalid authentication code', 401, 'INVALID_MFA_TOKEN');
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
@@ -133,6 +161,110 @@ class PlatformAuthService {
     await user.save();
   }
 
+  /**
+   * Find a platform user for a two-factor operation
+   */
+  async getMFAUser(userId, select = '') {
+    const user = await PlatformUser.findById(userId).select(select);
+
+    if (!user) {
+      throw new AppError('Platform user not found', 404, 'USER_NOT_FOUND');
+    }
+
+    return user;
+  }
+
+  /**
+   * Two-factor status of a platform user
+   */
+  async getMFAStatus(userId) {
+    return getMFAStatus(await this.getMFAUser(userId));
+  }
+
+  /**
+   * Start two-factor enrollment
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode }
+   */
+  async setupMFA(userId) {
+    const policy = await getMFAPolicy();
+    if (!policy.enabled) {
+      throw new AppError('Two-factor authentication is not available', 403, 'MFA_UNAVAILABLE');
+    }
+
+    return setupMFA(await this.getMFAUser(userId), { issuer: `${process.env.MFA_ISSUER || 'HRMS'} Platform` });
+  }
+
+  /**
+   * Confirm two-factor enrollment with the first code
+   * @param {boolean} completeLogin - Enrollment was enforced at sign-in; sign the user in
+   * @returns {Promise<Object>} { recoveryCodes } plus user and token when completing sign-in
+   */
+  async enableMFA(userId, token, completeLogin = false) {
+    const user = await this.getMFAUser(userId);
+    const policy = await getMFAPolicy();
+    const recoveryCodes = await enableMFA(user, token, policy.recoveryCodesCount);
+
+    if (!completeLogin) {
+      return { recoveryCodes };
+    }
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    return {
+      recoveryCodes,
+      user: user.toSafeObject(),
+      token: generatePlatformToken(user._id.toString(), user.role)
+    };
+  }
+
+  /**
+   * Replace the recovery codes; requires a current code
+   */
+  async regenerateRecoveryCodes(userId, token) {
+    const user = await this.getMFAUser(userId);
+
+    if (!await verifyMFALogin(user, { token })) {
+      throw new AppError('Invalid authentication code', 400, 'INVALID_MFA_TOKEN');
+    }
+
+    const policy = await getMFAPolicy();
+    return regenerateRecoveryCodes(user, policy.recoveryCodesCount);
+  }
+
+  /**
+   * Turn two-factor off; requires the password and a code or recovery code
+   */
+  async disableMFA(userId, password, { token, recoveryCode } = {}) {
+    const policy = await getMFAPolicy();
+    if (policy.enforced) {
+      throw new AppError('Two-factor authentication is required for all users', 403, 'MFA_ENFORCED');
+    }
+
+    const user = await this.getMFAUser(userId, '+password');
+
+    if (!user.mfa?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400, 'MFA_NOT_ENABLED');
+    }
+
+    if (!password || !(await user.comparePassword(password))) {
+      throw new AppError('Current password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+
+    if (!await verifyMFALogin(user, { token, recoveryCode })) {
+      throw new AppError('Invalid authentication code', 400, 'INVALID_MFA_TOKEN');
+    }
+
+    await disableMFA(user);
+  }
+
+  /**
+   * Reset two-factor for a platform user who lost their authenticator
+   */
+  async resetUserMFA(userId) {
+    await disableMFA(await this.getMFAUser(userId));
+  }
+
   /**
    * Deactivate platform user
    */
@@ -1,5 +1,6 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import mfaSchema from '../../core/auth/mfaSchema.js';
 
 /**
  * Platform User Schema
@@ -55,6 +56,11 @@ const platformUserSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Two-factor authentication
+  mfa: {
+    type: mfaSchema,
+    default: () => ({})
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -133,6 +139,9 @@ platformUserSchema.methods.hasPermission = function(permission) {
 platformUserSchema.methods.toSafeObject = function() {
   const obj = this.toObject();
   delete obj.password;
+  if (obj.mfa) {
+    obj.mfa = { enabled: obj.mfa.enabled, enabledAt: obj.mfa.enabledAt };
+  }
   return obj;
 };
 
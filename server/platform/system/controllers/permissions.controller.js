@@ -1,7 +1,6 @@
 // Permissions Controller
 import Permissions from '../models/permissions.model.js';
-import Notification from '../../../modules/notifications/models/notification.model.js';
-import { sendEmail, getEmployeeManager } from '../../../modules/email-service/services/email.service.js';
+import notificationIntegrationService from '../../../modules/hr-core/services/notificationIntegrationService.js';
 import User from '../../../modules/hr-core/users/models/user.model.js';
 
 /**
@@ -61,9 +60,6 @@ export const createPermission = async (req, res) => {
         // Create notification for supervisor/manager
         await createPermissionNotification(savedPermission, 'submitted');
 
-        // Send email notification to manager
-        await sendPermissionRequestNotification(savedPermission);
-
         res.status(201).json(savedPermission);
     } catch (err) {
 
@@ -191,9 +187,6 @@ export const approvePermission = async (req, res) => {
         // Create notification for employee
         await createPermissionNotification(permission, 'approved');
 
-        // Send email notification to employee
-        await sendPermissionStatusUpdateNotification(permission);
-
         res.json(permission);
     } catch (err) {
 
@@ -261,9 +254,6 @@ export const rejectPermission = async (req, res) => {
         // Create notification for employee
         await createPermissionNotification(permission, 'rejected');
 
-        // Send email notification to employee
-        await sendPermissionStatusUpdateNotification(permission);
-
         res.json(permission);
     } catch (err) {
 
@@ -277,35 +267,41 @@ export const rejectPermission = async (req, res) => {
  */
 async function createPermissionNotification(permission, type) {
     try {
-        let recipient, message;
+        let recipient, title, message, email;
 
         if (type === 'submitted') {
             // Notify manager/supervisor
             const employee = await User.findById(permission.employee).populate('department');
             if (!employee) return;
 
-            const manager = await getEmployeeManager(employee);
+            const manager = await notificationIntegrationService.getEmployeeManager(employee);
             if (!manager) return;
 
             recipient = manager._id;
+            title = 'New Permission Request';
             message = `New permission request from ${employee.username || employee.email}`;
+            email = await buildPermissionRequestEmail(permission);
         } else if (type === 'approved' || type === 'rejected') {
             // Notify employee
             recipient = permission.employee;
+            title = `Permission Request ${type.charAt(0).toUpperCase() + type.slice(1)}`;
             message = `Your permission request has been ${type}`;
+            email = await buildPermissionStatusUpdateEmail(permission);
         }
 
         if (recipient) {
-            const notification = new Notification({
+            // Permissions are not tenant-scoped; notify within the employee's tenant
+            const owner = await User.findById(permission.employee).select('tenantId');
+
+            await notificationIntegrationService.notify(owner?.tenantId, {
                 recipient,
                 type: 'permission',
+                title,
                 message,
                 relatedModel: 'Permissions',
                 relatedId: permission._id,
-                read: false
-            });
-
-            await notification.save();
+                metadata: { source: 'permission', action: type }
+            }, email);
 
             // Mark notification as sent in permission
             if (!permission.notifications) {
@@ -324,22 +320,22 @@ async function createPermissionNotification(permission, type) {
 }
 
 /**
- * Send permission request notification to manager
+ * Email about a new permission request, for the manager
  */
-async function sendPermissionRequestNotification(permission) {
+async function buildPermissionRequestEmail(permission) {
     try {
         // Get employee details
         const employee = await User.findById(permission.employee).select('username email personalInfo');
         if (!employee) {
 
-            return { success: false, error: 'Employee not found' };
+            return null;
         }
 
         // Get manager
-        const manager = await getEmployeeManager(employee);
+        const manager = await notificationIntegrationService.getEmployeeManager(employee);
         if (!manager || !manager.email) {
 
-            return { success: false, error: 'Manager not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -449,29 +445,24 @@ Please review and approve or reject this request in the HR Management System.
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: manager.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
 
 /**
- * Send permission status update notification to employee
+ * Email about a decision on a permission request, for the employee
  */
-async function sendPermissionStatusUpdateNotification(permission) {
+async function buildPermissionStatusUpdateEmail(permission) {
     try {
         // Get employee details
         const employee = await User.findById(permission.employee).select('username email personalInfo');
         if (!employee || !employee.email) {
 
-            return { success: false, error: 'Employee not found or has no email' };
+            return null;
         }
 
         const employeeName = employee.personalInfo?.firstName && employee.personalInfo?.lastName
@@ -588,15 +579,10 @@ ${permission.status === 'approved' && permission.approverNotes ? `Approver Notes
 This is an automated notification from HR Management System
         `;
 
-        return await sendEmail({
-            to: employee.email,
-            subject,
-            html,
-            text
-        });
+        return { subject, html, text };
 
     } catch (error) {
 
-        return { success: false, error: error.message };
+        return null;
     }
 }
@@ -1,6 +1,12 @@
 import tenantService from '../services/tenantService.js';
 import tenantProvisioningService from '../services/tenantProvisioningService.js';
 import asyncHandler from '../../../utils/asyncHandler.js';
+import TenantBackupService from '../../../modules/hr-core/tenantBackups/services/TenantBackupService.js';
+import AppError from '../../../core/errors/AppError.js';
+import { ERROR_TYPES } from '../../../core/errors/errorTypes.js';
+import fs from 'fs';
+
+const tenantBackupService = new TenantBackupService();
 
 /**
  * Tenant Controller
@@ -96,6 +102,54 @@ export const createTenant = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Import tenant from a backup file
+ * POST /api/platform/tenants/import
+ * 
+ * Multipart body:
+ * - file: Tenant backup file, e.g. downloaded from another installation (required)
+ * - name: Tenant name (default: the name in the backup)
+ * - domain: Tenant domain (optional)
+ * - adminUser: JSON admin user data, as for createTenant (required);
+ *   replaces the backed up user with the same email
+ */
+export const importTenant = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Backup file is required', 400, ERROR_TYPES.INVALID_INPUT);
+  }
+
+  try {
+    let adminUser = req.body.adminUser;
+    try {
+      adminUser = typeof adminUser === 'string' ? JSON.parse(adminUser) : adminUser;
+    } catch (error) {
+      throw new AppError('adminUser must be JSON', 400, ERROR_TYPES.INVALID_INPUT);
+    }
+
+    const { name, domain } = req.body;
+    let result;
+    try {
+      result = await tenantBackupService.importTenant(req.file.path, { name, domain, adminUser });
+    } catch (error) {
+      // Unreadable or incomplete backup files
+      throw error instanceof AppError || /^Failed to/.test(error.message)
+        ? error
+        : new AppError(error.message, 400, ERROR_TYPES.INVALID_INPUT);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result,
+      meta: {
+        timestamp: new Date().toISOString(),
+        requestId: req.id
+      }
+    });
+  } finally {
+    await fs.promises.rm(req.file.path, { force: true });
+  }
+});
+
 /**
  * Update tenant
  * PATCH /api/platform/tenants/:id
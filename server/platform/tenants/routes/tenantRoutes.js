@@ -1,10 +1,20 @@
 import express from 'express';
+import os from 'os';
+import multer from 'multer';
 import { authenticatePlatformUser } from '../../middleware/platformAuth.js';
 import { validatePlatformPermission } from '../../middleware/platformPermissions.js';
 import * as tenantController from '../controllers/tenantController.js';
 
 const router = express.Router();
 
+// Tenant backup files are streamed to disk; they can be large
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 * 1024 // 2GB limit
+  }
+});
+
 /**
  * Platform Tenant Routes
  * Base path: /api/platform/tenants
@@ -31,6 +41,14 @@ router.post('/',
   tenantController.createTenant
 );
 
+// Import tenant from a backup file (e.g. from another installation)
+router.post('/import', 
+  authenticatePlatformUser,
+  validatePlatformPermission('manage_companies'),
+  upload.single('file'),
+  tenantController.importTenant
+);
+
 // Update tenant
 router.put('/:id', 
   authenticatePlatformUser,
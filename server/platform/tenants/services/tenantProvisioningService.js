@@ -52,7 +52,10 @@ class TenantProvisioningService {
       deploymentMode = 'saas',
       contactInfo = {},
       adminUser,
-      metadata = {}
+      metadata = {},
+      config,
+      limits,
+      enabledModules = []
     } = tenantData;
 
     // Validate required fields
@@ -120,14 +123,16 @@ class TenantProvisioningService {
         ...contactInfo
       },
       metadata,
+      // hr-core is always enabled; clones add the source tenant's modules
       enabledModules: [
         {
           moduleId: 'hr-core',
           enabledAt: new Date(),
           enabledBy: 'system'
-        }
+        },
+        ...enabledModules.filter(m => m.moduleId !== 'hr-core')
       ],
-      config: {
+      config: config || {
         timezone: 'UTC',
         locale: 'en-US',
         dateFormat: 'YYYY-MM-DD',
@@ -135,7 +140,7 @@ class TenantProvisioningService {
         currency: 'USD',
         features: {}
       },
-      limits: {
+      limits: limits || {
         maxUsers: 100,
         maxStorage: 10737418240, // 10GB
         apiCallsPerMonth: 100000
@@ -291,18 +296,28 @@ class TenantProvisioningService {
     }
 
     // Create new tenant with cloned configuration
-    const clonedData = {
+    return await this.createTenant(this.buildClonedTenantData(sourceTenant, newTenantData));
+  }
+
+  /**
+   * Tenant data carrying over the configuration, limits and modules of a
+   * source tenant
+   * 
+   * @param {Object} sourceTenant - Tenant, or the tenant section of a backup file
+   * @param {Object} newTenantData - New tenant data
+   * @returns {Object} Data for createTenant
+   */
+  buildClonedTenantData(sourceTenant, newTenantData) {
+    return {
       ...newTenantData,
       config: sourceTenant.config,
       limits: sourceTenant.limits,
-      enabledModules: sourceTenant.enabledModules.map(m => ({
+      enabledModules: (sourceTenant.enabledModules || []).map(m => ({
         moduleId: m.moduleId,
         enabledAt: new Date(),
         enabledBy: 'system'
       }))
     };
-
-    return await this.createTenant(clonedData);
   }
 }
 
@@ -1,6 +1,9 @@
 import BaseRepository from '../BaseRepository.js';
 import Notification from '../../modules/notifications/models/notification.model.js';
 
+// Notifications the recipient turned off in the app are kept only for email and the digest
+const IN_APP_FILTER = { 'delivery.inApp': { $ne: false } };
+
 /**
  * Notification Repository - Data access layer for notification operations
  * Extends BaseRepository with notification-specific query methods
@@ -14,7 +17,7 @@ class NotificationRepository extends BaseRepository {
      * Find notifications by recipient
      */
     async findByRecipient(recipientId, tenantId, options = {}) {
-        const filter = { recipient: recipientId, tenantId };
+        const filter = { recipient: recipientId, tenantId, ...IN_APP_FILTER };
         return await this.find(filter, options);
     }
 
@@ -22,7 +25,7 @@ class NotificationRepository extends BaseRepository {
      * Find notifications by read status
      */
     async findByReadStatus(isRead, recipientId, tenantId, options = {}) {
-        const filter = { isRead, recipient: recipientId, tenantId };
+        const filter = { isRead, recipient: recipientId, tenantId, ...IN_APP_FILTER };
         return await this.find(filter, options);
     }
 
@@ -67,7 +70,7 @@ class NotificationRepository extends BaseRepository {
      * Find recent notifications for user
      */
     async findRecent(recipientId, tenantId, limit = 50, options = {}) {
-        const filter = { recipient: recipientId, tenantId };
+        const filter = { recipient: recipientId, tenantId, ...IN_APP_FILTER };
         const queryOptions = {
             sort: { createdAt: -1 },
             limit,
@@ -128,12 +128,20 @@ router.get('/:tenantId/summary', async (req, res) => {
 
 /**
  * POST /api/v1/platform/company-logs/:tenantId/search
- * Search through company logs
+ * Search company logs through the search index
+ * Body: q - words and field:value terms, e.g. "level:error user:42 timeout*"
+ *       (fields: level, type, user, correlation, session, event, method, status)
+ *       levels, logTypes, userId, correlationId, sessionId, startTime, endTime
+ *       limit, sortOrder, cursor - nextCursor of the previous page
+ * searchTerm, logType, dateFrom, dateTo and maxResults are still accepted
  */
 router.post('/:tenantId/search', async (req, res) => {
     try {
         const { tenantId } = req.params;
-        const { searchTerm, logType, dateFrom, dateTo, maxResults = 1000 } = req.body;
+        const {
+            q, searchTerm, levels, logTypes, logType, userId, correlationId, sessionId,
+            startTime, endTime, dateFrom, dateTo, limit, maxResults, sortOrder, cursor
+        } = req.body;
         
         // Check if user has access to this tenant's logs
         if (req.user.role !== 'admin' && req.user.tenantId !== tenantId) {
@@ -143,24 +151,55 @@ router.post('/:tenantId/search', async (req, res) => {
             });
         }
 
-        if (!searchTerm) {
-            return res.status(400).json({
-                success: false,
-                message: 'Search term is required'
-            });
-        }
-
-        const results = await companyLogService.searchCompanyLogs(tenantId, searchTerm, {
-            logType,
-            dateFrom,
-            dateTo,
-            maxResults: parseInt(maxResults)
+        const pageSize = limit ?? maxResults;
+        const results = await companyLogService.searchCompanyLogs(tenantId, {
+            q: q ?? searchTerm,
+            levels,
+            logTypes: logTypes ?? (logType ? [logType] : undefined),
+            userId,
+            correlationId,
+            sessionId,
+            startTime: startTime ?? dateFrom,
+            endTime: endTime ?? dateTo,
+            limit: pageSize !== undefined && pageSize !== null ? parseInt(pageSize) : undefined,
+            sortOrder,
+            cursor
         });
 
         res.json({
             success: true,
             data: results
         });
+    } catch (error) {
+        res.status(error.message.includes('Invalid query') ? 400 : 500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/v1/platform/company-logs/:tenantId/search/reindex
+ * Index the log files written before the search index existed
+ */
+router.post('/:tenantId/search/reindex', admin, async (req, res) => {
+    try {
+        const { tenantId } = req.params;
+
+        const result = await companyLogService.rebuildSearchIndex(tenantId);
+
+        const logger = await getLoggerForTenant(tenantId);
+        logger.audit('Log search index rebuilt', {
+            action: 'rebuild_log_index',
+            rebuiltBy: req.user.email,
+            days: result.days,
+            entries: result.entries
+        });
+
+        res.json({
+            success: true,
+            data: result
+        });
     } catch (error) {
         res.status(500).json({
             success: false,
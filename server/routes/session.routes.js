@@ -20,7 +20,12 @@ import {
     hashPassword,
     verifyPassword,
     setupMFA,
-    verifyMFA
+    enableMFA,
+    verifyMFALogin,
+    checkLoginMFA,
+    disableMFA,
+    getMFAPolicy,
+    generateMFASetupToken
 } from '../middleware/enhancedAuth.middleware.js';
 import { authRateLimit } from '../middleware/enhancedRateLimit.middleware.js';
 import User from '../modules/hr-core/users/models/user.model.js';
@@ -49,7 +54,11 @@ router.post('/login',
             .optional()
             .isLength({ min: 6, max: 6 })
             .isNumeric()
-            .withMessage('MFA token must be 6 digits')
+            .withMessage('MFA token must be 6 digits'),
+        body('recoveryCode')
+            .optional()
+            .isString()
+            .withMessage('Recovery code must be a string')
     ],
     async (req, res) => {
         try {
@@ -62,12 +71,12 @@ router.post('/login',
                 });
             }
 
-            const { email, password, rememberMe = false, mfaToken } = req.body;
+            const { email, password, rememberMe = false } = req.body;
             const ipAddress = req.ip;
             const userAgent = req.get('User-Agent');
 
             // Find user
-            const user = await User.findOne({ email }).select('+password +mfa');
+            const user = await User.findOne({ email }).select('+password');
             
             if (!user) {
                 logger.warn('Login attempt with non-existent email', { email, ipAddress });
@@ -92,30 +101,36 @@ router.post('/login',
                 });
             }
 
-            // Check if MFA is enabled
-            if (user.mfa && user.mfa.enabled) {
-                if (!mfaToken) {
-                    return res.status(200).json({
-                        success: true,
-                        requiresMFA: true,
-                        message: 'MFA token required'
-                    });
-                }
+            // Check the second factor
+            const mfaResult = await checkLoginMFA(user, req.body);
 
-                // Verify MFA token
-                const isMFAValid = verifyMFA(mfaToken, user.mfa.secret);
-                
-                if (!isMFAValid) {
-                    logger.warn('Login attempt with invalid MFA token', { 
-                        userId: user._id, 
-                        email, 
-                        ipAddress 
-                    });
-                    return res.status(401).json({
-                        success: false,
-                        message: 'Invalid MFA token'
-                    });
-                }
+            if (mfaResult === 'required') {
+                return res.status(200).json({
+                    success: true,
+                    requiresMFA: true,
+                    message: 'MFA token required'
+                });
+            }
+
+            if (mfaResult === 'setup-required') {
+                return res.status(200).json({
+                    success: true,
+                    requiresMFASetup: true,
+                    mfaSetupToken: generateMFASetupToken(user, 'tenant'),
+                    message: 'MFA must be set up before signing in'
+                });
+            }
+
+            if (mfaResult === 'invalid') {
+                logger.warn('Login attempt with invalid MFA token', { 
+                    userId: user._id, 
+                    email, 
+                    ipAddress 
+                });
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid MFA token'
+                });
             }
 
             // Create session
@@ -389,13 +404,23 @@ router.post('/mfa/setup',
     authenticateSession,
     async (req, res) => {
         try {
-            const mfaSetup = await setupMFA(req.session.userId);
+            const user = await User.findById(req.session.userId);
+
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found'
+                });
+            }
+
+            const mfaSetup = await setupMFA(user);
 
             res.json({
                 success: true,
                 message: 'MFA setup initiated',
                 secret: mfaSetup.secret,
-                qrCodeUrl: mfaSetup.qrCodeUrl
+                qrCodeUrl: mfaSetup.otpauthUrl,
+                qrCode: mfaSetup.qrCode
             });
 
         } catch (error) {
@@ -404,9 +429,9 @@ router.post('/mfa/setup',
                 userId: req.session?.userId
             });
 
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'MFA setup failed'
+                message: error.statusCode ? error.message : 'MFA setup failed'
             });
         }
     }
@@ -421,10 +446,7 @@ router.post('/mfa/verify',
         body('token')
             .isLength({ min: 6, max: 6 })
             .isNumeric()
-            .withMessage('MFA token must be 6 digits'),
-        body('secret')
-            .notEmpty()
-            .withMessage('MFA secret is required')
+            .withMessage('MFA token must be 6 digits')
     ],
     async (req, res) => {
         try {
@@ -437,32 +459,23 @@ router.post('/mfa/verify',
                 });
             }
 
-            const { token, secret } = req.body;
+            const user = await User.findById(req.session.userId);
 
-            // Verify MFA token
-            const isValid = verifyMFA(token, secret);
-
-            if (!isValid) {
-                return res.status(400).json({
+            if (!user) {
+                return res.status(404).json({
                     success: false,
-                    message: 'Invalid MFA token'
+                    message: 'User not found'
                 });
             }
 
-            // Enable MFA for user
-            await User.findByIdAndUpdate(req.session.userId, {
-                'mfa.enabled': true,
-                'mfa.secret': secret,
-                'mfa.enabledAt': new Date()
-            });
-
-            logger.info('MFA enabled for user', {
-                userId: req.session.userId
-            });
+            // Confirm the pending secret from /mfa/setup
+            const policy = await getMFAPolicy();
+            const recoveryCodes = await enableMFA(user, req.body.token, policy.recoveryCodesCount);
 
             res.json({
                 success: true,
-                message: 'MFA enabled successfully'
+                message: 'MFA enabled successfully',
+                recoveryCodes
             });
 
         } catch (error) {
@@ -471,9 +484,9 @@ router.post('/mfa/verify',
                 userId: req.session?.userId
             });
 
-            res.status(500).json({
+            res.status(error.statusCode || 500).json({
                 success: false,
-                message: 'MFA verification failed'
+                message: error.statusCode ? error.message : 'MFA verification failed'
             });
         }
     }
@@ -507,7 +520,7 @@ router.post('/mfa/disable',
             const { password, token } = req.body;
 
             // Get user with password and MFA
-            const user = await User.findById(req.session.userId).select('+password +mfa');
+            const user = await User.findById(req.session.userId).select('+password');
             
             if (!user) {
                 return res.status(404).json({
@@ -528,7 +541,7 @@ router.post('/mfa/disable',
 
             // Verify MFA token
             if (user.mfa && user.mfa.enabled) {
-                const isMFAValid = verifyMFA(token, user.mfa.secret);
+                const isMFAValid = await verifyMFALogin(user, { token });
                 
                 if (!isMFAValid) {
                     return res.status(401).json({
@@ -539,11 +552,7 @@ router.post('/mfa/disable',
             }
 
             // Disable MFA
-            await User.findByIdAndUpdate(user._id, {
-                'mfa.enabled': false,
-                'mfa.secret': null,
-                'mfa.disabledAt': new Date()
-            });
+            await disableMFA(user);
 
             logger.info('MFA disabled for user', {
                 userId: user._id
@@ -0,0 +1,83 @@
+/**
+ * Payroll Index Migration
+ *
+ * Payroll records used to be unique per employee and period
+ * (employee_1_period_1). Payroll runs now allow several records per employee
+ * and period, one per run (regular, adjustment, end of service), unique on
+ * { tenantId, employee, period, payrollRun }. Databases created before that
+ * change still carry the old index, which makes adjustment runs fail with
+ * E11000 duplicate key errors.
+ *
+ * This script drops the old index and creates the current ones. It is safe
+ * to run more than once.
+ *
+ * Usage: node server/scripts/migrations/dropLegacyPayrollIndex.js [--dry-run]
+ */
+
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables from root
+dotenv.config({ path: path.join(__dirname, '../../../.env') });
+
+import Payroll from '../../modules/payroll/models/payroll.model.js';
+
+const LEGACY_INDEX = 'employee_1_period_1';
+
+async function dropLegacyPayrollIndex(dryRun = false) {
+    const collection = Payroll.collection;
+
+    const collectionExists = await mongoose.connection.db
+        .listCollections({ name: collection.collectionName })
+        .hasNext();
+    if (!collectionExists) {
+        console.log(`⊘ Collection '${collection.collectionName}' does not exist, nothing to migrate`);
+        return { dropped: false };
+    }
+
+    const indexes = await collection.indexes();
+    const legacy = indexes.find(index => index.name === LEGACY_INDEX);
+
+    if (!legacy) {
+        console.log(`✓ Index '${LEGACY_INDEX}' not found, nothing to drop`);
+    } else if (dryRun) {
+        console.log(`[DRY RUN] Would drop index '${LEGACY_INDEX}'`);
+    } else {
+        await collection.dropIndex(LEGACY_INDEX);
+        console.log(`✓ Dropped index '${LEGACY_INDEX}'`);
+    }
+
+    if (!dryRun) {
+        await Payroll.createIndexes();
+        console.log('✓ Payroll indexes are up to date');
+    }
+
+    return { dropped: !!legacy && !dryRun };
+}
+
+// Run migration if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const dryRun = process.argv.includes('--dry-run');
+
+    mongoose.connect(process.env.MONGODB_URI)
+        .then(() => {
+            console.log('✓ Connected to database');
+            return dropLegacyPayrollIndex(dryRun);
+        })
+        .then(async () => {
+            await mongoose.disconnect();
+            process.exit(0);
+        })
+        .catch(async (error) => {
+            console.error('✗ Migration failed:', error);
+            await mongoose.disconnect();
+            process.exit(1);
+        });
+}
+
+export default dropLegacyPayrollIndex;
@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * ZKTeco device simulator
+ * Runs a fake ZKTeco terminal (TCP + UDP) so attendance device sync can be tested without hardware.
+ *
+ * Usage:
+ *   npm run zkteco-simulator -- [--port 4370] [--users 5] [--days 3] [--comm-key 0] [--punch-every 0]
+ *
+ * Register an attendance device of type "zkteco" pointing at this machine's IP and port.
+ * Device user IDs 1..N map to employees EMID-0001..EMID-000N unless device.config.userMapping is set.
+ */
+
+import ZKTecoSimulator from '../modules/hr-core/attendance/utils/zktecoSimulator.js';
+
+const args = process.argv.slice(2);
+const getArg = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+};
+
+const port = Number(getArg('port', 4370));
+const userCount = Number(getArg('users', 5));
+const days = Number(getArg('days', 3));
+const commKey = Number(getArg('comm-key', 0));
+const punchEvery = Number(getArg('punch-every', 0));
+const host = getArg('host', '0.0.0.0');
+
+const users = Array.from({ length: userCount }, (_, index) => ({
+    userId: String(index + 1),
+    name: `Employee ${index + 1}`
+}));
+
+// One check-in around 09:00 and one check-out around 17:00 per user per past working day
+const attendances = [];
+for (let day = days; day >= 1; day--) {
+    const date = new Date();
+    date.setDate(date.getDate() - day);
+    if ([5, 6].includes(date.getDay())) continue;
+
+    users.forEach(user => {
+        const checkIn = new Date(date);
+        checkIn.setHours(8, 45 + Math.floor(Math.random() * 30), 0, 0);
+        const checkOut = new Date(date);
+        checkOut.setHours(17, Math.floor(Math.random() * 30), 0, 0);
+        attendances.push({ userId: user.userId, timestamp: checkIn, punch: 0 });
+        attendances.push({ userId: user.userId, timestamp: checkOut, punch: 1 });
+    });
+}
+
+const simulator = new ZKTecoSimulator({ port, host, commKey, users, attendances });
+
+const boundPort = await simulator.start();
+console.log(`ZKTeco simulator listening on ${host}:${boundPort} (tcp + udp)`);
+console.log(`${users.length} users, ${attendances.length} attendance records${commKey ? `, comm key ${commKey}` : ''}`);
+
+let timer = null;
+if (punchEvery > 0) {
+    timer = setInterval(() => {
+        const user = users[Math.floor(Math.random() * users.length)];
+        const record = simulator.addPunch(user.userId, new Date(), new Date().getHours() < 13 ? 0 : 1);
+        console.log(`Punch: user ${record.userId} at ${record.timestamp.toISOString()}`);
+    }, punchEvery * 1000);
+}
+
+const shutdown = async () => {
+    if (timer) clearInterval(timer);
+    await simulator.stop();
+    process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
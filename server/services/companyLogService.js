@@ -9,6 +9,8 @@ import { fileURLToPath } from 'url';
 import archiver from 'archiver';
 import { getLoggerForTenant, getCompanyLogStats } from '../utils/companyLogger.js';
 import Tenant from '../platform/tenants/models/Tenant.js';
+import { searchIndexedLogs } from './logSearch.service.js';
+import { rebuildLogIndex } from './logIndex.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -285,70 +287,55 @@ class CompanyLogService {
     }
 
     /**
-     * Search across all log files for a company
+     * Get the log directory of a company
      */
-    async searchCompanyLogs(tenantId, searchTerm, options = {}) {
-        try {
-            const { 
-                logType = null, 
-                dateFrom = null, 
-                dateTo = null, 
-                maxResults = 1000 
-            } = options;
-
-            const logFiles = await this.getCompanyLogFiles(tenantId);
-            const results = [];
+    async getCompanyLogDirectory(tenantId) {
+        const tenant = await Tenant.findOne({ tenantId });
+        if (!tenant) {
+            throw new Error('Company not found');
+        }
 
-            for (const logFile of logFiles) {
-                // Filter by log type if specified
-                if (logType && logFile.type !== logType) {
-                    continue;
-                }
+        const sanitizedName = tenant.name
+            .toLowerCase()
+            .replace(/[^a-z0-9]/g, '_')
+            .replace(/_+/g, '_')
+            .replace(/^_|_$/g, '');
 
-                // Filter by date range if specified
-                if (dateFrom && logFile.modified < new Date(dateFrom)) {
-                    continue;
-                }
-                if (dateTo && logFile.modified > new Date(dateTo)) {
-                    continue;
-                }
+        return path.join(companyLogsDir, sanitizedName);
+    }
 
-                try {
-                    const content = fs.readFileSync(logFile.path, 'utf8');
-                    const lines = content.split('\n');
-
-                    lines.forEach((line, index) => {
-                        if (line.toLowerCase().includes(searchTerm.toLowerCase())) {
-                            results.push({
-                                file: logFile.name,
-                                line: index + 1,
-                                content: line.trim(),
-                                timestamp: this.extractTimestamp(line),
-                                type: logFile.type
-                            });
-
-                            if (results.length >= maxResults) {
-                                return;
-                            }
-                        }
-                    });
-                } catch (error) {
-                    console.error(`Error reading log file ${logFile.name}:`, error);
-                }
+    /**
+     * Search a company's logs through the search index
+     * @param {string} tenantId - Company tenant ID
+     * @param {Object} options - q (words and field:value terms), levels, logTypes,
+     *   userId, correlationId, sessionId, startTime, endTime, limit, sortOrder, cursor
+     */
+    async searchCompanyLogs(tenantId, options = {}) {
+        try {
+            const companyDir = await this.getCompanyLogDirectory(tenantId);
+            return await searchIndexedLogs({ ...options, tenantId, companyDir });
+        } catch (error) {
+            throw new Error(`Failed to search logs: ${error.message}`);
+        }
+    }
 
-                if (results.length >= maxResults) {
-                    break;
-                }
+    /**
+     * Index the log files a company already has, for days before today
+     */
+    async rebuildSearchIndex(tenantId) {
+        try {
+            const companyDir = await this.getCompanyLogDirectory(tenantId);
+            if (!fs.existsSync(companyDir)) {
+                return { days: 0, entries: 0, message: 'No logs found for this company' };
             }
 
+            const result = await rebuildLogIndex(companyDir);
             return {
-                searchTerm,
-                results: results.slice(0, maxResults),
-                totalFound: results.length,
-                truncated: results.length >= maxResults
+                ...result,
+                message: `Indexed ${result.entries} log entries from ${result.days} days`
             };
         } catch (error) {
-            throw new Error(`Failed to search logs: ${error.message}`);
+            throw new Error(`Failed to rebuild search index: ${error.message}`);
         }
     }
 
@@ -0,0 +1,939 @@
+/**
+ * Log Index Service
+ * On-disk inverted index over company logs, so a search reads the entries that
+ * match instead of decompressing and scanning every log file
+ *
+ * Each company's index lives in <companyDir>/index with one segment per day:
+ *   entries.jsonl - indexed entries, one JSON line each, in write order
+ *   entries.idx   - end offset of every entry in entries.jsonl (8 bytes, big-endian)
+ *   postings.json - term -> entry numbers, written once the day is over
+ * The company logger appends entries as it writes its log files; postings of
+ * the current day are built in memory from entries.jsonl and kept up to date
+ * from the new entries only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { promisify } from 'util';
+import zlib from 'zlib';
+import readline from 'readline';
+import crypto from 'crypto';
+
+const readdir = promisify(fs.readdir);
+const readFile = promisify(fs.readFile);
+const writeFile = promisify(fs.writeFile);
+const appendFile = promisify(fs.appendFile);
+const rename = promisify(fs.rename);
+const truncate = promisify(fs.truncate);
+const mkdir = promisify(fs.mkdir);
+const rm = promisify(fs.rm);
+
+const INDEX_DIR = 'index';
+const ENTRIES_FILE = 'entries.jsonl';
+const OFFSETS_FILE = 'entries.idx';
+const POSTINGS_FILE = 'postings.json';
+const INDEX_VERSION = 1;
+const OFFSET_BYTES = 8;
+
+const FLUSH_INTERVAL_MS = 1000;
+const FLUSH_BATCH_SIZE = 500;
+const MAX_CACHED_SEGMENTS = parseInt(process.env.LOG_INDEX_CACHED_SEGMENTS, 10) || 8;
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 64;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+const TOP_USERS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// 2024-01-31-application.log, 2024-01-31-application.log.1.gz, ...
+const LOG_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})-[a-z-]+\.log(\.\d+)?(\.gz)?$/;
+
+// Log files an entry is written to, as configured in the company logger
+export const INDEXED_LOG_TYPES = ['application', 'error', 'audit', 'security', 'performance', 'compliance'];
+
+// Field names accepted in queries, e.g. "level:error user:42"
+export const QUERY_FIELDS = {
+    level: 'level',
+    type: 'type',
+    user: 'user',
+    userid: 'user',
+    correlation: 'correlation',
+    correlationid: 'correlation',
+    session: 'session',
+    sessionid: 'session',
+    event: 'event',
+    method: 'method',
+    status: 'status'
+};
+
+/**
+ * Local calendar day (YYYY-MM-DD), matching the dates of the log file names
+ */
+export function formatDay(date) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Lower-cased words of a text, without duplicates
+ */
+export function tokenize(text) {
+    const tokens = String(text ?? '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}_]+/u)
+        .filter(token => token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH);
+    return [...new Set(tokens)];
+}
+
+/**
+ * Log files the entry was written to
+ */
+export function getEntryLogTypes(entry) {
+    const types = ['application'];
+    if (entry.level === 'error') types.push('error');
+    if (entry.audit) types.push('audit');
+    if (entry.security) types.push('security');
+    if (entry.performance) types.push('performance');
+    if (entry.compliance) types.push('compliance');
+    return types;
+}
+
+/**
+ * Index terms of an entry: "field:value" terms and the words of the message
+ */
+export function getEntryTerms(entry) {
+    const fields = {
+        level: entry.level,
+        user: entry.userId ?? entry.correlationContext?.userId,
+        correlation: entry.correlationId,
+        session: entry.sessionId ?? entry.correlationContext?.sessionId,
+        event: entry.eventType,
+        method: entry.method,
+        status: entry.statusCode
+    };
+
+    const terms = Object.entries(fields)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([field, value]) => `${field}:${String(value).toLowerCase()}`);
+
+    getEntryLogTypes(entry).forEach(type => terms.push(`type:${type}`));
+    tokenize(entry.message).forEach(word => terms.push(word));
+
+    return terms;
+}
+
+/**
+ * Parse a query string into clauses that must all match. Words match whole
+ * words of the message, "word*" matches a prefix, and "field:value" matches a
+ * field; several values of one field match any of them.
+ * @example parseQuery('level:error level:warn user:42 timeout') // error or warn, user 42, "timeout"
+ */
+export function parseQuery(text) {
+    const clauses = [];
+    const fieldClauses = new Map();
+
+    String(text ?? '').trim().split(/\s+/).filter(Boolean).forEach(part => {
+        const match = part.match(/^([a-zA-Z]+):(.+)$/);
+        const field = match && QUERY_FIELDS[match[1].toLowerCase()];
+
+        if (field) {
+            if (!fieldClauses.has(field)) {
+                fieldClauses.set(field, { terms: [] });
+                clauses.push(fieldClauses.get(field));
+            }
+            fieldClauses.get(field).terms.push(`${field}:${match[2].toLowerCase()}`);
+            return;
+        }
+
+        const words = tokenize(part);
+        const prefix = part.endsWith('*') ? words.pop() : null;
+        words.forEach(word => clauses.push({ terms: [word] }));
+        if (prefix) clauses.push({ prefix });
+    });
+
+    return clauses;
+}
+
+/**
+ * Opaque position of an entry in the result order; stays valid while new
+ * entries are indexed
+ */
+export function encodeCursor({ day, time, doc }) {
+    return Buffer.from(JSON.stringify([day, time, doc])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+    try {
+        const [day, time, doc] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (DAY_PATTERN.test(day) && Number.isFinite(time) && Number.isInteger(doc)) {
+            return { day, time, doc };
+        }
+    } catch {
+        // Reported below
+    }
+    throw new Error('Invalid query: cursor is not valid');
+}
+
+/**
+ * Normalize search options into clauses, time range and paging
+ */
+export function buildIndexQuery(options = {}) {
+    const errors = [];
+    const clauses = parseQuery(options.q);
+    const toList = (value) => (Array.isArray(value) ? value : [value]).filter(item => item !== undefined && item !== null && item !== '');
+    const addClause = (field, values) => {
+        const list = toList(values);
+        if (list.length) {
+            clauses.push({ terms: list.map(value => `${field}:${String(value).toLowerCase()}`) });
+        }
+    };
+
+    addClause('level', options.levels);
+    // Every indexed entry is in the application log
+    if (!toList(options.logTypes).includes('application')) {
+        addClause('type', options.logTypes);
+    }
+    addClause('user', options.userId);
+    addClause('correlation', options.correlationId);
+    addClause('session', options.sessionId);
+
+    const toTime = (value, name) => {
+        if (!value) return null;
+        const time = new Date(value).getTime();
+        if (Number.isNaN(time)) errors.push(`${name} is not a valid date`);
+        return time;
+    };
+    const startTime = toTime(options.startTime, 'startTime');
+    const endTime = toTime(options.endTime, 'endTime');
+    if (startTime !== null && endTime !== null && startTime > endTime) {
+        errors.push('Start time must be before end time');
+    }
+
+    const limit = options.limit === undefined || options.limit === null ? DEFAULT_LIMIT : Number(options.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        errors.push(`Limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const sortOrder = options.sortOrder || 'desc';
+    if (!['asc', 'desc'].includes(sortOrder)) {
+        errors.push('Invalid sortOrder');
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid query: ${errors.join(', ')}`);
+    }
+
+    return {
+        clauses,
+        startTime,
+        endTime,
+        limit,
+        sortOrder,
+        cursor: options.cursor ? decodeCursor(options.cursor) : null
+    };
+}
+
+/**
+ * Entries in both sorted lists
+ */
+export function intersectSorted(a, b) {
+    const result = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            result.push(a[i]);
+            i++;
+            j++;
+        } else if (a[i] < b[j]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    return result;
+}
+
+function unionSorted(lists) {
+    if (lists.length === 1) return lists[0];
+    const merged = [...new Set(lists.flatMap(list => Array.from(list)))];
+    return merged.sort((a, b) => a - b);
+}
+
+function compareKeys(a, b) {
+    if (a.day !== b.day) return a.day < b.day ? -1 : 1;
+    return (a.time - b.time) || (a.doc - b.doc);
+}
+
+function parseEntryTime(entry, fallback) {
+    const time = Date.parse(entry.timestamp);
+    return Number.isNaN(time) ? fallback : time;
+}
+
+function typesToMask(types) {
+    return types.reduce((mask, type) => mask | (1 << INDEXED_LOG_TYPES.indexOf(type)), 0);
+}
+
+function maskToTypes(mask) {
+    return INDEXED_LOG_TYPES.filter((type, index) => mask & (1 << index));
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await promisify(fs.stat)(filePath)).size;
+    } catch (error) {
+        if (error.code === 'ENOENT') return 0;
+        throw error;
+    }
+}
+
+async function readRange(filePath, start, end) {
+    const buffer = Buffer.alloc(end - start);
+    if (buffer.length === 0) return buffer;
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        await handle.read(buffer, 0, buffer.length, start);
+    } finally {
+        await handle.close();
+    }
+    return buffer;
+}
+
+function readOffsets(buffer) {
+    const offsets = [];
+    for (let position = 0; position + OFFSET_BYTES <= buffer.length; position += OFFSET_BYTES) {
+        offsets.push(Number(buffer.readBigUInt64BE(position)));
+    }
+    return offsets;
+}
+
+/**
+ * Lines of a log or index file, gzipped or not
+ */
+function readLines(filePath) {
+    const stream = fs.createReadStream(filePath);
+    return readline.createInterface({
+        input: filePath.endsWith('.gz') ? stream.pipe(zlib.createGunzip()) : stream,
+        crlfDelay: Infinity
+    });
+}
+
+/**
+ * Log Index
+ */
+class LogIndex {
+    constructor() {
+        this.pending = new Map(); // Segment dir -> lines waiting to be written
+        this.writes = new Map(); // Segment dir -> last write, so appends stay in order
+        this.segmentEnds = new Map(); // Segment dir -> size of entries.jsonl
+        this.segments = new Map(); // Segment dir -> loaded segment, least recently used first
+        this.flushTimer = null;
+    }
+
+    getIndexDirectory(companyDir) {
+        return path.join(companyDir, INDEX_DIR);
+    }
+
+    /**
+     * Queue a log entry for indexing; entries are written in batches
+     * @param {string} companyDir - Company log directory
+     * @param {string|Object} entry - Entry as written to the log file
+     */
+    indexEntry(companyDir, entry, date = new Date()) {
+        const line = typeof entry === 'string' ? entry : JSON.stringify(entry);
+        const dir = path.join(this.getIndexDirectory(companyDir), formatDay(date));
+
+        if (!this.pending.has(dir)) {
+            this.pending.set(dir, []);
+        }
+        const lines = this.pending.get(dir);
+        lines.push(line);
+
+        if (lines.length >= FLUSH_BATCH_SIZE) {
+            this.flushSegment(dir);
+        } else if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), FLUSH_INTERVAL_MS);
+            this.flushTimer.unref?.();
+        }
+    }
+
+    /**
+     * Write every queued entry
+     */
+    async flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        await Promise.all([...this.pending.keys()].map(dir => this.flushSegment(dir)));
+    }
+
+    flushSegment(dir) {
+        const lines = this.pending.get(dir);
+        this.pending.delete(dir);
+
+        const previous = this.writes.get(dir) || Promise.resolve();
+        const write = previous
+            .then(() => this.appendToSegment(dir, lines))
+            .catch(error => {
+                console.error(`Failed to index log entries in ${dir}:`, error);
+            })
+            .finally(() => {
+                if (this.writes.get(dir) === write) this.writes.delete(dir);
+            });
+
+        this.writes.set(dir, write);
+        return write;
+    }
+
+    async appendToSegment(dir, lines) {
+        if (!this.segmentEnds.has(dir)) {
+            await mkdir(dir, { recursive: true });
+            this.segmentEnds.set(dir, await this.repairSegment(dir));
+        }
+
+        let end = this.segmentEnds.get(dir);
+        const offsets = Buffer.alloc(lines.length * OFFSET_BYTES);
+        const chunks = lines.map((line, index) => {
+            const chunk = Buffer.from(`${line}\n`);
+            end += chunk.length;
+            offsets.writeBigUInt64BE(BigInt(end), index * OFFSET_BYTES);
+            return chunk;
+        });
+
+        // Entries first: an entry only counts once its offset is written
+        await appendFile(path.join(dir, ENTRIES_FILE), Buffer.concat(chunks));
+        await appendFile(path.join(dir, OFFSETS_FILE), offsets);
+        this.segmentEnds.set(dir, end);
+    }
+
+    /**
+     * Drop a partly written batch left by an interrupted process
+     * @returns {Promise<number>} Size of entries.jsonl
+     */
+    async repairSegment(dir) {
+        const entriesPath = path.join(dir, ENTRIES_FILE);
+        const offsetsPath = path.join(dir, OFFSETS_FILE);
+        const entriesSize = await fileSize(entriesPath);
+        const offsetsSize = await fileSize(offsetsPath);
+
+        let offsets = readOffsets(await readRange(offsetsPath, 0, offsetsSize - (offsetsSize % OFFSET_BYTES)));
+        offsets = offsets.filter(offset => offset <= entriesSize);
+        const end = offsets.length ? offsets[offsets.length - 1] : 0;
+
+        if (offsetsSize !== offsets.length * OFFSET_BYTES) {
+            await truncate(offsetsPath, offsets.length * OFFSET_BYTES);
+        }
+        if (entriesSize !== end) {
+            await truncate(entriesPath, end);
+        }
+        return end;
+    }
+
+    /**
+     * Days with a segment, oldest first
+     */
+    async listSegments(companyDir) {
+        const indexDir = this.getIndexDirectory(companyDir);
+        if (!fs.existsSync(indexDir)) return [];
+        const names = await readdir(indexDir);
+        return names.filter(name => DAY_PATTERN.test(name)).sort();
+    }
+
+    /**
+     * Postings of a segment, from postings.json once the day is over
+     */
+    async loadSegment(companyDir, day) {
+        const dir = path.join(this.getIndexDirectory(companyDir), day);
+        const docCount = Math.floor(await fileSize(path.join(dir, OFFSETS_FILE)) / OFFSET_BYTES);
+
+        let segment = this.segments.get(dir);
+        if (!segment || segment.docCount > docCount || (segment.sealed && segment.docCount !== docCount)) {
+            segment = await this.readPostings(dir, day, docCount) || this.createSegment(dir, day);
+        }
+        if (segment.docCount < docCount) {
+            await this.readNewEntries(segment, docCount);
+        }
+        if (!segment.sealed && day < formatDay(new Date())) {
+            await this.sealSegment(segment);
+        }
+
+        // Most recently used last
+        this.segments.delete(dir);
+        this.segments.set(dir, segment);
+        while (this.segments.size > MAX_CACHED_SEGMENTS) {
+            this.segments.delete(this.segments.keys().next().value);
+        }
+
+        return segment;
+    }
+
+    createSegment(dir, day) {
+        return {
+            dir,
+            day,
+            sealed: false,
+            docCount: 0,
+            offsets: [],
+            times: [],
+            levels: [],
+            users: [],
+            types: [],
+            postings: new Map()
+        };
+    }
+
+    async readPostings(dir, day, docCount) {
+        let data;
+        try {
+            data = JSON.parse(await readFile(path.join(dir, POSTINGS_FILE), 'utf8'));
+        } catch {
+            return null;
+        }
+        if (data.version !== INDEX_VERSION || data.docCount !== docCount) {
+            return null;
+        }
+
+        const offsets = readOffsets(await readRange(path.join(dir, OFFSETS_FILE), 0, docCount * OFFSET_BYTES));
+        const postings = new Map(Object.entries(data.terms).map(([term, docs]) => [term, Int32Array.from(docs)]));
+
+        return {
+            dir,
+            day,
+            sealed: true,
+            docCount,
+            offsets,
+            times: data.times,
+            levels: data.levels,
+            users: data.users,
+            types: data.types,
+            postings
+        };
+    }
+
+    /**
+     * Index entries written since the segment was loaded
+     */
+    async readNewEntries(segment, docCount) {
+        const offsetsPath = path.join(segment.dir, OFFSETS_FILE);
+        const newOffsets = readOffsets(await readRange(offsetsPath, segment.docCount * OFFSET_BYTES, docCount * OFFSET_BYTES));
+        const start = segment.docCount ? segment.offsets[segment.docCount - 1] : 0;
+        const buffer = await readRange(path.join(segment.dir, ENTRIES_FILE), start, newOffsets[newOffsets.length - 1]);
+        const dayStart = new Date(`${segment.day}T00:00:00`).getTime();
+
+        let position = 0;
+        newOffsets.forEach(offset => {
+            const line = buffer.toString('utf8', position, offset - start);
+            position = offset - start;
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                entry = {};
+            }
+
+            const doc = segment.docCount++;
+            segment.offsets.push(offset);
+            segment.times.push(parseEntryTime(entry, dayStart));
+            segment.levels.push(entry.level || null);
+            segment.users.push(entry.userId ?? entry.correlationContext?.userId ?? null);
+            segment.types.push(typesToMask(getEntryLogTypes(entry)));
+
+            getEntryTerms(entry).forEach(term => {
+                if (!segment.postings.has(term)) segment.postings.set(term, []);
+                segment.postings.get(term).push(doc);
+            });
+        });
+    }
+
+    /**
+     * Write the postings of a finished day, so later searches skip parsing it
+     */
+    async sealSegment(segment) {
+        const terms = {};
+        segment.postings.forEach((docs, term) => {
+            terms[term] = Array.from(docs);
+        });
+
+        const data = {
+            version: INDEX_VERSION,
+            day: segment.day,
+            docCount: segment.docCount,
+            times: segment.times,
+            levels: segment.levels,
+            users: segment.users,
+            types: segment.types,
+            terms
+        };
+
+        const postingsPath = path.join(segment.dir, POSTINGS_FILE);
+        const tempPath = `${postingsPath}.${process.pid}.tmp`;
+        try {
+            await writeFile(tempPath, JSON.stringify(data));
+            await rename(tempPath, postingsPath);
+            segment.sealed = true;
+        } catch (error) {
+            console.error(`Failed to write log index postings ${postingsPath}:`, error);
+        }
+    }
+
+    /**
+     * Entry numbers of a segment that match the query, in ascending order
+     */
+    matchSegment(segment, query) {
+        let matches = null;
+
+        for (const clause of query.clauses) {
+            const lists = clause.prefix
+                ? [...segment.postings.keys()]
+                    .filter(term => !term.includes(':') && term.startsWith(clause.prefix))
+                    .map(term => segment.postings.get(term))
+                : clause.terms.map(term => segment.postings.get(term)).filter(Boolean);
+
+            if (lists.length === 0) return [];
+            const docs = unionSorted(lists);
+            matches = matches === null ? Array.from(docs) : intersectSorted(matches, docs);
+            if (matches.length === 0) return [];
+        }
+
+        if (matches === null) {
+            matches = Array.from({ length: segment.docCount }, (value, doc) => doc);
+        }
+        if (query.startTime !== null || query.endTime !== null) {
+            matches = matches.filter(doc => {
+                const time = segment.times[doc];
+                return (query.startTime === null || time >= query.startTime) &&
+                    (query.endTime === null || time <= query.endTime);
+            });
+        }
+
+        return matches;
+    }
+
+    addFacets(facets, segment, matches) {
+        matches.forEach(doc => {
+            const level = segment.levels[doc];
+            if (level) facets.levels[level] = (facets.levels[level] || 0) + 1;
+
+            maskToTypes(segment.types[doc]).forEach(type => {
+                facets.logTypes[type] = (facets.logTypes[type] || 0) + 1;
+            });
+
+            const user = segment.users[doc];
+            if (user !== null && user !== undefined) {
+                facets.users[user] = (facets.users[user] || 0) + 1;
+            }
+        });
+
+        if (matches.length > 0) {
+            facets.days[segment.day] = matches.length;
+        }
+    }
+
+    /**
+     * Search a company's index
+     * @param {string} companyDir - Company log directory
+     * @param {Object} options - q, levels, logTypes, userId, correlationId, sessionId,
+     *   startTime, endTime, limit, sortOrder ('desc' = newest first) and cursor
+     * @returns {Promise<Object>} Page of entries, total count, facets over all
+     *   matches and the cursor of the next page
+     */
+    async search(companyDir, options = {}) {
+        const startedAt = Date.now();
+        const query = buildIndexQuery(options);
+        const descending = query.sortOrder === 'desc';
+
+        const result = {
+            entries: [],
+            totalCount: 0,
+            facets: { levels: {}, logTypes: {}, users: {}, days: {} },
+            nextCursor: null,
+            indexedFrom: null,
+            segmentsSearched: 0,
+            searchTime: 0
+        };
+
+        const days = companyDir ? await this.listSegments(companyDir) : [];
+        result.indexedFrom = days[0] || null;
+
+        const firstDay = query.startTime !== null ? formatDay(new Date(query.startTime - DAY_MS)) : null;
+        const lastDay = query.endTime !== null ? formatDay(new Date(query.endTime + DAY_MS)) : null;
+        const selectedDays = days.filter(day => (!firstDay || day >= firstDay) && (!lastDay || day <= lastDay));
+        if (descending) selectedDays.reverse();
+
+        // One extra entry tells whether there is a next page
+        const page = [];
+        const isAfterCursor = (key) => !query.cursor || (descending ? compareKeys(key, query.cursor) < 0 : compareKeys(key, query.cursor) > 0);
+
+        for (const day of selectedDays) {
+            const segment = await this.loadSegment(companyDir, day);
+            const matches = this.matchSegment(segment, query);
+            result.segmentsSearched++;
+            result.totalCount += matches.length;
+            this.addFacets(result.facets, segment, matches);
+
+            const skipDay = query.cursor && (descending ? day > query.cursor.day : day < query.cursor.day);
+            if (page.length > query.limit || skipDay || matches.length === 0) continue;
+
+            const ordered = matches
+                .map(doc => ({ segment, day, time: segment.times[doc], doc }))
+                .sort((a, b) => (descending ? compareKeys(b, a) : compareKeys(a, b)));
+
+            for (const key of ordered) {
+                if (page.length > query.limit) break;
+                if (isAfterCursor(key)) page.push(key);
+            }
+        }
+
+        if (page.length > query.limit) {
+            page.length = query.limit;
+            result.nextCursor = encodeCursor(page[page.length - 1]);
+        }
+
+        result.entries = await this.readEntries(page);
+        result.facets.users = Object.fromEntries(
+            Object.entries(result.facets.users).sort((a, b) => b[1] - a[1]).slice(0, TOP_USERS)
+        );
+        result.searchTime = Date.now() - startedAt;
+
+        return result;
+    }
+
+    async readEntries(page) {
+        const entries = [];
+        for (const { segment, doc } of page) {
+            const start = doc ? segment.offsets[doc - 1] : 0;
+            const line = (await readRange(path.join(segment.dir, ENTRIES_FILE), start, segment.offsets[doc])).toString('utf8');
+
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                entry = { message: line.trim() };
+            }
+
+            const logTypes = maskToTypes(segment.types[doc]);
+            entries.push({
+                ...entry,
+                logTypes,
+                logType: logTypes[logTypes.length - 1],
+                source: entry.source || 'backend'
+            });
+        }
+        return entries;
+    }
+
+    /**
+     * Write a segment from a sequence of lines, replacing the existing one
+     * @returns {Promise<number>} Entries written
+     */
+    async replaceSegment(dir, lines) {
+        await this.writes.get(dir);
+        const tempDir = `${dir}.${process.pid}.tmp`;
+        await rm(tempDir, { recursive: true, force: true });
+        await mkdir(tempDir, { recursive: true });
+
+        let batch = [];
+        let end = 0;
+        let count = 0;
+        const writeBatch = async () => {
+            const offsets = Buffer.alloc(batch.length * OFFSET_BYTES);
+            const chunks = batch.map((line, index) => {
+                const chunk = Buffer.from(`${line}\n`);
+                end += chunk.length;
+                offsets.writeBigUInt64BE(BigInt(end), index * OFFSET_BYTES);
+                return chunk;
+            });
+            await appendFile(path.join(tempDir, ENTRIES_FILE), Buffer.concat(chunks));
+            await appendFile(path.join(tempDir, OFFSETS_FILE), offsets);
+            count += batch.length;
+            batch = [];
+        };
+
+        for await (const line of lines) {
+            batch.push(line);
+            if (batch.length >= FLUSH_BATCH_SIZE) await writeBatch();
+        }
+        if (batch.length) await writeBatch();
+
+        await rm(dir, { recursive: true, force: true });
+        if (count > 0) {
+            await rename(tempDir, dir);
+        } else {
+            await rm(tempDir, { recursive: true, force: true });
+        }
+
+        this.segments.delete(dir);
+        this.segmentEnds.delete(dir);
+        return count;
+    }
+
+    /**
+     * Index the log files already on disk, for days before today. Entries
+     * written to several files (application and audit, ...) are indexed once.
+     */
+    async rebuild(companyDir) {
+        const today = formatDay(new Date());
+        const filesByDay = new Map();
+
+        for (const subdirectory of ['', ...INDEXED_LOG_TYPES.filter(type => !['application', 'error'].includes(type))]) {
+            const dir = path.join(companyDir, subdirectory);
+            if (!fs.existsSync(dir)) continue;
+
+            for (const file of await readdir(dir)) {
+                const match = file.match(LOG_FILE_PATTERN);
+                if (!match || match[1] >= today) continue;
+                if (!filesByDay.has(match[1])) filesByDay.set(match[1], []);
+                filesByDay.get(match[1]).push(path.join(dir, file));
+            }
+        }
+
+        const result = { days: 0, entries: 0 };
+        for (const [day, files] of [...filesByDay].sort(([a], [b]) => a.localeCompare(b))) {
+            const seen = new Set();
+            const lines = async function* () {
+                for (const file of files) {
+                    for await (const line of readLines(file)) {
+                        let entry;
+                        try {
+                            entry = JSON.parse(line);
+                        } catch {
+                            continue;
+                        }
+                        // Audit, security and compliance copies carry a hash
+                        // that the application log copy does not
+                        const { auditHash, ...content } = entry;
+                        const key = crypto.createHash('sha1').update(JSON.stringify(content)).digest('base64');
+                        if (seen.has(key)) continue;
+                        seen.add(key);
+                        yield auditHash === undefined ? line : JSON.stringify(content);
+                    }
+                }
+            };
+
+            const dir = path.join(this.getIndexDirectory(companyDir), day);
+            result.entries += await this.replaceSegment(dir, lines());
+            result.days++;
+        }
+
+        return result;
+    }
+
+    /**
+     * Remove indexed entries whose log files are past retention. An entry stays
+     * while any log file it was written to is kept.
+     * @param {Object} retention - Log type name -> { retention (days), immutable }
+     */
+    async prune(companyDir, retention, now = new Date()) {
+        const result = { segmentsRemoved: 0, entriesRemoved: 0 };
+        const today = new Date(`${formatDay(now)}T00:00:00`).getTime();
+
+        for (const day of await this.listSegments(companyDir)) {
+            const age = (today - new Date(`${day}T00:00:00`).getTime()) / DAY_MS;
+            const expired = INDEXED_LOG_TYPES.filter(type =>
+                retention[type] && !retention[type].immutable && age > retention[type].retention
+            );
+            if (expired.length === 0) continue;
+
+            const dir = path.join(this.getIndexDirectory(companyDir), day);
+            await this.writes.get(dir);
+            const docCount = Math.floor(await fileSize(path.join(dir, OFFSETS_FILE)) / OFFSET_BYTES);
+
+            const keptLines = async function* () {
+                let doc = 0;
+                for await (const line of readLines(path.join(dir, ENTRIES_FILE))) {
+                    if (doc++ >= docCount) break;
+                    let entry;
+                    try {
+                        entry = JSON.parse(line);
+                    } catch {
+                        continue;
+                    }
+                    if (getEntryLogTypes(entry).some(type => !expired.includes(type))) {
+                        yield line;
+                    }
+                }
+            };
+
+            // Count first, so unchanged segments are not rewritten
+            let kept = 0;
+            for await (const line of keptLines()) {
+                if (line) kept++;
+            }
+            if (kept === docCount) continue;
+
+            kept = await this.replaceSegment(dir, keptLines());
+            result.entriesRemoved += docCount - kept;
+            if (kept === 0) result.segmentsRemoved++;
+        }
+
+        return result;
+    }
+
+    clearCache() {
+        this.segments.clear();
+    }
+}
+
+// Create singleton instance
+const logIndex = new LogIndex();
+
+/**
+ * Queue a log entry for indexing
+ */
+export function indexEntry(companyDir, entry, date) {
+    return logIndex.indexEntry(companyDir, entry, date);
+}
+
+/**
+ * Write queued entries to disk
+ */
+export async function flushLogIndex() {
+    return await logIndex.flush();
+}
+
+/**
+ * Search a company's log index
+ */
+export async function queryLogIndex(companyDir, options) {
+    return await logIndex.search(companyDir, options);
+}
+
+/**
+ * Index a company's existing log files
+ */
+export async function rebuildLogIndex(companyDir) {
+    await logIndex.flush();
+    return await logIndex.rebuild(companyDir);
+}
+
+/**
+ * Apply log retention to a company's index
+ */
+export async function pruneLogIndex(companyDir, retention, now) {
+    await logIndex.flush();
+    return await logIndex.prune(companyDir, retention, now);
+}
+
+/**
+ * Forget loaded segments
+ */
+export function clearLogIndexCache() {
+    return logIndex.clearCache();
+}
+
+export default {
+    INDEXED_LOG_TYPES,
+    QUERY_FIELDS,
+    indexEntry,
+    flushLogIndex,
+    queryLogIndex,
+    rebuildLogIndex,
+    pruneLogIndex,
+    clearLogIndexCache,
+    parseQuery,
+    buildIndexQuery,
+    tokenize,
+    getEntryTerms,
+    getEntryLogTypes
+};
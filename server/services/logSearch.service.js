@@ -14,6 +14,7 @@ import crypto from 'crypto';
 import { getCorrelatedLogs, searchLogs as correlationSearch } from './logCorrelation.service.js';
 import { LOG_TYPES, PLATFORM_LOG_TYPES } from './logStorage.service.js';
 import loggingModuleService, { ESSENTIAL_LOG_EVENTS } from './loggingModule.service.js';
+import { INDEXED_LOG_TYPES, queryLogIndex } from './logIndex.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -245,6 +246,38 @@ class LogSearchEngine {
         }
     }
 
+    /**
+     * Search a company's logs through its search index, with field-aware
+     * queries, facet counts and cursor paging (see logIndex.service.js)
+     */
+    async searchIndexed(queryOptions = {}) {
+        const companyId = queryOptions.companyId || queryOptions.tenantId;
+        if (!companyId) {
+            throw new Error('Invalid query: tenantId is required');
+        }
+        
+        const companyDir = queryOptions.companyDir || await this.getCompanyDirectory(companyId);
+        
+        // Check module settings unless bypassed
+        let allowedLogTypes = queryOptions.logTypes?.length ? queryOptions.logTypes : INDEXED_LOG_TYPES;
+        if (!queryOptions.bypassModuleSettings && !queryOptions.platformAccess) {
+            allowedLogTypes = await this.filterLogTypesByModuleSettings(companyId, allowedLogTypes);
+        }
+        
+        // If essential only, filter to essential log types
+        if (queryOptions.essentialOnly) {
+            allowedLogTypes = allowedLogTypes.filter(logType => 
+                this.isEssentialLogType(logType)
+            );
+        }
+        
+        const hasIndex = companyDir && fs.existsSync(companyDir) && allowedLogTypes.length > 0;
+        return await queryLogIndex(hasIndex ? companyDir : null, {
+            ...queryOptions,
+            logTypes: allowedLogTypes
+        });
+    }
+
     /**
      * Search logs for a specific company
      */
@@ -945,6 +978,13 @@ export async function searchLogs(queryOptions) {
     return await logSearchEngine.search(queryOptions);
 }
 
+/**
+ * Search a company's logs through its search index
+ */
+export async function searchIndexedLogs(queryOptions) {
+    return await logSearchEngine.searchIndexed(queryOptions);
+}
+
 /**
  * Stream search results in real-time
  */
@@ -968,6 +1008,7 @@ export function getSearchStats() {
 
 export default {
     searchLogs,
+    searchIndexedLogs,
     streamSearchLogs,
     clearSearchCache,
     getSearchStats,
@@ -8,6 +8,7 @@ import path from 'path';
 import { promisify } from 'util';
 import zlib from 'zlib';
 import crypto from 'crypto';
+import { pruneLogIndex } from './logIndex.service.js';
 
 // Mock __filename and __dirname for Jest compatibility
 const __filename = 'logStorage.service.js';
@@ -301,6 +302,17 @@ async function applyCompanyRetentionPolicies(tenantId, companyName = null) {
         }
     }
     
+    // Remove indexed entries whose log files are past retention
+    try {
+        const retention = Object.fromEntries(
+            Object.values(LOG_TYPES).map(config => [config.name, { retention: config.retention, immutable: !!config.immutable }])
+        );
+        const indexStats = await pruneLogIndex(companyDir, retention);
+        stats.indexEntriesRemoved = indexStats.entriesRemoved;
+    } catch (error) {
+        console.error(`Error processing retention for the search index in ${companyDir}:`, error);
+    }
+    
     return stats;
 }
 
@@ -2,6 +2,11 @@ import { verifyTenantToken } from '../../core/auth/tenantAuth.js';
 import { ROLES, ROLE_HIERARCHY } from '../constants/modules.js';
 
 export const requireAuth = async (req, res, next) => {
+    // Already authenticated by an API key (see hr-core/apiKeys/middleware/apiKeyAuth.js)
+    if (req.apiKey && req.user) {
+        return next();
+    }
+
     try {
         const token = req.headers.authorization?.split(' ')[1];
 
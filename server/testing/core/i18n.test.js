@@ -0,0 +1,168 @@
+/**
+ * Unit Tests for Internationalization
+ *
+ * Tests language normalization, text direction, translation fallback and
+ * formatting, and the Arabic and English request and survey emails
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+    normalizeLanguage,
+    getUserLanguage,
+    getDirection,
+    htmlAttributes,
+    createTranslator,
+    formatDate,
+    formatNumber
+} from '../../core/i18n/index.js';
+import {
+    newRequestNotificationTemplate,
+    requestApprovalNotificationTemplate,
+    reminderNotificationTemplate
+} from '../../modules/hr-core/requests/utils/requestEmailTemplates.js';
+import { surveyAssignmentTemplate } from '../../modules/surveys/utils/surveyEmailTemplates.js';
+
+const employee = {
+    username: 'ahmed',
+    personalInfo: { firstName: 'Ahmed', lastName: 'Hassan', arabicName: 'أحمد حسن' },
+    preferences: { language: 'ar' }
+};
+
+const request = {
+    _id: '507f1f77bcf86cd799439011',
+    type: 'mission',
+    status: 'approved',
+    requestedAt: new Date('2025-03-10T09:00:00Z'),
+    reviewedAt: new Date('2025-03-11T09:00:00Z'),
+    details: {
+        startDate: new Date('2025-03-15T00:00:00Z'),
+        endDate: new Date('2025-03-17T00:00:00Z'),
+        duration: 3,
+        destination: 'Alexandria',
+        purpose: 'Client visit'
+    }
+};
+
+describe('Internationalization', () => {
+    describe('languages', () => {
+        test('should normalize language codes to supported languages', () => {
+            expect(normalizeLanguage('ar')).toBe('ar');
+            expect(normalizeLanguage('ar-EG')).toBe('ar');
+            expect(normalizeLanguage('EN_us')).toBe('en');
+            expect(normalizeLanguage('fr')).toBe('en');
+            expect(normalizeLanguage(undefined)).toBe('en');
+        });
+
+        test('should read the language preference of a user', () => {
+            expect(getUserLanguage(employee)).toBe('ar');
+            expect(getUserLanguage({ username: 'jane' })).toBe('en');
+            expect(getUserLanguage(null)).toBe('en');
+        });
+
+        test('should write Arabic right to left', () => {
+            expect(getDirection('ar')).toBe('rtl');
+            expect(getDirection('en')).toBe('ltr');
+            expect(htmlAttributes('ar')).toBe('lang="ar" dir="rtl"');
+        });
+    });
+
+    describe('createTranslator', () => {
+        const catalog = {
+            en: { greeting: 'Hello {name}', farewell: 'Goodbye' },
+            ar: { greeting: 'مرحبًا {name}' }
+        };
+
+        test('should translate and interpolate params', () => {
+            expect(createTranslator(catalog, 'ar')('greeting', { name: 'سارة' })).toBe('مرحبًا سارة');
+            expect(createTranslator(catalog, 'en')('greeting', { name: 'Sara' })).toBe('Hello Sara');
+        });
+
+        test('should fall back to English, then to the key', () => {
+            expect(createTranslator(catalog, 'ar')('farewell')).toBe('Goodbye');
+            expect(createTranslator(catalog, 'ar')('missing.key')).toBe('missing.key');
+        });
+
+        test('should keep unknown placeholders', () => {
+            expect(createTranslator(catalog, 'en')('greeting')).toBe('Hello {name}');
+        });
+    });
+
+    describe('formatting', () => {
+        test('should format numbers with Arabic-Indic digits in Arabic', () => {
+            expect(formatNumber(1234, 'ar')).toBe('١٬٢٣٤');
+            expect(formatNumber(1234, 'en')).toBe('1,234');
+        });
+
+        test('should format dates in the language', () => {
+            const date = new Date('2025-03-15T12:00:00Z');
+            expect(formatDate(date, 'en')).toBe('March 15, 2025');
+            expect(formatDate(date, 'ar')).toContain('مارس');
+        });
+
+        test('should return an empty string for missing or invalid dates', () => {
+            expect(formatDate(null, 'en')).toBe('');
+            expect(formatDate('not a date', 'ar')).toBe('');
+        });
+    });
+
+    describe('request emails', () => {
+        test('should render English emails by default', () => {
+            const email = newRequestNotificationTemplate(request, employee);
+
+            expect(email.subject).toBe('New Mission Request from Ahmed');
+            expect(email.html).toContain('lang="en" dir="ltr"');
+            expect(email.html).toContain('Alexandria');
+        });
+
+        test('should render Arabic emails right to left with the Arabic name', () => {
+            const email = newRequestNotificationTemplate(request, employee, 'ar');
+
+            expect(email.subject).toBe('طلب مأمورية جديد من أحمد حسن');
+            expect(email.html).toContain('lang="ar" dir="rtl"');
+            expect(email.html).toContain('تفاصيل');
+            expect(email.text).toContain('تاريخ البدء: ١٥ مارس ٢٠٢٥');
+        });
+
+        test('should send decisions in the employee\'s language', () => {
+            const arabic = requestApprovalNotificationTemplate(request, employee);
+            const english = requestApprovalNotificationTemplate(request, { ...employee, preferences: {} });
+
+            expect(arabic.html).toContain('dir="rtl"');
+            expect(arabic.html).toContain('مقبول');
+            expect(english.html).toContain('dir="ltr"');
+            expect(english.html).toContain('Approved');
+        });
+
+        test('should send reminders in the recipient\'s language', () => {
+            const manager = { username: 'mona', personalInfo: { firstName: 'Mona' }, preferences: { language: 'ar' } };
+            const email = reminderNotificationTemplate(
+                { ...request, status: 'pending', employee },
+                manager,
+                'manager'
+            );
+
+            expect(email.html).toContain('dir="rtl"');
+            expect(email.html).not.toContain('Dear Manager');
+        });
+    });
+
+    describe('survey emails', () => {
+        const survey = {
+            _id: '507f1f77bcf86cd799439012',
+            title: 'Engagement 2025',
+            surveyType: 'satisfaction',
+            questions: [{}, {}],
+            settings: { isMandatory: true }
+        };
+
+        test('should render survey assignments in the recipient\'s language', () => {
+            const arabic = surveyAssignmentTemplate(survey, employee);
+            const english = surveyAssignmentTemplate(survey, { username: 'jane' });
+
+            expect(arabic.subject).toBe('استبيان جديد (إلزامي): Engagement 2025');
+            expect(arabic.html).toContain('lang="ar" dir="rtl"');
+            expect(english.subject).toBe('New Survey Assignment (Mandatory): Engagement 2025');
+            expect(english.html).toContain('lang="en" dir="ltr"');
+        });
+    });
+});
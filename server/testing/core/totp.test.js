@@ -0,0 +1,145 @@
+/**
+ * Unit Tests for Two-Factor Authentication
+ *
+ * Tests the RFC 4226 / RFC 6238 one-time passwords against the published
+ * test vectors, recovery codes, enrollment setup tokens and the sign-in
+ * decision for enrolled and not yet enrolled users
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateHOTP,
+    generateTOTP,
+    verifyTOTP,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} from '../../core/auth/totp.js';
+import {
+    checkLoginMFA,
+    generateMFASetupToken,
+    verifyMFASetupToken
+} from '../../middleware/enhancedAuth.middleware.js';
+import { verifyTenantToken } from '../../core/auth/tenantAuth.js';
+
+// ASCII "12345678901234567890", the secret of the RFC test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('Two-Factor Authentication', () => {
+    describe('base32', () => {
+        test('should encode and decode the RFC secret', () => {
+            expect(base32Encode(Buffer.from('12345678901234567890'))).toBe(RFC_SECRET);
+            expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+            expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+        });
+
+        test('should generate 160 bit secrets', () => {
+            const secret = generateSecret();
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(base32Decode(secret)).toHaveLength(20);
+        });
+
+        test('should reject characters outside the alphabet', () => {
+            expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character: 1');
+        });
+    });
+
+    test('should match the RFC 4226 HOTP test vectors', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+        expected.forEach((code, counter) => {
+            expect(generateHOTP(RFC_SECRET, counter)).toBe(code);
+        });
+    });
+
+    test('should match the RFC 6238 SHA-1 TOTP test vectors', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1111111111, '14050471'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037'],
+            [20000000000, '65353130']
+        ];
+
+        vectors.forEach(([seconds, code]) => {
+            expect(generateTOTP(RFC_SECRET, { time: seconds * 1000, digits: 8 })).toBe(code);
+        });
+    });
+
+    describe('verifyTOTP', () => {
+        const time = 1111111111 * 1000;
+        const step = Math.floor(1111111111 / 30);
+
+        test('should accept codes within one step of clock drift', () => {
+            expect(verifyTOTP(generateTOTP(RFC_SECRET, { time }), RFC_SECRET, { time })).toBe(step);
+            expect(verifyTOTP(generateTOTP(RFC_SECRET, { time: time - 30000 }), RFC_SECRET, { time })).toBe(step - 1);
+            expect(verifyTOTP(generateTOTP(RFC_SECRET, { time: time + 30000 }), RFC_SECRET, { time })).toBe(step + 1);
+            expect(verifyTOTP(generateTOTP(RFC_SECRET, { time: time - 90000 }), RFC_SECRET, { time })).toBeNull();
+        });
+
+        test('should refuse a code from a step that was already used', () => {
+            const code = generateTOTP(RFC_SECRET, { time });
+
+            expect(verifyTOTP(code, RFC_SECRET, { time, lastUsedStep: step })).toBeNull();
+            expect(verifyTOTP(code, RFC_SECRET, { time, lastUsedStep: step - 1 })).toBe(step);
+        });
+
+        test('should refuse malformed codes', () => {
+            expect(verifyTOTP('', RFC_SECRET, { time })).toBeNull();
+            expect(verifyTOTP('12345', RFC_SECRET, { time })).toBeNull();
+            expect(verifyTOTP('abcdef', RFC_SECRET, { time })).toBeNull();
+            expect(verifyTOTP('123456', null, { time })).toBeNull();
+        });
+    });
+
+    test('should build an otpauth URI for authenticator apps', () => {
+        expect(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'mona@example.com', issuer: 'HRMS' }))
+            .toBe(`otpauth://totp/HRMS:mona%40example.com?secret=${RFC_SECRET}&algorithm=SHA1&digits=6&period=30&issuer=HRMS`);
+    });
+
+    test('should generate unique recovery codes compared regardless of format', () => {
+        const codes = generateRecoveryCodes(10);
+
+        expect(codes).toHaveLength(10);
+        expect(new Set(codes).size).toBe(10);
+        codes.forEach(code => expect(code).toMatch(/^[A-Z2-9]{5}-[A-Z2-9]{5}$/));
+        expect(hashRecoveryCode('abcde-fghjk')).toBe(hashRecoveryCode('ABCDEFGHJK'));
+    });
+
+    describe('sign-in', () => {
+        const originalEnv = process.env;
+        const user = { _id: '507f1f77bcf86cd799439011', tenantId: 'techcorp', role: 'employee' };
+
+        beforeEach(() => {
+            process.env = { ...originalEnv, TENANT_JWT_SECRET: 'test-tenant-secret-key' };
+        });
+
+        afterEach(() => {
+            process.env = originalEnv;
+        });
+
+        test('should ask enrolled users for a code', async () => {
+            await expect(checkLoginMFA({ ...user, mfa: { enabled: true } }, {}, { enforced: false })).resolves.toBe('required');
+        });
+
+        test('should require enrollment only when it is enforced', async () => {
+            await expect(checkLoginMFA({ ...user, mfa: { enabled: false } }, {}, { enforced: true })).resolves.toBe('setup-required');
+            await expect(checkLoginMFA({ ...user, mfa: { enabled: false } }, {}, { enforced: false })).resolves.toBe('passed');
+        });
+
+        test('should issue setup tokens that are not session tokens', () => {
+            const setupToken = generateMFASetupToken(user, 'tenant');
+
+            expect(verifyMFASetupToken(setupToken, 'tenant')).toMatchObject({ userId: user._id, tenantId: 'techcorp', type: 'mfa-setup' });
+            expect(() => verifyMFASetupToken(setupToken, 'platform')).toThrow();
+            expect(() => verifyTenantToken(setupToken)).toThrow();
+            expect(() => jwt.verify(setupToken, process.env.TENANT_JWT_SECRET)).toThrow();
+        });
+    });
+});
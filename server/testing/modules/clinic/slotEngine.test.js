@@ -0,0 +1,166 @@
+/**
+ * Slot Engine Unit Tests
+ * Tests for slot generation from doctor and clinic hours, conflict detection,
+ * booking validation, reminders, no-shows and the daily queue
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  generateSlots,
+  getDoctorWindows,
+  findConflicts,
+  markSlotAvailability,
+  validateBooking,
+  isReminderDue,
+  isNoShow,
+  buildQueue
+} from '../../../modules/clinic/utils/slotEngine.js';
+
+// 2025-06-01 is a Sunday
+const at = (d, h, m = 0) => new Date(2025, 5, d, h, m);
+
+const schedule = {
+  slotMinutes: 30,
+  weeklyHours: [
+    { dayOfWeek: 0, start: '09:00', end: '11:00' },
+    { dayOfWeek: 0, start: '10:30', end: '12:00' },
+    { dayOfWeek: 2, start: '14:00', end: '15:00' }
+  ],
+  exceptions: [
+    { date: at(3, 0), available: false, reason: 'Conference' },
+    { date: at(8, 0), available: true, start: '13:00', end: '14:00' }
+  ]
+};
+
+const appointment = (overrides = {}) => ({
+  _id: 'a1',
+  doctorId: 'd1',
+  startAt: at(1, 9),
+  endAt: at(1, 9, 30),
+  status: 'scheduled',
+  ...overrides
+});
+
+describe('Slot Engine', () => {
+  describe('generateSlots', () => {
+    test('merges overlapping weekly hours into one run of slots', () => {
+      const slots = generateSlots(schedule, at(1, 0));
+
+      expect(slots).toHaveLength(6);
+      expect(slots[0].start).toEqual(at(1, 9));
+      expect(slots[5].end).toEqual(at(1, 12));
+    });
+
+    test('limits doctor hours to clinic working hours', () => {
+      const clinicHours = [{ dayOfWeek: 0, start: '10:00', end: '17:00' }];
+
+      expect(getDoctorWindows(schedule, at(1, 0), clinicHours)).toEqual([{ start: 600, end: 720 }]);
+      expect(generateSlots(schedule, at(1, 0), clinicHours)).toHaveLength(4);
+    });
+
+    test('exceptions replace the weekly hours of their date', () => {
+      expect(generateSlots(schedule, at(3, 0))).toHaveLength(0);
+
+      const slots = generateSlots(schedule, at(8, 0));
+      expect(slots.map(slot => slot.start)).toEqual([at(8, 13), at(8, 13, 30)]);
+    });
+
+    test('rejects malformed hours', () => {
+      expect(() => generateSlots({ weeklyHours: [{ dayOfWeek: 0, start: '9am', end: '11:00' }] }, at(1, 0)))
+        .toThrow('Invalid time: 9am');
+    });
+  });
+
+  describe('findConflicts', () => {
+    test('finds overlapping active appointments but not touching or cancelled ones', () => {
+      const appointments = [
+        appointment(),
+        appointment({ _id: 'a2', startAt: at(1, 9, 30), endAt: at(1, 10) }),
+        appointment({ _id: 'a3', startAt: at(1, 9, 15), endAt: at(1, 9, 45), status: 'cancelled' })
+      ];
+
+      expect(findConflicts(appointments, at(1, 9, 15), at(1, 9, 45)).map(a => a._id)).toEqual(['a1', 'a2']);
+      expect(findConflicts(appointments, at(1, 10), at(1, 10, 30))).toHaveLength(0);
+    });
+
+    test('ignores the appointment being rescheduled', () => {
+      expect(findConflicts([appointment()], at(1, 9), at(1, 9, 30), 'a1')).toHaveLength(0);
+    });
+
+    test('reads older appointments from their date, time and duration', () => {
+      const legacy = { _id: 'old', appointmentDate: at(1, 0), appointmentTime: '10:00', duration: 60, status: 'confirmed' };
+
+      expect(findConflicts([legacy], at(1, 10, 30), at(1, 11))).toHaveLength(1);
+    });
+  });
+
+  test('markSlotAvailability flags past and booked slots', () => {
+    const slots = markSlotAvailability(generateSlots(schedule, at(1, 0)), [appointment({ startAt: at(1, 10), endAt: at(1, 10, 30) })], at(1, 9, 10), {
+      minNoticeMinutes: 30
+    });
+
+    expect(slots.slice(0, 4).map(slot => [slot.time, slot.reason])).toEqual([
+      ['09:00', 'past'],
+      ['09:30', 'past'],
+      ['10:00', 'booked'],
+      ['10:30', null]
+    ]);
+  });
+
+  describe('validateBooking', () => {
+    const now = at(1, 8);
+
+    test('returns the matching slot', () => {
+      expect(validateBooking(schedule, at(1, 9, 30), { now })).toEqual({ start: at(1, 9, 30), end: at(1, 10) });
+    });
+
+    test('rejects times off the slot grid or outside the doctor hours', () => {
+      expect(() => validateBooking(schedule, at(1, 9, 10), { now })).toThrow('The doctor is not available at this time');
+      expect(() => validateBooking(schedule, at(3, 9), { now })).toThrow('The doctor is not available at this time');
+    });
+
+    test('enforces booking notice and horizon', () => {
+      expect(() => validateBooking(schedule, at(1, 9), { now, minNoticeMinutes: 90 }))
+        .toThrow('Appointments must be booked at least 90 minutes in advance');
+      expect(() => validateBooking(schedule, at(15, 9), { now, maxDaysAhead: 7 }))
+        .toThrow('Appointments can be booked at most 7 days ahead');
+    });
+  });
+
+  describe('reminders and no-shows', () => {
+    test('reminder is due within the reminder window and only once', () => {
+      const booked = appointment({ startAt: at(2, 9), endAt: at(2, 9, 30) });
+
+      expect(isReminderDue(booked, at(1, 8), 24)).toBe(false);
+      expect(isReminderDue(booked, at(1, 10), 24)).toBe(true);
+      expect(isReminderDue({ ...booked, reminders: { sent: [{ status: 'sent' }] } }, at(1, 10), 24)).toBe(false);
+      expect(isReminderDue({ ...booked, status: 'cancelled' }, at(1, 10), 24)).toBe(false);
+    });
+
+    test('no-show after the grace period unless checked in', () => {
+      expect(isNoShow(appointment(), at(1, 9, 10), 15)).toBe(false);
+      expect(isNoShow(appointment(), at(1, 9, 20), 15)).toBe(true);
+      expect(isNoShow(appointment({ checkIn: { checkedIn: true } }), at(1, 9, 20), 15)).toBe(false);
+    });
+  });
+
+  test('buildQueue orders the day and numbers waiting patients', () => {
+    const { entries, summary } = buildQueue([
+      appointment({ _id: 'c', startAt: at(1, 10), endAt: at(1, 10, 30), checkIn: { checkedIn: true } }),
+      appointment({ _id: 'a', startAt: at(1, 9), endAt: at(1, 9, 30), status: 'in-progress' }),
+      appointment({ _id: 'b', startAt: at(1, 9, 30), endAt: at(1, 10), checkIn: { checkedIn: true } }),
+      appointment({ _id: 'd', startAt: at(1, 8, 30), endAt: at(1, 9) }),
+      appointment({ _id: 'e', startAt: at(1, 11), endAt: at(1, 11, 30), status: 'no-show' })
+    ], at(1, 9, 45));
+
+    expect(entries.map(entry => [entry.appointment._id, entry.state, entry.position])).toEqual([
+      ['d', 'upcoming', null],
+      ['a', 'in-progress', null],
+      ['b', 'waiting', 1],
+      ['c', 'waiting', 2],
+      ['e', 'no-show', null]
+    ]);
+    expect(entries[0].late).toBe(true);
+    expect(summary).toMatchObject({ total: 5, upcoming: 1, waiting: 2, inProgress: 1, noShow: 1, late: 1 });
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Template Merge Unit Tests
+ * Tests for placeholder extraction and validation, employee merge data,
+ * custom fields, reference numbers and the generated DOCX parts
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  extractPlaceholders,
+  findInvalidPlaceholders,
+  buildMergeData,
+  buildCustomData,
+  mergeTemplate,
+  formatReference,
+  buildDocxParts
+} from '../../../modules/documents/utils/templateMerge.js';
+
+const employee = {
+  username: 'ahmed',
+  email: 'ahmed@example.com',
+  employeeId: 'EMP001',
+  personalInfo: { fullName: 'Ahmed Hassan', arabicName: 'أحمد حسن', nationalId: '29001011234567' },
+  employment: { hireDate: new Date(2019, 5, 15), contractType: 'full-time' },
+  department: { name: 'Finance', arabicName: 'المالية' },
+  position: { title: 'Accountant', arabicTitle: 'محاسب' }
+};
+
+const salaryStructure = {
+  baseSalary: 12000,
+  currency: 'EGP',
+  allowances: [{ name: 'Transport', amount: 1500 }, { name: 'Housing', amount: 2500 }]
+};
+
+describe('Template Merge', () => {
+  test('should extract each placeholder once, ignoring spacing', () => {
+    const content = 'Dear {{employee.name}},\nYour ID is {{ employee.employeeId }}. Regards, {{employee.name}}';
+
+    expect(extractPlaceholders(content)).toEqual(['employee.name', 'employee.employeeId']);
+    expect(extractPlaceholders('No placeholders here')).toEqual([]);
+  });
+
+  test('should report unknown and undeclared custom placeholders', () => {
+    const content = '{{employee.name}} {{employee.salary}} {{custom.reason}} {{custom.period}}';
+
+    expect(findInvalidPlaceholders(content, [{ key: 'reason' }])).toEqual(['employee.salary', 'custom.period']);
+  });
+
+  test('should build merge data from the employee, salary and company', () => {
+    const data = buildMergeData(employee, {
+      salaryStructure,
+      companyName: 'Acme Ltd',
+      reference: 'HR-2025-00007',
+      issueDate: new Date(2025, 2, 1)
+    });
+
+    expect(data['employee.name']).toBe('Ahmed Hassan');
+    expect(data['employee.arabicPosition']).toBe('محاسب');
+    expect(data['employee.department']).toBe('Finance');
+    expect(data['employee.hireDate']).toBe('15/06/2019');
+    expect(data['employee.yearsOfService']).toBe('5');
+    expect(data['salary.base']).toBe('12,000.00');
+    expect(data['salary.allowances']).toBe('4,000.00');
+    expect(data['salary.total']).toBe('16,000.00');
+    expect(data['company.name']).toBe('Acme Ltd');
+    expect(data['document.reference']).toBe('HR-2025-00007');
+    expect(data['document.date']).toBe('01/03/2025');
+  });
+
+  test('should leave salary placeholders empty without a salary structure', () => {
+    const data = buildMergeData(employee, { issueDate: new Date(2025, 2, 1) });
+
+    expect(data['salary.base']).toBe('');
+    expect(data['salary.total']).toBe('');
+  });
+
+  test('should fill custom fields with values or defaults and require mandatory ones', () => {
+    const fields = [
+      { key: 'reason', label: 'Warning reason', required: true },
+      { key: 'addressee', defaultValue: 'To whom it may concern' },
+      { key: 'incidentDate', type: 'date' }
+    ];
+
+    expect(buildCustomData(fields, { reason: 'Repeated lateness', incidentDate: '2025-02-10' })).toEqual({
+      'custom.reason': 'Repeated lateness',
+      'custom.addressee': 'To whom it may concern',
+      'custom.incidentDate': '10/02/2025'
+    });
+    expect(() => buildCustomData(fields, {})).toThrow('Missing value for custom field: Warning reason');
+  });
+
+  test('should merge the template and list placeholders left empty', () => {
+    const { text, missing } = mergeTemplate(
+      'This certifies that {{employee.name}} works as {{employee.position}} since {{employee.hireDate}}.{{custom.note}}',
+      buildMergeData(employee, { issueDate: new Date(2025, 2, 1) })
+    );
+
+    expect(text).toBe('This certifies that Ahmed Hassan works as Accountant since 15/06/2019.');
+    expect(missing).toEqual(['custom.note']);
+  });
+
+  test('should format reference numbers per prefix and year', () => {
+    expect(formatReference('HR', 2025, 42)).toBe('HR-2025-00042');
+    expect(formatReference(undefined, 2025, 1)).toBe('DOC-2025-00001');
+  });
+
+  test('should build an escaped DOCX body with right-to-left paragraphs for Arabic', () => {
+    const parts = buildDocxParts({
+      title: 'Salary Letter',
+      reference: 'HR-2025-00001',
+      date: '01/03/2025',
+      body: 'Salary: 16,000.00 EGP <net>\nأحمد حسن'
+    });
+    const documentXml = parts.find(part => part.name === 'word/document.xml').content;
+
+    expect(parts.map(part => part.name)).toEqual(['[Content_Types].xml', '_rels/.rels', 'word/document.xml']);
+    expect(documentXml).toContain('Salary: 16,000.00 EGP &lt;net&gt;');
+    expect(documentXml).toMatch(/<w:bidi\/><w:jc w:val="right"\/><w:spacing w:after="160"\/><\/w:pPr><w:r><w:rPr><w:rtl\/>.*أحمد حسن/);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * API Key Engine Unit Tests
+ * Tests for key generation and hashing, scope checks, rate limit validation
+ * and the generated OpenAPI specification
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import express from 'express';
+import {
+  API_KEY_SCOPES,
+  MAX_REQUESTS_PER_MINUTE,
+  generateApiKey,
+  getKeyProblem,
+  getRequiredScope,
+  hashApiKey,
+  hasScope,
+  isApiKey,
+  matchesHash,
+  parseApiKey,
+  validateRateLimit,
+  validateScopes
+} from '../../../modules/hr-core/apiKeys/utils/apiKeyEngine.js';
+import {
+  buildOpenApiSpec,
+  humanizeHandlerName,
+  listRouterRoutes,
+  toOpenApiPath
+} from '../../../modules/hr-core/apiKeys/utils/openApiSpec.js';
+
+describe('API Key Engine', () => {
+  describe('generateApiKey', () => {
+    test('creates keys in the hrsm_<prefix>_<secret> format', () => {
+      const { key, prefix } = generateApiKey();
+
+      expect(key.startsWith(`hrsm_${prefix}_`)).toBe(true);
+      expect(isApiKey(key)).toBe(true);
+      expect(parseApiKey(key)).toEqual({ prefix });
+    });
+
+    test('creates a different key each time', () => {
+      const first = generateApiKey();
+      const second = generateApiKey();
+
+      expect(first.key).not.toBe(second.key);
+      expect(first.prefix).not.toBe(second.prefix);
+    });
+  });
+
+  describe('parseApiKey', () => {
+    test('rejects values that are not API keys', () => {
+      expect(parseApiKey('eyJhbGciOiJIUzI1NiJ9.e30.signature')).toBeNull();
+      expect(parseApiKey('hrsm_short_secret')).toBeNull();
+      expect(parseApiKey('')).toBeNull();
+      expect(parseApiKey(undefined)).toBeNull();
+      expect(isApiKey('Bearer token')).toBe(false);
+    });
+  });
+
+  describe('hashApiKey / matchesHash', () => {
+    test('matches the stored hash of the same key only', () => {
+      const { key } = generateApiKey();
+      const stored = hashApiKey(key);
+
+      expect(stored).toMatch(/^[a-f0-9]{64}$/);
+      expect(matchesHash(key, stored)).toBe(true);
+      expect(matchesHash(`${key}x`, stored)).toBe(false);
+      expect(matchesHash(key, '')).toBe(false);
+      expect(matchesHash(key, undefined)).toBe(false);
+    });
+  });
+
+  describe('validateScopes', () => {
+    test('accepts known scopes', () => {
+      expect(validateScopes(['employees:read', 'attendance:write'])).toBeNull();
+      expect(API_KEY_SCOPES).toContain('payroll:read');
+      expect(API_KEY_SCOPES).toContain('vacations:write');
+    });
+
+    test('rejects empty and unknown scopes', () => {
+      expect(validateScopes([])).toBe('Select at least one scope');
+      expect(validateScopes(undefined)).toBe('Select at least one scope');
+      expect(validateScopes(['employees:read', 'webhooks:write'])).toMatch(/webhooks:write/);
+    });
+  });
+
+  describe('validateRateLimit', () => {
+    test('accepts whole numbers within the limit', () => {
+      expect(validateRateLimit(1)).toBeNull();
+      expect(validateRateLimit('120')).toBeNull();
+      expect(validateRateLimit(MAX_REQUESTS_PER_MINUTE)).toBeNull();
+    });
+
+    test('rejects out of range and fractional values', () => {
+      expect(validateRateLimit(0)).not.toBeNull();
+      expect(validateRateLimit(MAX_REQUESTS_PER_MINUTE + 1)).not.toBeNull();
+      expect(validateRateLimit(1.5)).not.toBeNull();
+      expect(validateRateLimit('abc')).not.toBeNull();
+    });
+  });
+
+  describe('getRequiredScope', () => {
+    test('maps route groups to scope resources', () => {
+      expect(getRequiredScope('GET', '/users/123')).toBe('employees:read');
+      expect(getRequiredScope('GET', '/api/v1/departments')).toBe('employees:read');
+      expect(getRequiredScope('POST', '/attendance-devices/1/sync')).toBe('attendance:write');
+      expect(getRequiredScope('PUT', '/sick-leaves/5')).toBe('vacations:write');
+      expect(getRequiredScope('GET', '/payroll/runs?period=2026-01')).toBe('payroll:read');
+    });
+
+    test('treats GET, HEAD and OPTIONS as reads', () => {
+      expect(getRequiredScope('head', '/shifts')).toBe('attendance:read');
+      expect(getRequiredScope('OPTIONS', '/shifts')).toBe('attendance:read');
+      expect(getRequiredScope('DELETE', '/shifts/1')).toBe('attendance:write');
+    });
+
+    test('returns null for routes keys cannot use', () => {
+      expect(getRequiredScope('GET', '/api-keys')).toBeNull();
+      expect(getRequiredScope('POST', '/webhooks')).toBeNull();
+      expect(getRequiredScope('GET', '/auth/me')).toBeNull();
+      expect(getRequiredScope('GET', '/')).toBeNull();
+    });
+  });
+
+  describe('hasScope', () => {
+    test('write access includes read', () => {
+      expect(hasScope(['employees:write'], 'employees:read')).toBe(true);
+      expect(hasScope(['employees:read'], 'employees:read')).toBe(true);
+    });
+
+    test('read access does not include write or other resources', () => {
+      expect(hasScope(['employees:read'], 'employees:write')).toBe(false);
+      expect(hasScope(['attendance:write'], 'payroll:read')).toBe(false);
+      expect(hasScope(['employees:write'], null)).toBe(false);
+    });
+  });
+
+  describe('getKeyProblem', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+
+    test('allows active keys', () => {
+      expect(getKeyProblem({}, now)).toBeNull();
+      expect(getKeyProblem({ expiresAt: new Date('2026-07-01') }, now)).toBeNull();
+    });
+
+    test('reports revoked and expired keys', () => {
+      expect(getKeyProblem({ revokedAt: new Date('2026-05-01') }, now)).toBe('API key has been revoked');
+      expect(getKeyProblem({ expiresAt: new Date('2026-05-31') }, now)).toBe('API key has expired');
+      expect(getKeyProblem(null, now)).toBe('Invalid API key');
+    });
+  });
+});
+
+describe('OpenAPI Spec Builder', () => {
+  const getAllUsers = (req, res) => res.json([]);
+  const getUserById = (req, res) => res.json({});
+  const createUser = (req, res) => res.status(201).json({});
+  const auth = (req, res, next) => next();
+
+  const buildUsersRouter = () => {
+    const router = express.Router();
+    router.use(auth);
+    router.get('/', getAllUsers);
+    router.post('/', auth, createUser);
+    router.get('/:id', getUserById);
+    return router;
+  };
+
+  describe('listRouterRoutes', () => {
+    test('lists routes with the name of their last handler', () => {
+      expect(listRouterRoutes(buildUsersRouter())).toEqual([
+        { method: 'get', path: '/', handlerName: 'getAllUsers' },
+        { method: 'post', path: '/', handlerName: 'createUser' },
+        { method: 'get', path: '/:id', handlerName: 'getUserById' }
+      ]);
+    });
+  });
+
+  describe('toOpenApiPath', () => {
+    test('converts path parameters', () => {
+      expect(toOpenApiPath('/users/:id/photo/:photoId?')).toEqual({
+        path: '/users/{id}/photo/{photoId}',
+        parameters: ['id', 'photoId']
+      });
+      expect(toOpenApiPath('/users/')).toEqual({ path: '/users', parameters: [] });
+    });
+  });
+
+  describe('humanizeHandlerName', () => {
+    test('turns handler names into summaries', () => {
+      expect(humanizeHandlerName('getAllUsers')).toBe('Get all users');
+      expect(humanizeHandlerName('bound lockRun')).toBe('Lock run');
+      expect(humanizeHandlerName('')).toBe('');
+    });
+  });
+
+  describe('buildOpenApiSpec', () => {
+    const spec = buildOpenApiSpec({
+      groups: [
+        { tag: 'Employees', description: 'Employees', basePath: '/users', router: buildUsersRouter() },
+        { tag: 'Employees', basePath: '/departments', router: buildUsersRouter() }
+      ]
+    });
+
+    test('documents every route under its mount path', () => {
+      expect(spec.openapi).toMatch(/^3\./);
+      expect(Object.keys(spec.paths)).toEqual(['/departments', '/departments/{id}', '/users', '/users/{id}']);
+      expect(Object.keys(spec.paths['/users'])).toEqual(['get', 'post']);
+      expect(spec.tags).toEqual([{ name: 'Employees', description: 'Employees' }]);
+    });
+
+    test('lists the scope, parameters and summary of each operation', () => {
+      const operation = spec.paths['/users/{id}'].get;
+
+      expect(operation.summary).toBe('Get user by id');
+      expect(operation['x-required-scope']).toBe('employees:read');
+      expect(operation.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+      expect(operation.responses[429]).toBeDefined();
+      expect(spec.paths['/users'].post['x-required-scope']).toBe('employees:write');
+      expect(spec.paths['/users'].post.requestBody).toBeDefined();
+    });
+
+    test('keeps operation ids unique across routers', () => {
+      const ids = Object.values(spec.paths).flatMap(path => Object.values(path).map(op => op.operationId));
+
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(ids).toContain('getAllUsers');
+      expect(ids).toContain('getAllUsers2');
+    });
+
+    test('declares API key and bearer security schemes', () => {
+      expect(spec.components.securitySchemes.apiKeyHeader).toEqual(expect.objectContaining({ in: 'header', name: 'X-API-Key' }));
+      expect(spec.components.securitySchemes.bearerAuth.scheme).toBe('bearer');
+    });
+  });
+});
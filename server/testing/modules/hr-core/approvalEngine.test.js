@@ -0,0 +1,186 @@
+/**
+ * Approval Engine Unit Tests
+ * Tests for chain selection, conditional steps, approver checks with delegates,
+ * decisions, escalation and cancellation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  HR_APPROVER_ROLES,
+  matchesCondition,
+  buildDefaultChain,
+  selectChain,
+  createProcess,
+  activateStep,
+  skipStep,
+  getCurrentStep,
+  getPreviousApprovers,
+  canDecide,
+  recordDecision,
+  isOverdue,
+  escalateStep,
+  cancelProcess
+} from '../../../modules/hr-core/approvals/utils/approvalEngine.js';
+
+const manager = 'manager-1';
+const head = 'head-1';
+const delegate = 'delegate-1';
+
+const vacationChain = {
+  _id: 'chain-1',
+  name: 'Vacation',
+  requestType: 'vacation',
+  priority: 0,
+  conditions: [],
+  steps: [
+    { name: 'Manager', approverType: 'direct-manager', conditions: [] },
+    {
+      name: 'Department head',
+      approverType: 'department-head',
+      conditions: [{ field: 'duration', operator: 'gt', value: 5 }],
+      escalateAfterDays: 2,
+      escalateTo: { approverType: 'role', roles: ['hr'] }
+    },
+    { name: 'HR', approverType: 'role', roles: ['hr'], conditions: [] }
+  ]
+};
+
+const start = new Date('2025-03-01T08:00:00Z');
+
+describe('Approval Engine', () => {
+  test('should evaluate routing conditions', () => {
+    expect(matchesCondition({ field: 'duration', operator: 'gt', value: 5 }, { duration: 6 })).toBe(true);
+    expect(matchesCondition({ field: 'duration', operator: 'lte', value: 5 }, { duration: 6 })).toBe(false);
+    expect(matchesCondition({ field: 'type', operator: 'in', value: ['annual', 'unpaid'] }, { type: 'unpaid' })).toBe(true);
+    expect(matchesCondition({ field: 'type', operator: 'eq', value: 'annual' }, { type: 'sick' })).toBe(false);
+    expect(matchesCondition({ field: 'amount', operator: 'gt', value: 0 }, { duration: 3 })).toBe(false);
+  });
+
+  test('should select the most specific matching chain', () => {
+    const longLeave = {
+      ...vacationChain,
+      _id: 'chain-2',
+      name: 'Long vacation',
+      conditions: [{ field: 'duration', operator: 'gte', value: 10 }]
+    };
+    const otherDepartment = {
+      ...vacationChain,
+      _id: 'chain-3',
+      name: 'Sales',
+      priority: 5,
+      appliesTo: { departments: ['dept-sales'] }
+    };
+    const chains = [vacationChain, longLeave, otherDepartment];
+
+    expect(selectChain(chains, { requestType: 'vacation', metrics: { duration: 12 }, department: 'dept-it' })._id).toBe('chain-2');
+    expect(selectChain(chains, { requestType: 'vacation', metrics: { duration: 3 }, department: 'dept-it' })._id).toBe('chain-1');
+    expect(selectChain(chains, { requestType: 'vacation', metrics: { duration: 3 }, department: 'dept-sales' })._id).toBe('chain-3');
+    expect(selectChain(chains, { requestType: 'mission', metrics: {}, department: 'dept-it' })).toBeNull();
+    expect(selectChain([{ ...vacationChain, isActive: false }], { requestType: 'vacation', metrics: {} })).toBeNull();
+  });
+
+  test('should leave out steps whose conditions do not match', () => {
+    const short = createProcess(vacationChain, { duration: 3 }, start);
+    const long = createProcess(vacationChain, { duration: 8 }, start);
+
+    expect(short.steps.map(step => step.name)).toEqual(['Manager', 'HR']);
+    expect(long.steps.map(step => step.name)).toEqual(['Manager', 'Department head', 'HR']);
+    expect(long.steps[2].roles).toEqual(['hr']);
+    expect(long.status).toBe('pending');
+    expect(long.history[0].action).toBe('submitted');
+  });
+
+  test('should let approvers, delegates and role holders decide the current step', () => {
+    const process = createProcess(vacationChain, { duration: 3 }, start);
+    activateStep(process, 0, { approvers: [manager], delegates: [{ user: delegate, onBehalfOf: manager }], at: start });
+
+    expect(process.currentApprovers).toEqual([manager, delegate]);
+    expect(canDecide(process, { _id: manager, role: 'manager' })).toEqual({ allowed: true, onBehalfOf: null });
+    expect(canDecide(process, { _id: delegate, role: 'employee' })).toEqual({ allowed: true, onBehalfOf: manager });
+    expect(canDecide(process, { _id: 'someone', role: 'hr' }).allowed).toBe(false);
+
+    // A delegation created after the step started is looked up by the service
+    expect(canDecide(process, { _id: 'late-delegate', role: 'employee' }, [manager]))
+      .toEqual({ allowed: true, onBehalfOf: manager });
+
+    activateStep(process, 1, { roles: ['hr'], at: start });
+    expect(canDecide(process, { _id: 'someone', role: 'hr' }).allowed).toBe(true);
+    expect(canDecide(process, { _id: manager, role: 'manager' }).allowed).toBe(false);
+  });
+
+  test('should not let the requester decide their own request', () => {
+    const employee = 'employee-1';
+    const process = createProcess(vacationChain, { duration: 3 }, start);
+    activateStep(process, 0, { approvers: [employee], roles: ['hr'], delegates: [{ user: employee, onBehalfOf: manager }], at: start });
+
+    expect(canDecide(process, { _id: employee, role: 'hr' }, [manager], employee)).toEqual({ allowed: false, onBehalfOf: null });
+    expect(canDecide(process, { _id: 'hr-1', role: 'hr' }, [], employee)).toEqual({ allowed: true, onBehalfOf: null });
+  });
+
+  test('should complete the process after the last step is approved', () => {
+    const process = createProcess(vacationChain, { duration: 3 }, start);
+    activateStep(process, 0, { approvers: [manager], at: start });
+
+    const first = recordDecision(process, { action: 'approved', actor: manager, comments: 'OK' });
+    expect(first).toEqual({ completed: false, rejected: false, nextStep: 1 });
+    expect(getPreviousApprovers(process)).toEqual([manager]);
+
+    activateStep(process, first.nextStep, { roles: ['hr'], at: start });
+    const second = recordDecision(process, { action: 'approved', actor: 'hr-1' });
+
+    expect(second.completed).toBe(true);
+    expect(process.status).toBe('approved');
+    expect(process.currentApprovers).toEqual([]);
+    expect(getCurrentStep(process)).toBeNull();
+    expect(process.history.map(entry => entry.action)).toEqual(['submitted', 'approved', 'approved']);
+    expect(() => recordDecision(process, { action: 'approved', actor: manager })).toThrow('Request is not awaiting approval');
+  });
+
+  test('should stop the chain on the first rejection', () => {
+    const process = createProcess(vacationChain, { duration: 8 }, start);
+    activateStep(process, 0, { approvers: [manager], at: start });
+
+    const result = recordDecision(process, { action: 'rejected', actor: manager, comments: 'Team is short-staffed' });
+
+    expect(result).toEqual({ completed: false, rejected: true, nextStep: -1 });
+    expect(process.status).toBe('rejected');
+    expect(process.steps[1].status).toBe('waiting');
+  });
+
+  test('should record skipped steps in the history', () => {
+    const process = createProcess(vacationChain, { duration: 8 }, start);
+    skipStep(process, 0, 'No approver', start);
+
+    expect(process.steps[0].status).toBe('skipped');
+    expect(process.history[1]).toMatchObject({ action: 'skipped', step: 0, stepName: 'Manager' });
+  });
+
+  test('should escalate a step once its deadline has passed', () => {
+    const process = createProcess(vacationChain, { duration: 8 }, start);
+    activateStep(process, 1, { approvers: [head], at: start });
+
+    expect(process.dueAt).toEqual(new Date('2025-03-03T08:00:00Z'));
+    expect(isOverdue(process, new Date('2025-03-02T08:00:00Z'))).toBe(false);
+    expect(isOverdue(process, new Date('2025-03-03T09:00:00Z'))).toBe(true);
+
+    escalateStep(process, { roles: ['hr'], reason: 'No decision within 2 days' });
+
+    expect(process.currentRoles).toEqual(['hr']);
+    expect(process.dueAt).toBeNull();
+    expect(isOverdue(process, new Date('2025-03-10T00:00:00Z'))).toBe(false);
+    // The original approver can still decide
+    expect(canDecide(process, { _id: head, role: 'manager' }).allowed).toBe(true);
+    expect(process.history[process.history.length - 1].action).toBe('escalated');
+  });
+
+  test('should close a pending process on cancellation', () => {
+    const process = createProcess(buildDefaultChain(HR_APPROVER_ROLES), {}, start);
+    activateStep(process, 0, { roles: HR_APPROVER_ROLES, at: start });
+
+    cancelProcess(process, { actor: 'employee-1' });
+
+    expect(process.status).toBe('cancelled');
+    expect(process.currentRoles).toEqual([]);
+    expect(canDecide(process, { _id: 'hr-1', role: 'hr' }).allowed).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Checklist Engine Unit Tests
+ * Tests for building dated tasks from templates, task updates, progress
+ * and the selection of tasks due a reminder
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_TEMPLATES,
+  buildChecklistTasks,
+  calculateProgress,
+  applyTaskUpdate,
+  getTasksToRemind,
+  groupTasksByAssignee,
+  isTaskOverdue
+} from '../../../modules/hr-core/checklists/utils/checklistEngine.js';
+
+const day = (d, h = 0) => new Date(2025, 5, d, h);
+
+const template = {
+  tasks: [
+    { title: 'Issue ID card', category: 'id-card', owner: 'hr', dueOffsetDays: 3, order: 2 },
+    { title: 'Sign contract', category: 'contract', owner: 'hr', dueOffsetDays: 0, order: 0 },
+    { title: 'Hand over', category: 'handover', owner: 'manager', dueOffsetDays: -2, order: 1, required: false, clearance: null }
+  ]
+};
+
+describe('Checklist Engine', () => {
+  describe('DEFAULT_TEMPLATES', () => {
+    test('covers the IT account, equipment, ID card, contract and handover', () => {
+      const categories = [...DEFAULT_TEMPLATES.onboarding.tasks, ...DEFAULT_TEMPLATES.offboarding.tasks].map(t => t.category);
+      expect(categories).toEqual(expect.arrayContaining(['it-account', 'equipment', 'id-card', 'contract', 'handover']));
+    });
+
+    test('clears the HR, finance and IT resignation flags when offboarding', () => {
+      const keys = DEFAULT_TEMPLATES.offboarding.tasks.map(t => t.clearance).filter(Boolean);
+      expect(keys.sort()).toEqual(['finance', 'hr', 'it']);
+    });
+  });
+
+  describe('buildChecklistTasks', () => {
+    test('orders the tasks and dates them from the reference day', () => {
+      const tasks = buildChecklistTasks(template, day(10, 15));
+
+      expect(tasks.map(t => t.title)).toEqual(['Sign contract', 'Hand over', 'Issue ID card']);
+      expect(tasks.map(t => t.dueDate)).toEqual([day(10), day(8), day(13)]);
+      expect(tasks.every(t => t.status === 'pending')).toBe(true);
+      expect(tasks.map(t => t.required)).toEqual([true, false, true]);
+    });
+
+    test('rejects an invalid reference date', () => {
+      expect(() => buildChecklistTasks(template, 'soon')).toThrow('Invalid date: soon');
+    });
+  });
+
+  describe('applyTaskUpdate', () => {
+    test('records who completed a task and clears it when reopened', () => {
+      const task = { status: 'pending', required: true };
+
+      applyTaskUpdate(task, { status: 'done' }, 'user-1', day(11));
+      expect(task).toMatchObject({ status: 'done', completedBy: 'user-1', completedAt: day(11) });
+
+      applyTaskUpdate(task, { status: 'pending' }, 'user-2', day(12));
+      expect(task).toMatchObject({ status: 'pending', completedBy: null, completedAt: null });
+    });
+
+    test('needs a note to skip a required task', () => {
+      expect(() => applyTaskUpdate({ status: 'pending', required: true }, { status: 'skipped' }, 'user-1'))
+        .toThrow('A note is required to skip a required task');
+      expect(applyTaskUpdate({ status: 'pending', required: true }, { status: 'skipped', notes: 'Remote hire' }, 'user-1').status)
+        .toBe('skipped');
+      expect(() => applyTaskUpdate({ status: 'pending' }, { status: 'finished' }, 'user-1')).toThrow('Invalid task status: finished');
+    });
+  });
+
+  describe('calculateProgress', () => {
+    const tasks = [
+      { status: 'done', required: true, dueDate: day(8) },
+      { status: 'skipped', required: true, dueDate: day(9) },
+      { status: 'pending', required: true, dueDate: day(9) },
+      { status: 'pending', required: false, dueDate: day(20) }
+    ];
+
+    test('counts handled, open and overdue tasks', () => {
+      expect(calculateProgress(tasks, day(10))).toEqual({
+        total: 4,
+        done: 1,
+        skipped: 1,
+        pending: 2,
+        overdue: 1,
+        percent: 50,
+        complete: false
+      });
+    });
+
+    test('completes once only optional tasks remain', () => {
+      const handled = tasks.map(t => (t.required ? { ...t, status: 'done' } : t));
+      expect(calculateProgress(handled, day(10))).toMatchObject({ percent: 75, complete: true });
+      expect(calculateProgress([])).toMatchObject({ percent: 100, complete: true });
+    });
+
+    test('is not overdue on the due day', () => {
+      expect(isTaskOverdue({ status: 'pending', dueDate: day(10) }, day(10, 18))).toBe(false);
+      expect(isTaskOverdue({ status: 'done', dueDate: day(1) }, day(10))).toBe(false);
+    });
+  });
+
+  describe('reminders', () => {
+    const tasks = [
+      { _id: 't1', assignee: 'hr-1', status: 'pending', dueDate: day(11) },
+      { _id: 't2', assignee: 'hr-1', status: 'pending', dueDate: day(5), lastReminderAt: day(9, 8) },
+      { _id: 't3', assignee: 'it-1', status: 'pending', dueDate: day(5), lastReminderAt: day(10, 6) },
+      { _id: 't4', assignee: 'it-1', status: 'pending', dueDate: day(15) },
+      { _id: 't5', assignee: 'it-1', status: 'done', dueDate: day(5) }
+    ];
+
+    test('reminds open tasks due tomorrow or overdue once a day', () => {
+      expect(getTasksToRemind(tasks, day(10, 8)).map(t => t._id)).toEqual(['t1', 't2']);
+      expect(getTasksToRemind(tasks, day(11, 8)).map(t => t._id)).toEqual(['t1', 't2', 't3']);
+    });
+
+    test('groups the tasks by assignee', () => {
+      const groups = groupTasksByAssignee(tasks);
+      expect([...groups.keys()]).toEqual(['hr-1', 'it-1']);
+      expect(groups.get('it-1')).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+/**
+ * Data Subject Request Engine Unit Tests
+ * Tests for retention holds, erasure planning, profile anonymization and the
+ * records handed over in access exports
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import path from 'path';
+import mongoose from 'mongoose';
+import {
+  DATA_SOURCES,
+  ERASURE_ACTIONS,
+  FILE_STORES,
+  RESPONSE_DAYS,
+  addPeriod,
+  buildExportManifest,
+  buildProfileErasure,
+  getDueDate,
+  getHoldUntil,
+  getRecordFiles,
+  pickRetentionPolicy,
+  planErasure,
+  planSourceErasure,
+  redactRecord,
+  resolveStoredFile
+} from '../../../modules/hr-core/privacy/utils/dsarEngine.js';
+
+const policy = (dataType, value, unit, extra = {}) => ({
+  policyName: `${dataType} policy`,
+  dataType,
+  status: 'active',
+  legalRequirements: { minimumRetention: { value, unit } },
+  ...extra
+});
+
+const source = (key) => DATA_SOURCES.find(entry => entry.key === key);
+
+describe('Data Subject Request Engine', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  describe('DATA_SOURCES', () => {
+    test('covers the modules holding employee data', () => {
+      const modules = new Set(DATA_SOURCES.map(entry => entry.module));
+
+      ['hr-core', 'attendance', 'leave', 'clinic', 'life-insurance', 'payroll', 'documents'].forEach(module => {
+        expect(modules.has(module)).toBe(true);
+      });
+      expect(new Set(DATA_SOURCES.map(entry => entry.key)).size).toBe(DATA_SOURCES.length);
+    });
+  });
+
+  describe('getDueDate', () => {
+    test('gives one month to answer', () => {
+      const due = getDueDate(now);
+      expect((due - now) / (24 * 60 * 60 * 1000)).toBe(RESPONSE_DAYS);
+    });
+  });
+
+  describe('addPeriod', () => {
+    test('adds days, months and years', () => {
+      const start = new Date('2020-01-31T00:00:00Z');
+
+      expect(addPeriod(start, { value: 10, unit: 'days' }).toISOString()).toBe('2020-02-10T00:00:00.000Z');
+      expect(addPeriod(start, { value: 7, unit: 'years' }).toISOString()).toBe('2027-01-31T00:00:00.000Z');
+      expect(addPeriod(start, { value: 12, unit: 'months' }).toISOString()).toBe('2021-01-31T00:00:00.000Z');
+    });
+  });
+
+  describe('pickRetentionPolicy', () => {
+    test('uses the active policy with the longest legal minimum', () => {
+      const policies = [
+        policy('financial_records', 5, 'years'),
+        policy('financial_records', 10, 'years'),
+        policy('financial_records', 20, 'years', { status: 'inactive' }),
+        policy('documents', 30, 'years')
+      ];
+
+      expect(pickRetentionPolicy(policies, 'financial_records').legalRequirements.minimumRetention.value).toBe(10);
+    });
+
+    test('ignores policies without a legal minimum', () => {
+      const policies = [{ dataType: 'documents', status: 'active', legalRequirements: {} }];
+      expect(pickRetentionPolicy(policies, 'documents')).toBeNull();
+      expect(pickRetentionPolicy([], 'documents')).toBeNull();
+    });
+  });
+
+  describe('getHoldUntil', () => {
+    test('adds the minimum retention to the record date', () => {
+      const holdUntil = getHoldUntil(policy('financial_records', 7, 'years'), new Date('2024-03-01T00:00:00Z'));
+      expect(holdUntil.toISOString()).toBe('2031-03-01T00:00:00.000Z');
+    });
+
+    test('returns null without a policy', () => {
+      expect(getHoldUntil(null, now)).toBeNull();
+    });
+  });
+
+  describe('planSourceErasure', () => {
+    const payslips = [
+      { _id: 'old', createdAt: new Date('2015-01-01T00:00:00Z') },
+      { _id: 'recent', createdAt: new Date('2025-01-01T00:00:00Z') }
+    ];
+
+    test('erases everything when no policy applies', () => {
+      const plan = planSourceErasure(source('payslips'), payslips, null, now);
+
+      expect(plan.action).toBe(ERASURE_ACTIONS.DELETE);
+      expect(plan.erasableIds).toEqual(['old', 'recent']);
+      expect(plan.heldCount).toBe(0);
+      expect(plan.reason).toBeNull();
+    });
+
+    test('holds records inside the legal minimum retention', () => {
+      const plan = planSourceErasure(source('payslips'), payslips, policy('financial_records', 7, 'years'), now);
+
+      expect(plan.erasableIds).toEqual(['old']);
+      expect(plan.heldCount).toBe(1);
+      expect(plan.holdUntil.toISOString()).toBe('2032-01-01T00:00:00.000Z');
+      expect(plan.reason).toMatch(/financial records for 7 years/);
+    });
+
+    test('holds records without a date', () => {
+      const plan = planSourceErasure(source('payslips'), [{ _id: 'undated' }], policy('financial_records', 1, 'days'), now);
+      expect(plan.heldCount).toBe(1);
+    });
+
+    test('keeps audit log entries', () => {
+      const plan = planSourceErasure(source('auditLogs'), [{ _id: 'a' }, { _id: 'b' }], null, now);
+
+      expect(plan.action).toBe(ERASURE_ACTIONS.RETAIN);
+      expect(plan.erasableIds).toEqual([]);
+      expect(plan.heldCount).toBe(2);
+    });
+  });
+
+  describe('planErasure', () => {
+    const records = {
+      profile: [{ _id: 'user', createdAt: new Date('2018-01-01T00:00:00Z') }],
+      vacations: [{ _id: 'v1', createdAt: new Date('2025-05-01T00:00:00Z') }],
+      payslips: [{ _id: 'p1', createdAt: new Date('2025-05-01T00:00:00Z') }],
+      auditLogs: [{ _id: 'log' }]
+    };
+
+    test('plans only the sources that were searched', () => {
+      const { sources } = planErasure(records, [], now);
+      expect(sources.map(entry => entry.key)).toEqual(['profile', 'vacations', 'payslips', 'auditLogs']);
+    });
+
+    test('is restricted when records are held', () => {
+      expect(planErasure(records, [], now).restricted).toBe(false);
+      expect(planErasure(records, [policy('financial_records', 7, 'years')], now).restricted).toBe(true);
+    });
+  });
+
+  describe('buildProfileErasure', () => {
+    test('anonymizes the whole profile', () => {
+      const update = buildProfileErasure('abc', { password: '!x' });
+
+      expect(update.$set.username).toBe('erased-abc');
+      expect(update.$set.email).toBe('erased-abc@erased.invalid');
+      expect(update.$set.personalInfo).toEqual({ fullName: 'Erased employee' });
+      expect(update.$set.isActive).toBe(false);
+      expect(update.$set.password).toBe('!x');
+      expect(update.$unset).toEqual(expect.objectContaining({ bankDetails: '', employeeId: '' }));
+    });
+
+    test('keeps the identity of a restricted profile', () => {
+      const update = buildProfileErasure('abc', { restricted: true, password: '!x' });
+
+      expect(update.$set.username).toBeUndefined();
+      expect(update.$set.personalInfo).toBeUndefined();
+      expect(update.$unset).toEqual(expect.objectContaining({ 'personalInfo.phone': '', 'personalInfo.address': '', bankDetails: '' }));
+      expect(update.$unset.employeeId).toBeUndefined();
+    });
+  });
+
+  describe('redactRecord', () => {
+    test('removes secrets at any depth and converts ids', () => {
+      const id = new mongoose.Types.ObjectId();
+      const createdAt = new Date('2026-01-01T00:00:00Z');
+      const record = redactRecord({
+        _id: id,
+        password: 'hash',
+        plainPassword: 'secret',
+        __v: 0,
+        createdAt,
+        personalInfo: { fullName: 'Sara', mfa: { secret: 'x' } },
+        history: [{ by: id, password: 'hash' }]
+      });
+
+      expect(record).toEqual({
+        _id: String(id),
+        createdAt,
+        personalInfo: { fullName: 'Sara' },
+        history: [{ by: String(id) }]
+      });
+    });
+  });
+
+  describe('getRecordFiles', () => {
+    test('lists uploads and generated files of a record', () => {
+      expect(getRecordFiles('missionExpenses', {
+        expenses: [{ receipt: { url: '/uploads/receipts/r1.pdf' } }, { receipt: null }]
+      })).toEqual([{ store: FILE_STORES.UPLOADS, name: '/uploads/receipts/r1.pdf' }]);
+      expect(getRecordFiles('documents', { type: 'payslip', fileName: 'p.pdf' }))
+        .toEqual([{ store: FILE_STORES.PAYSLIPS, name: 'p.pdf' }]);
+      expect(getRecordFiles('documents', { type: 'letter', template: 't1', fileName: 'l.pdf' }))
+        .toEqual([{ store: FILE_STORES.DOCUMENTS, name: 'l.pdf' }]);
+      expect(getRecordFiles('documents', { type: 'contract', fileUrl: 'uploads/c.pdf' }))
+        .toEqual([{ store: FILE_STORES.UPLOADS, name: 'uploads/c.pdf' }]);
+    });
+
+    test('returns nothing for records without files', () => {
+      expect(getRecordFiles('profile', { personalInfo: {} })).toEqual([]);
+      expect(getRecordFiles('payroll', { period: '2026-01' })).toEqual([]);
+      expect(getRecordFiles('profile', null)).toEqual([]);
+    });
+  });
+
+  describe('resolveStoredFile', () => {
+    const directories = { [FILE_STORES.UPLOADS]: 'uploads', [FILE_STORES.PAYSLIPS]: 'storage/payslips/t1' };
+
+    test('resolves files inside their store', () => {
+      expect(resolveStoredFile({ store: FILE_STORES.UPLOADS, name: '/uploads/receipts/r1.pdf' }, directories))
+        .toBe(path.resolve('uploads', 'receipts', 'r1.pdf'));
+      expect(resolveStoredFile({ store: FILE_STORES.PAYSLIPS, name: 'p.pdf' }, directories))
+        .toBe(path.resolve('storage/payslips/t1', 'p.pdf'));
+    });
+
+    test('ignores external URLs and paths outside the store', () => {
+      expect(resolveStoredFile({ store: FILE_STORES.UPLOADS, name: 'https://cdn.example.com/c.pdf' }, directories)).toBeNull();
+      expect(resolveStoredFile({ store: FILE_STORES.UPLOADS, name: '/uploads/../server.js' }, directories)).toBeNull();
+      expect(resolveStoredFile({ store: FILE_STORES.PAYSLIPS, name: '../t2/p.pdf' }, directories)).toBeNull();
+      expect(resolveStoredFile({ store: FILE_STORES.DOCUMENTS, name: 'l.pdf' }, directories)).toBeNull();
+    });
+  });
+
+  describe('buildExportManifest', () => {
+    test('lists each category file with its count', () => {
+      const manifest = buildExportManifest(
+        { _id: 'req', tenantId: 't1', employee: { _id: 'emp' }, createdAt: now },
+        [{ key: 'profile', label: 'Employee profile', module: 'hr-core', count: 1 }, { key: 'vacations', label: 'Vacations', module: 'leave', count: 4 }],
+        now
+      );
+
+      expect(manifest.employee).toBe('emp');
+      expect(manifest.totalRecords).toBe(5);
+      expect(manifest.categories[1]).toEqual({ key: 'vacations', label: 'Vacations', module: 'leave', count: 4, file: 'vacations.json' });
+    });
+  });
+});
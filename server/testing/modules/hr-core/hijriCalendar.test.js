@@ -0,0 +1,123 @@
+/**
+ * Hijri Calendar Unit Tests
+ * Tests for Umm al-Qura and tabular conversion, Hijri formatting, Islamic
+ * holiday proposals with moon-sighting adjustments, and dual dates in holidayChecker
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  toHijri,
+  toGregorian,
+  formatHijri,
+  getIslamicHoliday,
+  getIslamicHolidayDays,
+  getIslamicHolidaysForYear
+} from '../../../modules/hr-core/holidays/utils/hijriCalendar.js';
+import { getHolidayInfo, getDualDate } from '../../../modules/hr-core/holidays/utils/holidayChecker.js';
+
+const utc = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+
+describe('Hijri Calendar', () => {
+  describe('toHijri', () => {
+    test('converts with the Umm al-Qura calendar by default', () => {
+      expect(toHijri(new Date(2024, 6, 7))).toEqual({ year: 1446, month: 1, day: 1 });
+      expect(toHijri(new Date(2025, 2, 30))).toEqual({ year: 1446, month: 10, day: 1 });
+    });
+
+    test('converts with the tabular calendar', () => {
+      expect(toHijri(new Date(2025, 2, 30), 'tabular')).toEqual({ year: 1446, month: 9, day: 30 });
+      expect(toHijri(new Date(2025, 2, 31), 'tabular')).toEqual({ year: 1446, month: 10, day: 1 });
+    });
+
+    test('rejects unknown calendars and invalid dates', () => {
+      expect(() => toHijri(new Date(), 'lunar')).toThrow('Unknown Hijri calendar');
+      expect(() => toHijri('not a date')).toThrow('Invalid date');
+    });
+  });
+
+  describe('toGregorian', () => {
+    test('converts Hijri dates to UTC midnight', () => {
+      expect(toGregorian(1446, 10, 1)).toEqual(utc(2025, 3, 30));
+      expect(toGregorian(1446, 10, 1, 'tabular')).toEqual(utc(2025, 3, 31));
+      expect(toGregorian(1447, 9, 1)).toEqual(utc(2026, 2, 18));
+    });
+
+    test('round-trips every day of a decade in both calendars', () => {
+      for (const calendar of ['umalqura', 'tabular']) {
+        for (let offset = 0; offset < 3650; offset += 7) {
+          const date = utc(2020, 1, 1 + offset);
+          const hijri = toHijri(date, calendar);
+          expect(toGregorian(hijri.year, hijri.month, hijri.day, calendar)).toEqual(date);
+        }
+      }
+    });
+
+    test('rejects days a month does not have', () => {
+      expect(() => toGregorian(1446, 9, 30)).toThrow('Invalid Hijri date');
+      expect(() => toGregorian(1446, 13, 1)).toThrow('Invalid Hijri date');
+    });
+  });
+
+  describe('formatHijri', () => {
+    test('formats in English and Arabic', () => {
+      const date = { year: 1446, month: 10, day: 1 };
+      expect(formatHijri(date)).toBe('1 Shawwal 1446 AH');
+      expect(formatHijri(date, 'ar')).toBe('١ شوال ١٤٤٦ هـ');
+    });
+  });
+
+  describe('Islamic holidays', () => {
+    test('proposes the Islamic holidays of a Gregorian year', () => {
+      const holidays = getIslamicHolidaysForYear(2025);
+
+      expect(holidays.map(h => [h.key, h.date])).toEqual([
+        ['eid-al-fitr', '2025-03-30'],
+        ['eid-al-fitr', '2025-03-31'],
+        ['eid-al-fitr', '2025-04-01'],
+        ['arafat-day', '2025-06-05'],
+        ['eid-al-adha', '2025-06-06'],
+        ['eid-al-adha', '2025-06-07'],
+        ['eid-al-adha', '2025-06-08'],
+        ['islamic-new-year', '2025-06-26'],
+        ['prophet-birthday', '2025-09-04']
+      ]);
+      expect(holidays[1]).toMatchObject({
+        name: 'Eid al-Fitr (Day 2)',
+        occasion: 'Eid al-Fitr',
+        hijriDate: { year: 1446, month: 10, day: 2 },
+        hijriDateFormatted: '2 Shawwal 1446 AH'
+      });
+    });
+
+    test('includes a holiday twice when it recurs within the year', () => {
+      const eid = getIslamicHolidaysForYear(2000).filter(h => h.key === 'eid-al-fitr' && h.dayNumber === 1);
+      expect(eid.map(h => h.date)).toEqual(['2000-01-08', '2000-12-27']);
+    });
+
+    test('names holidays in Arabic', () => {
+      const [first] = getIslamicHolidaysForYear(2025, { language: 'ar' });
+      expect(first.name).toBe('عيد الفطر (اليوم ١)');
+    });
+
+    test('shifts every day of a holiday after moon sighting', () => {
+      const days = getIslamicHolidayDays(getIslamicHoliday('eid-al-fitr'), 1446, { adjustmentDays: 1 });
+
+      expect(days.map(d => d.date)).toEqual(['2025-03-31', '2025-04-01', '2025-04-02']);
+      expect(days[0]).toMatchObject({ adjustmentDays: 1, hijriDate: { year: 1446, month: 10, day: 1 } });
+    });
+  });
+
+  describe('holidayChecker', () => {
+    test('returns dual Gregorian and Hijri dates', () => {
+      expect(getDualDate(new Date(2025, 2, 30)).formatted).toBe('March 30, 2025 / 1 Shawwal 1446 AH');
+      expect(getDualDate(new Date(2025, 2, 30), { language: 'ar' }).hijri).toBe('١ شوال ١٤٤٦ هـ');
+    });
+
+    test('adds the Hijri date to holiday information', () => {
+      const info = getHolidayInfo(new Date(2025, 2, 30));
+
+      expect(info.hijriDate).toEqual({ year: 1446, month: 10, day: 1 });
+      expect(info.dualDate).toBe('March 30, 2025 / 1 Shawwal 1446 AH');
+    });
+  });
+});
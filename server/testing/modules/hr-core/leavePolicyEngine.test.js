@@ -0,0 +1,103 @@
+/**
+ * Leave Policy Engine Unit Tests
+ * Tests for entitlements, accrual, probation, carry-over expiry, negative balances and policy selection
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_LEAVE_POLICY,
+  findLeaveTypeRule,
+  resolveEntitlementDays,
+  calculateAllocation,
+  calculateCarryOver,
+  calculateAvailable,
+  selectPolicy,
+  hasSufficientDays
+} from '../../../modules/hr-core/vacations/utils/leavePolicyEngine.js';
+
+const annualRule = {
+  key: 'annual',
+  days: 21,
+  tiers: [{ minYears: 5, days: 28 }, { minYears: 10, days: 30 }],
+  grades: [{ grade: 'G7', days: 35 }],
+  accrual: 'upfront'
+};
+
+describe('Leave Policy Engine', () => {
+  test('should keep the previous hard-coded allocation as the default policy', () => {
+    const annual = findLeaveTypeRule(DEFAULT_LEAVE_POLICY, 'annual');
+
+    expect(resolveEntitlementDays(annual, { tenureYears: 0.3 })).toBe(0);
+    expect(resolveEntitlementDays(annual, { tenureYears: 0.7 })).toBe(8);
+    expect(resolveEntitlementDays(annual, { tenureYears: 4 })).toBe(14);
+    expect(resolveEntitlementDays(annual, { tenureYears: 12 })).toBe(23);
+
+    const casual = findLeaveTypeRule(DEFAULT_LEAVE_POLICY, 'casual');
+    const context = { year: 2025, asOf: new Date(2025, 5, 1), probationMonths: 3 };
+    expect(calculateAllocation(casual, { ...context, hireDate: new Date(2025, 3, 1) })).toBe(0);
+    expect(calculateAllocation(casual, { ...context, hireDate: new Date(2024, 3, 1) })).toBe(7);
+  });
+
+  test('should resolve grade entitlements before tenure tiers', () => {
+    expect(resolveEntitlementDays(annualRule, { tenureYears: 2 })).toBe(21);
+    expect(resolveEntitlementDays(annualRule, { tenureYears: 6 })).toBe(28);
+    expect(resolveEntitlementDays(annualRule, { tenureYears: 11 })).toBe(30);
+    expect(resolveEntitlementDays(annualRule, { tenureYears: 2, grade: 'G7' })).toBe(35);
+  });
+
+  test('should accrue monthly and prorate the first year', () => {
+    const monthly = { ...annualRule, accrual: 'monthly' };
+    const hireDate = new Date(2015, 0, 10);
+
+    // 4 completed months of a 21-day year, rounded down to half days
+    expect(calculateAllocation(monthly, { hireDate: new Date(2022, 0, 1), year: 2025, asOf: new Date(2025, 4, 15) })).toBe(7);
+    expect(calculateAllocation(monthly, { hireDate, year: 2025, asOf: new Date(2026, 2, 1) })).toBe(30);
+
+    const prorated = { ...annualRule, prorateFirstYear: true };
+    expect(calculateAllocation(prorated, { hireDate: new Date(2025, 6, 1), year: 2025, asOf: new Date(2025, 8, 1) })).toBe(10.5);
+    expect(calculateAllocation(prorated, { hireDate: new Date(2026, 0, 5), year: 2025 })).toBe(0);
+  });
+
+  test('should cap carry-over and forfeit unused carried days after expiry', () => {
+    const rule = { carryOver: { maxDays: 10, expiresAfterMonths: 3 } };
+    const carry = calculateCarryOver(rule, 12.5, 2025);
+
+    expect(carry.days).toBe(10);
+    expect(carry.expiresOn).toEqual(new Date(2026, 2, 31, 23, 59, 59, 999));
+    expect(calculateCarryOver({ carryOver: { maxDays: 0 } }, 8, 2025)).toEqual({ days: 0, expiresOn: null });
+
+    const figures = { allocated: 21, carriedOver: 10, carryOverExpiresOn: carry.expiresOn, used: 6, usedBeforeExpiry: 4, pending: 0 };
+    expect(calculateAvailable(figures, { asOf: new Date(2026, 1, 1) })).toEqual({ available: 25, forfeited: 0 });
+    expect(calculateAvailable(figures, { asOf: new Date(2026, 5, 1) })).toEqual({ available: 19, forfeited: 6 });
+  });
+
+  test('should allow going below zero only within the negative allowance', () => {
+    const figures = { allocated: 2, used: 3, pending: 4 };
+
+    expect(calculateAvailable(figures).available).toBe(0);
+    expect(calculateAvailable(figures, { allowNegativeDays: 3 }).available).toBe(-3);
+    expect(calculateAvailable(figures, { allowNegativeDays: 10 }).available).toBe(-5);
+
+    expect(hasSufficientDays({ available: 1, negativeAllowance: 3 }, 4)).toBe(true);
+    expect(hasSufficientDays({ available: 1, negativeAllowance: 3 }, 5)).toBe(false);
+    expect(hasSufficientDays(null, 1)).toBe(false);
+  });
+
+  test('should pick the most relevant policy for an employee', () => {
+    const policies = [
+      { name: 'Company', isDefault: true, appliesTo: {} },
+      { name: 'Contractors', appliesTo: { contractTypes: ['contract'] } },
+      { name: 'Field contractors', appliesTo: { contractTypes: ['contract'], departments: ['field'] } },
+      { name: 'Executives', priority: 10, appliesTo: { grades: ['G7'] } },
+      { name: 'Retired', isActive: false, appliesTo: { contractTypes: ['full-time'] } }
+    ];
+
+    const employee = (contractType, department, grade) => ({ department, employment: { contractType, grade } });
+
+    expect(selectPolicy(policies, employee('full-time', 'office')).name).toBe('Company');
+    expect(selectPolicy(policies, employee('contract', 'office')).name).toBe('Contractors');
+    expect(selectPolicy(policies, employee('contract', 'field')).name).toBe('Field contractors');
+    expect(selectPolicy(policies, employee('contract', 'field', 'G7')).name).toBe('Executives');
+    expect(selectPolicy(policies.slice(1), employee('full-time', 'office'))).toBeNull();
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Mission Expense Unit Tests
+ * Tests for per-diem rate lookup and amounts, claim totals against the
+ * travel advance, and the payroll lines of a settled claim
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  countMissionDays,
+  findPerDiemRate,
+  calculatePerDiem,
+  defaultApprovedAmount,
+  summarizeClaim,
+  toPayrollItems
+} from '../../../modules/hr-core/missions/utils/missionExpenseCalculator.js';
+import { calculatePayslip } from '../../../modules/payroll/utils/payrollCalculator.js';
+
+const rates = [
+  { destination: '*', grade: null, dailyRate: 200 },
+  { destination: '*', grade: 'G5', dailyRate: 350 },
+  { destination: 'alexandria', grade: null, dailyRate: 300 },
+  { destination: 'alexandria', grade: 'G5', dailyRate: 500, includesMeals: false },
+  { destination: 'dubai', grade: null, dailyRate: 900, isActive: false }
+];
+
+const mission = {
+  location: 'Alexandria',
+  startDate: new Date(2025, 2, 10),
+  endDate: new Date(2025, 2, 12, 18, 0)
+};
+
+describe('Mission Expenses', () => {
+  describe('countMissionDays', () => {
+    test('counts the first and last day', () => {
+      expect(countMissionDays(mission.startDate, mission.endDate)).toBe(3);
+      expect(countMissionDays(new Date(2025, 2, 10, 8), new Date(2025, 2, 10, 17))).toBe(1);
+    });
+
+    test('requires valid dates', () => {
+      expect(() => countMissionDays(null, 'not a date')).toThrow('Mission start and end dates are required');
+    });
+  });
+
+  describe('findPerDiemRate', () => {
+    test('prefers the destination and grade, then the destination', () => {
+      expect(findPerDiemRate(rates, '  ALEXANDRIA ', 'G5').dailyRate).toBe(500);
+      expect(findPerDiemRate(rates, 'Alexandria', 'G1').dailyRate).toBe(300);
+      expect(findPerDiemRate(rates, 'Alexandria').dailyRate).toBe(300);
+    });
+
+    test('falls back to the default destination', () => {
+      expect(findPerDiemRate(rates, 'Aswan', 'G5').dailyRate).toBe(350);
+      expect(findPerDiemRate(rates, 'Aswan', 'G1').dailyRate).toBe(200);
+    });
+
+    test('ignores inactive rates', () => {
+      expect(findPerDiemRate(rates, 'Dubai').dailyRate).toBe(200);
+      expect(findPerDiemRate([], 'Dubai')).toBeNull();
+    });
+  });
+
+  describe('calculatePerDiem', () => {
+    test('multiplies the daily rate by the mission days', () => {
+      const rate = findPerDiemRate(rates, mission.location, 'G1');
+
+      expect(calculatePerDiem(mission, rate, 'G1')).toEqual({
+        destination: 'Alexandria',
+        grade: 'G1',
+        dailyRate: 300,
+        days: 3,
+        amount: 900,
+        includesMeals: true
+      });
+    });
+
+    test('pays nothing without a rate', () => {
+      expect(calculatePerDiem(mission, null)).toMatchObject({ dailyRate: 0, amount: 0, includesMeals: false });
+    });
+  });
+
+  describe('defaultApprovedAmount', () => {
+    test('does not reimburse meals covered by the per-diem', () => {
+      const perDiem = { amount: 900, includesMeals: true };
+
+      expect(defaultApprovedAmount({ category: 'meals', amount: 120 }, perDiem)).toBe(0);
+      expect(defaultApprovedAmount({ category: 'hotel', amount: 1500 }, perDiem)).toBe(1500);
+      expect(defaultApprovedAmount({ category: 'meals', amount: 120 }, { amount: 1500, includesMeals: false })).toBe(120);
+      expect(defaultApprovedAmount({ category: 'meals', amount: 120 }, { amount: 0, includesMeals: true })).toBe(120);
+    });
+  });
+
+  describe('summarizeClaim', () => {
+    const claim = {
+      expenses: [
+        { category: 'transport', amount: 450, approvedAmount: 400 },
+        { category: 'hotel', amount: 1500.5, approvedAmount: 1500.5 },
+        { category: 'meals', amount: 120, approvedAmount: 0 }
+      ],
+      perDiem: { amount: 900 },
+      advance: { amount: 2000 }
+    };
+
+    test('totals claimed and approved amounts by category', () => {
+      const summary = summarizeClaim(claim);
+
+      expect(summary).toMatchObject({
+        claimedTotal: 2070.5,
+        approvedTotal: 1900.5,
+        perDiemAmount: 900,
+        advanceAmount: 2000,
+        balance: 800.5
+      });
+      expect(summary.byCategory).toEqual({ transport: 400, hotel: 1500.5, meals: 0, other: 0 });
+    });
+
+    test('returns a negative balance when the advance exceeds the claim', () => {
+      expect(summarizeClaim({ ...claim, advance: { amount: 3000 } }).balance).toBe(-199.5);
+    });
+
+    test('counts unreviewed expenses as not approved', () => {
+      const summary = summarizeClaim({ expenses: [{ category: 'other', amount: 50, approvedAmount: null }] });
+      expect(summary).toMatchObject({ claimedTotal: 50, approvedTotal: 0, balance: 0 });
+    });
+  });
+
+  describe('payroll', () => {
+    const settled = {
+      settlement: { approvedTotal: 1900.5, perDiemAmount: 900, advanceAmount: 2000, balance: 800.5 }
+    };
+
+    test('pays expenses and per-diem and recovers the advance', () => {
+      const { earnings, deductions } = toPayrollItems(settled, 'Alexandria');
+
+      expect(earnings).toEqual([
+        expect.objectContaining({ type: 'reimbursement', name: 'Mission expenses - Alexandria', amount: 1900.5, taxable: false }),
+        expect.objectContaining({ type: 'per-diem', amount: 900, taxable: false })
+      ]);
+      expect(deductions).toEqual([
+        expect.objectContaining({ type: 'advance', description: 'Mission advance - Alexandria', amount: 2000 })
+      ]);
+    });
+
+    test('adds the settlement to the payslip without taxing it', () => {
+      const { earnings, deductions } = toPayrollItems(settled);
+      const settings = {
+        workingDaysPerMonth: 30,
+        incomeTax: { enabled: false },
+        socialInsurance: { enabled: false }
+      };
+      const base = calculatePayslip({ salaryStructure: { baseSalary: 10000 }, settings });
+      const payslip = calculatePayslip({
+        salaryStructure: { baseSalary: 10000 },
+        settings,
+        periodEarnings: earnings,
+        periodDeductions: deductions
+      });
+
+      expect(payslip.netSalary).toBe(base.netSalary + 800.5);
+      expect(payslip.taxableIncome).toBe(base.taxableIncome);
+      expect(payslip.earnings.filter(e => e.type === 'reimbursement')[0].source).toBe('calculated');
+      expect(payslip.deductions.find(d => d.type === 'advance').source).toBe('calculated');
+    });
+  });
+});
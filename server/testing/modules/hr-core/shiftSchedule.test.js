@@ -0,0 +1,99 @@
+/**
+ * Shift Schedule Unit Tests
+ * Tests for shift windows, rotation patterns, assignment precedence and late/early/overtime figures
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  getShiftWindow,
+  getPatternDay,
+  selectAssignment,
+  resolveAssignmentDay,
+  belongsToPreviousShift,
+  calculateShiftAttendance
+} from '../../../modules/hr-core/attendance/utils/shiftSchedule.js';
+
+const at = (day, hours, minutes = 0) => new Date(2025, 9, day, hours, minutes);
+
+const dayShift = { _id: 'day', code: 'D', segments: [{ startTime: '07:00', endTime: '19:00' }], breakMinutes: 60 };
+const nightShift = { _id: 'night', code: 'N', segments: [{ startTime: '22:00', endTime: '06:00' }], graceMinutes: 10, minOvertimeMinutes: 30 };
+const splitShift = { _id: 'split', code: 'S', segments: [{ startTime: '08:00', endTime: '12:00' }, { startTime: '16:00', endTime: '20:00' }] };
+
+const fourOnFourOff = {
+  days: [
+    { shift: dayShift }, { shift: dayShift }, { shift: dayShift }, { shift: dayShift },
+    { dayOff: true }, { dayOff: true }, { dayOff: true }, { dayOff: true }
+  ]
+};
+
+describe('Shift Schedule', () => {
+  test('should roll night shifts over midnight', () => {
+    const window = getShiftWindow(nightShift, at(1, 0));
+
+    expect(window.start).toEqual(at(1, 22));
+    expect(window.end).toEqual(at(2, 6));
+    expect(window.scheduledMinutes).toBe(480);
+    expect(window.crossesMidnight).toBe(true);
+    expect(getShiftWindow(dayShift, at(1, 0)).crossesMidnight).toBe(false);
+  });
+
+  test('should build split shifts and skip the unpaid gap', () => {
+    const window = getShiftWindow(splitShift, at(1, 0));
+    expect(window.segments).toHaveLength(2);
+    expect(window.scheduledMinutes).toBe(480);
+
+    const result = calculateShiftAttendance(window, { checkIn: at(1, 8), checkOut: at(1, 20, 45) }, { minOvertimeMinutes: 30 });
+    expect(result.actualHours).toBe(8.75);
+    expect(result.overtimeHours).toBe(0.75);
+    expect(result.isLate).toBe(false);
+  });
+
+  test('should cycle four-on/four-off from the assignment start and phase shift crews', () => {
+    const codes = Array.from({ length: 10 }, (_, index) => getPatternDay(fourOnFourOff, at(1, 0), at(1 + index, 0)))
+      .map(day => (day.dayOff ? '-' : day.shift.code));
+    expect(codes.join('')).toBe('DDDD----DD');
+
+    expect(getPatternDay(fourOnFourOff, at(1, 0), at(1, 0), 5).dayOff).toBe(true);
+    expect(getPatternDay(fourOnFourOff, at(10, 0), at(1, 0)).dayOff).toBe(true);
+  });
+
+  test('should prefer overrides, then employee, then department assignments', () => {
+    const employee = { _id: 'emp1', department: 'dept1' };
+    const assignments = [
+      { _id: 'dept', department: 'dept1', shift: dayShift, startDate: at(1, 0) },
+      { _id: 'rotation', employee: 'emp1', pattern: fourOnFourOff, startDate: at(1, 0) },
+      { _id: 'override', employee: 'emp1', shift: nightShift, startDate: at(3, 0), endDate: at(3, 0) },
+      { _id: 'ended', employee: 'emp1', dayOff: true, startDate: at(4, 0), endDate: at(4, 0), isActive: false }
+    ];
+
+    expect(selectAssignment(assignments, employee, at(2, 0))._id).toBe('rotation');
+    expect(selectAssignment(assignments, employee, at(3, 0))._id).toBe('override');
+    expect(resolveAssignmentDay(selectAssignment(assignments, employee, at(4, 0)), at(4, 0)).shift.code).toBe('D');
+    expect(resolveAssignmentDay(selectAssignment(assignments, employee, at(6, 0)), at(6, 0)).dayOff).toBe(true);
+    expect(selectAssignment(assignments, { _id: 'emp2', department: 'dept1' }, at(3, 0))._id).toBe('dept');
+    expect(selectAssignment(assignments, { _id: 'emp3', department: 'dept2' }, at(3, 0))).toBeNull();
+  });
+
+  test('should attribute post-midnight punches to the previous night shift', () => {
+    const previous = getShiftWindow(nightShift, at(1, 0));
+
+    expect(belongsToPreviousShift(at(2, 6, 30), previous)).toBe(true);
+    expect(belongsToPreviousShift(at(2, 12), previous)).toBe(false);
+    expect(belongsToPreviousShift(at(2, 6, 30), getShiftWindow(dayShift, at(1, 0)))).toBe(false);
+  });
+
+  test('should measure late, early and overtime against the night shift', () => {
+    const window = getShiftWindow(nightShift, at(1, 0));
+
+    const late = calculateShiftAttendance(window, { checkIn: at(1, 22, 25), checkOut: at(2, 5, 30) }, nightShift);
+    expect(late).toMatchObject({ isLate: true, lateMinutes: 25, isEarly: true, earlyMinutes: 30, overtimeHours: 0 });
+    expect(late.actualHours).toBe(7.08);
+
+    const graced = calculateShiftAttendance(window, { checkIn: at(1, 22, 5), checkOut: at(2, 7, 15) }, nightShift);
+    expect(graced).toMatchObject({ isLate: false, lateMinutes: 0, isEarly: false, expectedHours: 8 });
+    expect(graced.overtimeHours).toBe(1.17);
+
+    const shortOvertime = calculateShiftAttendance(window, { checkIn: at(1, 22), checkOut: at(2, 6, 20) }, nightShift);
+    expect(shortOvertime.overtimeHours).toBe(0);
+  });
+});
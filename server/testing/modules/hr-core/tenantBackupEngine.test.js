@@ -0,0 +1,327 @@
+/**
+ * Tenant Backup Engine Unit Tests
+ * Tests for tenant collection discovery, the backup file format and the
+ * rewriting of documents restored into another tenant
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../../modules/hr-core/users/models/user.model.js';
+import ApiKey from '../../../modules/hr-core/apiKeys/models/apiKey.model.js';
+import WebhookEndpoint from '../../../modules/hr-core/webhooks/models/webhookEndpoint.model.js';
+import {
+  BACKUP_FORMAT,
+  FORMAT_VERSION,
+  SECRET_FIELDS,
+  addToIdMap,
+  buildDocEntry,
+  buildHeader,
+  buildTrailer,
+  compareCounts,
+  getCurrentFields,
+  getHeaderProblem,
+  getHiddenPaths,
+  getRestorableCollections,
+  getSelectionProblem,
+  getTenantFilter,
+  getTrailerProblem,
+  keepCurrentFields,
+  listTenantCollections,
+  parseEntry,
+  prepareSandboxUser,
+  remapIds,
+  rewriteForTenant,
+  selectExpiredBackups,
+  serializeEntry,
+  toSandboxEmail
+} from '../../../modules/hr-core/tenantBackups/utils/tenantBackupEngine.js';
+
+const { ObjectId } = mongoose.Types;
+
+describe('Tenant Backup Engine', () => {
+  const tenant = {
+    _id: new ObjectId(),
+    tenantId: 'acme-1a2b',
+    name: 'Acme',
+    config: { currency: 'EGP' },
+    limits: { maxUsers: 50 },
+    enabledModules: [{ moduleId: 'hr-core', enabledAt: new Date() }, { moduleId: 'payroll', enabledAt: new Date() }]
+  };
+
+  describe('listTenantCollections', () => {
+    test('keeps tenant-scoped models, one entry per collection', () => {
+      const collections = listTenantCollections([
+        { modelName: 'User', collectionName: 'users', tenantIdType: 'String', secretFields: ['password', 'mfa.secret'] },
+        { modelName: 'Tenant', collectionName: 'tenants', tenantIdType: null },
+        { modelName: 'DataRetentionPolicy', collectionName: 'dataretentionpolicies', tenantIdType: 'ObjectId' },
+        { modelName: 'TenantBackup', collectionName: 'tenantbackups', tenantIdType: 'String' },
+        { modelName: 'Vacation', collectionName: 'leaves', tenantIdType: 'String' },
+        { modelName: 'SickLeave', collectionName: 'leaves', tenantIdType: 'String' }
+      ]);
+
+      expect(collections).toEqual([
+        { name: 'dataretentionpolicies', tenantIdType: 'ObjectId', models: ['DataRetentionPolicy'], secretFields: [] },
+        { name: 'leaves', tenantIdType: 'String', models: ['Vacation', 'SickLeave'], secretFields: [] },
+        { name: 'users', tenantIdType: 'String', models: ['User'], secretFields: ['password', 'mfa.secret'] }
+      ]);
+    });
+  });
+
+  describe('getTenantFilter', () => {
+    test('matches the tenantId string or the tenant document id', () => {
+      expect(getTenantFilter(tenant, 'String')).toEqual({ tenantId: 'acme-1a2b' });
+      expect(getTenantFilter(tenant, 'ObjectId')).toEqual({ tenantId: tenant._id });
+    });
+  });
+
+  describe('secrets', () => {
+    const secretPaths = (model) => [...(SECRET_FIELDS[model.modelName] || []), ...getHiddenPaths(model.schema)];
+    const has = (doc, fieldPath) => fieldPath.split('.').reduce((value, key) => {
+      if (value === undefined) return undefined;
+      return Array.isArray(value) ? value.find(item => item?.[key] !== undefined)?.[key] : value?.[key];
+    }, doc) !== undefined;
+
+    test('finds the paths schemas hide from queries, at any depth', () => {
+      expect(getHiddenPaths(User.schema)).toEqual(expect.arrayContaining(['plainPassword', 'bankDetails', 'mfa.secret', 'mfa.recoveryCodes', 'mfa.pendingSecret']));
+      expect(getHiddenPaths(ApiKey.schema)).toEqual(['keyHash']);
+      expect(getHiddenPaths(WebhookEndpoint.schema)).toEqual(['secret']);
+    });
+
+    test('never writes a secret-marked path to a backup entry', () => {
+      const docs = {
+        User: {
+          _id: new ObjectId(),
+          email: 'sara@acme.com',
+          password: '$2a$10$hash',
+          plainPassword: 'secret',
+          bankDetails: { iban: 'EG38' },
+          mfa: { enabled: true, secret: 'JBSWY3DP', pendingSecret: 'KRSXG5CT', recoveryCodes: [{ hash: 'h1' }] }
+        },
+        ApiKey: { _id: new ObjectId(), prefix: 'hrsm_ab12', keyHash: 'hash' },
+        WebhookEndpoint: { _id: new ObjectId(), url: 'https://example.com/hook', secret: 'whsec' }
+      };
+
+      [User, ApiKey, WebhookEndpoint].forEach(model => {
+        const paths = secretPaths(model);
+        const collection = { name: model.collection.name, secretFields: paths };
+        const doc = docs[model.modelName];
+        expect(paths.some(fieldPath => has(doc, fieldPath))).toBe(true);
+
+        const entry = parseEntry(serializeEntry(buildDocEntry(collection, doc)));
+        paths.forEach(fieldPath => expect(has(entry.doc, fieldPath)).toBe(false));
+      });
+    });
+
+    test('keeps the rest of the document', () => {
+      const doc = { _id: new ObjectId(), email: 'sara@acme.com', mfa: { enabled: true, secret: 's', recoveryCodes: [{ hash: 'h' }] } };
+      const entry = buildDocEntry({ name: 'users', secretFields: ['mfa.secret', 'mfa.recoveryCodes'] }, doc);
+
+      expect(entry).toEqual({ type: 'doc', collection: 'users', doc: { _id: doc._id, email: 'sara@acme.com', mfa: { enabled: true } } });
+      expect(doc.mfa.secret).toBe('s');
+    });
+  });
+
+  describe('in-place restores', () => {
+    test('take credentials and secret holders from the current documents', () => {
+      expect(getCurrentFields({ models: ['User'], secretFields: ['password', 'bankDetails', 'mfa.secret'] }))
+        .toEqual(['password', 'mfa', 'bankDetails']);
+      expect(getCurrentFields({ models: ['Vacation'], secretFields: [] })).toEqual([]);
+    });
+
+    test('keep the current password and MFA setup', () => {
+      const restored = { _id: 'u1', email: 'old@acme.com', mfa: { enabled: false } };
+      const current = { _id: 'u1', password: 'new-hash', mfa: { enabled: true, secret: 's' } };
+
+      expect(keepCurrentFields(restored, current, ['password', 'mfa', 'bankDetails']))
+        .toEqual({ _id: 'u1', email: 'old@acme.com', password: 'new-hash', mfa: { enabled: true, secret: 's' } });
+      // Users deleted since the backup come back without credentials
+      expect(keepCurrentFields(restored, undefined, ['password', 'mfa'])).toEqual({ _id: 'u1', email: 'old@acme.com' });
+    });
+  });
+
+  describe('serializeEntry / parseEntry', () => {
+    test('round-trips ids and dates on one line', () => {
+      const doc = { _id: new ObjectId(), hiredAt: new Date('2024-02-01T00:00:00Z'), salary: 1500.5, tags: ['a'] };
+      const line = serializeEntry({ type: 'doc', collection: 'users', doc });
+
+      expect(line.endsWith('\n')).toBe(true);
+      expect(line.trim()).not.toContain('\n');
+
+      const parsed = parseEntry(line);
+      expect(parsed.doc._id).toBeInstanceOf(ObjectId);
+      expect(parsed.doc._id.equals(doc._id)).toBe(true);
+      expect(parsed.doc.hiredAt).toEqual(doc.hiredAt);
+      expect(parsed.doc.salary).toBe(1500.5);
+    });
+  });
+
+  describe('buildHeader / getHeaderProblem', () => {
+    const collections = [{ name: 'users', tenantIdType: 'String', models: ['User'] }];
+    const header = buildHeader(tenant, { _id: 'b1', createdAt: new Date('2026-03-01T00:00:00Z') }, collections);
+
+    test('describes the source tenant', () => {
+      expect(header).toEqual(expect.objectContaining({ type: 'header', format: BACKUP_FORMAT, version: FORMAT_VERSION, collections }));
+      expect(header.source).toEqual(expect.objectContaining({ tenantId: 'acme-1a2b', name: 'Acme', config: { currency: 'EGP' } }));
+      expect(header.source.enabledModules).toEqual([{ moduleId: 'hr-core' }, { moduleId: 'payroll' }]);
+      expect(getHeaderProblem(header)).toBeNull();
+    });
+
+    test('rejects other files and newer versions', () => {
+      expect(getHeaderProblem({ type: 'doc' })).toBe('Not a tenant backup file');
+      expect(getHeaderProblem(undefined)).toBe('Not a tenant backup file');
+      expect(getHeaderProblem({ ...header, version: FORMAT_VERSION + 1 })).toMatch(/newer than this installation/);
+      expect(getHeaderProblem({ ...header, collections: undefined })).toBe('Backup header is incomplete');
+    });
+  });
+
+  describe('buildTrailer / getTrailerProblem', () => {
+    test('totals the documents', () => {
+      expect(buildTrailer({ users: 3, leaves: 4 })).toEqual({ type: 'end', counts: { users: 3, leaves: 4 }, documentCount: 7 });
+    });
+
+    test('detects missing trailers and missing documents', () => {
+      const trailer = buildTrailer({ users: 3, leaves: 0 });
+
+      expect(getTrailerProblem(trailer, { users: 3 })).toBeNull();
+      expect(getTrailerProblem(null, { users: 3 })).toBe('Backup file is incomplete');
+      expect(getTrailerProblem(trailer, { users: 2 })).toMatch(/users/);
+      expect(getTrailerProblem(trailer, { users: 3, payrolls: 1 })).toMatch(/payrolls/);
+    });
+  });
+
+  describe('getRestorableCollections / getSelectionProblem', () => {
+    const collections = [
+      { name: 'auditlogs', tenantIdType: 'String', models: ['AuditLog'] },
+      { name: 'users', tenantIdType: 'String', models: ['User'] }
+    ];
+
+    test('keeps the audit trail out of in-place restores', () => {
+      expect(getRestorableCollections(collections).map(collection => collection.name)).toEqual(['users']);
+    });
+
+    test('does not bring back revoked keys and webhook endpoints', () => {
+      const restorable = getRestorableCollections([
+        ...collections,
+        { name: 'apikeys', tenantIdType: 'String', models: ['ApiKey'] },
+        { name: 'webhookendpoints', tenantIdType: 'String', models: ['WebhookEndpoint'] },
+        { name: 'webhookdeliveries', tenantIdType: 'String', models: ['WebhookDelivery'] }
+      ]);
+
+      expect(restorable.map(collection => collection.name)).toEqual(['users']);
+    });
+
+    test('requires a selection of restorable collections', () => {
+      expect(getSelectionProblem(['users'], ['users'])).toBeNull();
+      expect(getSelectionProblem([], ['users'])).toBe('Select at least one collection to restore');
+      expect(getSelectionProblem(undefined, ['users'])).toBe('Select at least one collection to restore');
+      expect(getSelectionProblem(['users', 'auditlogs'], ['users'])).toMatch(/auditlogs/);
+    });
+  });
+
+  describe('compareCounts', () => {
+    test('lists every collection with the change since the backup', () => {
+      expect(compareCounts({ users: 10, leaves: 5 }, { users: 12, payrolls: 3 })).toEqual([
+        { name: 'leaves', backup: 5, current: 0, difference: -5 },
+        { name: 'payrolls', backup: 0, current: 3, difference: 3 },
+        { name: 'users', backup: 10, current: 12, difference: 2 }
+      ]);
+    });
+  });
+
+  describe('id remapping', () => {
+    const manager = { _id: new ObjectId(), tenantId: 'acme-1a2b', email: 'boss@acme.com' };
+    const employee = {
+      _id: new ObjectId(),
+      tenantId: 'acme-1a2b',
+      manager: manager._id,
+      history: [{ by: manager._id, at: new Date('2025-01-01T00:00:00Z') }],
+      externalRef: new ObjectId()
+    };
+    const policy = { _id: new ObjectId(), tenantId: tenant._id };
+
+    const buildMap = (target) => {
+      const idMap = new Map([[tenant._id.toHexString(), target._id]]);
+      [manager, employee, policy].forEach(doc => addToIdMap(idMap, doc));
+      return idMap;
+    };
+
+    test('gives each document a new id once', () => {
+      const idMap = new Map();
+      addToIdMap(idMap, manager);
+      const first = idMap.get(manager._id.toHexString());
+      addToIdMap(idMap, manager);
+
+      expect(first).toBeInstanceOf(ObjectId);
+      expect(first.equals(manager._id)).toBe(false);
+      expect(idMap.get(manager._id.toHexString())).toBe(first);
+    });
+
+    test('rewrites ids, references and the tenant', () => {
+      const target = { _id: new ObjectId(), tenantId: 'acme-sandbox-9f' };
+      const idMap = buildMap(target);
+      const rewritten = rewriteForTenant(employee, { idMap, tenantId: target.tenantId });
+
+      expect(rewritten.tenantId).toBe('acme-sandbox-9f');
+      expect(rewritten._id.equals(idMap.get(employee._id.toHexString()))).toBe(true);
+      expect(rewritten.manager.equals(idMap.get(manager._id.toHexString()))).toBe(true);
+      expect(rewritten.history[0].by.equals(rewritten.manager)).toBe(true);
+      expect(rewritten.history[0].at).toEqual(employee.history[0].at);
+      // Ids of documents outside the backup are left alone
+      expect(rewritten.externalRef).toBe(employee.externalRef);
+      // The original is not modified
+      expect(employee.tenantId).toBe('acme-1a2b');
+
+      const rewrittenPolicy = rewriteForTenant(policy, { idMap, tenantId: target._id });
+      expect(rewrittenPolicy.tenantId.equals(target._id)).toBe(true);
+    });
+
+    test('puts documents claiming another tenant into the target', () => {
+      const target = { _id: new ObjectId(), tenantId: 'acme-sandbox-9f' };
+      const foreign = { ...employee, _id: new ObjectId(), tenantId: 'other-tenant' };
+
+      expect(rewriteForTenant(foreign, { idMap: buildMap(target), tenantId: target.tenantId }).tenantId).toBe('acme-sandbox-9f');
+    });
+
+    test('leaves values without ids untouched', () => {
+      expect(remapIds('text', new Map())).toBe('text');
+      expect(remapIds(null, new Map())).toBeNull();
+      expect(remapIds([1, { a: 2 }], new Map())).toEqual([1, { a: 2 }]);
+    });
+  });
+
+  describe('sandbox users', () => {
+    test('tag emails so they do not collide with production logins', () => {
+      expect(toSandboxEmail('sara@acme.com', 'sandbox-ab12cd')).toBe('sara+sandbox-ab12cd@acme.com');
+      expect(toSandboxEmail('sara+hr@acme.com', 'sandbox-ab12cd')).toBe('sara+hr+sandbox-ab12cd@acme.com');
+      expect(toSandboxEmail('sara', 'sandbox-ab12cd')).toBe('sara+sandbox-ab12cd');
+    });
+
+    test('cannot sign in', () => {
+      const user = prepareSandboxUser({ _id: 'u1', email: 'sara@acme.com', isActive: true, status: 'active', role: 'hr' }, 'sandbox-1');
+
+      expect(user).toEqual({ _id: 'u1', email: 'sara+sandbox-1@acme.com', isActive: false, status: 'inactive', role: 'hr' });
+    });
+  });
+
+  describe('selectExpiredBackups', () => {
+    const now = new Date('2026-06-30T00:00:00Z');
+    const backup = (type, date, status = 'completed') => ({ type, status, createdAt: new Date(date) });
+
+    test('removes scheduled backups past the retention period', () => {
+      const old = backup('scheduled', '2026-06-01');
+      const recent = backup('scheduled', '2026-06-29');
+      const manual = backup('manual', '2026-05-01');
+      const safety = backup('pre-restore', '2026-05-01');
+
+      expect(selectExpiredBackups([old, recent, manual, safety], 14, now)).toEqual([old]);
+    });
+
+    test('always keeps the newest completed backup', () => {
+      const newest = backup('scheduled', '2026-05-20');
+      const older = backup('scheduled', '2026-05-10');
+      const failed = backup('scheduled', '2026-05-25', 'failed');
+
+      expect(selectExpiredBackups([older, newest, failed], 14, now)).toEqual([older, failed]);
+    });
+  });
+});
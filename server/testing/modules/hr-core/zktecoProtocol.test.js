@@ -0,0 +1,165 @@
+/**
+ * ZKTeco Protocol Tests
+ * Runs the ZK protocol client, and the device service's pull and clear of
+ * synced logs, against the local device simulator over TCP and UDP
+ */
+
+import { describe, test, expect, afterEach } from '@jest/globals';
+import ZKTecoClient from '../../../modules/hr-core/attendance/services/zktecoClient.js';
+import ZKTecoSimulator from '../../../modules/hr-core/attendance/utils/zktecoSimulator.js';
+import attendanceDeviceService from '../../../modules/hr-core/attendance/services/attendanceDevice.service.js';
+import {
+  createPacket,
+  parsePacket,
+  isValidPacket,
+  encodeTime,
+  decodeTime
+} from '../../../modules/hr-core/attendance/utils/zktecoProtocol.js';
+
+const users = [
+  { userId: '1', name: 'Ahmed Hassan' },
+  { userId: '2', name: 'Sara Ali' }
+];
+
+const attendances = [
+  { userId: '1', timestamp: new Date(2025, 9, 1, 8, 55, 12), punch: 0 },
+  { userId: '2', timestamp: new Date(2025, 9, 1, 9, 5, 0), punch: 0 },
+  { userId: '1', timestamp: new Date(2025, 9, 1, 17, 2, 40), punch: 1 }
+];
+
+describe('ZKTeco protocol', () => {
+  let simulator;
+  let client;
+
+  const start = async (options = {}, clientOptions = {}) => {
+    simulator = new ZKTecoSimulator({ port: 0, users, attendances, ...options });
+    const port = await simulator.start();
+    client = new ZKTecoClient({ ip: '127.0.0.1', port, timeout: 2000, ...clientOptions });
+    return port;
+  };
+
+  afterEach(async () => {
+    if (client) await client.disconnect().catch(() => {});
+    if (simulator) await simulator.stop();
+    client = null;
+    simulator = null;
+  });
+
+  test('should build packets with a valid checksum and round-trip device time', () => {
+    const packet = createPacket(1000, 0, 65534, Buffer.from('abc'));
+    const parsed = parsePacket(packet);
+
+    expect(isValidPacket(packet)).toBe(true);
+    expect(parsed).toMatchObject({ command: 1000, sessionId: 0, replyId: 65534 });
+    expect(parsed.data.toString()).toBe('abc');
+
+    packet[8] = 0x62;
+    expect(isValidPacket(packet)).toBe(false);
+
+    const time = new Date(2025, 11, 31, 23, 59, 58);
+    expect(decodeTime(encodeTime(time)).getTime()).toBe(time.getTime());
+  });
+
+  test.each(['tcp', 'udp'])('should read users and attendance over %s', async (protocol) => {
+    await start({}, { protocol });
+    await client.connect();
+
+    const info = await client.getDeviceInfo();
+    expect(info).toMatchObject({ users: 2, records: 3, firmware: 'Ver 6.60 Simulator' });
+
+    const deviceUsers = await client.getUsers();
+    expect(deviceUsers.map(user => [user.userId, user.name])).toEqual([['1', 'Ahmed Hassan'], ['2', 'Sara Ali']]);
+
+    const records = await client.getAttendances({ users: deviceUsers });
+    expect(records).toHaveLength(3);
+    expect(records[2]).toMatchObject({ userId: '1', punch: 1, type: 'checkout' });
+    expect(records[2].timestamp.getTime()).toBe(attendances[2].timestamp.getTime());
+  });
+
+  test.each([
+    [28, 8],
+    [72, 16]
+  ])('should decode %i-byte users and %i-byte attendance records', async (userPacketSize, attendancePacketSize) => {
+    await start({ userPacketSize, attendancePacketSize });
+    await client.connect();
+
+    const records = await client.getAttendances();
+    expect(records.map(record => [record.userId, record.type])).toEqual([
+      ['1', 'checkin'],
+      ['2', 'checkin'],
+      ['1', 'checkout']
+    ]);
+  });
+
+  test('should only return records after the last sync and clear the log', async () => {
+    await start();
+    await client.connect();
+
+    const since = new Date(2025, 9, 1, 9, 0, 0);
+    const records = await client.getAttendances({ since });
+    expect(records.map(record => record.userId)).toEqual(['2', '1']);
+
+    await client.clearAttendanceLog();
+    expect(simulator.attendances).toHaveLength(0);
+    expect(await client.getAttendances()).toEqual([]);
+  });
+
+  test('should read large tables in chunks', async () => {
+    const many = Array.from({ length: 500 }, (_, index) => ({
+      userId: String((index % 2) + 1),
+      timestamp: new Date(2025, 9, 2, 8, 0, index),
+      punch: index % 2
+    }));
+    await start({ attendances: many }, { protocol: 'udp' });
+    await client.connect();
+
+    const records = await client.getAttendances();
+    expect(records).toHaveLength(500);
+    expect(records[499].timestamp.getTime()).toBe(many[499].timestamp.getTime());
+  });
+
+  test('should authenticate with the comm key', async () => {
+    const port = await start({ commKey: 123456 }, { commKey: 123456 });
+    await expect(client.connect()).resolves.toHaveProperty('sessionId');
+
+    const intruder = new ZKTecoClient({ ip: '127.0.0.1', port, timeout: 2000, commKey: 1 });
+    await expect(intruder.connect()).rejects.toThrow('Unauthorized: invalid comm key');
+  });
+
+  describe('synced logs', () => {
+    const deviceFor = (port) => ({
+      deviceName: 'Gate',
+      ipAddress: '127.0.0.1',
+      port,
+      config: { clearAfterSync: true, timeout: 2000 }
+    });
+
+    test('should leave the device log alone while pulling', async () => {
+      const port = await start();
+
+      const logs = await attendanceDeviceService.pullZKTecoLogs(deviceFor(port));
+
+      expect(logs.map(log => log.userId)).toEqual(['EMID-0001', 'EMID-0002', 'EMID-0001']);
+      expect(simulator.attendances).toHaveLength(3);
+    });
+
+    test('should clear the device once the pulled logs are saved', async () => {
+      const port = await start();
+      const device = deviceFor(port);
+      const logs = await attendanceDeviceService.pullZKTecoLogs(device);
+
+      await expect(attendanceDeviceService.clearSyncedZKTecoLogs(device, logs)).resolves.toBe(true);
+      expect(simulator.attendances).toHaveLength(0);
+    });
+
+    test('should keep punches that arrived after the pull', async () => {
+      const port = await start();
+      const device = deviceFor(port);
+      const logs = await attendanceDeviceService.pullZKTecoLogs(device);
+      simulator.addPunch('2', new Date(2025, 9, 1, 17, 30, 0), 1);
+
+      await expect(attendanceDeviceService.clearSyncedZKTecoLogs(device, logs)).resolves.toBe(false);
+      expect(simulator.attendances).toHaveLength(4);
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Insurance Payroll Integration Unit Tests
+ * Tests for payout period resolution, family premium proration, payroll
+ * line items and the per-policy claim reconciliation
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  nextPeriod,
+  resolvePayrollPeriod,
+  calculateFamilyPremium,
+  toPayrollItems,
+  getPaidClaimIds,
+  buildReconciliation
+} from '../../../modules/life-insurance/utils/payrollIntegration.js';
+
+const member = (overrides = {}) => ({
+  firstName: 'Sara',
+  lastName: 'Ali',
+  insuranceNumber: 'INS-2025-000001-1',
+  status: 'active',
+  premium: { monthlyAmount: 300, employeeSharePercent: 50 },
+  coverageStartDate: new Date(2025, 0, 1),
+  coverageEndDate: new Date(2025, 11, 31),
+  ...overrides
+});
+
+describe('Insurance Payroll Integration', () => {
+  describe('resolvePayrollPeriod', () => {
+    test('uses the period of the payment date', () => {
+      expect(resolvePayrollPeriod(new Date(2025, 5, 15), [])).toBe('2025-06');
+    });
+
+    test('skips periods whose run is approved or locked', () => {
+      expect(resolvePayrollPeriod(new Date(2025, 11, 20), ['2025-12', '2026-01'])).toBe('2026-02');
+    });
+
+    test('rolls over the year', () => {
+      expect(nextPeriod('2025-12')).toBe('2026-01');
+      expect(() => nextPeriod('2025-13')).toThrow('Invalid payroll period: 2025-13');
+    });
+  });
+
+  describe('calculateFamilyPremium', () => {
+    test('charges the employee share for a fully covered month', () => {
+      expect(calculateFamilyPremium(member(), '2025-06')).toBe(150);
+    });
+
+    test('prorates by covered days', () => {
+      // Covered from the 16th of a 30-day month: 15 days
+      expect(calculateFamilyPremium(member({ coverageStartDate: new Date(2025, 5, 16) }), '2025-06')).toBe(75);
+    });
+
+    test('charges nothing outside coverage, for inactive members or without a premium', () => {
+      expect(calculateFamilyPremium(member(), '2026-01')).toBe(0);
+      expect(calculateFamilyPremium(member({ status: 'suspended' }), '2025-06')).toBe(0);
+      expect(calculateFamilyPremium(member({ premium: undefined }), '2025-06')).toBe(0);
+    });
+  });
+
+  test('toPayrollItems adds untaxed claim payouts and premium deductions', () => {
+    const items = toPayrollItems({
+      claims: [{ _id: 'c42', claimNumber: 'CLM-2025-000042', approvedAmount: 1200 }, { _id: 'c43', claimNumber: 'CLM-2025-000043', approvedAmount: 0 }],
+      familyMembers: [member(), member({ premium: { monthlyAmount: 0 } })],
+      period: '2025-06'
+    });
+
+    expect(items.earnings).toEqual([
+      expect.objectContaining({ type: 'insurance-claim', amount: 1200, taxable: false, name: 'Insurance claim CLM-2025-000042', insuranceClaim: 'c42' })
+    ]);
+    expect(items.deductions).toEqual([
+      expect.objectContaining({ type: 'insurance-premium', amount: 150, description: 'Family insurance premium - Sara Ali (INS-2025-000001-1)' })
+    ]);
+  });
+
+  test('getPaidClaimIds lists the claims paid by payroll records', () => {
+    const payrolls = [
+      { earnings: [{ type: 'basic', amount: 5000 }, { type: 'insurance-claim', amount: 1200, insuranceClaim: 'c42' }] },
+      { earnings: [{ type: 'insurance-claim', amount: 300, insuranceClaim: 'c44' }, { type: 'insurance-claim', amount: 50 }] },
+      { earnings: [] },
+      {}
+    ];
+
+    expect(getPaidClaimIds(payrolls)).toEqual(['c42', 'c44']);
+    expect(getPaidClaimIds()).toEqual([]);
+  });
+
+  test('buildReconciliation totals claimed, approved, paid and outstanding per policy', () => {
+    const policies = [
+      { _id: 'p1', policyNumber: 'INS-1', familyMembers: [member(), member({ status: 'removed' })] },
+      { _id: 'p2', policyNumber: 'INS-2', familyMembers: [] }
+    ];
+    const claims = [
+      { policyId: 'p1', status: 'paid', claimAmount: 1000, approvedAmount: 800 },
+      { policyId: 'p1', status: 'approved', claimAmount: 500, approvedAmount: 500, payroll: { period: '2025-06' } },
+      { policyId: 'p1', status: 'approved', claimAmount: 300, approvedAmount: 250 },
+      { policyId: 'p1', status: 'rejected', claimAmount: 200 },
+      { policyId: 'p1', status: 'cancelled', claimAmount: 999 },
+      { policyId: { _id: 'p2' }, status: 'pending', claimAmount: 400 }
+    ];
+
+    const { policies: rows, totals } = buildReconciliation(policies, claims);
+
+    expect(rows[0]).toMatchObject({
+      policyNumber: 'INS-1',
+      claimCount: 4,
+      claimed: 2000,
+      rejected: 200,
+      approved: 1550,
+      paid: 800,
+      outstanding: 750,
+      scheduled: 500,
+      monthlyFamilyPremium: 150
+    });
+    expect(rows[1]).toMatchObject({ claimCount: 1, claimed: 400, approved: 0, outstanding: 0 });
+    expect(totals).toMatchObject({ claimCount: 5, claimed: 2400, approved: 1550, paid: 800, outstanding: 750 });
+  });
+});
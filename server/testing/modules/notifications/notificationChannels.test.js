@@ -0,0 +1,73 @@
+/**
+ * Notification Channels Unit Tests
+ * Tests for channel resolution from user preferences, preference validation,
+ * the digest email and server-sent event framing
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  resolveChannels,
+  sanitizeChannels,
+  describePreferences,
+  buildDigestEmail,
+  formatServerSentEvent
+} from '../../../modules/notifications/utils/notificationChannels.js';
+
+describe('Notification Channels', () => {
+  test('should use the type defaults when the user has no preference', () => {
+    expect(resolveChannels(null, 'leave')).toEqual({ inApp: true, email: true, digest: false });
+    expect(resolveChannels(null, 'announcement')).toEqual({ inApp: true, email: false, digest: true });
+    expect(resolveChannels(null, 'info')).toEqual({ inApp: true, email: false, digest: false });
+  });
+
+  test('should apply the channels a user chose, from a map or a plain object', () => {
+    const preference = { types: new Map([['leave', { email: false, digest: true }]]) };
+
+    expect(resolveChannels(preference, 'leave')).toEqual({ inApp: true, email: false, digest: true });
+    expect(resolveChannels({ types: { task: { inApp: false } } }, 'task')).toEqual({ inApp: false, email: true, digest: false });
+  });
+
+  test('should always show urgent notifications in the app', () => {
+    const preference = { types: { system: { inApp: false } } };
+
+    expect(resolveChannels(preference, 'system', 'normal').inApp).toBe(false);
+    expect(resolveChannels(preference, 'system', 'urgent').inApp).toBe(true);
+  });
+
+  test('should not repeat emailed notifications in the digest', () => {
+    const preference = { types: { announcement: { email: true, digest: true } } };
+
+    expect(resolveChannels(preference, 'announcement')).toEqual({ inApp: true, email: true, digest: false });
+  });
+
+  test('should reject unknown channels and non-boolean values', () => {
+    expect(sanitizeChannels({ inApp: false, digest: true })).toEqual({ inApp: false, digest: true });
+    expect(() => sanitizeChannels({ sms: true })).toThrow('Unknown notification channel: sms');
+    expect(() => sanitizeChannels({ email: 'yes' })).toThrow('Notification channel email must be true or false');
+  });
+
+  test('should describe the channels of every notification type', () => {
+    const preferences = describePreferences({ types: { payroll: { email: false } } });
+
+    expect(preferences.payroll).toEqual({ inApp: true, email: false, digest: false });
+    expect(preferences.request).toEqual({ inApp: true, email: true, digest: false });
+    expect(Object.keys(preferences)).toContain('announcement');
+  });
+
+  test('should build one digest email listing every notification', () => {
+    const email = buildDigestEmail([
+      { title: 'New Announcement', message: 'Office closed <Thursday>', createdAt: new Date('2025-03-01T09:30:00Z') },
+      { title: 'Task Assigned', message: 'Prepare the report', createdAt: new Date('2025-03-01T11:00:00Z') }
+    ], { recipientName: 'Ahmed Hassan', date: new Date('2025-03-02T07:00:00Z') });
+
+    expect(email.subject).toBe('Your daily notification digest - 2025-03-02');
+    expect(email.html).toContain('Office closed &lt;Thursday&gt;');
+    expect(email.text).toContain('You have 2 notifications from the last day.');
+    expect(email.text).toContain('2025-03-01 11:00  Task Assigned: Prepare the report');
+  });
+
+  test('should frame server-sent events', () => {
+    expect(formatServerSentEvent('notification', { title: 'Hi' }, 'abc')).toBe('id: abc\nevent: notification\ndata: {"title":"Hi"}\n\n');
+    expect(formatServerSentEvent('read', { all: true })).toBe('event: read\ndata: {"all":true}\n\n');
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Notification Stream Unit Tests
+ * Tests for the short-lived tickets that open the notification stream
+ */
+
+import { describe, test, expect, afterAll } from '@jest/globals';
+import jwt from 'jsonwebtoken';
+import notificationStreamService, { STREAM_TICKET_TTL } from '../../../modules/notifications/services/notificationStream.service.js';
+
+describe('Notification Stream Tickets', () => {
+  afterAll(() => {
+    notificationStreamService.shutdown();
+  });
+
+  test('should open the stream of the user it was issued to', () => {
+    const { ticket, expiresIn } = notificationStreamService.issueTicket({ tenantId: 'acme', userId: 'u1' });
+
+    expect(expiresIn).toBe(STREAM_TICKET_TTL);
+    expect(notificationStreamService.verifyTicket(ticket)).toEqual({ tenantId: 'acme', userId: 'u1' });
+    expect(jwt.decode(ticket).exp - jwt.decode(ticket).iat).toBe(STREAM_TICKET_TTL);
+  });
+
+  test('should not be accepted as a login token', () => {
+    const { ticket } = notificationStreamService.issueTicket({ tenantId: 'acme', userId: 'u1' });
+
+    expect(() => jwt.verify(ticket, process.env.TENANT_JWT_SECRET || process.env.JWT_SECRET)).toThrow('invalid signature');
+  });
+
+  test('should not accept login tokens or expired tickets', () => {
+    const loginToken = jwt.sign({ id: 'u1', tenantId: 'acme' }, process.env.TENANT_JWT_SECRET || process.env.JWT_SECRET);
+    expect(() => notificationStreamService.verifyTicket(loginToken)).toThrow();
+
+    const expired = jwt.sign(
+      { tenantId: 'acme', userId: 'u1', purpose: 'notification-stream', iat: Math.floor(Date.now() / 1000) - 120 },
+      notificationStreamService._ticketSecret(),
+      { expiresIn: STREAM_TICKET_TTL }
+    );
+    expect(() => notificationStreamService.verifyTicket(expired)).toThrow('jwt expired');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Bank Transfer Formats Unit Tests
+ * Tests for the CSV, fixed-width and ISO 20022 pain.001 salary transfer files
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  getPaidAmounts,
+  buildTransferRows,
+  generateCsv,
+  generateFixedWidth,
+  generatePain001,
+  generateBankTransferFile,
+  FIXED_WIDTH_LAYOUT
+} from '../../../modules/payroll/utils/bankTransferFormats.js';
+
+const buildPayroll = (employeeId, netSalary, bankDetails, fullName = `Employee ${employeeId}`) => ({
+  _id: `payroll-${employeeId}`,
+  period: '2025-10',
+  netSalary,
+  currency: 'EGP',
+  employee: { _id: `user-${employeeId}`, employeeId, personalInfo: { fullName }, bankDetails }
+});
+
+const payrolls = [
+  buildPayroll('EMP001', 8100.5, { bankName: 'Bank A', bankCode: 'BKAEGCX', iban: 'eg38 0019 0005 0000 0000 2631 8000 2', bic: 'bkaegcxx' }, 'Ahmed "Tony" Hassan'),
+  buildPayroll('EMP002', 6000, { bankName: 'Bank B', bankCode: '0037', accountNumber: '1234 5678 90' }),
+  buildPayroll('EMP003', 5000, {}),
+  buildPayroll('EMP004', 0, { accountNumber: '999' })
+];
+
+const debtor = { companyName: 'Acme & Sons', companyId: 'ACME01', iban: 'EG800002000156789012345180002', bic: 'NBEGEGCX' };
+
+describe('Bank Transfer Formats', () => {
+  test('should build rows and report employees that cannot be paid', () => {
+    const { rows, missing, total } = buildTransferRows(payrolls, { period: '2025-10' });
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0].iban).toBe('EG380019000500000000263180002');
+    expect(rows[0].bic).toBe('BKAEGCXX');
+    expect(rows[1].accountNumber).toBe('1234567890');
+    expect(rows[0].reference).toBe('SALARY 2025-10 EMP001');
+    expect(total).toBe(14100.5);
+    expect(missing.map(item => [item.employeeId, item.reason])).toEqual([
+      ['EMP003', 'No bank account on employee profile'],
+      ['EMP004', 'No net salary to transfer']
+    ]);
+  });
+
+  test('should only transfer the differences to what earlier exports paid', () => {
+    const paid = getPaidAmounts([
+      { bankExport: { transfers: [{ employee: 'user-EMP001', amount: 8000 }, { employee: 'user-EMP002', amount: 6000 }] } },
+      { bankExport: { transfers: [{ employee: 'user-EMP001', amount: 50 }] } }
+    ]);
+    const { rows, missing, total } = buildTransferRows(payrolls.slice(0, 2), { period: '2025-10', paid });
+
+    expect(paid).toEqual({ 'user-EMP001': 8050, 'user-EMP002': 6000 });
+    expect(rows.map(row => [row.employeeId, row.amount])).toEqual([['EMP001', 50.5]]);
+    expect(rows[0].reference).toBe('SALARY ADJ 2025-10 EMP001');
+    expect(total).toBe(50.5);
+    expect(missing.map(item => [item.employeeId, item.reason])).toEqual([
+      ['EMP002', 'Already paid by an earlier transfer']
+    ]);
+  });
+
+  test('should escape quotes in the CSV export', () => {
+    const { rows } = buildTransferRows(payrolls);
+    const lines = generateCsv(rows).trim().split('\r\n');
+
+    expect(lines[0]).toBe('Employee ID,Name,Bank,Bank Code,Account Number,IBAN,BIC,Amount,Currency,Reference');
+    expect(lines[1]).toContain('"Ahmed ""Tony"" Hassan"');
+    expect(lines[1]).toContain(',8100.50,EGP,');
+    expect(lines).toHaveLength(3);
+  });
+
+  test('should produce fixed-width records with header and trailer totals', () => {
+    const { rows } = buildTransferRows(payrolls);
+    const lines = generateFixedWidth(rows, { debtor, executionDate: new Date(2025, 9, 28) }).split('\r\n').filter(Boolean);
+
+    expect(lines).toHaveLength(4);
+    lines.forEach(line => expect(line).toHaveLength(FIXED_WIDTH_LAYOUT.recordLength));
+    expect(lines[0].startsWith('HACME01')).toBe(true);
+    expect(lines[0].slice(50, 58)).toBe('20251028');
+    expect(lines[0].slice(61, 67)).toBe('000002');
+    expect(lines[0].slice(67, 82)).toBe('000000001410050');
+    expect(lines[1].slice(0, 7)).toBe('D000001');
+    expect(lines[1].slice(22, 57).trim()).toBe('AHMED "TONY" HASSAN');
+    expect(lines[1].slice(102, 117)).toBe('000000000810050');
+    expect(lines[3].slice(0, 22)).toBe('T000002000000001410050');
+  });
+
+  test('should produce a pain.001 credit transfer with control sums', () => {
+    const { rows } = buildTransferRows(payrolls);
+    const xml = generatePain001(rows, {
+      debtor,
+      period: '2025-10',
+      messageId: 'SAL-2025-10-TEST',
+      createdAt: new Date('2025-10-27T10:00:00Z'),
+      executionDate: new Date(2025, 9, 28)
+    });
+
+    expect(xml).toContain('urn:iso:std:iso:20022:tech:xsd:pain.001.001.03');
+    expect(xml).toContain('<MsgId>SAL-2025-10-TEST</MsgId>');
+    expect(xml.match(/<NbOfTxs>2<\/NbOfTxs>/g)).toHaveLength(2);
+    expect(xml.match(/<CtrlSum>14100.50<\/CtrlSum>/g)).toHaveLength(2);
+    expect(xml).toContain('<Cd>SALA</Cd>');
+    expect(xml).toContain('<ReqdExctnDt>2025-10-28</ReqdExctnDt>');
+    expect(xml).toContain('<Nm>Acme &amp; Sons</Nm>');
+    expect(xml).toContain('<IBAN>EG380019000500000000263180002</IBAN>');
+    expect(xml).toContain('<Othr><Id>1234567890</Id></Othr>');
+    expect(xml).toContain('<InstdAmt Ccy="EGP">6000.00</InstdAmt>');
+  });
+
+  test('should name files by period and reject unknown formats', () => {
+    const { rows } = buildTransferRows(payrolls);
+
+    expect(generateBankTransferFile('pain001', rows, { period: '2025-10', debtor }).fileName)
+      .toBe('salary-transfer-2025-10-pain001.xml');
+    expect(() => generateBankTransferFile('mt940', rows)).toThrow('Unsupported bank transfer format: mt940');
+  });
+});
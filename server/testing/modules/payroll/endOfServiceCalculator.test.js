@@ -0,0 +1,180 @@
+/**
+ * End-of-Service Calculator Unit Tests
+ * Tests for length of service, gratuity tiers and resignation factors,
+ * leave encashment, outstanding loans and the settlement payroll lines
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateServiceLength,
+  calculateGratuityMonths,
+  getGratuityFactor,
+  getOutstandingLoanBalance,
+  calculateEndOfService
+} from '../../../modules/payroll/utils/endOfServiceCalculator.js';
+import { calculatePayslip } from '../../../modules/payroll/utils/payrollCalculator.js';
+
+const rules = {
+  enabled: true,
+  salaryBasis: 'basic',
+  tiers: [
+    { fromYears: 0, toYears: 5, monthsPerYear: 0.5 },
+    { fromYears: 5, toYears: null, monthsPerYear: 1 }
+  ],
+  resignationFactors: [
+    { minYears: 0, factor: 0 },
+    { minYears: 2, factor: 1 / 3 },
+    { minYears: 5, factor: 2 / 3 },
+    { minYears: 10, factor: 1 }
+  ],
+  fullGratuityReasons: ['retirement', 'termination', 'health-issues'],
+  maxMonths: null,
+  leaveEncashment: true
+};
+
+const settings = {
+  workingDaysPerMonth: 30,
+  currency: 'EGP',
+  incomeTax: { enabled: false },
+  socialInsurance: { enabled: false },
+  endOfService: rules
+};
+
+const salaryStructure = {
+  baseSalary: 9000,
+  allowances: [{ name: 'Housing', amount: 3000 }]
+};
+
+describe('End-of-Service Calculator', () => {
+  describe('calculateServiceLength', () => {
+    test('counts the hire date and the last working day', () => {
+      expect(calculateServiceLength(new Date(2024, 0, 1), new Date(2024, 0, 31))).toEqual({ days: 31, years: 0.0849 });
+      expect(calculateServiceLength(new Date(2020, 0, 1), new Date(2020, 11, 30)).days).toBe(365);
+    });
+
+    test('requires a hire date before the last working day', () => {
+      expect(() => calculateServiceLength(null, new Date())).toThrow('Employee hire date is required');
+      expect(() => calculateServiceLength(new Date(2025, 5, 1), new Date(2025, 4, 1)))
+        .toThrow('Last working day must be after the hire date');
+    });
+  });
+
+  describe('calculateGratuityMonths', () => {
+    test('applies each tier to the years spent in it', () => {
+      expect(calculateGratuityMonths(3, rules.tiers)).toBe(1.5);
+      expect(calculateGratuityMonths(8, rules.tiers)).toBe(5.5);
+      expect(calculateGratuityMonths(0, rules.tiers)).toBe(0);
+    });
+
+    test('caps the months', () => {
+      expect(calculateGratuityMonths(8, rules.tiers, 4)).toBe(4);
+    });
+  });
+
+  describe('getGratuityFactor', () => {
+    test('uses the highest service threshold reached on resignation', () => {
+      expect(getGratuityFactor(1, 'better-opportunity', rules)).toBe(0);
+      expect(getGratuityFactor(3, 'better-opportunity', rules)).toBeCloseTo(1 / 3);
+      expect(getGratuityFactor(7, 'personal-reasons', rules)).toBeCloseTo(2 / 3);
+      expect(getGratuityFactor(12, 'personal-reasons', rules)).toBe(1);
+    });
+
+    test('pays the full gratuity for the configured reasons', () => {
+      expect(getGratuityFactor(1, 'retirement', rules)).toBe(1);
+      expect(getGratuityFactor(1, 'termination', rules)).toBe(1);
+    });
+  });
+
+  describe('getOutstandingLoanBalance', () => {
+    test('reads the balance of the latest payroll with loan deductions', () => {
+      const payrolls = [
+        { period: '2025-01', deductions: [{ type: 'loan', amount: 500, outstandingBalance: 2000 }] },
+        { period: '2025-03', deductions: [{ type: 'tax', amount: 800 }] },
+        {
+          period: '2025-02',
+          deductions: [
+            { type: 'loan', amount: 500, outstandingBalance: 1500 },
+            { type: 'loan', amount: 200, outstandingBalance: 400.25 }
+          ]
+        }
+      ];
+
+      expect(getOutstandingLoanBalance(payrolls)).toBe(1900.25);
+      expect(getOutstandingLoanBalance([])).toBe(0);
+    });
+  });
+
+  describe('calculateEndOfService', () => {
+    const base = {
+      hireDate: new Date(2015, 0, 1),
+      lastWorkingDay: new Date(2025, 2, 20),
+      reason: 'personal-reasons',
+      salaryStructure,
+      settings
+    };
+
+    test('pays gratuity and unused leave and deducts unworked days and loans', () => {
+      const result = calculateEndOfService({ ...base, unusedLeaveDays: 12, loanBalance: 1500 });
+      const months = calculateGratuityMonths(result.service.years, rules.tiers);
+
+      expect(result.monthlySalary).toBe(9000);
+      expect(result.dailyRate).toBe(300);
+      expect(result.gratuity).toMatchObject({ months, factor: 1, amount: Math.round(9000 * months * 100) / 100 });
+      expect(result.leaveEncashment).toEqual({ days: 12, amount: 3600 });
+      expect(result.unworkedDays).toEqual({ days: 11, amount: 4258.06 });
+      expect(result.earnings.map(e => e.type)).toEqual(['end-of-service', 'leave-encashment']);
+      expect(result.earnings.every(e => e.taxable === false)).toBe(true);
+      expect(result.deductions.map(d => d.type)).toEqual(['other', 'loan']);
+      expect(result.netAmount).toBe(Math.round((result.totalEarnings - 4258.06 - 1500) * 100) / 100);
+      expect(result.currency).toBe('EGP');
+    });
+
+    test('uses the total fixed pay when configured', () => {
+      const result = calculateEndOfService({
+        ...base,
+        settings: { ...settings, endOfService: { ...rules, salaryBasis: 'total' } }
+      });
+
+      expect(result.monthlySalary).toBe(12000);
+      expect(result.dailyRate).toBe(400);
+    });
+
+    test('deducts leave taken in advance even without encashment', () => {
+      const result = calculateEndOfService({
+        ...base,
+        lastWorkingDay: new Date(2025, 2, 31),
+        unusedLeaveDays: -2,
+        settings: { ...settings, endOfService: { ...rules, leaveEncashment: false } }
+      });
+
+      expect(result.leaveEncashment).toEqual({ days: -2, amount: 600 });
+      expect(result.unworkedDays.amount).toBe(0);
+      expect(result.deductions).toEqual([
+        expect.objectContaining({ type: 'other', description: 'Leave taken in advance (2 day(s))', amount: 600 })
+      ]);
+    });
+
+    test('pays no gratuity when disabled or before the first threshold', () => {
+      const disabled = calculateEndOfService({ ...base, settings: { ...settings, endOfService: { ...rules, enabled: false } } });
+      const short = calculateEndOfService({ ...base, hireDate: new Date(2024, 5, 1) });
+
+      expect(disabled.gratuity.amount).toBe(0);
+      expect(short.gratuity).toMatchObject({ factor: 0, amount: 0 });
+      expect(short.earnings).toEqual([]);
+    });
+
+    test('adds the settlement to the final payslip without taxing it', () => {
+      const result = calculateEndOfService({ ...base, reason: 'retirement', unusedLeaveDays: 5, loanBalance: 1000 });
+      const plain = calculatePayslip({ salaryStructure, settings });
+      const final = calculatePayslip({
+        salaryStructure,
+        settings,
+        periodEarnings: result.earnings,
+        periodDeductions: result.deductions
+      });
+
+      expect(final.netSalary).toBe(Math.round((plain.netSalary + result.netAmount) * 100) / 100);
+      expect(final.taxableIncome).toBe(plain.taxableIncome);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Payroll Calculator Unit Tests
+ * Tests for the gross-to-net payroll calculation rules
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  calculateProgressiveTax,
+  calculateSocialInsurance,
+  calculatePayslip,
+  getPeriodRange
+} from '../../../modules/payroll/utils/payrollCalculator.js';
+
+const settings = {
+  currency: 'EGP',
+  workingDaysPerMonth: 30,
+  workingHoursPerDay: 8,
+  overtime: { rateMultiplier: 1.5 },
+  absence: { deductionMultiplier: 1 },
+  incomeTax: {
+    enabled: true,
+    personalExemption: 0,
+    brackets: [
+      { upTo: 12000, rate: 0 },
+      { upTo: 60000, rate: 10 },
+      { upTo: null, rate: 20 }
+    ]
+  },
+  socialInsurance: {
+    enabled: true,
+    employeeRate: 10,
+    employerRate: 20,
+    minInsurableSalary: 0,
+    maxInsurableSalary: 5000
+  }
+};
+
+describe('Payroll Calculator', () => {
+  describe('getPeriodRange', () => {
+    test('should return the first and last day of the month', () => {
+      const { startDate, endDate } = getPeriodRange('2025-02');
+
+      expect(startDate.getFullYear()).toBe(2025);
+      expect(startDate.getMonth()).toBe(1);
+      expect(startDate.getDate()).toBe(1);
+      expect(endDate.getDate()).toBe(28);
+    });
+
+    test('should reject invalid periods', () => {
+      expect(() => getPeriodRange('2025-13')).toThrow('Period must be in YYYY-MM format');
+      expect(() => getPeriodRange('October')).toThrow();
+    });
+  });
+
+  describe('calculateProgressiveTax', () => {
+    test('should return zero for income inside the zero-rate bracket', () => {
+      expect(calculateProgressiveTax(10000, settings.incomeTax.brackets)).toBe(0);
+    });
+
+    test('should tax each slice at its own rate', () => {
+      // 12000 @ 0% + 48000 @ 10% + 40000 @ 20%
+      expect(calculateProgressiveTax(100000, settings.incomeTax.brackets)).toBe(12800);
+    });
+
+    test('should not depend on bracket order', () => {
+      const reversed = [...settings.incomeTax.brackets].reverse();
+      expect(calculateProgressiveTax(100000, reversed)).toBe(12800);
+    });
+  });
+
+  describe('calculateSocialInsurance', () => {
+    test('should cap the insurable salary', () => {
+      const result = calculateSocialInsurance(8000, settings.socialInsurance);
+
+      expect(result.insurableSalary).toBe(5000);
+      expect(result.employeeShare).toBe(500);
+      expect(result.employerShare).toBe(1000);
+    });
+
+    test('should return zero shares when disabled', () => {
+      const result = calculateSocialInsurance(8000, { ...settings.socialInsurance, enabled: false });
+
+      expect(result.employeeShare).toBe(0);
+      expect(result.employerShare).toBe(0);
+    });
+  });
+
+  describe('calculatePayslip', () => {
+    const salaryStructure = {
+      baseSalary: 6000,
+      currency: 'EGP',
+      allowances: [
+        { name: 'Housing', amount: 1000, taxable: true, insurable: false },
+        { name: 'Meal', amount: 500, taxable: false, insurable: false }
+      ]
+    };
+
+    test('should produce gross, net and employer cost', () => {
+      const payslip = calculatePayslip({ salaryStructure, settings });
+
+      // Insurance: min(6000, 5000) * 10% = 500
+      // Taxable: 6000 + 1000 - 500 = 6500 monthly => 78000 annual
+      // Annual tax: 48000 * 10% + 18000 * 20% = 8400 => 700 monthly
+      expect(payslip.grossSalary).toBe(7500);
+      expect(payslip.taxableIncome).toBe(6500);
+      expect(payslip.deductions.find(d => d.type === 'insurance').amount).toBe(500);
+      expect(payslip.deductions.find(d => d.type === 'tax').amount).toBe(700);
+      expect(payslip.totalDeductions).toBe(1200);
+      expect(payslip.netSalary).toBe(6300);
+      expect(payslip.employerCost).toBe(8500);
+    });
+
+    test('should add overtime and deduct absence days', () => {
+      const payslip = calculatePayslip({
+        salaryStructure,
+        settings,
+        overtimeHours: 4,
+        absenceDays: 2
+      });
+
+      // Daily rate 200, hourly rate 25
+      expect(payslip.earnings.find(e => e.type === 'overtime').amount).toBe(150);
+      expect(payslip.deductions.find(d => d.type === 'absence').amount).toBe(400);
+      expect(payslip.calculation.dailyRate).toBe(200);
+      expect(payslip.calculation.hourlyRate).toBe(25);
+    });
+
+    test('should keep manual items and mark calculated ones', () => {
+      const payslip = calculatePayslip({
+        salaryStructure,
+        settings,
+        manualEarnings: [{ type: 'bonus', name: 'Q3 bonus', amount: 300, taxable: true }],
+        manualDeductions: [{ type: 'loan', description: 'Car loan', amount: 250 }]
+      });
+
+      const loan = payslip.deductions.find(d => d.type === 'loan');
+      const bonus = payslip.earnings.find(e => e.type === 'bonus');
+
+      expect(loan.source).toBe('manual');
+      expect(bonus.source).toBe('manual');
+      expect(payslip.deductions.find(d => d.type === 'tax').source).toBe('calculated');
+      expect(payslip.grossSalary).toBe(7800);
+    });
+
+    test('should skip social insurance for exempt employees', () => {
+      const payslip = calculatePayslip({
+        salaryStructure: { ...salaryStructure, socialInsuranceExempt: true },
+        settings
+      });
+
+      expect(payslip.deductions.find(d => d.type === 'insurance')).toBeUndefined();
+      expect(payslip.employerContributions).toHaveLength(0);
+    });
+  });
+});
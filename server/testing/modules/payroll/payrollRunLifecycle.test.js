@@ -0,0 +1,128 @@
+/**
+ * Payroll Run Lifecycle Unit Tests
+ * Tests for run status transitions and the review diff
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import mongoose from 'mongoose';
+import PayrollRun from '../../../modules/payroll/models/payrollRun.model.js';
+import { computePayrollDiff, summarizeRecords, getPreviousPeriod } from '../../../modules/payroll/utils/payrollRunDiff.js';
+
+const buildRecord = (employee, netSalary, grossSalary = netSalary + 100) => ({
+  employee,
+  grossSalary,
+  totalDeductions: grossSalary - netSalary,
+  netSalary,
+  employerCost: grossSalary + 50
+});
+
+describe('Payroll Run Lifecycle', () => {
+  describe('Status transitions', () => {
+    test('should follow draft -> in-review -> approved -> locked -> reversed', () => {
+      const userId = new mongoose.Types.ObjectId();
+      const run = new PayrollRun({ tenantId: 'tenant_123', period: '2025-10' });
+
+      run.transition('in-review', 'submitted', userId);
+      run.transition('approved', 'approved', userId);
+      run.transition('locked', 'locked', userId);
+      run.transition('reversed', 'reversed', userId, 'Wrong overtime rate');
+
+      expect(run.status).toBe('reversed');
+      expect(run.history.map(entry => entry.action)).toEqual(['submitted', 'approved', 'locked', 'reversed']);
+      expect(run.history[3].notes).toBe('Wrong overtime rate');
+    });
+
+    test('should not allow locking a draft run', () => {
+      const run = new PayrollRun({ tenantId: 'tenant_123', period: '2025-10' });
+
+      expect(run.canTransitionTo('locked')).toBe(false);
+      expect(() => run.transition('locked', 'locked')).toThrow('Cannot change payroll run from draft to locked');
+    });
+
+    test('should not allow a locked run back to draft', () => {
+      const run = new PayrollRun({ tenantId: 'tenant_123', period: '2025-10', status: 'locked' });
+
+      expect(() => run.transition('draft', 'returned')).toThrow();
+      expect(run.status).toBe('locked');
+    });
+
+    test('should allow returning a run under review to draft', () => {
+      const run = new PayrollRun({ tenantId: 'tenant_123', period: '2025-10', status: 'in-review' });
+
+      run.transition('draft', 'returned', undefined, 'Missing bonus');
+
+      expect(run.status).toBe('draft');
+    });
+
+    test('should not let the submitter approve their own run', () => {
+      const submitter = new mongoose.Types.ObjectId();
+      const approver = new mongoose.Types.ObjectId();
+      const run = new PayrollRun({ tenantId: 'tenant_123', period: '2025-10', status: 'in-review', submittedBy: submitter });
+
+      expect(() => run.approve(submitter.toString())).toThrow('Cannot approve a payroll run you submitted');
+      expect(run.status).toBe('in-review');
+
+      run.approve(approver, 'Checked');
+
+      expect(run.status).toBe('approved');
+      expect(run.approvedBy.toString()).toBe(approver.toString());
+      expect(run.history[0].notes).toBe('Checked');
+    });
+  });
+
+  describe('computePayrollDiff', () => {
+    const employeeA = new mongoose.Types.ObjectId();
+    const employeeB = new mongoose.Types.ObjectId();
+    const employeeC = new mongoose.Types.ObjectId();
+
+    test('should classify added, removed, changed and unchanged employees', () => {
+      const current = [buildRecord(employeeA, 5000), buildRecord(employeeB, 6600), buildRecord(employeeC, 4000)];
+      const previous = [buildRecord(employeeA, 5000), buildRecord(employeeB, 6000)];
+
+      const { rows, summary } = computePayrollDiff(current, previous);
+
+      expect(rows.find(row => row.employee === employeeA.toString()).change).toBe('unchanged');
+      expect(rows.find(row => row.employee === employeeB.toString()).change).toBe('changed');
+      expect(rows.find(row => row.employee === employeeC.toString()).change).toBe('added');
+      expect(summary.unchanged).toBe(1);
+      expect(summary.changed).toBe(1);
+      expect(summary.added).toBe(1);
+      expect(summary.difference.netSalary).toBe(4600);
+    });
+
+    test('should flag net changes above the threshold', () => {
+      const current = [buildRecord(employeeA, 5400)];
+      const previous = [buildRecord(employeeA, 5000)];
+
+      const flagged = computePayrollDiff(current, previous, { thresholdPercent: 5 });
+      const notFlagged = computePayrollDiff(current, previous, { thresholdPercent: 10 });
+
+      expect(flagged.rows[0].netChangePercent).toBe(8);
+      expect(flagged.rows[0].flagged).toBe(true);
+      expect(notFlagged.rows[0].flagged).toBe(false);
+    });
+
+    test('should report employees missing from the current run as removed', () => {
+      const { rows, summary } = computePayrollDiff([], [buildRecord(employeeA, 5000)]);
+
+      expect(rows[0].change).toBe('removed');
+      expect(rows[0].difference.netSalary).toBe(-5000);
+      expect(summary.removed).toBe(1);
+    });
+  });
+
+  describe('Helpers', () => {
+    test('should sum run totals', () => {
+      const totals = summarizeRecords([buildRecord(1, 1000), buildRecord(2, 2000)]);
+
+      expect(totals.employees).toBe(2);
+      expect(totals.netSalary).toBe(3000);
+      expect(totals.grossSalary).toBe(3200);
+    });
+
+    test('should compute the previous period across years', () => {
+      expect(getPreviousPeriod('2025-01')).toBe('2024-12');
+      expect(getPreviousPeriod('2025-10')).toBe('2025-09');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Payslip Content Unit Tests
+ * Tests for the bilingual payslip content built from payroll records
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import { buildPayslipContent, getPayslipReference, getPayslipFileName } from '../../../modules/payroll/utils/payslipContent.js';
+
+const employee = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  employeeId: 'EMP001',
+  personalInfo: { fullName: 'Ahmed Hassan', arabicName: 'أحمد حسن' },
+  department: { name: 'Finance', arabicName: 'المالية' },
+  position: { title: 'Accountant', arabicTitle: 'محاسب' }
+};
+
+describe('Payslip Content', () => {
+  test('should use the arabicName stored on deductions and earnings', () => {
+    const content = buildPayslipContent({
+      period: '2025-10',
+      earnings: [{ type: 'allowance', name: 'Housing', arabicName: 'بدل سكن', amount: 1500 }],
+      deductions: [{ type: 'loan', arabicName: 'قسط سلفة', amount: 250 }],
+      totalDeductions: 250,
+      grossSalary: 1500,
+      netSalary: 1250
+    }, employee);
+
+    expect(content.earnings[0]).toEqual({ label: 'Housing', arabicLabel: 'بدل سكن', amount: 1500 });
+    expect(content.deductions[0]).toEqual({ label: 'Loan', arabicLabel: 'قسط سلفة', amount: 250 });
+  });
+
+  test('should fall back to the default Arabic names of calculated items', () => {
+    const content = buildPayslipContent({
+      period: '2025-10',
+      earnings: [{ type: 'basic', amount: 10000 }],
+      deductions: [{ type: 'tax', amount: 800 }, { type: 'insurance', amount: 1100 }],
+      totalDeductions: 1900,
+      grossSalary: 10000,
+      netSalary: 8100
+    }, employee);
+
+    expect(content.earnings[0].arabicLabel).toBe('الراتب الأساسي');
+    expect(content.deductions.map(deduction => deduction.arabicLabel)).toEqual(['ضريبة الدخل', 'التأمينات الاجتماعية']);
+    expect(content.totals).toEqual({ grossSalary: 10000, totalDeductions: 1900, netSalary: 8100 });
+  });
+
+  test('should include bilingual employee details', () => {
+    const content = buildPayslipContent({ period: '2025-10', deductions: [], totalDeductions: 0 }, employee);
+
+    expect(content.employee).toMatchObject({
+      name: 'Ahmed Hassan',
+      arabicName: 'أحمد حسن',
+      department: 'Finance',
+      arabicDepartment: 'المالية',
+      position: 'Accountant',
+      arabicPosition: 'محاسب'
+    });
+    expect(content.currency).toBe('EGP');
+  });
+
+  test('should derive totals for records entered before the calculation engine', () => {
+    const content = buildPayslipContent({
+      period: '2025-09',
+      deductions: [{ type: 'medical', amount: 100 }, { type: 'mobile-bill', amount: 50 }]
+    }, employee);
+
+    expect(content.totals.totalDeductions).toBe(150);
+    expect(content.totals.grossSalary).toBe(0);
+    expect(content.totals.netSalary).toBe(-150);
+  });
+
+  test('should build a stable reference and file name', () => {
+    const payroll = { period: '2025-10', employee: employee._id };
+
+    expect(getPayslipReference(payroll, employee)).toBe('PS-2025-10-EMP001');
+    expect(getPayslipFileName(payroll, employee)).toBe('payslip-PS-2025-10-EMP001.pdf');
+    expect(getPayslipReference(payroll, {})).toBe('PS-2025-10-F60718');
+  });
+});
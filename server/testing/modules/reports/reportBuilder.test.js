@@ -0,0 +1,136 @@
+/**
+ * Report Builder Unit Tests
+ * Tests for computed column expressions, field aggregations, grouping with
+ * subtotals and pivot tables
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import {
+  aggregateValues,
+  compileExpression,
+  groupRows,
+  pivotRows,
+  getReferencedFields,
+  buildReportOutput
+} from '../../../modules/reports/utils/reportBuilder.js';
+import { renderReport } from '../../../modules/reports/utils/reportExport.js';
+
+const vacations = [
+  { department: { name: 'Finance' }, employee: 'Mona', startDate: new Date('2025-01-06'), endDate: new Date('2025-01-08'), duration: 3 },
+  { department: { name: 'Finance' }, employee: 'Omar', startDate: new Date('2025-02-10'), endDate: new Date('2025-02-11'), duration: 2 },
+  { department: { name: 'Finance' }, employee: 'Mona', startDate: new Date('2025-02-17'), endDate: new Date('2025-02-21'), duration: 5 },
+  { department: { name: 'Engineering' }, employee: 'Sara', startDate: new Date('2025-01-20'), endDate: new Date('2025-01-20'), duration: 1 }
+];
+
+describe('Report Builder', () => {
+  describe('computed columns', () => {
+    test('should evaluate arithmetic with precedence and parentheses', () => {
+      const { evaluate, fields } = compileExpression('(basicSalary + allowances.housing) * 12 - deductions / 2');
+
+      expect(evaluate({ basicSalary: 1000, allowances: { housing: 250 }, deductions: 100 })).toBe(14950);
+      expect(fields).toEqual(['basicSalary', 'allowances.housing', 'deductions']);
+    });
+
+    test('should support the date and rounding functions', () => {
+      const row = { startDate: new Date('2025-02-17'), endDate: new Date('2025-02-21'), netSalary: 1000 };
+
+      expect(compileExpression('daysBetween(startDate, endDate) + 1').evaluate(row)).toBe(5);
+      expect(compileExpression('month(startDate)').evaluate(row)).toBe('2025-02');
+      expect(compileExpression('round(netSalary / 30, 2)').evaluate(row)).toBe(33.33);
+    });
+
+    test('should leave the result blank for blanks and division by zero', () => {
+      expect(compileExpression('overtime * 1.5').evaluate({})).toBeNull();
+      expect(compileExpression('coalesce(overtime, 0) * 1.5').evaluate({})).toBe(0);
+      expect(compileExpression('hours / days').evaluate({ hours: 8, days: 0 })).toBeNull();
+    });
+
+    test('should reject invalid expressions', () => {
+      expect(() => compileExpression('salary * ')).toThrow('Invalid computed column expression');
+      expect(() => compileExpression('process.exit(1)')).toThrow('unknown function process.exit');
+      expect(() => compileExpression('salary; drop')).toThrow('unexpected ";"');
+    });
+  });
+
+  test('should aggregate with each field aggregation', () => {
+    const values = [3, 2, null, 5];
+
+    expect(aggregateValues(values, 'sum')).toBe(10);
+    expect(aggregateValues(values, 'avg')).toBe(3.3333333333);
+    expect(aggregateValues(values, 'count')).toBe(3);
+    expect(aggregateValues(values, 'min')).toBe(2);
+    expect(aggregateValues(values, 'max')).toBe(5);
+    expect(aggregateValues([0.1, 0.2], 'sum')).toBe(0.3);
+  });
+
+  test('should group rows with subtotals and a total', () => {
+    const rows = buildReportOutput(vacations, {
+      fields: [
+        { fieldName: 'department.name' },
+        { fieldName: 'employee' },
+        { fieldName: 'duration', aggregation: 'sum' }
+      ],
+      computedColumns: [{ name: 'requests', expression: '1', aggregation: 'sum' }],
+      groupBy: ['department.name', 'employee'],
+      subtotals: true
+    });
+
+    expect(rows).toEqual([
+      { 'department.name': 'Engineering', employee: 'Sara', duration: 1, requests: 1 },
+      { 'department.name': 'Engineering', employee: 'Subtotal', duration: 1, requests: 1 },
+      { 'department.name': 'Finance', employee: 'Mona', duration: 8, requests: 2 },
+      { 'department.name': 'Finance', employee: 'Omar', duration: 2, requests: 1 },
+      { 'department.name': 'Finance', employee: 'Subtotal', duration: 10, requests: 3 },
+      { 'department.name': 'Total', duration: 11, requests: 4 }
+    ]);
+  });
+
+  test('should count each group when no field is aggregated', () => {
+    expect(groupRows(vacations, { groupBy: ['employee'], sorting: [{ field: 'employee', order: 'desc' }] })).toEqual([
+      { employee: 'Sara', count: 1 },
+      { employee: 'Omar', count: 1 },
+      { employee: 'Mona', count: 2 }
+    ]);
+  });
+
+  test('should pivot leave days by department and month', () => {
+    const rows = buildReportOutput(vacations, {
+      fields: [],
+      computedColumns: [{ name: 'month', expression: 'month(startDate)' }],
+      pivot: { enabled: true, rowField: 'department.name', columnField: 'month', valueField: 'duration', aggregation: 'sum', totals: true }
+    });
+
+    expect(rows).toEqual([
+      { 'department.name': 'Engineering', '2025-01': 1, '2025-02': 0, Total: 1 },
+      { 'department.name': 'Finance', '2025-01': 3, '2025-02': 7, Total: 10 },
+      { 'department.name': 'Total', '2025-01': 4, '2025-02': 7, Total: 11 }
+    ]);
+  });
+
+  test('should count records in a pivot without a value field', () => {
+    const rows = pivotRows(vacations, { rowField: 'employee', columnField: 'department.name', aggregation: 'count', totals: false });
+
+    expect(rows[0]).toEqual({ employee: 'Mona', Engineering: 0, Finance: 2 });
+  });
+
+  test('should list the stored fields a report reads', () => {
+    expect(getReferencedFields({
+      fields: [{ fieldName: 'duration' }],
+      computedColumns: [{ name: 'month', expression: 'month(startDate)' }],
+      pivot: { enabled: true, rowField: 'department.name', columnField: 'month', valueField: 'duration' }
+    })).toEqual(['duration', 'department.name', 'startDate']);
+  });
+
+  test('should export grouped output as CSV with display names', async () => {
+    const rows = groupRows(vacations, {
+      groupBy: ['department.name'],
+      fields: [{ fieldName: 'department.name', displayName: 'Department' }, { fieldName: 'duration', displayName: 'Leave Days', aggregation: 'sum' }],
+      subtotals: true
+    });
+    const file = await renderReport('Leave by Department', rows, 'csv', {
+      fields: [{ fieldName: 'department.name', displayName: 'Department' }, { fieldName: 'duration', displayName: 'Leave Days' }]
+    });
+
+    expect(file.content).toBe('Department,Leave Days\nEngineering,1\nFinance,10\nTotal,11');
+  });
+});
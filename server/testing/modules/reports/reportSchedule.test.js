@@ -0,0 +1,118 @@
+/**
+ * Report Schedule Unit Tests
+ * Tests for the next run of report schedules, the period a scheduled run
+ * covers, the export formats, the scheduled report email and the tenant
+ * every run is limited to
+ */
+
+import { describe, test, expect } from '@jest/globals';
+import xlsx from 'xlsx';
+import mongoose from 'mongoose';
+import { getNextRun, getReportPeriod, buildScheduledReportEmail } from '../../../modules/reports/utils/reportSchedule.js';
+import { renderReport, getColumns } from '../../../modules/reports/utils/reportExport.js';
+import ReportExecutionService from '../../../modules/reports/services/ReportExecutionService.js';
+
+describe('Report Schedule', () => {
+  // Wednesday 5 March 2025, 10:30 local time
+  const wednesday = new Date(2025, 2, 5, 10, 30);
+
+  test('should run daily schedules at their time, today or tomorrow', () => {
+    expect(getNextRun({ enabled: true, frequency: 'daily', time: '18:00' }, wednesday))
+      .toEqual(new Date(2025, 2, 5, 18, 0));
+    expect(getNextRun({ enabled: true, frequency: 'daily', time: '08:00' }, wednesday))
+      .toEqual(new Date(2025, 2, 6, 8, 0));
+  });
+
+  test('should run weekly schedules on their day of the week', () => {
+    const mondayMorning = { enabled: true, frequency: 'weekly', dayOfWeek: 1, time: '07:30' };
+
+    expect(getNextRun(mondayMorning, wednesday)).toEqual(new Date(2025, 2, 10, 7, 30));
+    expect(getNextRun(mondayMorning, new Date(2025, 2, 10, 7, 30))).toEqual(new Date(2025, 2, 17, 7, 30));
+    expect(getNextRun(mondayMorning, new Date(2025, 2, 10, 6, 0))).toEqual(new Date(2025, 2, 10, 7, 30));
+  });
+
+  test('should run monthly schedules on their day, clamped to short months', () => {
+    expect(getNextRun({ enabled: true, frequency: 'monthly', dayOfMonth: 1, time: '06:00' }, wednesday))
+      .toEqual(new Date(2025, 3, 1, 6, 0));
+    expect(getNextRun({ enabled: true, frequency: 'monthly', dayOfMonth: 31 }, new Date(2025, 3, 5)))
+      .toEqual(new Date(2025, 3, 30, 0, 0));
+    expect(getNextRun({ enabled: true, frequency: 'quarterly', dayOfMonth: 1 }, new Date(2025, 10, 15)))
+      .toEqual(new Date(2026, 1, 1, 0, 0));
+  });
+
+  test('should not schedule disabled or custom schedules', () => {
+    expect(getNextRun({ enabled: false, frequency: 'daily' }, wednesday)).toBeNull();
+    expect(getNextRun({ enabled: true, frequency: 'custom', cronExpression: '0 8 * * 1' }, wednesday)).toBeNull();
+  });
+
+  test('should cover the frequency length of time before the run', () => {
+    const monday = new Date(2025, 2, 10, 7, 30);
+
+    expect(getReportPeriod('weekly', monday)).toEqual({
+      startDate: new Date(2025, 2, 3, 7, 30),
+      endDate: monday
+    });
+    expect(getReportPeriod('monthly', monday).startDate).toEqual(new Date(2025, 1, 10, 7, 30));
+    expect(getReportPeriod('daily', monday).startDate).toEqual(new Date(2025, 2, 9, 7, 30));
+  });
+
+  test('should describe the run in the scheduled report email', () => {
+    const email = buildScheduledReportEmail(
+      { name: 'Weekly Attendance', schedule: { frequency: 'weekly' } },
+      { startDate: new Date('2025-03-03T00:00:00Z'), endDate: new Date('2025-03-10T00:00:00Z'), count: 42, fileName: 'Weekly-Attendance-2025-03-10.xlsx' }
+    );
+
+    expect(email.subject).toBe('Scheduled report: Weekly Attendance (2025-03-03 to 2025-03-10)');
+    expect(email.text).toContain('The report contains 42 records and is attached as Weekly-Attendance-2025-03-10.xlsx.');
+  });
+});
+
+describe('Report Export', () => {
+  const generatedAt = new Date('2025-03-10T07:30:00Z');
+  const fields = [
+    { fieldName: 'employee', displayName: 'Employee' },
+    { fieldName: 'status', displayName: 'Status' },
+    { fieldName: 'workHours', displayName: 'Hours' }
+  ];
+  const employeeId = new mongoose.Types.ObjectId();
+  const results = [
+    { employee: employeeId, status: 'late, excused', workHours: 7.5 },
+    { employee: employeeId, status: 'said "hi"', workHours: 8 }
+  ];
+
+  test('should label columns with the field display names', () => {
+    expect(getColumns(results, fields).map(column => column.label)).toEqual(['Employee', 'Status', 'Hours']);
+    expect(getColumns([], fields).map(column => column.key)).toEqual(['employee', 'status', 'workHours']);
+  });
+
+  test('should quote CSV values with commas and quotes', async () => {
+    const file = await renderReport('Weekly Attendance', results, 'csv', { fields, generatedAt });
+
+    expect(file.fileName).toBe('Weekly-Attendance-2025-03-10.csv');
+    expect(file.content.split('\n')).toEqual([
+      'Employee,Status,Hours',
+      `${employeeId},"late, excused",7.5`,
+      `${employeeId},"said ""hi""",8`
+    ]);
+  });
+
+  test('should render an Excel workbook', async () => {
+    const excel = await renderReport('Weekly Attendance', results, 'excel', { fields, generatedAt });
+    const sheet = xlsx.read(excel.content).Sheets['Weekly Attendance'];
+
+    expect(xlsx.utils.sheet_to_json(sheet)[0]).toEqual({ Employee: employeeId.toString(), Status: 'late, excused', Hours: 7.5 });
+  });
+
+  test('should reject unknown formats', async () => {
+    await expect(renderReport('Weekly Attendance', results, 'docx')).rejects.toThrow('Unsupported export format: docx');
+  });
+});
+
+describe('Scheduled report runs', () => {
+  test('should refuse to query without a tenant', async () => {
+    const service = new ReportExecutionService();
+    const report = { reportType: 'employee', filters: [], fields: [] };
+
+    await expect(service.runQuery(report, {}, undefined)).rejects.toThrow('Cannot run report: no tenant to limit its data to');
+  });
+});
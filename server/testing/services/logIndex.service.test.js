@@ -0,0 +1,274 @@
+/**
+ * Log Index Service Tests
+ * Tests for the on-disk search index over company logs
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import {
+    indexEntry,
+    flushLogIndex,
+    queryLogIndex,
+    rebuildLogIndex,
+    pruneLogIndex,
+    clearLogIndexCache,
+    parseQuery,
+    buildIndexQuery,
+    tokenize,
+    getEntryTerms,
+    getEntryLogTypes,
+    encodeCursor,
+    decodeCursor,
+    intersectSorted,
+    formatDay
+} from '../../services/logIndex.service.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createEntry = (index, meta = {}, date = new Date('2024-05-01T00:00:00')) => ({
+    level: index % 3 === 0 ? 'error' : 'info',
+    message: `API request ${index % 2 ? 'timed out' : 'completed'} for order ${index}`,
+    tenantId: 'tenant-1',
+    userId: `user-${index % 4}`,
+    correlationId: `corr-${index}`,
+    timestamp: `${formatDay(date)} 10:00:${String(index).padStart(2, '0')}`,
+    ...meta
+});
+
+describe('Log Index Service', () => {
+    let companyDir;
+
+    beforeEach(() => {
+        companyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-index-'));
+        clearLogIndexCache();
+    });
+
+    afterEach(() => {
+        fs.rmSync(companyDir, { recursive: true, force: true });
+    });
+
+    describe('Terms', () => {
+        it('should tokenize messages into unique lower-cased words', () => {
+            expect(tokenize('Login FAILED for user_42: failed password')).toEqual(['login', 'failed', 'for', 'user_42', 'password']);
+            expect(tokenize('a 1 ok')).toEqual(['ok']);
+            expect(tokenize(undefined)).toEqual([]);
+        });
+
+        it('should follow the company logger file transports for log types', () => {
+            expect(getEntryLogTypes({ level: 'info' })).toEqual(['application']);
+            expect(getEntryLogTypes({ level: 'error', audit: true, security: true })).toEqual(['application', 'error', 'audit', 'security']);
+        });
+
+        it('should index fields and message words', () => {
+            const terms = getEntryTerms({
+                level: 'warn',
+                message: 'Slow query',
+                correlationId: 'ABC',
+                correlationContext: { userId: 'u1', sessionId: 's1' },
+                method: 'GET',
+                statusCode: 200
+            });
+
+            expect(terms).toEqual(expect.arrayContaining([
+                'level:warn', 'user:u1', 'session:s1', 'correlation:abc', 'method:get', 'status:200',
+                'type:application', 'slow', 'query'
+            ]));
+        });
+    });
+
+    describe('Queries', () => {
+        it('should parse fields, words and prefixes', () => {
+            expect(parseQuery('level:error level:WARN userId:42 Timeout pay*')).toEqual([
+                { terms: ['level:error', 'level:warn'] },
+                { terms: ['user:42'] },
+                { terms: ['timeout'] },
+                { prefix: 'pay' }
+            ]);
+        });
+
+        it('should treat unknown fields as words', () => {
+            expect(parseQuery('order:15')).toEqual([{ terms: ['order'] }, { terms: ['15'] }]);
+        });
+
+        it('should combine options with the query string', () => {
+            const query = buildIndexQuery({ q: 'timeout', levels: ['error'], logTypes: ['audit'], userId: 'u1', limit: 10 });
+
+            expect(query.clauses).toEqual([
+                { terms: ['timeout'] },
+                { terms: ['level:error'] },
+                { terms: ['type:audit'] },
+                { terms: ['user:u1'] }
+            ]);
+            expect(query.limit).toBe(10);
+            expect(query.sortOrder).toBe('desc');
+        });
+
+        it('should not filter on the application log type', () => {
+            expect(buildIndexQuery({ logTypes: ['application', 'audit'] }).clauses).toEqual([]);
+        });
+
+        it('should reject invalid queries', () => {
+            expect(() => buildIndexQuery({ startTime: '2024-02-01', endTime: '2024-01-01' })).toThrow('Start time must be before end time');
+            expect(() => buildIndexQuery({ startTime: 'soon' })).toThrow('startTime is not a valid date');
+            expect(() => buildIndexQuery({ limit: 0 })).toThrow('Limit must be between 1 and 1000');
+            expect(() => buildIndexQuery({ sortOrder: 'up' })).toThrow('Invalid sortOrder');
+            expect(() => buildIndexQuery({ cursor: 'not-a-cursor' })).toThrow('Invalid query: cursor is not valid');
+        });
+
+        it('should round-trip cursors', () => {
+            const position = { day: '2024-05-01', time: 1714557600000, doc: 12 };
+            expect(decodeCursor(encodeCursor(position))).toEqual(position);
+        });
+
+        it('should intersect sorted lists', () => {
+            expect(intersectSorted([1, 3, 5, 7], Int32Array.from([2, 3, 7, 9]))).toEqual([3, 7]);
+        });
+    });
+
+    describe('Search', () => {
+        const yesterday = new Date(Date.now() - DAY_MS);
+
+        beforeEach(async () => {
+            for (let index = 0; index < 20; index++) {
+                indexEntry(companyDir, JSON.stringify(createEntry(index, index === 4 ? { audit: true } : {}, yesterday)), yesterday);
+            }
+            for (let index = 20; index < 25; index++) {
+                indexEntry(companyDir, createEntry(index, {}, new Date()));
+            }
+            await flushLogIndex();
+        });
+
+        it('should find entries by words and fields with facet counts', async () => {
+            const result = await queryLogIndex(companyDir, { q: 'timed level:error' });
+
+            expect(result.totalCount).toBe(4);
+            expect(result.entries.map(entry => entry.correlationId)).toEqual(['corr-21', 'corr-15', 'corr-9', 'corr-3']);
+            expect(result.facets.levels).toEqual({ error: 4 });
+            expect(result.facets.logTypes).toEqual({ application: 4, error: 4 });
+            expect(result.facets.days).toEqual({ [formatDay(new Date())]: 1, [formatDay(yesterday)]: 3 });
+            expect(result.indexedFrom).toBe(formatDay(yesterday));
+        });
+
+        it('should match word prefixes and log types', async () => {
+            const completed = await queryLogIndex(companyDir, { q: 'compl* user:user-0' });
+            expect(completed.totalCount).toBe(7);
+
+            const audit = await queryLogIndex(companyDir, { logTypes: ['audit'] });
+            expect(audit.entries.map(entry => [entry.correlationId, entry.logType])).toEqual([['corr-4', 'audit']]);
+        });
+
+        it('should page through every entry once with cursors', async () => {
+            const seen = [];
+            let cursor;
+            do {
+                const page = await queryLogIndex(companyDir, { limit: 7, cursor });
+                expect(page.totalCount).toBe(25);
+                seen.push(...page.entries.map(entry => entry.correlationId));
+                cursor = page.nextCursor;
+            } while (cursor);
+
+            expect(seen).toHaveLength(25);
+            expect(new Set(seen).size).toBe(25);
+            expect(seen.slice(0, 3)).toEqual(['corr-24', 'corr-23', 'corr-22']);
+        });
+
+        it('should keep cursors stable while new entries arrive', async () => {
+            const first = await queryLogIndex(companyDir, { limit: 5, sortOrder: 'asc' });
+            indexEntry(companyDir, createEntry(25, {}, new Date()));
+            await flushLogIndex();
+            const second = await queryLogIndex(companyDir, { limit: 5, sortOrder: 'asc', cursor: first.nextCursor });
+
+            expect(first.entries.map(entry => entry.correlationId)).toEqual(['corr-0', 'corr-1', 'corr-2', 'corr-3', 'corr-4']);
+            expect(second.entries.map(entry => entry.correlationId)).toEqual(['corr-5', 'corr-6', 'corr-7', 'corr-8', 'corr-9']);
+            expect(second.totalCount).toBe(26);
+        });
+
+        it('should filter by time range', async () => {
+            const result = await queryLogIndex(companyDir, {
+                startTime: new Date(`${formatDay(yesterday)}T10:00:05`).toISOString(),
+                endTime: new Date(`${formatDay(yesterday)}T10:00:07`).toISOString()
+            });
+
+            expect(result.entries.map(entry => entry.correlationId)).toEqual(['corr-7', 'corr-6', 'corr-5']);
+        });
+
+        it('should seal finished days into postings', async () => {
+            await queryLogIndex(companyDir, {});
+            clearLogIndexCache();
+
+            const segments = fs.readdirSync(path.join(companyDir, 'index'));
+            expect(fs.existsSync(path.join(companyDir, 'index', formatDay(yesterday), 'postings.json'))).toBe(true);
+            expect(fs.existsSync(path.join(companyDir, 'index', formatDay(new Date()), 'postings.json'))).toBe(false);
+            expect(segments).toHaveLength(2);
+
+            const result = await queryLogIndex(companyDir, { q: 'order', userId: 'user-1' });
+            expect(result.totalCount).toBe(6);
+        });
+
+        it('should return nothing without an index', async () => {
+            const result = await queryLogIndex(null, { q: 'order' });
+            expect(result.totalCount).toBe(0);
+            expect(result.entries).toEqual([]);
+            expect(result.indexedFrom).toBeNull();
+        });
+    });
+
+    describe('Maintenance', () => {
+        it('should drop a partly written batch', async () => {
+            indexEntry(companyDir, createEntry(1));
+            await flushLogIndex();
+            const segmentDir = path.join(companyDir, 'index', formatDay(new Date()));
+            fs.appendFileSync(path.join(segmentDir, 'entries.jsonl'), '{"level":"info","mess');
+            fs.appendFileSync(path.join(segmentDir, 'entries.idx'), Buffer.alloc(3));
+
+            clearLogIndexCache();
+            const result = await queryLogIndex(companyDir, {});
+            expect(result.totalCount).toBe(1);
+        });
+
+        it('should index existing log files once per entry', async () => {
+            const audited = createEntry(1, { audit: true });
+            fs.mkdirSync(path.join(companyDir, 'audit'));
+            fs.writeFileSync(
+                path.join(companyDir, '2024-05-01-application.log'),
+                `${JSON.stringify(audited)}\n${JSON.stringify(createEntry(2))}\nnot json\n`
+            );
+            fs.writeFileSync(
+                path.join(companyDir, 'audit', '2024-05-01-audit.log.gz'),
+                zlib.gzipSync(`${JSON.stringify({ ...audited, auditHash: 'hash' })}\n`)
+            );
+            fs.writeFileSync(path.join(companyDir, '2024-05-02-error.log.1'), `${JSON.stringify(createEntry(3))}\n`);
+
+            expect(await rebuildLogIndex(companyDir)).toEqual({ days: 2, entries: 3 });
+
+            const result = await queryLogIndex(companyDir, {});
+            expect(result.facets.days).toEqual({ '2024-05-01': 2, '2024-05-02': 1 });
+            expect(result.facets.logTypes).toEqual({ application: 3, error: 1, audit: 1 });
+        });
+
+        it('should remove entries whose log files are past retention', async () => {
+            const day = new Date('2024-05-01T12:00:00');
+            indexEntry(companyDir, createEntry(1, {}, day), day);
+            indexEntry(companyDir, createEntry(3, { audit: true }, day), day);
+            indexEntry(companyDir, createEntry(5, {}, new Date('2024-05-20T12:00:00')), new Date('2024-05-20T12:00:00'));
+            await flushLogIndex();
+
+            const retention = {
+                application: { retention: 30 },
+                error: { retention: 90 },
+                audit: { retention: 2555, immutable: true }
+            };
+            const result = await pruneLogIndex(companyDir, retention, new Date('2024-06-10T12:00:00'));
+
+            expect(result).toEqual({ segmentsRemoved: 0, entriesRemoved: 1 });
+            const remaining = await queryLogIndex(companyDir, {});
+            expect(remaining.entries.map(entry => entry.correlationId)).toEqual(['corr-5', 'corr-3']);
+
+            const later = await pruneLogIndex(companyDir, retention, new Date('2024-07-01T12:00:00'));
+            expect(later).toEqual({ segmentsRemoved: 1, entriesRemoved: 1 });
+        });
+    });
+});
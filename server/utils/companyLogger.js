@@ -16,6 +16,7 @@ import {
     getLogFilePath 
 } from '../services/logStorage.service.js';
 import loggingModuleService from '../services/loggingModule.service.js';
+import { indexEntry } from '../services/logIndex.service.js';
 import configurationChangeHandler from '../services/configurationChangeHandler.service.js';
 import logger from './logger.js';
 
@@ -289,6 +290,22 @@ function analyzePerformanceMetrics(metricData) {
     return analysis;
 }
 
+/**
+ * Adds every entry written to the company's log files to its search index
+ */
+class SearchIndexTransport extends winston.Transport {
+    constructor(options = {}) {
+        super(options);
+        this.companyLogDir = options.companyLogDir;
+    }
+
+    log(info, callback) {
+        // The serialized entry, as the file transports write it
+        indexEntry(this.companyLogDir, info[Symbol.for('message')] || JSON.stringify(info));
+        callback();
+    }
+}
+
 /**
  * Create or get a company-specific logger
  */
@@ -438,6 +455,18 @@ async function getCompanyLogger(tenantId, companyName = null) {
                 })
             )
         }));
+
+        // Search index (see services/logIndex.service.js)
+        if (process.env.LOG_INDEX_ENABLED !== 'false') {
+            transports.push(new SearchIndexTransport({
+                companyLogDir,
+                level: 'info',
+                format: winston.format.combine(
+                    winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
+                    winston.format.json()
+                )
+            }));
+        }
     }
 
     // Create the logger
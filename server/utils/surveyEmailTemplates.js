@@ -1,41 +1,179 @@
 /**
  * Survey Email Templates
- * 
- * Professional email templates for survey notifications
+ *
+ * Professional email templates for survey notifications, in the recipient's
+ * language (English or Arabic)
  */
 
+import {
+    createTranslator,
+    formatDate,
+    formatNumber,
+    getUserLanguage,
+    htmlAttributes,
+    normalizeLanguage
+} from '../core/i18n/index.js';
+
+const messages = {
+    en: {
+        common: {
+            greeting: 'Dear {name},',
+            bestRegards: 'Best regards,',
+            department: 'HR Department',
+            automatedMessage: 'This is an automated message from the HR Management System.',
+            automatedReminder: 'This is an automated reminder from the HR Management System.',
+            noReply: 'Please do not reply to this email.'
+        },
+        types: {
+            'satisfaction': 'Employee Satisfaction',
+            'training': 'Training & Development',
+            'performance': 'Performance Assessment',
+            'policy': 'Policy Feedback',
+            '360-feedback': '360-certification Feedback',
+            'exit-interview': 'Exit Interview',
+            'custom': 'Custom Survey'
+        },
+        fields: {
+            surveyType: 'Survey Type',
+            questions: 'Number of Questions',
+            dueDate: 'Due Date',
+            daysRemaining: 'Days Remaining'
+        },
+        assignment: {
+            subject: 'New Survey Assignment: {title}',
+            subjectMandatory: 'New Survey Assignment (Mandatory): {title}',
+            heading: 'New Survey Assignment',
+            headingMandatory: 'New Survey Assignment (Mandatory)',
+            intro: 'You have been assigned a new survey:',
+            introMandatory: 'You have been assigned a new survey (Mandatory):',
+            noDueDate: 'as soon as possible',
+            mandatory: 'This is a mandatory survey. Please complete it before the due date.',
+            optional: 'Your participation is greatly appreciated.',
+            anonymous: 'Anonymous responses are allowed for this survey.',
+            button: 'Take Survey Now',
+            visit: 'To take the survey, please visit: {url}'
+        },
+        reminder: {
+            subject: 'Reminder: Complete Survey - {title}',
+            heading: 'Survey Reminder',
+            intro: 'This is a friendly reminder to complete the following survey:',
+            introText: 'This is a reminder to complete the survey: {title}',
+            noDueDate: 'soon',
+            urgent: 'Only {count} days remaining!',
+            urgentOne: 'Only 1 day remaining!',
+            remaining: '{count} days remaining to complete this survey.',
+            noDeadline: 'Please complete this survey at your earliest convenience.',
+            mandatory: 'This is a mandatory survey. Your response is required.',
+            optional: 'Your feedback is valuable and appreciated.',
+            button: 'Complete Survey',
+            thanks: 'Thank you for your cooperation.',
+            visit: 'To complete the survey, please visit: {url}'
+        },
+        closed: {
+            subject: 'Survey Closed: {title}',
+            heading: 'Survey Closed',
+            intro: 'The following survey has been closed:',
+            introText: 'The survey "{title}" has been closed.',
+            responded: 'Thank you for completing this survey. Your feedback has been recorded.',
+            notResponded: 'This survey has ended. No further responses can be submitted.'
+        }
+    },
+    ar: {
+        common: {
+            greeting: 'عزيزي {name}،',
+            bestRegards: 'مع أطيب التحيات،',
+            department: 'إدارة الموارد البشرية',
+            automatedMessage: 'هذه رسالة آلية من نظام إدارة الموارد البشرية.',
+            automatedReminder: 'هذا تذكير آلي من نظام إدارة الموارد البشرية.',
+            noReply: 'يرجى عدم الرد على هذا البريد الإلكتروني.'
+        },
+        types: {
+            'satisfaction': 'رضا الموظفين',
+            'training': 'التدريب والتطوير',
+            'performance': 'تقييم الأداء',
+            'policy': 'آراء حول السياسات',
+            '360-feedback': 'تقييم 360 درجة',
+            'exit-interview': 'مقابلة نهاية الخدمة',
+            'custom': 'استبيان مخصص'
+        },
+        fields: {
+            surveyType: 'نوع الاستبيان',
+            questions: 'عدد الأسئلة',
+            dueDate: 'تاريخ الاستحقاق',
+            daysRemaining: 'الأيام المتبقية'
+        },
+        assignment: {
+            subject: 'استبيان جديد: {title}',
+            subjectMandatory: 'استبيان جديد (إلزامي): {title}',
+            heading: 'استبيان جديد',
+            headingMandatory: 'استبيان جديد (إلزامي)',
+            intro: 'تم تكليفك باستبيان جديد:',
+            introMandatory: 'تم تكليفك باستبيان جديد (إلزامي):',
+            noDueDate: 'في أقرب وقت ممكن',
+            mandatory: 'هذا استبيان إلزامي. يرجى إكماله قبل تاريخ الاستحقاق.',
+            optional: 'نقدّر مشاركتك كثيرًا.',
+            anonymous: 'يُسمح بالإجابة دون الكشف عن الهوية في هذا الاستبيان.',
+            button: 'ابدأ الاستبيان الآن',
+            visit: 'للمشاركة في الاستبيان، يرجى زيارة: {url}'
+        },
+        reminder: {
+            subject: 'تذكير: أكمل الاستبيان - {title}',
+            heading: 'تذكير بالاستبيان',
+            intro: 'نذكّرك بإكمال الاستبيان التالي:',
+            introText: 'نذكّرك بإكمال الاستبيان: {title}',
+            noDueDate: 'قريبًا',
+            urgent: 'تبقّى {count} أيام فقط!',
+            urgentOne: 'تبقّى يوم واحد فقط!',
+            remaining: 'تبقّى {count} يوم لإكمال هذا الاستبيان.',
+            noDeadline: 'يرجى إكمال هذا الاستبيان في أقرب وقت ممكن.',
+            mandatory: 'هذا استبيان إلزامي. إجابتك مطلوبة.',
+            optional: 'رأيك مهم ومحل تقدير.',
+            button: 'أكمل الاستبيان',
+            thanks: 'شكرًا لتعاونك.',
+            visit: 'لإكمال الاستبيان، يرجى زيارة: {url}'
+        },
+        closed: {
+            subject: 'تم إغلاق الاستبيان: {title}',
+            heading: 'تم إغلاق الاستبيان',
+            intro: 'تم إغلاق الاستبيان التالي:',
+            introText: 'تم إغلاق الاستبيان "{title}".',
+            responded: 'شكرًا لإكمالك هذا الاستبيان. تم تسجيل إجابتك.',
+            notResponded: 'انتهى هذا الاستبيان. لا يمكن تقديم إجابات أخرى.'
+        }
+    }
+};
+
 /**
  * Survey Assignment Email Template
  */
-export const surveyAssignmentTemplate = (survey, recipient) => {
-    const dueDate = survey.settings.endDate
-        ? new Date(survey.settings.endDate).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        })
-        : 'as soon as possible';
-
-    const mandatory = survey.settings.isMandatory ? ' (Mandatory)' : '';
+export const surveyAssignmentTemplate = (survey, recipient, language = getUserLanguage(recipient)) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const name = getRecipientName(recipient, lang);
+    const isMandatory = survey.settings.isMandatory;
+    const dueDate = formatDate(survey.settings.endDate, lang) || t('assignment.noDueDate');
+    const surveyType = formatSurveyType(survey.surveyType, lang);
+    const questionCount = formatNumber(survey.questions.length, lang);
+    const surveyUrl = getSurveyUrl(survey);
 
     return {
-        subject: `New Survey Assignment${mandatory}: ${survey.title}`,
+        subject: t(isMandatory ? 'assignment.subjectMandatory' : 'assignment.subject', { title: survey.title }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #4CAF50; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #4CAF50;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .mandatory { color: #f44336; font-weight: bold; }
@@ -45,66 +183,66 @@ export const surveyAssignmentTemplate = (survey, recipient) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>📋 New Survey Assignment</h1>
+                        <h1>📋 ${t('assignment.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear ${recipient.profile?.firstName || recipient.username},</p>
-                        
-                        <p>You have been assigned a new survey${mandatory}:</p>
-                        
+                        <p>${t('common.greeting', { name })}</p>
+
+                        <p>${t(isMandatory ? 'assignment.introMandatory' : 'assignment.intro')}</p>
+
                         <h2>${survey.title}</h2>
-                        
+
                         ${survey.description ? `<p>${survey.description}</p>` : ''}
-                        
-                        <p><strong>Survey Type:</strong> ${formatSurveyType(survey.surveyType)}</p>
-                        <p><strong>Number of Questions:</strong> ${survey.questions.length}</p>
-                        <p><strong>Due Date:</strong> ${dueDate}</p>
-                        
-                        ${survey.settings.isMandatory ?
-                '<p class="mandatory">⚠️ This is a mandatory survey. Please complete it before the due date.</p>' :
-                '<p>Your participation is greatly appreciated.</p>'
+
+                        <p><strong>${t('fields.surveyType')}:</strong> ${surveyType}</p>
+                        <p><strong>${t('fields.questions')}:</strong> ${questionCount}</p>
+                        <p><strong>${t('fields.dueDate')}:</strong> ${dueDate}</p>
+
+                        ${isMandatory ?
+                `<p class="mandatory">⚠️ ${t('assignment.mandatory')}</p>` :
+                `<p>${t('assignment.optional')}</p>`
             }
-                        
+
                         ${survey.settings.allowAnonymous ?
-                '<p>✅ Anonymous responses are allowed for this survey.</p>' :
+                `<p>✅ ${t('assignment.anonymous')}</p>` :
                 ''
             }
-                        
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/surveys/${survey._id}" class="button">
-                                Take Survey Now
+                            <a href="${surveyUrl}" class="button">
+                                ${t('assignment.button')}
                             </a>
                         </p>
-                        
-                        <p>Best regards,<br>HR Department</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.department')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedMessage')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-New Survey Assignment${mandatory}
+${t(isMandatory ? 'assignment.headingMandatory' : 'assignment.heading')}
 
-Dear ${recipient.profile?.firstName || recipient.username},
+${t('common.greeting', { name })}
 
-You have been assigned a new survey: ${survey.title}
+${t(isMandatory ? 'assignment.introMandatory' : 'assignment.intro')} ${survey.title}
 
 ${survey.description || ''}
 
-Survey Type: ${formatSurveyType(survey.surveyType)}
-Number of Questions: ${survey.questions.length}
-Due Date: ${dueDate}
+${t('fields.surveyType')}: ${surveyType}
+${t('fields.questions')}: ${questionCount}
+${t('fields.dueDate')}: ${dueDate}
 
-${survey.settings.isMandatory ? 'This is a mandatory survey. Please complete it before the due date.' : 'Your participation is greatly appreciated.'}
+${t(isMandatory ? 'assignment.mandatory' : 'assignment.optional')}
 
-To take the survey, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/surveys/${survey._id}
+${t('assignment.visit', { url: surveyUrl })}
 
-Best regards,
-HR Department
+${t('common.bestRegards')}
+${t('common.department')}
         `
     };
 };
@@ -112,37 +250,36 @@ HR Department
 /**
  * Survey Reminder Email Template
  */
-export const surveyReminderTemplate = (survey, recipient) => {
-    const dueDate = survey.settings.endDate
-        ? new Date(survey.settings.endDate).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'long',
-            day: 'numeric'
-        })
-        : 'soon';
+export const surveyReminderTemplate = (survey, recipient, language = getUserLanguage(recipient)) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const name = getRecipientName(recipient, lang);
+    const dueDate = formatDate(survey.settings.endDate, lang) || t('reminder.noDueDate');
+    const surveyUrl = getSurveyUrl(survey);
 
     const daysRemaining = survey.settings.endDate
         ? Math.ceil((new Date(survey.settings.endDate) - new Date()) / (1000 * 60 * 60 * 24))
         : null;
+    const count = daysRemaining !== null ? formatNumber(daysRemaining, lang) : null;
 
     return {
-        subject: `Reminder: Complete Survey - ${survey.title}`,
+        subject: t('reminder.subject', { title: survey.title }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
                     .container { max-width: 600px; margin: 0 auto; padding: 20px; }
                     .header { background-color: #FF9800; color: white; padding: 20px; text-align: center; }
                     .content { background-color: #f9f9f9; padding: 20px; border: 1px solid #ddd; }
-                    .button { 
-                        display: inline-block; 
-                        padding: 12px 24px; 
-                        background-color: #FF9800; 
-                        color: white !important; 
-                        text-decoration: none; 
-                        border-radius: 4px; 
+                    .button {
+                        display: inline-block;
+                        padding: 12px 24px;
+                        background-color: #FF9800;
+                        color: white !important;
+                        text-decoration: none;
+                        border-radius: 4px;
                         margin: 20px 0;
                     }
                     .urgent { color: #f44336; font-weight: bold; }
@@ -152,65 +289,65 @@ export const surveyReminderTemplate = (survey, recipient) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>⏰ Survey Reminder</h1>
+                        <h1>⏰ ${t('reminder.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear ${recipient.profile?.firstName || recipient.username},</p>
-                        
-                        <p>This is a friendly reminder to complete the following survey:</p>
-                        
+                        <p>${t('common.greeting', { name })}</p>
+
+                        <p>${t('reminder.intro')}</p>
+
                         <h2>${survey.title}</h2>
-                        
-                        <p><strong>Due Date:</strong> ${dueDate}</p>
-                        
+
+                        <p><strong>${t('fields.dueDate')}:</strong> ${dueDate}</p>
+
                         ${daysRemaining !== null && daysRemaining <= 3 ?
-                `<p class="urgent">⚠️ Only ${daysRemaining} ${daysRemaining === 1 ? 'day' : 'days'} remaining!</p>` :
+                `<p class="urgent">⚠️ ${daysRemaining === 1 ? t('reminder.urgentOne') : t('reminder.urgent', { count })}</p>` :
                 daysRemaining !== null ?
-                    `<p>${daysRemaining} days remaining to complete this survey.</p>` :
-                    '<p>Please complete this survey at your earliest convenience.</p>'
+                    `<p>${t('reminder.remaining', { count })}</p>` :
+                    `<p>${t('reminder.noDeadline')}</p>`
             }
-                        
+
                         ${survey.settings.isMandatory ?
-                '<p class="urgent">This is a mandatory survey. Your response is required.</p>' :
-                '<p>Your feedback is valuable and appreciated.</p>'
+                `<p class="urgent">${t('reminder.mandatory')}</p>` :
+                `<p>${t('reminder.optional')}</p>`
             }
-                        
+
                         <p style="text-align: center;">
-                            <a href="${process.env.FRONTEND_URL || 'http://localhost:3000'}/surveys/${survey._id}" class="button">
-                                Complete Survey
+                            <a href="${surveyUrl}" class="button">
+                                ${t('reminder.button')}
                             </a>
                         </p>
-                        
-                        <p>Thank you for your cooperation.</p>
-                        
-                        <p>Best regards,<br>HR Department</p>
+
+                        <p>${t('reminder.thanks')}</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.department')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated reminder from the HR Management System.</p>
-                        <p>Please do not reply to this email.</p>
+                        <p>${t('common.automatedReminder')}</p>
+                        <p>${t('common.noReply')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-Survey Reminder
+${t('reminder.heading')}
 
-Dear ${recipient.profile?.firstName || recipient.username},
+${t('common.greeting', { name })}
 
-This is a reminder to complete the survey: ${survey.title}
+${t('reminder.introText', { title: survey.title })}
 
-Due Date: ${dueDate}
-${daysRemaining !== null ? `Days Remaining: ${daysRemaining}` : ''}
+${t('fields.dueDate')}: ${dueDate}
+${daysRemaining !== null ? `${t('fields.daysRemaining')}: ${count}` : ''}
 
-${survey.settings.isMandatory ? 'This is a mandatory survey. Your response is required.' : 'Your feedback is valuable and appreciated.'}
+${t(survey.settings.isMandatory ? 'reminder.mandatory' : 'reminder.optional')}
 
-To complete the survey, please visit: ${process.env.FRONTEND_URL || 'http://localhost:3000'}/surveys/${survey._id}
+${t('reminder.visit', { url: surveyUrl })}
 
-Thank you for your cooperation.
+${t('reminder.thanks')}
 
-Best regards,
-HR Department
+${t('common.bestRegards')}
+${t('common.department')}
         `
     };
 };
@@ -218,12 +355,17 @@ HR Department
 /**
  * Survey Closed Email Template
  */
-export const surveyClosedTemplate = (survey, recipient, hasResponded) => {
+export const surveyClosedTemplate = (survey, recipient, hasResponded, language = getUserLanguage(recipient)) => {
+    const lang = normalizeLanguage(language);
+    const t = createTranslator(messages, lang);
+    const name = getRecipientName(recipient, lang);
+    const outcome = t(hasResponded ? 'closed.responded' : 'closed.notResponded');
+
     return {
-        subject: `Survey Closed: ${survey.title}`,
+        subject: t('closed.subject', { title: survey.title }),
         html: `
             <!DOCTYPE html>
-            <html>
+            <html ${htmlAttributes(lang)}>
             <head>
                 <style>
                     body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
@@ -237,59 +379,67 @@ export const surveyClosedTemplate = (survey, recipient, hasResponded) => {
             <body>
                 <div class="container">
                     <div class="header">
-                        <h1>📊 Survey Closed</h1>
+                        <h1>📊 ${t('closed.heading')}</h1>
                     </div>
                     <div class="content">
-                        <p>Dear ${recipient.profile?.firstName || recipient.username},</p>
-                        
-                        <p>The following survey has been closed:</p>
-                        
+                        <p>${t('common.greeting', { name })}</p>
+
+                        <p>${t('closed.intro')}</p>
+
                         <h2>${survey.title}</h2>
-                        
+
                         ${hasResponded ?
-                '<p class="success">✅ Thank you for completing this survey. Your feedback has been recorded.</p>' :
-                '<p>This survey has ended. No further responses can be submitted.</p>'
+                `<p class="success">✅ ${outcome}</p>` :
+                `<p>${outcome}</p>`
             }
-                        
-                        <p>Best regards,<br>HR Department</p>
+
+                        <p>${t('common.bestRegards')}<br>${t('common.department')}</p>
                     </div>
                     <div class="footer">
-                        <p>This is an automated message from the HR Management System.</p>
+                        <p>${t('common.automatedMessage')}</p>
                     </div>
                 </div>
             </body>
             </html>
         `,
         text: `
-Survey Closed
+${t('closed.heading')}
 
-Dear ${recipient.profile?.firstName || recipient.username},
+${t('common.greeting', { name })}
 
-The survey "${survey.title}" has been closed.
+${t('closed.introText', { title: survey.title })}
 
-${hasResponded ? 'Thank you for completing this survey. Your feedback has been recorded.' : 'This survey has ended. No further responses can be submitted.'}
+${outcome}
 
-Best regards,
-HR Department
+${t('common.bestRegards')}
+${t('common.department')}
         `
     };
 };
 
 /**
- * Format survey type for display
+ * Link to a survey in the HR app
  */
-function formatSurveyType(type) {
-    const typeMap = {
-        'satisfaction': 'Employee Satisfaction',
-        'training': 'Training & Development',
-        'performance': 'Performance Assessment',
-        'policy': 'Policy Feedback',
-        '360-feedback': '360-certification Feedback',
-        'exit-interview': 'Exit Interview',
-        'custom': 'Custom Survey'
-    };
+function getSurveyUrl(survey) {
+    return `${process.env.FRONTEND_URL || 'http://localhost:3000'}/surveys/${survey._id}`;
+}
 
-    return typeMap[type] || type;
+/**
+ * Recipient name; Arabic emails use the Arabic name when there is one
+ */
+function getRecipientName(recipient, language) {
+    if (language === 'ar' && recipient.personalInfo?.arabicName) {
+        return recipient.personalInfo.arabicName;
+    }
+    return recipient.personalInfo?.firstName || recipient.profile?.firstName || recipient.username;
+}
+
+/**
+ * Format survey type for display
+ */
+function formatSurveyType(type, language) {
+    const t = createTranslator(messages, language);
+    return messages.en.types[type] ? t(`types.${type}`) : type;
 }
 
 export default {